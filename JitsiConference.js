@@ -30,20 +30,28 @@ import VADTalkMutedDetection from './modules/detection/VADTalkMutedDetection';
 import { E2EEncryption } from './modules/e2ee/E2EEncryption';
 import E2ePing from './modules/e2eping/e2eping';
 import Jvb121EventGenerator from './modules/event/Jvb121EventGenerator';
+import Polls from './modules/polls/Polls';
 import { ReceiveVideoController } from './modules/qualitycontrol/ReceiveVideoController';
+import { SendBitrateController } from './modules/qualitycontrol/SendBitrateController';
 import { SendVideoController } from './modules/qualitycontrol/SendVideoController';
+import RaisedHands from './modules/raisehand/RaisedHands';
+import Reactions from './modules/reactions/Reactions';
+import LocalRecorder from './modules/recording/LocalRecorder';
 import RecordingManager from './modules/recording/RecordingManager';
 import Settings from './modules/settings/Settings';
 import AudioOutputProblemDetector from './modules/statistics/AudioOutputProblemDetector';
 import AvgRTPStatsReporter from './modules/statistics/AvgRTPStatsReporter';
 import SpeakerStatsCollector from './modules/statistics/SpeakerStatsCollector';
 import Statistics from './modules/statistics/statistics';
+import LiveCaptions from './modules/transcription/LiveCaptions';
 import Transcriber from './modules/transcription/transcriber';
 import GlobalOnErrorHandler from './modules/util/GlobalOnErrorHandler';
 import RandomUtil from './modules/util/RandomUtil';
 import ComponentsVersions from './modules/version/ComponentsVersions';
 import VideoSIPGW from './modules/videosipgw/VideoSIPGW';
 import * as VideoSIPGWConstants from './modules/videosipgw/VideoSIPGWConstants';
+import RemoteAudioRenderer from './modules/webaudio/RemoteAudioRenderer';
+import SignalingLayerImpl from './modules/xmpp/SignalingLayerImpl';
 import {
     FEATURE_E2EE,
     FEATURE_JIGASI,
@@ -51,6 +59,7 @@ import {
 } from './modules/xmpp/xmpp';
 import CodecMimeType from './service/RTC/CodecMimeType';
 import * as MediaType from './service/RTC/MediaType';
+import { getSourceNameForJitsiTrack } from './service/RTC/SignalingLayer';
 import VideoType from './service/RTC/VideoType';
 import {
     ACTION_JINGLE_RESTART,
@@ -102,6 +111,22 @@ const JINGLE_SI_TIMEOUT = 5000;
  * @param {number} [options.config.channelLastN=-1] The requested amount of
  * videos are going to be delivered after the value is in effect. Set to -1 for
  * unlimited or all available videos.
+ * @param {Object} [options.config.reactionsRateLimit] - limits how many reactions can be sent or received per
+ * participant, <tt>{ max, interval }</tt> with the interval in ms. Defaults to 10 reactions per 5 seconds.
+ * @param {boolean} [options.config.sendMultipleVideoStreams] - when set to <tt>true</tt> several local video tracks,
+ * e.g. a camera and a screen share, can be added to the conference. Each source is signalled with its name and the
+ * P2P mode is not used while more than one video track is sent. Requires a browser using unified plan.
+ * @param {boolean} [options.config.enableAdaptiveSendBitrate] - when set to <tt>true</tt> the bitrate of the video
+ * senders is adapted to the packet loss, round trip time and available bandwidth reported by the local stats, see
+ * {@link SendBitrateController}.
+ * @param {boolean} [options.config.e2ee.externallyManagedKey] - when set to <tt>true</tt> the E2EE media keys are
+ * supplied by the application with {@link JitsiConference#setMediaEncryptionKey} instead of being generated and
+ * exchanged over Olm.
+ * @param {boolean} [options.config.e2ee.encryptMessages] - when set to <tt>true</tt> the chat messages and the
+ * endpoint messages are also end-to-end encrypted while E2EE is enabled, with the Olm session of each recipient.
+ * @param {boolean} [options.config.enableRemoteAudioRenderer] - when set to <tt>true</tt> the remote audio tracks are
+ * played by the library through WebAudio, with a volume, stereo position and audio output device per participant, see
+ * {@link RemoteAudioRenderer}. The application must not attach the remote audio tracks then.
  * @param {number} [options.config.forceJVB121Ratio]
  * "Math.random() < forceJVB121Ratio" will determine whether a 2 people
  * conference should be moved to the JVB instead of P2P. The decision is made on
@@ -196,6 +221,37 @@ export default function JitsiConference(options) {
      */
     this.speakerStatsCollector = new SpeakerStatsCollector(this);
 
+    /**
+     * The in-call polls, exchanged through the MUC.
+     * @type {Polls}
+     */
+    this.polls = new Polls(this, (message, to) => this.sendMessage(message, to));
+
+    /**
+     * The raised hands of the participants, advertised in presence.
+     * @type {RaisedHands}
+     */
+    this.raisedHands = new RaisedHands(this, (message, to) => this.sendMessage(message, to));
+
+    /**
+     * The rate limited reactions channel.
+     * @type {Reactions}
+     */
+    this.reactions = new Reactions(this, message => this.sendMessage(message), options.config.reactionsRateLimit);
+
+    /**
+     * The captions produced by the streaming transcriber or received from other participants.
+     * @type {LiveCaptions}
+     */
+    this.liveCaptions = new LiveCaptions(this, message => this.sendMessage(message));
+
+    /**
+     * Plays the remote audio tracks with a volume, stereo position and audio output device per participant, when
+     * enabled through the config.
+     * @type {RemoteAudioRenderer|null}
+     */
+    this.remoteAudioRenderer = options.config.enableRemoteAudioRenderer ? new RemoteAudioRenderer(this) : null;
+
     /* P2P related fields below: */
 
     /**
@@ -241,6 +297,7 @@ export default function JitsiConference(options) {
 
     this.videoSIPGWHandler = new VideoSIPGW(this.room);
     this.recordingManager = new RecordingManager(this.room);
+    this.localRecorder = new LocalRecorder(this);
 
     /**
      * If the conference.joined event has been sent this will store the timestamp when it happened.
@@ -260,9 +317,6 @@ export default function JitsiConference(options) {
     }
 }
 
-// FIXME convert JitsiConference to ES6 - ASAP !
-JitsiConference.prototype.constructor = JitsiConference;
-
 /**
  * Create a resource for the a jid. We use the room nickname (the resource part
  * of the occupant JID, see XEP-0045) as the endpoint ID in colibri. We require
@@ -343,6 +397,15 @@ JitsiConference.prototype._init = function(options = {}) {
         JitsiConference.resourceCreator
     );
 
+    /**
+     * Advertises the state of the local sources in presence, when several video streams can be sent.
+     *
+     * @type {SignalingLayerImpl}
+     * @private
+     */
+    this._signalingLayer = new SignalingLayerImpl();
+    this._signalingLayer.setChatRoom(this.room);
+
     // Connection interrupted/restored listeners
     this._onIceConnectionInterrupted
         = this._onIceConnectionInterrupted.bind(this);
@@ -431,6 +494,8 @@ JitsiConference.prototype._init = function(options = {}) {
         }
     }
 
+    this.sendBitrateController = new SendBitrateController(this);
+
     this.eventManager.setupChatRoomListeners();
 
     // Always add listeners because on reload we are executing leave and the
@@ -515,7 +580,7 @@ JitsiConference.prototype._init = function(options = {}) {
 
 /**
  * Joins the conference.
- * @param password {string} the password
+ * @param [password] {string} the password
  */
 JitsiConference.prototype.join = function(password) {
     if (this.room) {
@@ -590,6 +655,34 @@ JitsiConference.prototype.leave = function() {
         this.e2eping = null;
     }
 
+    if (this.polls) {
+        this.polls.dispose();
+        this.polls = null;
+    }
+
+    if (this.raisedHands) {
+        this.raisedHands.dispose();
+        this.raisedHands = null;
+    }
+
+    if (this.reactions) {
+        this.reactions.dispose();
+        this.reactions = null;
+    }
+
+    if (this.liveCaptions) {
+        this.liveCaptions.dispose();
+        this.liveCaptions = null;
+    }
+
+    if (this.remoteAudioRenderer) {
+        this.remoteAudioRenderer.dispose();
+        this.remoteAudioRenderer = null;
+    }
+
+    // The recorded data stays available through getLocalRecording.
+    this.localRecorder.stop();
+
     this.getLocalTracks().forEach(track => this.onLocalTrackRemoved(track));
 
     this.rtc.closeBridgeChannel();
@@ -634,6 +727,7 @@ JitsiConference.prototype.leave = function() {
         room.removeListener(XMPPEvents.MEETING_ID_SET, this._sendConferenceJoinAnalyticsEvent);
 
         this.eventManager.removeXMPPListeners();
+        this._signalingLayer.setChatRoom(null);
 
         this.room = null;
 
@@ -684,6 +778,20 @@ JitsiConference.prototype._getMediaSessions = function() {
     return sessions;
 };
 
+/**
+ * Returns the options the media sessions of this conference are initialized with.
+ *
+ * @returns {Object} The options, see {@link JingleSessionPC#doInitialize}.
+ * @private
+ */
+JitsiConference.prototype._getMediaSessionOptions = function() {
+    return {
+        ...this.options.config,
+        enableInsertableStreams: this.isE2EEEnabled(),
+        enableOpusRed: this.isOpusRedEnabled()
+    };
+};
+
 /**
  * Returns name of this conference.
  */
@@ -750,7 +858,7 @@ JitsiConference.prototype.getExternalAuthUrl = function(urlForPopup) {
 /**
  * Returns the local tracks of the given media type, or all local tracks if no
  * specific type is given.
- * @param {MediaType} [mediaType] Optional media type (audio or video).
+ * @param {'audio'|'video'} [mediaType] Optional media type (audio or video).
  */
 JitsiConference.prototype.getLocalTracks = function(mediaType) {
     let tracks = [];
@@ -848,12 +956,14 @@ JitsiConference.prototype.removeCommandListener = function(command, handler) {
  * Sends text message to the other participants in the conference
  * @param message the text message.
  * @param elementName the element name to encapsulate the message.
+ * @returns {string|undefined} the id of the message, undefined if the message
+ * was not sent.
  * @deprecated Use 'sendMessage' instead. TODO: this should be private.
  */
 JitsiConference.prototype.sendTextMessage = function(
         message, elementName = 'body') {
     if (this.room) {
-        this.room.sendMessage(message, elementName);
+        return this.room.sendMessage(message, elementName);
     }
 };
 
@@ -862,13 +972,60 @@ JitsiConference.prototype.sendTextMessage = function(
  * @param id the id of the participant to send a private message.
  * @param message the text message.
  * @param elementName the element name to encapsulate the message.
+ * @returns {string|undefined} the id of the message, undefined if the message
+ * was not sent.
  * @deprecated Use 'sendMessage' instead. TODO: this should be private.
  */
 JitsiConference.prototype.sendPrivateTextMessage = function(
         id, message, elementName = 'body') {
     if (this.room) {
-        this.room.sendPrivateMessage(id, message, elementName);
+        return this.room.sendPrivateMessage(id, message, elementName);
+    }
+};
+
+/**
+ * Edits a chat message sent by the local participant. The participants are
+ * notified with {@link JitsiConferenceEvents.MESSAGE_EDITED}. While the
+ * messages are encrypted, only the messages which were sent encrypted can be
+ * edited and the edit is encrypted too.
+ *
+ * @param {string} messageId - The id of the message, as returned by
+ * {@link JitsiConference#sendMessage}.
+ * @param {string} message - The new text of the message.
+ * @param {string} [to] - The id of the participant the message was privately
+ * sent to.
+ * @returns {boolean} whether the edit was sent, it is not when the message
+ * can not be edited.
+ */
+JitsiConference.prototype.editMessage = function(messageId, message, to) {
+    if (this._e2eEncryption && this._e2eEncryption.isEncryptingMessages()) {
+        return this._e2eEncryption.editMessage(messageId, message, to);
+    }
+
+    return Boolean(this.room && this.room.sendMessageCorrection(messageId, message, to));
+};
+
+/**
+ * Deletes a chat message. The local participant can delete the messages it
+ * sent and, if it is a moderator, the messages which were sent to everyone.
+ * The participants are notified with
+ * {@link JitsiConferenceEvents.MESSAGE_DELETED}. While the messages are
+ * encrypted, only the messages which were sent encrypted can be deleted and
+ * the deletion is encrypted too.
+ *
+ * @param {string} messageId - The id of the message, as returned by
+ * {@link JitsiConference#sendMessage} or received with the message.
+ * @param {string} [to] - The id of the participant the message was privately
+ * sent to.
+ * @returns {boolean} whether the deletion was sent, it is not when the message
+ * can not be deleted.
+ */
+JitsiConference.prototype.deleteMessage = function(messageId, to) {
+    if (this._e2eEncryption && this._e2eEncryption.isEncryptingMessages()) {
+        return this._e2eEncryption.deleteMessage(messageId, to);
     }
+
+    return Boolean(this.room && this.room.sendMessageRetraction(messageId, to));
 };
 
 /**
@@ -933,11 +1090,16 @@ JitsiConference.prototype.setSubject = function(subject) {
 
 /**
  * Get a transcriber object for all current participants in this conference
+ * @param {Object} [options] - The options of the transcriber, used only when it
+ * is created. See {@link Transcriber} for more info.
+ * @param {boolean} [options.broadcastCaptions] - Whether to send the captions
+ * of a streaming transcriber to the other participants.
  * @return {Transcriber} the transcriber object
  */
-JitsiConference.prototype.getTranscriber = function() {
+JitsiConference.prototype.getTranscriber = function(options = {}) {
     if (this.transcriber === undefined) {
-        this.transcriber = new Transcriber();
+        this.transcriber = new Transcriber(this, options);
+        this.liveCaptions && this.liveCaptions.attach(this.transcriber, options.broadcastCaptions);
 
         // add all existing local audio tracks to the transcriber
         const localAudioTracks = this.getLocalTracks(MediaType.AUDIO);
@@ -957,6 +1119,17 @@ JitsiConference.prototype.getTranscriber = function() {
     return this.transcriber;
 };
 
+/**
+ * Changes whether the captions of the streaming transcriber are sent to the
+ * other participants.
+ *
+ * @param {boolean} enabled - Whether to send the captions.
+ * @returns {void}
+ */
+JitsiConference.prototype.setCaptionsBroadcast = function(enabled) {
+    this.liveCaptions && this.liveCaptions.setBroadcast(enabled);
+};
+
 /**
  * Returns the transcription status.
  *
@@ -970,26 +1143,147 @@ JitsiConference.prototype.getTranscriptionStatus = function() {
  * Adds JitsiLocalTrack object to the conference.
  * @param {JitsiLocalTrack} track the JitsiLocalTrack object.
  * @returns {Promise<JitsiLocalTrack>}
- * @throws {Error} if the specified track is a video track and there is already
- * another video track in the conference.
+ * @throws {Error} if the specified track is an audio track and there is already
+ * another audio track in the conference, or a video track and there is already
+ * another video track in the conference and sending several video streams is
+ * not enabled.
  */
 JitsiConference.prototype.addTrack = function(track) {
     const mediaType = track.getType();
     const localTracks = this.rtc.getLocalTracks(mediaType);
 
-    // Ensure there's exactly 1 local track of each media type in the conference.
+    // Ensure there's exactly 1 local track of each media type in the conference, unless several video streams can
+    // be sent.
     if (localTracks.length > 0) {
         // Don't be excessively harsh and severe if the API client happens to attempt to add the same local track twice.
-        if (track === localTracks[0]) {
+        if (localTracks.includes(track)) {
             return Promise.resolve(track);
         }
 
+        if (mediaType === MediaType.VIDEO && this._supportsMultipleVideoStreams()) {
+            return this._addAdditionalVideoTrack(track);
+        }
+
         return Promise.reject(new Error(`Cannot add second ${mediaType} track to the conference`));
     }
 
     return this.replaceTrack(null, track);
 };
 
+/**
+ * Tells whether several local video tracks can be added to the conference.
+ *
+ * @returns {boolean}
+ * @private
+ */
+JitsiConference.prototype._supportsMultipleVideoStreams = function() {
+    return Boolean(this.options.config.sendMultipleVideoStreams) && browser.usesUnifiedPlan();
+};
+
+/**
+ * Adds a video track to the conference next to the local video tracks already in it, e.g. a screen share next to
+ * the camera. The track is sent on a new media section of the JVB connection and the P2P session, which can not send
+ * several video streams, is stopped.
+ *
+ * @param {JitsiLocalTrack} track - The video track.
+ * @returns {Promise<JitsiLocalTrack>}
+ * @private
+ */
+JitsiConference.prototype._addAdditionalVideoTrack = function(track) {
+    if (track.disposed) {
+        return Promise.reject(new JitsiTrackError(JitsiTrackErrors.TRACK_IS_DISPOSED));
+    }
+
+    track.setSourceName(this._getNextLocalSourceName(MediaType.VIDEO));
+
+    const promise = this.jvbJingleSession
+        ? this.jvbJingleSession.addTracks([ track ])
+        : Promise.resolve();
+
+    return promise
+        .then(() => {
+            this._setupNewTrack(track);
+            this._sendLocalVideoType(track, track.videoType);
+            this._maybeStartOrStopP2P();
+
+            return track;
+        })
+        .catch(error => Promise.reject(new Error(error)));
+};
+
+/**
+ * Returns the name for a new local source of a media type, i.e. the first one which is not used by a local track.
+ *
+ * @param {'audio'|'video'} mediaType - The media type of the source.
+ * @returns {string}
+ * @private
+ */
+JitsiConference.prototype._getNextLocalSourceName = function(mediaType) {
+    const sourceNames = this.getLocalTracks(mediaType).map(track => track.getSourceName());
+    let trackIdx = 0;
+
+    while (sourceNames.includes(getSourceNameForJitsiTrack(this.myUserId(), mediaType, trackIdx))) {
+        trackIdx++;
+    }
+
+    return getSourceNameForJitsiTrack(this.myUserId(), mediaType, trackIdx);
+};
+
+/**
+ * Tells whether a local track is sent as an additional source of its media type, which is signalled only by its
+ * source name. The state of the first source of a media type is also signalled for the whole endpoint, for the
+ * participants and the bridges which are not aware of the sources.
+ *
+ * @param {JitsiLocalTrack} track - The local track.
+ * @returns {boolean}
+ * @private
+ */
+JitsiConference.prototype._isAdditionalLocalSource = function(track) {
+    const sourceName = track.getSourceName();
+
+    return Boolean(sourceName)
+        && sourceName !== getSourceNameForJitsiTrack(this.myUserId(), track.getType(), 0);
+};
+
+/**
+ * Signals the video type of a local video track to the bridge, for the whole endpoint or for the source of the track.
+ *
+ * @param {JitsiLocalTrack} track - The local video track.
+ * @param {VideoType} videoType - The video type, {@link VideoType.NONE} when the track is muted or removed.
+ * @returns {void}
+ * @private
+ */
+JitsiConference.prototype._sendLocalVideoType = function(track, videoType) {
+    if (this._isAdditionalLocalSource(track)) {
+        this.rtc.setSourceVideoType(track.getSourceName(), videoType);
+    } else {
+        this.rtc.setVideoType(videoType);
+    }
+};
+
+/**
+ * Advertises the muted state of a local track in presence, for the whole endpoint or for the source of the track.
+ *
+ * @param {JitsiLocalTrack} track - The local track.
+ * @param {boolean} muted - Whether the track is muted.
+ * @returns {Promise} resolved when the presence is updated.
+ * @private
+ */
+JitsiConference.prototype._sendLocalTrackMuteStatus = function(track, muted) {
+    const sourceName = track.getSourceName();
+    const sourceInfoChanged = Boolean(sourceName) && this._signalingLayer.setTrackMuteStatus(sourceName, muted);
+
+    if (this._isAdditionalLocalSource(track)) {
+        sourceInfoChanged && this.room.sendPresence();
+
+        return Promise.resolve();
+    }
+
+    return new Promise(resolve => {
+        this.room[track.isAudioTrack() ? 'setAudioMute' : 'setVideoMute'](muted, resolve);
+    });
+};
+
 /**
  * Fires TRACK_AUDIO_LEVEL_CHANGED change conference event (for local tracks).
  * @param {number} audioLevel the audio level
@@ -1022,12 +1316,14 @@ JitsiConference.prototype._fireMuteChangeEvent = function(track) {
         this.isMutedByFocus = false;
 
         // unmute local user on server
-        this.room.muteParticipant(this.room.myroomjid, false, MediaType.AUDIO);
+        this.room.muteParticipant(this.room.myroomjid, false, MediaType.AUDIO)
+            .catch(error => logger.warn('The focus failed to unmute the local participant', error));
     } else if (this.isVideoMutedByFocus && track.isVideoTrack() && !track.isMuted()) {
         this.isVideoMutedByFocus = false;
 
         // unmute local user on server
-        this.room.muteParticipant(this.room.myroomjid, false, MediaType.VIDEO);
+        this.room.muteParticipant(this.room.myroomjid, false, MediaType.VIDEO)
+            .catch(error => logger.warn('The focus failed to unmute the local participant', error));
     }
 
     let actorParticipant;
@@ -1065,6 +1361,9 @@ JitsiConference.prototype._getInitialLocalTracks = function() {
 JitsiConference.prototype.onLocalTrackRemoved = function(track) {
     track._setConference(null);
     this.rtc.removeLocalTrack(track);
+    if (track.getSourceName() && this._signalingLayer.removeLocalSourceInfo(track.getSourceName())) {
+        this.room?.sendPresence();
+    }
     track.removeEventListener(JitsiTrackEvents.TRACK_MUTE_CHANGED,
         track.muteHandler);
     track.removeEventListener(JitsiTrackEvents.TRACK_AUDIO_LEVEL_CHANGED,
@@ -1114,6 +1413,11 @@ JitsiConference.prototype.replaceTrack = function(oldTrack, newTrack) {
         }
     }
 
+    // The new track keeps the name of the source it replaces.
+    if (newTrack && this._supportsMultipleVideoStreams()) {
+        newTrack.setSourceName(oldTrack?.getSourceName() || this._getNextLocalSourceName(newTrack.getType()));
+    }
+
     // Now replace the stream at the lower levels
     return this._doReplaceTrack(oldTrack, newTrack)
         .then(() => {
@@ -1125,9 +1429,14 @@ JitsiConference.prototype.replaceTrack = function(oldTrack, newTrack) {
             if (newTrack) {
                 // Now handle the addition of the newTrack at the JitsiConference level
                 this._setupNewTrack(newTrack);
-                newTrack.isVideoTrack() && this.rtc.setVideoType(newTrack.videoType);
+                newTrack.isVideoTrack() && this._sendLocalVideoType(newTrack, newTrack.videoType);
             } else {
-                oldTrack && oldTrack.isVideoTrack() && this.rtc.setVideoType(VideoType.NONE);
+                oldTrack && oldTrack.isVideoTrack() && this._sendLocalVideoType(oldTrack, VideoType.NONE);
+            }
+
+            // The P2P session may be started again when a single video track is left.
+            if (oldTrack && !newTrack && oldTrack.isVideoTrack() && this._supportsMultipleVideoStreams()) {
+                this._maybeStartOrStopP2P();
             }
 
             return Promise.resolve();
@@ -1187,7 +1496,9 @@ JitsiConference.prototype._setupNewTrack = function(newTrack) {
                 RTC.getEventDataForActiveDevice(device));
         }
     }
-    if (newTrack.isVideoTrack()) {
+    const isAdditionalSource = this._isAdditionalLocalSource(newTrack);
+
+    if (newTrack.isVideoTrack() && !isAdditionalSource) {
         const videoTypeTagName = 'videoType';
 
         // if video type is camera and there is no videoType in presence, we skip adding it, as this is the default one
@@ -1198,7 +1509,20 @@ JitsiConference.prototype._setupNewTrack = function(newTrack) {
     this.rtc.addLocalTrack(newTrack);
 
     // ensure that we're sharing proper "is muted" state
-    if (newTrack.isAudioTrack()) {
+    const sourceName = newTrack.getSourceName();
+    let sourceInfoChanged = false;
+
+    if (sourceName) {
+        sourceInfoChanged = this._signalingLayer.setTrackMuteStatus(sourceName, newTrack.isMuted());
+        if (newTrack.isVideoTrack()) {
+            sourceInfoChanged = this._signalingLayer.setTrackVideoType(sourceName, newTrack.videoType)
+                || sourceInfoChanged;
+        }
+    }
+
+    if (isAdditionalSource) {
+        sourceInfoChanged && this.room.sendPresence();
+    } else if (newTrack.isAudioTrack()) {
         this.room.setAudioMute(newTrack.isMuted());
     } else {
         this.room.setVideoMute(newTrack.isMuted());
@@ -1245,7 +1569,7 @@ JitsiConference.prototype._addLocalTrackAsUnmute = function(track) {
     return Promise.allSettled(addAsUnmutePromises)
         .then(() => {
             // Signal the video type to the bridge.
-            track.isVideoTrack() && this.rtc.setVideoType(track.videoType);
+            track.isVideoTrack() && this._sendLocalVideoType(track, track.videoType);
         });
 };
 
@@ -1273,10 +1597,35 @@ JitsiConference.prototype._removeLocalTrackAsMute = function(track) {
     return Promise.allSettled(removeAsMutePromises)
         .then(() => {
             // Signal the video type to the bridge.
-            track.isVideoTrack() && this.rtc.setVideoType(VideoType.NONE);
+            track.isVideoTrack() && this._sendLocalVideoType(track, VideoType.NONE);
         });
 };
 
+/**
+ * Method called by the {@link JitsiLocalTrack} when its MediaStream was replaced, e.g. when an effect was started or
+ * stopped on it, in order to send the new stream with the existing senders, without renegotiation.
+ * @param {JitsiLocalTrack} track the local track whose stream was replaced.
+ * @param {MediaStream} oldStream the stream the track was sending before.
+ * @return {Promise} resolved when the new stream is sent by all the Jingle sessions.
+ * @private
+ */
+JitsiConference.prototype._replaceLocalTrackStream = function(track, oldStream) {
+    const replacePromises = [];
+
+    if (this.jvbJingleSession) {
+        replacePromises.push(this.jvbJingleSession.replaceTrackStream(track, oldStream));
+    } else {
+        logger.debug('Replace local MediaStream - no JVB JingleSession started yet');
+    }
+    if (this.p2pJingleSession) {
+        replacePromises.push(this.p2pJingleSession.replaceTrackStream(track, oldStream));
+    } else {
+        logger.debug('Replace local MediaStream - no P2P JingleSession started yet');
+    }
+
+    return Promise.all(replacePromises);
+};
+
 /**
  * Get role of the local user.
  * @returns {string} user role: 'moderator' or 'none'
@@ -1369,6 +1718,23 @@ JitsiConference.prototype.selectParticipants = function(participantIds) {
     this.receiveVideoController.selectEndpoints(participantIds);
 };
 
+/**
+ * Elects the video sources with the given names, see {@link JitsiRemoteTrack#getSourceName}, to be the selected
+ * sources in order to receive higher video quality. Unlike {@link selectParticipants} it allows e.g. to put the
+ * screen share of a participant on stage while receiving its camera as a thumbnail. An empty array goes back to the
+ * selected participants.
+ *
+ * @param {Array<string>} sourceNames - The names of the video sources.
+ * @returns {void}
+ */
+JitsiConference.prototype.selectSources = function(sourceNames) {
+    if (!Array.isArray(sourceNames)) {
+        throw new Error('Invalid argument; sourceNames must be an array.');
+    }
+
+    this.receiveVideoController.selectSources(sourceNames);
+};
+
 /**
  * Obtains the current value for "lastN". See {@link setLastN} for more info.
  * @returns {number}
@@ -1542,15 +1908,70 @@ JitsiConference.prototype._maybeSetSITimeout = function() {
 };
 
 /**
- * Mutes a participant.
- * @param {string} id The id of the participant to mute.
+ * Checks whether the local participant can mute the participants of the conference, logging why not.
+ *
+ * @param {'audio'|'video'} mediaType - The type of the media to mute.
+ * @private
+ * @returns {boolean}
+ */
+JitsiConference.prototype._canMuteParticipants = function(mediaType) {
+    if (mediaType !== MediaType.AUDIO && mediaType !== MediaType.VIDEO) {
+        logger.error(`Unsupported media type: ${mediaType}`);
+
+        return false;
+    }
+
+    if (!this.room || !this.isModerator()) {
+        logger.warn(`Cannot mute participants, ${this.room ? 'participant is not a moderator' : 'not in a room'}`);
+
+        return false;
+    }
+
+    return true;
+};
+
+/**
+ * Asks the focus to mute participants. The participants which the focus muted are reported once it answered.
+ *
+ * @param {Array<JitsiParticipant>} participants - The participants to mute.
+ * @param {'audio'|'video'} mediaType - The type of the media to mute.
+ * @fires JitsiConferenceEvents.PARTICIPANTS_MUTED
+ * @private
+ * @returns {Array<string>} The ids of the participants.
+ */
+JitsiConference.prototype._muteParticipants = function(participants, mediaType) {
+    const requests = participants.map(participant =>
+        this.room.muteParticipant(participant.getJid(), true, mediaType)
+            .then(() => participant.getId())
+            .catch(error => {
+                logger.warn(`The focus failed to mute the ${mediaType} of ${participant.getId()}`, error);
+
+                return null;
+            }));
+
+    Promise.all(requests).then(results => {
+        const ids = results.filter(Boolean);
+
+        if (ids.length) {
+            this.eventEmitter.emit(JitsiConferenceEvents.PARTICIPANTS_MUTED, mediaType, ids);
+        }
+    });
+
+    return participants.map(participant => participant.getId());
+};
+
+/**
+ * Mutes a participant. Only moderators can mute the other participants, and only the participants themselves can
+ * unmute, unless AV moderation prevents them from doing so.
+ *
+ * @param {string} id - The id of the participant to mute.
+ * @param {'audio'|'video'} [mediaType] - The type of the media to mute, audio when not set.
+ * @returns {void}
  */
 JitsiConference.prototype.muteParticipant = function(id, mediaType) {
     const muteMediaType = mediaType ? mediaType : MediaType.AUDIO;
 
-    if (muteMediaType !== MediaType.AUDIO && muteMediaType !== MediaType.VIDEO) {
-        logger.error(`Unsupported media type: ${muteMediaType}`);
-
+    if (!this._canMuteParticipants(muteMediaType)) {
         return;
     }
 
@@ -1559,7 +1980,37 @@ JitsiConference.prototype.muteParticipant = function(id, mediaType) {
     if (!participant) {
         return;
     }
-    this.room.muteParticipant(participant.getJid(), true, muteMediaType);
+    this._muteParticipants([ participant ], muteMediaType);
+};
+
+/**
+ * Mutes all the participants of the conference but the local one, optionally except some of them. Only moderators
+ * can mute the other participants.
+ *
+ * @param {'audio'|'video'} [mediaType] - The type of the media to mute, audio when not set.
+ * @param {Object} [options] - The options.
+ * @param {Array<string>} [options.exclude] - The ids of the participants not to mute.
+ * @param {boolean} [options.moderate] - Whether to also enable AV moderation for the media type so that the muted
+ * participants can't unmute until a moderator approves them. The excluded participants are approved.
+ * @returns {Array<string>} The ids of the participants who were asked to mute.
+ */
+JitsiConference.prototype.muteAllParticipants = function(mediaType = MediaType.AUDIO, options = {}) {
+    const { exclude = [], moderate = false } = options;
+
+    if (!this._canMuteParticipants(mediaType)) {
+        return [];
+    }
+
+    if (moderate) {
+        this.enableAVModeration(mediaType);
+        exclude.forEach(id => this.avModerationApprove(mediaType, id));
+    }
+
+    // Those who look muted are asked too, they may not have signalled their tracks yet.
+    const participants = this.getParticipants()
+        .filter(participant => !participant.isHidden() && !exclude.includes(participant.getId()));
+
+    return this._muteParticipants(participants, mediaType);
 };
 
 /* eslint-disable max-params */
@@ -2017,10 +2468,7 @@ JitsiConference.prototype._acceptJvbIncomingCall = function(
         }));
 
     try {
-        jingleSession.initialize(this.room, this.rtc, {
-            ...this.options.config,
-            enableInsertableStreams: this.isE2EEEnabled()
-        });
+        jingleSession.initialize(this.room, this.rtc, this._getMediaSessionOptions());
     } catch (error) {
         GlobalOnErrorHandler.callErrorHandler(error);
         logger.error(error);
@@ -2033,6 +2481,9 @@ JitsiConference.prototype._acceptJvbIncomingCall = function(
 
     const localTracks = this._getInitialLocalTracks();
 
+    // The additional video sources are sent on media sections of their own, once the offer is accepted.
+    const additionalTracks = localTracks.filter(track => this._isAdditionalLocalSource(track));
+
     try {
         jingleSession.acceptOffer(
             jingleOffer,
@@ -2058,9 +2509,14 @@ JitsiConference.prototype._acceptJvbIncomingCall = function(
                 logger.error(
                     'Failed to accept incoming Jingle session', error);
             },
-            localTracks
+            localTracks.filter(track => !additionalTracks.includes(track))
         );
 
+        if (additionalTracks.length) {
+            jingleSession.addTracks(additionalTracks)
+                .catch(error => logger.error('Failed to add the additional video tracks', error));
+        }
+
         // Start callstats as soon as peerconnection is initialized,
         // do not wait for XMPPEvents.PEERCONNECTION_READY, as it may never
         // happen in case if user doesn't have or denied permission to
@@ -2098,7 +2554,7 @@ JitsiConference.prototype._setBridgeChannel = function(offerIq, pc) {
 
     if (wsUrl) {
         // If the offer contains a websocket use it.
-        this.rtc.initializeBridgeChannel(null, wsUrl);
+        this.rtc.initializeBridgeChannel(null, wsUrl, this.connection.options.websocketFactory);
     } else {
         // Otherwise, fall back to an attempt to use SCTP.
         this.rtc.initializeBridgeChannel(pc, null);
@@ -2289,6 +2745,71 @@ JitsiConference.prototype.stopRecording = function(sessionID) {
     return Promise.reject(new Error('The conference is not created yet!'));
 };
 
+/**
+ * Checks whether the conference can be recorded locally, in the browser.
+ *
+ * @returns {boolean}
+ */
+JitsiConference.prototype.isLocalRecordingSupported = function() {
+    return LocalRecorder.isSupported();
+};
+
+/**
+ * Starts recording the conference locally, in the browser, without Jibri.
+ *
+ * @param {Object} [options] - Configuration for the recording. See {@link LocalRecorder#start} for more info.
+ * @returns {void}
+ * @throws {Error} If the recording is not supported, already in progress or there is nothing to record.
+ */
+JitsiConference.prototype.startLocalRecording = function(options) {
+    this.localRecorder.start(options);
+};
+
+/**
+ * Pauses the local recording.
+ *
+ * @returns {void}
+ */
+JitsiConference.prototype.pauseLocalRecording = function() {
+    this.localRecorder.pause();
+};
+
+/**
+ * Resumes the local recording.
+ *
+ * @returns {void}
+ */
+JitsiConference.prototype.resumeLocalRecording = function() {
+    this.localRecorder.resume();
+};
+
+/**
+ * Stops the local recording.
+ *
+ * @returns {Promise<Blob>} Resolved with the WebM file.
+ */
+JitsiConference.prototype.stopLocalRecording = function() {
+    return this.localRecorder.stop();
+};
+
+/**
+ * Returns the status of the local recording.
+ *
+ * @returns {string} One of {@link recordingConstants.localStatus}.
+ */
+JitsiConference.prototype.getLocalRecordingStatus = function() {
+    return this.localRecorder.getStatus();
+};
+
+/**
+ * Returns the data recorded locally so far, or the complete recording once it was stopped.
+ *
+ * @returns {Blob|undefined}
+ */
+JitsiConference.prototype.getLocalRecording = function() {
+    return this.localRecorder.getBlob();
+};
+
 /**
  * Returns true if the SIP calls are supported and false otherwise
  */
@@ -2594,6 +3115,12 @@ JitsiConference.prototype._fireIncompatibleVersionsEvent = function() {
  * @deprecated Use 'sendMessage' instead. TODO: this should be private.
  */
 JitsiConference.prototype.sendEndpointMessage = function(to, payload) {
+    if (this._e2eEncryption && this._e2eEncryption.shouldEncryptMessage(payload)) {
+        this._e2eEncryption.sendMessage(payload, to, true);
+
+        return;
+    }
+
     this.rtc.sendChannelMessage(to, payload);
 };
 
@@ -2629,6 +3156,8 @@ JitsiConference.prototype.broadcastEndpointMessage = function(payload) {
  * @param {boolean} sendThroughVideobridge Whether to send the message through
  * jitsi-videobridge (via the COLIBRI data channel or web socket), or through
  * the XMPP MUC. Currently only objects can be sent through jitsi-videobridge.
+ * @returns {string|undefined} the id of the message if it was sent through the
+ * XMPP MUC.
  */
 JitsiConference.prototype.sendMessage = function(
         message,
@@ -2646,6 +3175,10 @@ JitsiConference.prototype.sendMessage = function(
         return;
     }
 
+    if (this._e2eEncryption && this._e2eEncryption.shouldEncryptMessage(message)) {
+        return this._e2eEncryption.sendMessage(message, to, sendThroughVideobridge);
+    }
+
     if (sendThroughVideobridge) {
         this.sendEndpointMessage(to, message);
     } else {
@@ -2673,11 +3206,11 @@ JitsiConference.prototype.sendMessage = function(
         }
 
         if (to) {
-            this.sendPrivateTextMessage(to, messageToSend, elementName);
-        } else {
-            // Broadcast
-            this.sendTextMessage(messageToSend, elementName);
+            return this.sendPrivateTextMessage(to, messageToSend, elementName);
         }
+
+        // Broadcast
+        return this.sendTextMessage(messageToSend, elementName);
     }
 
 };
@@ -2778,12 +3311,7 @@ JitsiConference.prototype._acceptP2PIncomingCall = function(
     this.p2pJingleSession = jingleSession;
     this._sendConferenceJoinAnalyticsEvent();
 
-    this.p2pJingleSession.initialize(
-        this.room,
-        this.rtc, {
-            ...this.options.config,
-            enableInsertableStreams: this.isE2EEEnabled()
-        });
+    this.p2pJingleSession.initialize(this.room, this.rtc, this._getMediaSessionOptions());
 
     logger.info('Starting CallStats for P2P connection...');
 
@@ -3138,12 +3666,7 @@ JitsiConference.prototype._startP2PSession = function(remoteJid) {
         'Created new P2P JingleSession', this.room.myroomjid, remoteJid);
     this._sendConferenceJoinAnalyticsEvent();
 
-    this.p2pJingleSession.initialize(
-        this.room,
-        this.rtc, {
-            ...this.options.config,
-            enableInsertableStreams: this.isE2EEEnabled()
-        });
+    this.p2pJingleSession.initialize(this.room, this.rtc, this._getMediaSessionOptions());
 
     logger.info('Starting CallStats for P2P connection...');
 
@@ -3265,9 +3788,13 @@ JitsiConference.prototype._shouldBeInP2PMode = function() {
     const peers = this.getParticipants();
     const peerCount = peers.length;
     const hasBotPeer = peers.find(p => p.getBotType() === 'poltergeist' || p.hasFeature(FEATURE_JIGASI)) !== undefined;
-    const shouldBeInP2P = peerCount === 1 && !hasBotPeer;
 
-    logger.debug(`P2P? peerCount: ${peerCount}, hasBotPeer: ${hasBotPeer} => ${shouldBeInP2P}`);
+    // The P2P session sends a single video stream.
+    const hasMultipleVideoTracks = this.getLocalTracks(MediaType.VIDEO).length > 1;
+    const shouldBeInP2P = peerCount === 1 && !hasBotPeer && !hasMultipleVideoTracks;
+
+    logger.debug(`P2P? peerCount: ${peerCount}, hasBotPeer: ${hasBotPeer}, `
+        + `hasMultipleVideoTracks: ${hasMultipleVideoTracks} => ${shouldBeInP2P}`);
 
     return shouldBeInP2P;
 };
@@ -3455,6 +3982,129 @@ JitsiConference.prototype.setSenderVideoConstraint = function(maxFrameHeight) {
     return this.sendVideoController.setPreferredSendMaxFrameHeight(maxFrameHeight);
 };
 
+/**
+ * Caps the bandwidth the local participant uses for sending video. The
+ * simulcast layers which don't fit in the cap are turned off.
+ * @param {number|undefined} bitrate - The cap in bps or <tt>undefined</tt> to
+ * remove it.
+ * @returns {Promise} promise that will be resolved when the operation is
+ * successful and rejected otherwise.
+ */
+JitsiConference.prototype.setSenderBandwidthCap = function(bitrate) {
+    if (typeof bitrate !== 'undefined' && !(bitrate > 0)) {
+        return Promise.reject(new Error(`Invalid bandwidth cap: ${bitrate}`));
+    }
+
+    return this.sendBitrateController.setBandwidthCap(bitrate);
+};
+
+/**
+ * Enables or disables the RED redundancy of Opus, which makes the audio resilient to packet loss at the cost of a
+ * higher bitrate, on the bridge and the peer to peer sessions. The sessions are renegotiated for it to take effect
+ * and the setting is kept for the sessions started later. It overrides <tt>config.enableOpusRed</tt>.
+ *
+ * @param {boolean} enabled - Whether Opus is negotiated with RED.
+ * @returns {void}
+ */
+JitsiConference.prototype.setOpusRedEnabled = function(enabled) {
+    if (this.isOpusRedEnabled() === enabled) {
+        return;
+    }
+
+    this._opusRedEnabled = enabled;
+    for (const session of this._getMediaSessions()) {
+        session.setOpusRedEnabled(enabled);
+    }
+};
+
+/**
+ * Checks whether Opus is negotiated with RED redundancy, see {@link setOpusRedEnabled}.
+ *
+ * @returns {boolean}
+ */
+JitsiConference.prototype.isOpusRedEnabled = function() {
+    return this._opusRedEnabled ?? this.options.config.enableOpusRed === true;
+};
+
+/**
+ * Returns the renderer of the remote audio or throws if it's not enabled.
+ * @returns {RemoteAudioRenderer}
+ * @private
+ */
+JitsiConference.prototype._getRemoteAudioRenderer = function() {
+    if (!this.remoteAudioRenderer) {
+        throw new Error('The remote audio renderer is not enabled');
+    }
+
+    return this.remoteAudioRenderer;
+};
+
+/**
+ * Changes the volume a remote participant is played with. Requires
+ * <tt>config.enableRemoteAudioRenderer</tt>.
+ * @param {string} participantId - The id of the participant.
+ * @param {number} volume - The volume, from 0 (silent) to 1 (unchanged).
+ * Values above 1 amplify the audio.
+ * @returns {void}
+ */
+JitsiConference.prototype.setParticipantVolume = function(participantId, volume) {
+    if (!(volume >= 0)) {
+        throw new Error(`Invalid volume: ${volume}`);
+    }
+
+    this._getRemoteAudioRenderer().setVolume(participantId, volume);
+};
+
+/**
+ * Changes the stereo position a remote participant is played at, e.g. to
+ * match the position of the participant in a grid layout. Requires
+ * <tt>config.enableRemoteAudioRenderer</tt>.
+ * @param {string} participantId - The id of the participant.
+ * @param {number} pan - The position, from -1 (left) to 1 (right).
+ * @returns {void}
+ */
+JitsiConference.prototype.setParticipantStereoPan = function(participantId, pan) {
+    if (!(pan >= -1 && pan <= 1)) {
+        throw new Error(`Invalid stereo pan: ${pan}`);
+    }
+
+    this._getRemoteAudioRenderer().setPan(participantId, pan);
+};
+
+/**
+ * Changes the audio output device a remote participant is played on.
+ * Requires <tt>config.enableRemoteAudioRenderer</tt>.
+ * @param {string} participantId - The id of the participant.
+ * @param {string|undefined} deviceId - The id of an 'audiooutput' device from
+ * navigator.mediaDevices.enumerateDevices(), <tt>undefined</tt> for the
+ * participant to follow the device selected with
+ * JitsiMediaDevices.setAudioOutputDevice.
+ * @returns {Promise} promise that will be resolved when the operation is
+ * successful and rejected otherwise.
+ */
+JitsiConference.prototype.setParticipantAudioOutput = function(participantId, deviceId) {
+    if (!this.remoteAudioRenderer) {
+        return Promise.reject(new Error('The remote audio renderer is not enabled'));
+    }
+
+    return this.remoteAudioRenderer.setAudioOutput(participantId, deviceId);
+};
+
+/**
+ * Applies again the degradation preference, the video constraint and the max
+ * bitrates on the video senders of all the media sessions, e.g. after the
+ * screen share mode of the local desktop track changed.
+ * @returns {Promise} promise that will be resolved when the operation is
+ * successful and rejected otherwise.
+ * @private
+ */
+JitsiConference.prototype._updateSenderVideoParameters = function() {
+    return Promise.all(this._getMediaSessions().map(
+        session => session.setSenderVideoDegradationPreference()
+            .then(() => session.setSenderVideoConstraint())
+            .then(() => session.setSenderMaxBitrates())));
+};
+
 /**
  * Creates a video SIP GW session and returns it if service is enabled. Before
  * creating a session one need to check whether video SIP GW service is
@@ -3580,6 +4230,97 @@ JitsiConference.prototype.toggleE2EE = function(enabled) {
     this._e2eEncryption.setEnabled(enabled);
 };
 
+/**
+ * Returns the counters of the frames processed by End-to-End encryption for
+ * each participant, the local one included, e.g. to diagnose keys which are out
+ * of sync.
+ *
+ * @returns {Object} The counters keyed by participant id:
+ * <tt>{ encryptedFrames, encryptionFailures, decryptedFrames,
+ * decryptionFailures, unknownKeyIndexFrames }</tt>.
+ */
+JitsiConference.prototype.getE2EEStats = function() {
+    return this._e2eEncryption ? this._e2eEncryption.getStats() : {};
+};
+
+/**
+ * Sets a media key supplied by the application when the E2EE keys are
+ * externally managed (<tt>config.e2ee.externallyManagedKey</tt>). The key is
+ * not exchanged with the other participants, the application distributes it,
+ * and rotates it by setting a key with a new index.
+ *
+ * @param {Object} keyInfo - The key.
+ * @param {Uint8Array|false} keyInfo.encryptionKey - The key material, false to
+ * stop encrypting.
+ * @param {number} keyInfo.index - The index of the key.
+ * @param {string} [keyInfo.participantId] - The participant the key is used
+ * for. When not set, it's used for all the participants.
+ * @returns {void}
+ */
+JitsiConference.prototype.setMediaEncryptionKey = function(keyInfo) {
+    if (!this.isE2EESupported()) {
+        throw new Error('Cannot set the media encryption key: E2EE is not supported');
+    }
+
+    const { encryptionKey, index } = keyInfo || {};
+
+    if (!(encryptionKey instanceof Uint8Array || encryptionKey === false)) {
+        throw new Error('The media encryption key must be a Uint8Array or false');
+    }
+
+    if (!Number.isInteger(index) || index < 0) {
+        throw new Error(`Invalid media encryption key index: ${index}`);
+    }
+
+    this._e2eEncryption.setEncryptionKey(keyInfo);
+};
+
+/**
+ * Starts the verification of the E2EE identity key of a participant with a
+ * short authentication string. The string is emitted with
+ * {@link JitsiConferenceEvents.E2EE_VERIFICATION_READY} to both participants.
+ *
+ * @param {string} participantId - The id of the participant to verify.
+ * @returns {void}
+ */
+JitsiConference.prototype.startVerification = function(participantId) {
+    const participant = this.getParticipantById(participantId);
+
+    if (!participant) {
+        throw new Error(`Participant ${participantId} not found`);
+    }
+
+    if (!this.isE2EEEnabled()) {
+        throw new Error('Cannot verify a participant: E2EE is not enabled');
+    }
+
+    this._e2eEncryption.startVerification(participant);
+};
+
+/**
+ * Tells whether the short authentication string shown for a participant
+ * matches the one shown to the participant. The verification completes with
+ * {@link JitsiConferenceEvents.E2EE_VERIFICATION_COMPLETED} once both users
+ * confirmed.
+ *
+ * @param {string} participantId - The id of the participant being verified.
+ * @param {boolean} isVerified - Whether the strings match.
+ * @returns {void}
+ */
+JitsiConference.prototype.markParticipantVerified = function(participantId, isVerified) {
+    const participant = this.getParticipantById(participantId);
+
+    if (!participant) {
+        throw new Error(`Participant ${participantId} not found`);
+    }
+
+    if (!this.isE2EEEnabled()) {
+        throw new Error('Cannot verify a participant: E2EE is not enabled');
+    }
+
+    this._e2eEncryption.markParticipantVerified(participant, isVerified);
+};
+
 /**
  * Returns <tt>true</tt> if lobby support is enabled in the backend.
  *
@@ -3673,7 +4414,7 @@ JitsiConference.prototype.isAVModerationSupported = function() {
 
 /**
  * Enables AV Moderation.
- * @param {MediaType} mediaType "audio" or "video"
+ * @param {'audio'|'video'} mediaType "audio" or "video"
  */
 JitsiConference.prototype.enableAVModeration = function(mediaType) {
     if (this.room && this.isModerator()
@@ -3688,7 +4429,7 @@ JitsiConference.prototype.enableAVModeration = function(mediaType) {
 
 /**
  * Disables AV Moderation.
- * @param {MediaType} mediaType "audio" or "video"
+ * @param {'audio'|'video'} mediaType "audio" or "video"
  */
 JitsiConference.prototype.disableAVModeration = function(mediaType) {
     if (this.room && this.isModerator()
@@ -3704,7 +4445,7 @@ JitsiConference.prototype.disableAVModeration = function(mediaType) {
 /**
  * Approve participant access to certain media, allows unmuting audio or video.
  *
- * @param {MediaType} mediaType "audio" or "video"
+ * @param {'audio'|'video'} mediaType "audio" or "video"
  * @param id the id of the participant.
  */
 JitsiConference.prototype.avModerationApprove = function(mediaType, id) {
@@ -3724,3 +4465,156 @@ JitsiConference.prototype.avModerationApprove = function(mediaType, id) {
             this.room && this.isModerator() ? 'wrong media type passed' : ''}`);
     }
 };
+
+/**
+ * Returns the polls of this conference, which can be used to create polls, vote and close them.
+ *
+ * @returns {Polls|null}
+ */
+JitsiConference.prototype.getPolls = function() {
+    return this.polls;
+};
+
+/**
+ * Raises the hand of the local participant. The time at which the hand was raised is advertised to everyone so the
+ * raised hands can be ordered.
+ *
+ * @returns {void}
+ */
+JitsiConference.prototype.raiseHand = function() {
+    this.raisedHands && this.raisedHands.raiseHand();
+};
+
+/**
+ * Lowers the hand of the local participant.
+ *
+ * @returns {void}
+ */
+JitsiConference.prototype.lowerHand = function() {
+    this.raisedHands && this.raisedHands.lowerHand();
+};
+
+/**
+ * Asks a remote participant to lower their hand. Only moderators can do that.
+ *
+ * @param {string} id - The id of the participant.
+ * @returns {void}
+ */
+JitsiConference.prototype.lowerParticipantHand = function(id) {
+    this.raisedHands && this.raisedHands.lowerRemoteHand(id);
+};
+
+/**
+ * Lowers all the raised hands, including the one of the local participant. Only moderators can do that.
+ *
+ * @returns {Array<string>} The ids of the remote participants who were asked to lower their hand.
+ */
+JitsiConference.prototype.lowerAllHands = function() {
+    return this.raisedHands ? this.raisedHands.lowerAllHands() : [];
+};
+
+/**
+ * Returns whether the local participant has their hand raised.
+ *
+ * @returns {boolean}
+ */
+JitsiConference.prototype.isHandRaised = function() {
+    return Boolean(this.raisedHands && this.raisedHands.getLocalTimestamp());
+};
+
+/**
+ * Returns the participants, including the local one, with their hand raised in the order in which they raised it.
+ *
+ * @returns {Array<{participantId: string, timestamp: number}>}
+ */
+JitsiConference.prototype.getRaisedHandQueue = function() {
+    return this.raisedHands ? this.raisedHands.getQueue() : [];
+};
+
+/**
+ * Sends a reaction to everyone in the conference. Reactions are rate limited, see the
+ * <tt>reactionsRateLimit</tt> config option.
+ *
+ * @param {string} reaction - The reaction, e.g. an emoji.
+ * @returns {boolean} Whether the reaction was sent.
+ */
+JitsiConference.prototype.sendReaction = function(reaction) {
+    return Boolean(this.reactions && this.reactions.sendReaction(reaction));
+};
+
+/**
+ * Returns the breakout rooms manager object.
+ *
+ * @returns {Object} the breakout rooms manager.
+ */
+JitsiConference.prototype.getBreakoutRooms = function() {
+    return this.room?.getBreakoutRooms();
+};
+
+/**
+ * Returns <tt>true</tt> if breakout rooms support is enabled in the backend.
+ *
+ * @returns {boolean} whether breakout rooms are supported in the backend.
+ */
+JitsiConference.prototype.isBreakoutRoomsSupported = function() {
+    return Boolean(this.room && this.room.getBreakoutRooms().isSupported());
+};
+
+/**
+ * Creates a breakout room with the given subject. Only moderators can create breakout rooms.
+ *
+ * @param {string} subject - The subject of the new room.
+ */
+JitsiConference.prototype.addBreakoutRoom = function(subject) {
+    if (this.room && this.isModerator()) {
+        this.room.getBreakoutRooms().createBreakoutRoom(subject);
+    } else {
+        logger.warn(`Failed to add breakout room, ${this.room ? '' : 'not in a room, '}${
+            this.isModerator() ? '' : 'participant is not a moderator'}`);
+    }
+};
+
+/**
+ * Changes the subject of a breakout room. Only moderators can rename breakout rooms.
+ *
+ * @param {string} breakoutRoomJid - The JID of the breakout room.
+ * @param {string} subject - The new subject.
+ */
+JitsiConference.prototype.renameBreakoutRoom = function(breakoutRoomJid, subject) {
+    if (this.room && this.isModerator()) {
+        this.room.getBreakoutRooms().renameBreakoutRoom(breakoutRoomJid, subject);
+    } else {
+        logger.warn(`Failed to rename breakout room, ${this.room ? '' : 'not in a room, '}${
+            this.isModerator() ? '' : 'participant is not a moderator'}`);
+    }
+};
+
+/**
+ * Removes a breakout room, the participants in it are moved back to the main room. Only moderators can remove
+ * breakout rooms.
+ *
+ * @param {string} breakoutRoomJid - The JID of the breakout room.
+ */
+JitsiConference.prototype.removeBreakoutRoom = function(breakoutRoomJid) {
+    if (this.room && this.isModerator()) {
+        this.room.getBreakoutRooms().removeBreakoutRoom(breakoutRoomJid);
+    } else {
+        logger.warn(`Failed to remove breakout room, ${this.room ? '' : 'not in a room, '}${
+            this.isModerator() ? '' : 'participant is not a moderator'}`);
+    }
+};
+
+/**
+ * Moves a participant to a breakout room or back to the main room. Only moderators can move participants.
+ *
+ * @param {string} participantJid - The full JID of the participant in the room it currently is in.
+ * @param {string} roomJid - The JID of the target room. Use the main room JID to move the participant back.
+ */
+JitsiConference.prototype.sendParticipantToRoom = function(participantJid, roomJid) {
+    if (this.room && this.isModerator()) {
+        this.room.getBreakoutRooms().sendParticipantToRoom(participantJid, roomJid);
+    } else {
+        logger.warn(`Failed to move participant, ${this.room ? '' : 'not in a room, '}${
+            this.isModerator() ? '' : 'participant is not a moderator'}`);
+    }
+};
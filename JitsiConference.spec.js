@@ -0,0 +1,368 @@
+import EventEmitter from 'events';
+
+import JitsiConference from './JitsiConference';
+import * as JitsiConferenceEvents from './JitsiConferenceEvents';
+import browser from './modules/browser';
+import RaisedHands, { LOWER_HAND_REQUEST, RAISED_HAND_PROPERTY } from './modules/raisehand/RaisedHands';
+
+// JSDocs disabled for Mock classes to avoid duplication - check on the original classes for info.
+/* eslint-disable require-jsdoc */
+class MockLocalTrack {
+    constructor(mediaType, videoType) {
+        this.type = mediaType;
+        this.videoType = videoType;
+        this.disposed = false;
+        this._sourceName = undefined;
+    }
+
+    getType() {
+        return this.type;
+    }
+
+    getSourceName() {
+        return this._sourceName;
+    }
+
+    setSourceName(name) {
+        this._sourceName = name;
+    }
+}
+
+class MockParticipant {
+    constructor(id, { handRaised = false, hidden = false } = {}) {
+        this.id = id;
+        this.handRaised = handRaised;
+        this.hidden = hidden;
+    }
+
+    getId() {
+        return this.id;
+    }
+
+    getJid() {
+        return `room@conference.example.com/${this.id}`;
+    }
+
+    isHandRaised() {
+        return this.handRaised;
+    }
+
+    isHidden() {
+        return this.hidden;
+    }
+}
+
+class MockRTC {
+    constructor() {
+        this.localTracks = [];
+        this.setSourceVideoType = jasmine.createSpy('setSourceVideoType');
+        this.setVideoType = jasmine.createSpy('setVideoType');
+    }
+
+    getLocalTracks(mediaType) {
+        return this.localTracks.filter(track => !mediaType || track.getType() === mediaType);
+    }
+}
+
+/* eslint-enable require-jsdoc */
+
+/**
+ * Creates a conference, which is already joined and has a camera track, without going through the XMPP connection.
+ *
+ * @param {Object} config - The config of the conference.
+ * @returns {JitsiConference}
+ */
+function createConference(config) {
+    const conference = Object.create(JitsiConference.prototype);
+    const camera = new MockLocalTrack('video', 'camera');
+
+    camera.setSourceName('local-v0');
+    conference.options = { config };
+    conference.room = { myroomjid: 'room@conference.example.com/local' };
+    conference.rtc = new MockRTC();
+    conference.rtc.localTracks.push(camera);
+    conference.jvbJingleSession = jasmine.createSpyObj('jvbJingleSession', { addTracks: Promise.resolve() });
+    spyOn(conference, '_setupNewTrack').and.callFake(track => conference.rtc.localTracks.push(track));
+    spyOn(conference, '_maybeStartOrStopP2P');
+
+    return conference;
+}
+
+describe('JitsiConference', () => {
+    describe('_addAdditionalVideoTrack', () => {
+        let conference, screenshare;
+
+        beforeEach(() => {
+            spyOn(browser, 'usesUnifiedPlan').and.returnValue(true);
+            conference = createConference({ sendMultipleVideoStreams: true });
+            screenshare = new MockLocalTrack('video', 'desktop');
+        });
+
+        it('adds a second video track as a new source', async () => {
+            expect(await conference.addTrack(screenshare)).toBe(screenshare);
+
+            expect(screenshare.getSourceName()).toBe('local-v1');
+            expect(conference.jvbJingleSession.addTracks).toHaveBeenCalledWith([ screenshare ]);
+            expect(conference._setupNewTrack).toHaveBeenCalledWith(screenshare);
+            expect(conference.rtc.setSourceVideoType).toHaveBeenCalledWith('local-v1', 'desktop');
+            expect(conference.rtc.setVideoType).not.toHaveBeenCalled();
+            expect(conference._maybeStartOrStopP2P).toHaveBeenCalled();
+        });
+
+        it('reuses the name of a source which was removed', async () => {
+            conference.rtc.localTracks[0].setSourceName('local-v1');
+
+            await conference.addTrack(screenshare);
+
+            expect(screenshare.getSourceName()).toBe('local-v0');
+            expect(conference.rtc.setVideoType).toHaveBeenCalledWith('desktop');
+        });
+
+        it('adds the track once the media session is started when there is none yet', async () => {
+            const { jvbJingleSession } = conference;
+
+            conference.jvbJingleSession = null;
+            await conference.addTrack(screenshare);
+
+            expect(jvbJingleSession.addTracks).not.toHaveBeenCalled();
+            expect(conference._setupNewTrack).toHaveBeenCalledWith(screenshare);
+        });
+
+        it('doesn\'t set up the track when it could not be added to the media session', async () => {
+            conference.jvbJingleSession.addTracks.and.returnValue(Promise.reject('renegotiation failed'));
+
+            await expectAsync(conference.addTrack(screenshare)).toBeRejectedWithError('renegotiation failed');
+            expect(conference._setupNewTrack).not.toHaveBeenCalled();
+        });
+
+        it('rejects a disposed track', async () => {
+            screenshare.disposed = true;
+
+            await expectAsync(conference.addTrack(screenshare)).toBeRejected();
+            expect(conference.jvbJingleSession.addTracks).not.toHaveBeenCalled();
+        });
+
+        it('rejects a second video track when several video streams can\'t be sent', async () => {
+            conference.options.config.sendMultipleVideoStreams = false;
+
+            await expectAsync(conference.addTrack(screenshare))
+                .toBeRejectedWithError('Cannot add second video track to the conference');
+        });
+    });
+
+    describe('setOpusRedEnabled', () => {
+        let conference;
+
+        beforeEach(() => {
+            conference = createConference({ enableOpusRed: false });
+            conference.isE2EEEnabled = () => false;
+            conference.p2pJingleSession = jasmine.createSpyObj('p2pJingleSession', [ 'setOpusRedEnabled' ]);
+            conference.jvbJingleSession.setOpusRedEnabled = jasmine.createSpy('setOpusRedEnabled');
+        });
+
+        it('toggles RED on the bridge and the peer to peer sessions', () => {
+            conference.setOpusRedEnabled(true);
+
+            expect(conference.isOpusRedEnabled()).toBe(true);
+            expect(conference.jvbJingleSession.setOpusRedEnabled).toHaveBeenCalledWith(true);
+            expect(conference.p2pJingleSession.setOpusRedEnabled).toHaveBeenCalledWith(true);
+
+            conference.setOpusRedEnabled(false);
+
+            expect(conference.isOpusRedEnabled()).toBe(false);
+            expect(conference.jvbJingleSession.setOpusRedEnabled).toHaveBeenCalledWith(false);
+        });
+
+        it('doesn\'t renegotiate when the setting doesn\'t change', () => {
+            conference.setOpusRedEnabled(false);
+
+            expect(conference.jvbJingleSession.setOpusRedEnabled).not.toHaveBeenCalled();
+        });
+
+        it('keeps the setting for the sessions started later', () => {
+            conference.jvbJingleSession = null;
+            conference.p2pJingleSession = null;
+            conference.setOpusRedEnabled(true);
+
+            expect(conference._getMediaSessionOptions()).toEqual(jasmine.objectContaining({ enableOpusRed: true }));
+        });
+
+        it('defaults to the config', () => {
+            conference.options.config.enableOpusRed = true;
+
+            expect(conference.isOpusRedEnabled()).toBe(true);
+            expect(conference._getMediaSessionOptions()).toEqual(jasmine.objectContaining({ enableOpusRed: true }));
+        });
+    });
+
+    describe('muting participants', () => {
+        let conference, participantsMuted;
+
+        beforeEach(() => {
+            conference = createConference({});
+            conference.eventEmitter = new EventEmitter();
+            conference.participants = {
+                alice: new MockParticipant('alice'),
+                bob: new MockParticipant('bob'),
+                recorder: new MockParticipant('recorder', { hidden: true })
+            };
+            conference.room.isModerator = () => true;
+            conference.room.muteParticipant = jasmine.createSpy('muteParticipant').and.resolveTo();
+            spyOn(conference, 'enableAVModeration');
+            spyOn(conference, 'avModerationApprove');
+            participantsMuted = jasmine.createSpy('participantsMuted');
+            conference.on(JitsiConferenceEvents.PARTICIPANTS_MUTED, participantsMuted);
+        });
+
+        it('mutes a participant', async () => {
+            conference.muteParticipant('alice', 'video');
+
+            expect(conference.room.muteParticipant)
+                .toHaveBeenCalledOnceWith('room@conference.example.com/alice', true, 'video');
+            expect(participantsMuted).not.toHaveBeenCalled();
+
+            await new Promise(resolve => setTimeout(resolve));
+
+            expect(participantsMuted).toHaveBeenCalledOnceWith('video', [ 'alice' ]);
+        });
+
+        it('doesn\'t mute when the local participant is not a moderator', () => {
+            conference.room.isModerator = () => false;
+
+            conference.muteParticipant('alice');
+
+            expect(conference.muteAllParticipants()).toEqual([]);
+            expect(conference.room.muteParticipant).not.toHaveBeenCalled();
+            expect(conference.enableAVModeration).not.toHaveBeenCalled();
+        });
+
+        it('doesn\'t mute an unsupported media type', () => {
+            expect(conference.muteAllParticipants('data')).toEqual([]);
+            expect(conference.room.muteParticipant).not.toHaveBeenCalled();
+        });
+
+        it('mutes everyone but the hidden and the excluded participants', () => {
+            expect(conference.muteAllParticipants('audio', { exclude: [ 'bob' ] })).toEqual([ 'alice' ]);
+
+            expect(conference.room.muteParticipant)
+                .toHaveBeenCalledOnceWith('room@conference.example.com/alice', true, 'audio');
+            expect(conference.enableAVModeration).not.toHaveBeenCalled();
+        });
+
+        it('moderates the media and approves the excluded participants', () => {
+            conference.muteAllParticipants('video', {
+                exclude: [ 'bob' ],
+                moderate: true
+            });
+
+            expect(conference.enableAVModeration).toHaveBeenCalledOnceWith('video');
+            expect(conference.avModerationApprove).toHaveBeenCalledOnceWith('video', 'bob');
+        });
+
+        it('reports only the participants which the focus muted once it answered', async () => {
+            let rejectBob;
+
+            conference.room.muteParticipant.and.callFake(jid => {
+                if (jid.endsWith('/bob')) {
+                    return new Promise((resolve, reject) => {
+                        rejectBob = reject;
+                    });
+                }
+
+                return Promise.resolve();
+            });
+
+            conference.muteAllParticipants();
+            await new Promise(resolve => setTimeout(resolve));
+
+            expect(participantsMuted).not.toHaveBeenCalled();
+
+            rejectBob(new Error('not allowed'));
+            await new Promise(resolve => setTimeout(resolve));
+
+            expect(participantsMuted).toHaveBeenCalledOnceWith('audio', [ 'alice' ]);
+        });
+    });
+
+    describe('lowerAllHands', () => {
+        let conference, sendMessage;
+
+        beforeEach(() => {
+            conference = createConference({});
+            conference.eventEmitter = new EventEmitter();
+            conference.participants = {
+                alice: new MockParticipant('alice', { handRaised: true }),
+                bob: new MockParticipant('bob')
+            };
+            conference.room.isModerator = () => true;
+            conference.localProperties = { [RAISED_HAND_PROPERTY]: '1000' };
+            conference.getLocalParticipantProperty = name => conference.localProperties[name];
+            conference.setLocalParticipantProperty = (name, value) => {
+                conference.localProperties[name] = value;
+            };
+            conference.myUserId = () => 'local';
+            sendMessage = jasmine.createSpy('sendMessage');
+            conference.raisedHands = new RaisedHands(conference, sendMessage);
+        });
+
+        it('lowers the local hand and asks the others to lower theirs', () => {
+            expect(conference.lowerAllHands()).toEqual([ 'alice' ]);
+
+            expect(sendMessage).toHaveBeenCalledOnceWith({ type: LOWER_HAND_REQUEST }, 'alice');
+            expect(conference.isHandRaised()).toBe(false);
+        });
+
+        it('doesn\'t lower the hands when the local participant is not a moderator', () => {
+            conference.room.isModerator = () => false;
+
+            expect(conference.lowerAllHands()).toEqual([]);
+
+            expect(sendMessage).not.toHaveBeenCalled();
+            expect(conference.isHandRaised()).toBe(true);
+        });
+    });
+
+    describe('editing and deleting chat messages', () => {
+        let conference;
+
+        beforeEach(() => {
+            conference = createConference({});
+            conference.room.sendMessageCorrection = jasmine.createSpy('sendMessageCorrection').and.returnValue(true);
+            conference.room.sendMessageRetraction = jasmine.createSpy('sendMessageRetraction').and.returnValue(false);
+            conference._e2eEncryption = jasmine.createSpyObj('e2eEncryption', {
+                deleteMessage: true,
+                editMessage: false,
+                isEncryptingMessages: false
+            });
+        });
+
+        it('edits and deletes the messages in the MUC when the messages are not encrypted', () => {
+            expect(conference.editMessage('1', 'edited', 'bob')).toBe(true);
+            expect(conference.deleteMessage('2')).toBe(false);
+
+            expect(conference.room.sendMessageCorrection).toHaveBeenCalledOnceWith('1', 'edited', 'bob');
+            expect(conference.room.sendMessageRetraction).toHaveBeenCalledOnceWith('2', undefined);
+            expect(conference._e2eEncryption.editMessage).not.toHaveBeenCalled();
+            expect(conference._e2eEncryption.deleteMessage).not.toHaveBeenCalled();
+        });
+
+        it('edits and deletes the messages encrypted when the messages are encrypted', () => {
+            conference._e2eEncryption.isEncryptingMessages.and.returnValue(true);
+
+            expect(conference.editMessage('1', 'edited', 'bob')).toBe(false);
+            expect(conference.deleteMessage('2')).toBe(true);
+
+            expect(conference._e2eEncryption.editMessage).toHaveBeenCalledOnceWith('1', 'edited', 'bob');
+            expect(conference._e2eEncryption.deleteMessage).toHaveBeenCalledOnceWith('2', undefined);
+            expect(conference.room.sendMessageCorrection).not.toHaveBeenCalled();
+            expect(conference.room.sendMessageRetraction).not.toHaveBeenCalled();
+        });
+
+        it('doesn\'t edit or delete the messages once the room is left', () => {
+            conference.room = undefined;
+
+            expect(conference.editMessage('1', 'edited')).toBe(false);
+            expect(conference.deleteMessage('2')).toBe(false);
+        });
+    });
+});
@@ -111,6 +111,10 @@ JitsiConferenceEventManager.prototype.setupChatRoomListeners = function() {
                 () => {
                     conference.isMutedByFocus = true;
                     conference.mutedByFocusActor = null;
+                    conference.eventEmitter.emit(
+                        JitsiConferenceEvents.MUTED_BY_MODERATOR,
+                        MediaType.AUDIO,
+                        actor && conference.getParticipantById(Strophe.getResourceFromJid(actor)));
                 })
                 .catch(
                     error => {
@@ -135,6 +139,10 @@ JitsiConferenceEventManager.prototype.setupChatRoomListeners = function() {
                 () => {
                     conference.isVideoMutedByFocus = true;
                     conference.mutedVideoByFocusActor = null;
+                    conference.eventEmitter.emit(
+                        JitsiConferenceEvents.MUTED_BY_MODERATOR,
+                        MediaType.VIDEO,
+                        actor && conference.getParticipantById(Strophe.getResourceFromJid(actor)));
                 })
                 .catch(
                     error => {
@@ -323,6 +331,11 @@ JitsiConferenceEventManager.prototype.setupChatRoomListeners = function() {
     this.chatRoomForwarder.forward(XMPPEvents.MUC_MEMBERS_ONLY_CHANGED,
         JitsiConferenceEvents.MEMBERS_ONLY_CHANGED);
 
+    this.chatRoomForwarder.forward(XMPPEvents.BREAKOUT_ROOMS_MOVE_TO_ROOM,
+        JitsiConferenceEvents.BREAKOUT_ROOMS_MOVE_TO_ROOM);
+    this.chatRoomForwarder.forward(XMPPEvents.BREAKOUT_ROOMS_UPDATED,
+        JitsiConferenceEvents.BREAKOUT_ROOMS_UPDATED);
+
     chatRoom.addListener(XMPPEvents.MUC_MEMBER_JOINED,
         conference.onMemberJoined.bind(conference));
     this.chatRoomForwarder.forward(XMPPEvents.MUC_LOBBY_MEMBER_JOINED,
@@ -378,24 +391,58 @@ JitsiConferenceEventManager.prototype.setupChatRoomListeners = function() {
         XMPPEvents.MESSAGE_RECEIVED,
 
         // eslint-disable-next-line max-params
-        (jid, txt, myJid, ts) => {
+        (jid, txt, myJid, ts, messageId) => {
             const id = Strophe.getResourceFromJid(jid);
 
             conference.eventEmitter.emit(
                 JitsiConferenceEvents.MESSAGE_RECEIVED,
-                id, txt, ts);
+                id, txt, ts, messageId, false);
         });
 
     chatRoom.addListener(
         XMPPEvents.PRIVATE_MESSAGE_RECEIVED,
 
         // eslint-disable-next-line max-params
-        (jid, txt, myJid, ts) => {
+        (jid, txt, myJid, ts, messageId) => {
             const id = Strophe.getResourceFromJid(jid);
 
             conference.eventEmitter.emit(
                 JitsiConferenceEvents.PRIVATE_MESSAGE_RECEIVED,
-                id, txt, ts);
+                id, txt, ts, messageId, false);
+        });
+
+    chatRoom.addListener(
+        XMPPEvents.MESSAGE_CORRECTED,
+
+        // eslint-disable-next-line max-params
+        (jid, messageId, txt, isPrivate) => {
+            conference.eventEmitter.emit(
+                JitsiConferenceEvents.MESSAGE_EDITED,
+                Strophe.getResourceFromJid(jid), messageId, txt, isPrivate);
+        });
+
+    chatRoom.addListener(
+        XMPPEvents.MESSAGE_RETRACTED,
+        (jid, messageId, isPrivate) => {
+            conference.eventEmitter.emit(
+                JitsiConferenceEvents.MESSAGE_DELETED,
+                Strophe.getResourceFromJid(jid), messageId, isPrivate);
+        });
+
+    chatRoom.addListener(
+        XMPPEvents.MESSAGE_HISTORY_RECEIVED,
+        history => {
+            conference.eventEmitter.emit(
+                JitsiConferenceEvents.MESSAGE_HISTORY_RECEIVED,
+                history.map(({ from, messageId, text, timestamp, edited = false }) => {
+                    return {
+                        edited,
+                        messageId,
+                        participantId: Strophe.getResourceFromJid(from),
+                        text,
+                        timestamp
+                    };
+                }));
         });
 
     chatRoom.addListener(XMPPEvents.PRESENCE_STATUS,
@@ -419,7 +466,7 @@ JitsiConferenceEventManager.prototype.setupChatRoomListeners = function() {
             if (participant) {
                 conference.eventEmitter.emit(
                     JitsiConferenceEvents.ENDPOINT_MESSAGE_RECEIVED,
-                    participant, payload);
+                    participant, payload, false);
             } else {
                 logger.warn(
                     'Ignored XMPPEvents.JSON_MESSAGE_RECEIVED for not existing '
@@ -547,7 +594,7 @@ JitsiConferenceEventManager.prototype.setupRTCListeners = function() {
             if (participant) {
                 conference.eventEmitter.emit(
                     JitsiConferenceEvents.ENDPOINT_MESSAGE_RECEIVED,
-                    participant, payload);
+                    participant, payload, false);
             } else {
                 logger.warn(
                     'Ignored ENDPOINT_MESSAGE_RECEIVED for not existing '
@@ -20,6 +20,12 @@ export const AUTH_STATUS_CHANGED = 'conference.auth_status_changed';
  */
 export const BEFORE_STATISTICS_DISPOSED = 'conference.beforeStatisticsDisposed';
 
+/**
+ * Indicates that a live caption was received, either from the local streaming transcriber or broadcast by another
+ * participant. The event provides the caption to its listeners, see {@link LiveCaptions} for its format.
+ */
+export const CAPTION_RECEIVED = 'conference.captionReceived';
+
 /**
  * Indicates that an error occured.
  */
@@ -93,7 +99,8 @@ export const DTMF_SUPPORT_CHANGED = 'conference.dtmfSupportChanged';
 
 /**
  * Indicates that a message from another participant is received on data
- * channel.
+ * channel. The arguments are the participant, the payload and whether the
+ * message was end-to-end encrypted.
  */
 export const ENDPOINT_MESSAGE_RECEIVED = 'conference.endpoint_message_received';
 
@@ -113,8 +120,6 @@ export const ENDPOINT_STATS_RECEIVED = 'conference.endpoint_stats_received';
  * The first argument is a boolean which carries the previous value and
  * the seconds argument is a boolean with the new status. The event is emitted
  * only if the previous and the new values are different.
- *
- * @type {string}
  */
 export const JVB121_STATUS = 'conference.jvb121Status';
 
@@ -141,6 +146,16 @@ export const PARTICIPANT_KICKED = 'conference.participant_kicked';
  */
 export const LAST_N_ENDPOINTS_CHANGED = 'conference.lastNEndpointsChanged';
 
+/**
+ * Indicates that the status of the local recording changed. The event provides the following parameters to its
+ * listeners:
+ *
+ * @param {string} status - The new status, one of {@link recordingConstants.localStatus}.
+ * @param {string} [reason] - Why the recording stopped, one of {@link recordingConstants.localStopReason}, unset
+ * when it was stopped by the application.
+ */
+export const LOCAL_RECORDING_STATUS_CHANGED = 'conference.localRecordingStatusChanged';
+
 /**
  * Indicates that the room has been locked or unlocked.
  */
@@ -148,21 +163,19 @@ export const LOCK_STATE_CHANGED = 'conference.lock_state_changed';
 
 /**
  * Indicates that the region of the media server (jitsi-videobridge) that we
- * are connected to changed (or was initially set).
- * @type {string} the region.
+ * are connected to changed (or was initially set). The event provides the
+ * region.
  */
 export const SERVER_REGION_CHANGED = 'conference.server_region_changed';
 
 /**
  * An event(library-private) fired when a new media session is added to the conference.
- * @type {string}
  * @private
  */
 export const _MEDIA_SESSION_STARTED = 'conference.media_session.started';
 
 /**
  * An event(library-private) fired when the conference switches the currently active media session.
- * @type {string}
  * @private
  */
 export const _MEDIA_SESSION_ACTIVE_CHANGED = 'conference.media_session.active_changed';
@@ -176,7 +189,33 @@ export const _MEDIA_SESSION_ACTIVE_CHANGED = 'conference.media_session.active_ch
 export const MEMBERS_ONLY_CHANGED = 'conference.membersOnlyChanged';
 
 /**
- * New text message was received.
+ * A chat message was deleted by its sender or a moderator. The first argument
+ * is the id of the participant who deleted the message, the second is the id
+ * of the message and the third is whether the message was private.
+ */
+export const MESSAGE_DELETED = 'conference.messageDeleted';
+
+/**
+ * A chat message was edited by its sender. The first argument is the id of
+ * the sender, the second is the id of the message, the third is the new text
+ * and the fourth is whether the message was private.
+ */
+export const MESSAGE_EDITED = 'conference.messageEdited';
+
+/**
+ * The chat messages sent before we joined the conference were received. The
+ * argument is an array of <tt>{ participantId, messageId, text, timestamp,
+ * edited }</tt>, from the oldest to the newest message, where the edits and
+ * deletions of the messages are already applied. It is only emitted with the
+ * <tt>batchChatHistory</tt> option, the messages are otherwise emitted one by
+ * one as {@link MESSAGE_RECEIVED} with their timestamp.
+ */
+export const MESSAGE_HISTORY_RECEIVED = 'conference.messageHistoryReceived';
+
+/**
+ * New text message was received. The arguments are the id of the sender, the
+ * text, the timestamp if the message was delayed, the id of the message and
+ * whether the message was end-to-end encrypted.
  */
 export const MESSAGE_RECEIVED = 'conference.messageReceived';
 
@@ -191,7 +230,8 @@ export const NO_AUDIO_INPUT = 'conference.no_audio_input';
 export const NOISY_MIC = 'conference.noisy_mic';
 
 /**
- * New private text message was received.
+ * New private text message was received. The arguments are the same as the
+ * ones of {@link MESSAGE_RECEIVED}.
  */
 export const PRIVATE_MESSAGE_RECEIVED = 'conference.privateMessageReceived';
 
@@ -218,6 +258,55 @@ export const PARTICIPANT_CONN_STATUS_CHANGED
 export const PARTCIPANT_FEATURES_CHANGED
     = 'conference.partcipant_features_changed';
 
+/**
+ * Indicates that a poll was closed and no longer accepts votes. The event provides the following parameters to its
+ * listeners:
+ *
+ * @param {Object} poll - The poll that was closed.
+ */
+export const POLL_CLOSED = 'conference.poll.closed';
+
+/**
+ * Indicates that a new poll was created, or that an existing poll was received when joining the conference. The
+ * event provides the following parameters to its listeners:
+ *
+ * @param {Object} poll - The poll, {id, senderId, question, answers: [{name, voters}], closed}.
+ */
+export const POLL_CREATED = 'conference.poll.created';
+
+/**
+ * Indicates that the votes of a poll were replaced by the state received when joining the conference. The event
+ * provides the following parameters to its listeners:
+ *
+ * @param {Object} poll - The poll with the updated votes.
+ */
+export const POLL_UPDATED = 'conference.poll.updated';
+
+/**
+ * Indicates that a participant voted in a poll or changed their vote. The event provides the following parameters to
+ * its listeners:
+ *
+ * @param {Object} poll - The poll with the updated votes.
+ * @param {string} voterId - The id of the participant who voted.
+ */
+export const POLL_VOTE_CAST = 'conference.poll.voteCast';
+
+/**
+ * Indicates that a participant lowered their hand. The event provides the following parameters to its listeners:
+ *
+ * @param {string} participantId - The id of the participant, which may be the local one.
+ * @param {JitsiParticipant|undefined} actor - The moderator who lowered the hand of the local participant, if any.
+ */
+export const PARTICIPANT_HAND_LOWERED = 'conference.participant_hand_lowered';
+
+/**
+ * Indicates that a participant raised their hand. The event provides the following parameters to its listeners:
+ *
+ * @param {string} participantId - The id of the participant, which may be the local one.
+ * @param {number} timestamp - The time at which the hand was raised.
+ */
+export const PARTICIPANT_HAND_RAISED = 'conference.participant_hand_raised';
+
 /**
  * Indicates that a the value of a specific property of a specific participant
  * has changed.
@@ -239,10 +328,18 @@ export const PHONE_NUMBER_CHANGED = 'conference.phoneNumberChanged';
 
 /**
  * The conference properties changed.
- * @type {string}
  */
 export const PROPERTIES_CHANGED = 'conference.propertiesChanged';
 
+/**
+ * Indicates that a reaction was received from a participant. The event provides the following parameters to its
+ * listeners:
+ *
+ * @param {JitsiParticipant} participant - The participant who sent the reaction.
+ * @param {string} reaction - The reaction.
+ */
+export const REACTION_RECEIVED = 'conference.reaction_received';
+
 /**
  * Indicates that recording state changed.
  */
@@ -399,3 +496,65 @@ export const AV_MODERATION_CHANGED = 'conference.av_moderation.changed';
  * }.
  */
 export const AV_MODERATION_PARTICIPANT_APPROVED = 'conference.av_moderation.participant.approved';
+
+/**
+ * Event indicating that the local participant was asked to move to another room, a breakout room or back to
+ * the main room. It is up to the application to leave the current conference and join the new one.
+ * @param {string} roomJid - The JID of the room to move to.
+ */
+export const BREAKOUT_ROOMS_MOVE_TO_ROOM = 'conference.breakout-rooms.move-to-room';
+
+/**
+ * Event indicating that the breakout rooms list or the participant assignments changed.
+ * @param {Object} rooms - The rooms keyed by id, each with its jid, name, whether it is the main room and its
+ * participants.
+ */
+export const BREAKOUT_ROOMS_UPDATED = 'conference.breakout-rooms.updated';
+
+/**
+ * The short authentication string to verify the E2EE identity key of a participant is ready, both users should now
+ * compare it and tell the result with {@link JitsiConference#markParticipantVerified}.
+ * @param {string} participantId - The id of the participant being verified.
+ * @param {Object} sas - The short authentication string: <tt>{ decimal, emoji }</tt>, with <tt>decimal</tt> an array
+ * of three numbers and <tt>emoji</tt> an array of seven <tt>[ emoji, description ]</tt> pairs.
+ */
+export const E2EE_VERIFICATION_READY = 'conference.e2ee.verification.ready';
+
+/**
+ * The verification of the E2EE identity key of a participant completed.
+ * @param {string} participantId - The id of the participant being verified.
+ * @param {boolean} success - Whether the identity key was verified.
+ * @param {string} [message] - Why the verification failed.
+ */
+export const E2EE_VERIFICATION_COMPLETED = 'conference.e2ee.verification.completed';
+
+/**
+ * The E2EE identity key of a verified participant changed, the participant is no longer verified.
+ * @param {string} participantId - The id of the participant.
+ * @param {string} oldKey - The identity key which was verified.
+ * @param {string} newKey - The new identity key.
+ */
+export const E2EE_IDENTITY_KEY_CHANGED = 'conference.e2ee.identity_key_changed';
+
+/**
+ * The media of a participant keeps failing to be decrypted, usually because the E2EE keys are out of sync. It is
+ * emitted once until the decryption recovers.
+ * @param {string} participantId - The id of the participant.
+ * @param {Object} stats - The counters of the frames of the participant, see {@link JitsiConference#getE2EEStats}.
+ */
+export const E2EE_DECRYPTION_FAILED = 'conference.e2ee.decryption_failed';
+
+/**
+ * The focus muted participants, as asked by the local participant, a moderator. It is emitted once the focus
+ * answered all the requests, with the participants it muted.
+ * @param {MediaType} mediaType - The type of the media which was muted.
+ * @param {Array<string>} participantIds - The ids of the participants.
+ */
+export const PARTICIPANTS_MUTED = 'conference.participants_muted';
+
+/**
+ * The local participant was muted by a moderator.
+ * @param {MediaType} mediaType - The type of the media which was muted.
+ * @param {JitsiParticipant|undefined} actor - The moderator, undefined when not known.
+ */
+export const MUTED_BY_MODERATOR = 'conference.muted_by_moderator';
@@ -7,6 +7,58 @@ import {
     createConnectionFailedEvent
 } from './service/statistics/AnalyticsEvents';
 
+/**
+ * The options of a conference, see {@link JitsiConnection#initJitsiConference}.
+ *
+ * @typedef {Object} ConferenceOptions
+ * @property {number} [avgRtpStatsN=15] - How many samples are collected by the
+ * {@link AvgRTPStatsReporter} before their arithmetic mean is submitted.
+ * @property {boolean} [batchChatHistory] - Whether the chat messages sent
+ * before joining are emitted at once with
+ * {@link JitsiConferenceEvents.MESSAGE_HISTORY_RECEIVED} instead of one by one
+ * with {@link JitsiConferenceEvents.MESSAGE_RECEIVED}.
+ * @property {number} [channelLastN=-1] - The number of videos the bridge
+ * forwards, -1 for all of them.
+ * @property {number} [chatHistoryMaxStanzas] - The number of chat messages
+ * sent before joining the server is asked for, see
+ * <tt>batchChatHistory</tt>.
+ * @property {string} [confID] - The id of the conference for the statistics.
+ * @property {Object} [deploymentInfo] - Deployment specific information
+ * which is logged.
+ * @property {boolean} [enableForcedReload] - Whether the conference can be
+ * reloaded on the request of the focus.
+ * @property {boolean} [enableIceRestart=false] - Enables the ICE restart
+ * logic.
+ * @property {boolean} [enableNoAudioDetection] - Whether the
+ * {@link JitsiConferenceEvents.NO_AUDIO_INPUT} events are fired.
+ * @property {boolean} [enableNoisyMicDetection] - Whether the
+ * {@link JitsiConferenceEvents.NOISY_MIC} events are fired.
+ * @property {boolean} [enableOpusRed] - Whether Opus is negotiated with RED
+ * redundancy, which makes the audio resilient to packet loss, on both the
+ * bridge and the peer to peer sessions. The connection has to be created
+ * with <tt>enableOpusRed</tt> as well for the focus to offer RED. It can be
+ * changed during the conference with {@link JitsiConference#setOpusRedEnabled}.
+ * @property {boolean} [enableTalkWhileMuted] - Whether the
+ * {@link JitsiConferenceEvents.TALK_WHILE_MUTED} events are fired.
+ * @property {number} [forceJVB121Ratio] - The probability of a two people
+ * conference being moved to the bridge instead of going peer to peer.
+ * @property {string} [hiddenDomain] - The domain of the participants which
+ * are not shown, e.g. the recorders.
+ * @property {Object} [p2p] - The peer to peer settings, e.g.
+ * <tt>{ enabled, backToP2PDelay, stunServers }</tt>.
+ * @property {Object} [reactionsRateLimit] - Limits how many reactions can be
+ * sent or received per participant, <tt>{ max, interval }</tt>.
+ * @property {string} [siteID] - The id of the site for the statistics.
+ * @property {string} [statisticsDisplayName] - The display name reported to
+ * the statistics.
+ * @property {string} [statisticsId] - The id reported to the statistics.
+ * @property {Object} [testing] - Settings of the features which are being
+ * tested.
+ * @property {Object} [videoQuality] - The video codec and bitrate settings,
+ * e.g. <tt>{ preferredCodec, disabledCodec, maxBitratesVideo }</tt> where the
+ * codecs are among av1, h264, vp8 and vp9.
+ */
+
 /**
  * Creates a new connection object for the Jitsi Meet server side video
  * conferencing service. Provides access to the JitsiConference interface.
@@ -105,8 +157,8 @@ JitsiConnection.prototype.setToken = function(token) {
  * Creates and joins new conference.
  * @param name the name of the conference; if null - a generated name will be
  * provided from the api
- * @param options Object with properties / settings related to the conference
- * that will be created.
+ * @param {ConferenceOptions} options Object with properties / settings related
+ * to the conference that will be created.
  * @returns {JitsiConference} returns the new conference object.
  */
 JitsiConnection.prototype.initJitsiConference = function(name, options) {
@@ -21,6 +21,7 @@ import { ParticipantConnectionStatus }
 import getActiveAudioDevice from './modules/detection/ActiveDeviceDetector';
 import * as DetectionEvents from './modules/detection/DetectionEvents';
 import TrackVADEmitter from './modules/detection/TrackVADEmitter';
+import InsertableStreamsEffect from './modules/effects/InsertableStreamsEffect';
 import ProxyConnectionService
     from './modules/proxyconnection/ProxyConnectionService';
 import recordingConstants from './modules/recording/recordingConstants';
@@ -28,12 +29,27 @@ import Settings from './modules/settings/Settings';
 import LocalStatsCollector from './modules/statistics/LocalStatsCollector';
 import precallTest from './modules/statistics/PrecallTest';
 import Statistics from './modules/statistics/statistics';
+import { TranscriptFormat } from './modules/transcription/transcriptExport';
+import StreamingTranscriptionService
+    from './modules/transcription/transcriptionServices/AbstractStreamingTranscriptionService';
+import transcriptionServiceRegistry
+    from './modules/transcription/transcriptionServices/transcriptionServiceRegistry';
+import Word from './modules/transcription/word';
 import AuthUtil from './modules/util/AuthUtil';
 import GlobalOnErrorHandler from './modules/util/GlobalOnErrorHandler';
 import ScriptUtil from './modules/util/ScriptUtil';
 import * as VideoSIPGWConstants from './modules/videosipgw/VideoSIPGWConstants';
+import AudioEffect from './modules/webaudio/AudioEffect';
 import AudioMixer from './modules/webaudio/AudioMixer';
+import AudioMixerEffect from './modules/webaudio/AudioMixerEffect';
+import AudioProcessor, {
+    AutomaticGainControl,
+    Compressor,
+    NoiseGate,
+    WasmAudioProcessor
+} from './modules/webaudio/AudioProcessor';
 import * as MediaType from './service/RTC/MediaType';
+import * as ScreenshareMode from './service/RTC/ScreenshareMode';
 import * as ConnectionQualityEvents
     from './service/connectivity/ConnectionQualityEvents';
 import * as E2ePingEvents from './service/e2eping/E2ePingEvents';
@@ -47,6 +63,77 @@ const logger = Logger.getLogger(__filename);
  */
 const USER_MEDIA_SLOW_PROMISE_TIMEOUT = 1000;
 
+/**
+ * The options of {@link JitsiMeetJS.init}.
+ *
+ * @typedef {Object} InitOptions
+ * @property {Object} [audioQuality] - The audio settings, e.g.
+ * <tt>{ stereo }</tt>.
+ * @property {number} [audioLevelsInterval] - The interval (in ms) at which the
+ * local audio levels are computed.
+ * @property {Object} [deploymentInfo] - Deployment specific information
+ * which is logged.
+ * @property {boolean} [disableAEC] - Disables the acoustic echo cancellation.
+ * @property {boolean} [disableAGC] - Disables the automatic gain control.
+ * @property {boolean} [disableAP] - Disables all the audio processing.
+ * @property {boolean} [disableAudioLevels] - Disables the audio levels.
+ * @property {boolean} [disableH264] - Removes H.264 from the offered codecs.
+ * @property {boolean} [disableNS] - Disables the noise suppression.
+ * @property {boolean} [disableRtx] - Disables RTX.
+ * @property {boolean} [disableSimulcast] - Disables simulcast.
+ * @property {boolean} [disableThirdPartyRequests] - Prevents loading the
+ * third party services, e.g. callstats.
+ * @property {boolean} [enableAnalyticsLogging] - Enables the analytics.
+ * @property {boolean} [enableInsertableStreams] - Enables the insertable
+ * streams, which end-to-end encryption needs.
+ * @property {boolean} [enableWindowOnErrorHandler] - Reports the uncaught
+ * errors to the statistics.
+ * @property {Object} [externalStorage] - The storage used instead of the
+ * local storage.
+ * @property {number} [longTasksStatsInterval] - The interval (in ms) at which
+ * the long tasks are reported.
+ * @property {number} [pcStatsInterval] - The interval (in ms) at which the
+ * peer connection statistics are collected.
+ * @property {boolean} [preferH264] - Prefers H.264 over the other codecs.
+ * @property {boolean} [startSilent] - Neither sends nor receives audio.
+ */
+
+/**
+ * The options of {@link JitsiMeetJS.createLocalTracks}.
+ *
+ * @typedef {Object} CreateLocalTracksOptions
+ * @property {Array<string>} [devices] - The types of the tracks to create:
+ * 'audio', 'video' and/or 'desktop'.
+ * @property {string} [cameraDeviceId] - The id of the camera.
+ * @property {Object} [constraints] - The getUserMedia constraints used as a
+ * base.
+ * @property {Object} [desktopSharingFrameRate] - The frame rate of the
+ * desktop track, <tt>{ min, max }</tt>.
+ * @property {string} [desktopSharingSourceDevice] - The id or label of a
+ * video input device to share instead of the screen.
+ * @property {Array<Object>} [effects] - The effects to apply to the tracks,
+ * in order; several effects can be chained, each processing the output of
+ * the previous one.
+ * @property {string} [facingMode] - Which camera to use, 'user' or
+ * 'environment'.
+ * @property {boolean} [firePermissionPromptIsShownEvent] - Whether
+ * {@link JitsiMediaDevicesEvents.PERMISSION_PROMPT_IS_SHOWN} is fired.
+ * @property {boolean} [fireSlowPromiseEvent] - Whether
+ * {@link JitsiMediaDevicesEvents.SLOW_GET_USER_MEDIA} is fired.
+ * @property {string} [micDeviceId] - The id of the microphone.
+ * @property {boolean} [mixDesktopAudio] - Whether the audio captured along
+ * with the screen is mixed into the microphone track, when both 'desktop' and
+ * 'audio' are requested, instead of being returned as a separate track. The
+ * volumes are controlled through the {@code AudioMixerEffect} among the
+ * effects of the microphone track, and the desktop audio stops along with the
+ * desktop track.
+ * @property {string} [resolution] - The resolution of the video track, e.g.
+ * '720'.
+ * @property {string} [screenshareMode] - How the desktop track is optimized,
+ * one of {@link ScreenshareMode}, see {@link JitsiLocalTrack#setScreenshareMode}.
+ * @property {number} [timeout] - The time (in ms) to wait for getUserMedia.
+ */
+
 /**
  * Extracts from an 'options' objects with a specific format (TODO what IS the
  * format?) the attributes which are to be logged in analytics events.
@@ -85,10 +172,11 @@ function getAnalyticsAttributesFromOptions(options) {
  * existing values of the namespace {@code JitsiMeetJS} into the module
  * {@code JitsiMeetJS}.
  *
- * @param {Object} module - The module {@code JitsiMeetJS} (which will be
+ * @template T
+ * @param {T} module - The module {@code JitsiMeetJS} (which will be
  * exported and may be attached to {@code window} by webpack later on).
  * @private
- * @returns {Object} - A {@code JitsiMeetJS} module which contains all existing
+ * @returns {T} - A {@code JitsiMeetJS} module which contains all existing
  * value of the namespace {@code JitsiMeetJS} (if any).
  */
 function _mergeNamespaceAndModule(module) {
@@ -116,9 +204,39 @@ export default _mergeNamespaceAndModule({
      */
     ProxyConnectionService,
 
+    /**
+     * The speech-to-text services the {@code Transcriber} can use.
+     * Applications can plug in their own backend by registering a service
+     * which extends {@code StreamingTranscriptionService}.
+     */
+    transcription: {
+        services: transcriptionServiceRegistry,
+        StreamingTranscriptionService,
+        TranscriptFormat,
+        Word
+    },
+
+    /**
+     * The effects which can be applied, and chained, on the local tracks with
+     * {@code JitsiLocalTrack.setEffects}. An {@code AudioEffect} runs the audio
+     * through a chain of {@code AudioProcessor}s, either the built-in ones or
+     * application provided ones, e.g. a {@code WasmAudioProcessor} denoiser.
+     */
+    effects: {
+        AudioEffect,
+        AudioMixerEffect,
+        AudioProcessor,
+        AutomaticGainControl,
+        Compressor,
+        InsertableStreamsEffect,
+        NoiseGate,
+        WasmAudioProcessor
+    },
+
     constants: {
         participantConnectionStatus: ParticipantConnectionStatus,
         recording: recordingConstants,
+        screenshareMode: ScreenshareMode,
         sipVideoGW: VideoSIPGWConstants,
         transcriptionStatus: JitsiTranscriptionStatus
     },
@@ -142,9 +260,17 @@ export default _mergeNamespaceAndModule({
     logLevels: Logger.levels,
     mediaDevices: JitsiMediaDevices,
     analytics: Statistics.analytics,
+
+    /**
+     * Initializes the library.
+     *
+     * @param {InitOptions} [options] - The options.
+     * @returns {void}
+     */
     init(options = {}) {
         Settings.init(options.externalStorage);
         Statistics.init(options);
+        AudioProcessor.init(options);
 
         // Initialize global window.connectionTimes
         // FIXME do not use 'window'
@@ -220,7 +346,7 @@ export default _mergeNamespaceAndModule({
     /**
      * Sets the log level to the <tt>Logger</tt> instance with given id.
      *
-     * @param {Logger.levels} level the logging level to be set
+     * @param {string} level the logging level to be set
      * @param {string} id the logger id to which new logging level will be set.
      * Usually it's the name of the JavaScript source file including the path
      * ex. "modules/xmpp/ChatRoom.js"
@@ -263,18 +389,9 @@ export default _mergeNamespaceAndModule({
     /**
      * Creates the media tracks and returns them trough the callback.
      *
-     * @param options Object with properties / settings specifying the tracks
-     * which should be created. should be created or some additional
+     * @param {CreateLocalTracksOptions} [options] Object with properties /
+     * settings specifying the tracks which should be created or some additional
      * configurations about resolution for example.
-     * @param {Array} options.effects optional effects array for the track
-     * @param {boolean} options.firePermissionPromptIsShownEvent - if event
-     * JitsiMediaDevicesEvents.PERMISSION_PROMPT_IS_SHOWN should be fired
-     * @param {boolean} options.fireSlowPromiseEvent - if event
-     * JitsiMediaDevicesEvents.USER_MEDIA_SLOW_PROMISE_TIMEOUT should be fired
-     * @param {Array} options.devices the devices that will be requested
-     * @param {string} options.resolution resolution constraints
-     * @param {string} options.cameraDeviceId
-     * @param {string} options.micDeviceId
      * @param {intiger} interval - the interval (in ms) for
      * checking whether the desktop sharing extension is installed or not
      * @param {Function} checkAgain - returns boolean. While checkAgain()==true
@@ -292,9 +409,11 @@ export default _mergeNamespaceAndModule({
      * is found createLocalTracks will try to get the desktop sharing track and
      * will finish the execution. If checkAgain returns false, createLocalTracks
      * will finish the execution with rejected Promise.
+     * @param {boolean} [oldfirePermissionPromptIsShownEvent] - Deprecated, use
+     * options.firePermissionPromptIsShownEvent instead.
      *
      * @deprecated old firePermissionPromptIsShownEvent
-     * @returns {Promise.<{Array.<JitsiTrack>}, JitsiConferenceError>} A promise
+     * @returns {Promise<Array<JitsiLocalTrack>>} A promise
      * that returns an array of created JitsiTracks if resolved, or a
      * JitsiConferenceError if rejected.
      */
@@ -364,16 +483,25 @@ export default _mergeNamespaceAndModule({
                     }
                 }
 
-                // set the contentHint to "detail" for desktop tracks
+                // set the contentHint to "detail" for desktop tracks, or apply
+                // the requested screen share mode
+                const screenshareModePromises = [];
+
                 // eslint-disable-next-line prefer-const
                 for (const track of tracks) {
                     if (track.type === MediaType.VIDEO
                         && track.videoType === 'desktop') {
-                        this.setVideoTrackContentHints(track.track, 'detail');
+                        if (options.screenshareMode) {
+                            screenshareModePromises.push(
+                                track.setScreenshareMode(options.screenshareMode)
+                                    .catch(error => logger.warn('Failed to set the screen share mode', error)));
+                        } else {
+                            this.setVideoTrackContentHints(track.track, 'detail');
+                        }
                     }
                 }
 
-                return tracks;
+                return Promise.all(screenshareModePromises).then(() => tracks);
             })
             .catch(error => {
                 promiseFulfilled = true;
@@ -554,8 +682,10 @@ export default _mergeNamespaceAndModule({
     /**
      * Informs lib-jitsi-meet about the current network status.
      *
-     * @param {boolean} isOnline - {@code true} if the internet connectivity is online or {@code false}
+     * @param {Object} options - The network status.
+     * @param {boolean} options.isOnline - {@code true} if the internet connectivity is online or {@code false}
      * otherwise.
+     * @returns {void}
      */
     setNetworkInfo({ isOnline }) {
         NetworkInfo.updateNetworkInfo({ isOnline });
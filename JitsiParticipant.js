@@ -5,6 +5,7 @@ import { Strophe } from 'strophe.js';
 import * as JitsiConferenceEvents from './JitsiConferenceEvents';
 import { ParticipantConnectionStatus }
     from './modules/connectivity/ParticipantConnectionStatus';
+import { RAISED_HAND_PROPERTY, parseTimestamp } from './modules/raisehand/RaisedHands';
 import * as MediaType from './service/RTC/MediaType';
 
 /**
@@ -42,6 +43,7 @@ export default class JitsiParticipant {
         this._properties = {};
         this._identity = identity;
         this._features = new Set();
+        this._e2eeVerified = false;
     }
 
     /* eslint-enable max-params */
@@ -127,7 +129,7 @@ export default class JitsiParticipant {
     }
 
     /**
-     * @param {MediaType} mediaType
+     * @param {'audio'|'video'} mediaType
      * @returns {Array.<JitsiTrack>} an array of media tracks for this
      * participant, for given media type.
      */
@@ -197,7 +199,7 @@ export default class JitsiParticipant {
      * Determines whether all JitsiTracks which are of a specific MediaType and
      * which belong to this JitsiParticipant are muted.
      *
-     * @param {MediaType} mediaType - The MediaType of the JitsiTracks to be
+     * @param {'audio'|'video'} mediaType - The MediaType of the JitsiTracks to be
      * checked.
      * @private
      * @returns {Boolean} True if all JitsiTracks which are of the specified
@@ -218,6 +220,21 @@ export default class JitsiParticipant {
         return this._isMediaTypeMuted(MediaType.VIDEO);
     }
 
+    /**
+     * @returns {Boolean} Whether this participant has raised their hand.
+     */
+    isHandRaised() {
+        return Boolean(this.getRaisedHandTimestamp());
+    }
+
+    /**
+     * @returns {number|undefined} The time at which this participant raised
+     * their hand or undefined if the hand is not raised.
+     */
+    getRaisedHandTimestamp() {
+        return parseTimestamp(this.getProperty(RAISED_HAND_PROPERTY));
+    }
+
     /**
      * @returns {String} The role of this participant.
      */
@@ -242,7 +259,7 @@ export default class JitsiParticipant {
 
     /**
      * Returns a set with the features for the participant.
-     * @returns {Promise<Set<String>, Error>}
+     * @returns {Promise<Set<string>>}
      */
     getFeatures() {
         return Promise.resolve(this._features);
@@ -266,6 +283,22 @@ export default class JitsiParticipant {
         this._features = newFeatures || new Set();
     }
 
+    /**
+     * @returns {boolean} Whether the E2EE identity key of this participant was
+     * verified by the local user with a short authentication string.
+     */
+    isE2EEVerified() {
+        return this._e2eeVerified;
+    }
+
+    /**
+     * Sets whether the E2EE identity key of this participant was verified.
+     * @param {boolean} verified - The new verified state.
+     */
+    setE2EEVerified(verified) {
+        this._e2eeVerified = verified;
+    }
+
     /**
      * Returns the bot type for the participant.
      *
@@ -135,8 +135,13 @@ function JitsiTrackError(error, options, devices) {
     this.stack = error.stack || (new Error()).stack;
 }
 
-JitsiTrackError.prototype = Object.create(Error.prototype);
-JitsiTrackError.prototype.constructor = JitsiTrackError;
+JitsiTrackError.prototype = Object.create(Error.prototype, {
+    constructor: {
+        configurable: true,
+        value: JitsiTrackError,
+        writable: true
+    }
+});
 
 /**
  * Gets failed resolution constraint from corresponding object.
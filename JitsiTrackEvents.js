@@ -43,3 +43,37 @@ export const NO_DATA_FROM_SOURCE = 'track.no_data_from_source';
  * the microphone that is currently selected.
  */
 export const NO_AUDIO_INPUT = 'track.no_audio_input';
+
+/**
+ * An effect was started on a local track. The first argument is the effect instance.
+ */
+export const TRACK_EFFECT_STARTED = 'track.effectStarted';
+
+/**
+ * An effect was stopped on a local track. The first argument is the effect instance.
+ */
+export const TRACK_EFFECT_STOPPED = 'track.effectStopped';
+
+/**
+ * An effect could not be applied on a local track. The first argument is the effect instance, the second one is the
+ * error.
+ */
+export const TRACK_EFFECT_FAILED = 'track.effectFailed';
+
+/**
+ * The recording of the track started, see {@link JitsiTrack#startRecording}. The first argument is the time (a Date)
+ * the recording started.
+ */
+export const TRACK_RECORDING_STARTED = 'track.recordingStarted';
+
+/**
+ * Recorded data of the track was collected. The first argument is the data (a Blob), the second one is the time (a
+ * Date) it was collected.
+ */
+export const TRACK_RECORDING_DATA = 'track.recordingData';
+
+/**
+ * The recording of the track stopped, either because it was requested or because the track ended. The first argument
+ * is the result (a TrackRecordingResult) also returned by {@link JitsiTrack#stopRecording}.
+ */
+export const TRACK_RECORDING_STOPPED = 'track.recordingStopped';
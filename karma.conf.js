@@ -16,6 +16,7 @@ module.exports = function(config) {
         files: [
             'https://code.jquery.com/jquery-3.5.1.min.js',
             'node_modules/core-js/index.js',
+            './*.spec.js',
             './modules/**/*.spec.js'
         ],
 
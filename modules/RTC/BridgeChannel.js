@@ -17,12 +17,14 @@ export default class BridgeChannel {
      * instance, or creates a WebSocket connection with the videobridge.
      * At least one of both, peerconnection or wsUrl parameters, must be
      * given.
-     * @param {RTCPeerConnection} [peerconnection] WebRTC peer connection
+     * @param {?RTCPeerConnection} peerconnection WebRTC peer connection
      * instance.
-     * @param {string} [wsUrl] WebSocket URL.
+     * @param {?string} wsUrl WebSocket URL.
      * @param {EventEmitter} emitter the EventEmitter instance to use for event emission.
+     * @param {Function} [websocketFactory] a function which takes the URL and returns the WebSocket to use, if missing
+     * the browser's WebSocket is used.
      */
-    constructor(peerconnection, wsUrl, emitter) {
+    constructor(peerconnection, wsUrl, emitter, websocketFactory) {
         if (!peerconnection && !wsUrl) {
             throw new TypeError('At least peerconnection or wsUrl must be given');
         } else if (peerconnection && wsUrl) {
@@ -68,6 +70,7 @@ export default class BridgeChannel {
         // Otherwise create a WebSocket connection.
         } else if (wsUrl) {
             this._areRetriesEnabled = true;
+            this._websocketFactory = websocketFactory;
             this._wsUrl = wsUrl;
             this._initWebSocket();
         }
@@ -80,7 +83,7 @@ export default class BridgeChannel {
      */
     _initWebSocket() {
         // Create a WebSocket instance.
-        const ws = new WebSocket(this._wsUrl);
+        const ws = this._websocketFactory ? this._websocketFactory(this._wsUrl) : new WebSocket(this._wsUrl);
 
         // Handle the WebSocket.
         this._handleChannel(ws);
@@ -249,7 +252,7 @@ export default class BridgeChannel {
     /**
      * Sends a 'ReceiverVideoConstraints' message via the bridge channel.
      *
-     * @param {ReceiverVideoConstraints} constraints video constraints.
+     * @param {Object} constraints video constraints.
      */
     sendNewReceiverVideoConstraintsMessage(constraints) {
         logger.log(`Sending ReceiverVideoConstraints with ${JSON.stringify(constraints)}`);
@@ -272,6 +275,22 @@ export default class BridgeChannel {
         });
     }
 
+    /**
+     * Sends a 'SourceVideoTypeMessage' message via the bridge channel, for the sources of an endpoint which sends
+     * several video streams.
+     *
+     * @param {string} sourceName - The name of the source.
+     * @param {string} videoType 'camera', 'desktop' or 'none'.
+     */
+    sendSourceVideoTypeMessage(sourceName, videoType) {
+        logger.debug(`Sending SourceVideoTypeMessage with video type ${videoType} for ${sourceName}`);
+        this._send({
+            colibriClass: 'SourceVideoTypeMessage',
+            sourceName,
+            videoType
+        });
+    }
+
     /**
      * Set events on the given RTCDataChannel or WebSocket instance.
      */
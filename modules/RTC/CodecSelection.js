@@ -87,6 +87,11 @@ export class CodecSelection {
      * @private
      */
     _isCodecSupported(preferredCodec) {
+        // AV1 has to be supported for both encoding and decoding which is not a given, even on Chrome.
+        if (preferredCodec === CodecMimeType.AV1) {
+            return browser.supportsAV1();
+        }
+
         // Skip the check on FF and RN because they do not support the getCapabilities API.
         // It is safe to assume both of them support all the codecs supported by Chrome.
         if (browser.isFirefox() || browser.isReactNative()) {
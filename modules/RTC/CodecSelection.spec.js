@@ -0,0 +1,141 @@
+import * as JitsiConferenceEvents from '../../JitsiConferenceEvents';
+import CodecMimeType from '../../service/RTC/CodecMimeType';
+import browser from '../browser';
+import Listenable from '../util/Listenable';
+
+import { CodecSelection } from './CodecSelection';
+
+// JSDocs disabled for Mock classes to avoid duplication - check on the original classes for info.
+/* eslint-disable require-jsdoc */
+class MockConference extends Listenable {
+    constructor() {
+        super();
+        this.jvbJingleSession = null;
+    }
+
+    getParticipants() {
+        return [];
+    }
+}
+
+/**
+ * Mock RTCRtpSender or RTCRtpReceiver, with the given video codecs.
+ */
+class MockRtp {
+    constructor(codecs) {
+        this.getCapabilities = () => {
+            return {
+                codecs: codecs.map(codec => {
+                    return { mimeType: `video/${codec.toUpperCase()}` };
+                })
+            };
+        };
+    }
+}
+
+class MockSession {
+    constructor(isP2P = false) {
+        this.isP2P = isP2P;
+        this.setVideoCodecs = jasmine.createSpy('setVideoCodecs');
+    }
+}
+
+/* eslint-enable require-jsdoc */
+
+describe('CodecSelection', () => {
+    const { RTCRtpReceiver, RTCRtpSender } = window;
+    let conference;
+
+    /**
+     * Sets the video codecs the browser can encode and decode.
+     *
+     * @param {Array<string>} encoders - The codecs which can be encoded.
+     * @param {Array<string>} decoders - The codecs which can be decoded.
+     * @returns {void}
+     */
+    function setBrowserCodecs(encoders, decoders = encoders) {
+        window.RTCRtpSender = new MockRtp(encoders);
+        window.RTCRtpReceiver = new MockRtp(decoders);
+    }
+
+    beforeEach(() => {
+        conference = new MockConference();
+        setBrowserCodecs([ 'vp8', 'vp9', 'h264', 'av1' ]);
+    });
+
+    afterEach(() => {
+        window.RTCRtpReceiver = RTCRtpReceiver;
+        window.RTCRtpSender = RTCRtpSender;
+    });
+
+    describe('AV1', () => {
+        it('is preferred when the browser can encode and decode it', () => {
+            const codecSelection = new CodecSelection(conference, {
+                jvbCodec: 'AV1',
+                p2pCodec: 'av1'
+            });
+
+            expect(codecSelection.getPreferredCodec()).toBe(CodecMimeType.AV1);
+            expect(codecSelection.p2pPreferredCodec).toBe(CodecMimeType.AV1);
+        });
+
+        it('falls back to VP8 when the browser can only decode it', () => {
+            setBrowserCodecs([ 'vp8', 'vp9' ], [ 'vp8', 'vp9', 'av1' ]);
+
+            expect(new CodecSelection(conference, { jvbCodec: 'av1' }).getPreferredCodec()).toBe(CodecMimeType.VP8);
+        });
+
+        it('falls back to VP8 when the browser can only encode it', () => {
+            setBrowserCodecs([ 'vp8', 'av1' ], [ 'vp8' ]);
+
+            expect(new CodecSelection(conference, { jvbCodec: 'av1' }).getPreferredCodec()).toBe(CodecMimeType.VP8);
+        });
+
+        it('falls back to VP8 on the browsers without the capabilities API', () => {
+            delete window.RTCRtpSender;
+            spyOn(browser, 'isFirefox').and.returnValue(true);
+
+            expect(new CodecSelection(conference, { jvbCodec: 'av1' }).getPreferredCodec()).toBe(CodecMimeType.VP8);
+        });
+
+        it('is disabled only when the browser supports it', () => {
+            const session = new MockSession();
+            const codecSelection = new CodecSelection(conference, { disabledCodec: 'av1' });
+
+            conference.eventEmitter.emit(JitsiConferenceEvents._MEDIA_SESSION_STARTED, session);
+
+            expect(session.setVideoCodecs).toHaveBeenCalledWith(CodecMimeType.VP8, CodecMimeType.AV1);
+
+            setBrowserCodecs([ 'vp8' ]);
+            conference.eventEmitter.emit(JitsiConferenceEvents._MEDIA_SESSION_STARTED, session);
+
+            expect(session.setVideoCodecs).toHaveBeenCalledWith(CodecMimeType.VP8, null);
+            expect(codecSelection.getPreferredCodec()).toBe(CodecMimeType.VP8);
+        });
+    });
+
+    it('prefers a codec the browser can decode', () => {
+        expect(new CodecSelection(conference, { jvbCodec: 'vp9' }).getPreferredCodec()).toBe(CodecMimeType.VP9);
+
+        setBrowserCodecs([ 'vp8' ]);
+
+        expect(new CodecSelection(conference, { jvbCodec: 'vp9' }).getPreferredCodec()).toBe(CodecMimeType.VP8);
+    });
+
+    it('ignores an unknown codec', () => {
+        expect(new CodecSelection(conference, { jvbCodec: 'theora' }).getPreferredCodec()).toBe(CodecMimeType.VP8);
+    });
+
+    it('sets the preferred codec on the p2p session', () => {
+        const session = new MockSession(true);
+        const codecSelection = new CodecSelection(conference, {
+            jvbCodec: 'vp9',
+            p2pCodec: 'av1'
+        });
+
+        conference.eventEmitter.emit(JitsiConferenceEvents._MEDIA_SESSION_STARTED, session);
+
+        expect(session.setVideoCodecs).toHaveBeenCalledOnceWith(CodecMimeType.AV1, null);
+        expect(codecSelection.getPreferredCodec()).toBe(CodecMimeType.VP9);
+    });
+});
@@ -10,11 +10,15 @@ import {
 import {
     LOCAL_TRACK_STOPPED,
     NO_DATA_FROM_SOURCE,
+    TRACK_EFFECT_FAILED,
+    TRACK_EFFECT_STARTED,
+    TRACK_EFFECT_STOPPED,
     TRACK_MUTE_CHANGED
 } from '../../JitsiTrackEvents';
 import CameraFacingMode from '../../service/RTC/CameraFacingMode';
 import * as MediaType from '../../service/RTC/MediaType';
 import RTCEvents from '../../service/RTC/RTCEvents';
+import * as ScreenshareMode from '../../service/RTC/ScreenshareMode';
 import VideoType from '../../service/RTC/VideoType';
 import {
     NO_BYTES_SENT,
@@ -23,9 +27,11 @@ import {
 } from '../../service/statistics/AnalyticsEvents';
 import browser from '../browser';
 import Statistics from '../statistics/statistics';
+import AudioMixerEffect from '../webaudio/AudioMixerEffect';
 
 import JitsiTrack from './JitsiTrack';
 import RTCUtils from './RTCUtils';
+import ScreenObtainer, { SS_MOTION_FRAME_RATE, SS_MOTION_MAX_HEIGHT } from './ScreenObtainer';
 
 const logger = getLogger(__filename);
 
@@ -45,15 +51,23 @@ export default class JitsiLocalTrack extends JitsiTrack {
      * JitsiRemoteTrack
      * @param trackInfo.mediaType the MediaType of the JitsiRemoteTrack
      * @param trackInfo.videoType the VideoType of the JitsiRemoteTrack
-     * @param trackInfo.effects the effects array contains the effect instance to use
+     * @param trackInfo.effects the effects to apply, in order, on the track. The ones which are not enabled for
+     * the track are ignored.
      * @param trackInfo.resolution the video resolution if it's a video track
      * @param trackInfo.deviceId the ID of the local device for this track
      * @param trackInfo.facingMode the camera facing mode used in getUserMedia
      * call
-     * @param {sourceId} trackInfo.sourceId - The id of the desktop sharing
+     * @param {string} trackInfo.sourceId - The id of the desktop sharing
      * source. NOTE: defined for desktop sharing tracks only.
+     * @param {string} trackInfo.sourceType - The type of the desktop sharing
+     * source, e.g. 'screen' or 'window'. NOTE: defined for desktop sharing
+     * tracks only.
+     * @param {AudioMixerEffect} trackInfo.desktopAudioMixer - The effect which
+     * mixes the audio captured along with the screen into the microphone
+     * track. NOTE: defined for desktop sharing tracks only.
      */
     constructor({
+        desktopAudioMixer,
         deviceId,
         facingMode,
         mediaType,
@@ -75,12 +89,25 @@ export default class JitsiLocalTrack extends JitsiTrack {
             videoType);
 
         this._setEffectInProgress = false;
-        const effect = effects.find(e => e.isEnabled(this));
 
-        if (effect) {
-            this._startStreamEffect(effect);
+        /**
+         * The effects applied on the track, in the order in which they process the stream.
+         *
+         * @type {Array<Object>}
+         */
+        this._streamEffects = [];
+
+        const enabledEffects = effects.filter(e => e.isEnabled(this));
+
+        if (enabledEffects.length) {
+            this._startStreamEffects(enabledEffects);
         }
 
+        // The microphone alone is sent once the desktop audio mixed into it stops.
+        enabledEffects.filter(effect => effect instanceof AudioMixerEffect)
+            .forEach(effect => effect.on(
+                AudioMixerEffect.events.DESKTOP_AUDIO_STOPPED, () => this._removeEffect(effect)));
+
         /**
          * The ID assigned by the RTC module on instance creation.
          *
@@ -90,6 +117,13 @@ export default class JitsiLocalTrack extends JitsiTrack {
         this.sourceId = sourceId;
         this.sourceType = sourceType;
 
+        /**
+         * The name of the source of the track in the conference, see {@link JitsiLocalTrack#getSourceName}.
+         *
+         * @type {string|undefined}
+         */
+        this._sourceName = undefined;
+
         // Get the resolution from the track itself because it cannot be
         // certain which resolution webrtc has fallen back to using.
         this.resolution = track.getSettings().height;
@@ -128,6 +162,24 @@ export default class JitsiLocalTrack extends JitsiTrack {
          */
         this._facingMode = facingMode;
 
+        /**
+         * How the screen share is optimized, see {@link setScreenshareMode}. NOTE: defined for desktop sharing
+         * tracks only, once a mode is set.
+         *
+         * @private
+         * @type {string|undefined}
+         */
+        this._screenshareMode = undefined;
+
+        /**
+         * The effect which mixes the audio captured along with the screen into the microphone track, the desktop
+         * audio is stopped along with this track.
+         *
+         * @private
+         * @type {AudioMixerEffect|undefined}
+         */
+        this._desktopAudioMixer = desktopAudioMixer;
+
         // Currently there is no way to know the MediaStreamTrack ended due to
         // to device disconnect in Firefox through e.g. "readyState" property.
         // Instead we will compare current track's label with device labels from
@@ -320,61 +372,148 @@ export default class JitsiLocalTrack extends JitsiTrack {
     }
 
     /**
-     * Starts the effect process and returns the modified stream.
+     * Starts the effects, each one processing the stream produced by the previous one, and sets the stream of the
+     * last one as the stream of the track. If an effect fails to start, the ones started before it are stopped and
+     * the original stream is restored.
      *
      * @private
-     * @param {*} effect - Represents effect instance
+     * @param {Array<Object>} effects - The effect instances.
      * @returns {void}
      */
-    _startStreamEffect(effect) {
-        this._streamEffect = effect;
+    _startStreamEffects(effects) {
+        const sourceTrack = this.track;
+        const muteEffect = effects.find(effect => effect.setMuted);
+        const startedEffects = [];
+        let stream = this.stream;
+
+        // An effect with its own muted state takes over the muted state of the track.
+        if (muteEffect && sourceTrack) {
+            muteEffect.setMuted(!sourceTrack.enabled);
+        }
+
+        for (const effect of effects) {
+            try {
+                stream = effect.startEffect(stream);
+            } catch (error) {
+                logger.error(`Failed to start an effect on ${this}`, error);
+                startedEffects.reverse().forEach(startedEffect => startedEffect.stopEffect());
+                this.emit(TRACK_EFFECT_FAILED, effect, error);
+
+                throw error;
+            }
+            startedEffects.push(effect);
+        }
+
+        this._streamEffects = effects;
         this._originalStream = this.stream;
-        this._setStream(this._streamEffect.startEffect(this._originalStream));
+        this._setStream(stream);
         this.track = this.stream.getTracks()[0];
+
+        // The muted state of an audio track, i.e. the enabled state of its MediaStreamTrack, moves to the processed
+        // track, the effects have to keep receiving the source.
+        if (sourceTrack) {
+            this.track.enabled = muteEffect ? true : sourceTrack.enabled;
+            sourceTrack.enabled = true;
+        }
+        effects.forEach(effect => this.emit(TRACK_EFFECT_STARTED, effect));
     }
 
     /**
-     * Stops the effect process and returns the original stream.
+     * Stops the effects, in the reverse order they were started in, and restores the original stream. The effects
+     * are kept so that they can be started again, e.g. when the video is unmuted.
      *
      * @private
      * @returns {void}
      */
-    _stopStreamEffect() {
-        if (this._streamEffect) {
-            this._streamEffect.stopEffect();
-            this._setStream(this._originalStream);
-            this._originalStream = null;
-            this.track = this.stream ? this.stream.getTracks()[0] : null;
+    _stopStreamEffects() {
+        if (!this._originalStream) {
+            return;
+        }
+
+        const effects = [ ...this._streamEffects ].reverse();
+        const muteEffect = effects.find(effect => effect.isMuted);
+        let enabled = this.track ? this.track.enabled : true;
+
+        // The muted state of an effect which has its own moves back to the track.
+        if (muteEffect) {
+            enabled = !muteEffect.isMuted();
         }
+
+        effects.forEach(effect => effect.stopEffect());
+        this._setStream(this._originalStream);
+        this._originalStream = null;
+        this.track = this.stream ? this.stream.getTracks()[0] : null;
+        if (this.track) {
+            this.track.enabled = enabled;
+        }
+        effects.forEach(effect => this.emit(TRACK_EFFECT_STOPPED, effect));
     }
 
     /**
-     * Stops the currently used effect (if there is one) and starts the passed effect (if there is one).
+     * Stops the currently used effects (if there are any) and starts the passed ones (if there are any).
      *
-     * @param {Object|undefined} effect - The new effect to be set.
+     * @param {Array<Object>} effects - The new effects to be set.
+     * @returns {void}
      */
-    _switchStreamEffect(effect) {
-        if (this._streamEffect) {
-            this._stopStreamEffect();
-            this._streamEffect = undefined;
+    _switchStreamEffects(effects) {
+        this._stopStreamEffects();
+        this._streamEffects = [];
+        if (effects.length) {
+            this._startStreamEffects(effects);
         }
-        if (effect) {
-            this._startStreamEffect(effect);
+    }
+
+    /**
+     * Removes an effect, the other effects keep processing the stream.
+     *
+     * @param {Object} effect - The effect to remove.
+     * @private
+     * @returns {void}
+     */
+    _removeEffect(effect) {
+        if (this.disposed || !this._streamEffects.includes(effect)) {
+            return;
         }
+
+        this.setEffects(this._streamEffects.filter(e => e !== effect))
+            .catch(error => logger.error(`Failed to remove an effect from ${this}`, error));
+    }
+
+    /**
+     * Returns the effects applied on the track, in the order in which they process the stream.
+     *
+     * @returns {Array<Object>}
+     */
+    getEffects() {
+        return [ ...this._streamEffects ];
     }
 
     /**
      * Sets the effect and switches between the modified stream and original one.
      *
-     * @param {Object} effect - Represents the effect instance to be used.
+     * @param {Object} [effect] - Represents the effect instance to be used, or undefined to remove the current
+     * effects.
      * @returns {Promise}
      */
     setEffect(effect) {
-        if (typeof this._streamEffect === 'undefined' && typeof effect === 'undefined') {
+        return this.setEffects(effect ? [ effect ] : []);
+    }
+
+    /**
+     * Sets a chain of effects, e.g. a background blur followed by a watermark. Each effect processes the stream
+     * produced by the previous one and the stream of the last one is sent. When the track is in a conference the
+     * processed track is swapped on the existing senders, so that no renegotiation is needed, where the browser
+     * supports it.
+     *
+     * @param {Array<Object>} effects - The effect instances, an empty array removes the current effects.
+     * @returns {Promise}
+     */
+    setEffects(effects = []) {
+        if (!this._streamEffects.length && !effects.length) {
             return Promise.resolve();
         }
 
-        if (typeof effect !== 'undefined' && !effect.isEnabled(this)) {
+        if (effects.some(effect => !effect.isEnabled(this))) {
             return Promise.reject(new Error('Incompatible effect instance!'));
         }
 
@@ -385,42 +524,73 @@ export default class JitsiLocalTrack extends JitsiTrack {
         // In case we have an audio track that is being enhanced with an effect, we still want it to be applied,
         // even if the track is muted. Where as for video the actual track doesn't exists if it's muted.
         if (this.isMuted() && !this.isAudioTrack()) {
-            this._streamEffect = effect;
+            this._streamEffects = effects;
 
             return Promise.resolve();
         }
 
         const conference = this.conference;
+        let switchError;
 
         if (!conference) {
-            this._switchStreamEffect(effect);
+            try {
+                this._switchStreamEffects(effects);
+            } catch (error) {
+                switchError = error;
+            }
             if (this.isVideoTrack()) {
                 this.containers.forEach(cont => RTCUtils.attachMediaStream(cont, this.stream));
             }
 
-            return Promise.resolve();
+            return switchError ? Promise.reject(switchError) : Promise.resolve();
         }
 
         this._setEffectInProgress = true;
 
-        // TODO: Create new JingleSessionPC method for replacing a stream in JitsiLocalTrack without offer answer.
-        return conference.removeTrack(this)
-            .then(() => {
-                this._switchStreamEffect(effect);
-                if (this.isVideoTrack()) {
-                    this.containers.forEach(cont => RTCUtils.attachMediaStream(cont, this.stream));
-                }
+        let promise;
 
-                return conference.addTrack(this);
-            })
+        if (browser.usesUnifiedPlan()) {
+            const oldStream = this.stream;
+
+            try {
+                this._switchStreamEffects(effects);
+            } catch (error) {
+                // The original stream is restored, it still has to replace the stream of the previous effects.
+                switchError = error;
+            }
+            if (this.isVideoTrack()) {
+                this.containers.forEach(cont => RTCUtils.attachMediaStream(cont, this.stream));
+            }
+
+            promise = conference._replaceLocalTrackStream(this, oldStream)
+                .then(() => {
+                    if (switchError) {
+                        throw switchError;
+                    }
+                });
+        } else {
+            promise = conference.removeTrack(this)
+                .then(() => {
+                    this._switchStreamEffects(effects);
+                    if (this.isVideoTrack()) {
+                        this.containers.forEach(cont => RTCUtils.attachMediaStream(cont, this.stream));
+                    }
+
+                    return conference.addTrack(this);
+                });
+        }
+
+        return promise
             .then(() => {
                 this._setEffectInProgress = false;
             })
             .catch(error => {
                 // Any error will be not recovarable and will trigger CONFERENCE_FAILED event. But let's try to cleanup
-                // everyhting related to the effect functionality.
+                // everyhting related to the effect functionality. The effects which failed to start were already
+                // reported.
                 this._setEffectInProgress = false;
-                this._switchStreamEffect();
+                this._streamEffects.forEach(effect => this.emit(TRACK_EFFECT_FAILED, effect, error));
+                this._switchStreamEffects([]);
                 logger.error('Failed to switch to the new stream!', error);
                 throw error;
             });
@@ -491,8 +661,10 @@ export default class JitsiLocalTrack extends JitsiTrack {
             // If we have a stream effect that implements its own mute functionality, prioritize it before
             // normal mute e.g. the stream effect that implements system audio sharing has a custom
             // mute state in which if the user mutes, system audio still has to go through.
-            if (this._streamEffect && this._streamEffect.setMuted) {
-                this._streamEffect.setMuted(muted);
+            const muteEffects = this._streamEffects.filter(effect => effect.setMuted);
+
+            if (muteEffects.length) {
+                muteEffects.forEach(effect => effect.setMuted(muted));
             } else if (this.track) {
                 this.track.enabled = !muted;
             }
@@ -501,9 +673,7 @@ export default class JitsiLocalTrack extends JitsiTrack {
                 logMuteInfo();
                 this._removeStreamFromConferenceAsMute(
                     () => {
-                        if (this._streamEffect) {
-                            this._stopStreamEffect();
-                        }
+                        this._stopStreamEffects();
 
                         // FIXME: Maybe here we should set the SRC for the
                         // containers to something
@@ -522,7 +692,7 @@ export default class JitsiLocalTrack extends JitsiTrack {
             const streamOptions = {
                 cameraDeviceId: this.getDeviceId(),
                 devices: [ MediaType.VIDEO ],
-                effects: this._streamEffect ? [ this._streamEffect ] : [],
+                effects: this._streamEffects,
                 facingMode: this.getCameraFacingMode()
             };
 
@@ -553,8 +723,8 @@ export default class JitsiLocalTrack extends JitsiTrack {
                     throw new JitsiTrackError(TRACK_NO_STREAM_FOUND);
                 }
 
-                if (this._streamEffect) {
-                    this._startStreamEffect(this._streamEffect);
+                if (this._streamEffects.length) {
+                    this._startStreamEffects(this._streamEffects);
                 }
 
                 this.containers.map(
@@ -626,12 +796,7 @@ export default class JitsiLocalTrack extends JitsiTrack {
             return Promise.resolve();
         }
 
-        return new Promise(resolve => {
-            this.conference.room[
-                this.isAudioTrack()
-                    ? 'setAudioMute'
-                    : 'setVideoMute'](mute, resolve);
-        });
+        return this.conference._sendLocalTrackMuteStatus(this, mute);
     }
 
     /**
@@ -648,8 +813,8 @@ export default class JitsiLocalTrack extends JitsiTrack {
 
         // Remove the effect instead of stopping it so that the original stream is restored
         // on both the local track and on the peerconnection.
-        if (this._streamEffect) {
-            promise = this.setEffect();
+        if (this._streamEffects.length) {
+            promise = this.setEffects([]);
         }
 
         if (this.conference) {
@@ -661,6 +826,8 @@ export default class JitsiLocalTrack extends JitsiTrack {
             this.detach();
         }
 
+        this._desktopAudioMixer?.stopDesktopAudio();
+
         RTCUtils.removeListener(RTCEvents.DEVICE_LIST_WILL_CHANGE, this._onDeviceListWillChange);
 
         if (this._onAudioOutputDeviceChanged) {
@@ -687,9 +854,11 @@ export default class JitsiLocalTrack extends JitsiTrack {
             return true;
         }
 
-        // If currently used stream effect has its own muted state, use that.
-        if (this._streamEffect && this._streamEffect.isMuted) {
-            return this._streamEffect.isMuted();
+        // If one of the currently used stream effects has its own muted state, use that.
+        const muteEffect = this._streamEffects.find(effect => effect.isMuted);
+
+        if (muteEffect) {
+            return muteEffect.isMuted();
         }
 
         return !this.track || !this.track.enabled;
@@ -731,6 +900,26 @@ export default class JitsiLocalTrack extends JitsiTrack {
         return this._realDeviceId || this.deviceId;
     }
 
+    /**
+     * Returns the name of the source of the track, which identifies it among the local tracks of the same media type
+     * when several video streams are sent in the conference. The name is kept when the track is replaced.
+     *
+     * @returns {string|undefined}
+     */
+    getSourceName() {
+        return this._sourceName;
+    }
+
+    /**
+     * Sets the name of the source of the track, when the track is added to the conference.
+     *
+     * @param {string} name - The name of the source.
+     * @returns {void}
+     */
+    setSourceName(name) {
+        this._sourceName = name;
+    }
+
     /**
      * Returns the participant id which owns the track.
      *
@@ -801,6 +990,63 @@ export default class JitsiLocalTrack extends JitsiTrack {
         return undefined;
     }
 
+    /**
+     * Returns how the screen share is optimized, one of {@link ScreenshareMode}, or undefined for the tracks which
+     * are not desktop tracks or whose mode was not set.
+     *
+     * @returns {string|undefined}
+     */
+    getScreenshareMode() {
+        return this._screenshareMode;
+    }
+
+    /**
+     * Optimizes a desktop track for the detail of the content, i.e. high resolution at a low frame rate and only the
+     * full resolution simulcast stream, or for motion, i.e. a higher frame rate at a lower resolution and all the
+     * simulcast streams. The content hint, the capture constraints and, when the track is in a conference, the
+     * degradation preference and the simulcast streams of the video senders are updated together. The mode can be
+     * switched while sharing.
+     *
+     * @param {string} mode - One of {@link ScreenshareMode}.
+     * @returns {Promise} Resolved once the mode is applied.
+     */
+    setScreenshareMode(mode) {
+        if (!this.isVideoTrack() || this.videoType !== VideoType.DESKTOP) {
+            return Promise.reject(new Error('The screen share mode can only be set on desktop tracks'));
+        }
+        if (!Object.values(ScreenshareMode).includes(mode)) {
+            return Promise.reject(new Error(`Invalid screen share mode: ${mode}`));
+        }
+        if (this._screenshareMode === mode) {
+            return Promise.resolve();
+        }
+
+        logger.info(`Setting the screen share mode of ${this} to ${mode}`);
+        this._screenshareMode = mode;
+
+        // The effects, if any, process the captured track and the hint is set on the processed one too.
+        const capturedTrack = (this._originalStream || this.stream)?.getVideoTracks()[0];
+
+        for (const track of new Set([ capturedTrack, this.track ])) {
+            if (track && 'contentHint' in track) {
+                track.contentHint = mode;
+            }
+        }
+
+        const constraints = mode === ScreenshareMode.MOTION
+            ? {
+                frameRate: { max: SS_MOTION_FRAME_RATE },
+                height: { max: SS_MOTION_MAX_HEIGHT }
+            }
+            : { frameRate: { max: ScreenObtainer.getDetailFrameRate() } };
+
+        return (capturedTrack ? capturedTrack.applyConstraints(constraints) : Promise.resolve())
+            .then(() => {
+                this.resolution = capturedTrack?.getSettings().height ?? this.resolution;
+            }, error => logger.warn(`Failed to apply the capture constraints of the ${mode} mode on ${this}`, error))
+            .then(() => this.conference?._updateSenderVideoParameters());
+    }
+
     /**
      * Stops the associated MediaStream.
      */
@@ -0,0 +1,373 @@
+import JitsiConference from '../../JitsiConference';
+import { TRACK_EFFECT_FAILED, TRACK_EFFECT_STARTED, TRACK_EFFECT_STOPPED } from '../../JitsiTrackEvents';
+import * as ScreenshareMode from '../../service/RTC/ScreenshareMode';
+import VideoType from '../../service/RTC/VideoType';
+import browser from '../browser';
+import AudioMixerEffect from '../webaudio/AudioMixerEffect';
+import { MockAudioContext, MockMediaStream } from '../webaudio/MockClasses';
+
+import JitsiLocalTrack from './JitsiLocalTrack';
+import { SS_MOTION_FRAME_RATE, SS_MOTION_MAX_HEIGHT } from './ScreenObtainer';
+
+// JSDocs disabled for Mock classes to avoid duplication - check on the original classes for info.
+/* eslint-disable require-jsdoc */
+/**
+ * A mock MediaStreamTrack, whose height follows the capture constraints.
+ */
+class MockTrack {
+    constructor(kind, height = 1080) {
+        this.id = `${kind}-track`;
+        this.kind = kind;
+        this.height = height;
+        this.contentHint = '';
+        this.enabled = true;
+        this.readyState = 'live';
+        this.applyConstraints = jasmine.createSpy('applyConstraints').and.callFake(constraints => {
+            this.height = Math.min(this.height, constraints.height?.max ?? this.height);
+
+            return Promise.resolve();
+        });
+    }
+
+    getSettings() {
+        return { height: this.height };
+    }
+
+    getConstraints() {
+        return {};
+    }
+}
+
+class MockStream {
+    constructor(track) {
+        this.id = 'stream';
+        this.track = track;
+    }
+
+    getTracks() {
+        return [ this.track ];
+    }
+
+    getVideoTracks() {
+        return this.track.kind === 'video' ? [ this.track ] : [];
+    }
+
+    getAudioTracks() {
+        return this.track.kind === 'audio' ? [ this.track ] : [];
+    }
+}
+
+/**
+ * A mock effect which produces a new stream and records, in a log shared with the other effects, when it is started
+ * and stopped.
+ */
+class MockEffect {
+    constructor(name, log) {
+        this.name = name;
+        this.log = log;
+        this.failure = undefined;
+        this.inputStream = undefined;
+        this.outputStream = undefined;
+    }
+
+    isEnabled() {
+        return true;
+    }
+
+    startEffect(stream) {
+        if (this.failure) {
+            throw this.failure;
+        }
+
+        this.log.push(`start ${this.name}`);
+        this.inputStream = stream;
+        this.outputStream = new MockStream(new MockTrack(stream.getTracks()[0].kind));
+
+        return this.outputStream;
+    }
+
+    stopEffect() {
+        this.log.push(`stop ${this.name}`);
+    }
+}
+
+/* eslint-enable require-jsdoc */
+
+/**
+ * Creates a local track.
+ *
+ * @param {string} mediaType - The media type of the track.
+ * @param {string} videoType - The video type of the track.
+ * @param {Array<Object>} effects - The effects to apply on the track.
+ * @returns {JitsiLocalTrack}
+ */
+function createTrack(mediaType = 'video', videoType = VideoType.DESKTOP, effects = []) {
+    const track = new MockTrack(mediaType);
+
+    return new JitsiLocalTrack({
+        deviceId: '',
+        effects,
+        mediaType,
+        rtcId: 1,
+        stream: new MockStream(track),
+        track,
+        videoType: mediaType === 'video' ? videoType : undefined
+    });
+}
+
+describe('JitsiLocalTrack', () => {
+    describe('setScreenshareMode', () => {
+        it('optimizes a desktop track for motion', async () => {
+            const localTrack = createTrack();
+            const conference = jasmine.createSpyObj('conference', [ '_updateSenderVideoParameters' ]);
+
+            localTrack.conference = conference;
+            await localTrack.setScreenshareMode(ScreenshareMode.MOTION);
+
+            expect(localTrack.getScreenshareMode()).toBe(ScreenshareMode.MOTION);
+            expect(localTrack.getTrack().contentHint).toBe(ScreenshareMode.MOTION);
+            expect(localTrack.getTrack().applyConstraints).toHaveBeenCalledWith({
+                frameRate: { max: SS_MOTION_FRAME_RATE },
+                height: { max: SS_MOTION_MAX_HEIGHT }
+            });
+            expect(localTrack.resolution).toBe(SS_MOTION_MAX_HEIGHT);
+            expect(conference._updateSenderVideoParameters).toHaveBeenCalledTimes(1);
+        });
+
+        it('optimizes a desktop track for detail', async () => {
+            const localTrack = createTrack();
+
+            await localTrack.setScreenshareMode(ScreenshareMode.DETAIL);
+
+            expect(localTrack.getScreenshareMode()).toBe(ScreenshareMode.DETAIL);
+            expect(localTrack.getTrack().contentHint).toBe(ScreenshareMode.DETAIL);
+            expect(localTrack.getTrack().applyConstraints.calls.argsFor(0)[0].height).toBeUndefined();
+        });
+
+        it('does nothing when the mode doesn\'t change', async () => {
+            const localTrack = createTrack();
+
+            await localTrack.setScreenshareMode(ScreenshareMode.DETAIL);
+            await localTrack.setScreenshareMode(ScreenshareMode.DETAIL);
+
+            expect(localTrack.getTrack().applyConstraints).toHaveBeenCalledTimes(1);
+        });
+
+        it('keeps the mode when the capture constraints can\'t be applied', async () => {
+            const localTrack = createTrack();
+
+            localTrack.getTrack().applyConstraints.and.returnValue(Promise.reject(new Error('OverconstrainedError')));
+            await localTrack.setScreenshareMode(ScreenshareMode.MOTION);
+
+            expect(localTrack.getScreenshareMode()).toBe(ScreenshareMode.MOTION);
+        });
+
+        it('rejects the tracks which are not desktop tracks and the unknown modes', async () => {
+            await expectAsync(createTrack('video', VideoType.CAMERA).setScreenshareMode(ScreenshareMode.DETAIL))
+                .toBeRejected();
+            await expectAsync(createTrack('audio').setScreenshareMode(ScreenshareMode.DETAIL)).toBeRejected();
+            await expectAsync(createTrack().setScreenshareMode('cinema')).toBeRejected();
+        });
+    });
+
+    describe('setEffects', () => {
+        let blur, effectEvents, localTrack, log, originalStream, watermark;
+
+        beforeEach(() => {
+            log = [];
+            blur = new MockEffect('blur', log);
+            watermark = new MockEffect('watermark', log);
+            localTrack = createTrack('video', VideoType.CAMERA);
+            originalStream = localTrack.getOriginalStream();
+            effectEvents = [];
+            [ TRACK_EFFECT_STARTED, TRACK_EFFECT_STOPPED, TRACK_EFFECT_FAILED ].forEach(event => {
+                localTrack.on(event, effect => effectEvents.push(`${event} ${effect.name}`));
+            });
+        });
+
+        it('chains the effects in order', async () => {
+            await localTrack.setEffects([ blur, watermark ]);
+
+            expect(log).toEqual([ 'start blur', 'start watermark' ]);
+            expect(blur.inputStream).toBe(originalStream);
+            expect(watermark.inputStream).toBe(blur.outputStream);
+            expect(localTrack.getOriginalStream()).toBe(watermark.outputStream);
+            expect(localTrack.getTrack()).toBe(watermark.outputStream.getTracks()[0]);
+            expect(localTrack.getEffects()).toEqual([ blur, watermark ]);
+            expect(effectEvents).toEqual([ `${TRACK_EFFECT_STARTED} blur`, `${TRACK_EFFECT_STARTED} watermark` ]);
+        });
+
+        it('stops the effects in the reverse order and restores the original stream', async () => {
+            await localTrack.setEffects([ blur, watermark ]);
+            log.length = 0;
+            effectEvents.length = 0;
+
+            await localTrack.setEffects([]);
+
+            expect(log).toEqual([ 'stop watermark', 'stop blur' ]);
+            expect(localTrack.getOriginalStream()).toBe(originalStream);
+            expect(localTrack.getEffects()).toEqual([]);
+            expect(effectEvents).toEqual([ `${TRACK_EFFECT_STOPPED} watermark`, `${TRACK_EFFECT_STOPPED} blur` ]);
+        });
+
+        it('stops the effects already started when one fails to start', async () => {
+            watermark.failure = new Error('No WebGL');
+
+            await expectAsync(localTrack.setEffects([ blur, watermark ])).toBeRejectedWith(watermark.failure);
+
+            expect(log).toEqual([ 'start blur', 'stop blur' ]);
+            expect(localTrack.getOriginalStream()).toBe(originalStream);
+            expect(localTrack.getEffects()).toEqual([]);
+            expect(effectEvents).toEqual([ `${TRACK_EFFECT_FAILED} watermark` ]);
+        });
+
+        it('rejects an effect which is not enabled for the track', async () => {
+            spyOn(blur, 'isEnabled').and.returnValue(false);
+
+            await expectAsync(localTrack.setEffects([ blur ])).toBeRejectedWithError('Incompatible effect instance!');
+            expect(log).toEqual([]);
+        });
+
+        describe('in a conference', () => {
+            let conference;
+
+            beforeEach(() => {
+                spyOn(browser, 'usesUnifiedPlan').and.returnValue(true);
+                conference = Object.create(JitsiConference.prototype);
+                conference.jvbJingleSession = jasmine.createSpyObj('jvbJingleSession', {
+                    replaceTrackStream: Promise.resolve()
+                });
+                conference.p2pJingleSession = jasmine.createSpyObj('p2pJingleSession', {
+                    replaceTrackStream: Promise.resolve()
+                });
+                localTrack.conference = conference;
+            });
+
+            it('replaces the stream on the media sessions', async () => {
+                await localTrack.setEffects([ blur ]);
+
+                expect(conference.jvbJingleSession.replaceTrackStream)
+                    .toHaveBeenCalledOnceWith(localTrack, originalStream);
+                expect(conference.p2pJingleSession.replaceTrackStream)
+                    .toHaveBeenCalledOnceWith(localTrack, originalStream);
+
+                const blurredStream = blur.outputStream;
+
+                await localTrack.setEffects([ blur, watermark ]);
+
+                expect(conference.jvbJingleSession.replaceTrackStream)
+                    .toHaveBeenCalledWith(localTrack, blurredStream);
+                expect(localTrack.getOriginalStream()).toBe(watermark.outputStream);
+            });
+
+            it('restores the original stream on the media sessions when an effect fails to start', async () => {
+                await localTrack.setEffects([ blur ]);
+
+                const blurredStream = blur.outputStream;
+
+                watermark.failure = new Error('No WebGL');
+
+                await expectAsync(localTrack.setEffects([ blur, watermark ])).toBeRejectedWith(watermark.failure);
+
+                expect(conference.jvbJingleSession.replaceTrackStream)
+                    .toHaveBeenCalledWith(localTrack, blurredStream);
+                expect(localTrack.getOriginalStream()).toBe(originalStream);
+                expect(effectEvents).toEqual([
+                    `${TRACK_EFFECT_STARTED} blur`,
+                    `${TRACK_EFFECT_STOPPED} blur`,
+                    `${TRACK_EFFECT_FAILED} watermark`
+                ]);
+            });
+
+            it('removes the effects when the stream can\'t be replaced', async () => {
+                const error = new Error('replaceTrack failed');
+
+                conference.p2pJingleSession.replaceTrackStream.and.returnValue(Promise.reject(error));
+
+                await expectAsync(localTrack.setEffects([ blur, watermark ])).toBeRejectedWith(error);
+
+                expect(log).toEqual([ 'start blur', 'start watermark', 'stop watermark', 'stop blur' ]);
+                expect(localTrack.getOriginalStream()).toBe(originalStream);
+                expect(localTrack.getEffects()).toEqual([]);
+                expect(effectEvents).toEqual([
+                    `${TRACK_EFFECT_STARTED} blur`,
+                    `${TRACK_EFFECT_STARTED} watermark`,
+                    `${TRACK_EFFECT_FAILED} blur`,
+                    `${TRACK_EFFECT_FAILED} watermark`,
+                    `${TRACK_EFFECT_STOPPED} watermark`,
+                    `${TRACK_EFFECT_STOPPED} blur`
+                ]);
+            });
+
+            it('doesn\'t switch the effects while a switch is in progress', async () => {
+                const switching = localTrack.setEffects([ blur ]);
+
+                await expectAsync(localTrack.setEffects([ watermark ]))
+                    .toBeRejectedWithError('setEffect already in progress!');
+                await switching;
+
+                expect(localTrack.getEffects()).toEqual([ blur ]);
+            });
+        });
+    });
+
+    describe('with the desktop audio mixed into the microphone', () => {
+        const { AudioContext } = window;
+        let desktopAudio, effect;
+
+        beforeEach(() => {
+            window.AudioContext = MockAudioContext;
+            desktopAudio = new MockMediaStream();
+            effect = new AudioMixerEffect(desktopAudio);
+        });
+
+        afterEach(() => {
+            window.AudioContext = AudioContext;
+        });
+
+        it('mutes only the microphone', async () => {
+            const localTrack = createTrack('audio', undefined, [ effect ]);
+
+            await localTrack.mute();
+
+            expect(localTrack.isMuted()).toBe(true);
+            expect(effect.isMuted()).toBe(true);
+            expect(localTrack.getTrack().enabled).toBe(true);
+        });
+
+        it('takes over the muted state of the microphone', async () => {
+            const localTrack = createTrack('audio');
+
+            localTrack.getTrack().enabled = false;
+            await localTrack.setEffects([ effect ]);
+
+            expect(effect.isMuted()).toBe(true);
+            expect(localTrack.isMuted()).toBe(true);
+            expect(localTrack.getTrack().enabled).toBe(true);
+        });
+
+        it('restores the microphone, muted, when the desktop audio ends', async () => {
+            const localTrack = createTrack('audio', undefined, [ effect ]);
+            const microphoneTrack = localTrack._originalStream.getTracks()[0];
+
+            await localTrack.mute();
+            desktopAudio.getAudioTracks()[0].end();
+            await Promise.resolve();
+
+            expect(localTrack.getEffects()).toEqual([]);
+            expect(localTrack.getTrack()).toBe(microphoneTrack);
+            expect(microphoneTrack.enabled).toBe(false);
+            expect(localTrack.isMuted()).toBe(true);
+        });
+
+        it('doesn\'t remove the mixer from a disposed track', async () => {
+            const localTrack = createTrack('audio', undefined, [ effect ]);
+
+            spyOn(localTrack, 'setEffects').and.callThrough();
+            localTrack.disposed = true;
+            effect.stopDesktopAudio();
+
+            expect(localTrack.setEffects).not.toHaveBeenCalled();
+        });
+    });
+});
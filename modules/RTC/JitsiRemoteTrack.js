@@ -41,6 +41,8 @@ export default class JitsiRemoteTrack extends JitsiTrack {
      * @param {boolean} muted the initial muted state
      * @param {boolean} isP2P indicates whether or not this track belongs to a
      * P2P session
+     * @param {string} [sourceName] the name of the source of the track, if it
+     * was signalled by the owner
      * @throws {TypeError} if <tt>ssrc</tt> is not a number.
      * @constructor
      */
@@ -54,7 +56,8 @@ export default class JitsiRemoteTrack extends JitsiTrack {
             videoType,
             ssrc,
             muted,
-            isP2P) {
+            isP2P,
+            sourceName) {
         super(
             conference,
             stream,
@@ -74,6 +77,7 @@ export default class JitsiRemoteTrack extends JitsiTrack {
         this.ownerEndpointId = ownerEndpointId;
         this.muted = muted;
         this.isP2P = isP2P;
+        this._sourceName = sourceName;
 
         logger.debug(`New remote track added: ${this}`);
 
@@ -156,7 +160,7 @@ export default class JitsiRemoteTrack extends JitsiTrack {
 
     /**
      * Returns the current muted status of the track.
-     * @returns {boolean|*|JitsiRemoteTrack.muted} <tt>true</tt> if the track is
+     * @returns {boolean} <tt>true</tt> if the track is
      * muted and <tt>false</tt> otherwise.
      */
     isMuted() {
@@ -190,6 +194,17 @@ export default class JitsiRemoteTrack extends JitsiTrack {
         return this.ssrc;
     }
 
+    /**
+     * Returns the name of the source of this remote track, which identifies it
+     * among the tracks of the same media type of its owner.
+     *
+     * @returns {string|undefined} the name of the source or <tt>undefined</tt>
+     * if the owner did not signal it.
+     */
+    getSourceName() {
+        return this._sourceName;
+    }
+
     /**
      * Changes the video type of the track.
      *
@@ -246,7 +261,7 @@ export default class JitsiRemoteTrack extends JitsiTrack {
      * for the first element.
      * @param container the HTML container which can be 'video' or 'audio'
      * element.
-     * @private
+     * @protected
      */
     _attachTTFMTracker(container) {
         if ((ttfmTrackerAudioAttached && this.isAudioTrack())
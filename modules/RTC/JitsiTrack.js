@@ -5,6 +5,7 @@ import { getLogger } from 'jitsi-meet-logger';
 import * as JitsiTrackEvents from '../../JitsiTrackEvents';
 import * as MediaType from '../../service/RTC/MediaType';
 import browser from '../browser';
+import TrackRecorder from '../recording/TrackRecorder';
 
 import RTCUtils from './RTCUtils';
 
@@ -79,6 +80,14 @@ export default class JitsiTrack extends EventEmitter {
          */
         this._streamInactiveHandler = streamInactiveHandler;
 
+        /**
+         * The recorder of the track, see {@link #startRecording}.
+         *
+         * @private
+         * @type {TrackRecorder|undefined}
+         */
+        this._recorder = undefined;
+
         this._setStream(stream);
     }
 
@@ -362,23 +371,81 @@ export default class JitsiTrack extends EventEmitter {
      *
      * @param {HTMLElement} container the HTML container which can be 'video' or
      * 'audio' element.
-     * @private
+     * @protected
      */
     _attachTTFMTracker(container) { // eslint-disable-line no-unused-vars
         // Should be defined by the classes that are extending JitsiTrack
     }
 
     /**
-     * Removes attached event listeners.
+     * Removes attached event listeners, once the recording of the track, if any, stopped.
      *
      * @returns {Promise}
      */
     dispose() {
-        this.removeAllListeners();
+        // Let the recorded data be collected and TRACK_RECORDING_STOPPED reach the listeners before removing them.
+        const recordingStopped = this._recorder ? this._recorder.stop() : Promise.resolve();
 
         this.disposed = true;
 
-        return Promise.resolve();
+        return recordingStopped.then(() => {
+            this.removeAllListeners();
+        });
+    }
+
+    /**
+     * Starts recording the track with a MediaRecorder. The recorded data is emitted with
+     * {@link JitsiTrackEvents.TRACK_RECORDING_DATA} as it is collected and is returned by {@link #stopRecording}.
+     * The recording stops on its own when the track ends or is disposed,
+     * {@link JitsiTrackEvents.TRACK_RECORDING_STOPPED} is emitted with the recorded data in both cases.
+     *
+     * @param {Object} [options] - The options, see {@link TrackRecorder}.
+     * @param {string} [options.mimeType] - The mime type of the recorded data.
+     * @param {number} [options.timeslice] - How often, in ms, the recorded data is collected.
+     * @param {number} [options.bitsPerSecond] - The bitrate of the recorded data.
+     * @fires JitsiTrackEvents.TRACK_RECORDING_STARTED
+     * @returns {void}
+     */
+    startRecording(options = {}) {
+        if (this.disposed) {
+            throw new Error('Cannot record a disposed track');
+        }
+
+        if (this.isRecording()) {
+            throw new Error('The track is already being recorded');
+        }
+
+        this._recorder = new TrackRecorder(this, options);
+        this._recorder.start();
+    }
+
+    /**
+     * Stops recording the track.
+     *
+     * @fires JitsiTrackEvents.TRACK_RECORDING_STOPPED
+     * @returns {Promise<TrackRecordingResult|undefined>} Resolved with the recorded data and its timestamps once it
+     * has been collected, with undefined if the track wasn't being recorded.
+     */
+    stopRecording() {
+        return this._recorder ? this._recorder.stop() : Promise.resolve();
+    }
+
+    /**
+     * Returns whether the track is being recorded.
+     *
+     * @returns {boolean}
+     */
+    isRecording() {
+        return Boolean(this._recorder?.isRecording());
+    }
+
+    /**
+     * Checks whether recording tracks is supported by the browser.
+     *
+     * @returns {boolean}
+     */
+    static isRecordingSupported() {
+        return TrackRecorder.isSupported();
     }
 
     /**
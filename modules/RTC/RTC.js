@@ -51,6 +51,7 @@ let rtcTrackIdCounter = 0;
 function _createLocalTracks(mediaStreamMetaData = []) {
     return mediaStreamMetaData.map(metaData => {
         const {
+            desktopAudioMixer,
             sourceId,
             sourceType,
             stream,
@@ -67,6 +68,7 @@ function _createLocalTracks(mediaStreamMetaData = []) {
         rtcTrackIdCounter = safeCounterIncrement(rtcTrackIdCounter);
 
         return new JitsiLocalTrack({
+            desktopAudioMixer,
             deviceId,
             facingMode,
             mediaType: track.kind,
@@ -154,6 +156,14 @@ export default class RTC extends Listenable {
         // The default video type assumed by the bridge.
         this._videoType = VideoType.CAMERA;
 
+        /**
+         * The video types of the local sources signalled separately, when several video streams are sent.
+         *
+         * @type {Map<string, string>}
+         * @private
+         */
+        this._sourceVideoTypes = new Map();
+
         // Switch audio output device on all remote audio tracks. Local audio
         // tracks handle this event by themselves.
         if (RTCUtils.isDeviceChangeAvailable('output')) {
@@ -219,9 +229,11 @@ export default class RTC extends Listenable {
      * @param {RTCPeerConnection} [peerconnection] WebRTC peer connection
      * instance.
      * @param {string} [wsUrl] WebSocket URL.
+     * @param {Function} [websocketFactory] Creates the WebSocket instead of
+     * the browser's WebSocket constructor.
      */
-    initializeBridgeChannel(peerconnection, wsUrl) {
-        this._channel = new BridgeChannel(peerconnection, wsUrl, this.eventEmitter);
+    initializeBridgeChannel(peerconnection, wsUrl, websocketFactory) {
+        this._channel = new BridgeChannel(peerconnection, wsUrl, this.eventEmitter, websocketFactory);
 
         this._channelOpenListener = () => {
             const logError = (error, msgType, value) => {
@@ -264,6 +276,13 @@ export default class RTC extends Listenable {
             } catch (error) {
                 logError(error, 'VideoTypeMessage', this._videoType);
             }
+            for (const [ sourceName, videoType ] of this._sourceVideoTypes) {
+                try {
+                    this._channel.sendSourceVideoTypeMessage(sourceName, videoType);
+                } catch (error) {
+                    logError(error, 'SourceVideoTypeMessage', videoType);
+                }
+            }
 
             this.removeListener(RTCEvents.DATA_CHANNEL_OPEN, this._channelOpenListener);
             this._channelOpenListener = null;
@@ -378,6 +397,25 @@ export default class RTC extends Listenable {
         }
     }
 
+    /**
+     * Sets the video type and availability of a local video source, for the sources which are signalled separately
+     * when several video streams are sent.
+     *
+     * @param {string} sourceName - The name of the source.
+     * @param {string} videoType 'camera' for camera, 'desktop' for screenshare and
+     * 'none' for when the source is muted or removed from the peerconnection.
+     * @returns {void}
+     */
+    setSourceVideoType(sourceName, videoType) {
+        if (this._sourceVideoTypes.get(sourceName) !== videoType) {
+            this._sourceVideoTypes.set(sourceName, videoType);
+
+            if (this._channel && this._channel.isOpen()) {
+                this._channel.sendSourceVideoTypeMessage(sourceName, videoType);
+            }
+        }
+    }
+
     /**
      * Elects the participants with the given ids to be the selected
      * participants in order to always receive video for this participant (even
@@ -567,7 +605,7 @@ export default class RTC extends Listenable {
     /**
      * Returns the local tracks of the given media type, or all local tracks if
      * no specific type is given.
-     * @param {MediaType} [mediaType] Optional media type filter.
+     * @param {'audio'|'video'} [mediaType] Optional media type filter.
      * (audio or video).
      */
     getLocalTracks(mediaType) {
@@ -583,7 +621,7 @@ export default class RTC extends Listenable {
 
     /**
      * Obtains all remote tracks currently known to this RTC module instance.
-     * @param {MediaType} [mediaType] The remote tracks will be filtered
+     * @param {'audio'|'video'} [mediaType] The remote tracks will be filtered
      *      by their media type if this argument is specified.
      * @return {Array<JitsiRemoteTrack>}
      */
@@ -22,6 +22,7 @@ import SDPUtil from '../sdp/SDPUtil';
 import Statistics from '../statistics/statistics';
 import GlobalOnErrorHandler from '../util/GlobalOnErrorHandler';
 import Listenable from '../util/Listenable';
+import AudioMixerEffect from '../webaudio/AudioMixerEffect';
 
 import screenObtainer from './ScreenObtainer';
 
@@ -561,6 +562,9 @@ class RTCUtils extends Listenable {
      * @param {Object} options.desktopSharingFrameRate.max - Maximum fps
      * @param {String} options.desktopSharingSourceDevice - The device id or
      * label for a video input source that should be used for screensharing.
+     * @param {boolean} options.mixDesktopAudio - Whether the audio captured
+     * along with the screen is mixed into the microphone track, see
+     * {@link AudioMixerEffect}, instead of being returned as a separate track.
      * @returns {Promise} The promise, when successful, will return an array of
      * meta data for the requested device type, which includes the stream and
      * track. If an error occurs, it will be deferred to the caller for
@@ -574,6 +578,10 @@ class RTCUtils extends Listenable {
 
         const mediaStreamsMetaData = [];
 
+        // The meta data of the desktop audio and video and of the microphone,
+        // in case the desktop audio is to be mixed into the microphone track.
+        let desktopAudioMetaData, desktopVideoMetaData, microphoneMetaData;
+
         // Declare private functions to be used in the promise chain below.
         // These functions are declared in the scope of this function because
         // they are not being used anywhere else, so only this function needs to
@@ -656,12 +664,13 @@ class RTCUtils extends Listenable {
             if (desktopAudioTracks.length) {
                 const desktopAudioStream = new MediaStream(desktopAudioTracks);
 
-                mediaStreamsMetaData.push({
+                desktopAudioMetaData = {
                     stream: desktopAudioStream,
                     sourceId,
                     sourceType,
                     track: desktopAudioStream.getAudioTracks()[0]
-                });
+                };
+                mediaStreamsMetaData.push(desktopAudioMetaData);
             }
 
             const desktopVideoTracks = stream.getVideoTracks();
@@ -669,13 +678,14 @@ class RTCUtils extends Listenable {
             if (desktopVideoTracks.length) {
                 const desktopVideoStream = new MediaStream(desktopVideoTracks);
 
-                mediaStreamsMetaData.push({
+                desktopVideoMetaData = {
                     stream: desktopVideoStream,
                     sourceId,
                     sourceType,
                     track: desktopVideoStream.getVideoTracks()[0],
                     videoType: VideoType.DESKTOP
-                });
+                };
+                mediaStreamsMetaData.push(desktopVideoMetaData);
             }
         };
 
@@ -720,11 +730,12 @@ class RTCUtils extends Listenable {
             if (audioTracks.length) {
                 const audioStream = new MediaStream(audioTracks);
 
-                mediaStreamsMetaData.push({
+                microphoneMetaData = {
                     stream: audioStream,
                     track: audioStream.getAudioTracks()[0],
                     effects: otherOptions.effects
-                });
+                };
+                mediaStreamsMetaData.push(microphoneMetaData);
             }
 
             const videoTracks = avStream.getVideoTracks();
@@ -741,10 +752,34 @@ class RTCUtils extends Listenable {
             }
         };
 
+        /**
+         * Replaces the desktop audio track with an effect on the microphone
+         * track which mixes the desktop audio in, if requested and if both
+         * were captured. The desktop audio is stopped along with the desktop
+         * video track.
+         *
+         * @returns {void}
+         */
+        const maybeMixDesktopAudio = function() {
+            if (!otherOptions.mixDesktopAudio || !desktopAudioMetaData || !microphoneMetaData
+                    || !browser.supportsWebAudio()) {
+                return;
+            }
+
+            const audioMixerEffect = new AudioMixerEffect(desktopAudioMetaData.stream);
+
+            microphoneMetaData.effects = [ ...microphoneMetaData.effects || [], audioMixerEffect ];
+            if (desktopVideoMetaData) {
+                desktopVideoMetaData.desktopAudioMixer = audioMixerEffect;
+            }
+            mediaStreamsMetaData.splice(mediaStreamsMetaData.indexOf(desktopAudioMetaData), 1);
+        };
+
         return maybeRequestDesktopDevice()
             .then(maybeCreateAndAddDesktopTrack)
             .then(maybeRequestCaptureDevices)
             .then(maybeCreateAndAddAVTracks)
+            .then(maybeMixDesktopAudio)
             .then(() => mediaStreamsMetaData)
             .catch(error => {
                 mediaStreamsMetaData.forEach(({ stream }) => {
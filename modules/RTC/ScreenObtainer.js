@@ -10,6 +10,16 @@ const logger = require('jitsi-meet-logger').getLogger(__filename);
  */
 export const SS_DEFAULT_FRAME_RATE = 5;
 
+/**
+ * The frame rate for Screen Sharing optimized for motion, see {@link ScreenshareMode.MOTION}.
+ */
+export const SS_MOTION_FRAME_RATE = 30;
+
+/**
+ * The max height for Screen Sharing optimized for motion, see {@link ScreenshareMode.MOTION}.
+ */
+export const SS_MOTION_MAX_HEIGHT = 720;
+
 /**
  * Handles obtaining a stream from a screen capture on different browsers.
  */
@@ -119,6 +129,15 @@ const ScreenObtainer = {
         return this.obtainStream !== null;
     },
 
+    /**
+     * Returns the max frame rate of the screen capture optimized for detail,
+     * as configured through desktopSharingFrameRate.
+     * @returns {number}
+     */
+    getDetailFrameRate() {
+        return this.options?.desktopSharingFrameRate?.max ?? SS_DEFAULT_FRAME_RATE;
+    },
+
     /**
      * Obtains a screen capture stream on Electron.
      *
@@ -1,6 +1,7 @@
 import { getLogger } from 'jitsi-meet-logger';
 import transform from 'sdp-transform';
 
+import CodecMimeType from '../../service/RTC/CodecMimeType';
 import * as MediaType from '../../service/RTC/MediaType';
 import browser from '../browser';
 
@@ -9,6 +10,13 @@ const SIM_LAYER_1_RID = '1';
 const SIM_LAYER_2_RID = '2';
 const SIM_LAYER_3_RID = '3';
 
+/**
+ * The scalability modes of the AV1 encodings, see https://www.w3.org/TR/webrtc-svc/. L1T3 is a single spatial layer
+ * with three temporal layers, L3T3_KEY adds three spatial layers which depend on each other on key frames only.
+ */
+const SCALABILITY_MODE_L1T3 = 'L1T3';
+const SCALABILITY_MODE_L3T3_KEY = 'L3T3_KEY';
+
 const TransceiverDirection = {
     INACTIVE: 'inactive',
     RECVONLY: 'recvonly',
@@ -77,7 +85,11 @@ export class TPCUtils {
      * @returns {RTCRtpTransceiver}
      */
     _findTransceiver(mediaType, localTrack = null) {
-        let transceiver = null;
+        let transceiver = this._findLocalSourceTransceiver(localTrack);
+
+        if (transceiver) {
+            return transceiver;
+        }
 
         // Check if the local track has been removed from the peerconnection already.
         const trackRemoved = !localTrack
@@ -87,8 +99,9 @@ export class TPCUtils {
                 && localTrack.isMuted());
 
         if (trackRemoved) {
+            // The media sections of the additional local sources are used only by their tracks.
             transceiver = this.pc.peerconnection.getTransceivers()
-                .find(t => t.receiver?.track?.kind === mediaType);
+                .find(t => t.receiver?.track?.kind === mediaType && !this.pc._localSourceMLines.has(t.mid));
         } else if (localTrack) {
             transceiver = this.pc.peerconnection.getTransceivers()
                 .find(t => t.sender?.track?.id === localTrack.getTrackId());
@@ -97,6 +110,19 @@ export class TPCUtils {
         return transceiver;
     }
 
+    /**
+     * Returns the transceiver of the media section of an additional local video source, see
+     * {@link TraceablePeerConnection#addTrackToNewMLine}.
+     *
+     * @param {JitsiLocalTrack} localTrack - local track to be used for lookup.
+     * @returns {RTCRtpTransceiver|undefined}
+     */
+    _findLocalSourceTransceiver(localTrack) {
+        const mid = localTrack && this.pc.getLocalSourceMid(localTrack);
+
+        return mid ? this.pc.peerconnection.getTransceivers().find(t => t.mid === mid) : undefined;
+    }
+
     /**
      * Obtains stream encodings that need to be configured on the given track based
      * on the track media type and the simulcast setting.
@@ -251,6 +277,37 @@ export class TPCUtils {
         }
     }
 
+    /**
+     * Attaches an additional local video track to the transceiver of its media section, after the remote description
+     * which describes it was set, so that the track is sent from the next local description on.
+     *
+     * @param {JitsiLocalTrack} localTrack - the local video track.
+     * @param {string} mid - the mid of the media section of the track.
+     * @returns {Promise<void>} - resolved when done.
+     */
+    attachTrackToMLine(localTrack, mid) {
+        const transceiver = this.pc.peerconnection.getTransceivers().find(t => t.mid === mid);
+
+        if (!transceiver) {
+            logger.error(`RTCRtpTransceiver for ${mid} not found, ${localTrack} is not sent on ${this.pc}`);
+
+            return Promise.resolve();
+        }
+        logger.debug(`Attaching ${localTrack} to ${mid} on ${this.pc}`);
+
+        transceiver.direction = TransceiverDirection.SENDRECV;
+
+        // Associates the stream with the sender so that the source is signalled with its MSID.
+        const stream = localTrack.getOriginalStream();
+
+        stream && transceiver.sender.setStreams?.(stream);
+
+        return transceiver.sender.replaceTrack(localTrack.getTrack())
+            .then(() => {
+                stream && this.pc._addedStreams.push(stream);
+            });
+    }
+
     /**
      * Adds a track on the RTCRtpSender as part of the unmute operation.
      * @param {JitsiLocalTrack} localTrack - track to be unmuted.
@@ -259,7 +316,7 @@ export class TPCUtils {
     addTrackUnmute(localTrack) {
         const mediaType = localTrack.getType();
         const track = localTrack.getTrack();
-        const transceiver = this._findTransceiver(mediaType);
+        const transceiver = this._findLocalSourceTransceiver(localTrack) || this._findTransceiver(mediaType);
 
         if (!transceiver) {
             return Promise.reject(new Error(`RTCRtpTransceiver for ${mediaType} not found`));
@@ -295,6 +352,55 @@ export class TPCUtils {
         return localVideoHeightConstraints;
     }
 
+    /**
+     * Determines which of the simulcast streams fit in a bitrate cap. The streams are added from the lowest to the
+     * highest bitrate for as long as their configured bitrates add up to no more than the cap. The lowest stream
+     * always fits so that the video doesn't stop altogether.
+     * @param {number|undefined} bitrateCap - the cap in bps, <tt>undefined</tt> if the bitrate is not capped.
+     * @returns {Array<boolean>} an array with an entry for each of the simulcast streams configured on the video
+     * sender.
+     */
+    getEncodingsWithinBitrateCap(bitrateCap) {
+        const encodingsWithinCap = this.localStreamEncodingsConfig.map(() => true);
+
+        if (!bitrateCap) {
+            return encodingsWithinCap;
+        }
+
+        const byBitrate = this.localStreamEncodingsConfig
+            .map((encoding, index) => index)
+            .sort((a, b) =>
+                this.localStreamEncodingsConfig[a].maxBitrate - this.localStreamEncodingsConfig[b].maxBitrate);
+        let totalBitrate = 0;
+
+        byBitrate.forEach((index, order) => {
+            totalBitrate += this.localStreamEncodingsConfig[index].maxBitrate;
+            encodingsWithinCap[index] = order === 0 || totalBitrate <= bitrateCap;
+        });
+
+        return encodingsWithinCap;
+    }
+
+    /**
+     * Keeps only the highest resolution stream out of the simulcast streams which are allowed to be sent, for the
+     * screen shares optimized for detail whose downscaled streams are not readable. The streams switched off by the
+     * bitrate cap or the sender video constraint stay off.
+     * @param {Array<boolean>} activeState - which of the simulcast streams are allowed to be sent.
+     * @returns {Array<boolean>} an array with an entry for each of the simulcast streams configured on the video
+     * sender.
+     */
+    getHighestActiveEncoding(activeState) {
+        const scales = this.localStreamEncodingsConfig.map(encoding => encoding.scaleResolutionDownBy);
+        const activeScales = scales.filter((scale, index) => activeState[index]);
+
+        if (!activeScales.length) {
+            return activeState;
+        }
+        const highestScale = Math.min(...activeScales);
+
+        return activeState.map((active, index) => active && scales[index] === highestScale);
+    }
+
     /**
      * Removes the track from the RTCRtpSender as part of the mute operation.
      * @param {JitsiLocalTrack} localTrack - track to be removed.
@@ -313,6 +419,31 @@ export class TPCUtils {
         return transceiver.sender.replaceTrack(null);
     }
 
+    /**
+     * Replaces the MediaStreamTrack sent by a RTCRtpSender after the stream of the local track changed, e.g. when
+     * an effect was started or stopped on it. The sender, and hence the SSRCs, remain the same.
+     * @param {JitsiLocalTrack} localTrack - the local track whose stream changed.
+     * @param {MediaStream} oldStream - the stream the local track was sending before.
+     * @returns {Promise<void>} - resolved when done.
+     */
+    replaceTrackStream(localTrack, oldStream) {
+        const [ oldTrack ] = oldStream.getTracks();
+        const stream = localTrack.getOriginalStream();
+        const transceiver = this.pc.peerconnection.getTransceivers()
+            .find(t => t.sender?.track && t.sender.track === oldTrack);
+
+        if (!transceiver) {
+            return Promise.reject(new Error(`RTCRtpTransceiver for ${localTrack.getType()} not found`));
+        }
+        logger.debug(`Replacing the stream of ${localTrack} on ${this.pc}`);
+
+        return transceiver.sender.replaceTrack(localTrack.getTrack())
+            .then(() => {
+                this.pc._addedStreams = this.pc._addedStreams.filter(s => s !== oldStream);
+                this.pc._addedStreams.push(stream);
+            });
+    }
+
     /**
      * Replaces the existing track on a RTCRtpSender with the given track.
      * @param {JitsiLocalTrack} oldTrack - existing track on the sender that needs to be removed.
@@ -359,7 +490,7 @@ export class TPCUtils {
             return this.removeTrackMute(oldTrack)
                 .then(() => {
                     const mediaType = oldTrack.getType();
-                    const transceiver = this._findTransceiver(mediaType);
+                    const transceiver = this._findLocalSourceTransceiver(oldTrack) || this._findTransceiver(mediaType);
 
                     // Change the direction on the transceiver to 'recvonly' so that a 'removetrack'
                     // is fired on the associated media stream on the remote peer.
@@ -499,4 +630,28 @@ export class TPCUtils {
             });
         }
     }
+
+    /**
+     * Configures the scalability mode of the video encodings when AV1 is the codec in use. Each simulcast stream is
+     * encoded with three temporal layers. When simulcast is off on the bridge connection, the single stream gets
+     * three spatial layers as well (SVC) so that the bridge can still forward the resolution the receivers ask for.
+     * The encoder defaults are kept for the other codecs.
+     *
+     * @param {RTCRtpSendParameters} parameters - the parameters of the video sender.
+     * @returns {void}
+     */
+    updateEncodingsScalabilityMode(parameters) {
+        if (!browser.supportsScalabilityModeAPI()
+            || !parameters.encodings?.length
+            || this.pc.getConfiguredVideoCodec() !== CodecMimeType.AV1) {
+            return;
+        }
+        const scalabilityMode = this.pc.isSimulcastOn() || this.pc.isP2P
+            ? SCALABILITY_MODE_L1T3
+            : SCALABILITY_MODE_L3T3_KEY;
+
+        for (const encoding of parameters.encodings) {
+            encoding.scalabilityMode = scalabilityMode;
+        }
+    }
 }
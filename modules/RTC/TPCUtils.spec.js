@@ -0,0 +1,129 @@
+import CodecMimeType from '../../service/RTC/CodecMimeType';
+import browser from '../browser';
+
+import { TPCUtils } from './TPCUtils';
+
+const videoBitrates = {
+    high: 1500000,
+    low: 200000,
+    standard: 700000
+};
+
+describe('TPCUtils', () => {
+    let tpcUtils;
+
+    beforeEach(() => {
+        tpcUtils = new TPCUtils(null, videoBitrates);
+        tpcUtils.localStreamEncodingsConfig = [
+            {
+                maxBitrate: videoBitrates.low,
+                scaleResolutionDownBy: 4.0
+            },
+            {
+                maxBitrate: videoBitrates.standard,
+                scaleResolutionDownBy: 2.0
+            },
+            {
+                maxBitrate: videoBitrates.high,
+                scaleResolutionDownBy: 1.0
+            }
+        ];
+    });
+
+    describe('getEncodingsWithinBitrateCap', () => {
+        it('keeps all the streams when the bitrate is not capped', () => {
+            expect(tpcUtils.getEncodingsWithinBitrateCap(undefined)).toEqual([ true, true, true ]);
+        });
+
+        it('keeps the lowest streams which fit in the cap', () => {
+            expect(tpcUtils.getEncodingsWithinBitrateCap(1000000)).toEqual([ true, true, false ]);
+        });
+
+        it('keeps the lowest stream even when it doesn\'t fit in the cap', () => {
+            expect(tpcUtils.getEncodingsWithinBitrateCap(100000)).toEqual([ true, false, false ]);
+        });
+    });
+
+    describe('getHighestActiveEncoding', () => {
+        it('keeps only the full resolution stream when all the streams are allowed', () => {
+            expect(tpcUtils.getHighestActiveEncoding([ true, true, true ])).toEqual([ false, false, true ]);
+        });
+
+        it('doesn\'t turn on the streams switched off by the bitrate cap', () => {
+            const activeState = tpcUtils.getEncodingsWithinBitrateCap(1000000);
+
+            expect(tpcUtils.getHighestActiveEncoding(activeState)).toEqual([ false, true, false ]);
+        });
+
+        it('keeps the lowest stream when it is the only one allowed', () => {
+            expect(tpcUtils.getHighestActiveEncoding([ true, false, false ])).toEqual([ true, false, false ]);
+        });
+
+        it('keeps all the streams off when none is allowed', () => {
+            expect(tpcUtils.getHighestActiveEncoding([ false, false, false ])).toEqual([ false, false, false ]);
+        });
+    });
+
+    describe('updateEncodingsScalabilityMode', () => {
+        let parameters;
+
+        beforeEach(() => {
+            spyOn(browser, 'supportsScalabilityModeAPI').and.returnValue(true);
+            tpcUtils.pc = jasmine.createSpyObj('pc', {
+                getConfiguredVideoCodec: CodecMimeType.AV1,
+                isSimulcastOn: true
+            });
+            tpcUtils.pc.isP2P = false;
+            parameters = { encodings: [ {}, {}, {} ] };
+        });
+
+        it('encodes each simulcast stream with three temporal layers', () => {
+            tpcUtils.updateEncodingsScalabilityMode(parameters);
+
+            expect(parameters.encodings.map(encoding => encoding.scalabilityMode)).toEqual([ 'L1T3', 'L1T3', 'L1T3' ]);
+        });
+
+        it('encodes three spatial layers when simulcast is off on the bridge connection', () => {
+            tpcUtils.pc.isSimulcastOn.and.returnValue(false);
+            parameters.encodings = [ {} ];
+
+            tpcUtils.updateEncodingsScalabilityMode(parameters);
+
+            expect(parameters.encodings).toEqual([ { scalabilityMode: 'L3T3_KEY' } ]);
+        });
+
+        it('encodes a single spatial layer on the p2p connection', () => {
+            tpcUtils.pc.isSimulcastOn.and.returnValue(false);
+            tpcUtils.pc.isP2P = true;
+            parameters.encodings = [ {} ];
+
+            tpcUtils.updateEncodingsScalabilityMode(parameters);
+
+            expect(parameters.encodings).toEqual([ { scalabilityMode: 'L1T3' } ]);
+        });
+
+        it('keeps the encoder defaults for the other codecs', () => {
+            tpcUtils.pc.getConfiguredVideoCodec.and.returnValue(CodecMimeType.VP9);
+
+            tpcUtils.updateEncodingsScalabilityMode(parameters);
+
+            expect(parameters.encodings).toEqual([ {}, {}, {} ]);
+        });
+
+        it('keeps the encoder defaults when the browser doesn\'t support the scalability mode API', () => {
+            browser.supportsScalabilityModeAPI.and.returnValue(false);
+
+            tpcUtils.updateEncodingsScalabilityMode(parameters);
+
+            expect(parameters.encodings).toEqual([ {}, {}, {} ]);
+        });
+
+        it('ignores the parameters without encodings', () => {
+            parameters = {};
+
+            tpcUtils.updateEncodingsScalabilityMode(parameters);
+
+            expect(parameters).toEqual({});
+        });
+    });
+});
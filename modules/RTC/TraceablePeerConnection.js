@@ -7,6 +7,7 @@ import transform from 'sdp-transform';
 import * as CodecMimeType from '../../service/RTC/CodecMimeType';
 import * as MediaType from '../../service/RTC/MediaType';
 import RTCEvents from '../../service/RTC/RTCEvents';
+import * as ScreenshareMode from '../../service/RTC/ScreenshareMode';
 import * as SignalingEvents from '../../service/RTC/SignalingEvents';
 import * as VideoType from '../../service/RTC/VideoType';
 import browser from '../browser';
@@ -15,7 +16,7 @@ import RtxModifier from '../sdp/RtxModifier';
 import SDP from '../sdp/SDP';
 import SDPUtil from '../sdp/SDPUtil';
 import SdpConsistency from '../sdp/SdpConsistency';
-import { SdpTransformWrap } from '../sdp/SdpTransformUtil';
+import { MLineWrap, SdpTransformWrap } from '../sdp/SdpTransformUtil';
 import * as GlobalOnErrorHandler from '../util/GlobalOnErrorHandler';
 
 import JitsiRemoteTrack from './JitsiRemoteTrack';
@@ -33,6 +34,17 @@ const HD_BITRATE = 2500000;
 const LD_BITRATE = 200000;
 const SD_BITRATE = 700000;
 
+/**
+ * Returns the key of a remote track in the map of the tracks of its owner, see
+ * {@link TraceablePeerConnection#remoteTracks}.
+ *
+ * @param {JitsiRemoteTrack} remoteTrack - The remote track.
+ * @returns {string}
+ */
+function getRemoteTrackKey(remoteTrack) {
+    return remoteTrack.getSourceName() || remoteTrack.getType();
+}
+
 /* eslint-disable max-params */
 
 /**
@@ -56,10 +68,15 @@ const SD_BITRATE = 700000;
  * not be negotiated on the peerconnection.
  * @param {boolean} options.disableH264 If set to 'true' H264 will be
  *      disabled by removing it from the SDP (deprecated)
+ * @param {boolean} options.enableOpusRed if set to 'true' Opus will be
+ * negotiated with RED redundancy when the browser supports it.
  * @param {boolean} options.preferH264 if set to 'true' H264 will be preferred
  * over other video codecs. (deprecated)
  * @param {string} options.preferredCodec the mime type of the codec that needs
  * to be made the preferred codec for the connection.
+ * @param {boolean} options.sendMultipleVideoStreams if set to 'true' several
+ * local video tracks can be sent, each one signalled with the name of its
+ * source.
  * @param {boolean} options.startSilent If set to 'true' no audio will be sent or received.
  *
  * FIXME: initially the purpose of TraceablePeerConnection was to be able to
@@ -148,8 +165,10 @@ export default function TraceablePeerConnection(
     /**
      * The map holds remote tracks associated with this peer connection.
      * It maps user's JID to media type and remote track
-     * (one track per media type per user's JID).
-     * @type {Map<string, Map<MediaType, JitsiRemoteTrack>>}
+     * (one track per media type per user's JID), or to the source names and
+     * the remote tracks for the participants which send several sources of
+     * the same media type.
+     * @type {Map<string, Map<string, JitsiRemoteTrack>>}
      */
     this.remoteTracks = new Map();
 
@@ -159,6 +178,22 @@ export default function TraceablePeerConnection(
      */
     this.localTracks = new Map();
 
+    /**
+     * The media sections added to the remote descriptions for the additional
+     * local video sources, see {@link addTrackToNewMLine}. Maps the mid, which
+     * is the name of the source, to the index of the media section or -1
+     * until it is added.
+     * @type {Map<string, number>}
+     */
+    this._localSourceMLines = new Map();
+
+    /**
+     * The local tracks waiting for their media section to be created by the
+     * next remote description, mapped by mid.
+     * @type {Map<string, JitsiLocalTrack>}
+     */
+    this._pendingLocalSources = new Map();
+
     /**
      * Keeps tracks of the WebRTC <tt>MediaStream</tt>s that have been added to
      * the underlying WebRTC PeerConnection.
@@ -213,6 +248,16 @@ export default function TraceablePeerConnection(
     this.signalingLayer.on(
         SignalingEvents.PEER_MUTED_CHANGED,
         this._peerMutedChanged);
+
+    this._sourceMutedChanged = this._sourceMutedChanged.bind(this);
+    this.signalingLayer.on(
+        SignalingEvents.SOURCE_MUTED_CHANGED,
+        this._sourceMutedChanged);
+
+    this._sourceVideoTypeChanged = this._sourceVideoTypeChanged.bind(this);
+    this.signalingLayer.on(
+        SignalingEvents.SOURCE_VIDEO_TYPE_CHANGED,
+        this._sourceVideoTypeChanged);
     this.options = options;
 
     // Make sure constraints is properly formatted in order to provide information about whether or not this
@@ -247,6 +292,15 @@ export default function TraceablePeerConnection(
         : standardVideoBitrates;
 
     this.tpcUtils = new TPCUtils(this, this.videoBitrates);
+
+    /**
+     * Whether Opus is negotiated with RED redundancy, see
+     * {@link TraceablePeerConnection#setOpusRedEnabled}. The SDP is not munged
+     * for RED while it's undefined.
+     * @type {boolean|undefined}
+     * @private
+     */
+    this._opusRedEnabled = options.enableOpusRed === true && browser.supportsAudioRed() ? true : undefined;
     this.updateLog = [];
     this.stats = {};
     this.statsinterval = null;
@@ -287,6 +341,12 @@ export default function TraceablePeerConnection(
      */
     this.senderVideoMaxHeight = null;
 
+    /**
+     * The cap on the bitrate of the video sender, in bps, see {@link setSenderBitrateCap}.
+     * @type {number|undefined}
+     */
+    this._senderBitrateCap = undefined;
+
     // override as desired
     this.trace = (what, info) => {
         logger.debug(what, info);
@@ -443,7 +503,7 @@ TraceablePeerConnection.prototype.getConnectionState = function() {
  * Obtains the media direction for given {@link MediaType}. The method takes
  * into account whether or not there are any local tracks for media and
  * the {@link audioTransferActive} and {@link videoTransferActive} flags.
- * @param {MediaType} mediaType
+ * @param {'audio'|'video'} mediaType
  * @return {string} one of the SDP direction constants ('sendrecv, 'recvonly'
  * etc.) which should be used when setting local description on the peer
  * connection.
@@ -515,10 +575,11 @@ TraceablePeerConnection.prototype._peerVideoTypeChanged = function(
 
         return;
     }
-    const videoTrack = this.getRemoteTracks(endpointId, MediaType.VIDEO);
+    const videoTrack = this.getRemoteTracks(endpointId, MediaType.VIDEO)
+        .filter(track => !this._hasPeerSourceInfo(track));
 
     if (videoTrack.length) {
-        // NOTE 1 track per media type is assumed
+        // NOTE 1 track per media type is assumed for the sources which are not advertised separately
         videoTrack[0]._setVideoType(videoType);
     }
 };
@@ -526,7 +587,7 @@ TraceablePeerConnection.prototype._peerVideoTypeChanged = function(
 /**
  * Handles remote track mute / unmute events.
  * @param {string} endpointId the track owner's identifier (MUC nickname)
- * @param {MediaType} mediaType "audio" or "video"
+ * @param {'audio'|'video'} mediaType "audio" or "video"
  * @param {boolean} isMuted the new mute state
  * @private
  */
@@ -540,14 +601,55 @@ TraceablePeerConnection.prototype._peerMutedChanged = function(
 
         return;
     }
-    const track = this.getRemoteTracks(endpointId, mediaType);
+    const track = this.getRemoteTracks(endpointId, mediaType)
+        .filter(remoteTrack => !this._hasPeerSourceInfo(remoteTrack));
 
     if (track.length) {
-        // NOTE 1 track per media type is assumed
+        // NOTE 1 track per media type is assumed for the sources which are not advertised separately
         track[0].setMute(isMuted);
     }
 };
 
+/**
+ * Checks whether the owner of a remote track advertises the state of its source, in which case the state of the
+ * media type of the owner does not apply to it.
+ *
+ * @param {JitsiRemoteTrack} remoteTrack - The remote track.
+ * @returns {boolean}
+ * @private
+ */
+TraceablePeerConnection.prototype._hasPeerSourceInfo = function(remoteTrack) {
+    const sourceName = remoteTrack.getSourceName();
+
+    return Boolean(sourceName && this.signalingLayer.getPeerSourceInfo(remoteTrack.getParticipantId(), sourceName));
+};
+
+/**
+ * Handles {@link SignalingEvents.SOURCE_MUTED_CHANGED}.
+ * @param {string} endpointId the source owner's identifier (MUC nickname)
+ * @param {string} sourceName the name of the source
+ * @param {boolean} isMuted the new mute state
+ * @private
+ */
+TraceablePeerConnection.prototype._sourceMutedChanged = function(endpointId, sourceName, isMuted) {
+    const track = this.getRemoteTracks(endpointId).find(remoteTrack => remoteTrack.getSourceName() === sourceName);
+
+    track && track.setMute(isMuted);
+};
+
+/**
+ * Handles {@link SignalingEvents.SOURCE_VIDEO_TYPE_CHANGED}.
+ * @param {string} endpointId the source owner's identifier (MUC nickname)
+ * @param {string} sourceName the name of the source
+ * @param {VideoType} videoType the new value
+ * @private
+ */
+TraceablePeerConnection.prototype._sourceVideoTypeChanged = function(endpointId, sourceName, videoType) {
+    const track = this.getRemoteTracks(endpointId).find(remoteTrack => remoteTrack.getSourceName() === sourceName);
+
+    track && track._setVideoType(videoType);
+};
+
 /**
  * Obtains audio levels of the remote audio tracks by getting the source information on the RTCRtpReceivers.
  * The information relevant to the ssrc is updated each time a RTP packet constaining the ssrc is received.
@@ -579,7 +681,7 @@ TraceablePeerConnection.prototype.getAudioLevels = function(speakerList = []) {
 /**
  * Obtains local tracks for given {@link MediaType}. If the <tt>mediaType</tt>
  * argument is omitted the list of all local tracks will be returned.
- * @param {MediaType} [mediaType]
+ * @param {'audio'|'video'} [mediaType]
  * @return {Array<JitsiLocalTrack>}
  */
 TraceablePeerConnection.prototype.getLocalTracks = function(mediaType) {
@@ -604,7 +706,7 @@ TraceablePeerConnection.prototype.getLocalVideoTrack = function() {
 /**
  * Checks whether or not this {@link TraceablePeerConnection} instance contains
  * any local tracks for given <tt>mediaType</tt>.
- * @param {MediaType} mediaType
+ * @param {'audio'|'video'} mediaType
  * @return {boolean}
  */
 TraceablePeerConnection.prototype.hasAnyTracksOfType = function(mediaType) {
@@ -618,7 +720,7 @@ TraceablePeerConnection.prototype.hasAnyTracksOfType = function(mediaType) {
 /**
  * Obtains all remote tracks currently known to this PeerConnection instance.
  * @param {string} [endpointId] the track owner's identifier (MUC nickname)
- * @param {MediaType} [mediaType] the remote tracks will be filtered
+ * @param {'audio'|'video'} [mediaType] the remote tracks will be filtered
  * by their media type if this argument is specified.
  * @return {Array<JitsiRemoteTrack>}
  */
@@ -639,14 +741,10 @@ TraceablePeerConnection.prototype.getRemoteTracks = function(
             continue;
         }
 
-        for (const trackMediaType of endpointTrackMap.keys()) {
+        for (const mediaTrack of endpointTrackMap.values()) {
             // per media type filtering
-            if (!mediaType || mediaType === trackMediaType) {
-                const mediaTrack = endpointTrackMap.get(trackMediaType);
-
-                if (mediaTrack) {
-                    remoteTracks.push(mediaTrack);
-                }
+            if (!mediaType || mediaType === mediaTrack.getType()) {
+                remoteTracks.push(mediaTrack);
             }
         }
     }
@@ -916,11 +1014,15 @@ TraceablePeerConnection.prototype._remoteTrackAdded = function(stream, track, tr
         return;
     }
 
-    const muted = peerMediaInfo.muted;
-    const videoType = peerMediaInfo.videoType; // can be undefined
+    // The participants which send several sources of the same media type advertise the state of each of them.
+    const sourceName = this.signalingLayer.getTrackSourceName(trackSsrc);
+    const sourceInfo
+        = sourceName && this.signalingLayer.getPeerSourceInfo(ownerEndpointId, sourceName);
+    const muted = sourceInfo ? sourceInfo.muted : peerMediaInfo.muted;
+    const videoType = sourceInfo ? sourceInfo.videoType : peerMediaInfo.videoType; // can be undefined
 
     this._createRemoteTrack(
-        ownerEndpointId, stream, track, mediaType, videoType, trackSsrc, muted);
+        ownerEndpointId, stream, track, mediaType, videoType, trackSsrc, muted, sourceName);
 };
 
 // FIXME cleanup params
@@ -933,10 +1035,13 @@ TraceablePeerConnection.prototype._remoteTrackAdded = function(stream, track, tr
  * @param {string} ownerEndpointId the owner's endpoint ID (MUC nickname)
  * @param {MediaStream} stream the WebRTC stream instance
  * @param {MediaStreamTrack} track the WebRTC track instance
- * @param {MediaType} mediaType the track's type of the media
- * @param {VideoType} [videoType] the track's type of the video (if applicable)
+ * @param {'audio'|'video'} mediaType the track's type of the media
+ * @param {VideoType|undefined} videoType the track's type of the video (if
+ * applicable)
  * @param {number} ssrc the track's main SSRC number
  * @param {boolean} muted the initial muted status
+ * @param {string} [sourceName] the name of the source of the track, if it
+ * was signalled
  */
 TraceablePeerConnection.prototype._createRemoteTrack = function(
         ownerEndpointId,
@@ -945,7 +1050,8 @@ TraceablePeerConnection.prototype._createRemoteTrack = function(
         mediaType,
         videoType,
         ssrc,
-        muted) {
+        muted,
+        sourceName) {
     let remoteTracksMap = this.remoteTracks.get(ownerEndpointId);
 
     if (!remoteTracksMap) {
@@ -953,7 +1059,7 @@ TraceablePeerConnection.prototype._createRemoteTrack = function(
         this.remoteTracks.set(ownerEndpointId, remoteTracksMap);
     }
 
-    const existingTrack = remoteTracksMap.get(mediaType);
+    const existingTrack = remoteTracksMap.get(sourceName || mediaType);
 
     if (existingTrack && existingTrack.getTrack() === track) {
         // Ignore duplicated event which can originate either from 'onStreamAdded' or 'onTrackAdded'.
@@ -987,9 +1093,10 @@ TraceablePeerConnection.prototype._createRemoteTrack = function(
                 videoType,
                 ssrc,
                 muted,
-                this.isP2P);
+                this.isP2P,
+                sourceName);
 
-    remoteTracksMap.set(mediaType, remoteTrack);
+    remoteTracksMap.set(sourceName || mediaType, remoteTrack);
 
     this.eventEmitter.emit(RTCEvents.REMOTE_TRACK_ADDED, remoteTrack, this);
 };
@@ -1115,11 +1222,7 @@ TraceablePeerConnection.prototype.removeRemoteTracks = function(owner) {
     const remoteTracksMap = this.remoteTracks.get(owner);
 
     if (remoteTracksMap) {
-        const removedAudioTrack = remoteTracksMap.get(MediaType.AUDIO);
-        const removedVideoTrack = remoteTracksMap.get(MediaType.VIDEO);
-
-        removedAudioTrack && removedTracks.push(removedAudioTrack);
-        removedVideoTrack && removedTracks.push(removedVideoTrack);
+        removedTracks.push(...remoteTracksMap.values());
 
         this.remoteTracks.delete(owner);
     }
@@ -1144,7 +1247,7 @@ TraceablePeerConnection.prototype._removeRemoteTrack = function(toBeRemoved) {
     if (!remoteTracksMap) {
         logger.error(
             `removeRemoteTrack: no remote tracks map for ${participantId}`);
-    } else if (!remoteTracksMap.delete(toBeRemoved.getType())) {
+    } else if (!remoteTracksMap.delete(getRemoteTrackKey(toBeRemoved))) {
         logger.error(
             `Failed to remove ${toBeRemoved} - type mapping messed up ?`);
     }
@@ -1482,9 +1585,19 @@ TraceablePeerConnection.prototype._injectSsrcGroupForUnifiedSimulcast
                 // Group already exists, no need to do anything
                 return desc;
             }
+
+            // Only the first video source is sent with simulcast, the additional ones share the m-line in plan B.
+            const msids = new Map();
+
+            video.ssrcs.forEach(ssrc => {
+                ssrc.attribute === 'msid' && msids.set(String(ssrc.id), ssrc.value);
+            });
+
+            const simulcastSsrcs = ssrcs.filter(ssrc => msids.get(String(ssrc)) === msids.get(String(ssrcs[0])));
+
             video.ssrcGroups.push({
                 semantics: 'SIM',
-                ssrcs: ssrcs.join(' ')
+                ssrcs: simulcastSsrcs.join(' ')
             });
         }
 
@@ -1665,7 +1778,7 @@ TraceablePeerConnection.prototype.containsTrack = function(track) {
     const participantId = track.getParticipantId();
     const remoteTracksMap = this.remoteTracks.get(participantId);
 
-    return Boolean(remoteTracksMap && remoteTracksMap.get(track.getType()) === track);
+    return Boolean(remoteTracksMap && remoteTracksMap.get(getRemoteTrackKey(track)) === track);
 };
 
 /**
@@ -1944,8 +2057,8 @@ TraceablePeerConnection.prototype.removeTrack = function(localTrack) {
 
 /**
  * Returns the sender corresponding to the given media type.
- * @param {MEDIA_TYPE} mediaType - The media type 'audio' or 'video' to be used for the search.
- * @returns {RTPSender|undefined} - The found sender or undefined if no sender
+ * @param {'audio'|'video'} mediaType - The media type 'audio' or 'video' to be used for the search.
+ * @returns {RTCRtpSender|undefined} - The found sender or undefined if no sender
  * was found.
  */
 TraceablePeerConnection.prototype.findSenderByKind = function(mediaType) {
@@ -1955,7 +2068,7 @@ TraceablePeerConnection.prototype.findSenderByKind = function(mediaType) {
 /**
  * Returns the receiver corresponding to the given MediaStreamTrack.
  *
- * @param {MediaSreamTrack} track - The media stream track used for the search.
+ * @param {MediaStreamTrack} track - The media stream track used for the search.
  * @returns {RTCRtpReceiver|undefined} - The found receiver or undefined if no receiver
  * was found.
  */
@@ -1966,7 +2079,7 @@ TraceablePeerConnection.prototype.findReceiverForTrack = function(track) {
 /**
  * Returns the sender corresponding to the given MediaStreamTrack.
  *
- * @param {MediaSreamTrack} track - The media stream track used for the search.
+ * @param {MediaStreamTrack} track - The media stream track used for the search.
  * @returns {RTCRtpSender|undefined} - The found sender or undefined if no sender
  * was found.
  */
@@ -2010,6 +2123,117 @@ TraceablePeerConnection.prototype.replaceTrack = function(oldTrack, newTrack) {
     return promiseChain.then(() => true);
 };
 
+/**
+ * Adds a local video track on a media section of its own, next to the video
+ * track already sent. Since the JVB connection is always the responder, the
+ * media section is added to the next remote description, and the track is
+ * attached to it once it is set, so that the next local description sends it.
+ * Only supported in unified plan on the JVB connection.
+ * @param {JitsiLocalTrack} track the local video track, which must have a
+ * source name.
+ * @return {Promise<void>} resolved when done.
+ */
+TraceablePeerConnection.prototype.addTrackToNewMLine = function(track) {
+    const mid = track.getSourceName();
+
+    if (!browser.usesUnifiedPlan() || this.isP2P || !mid) {
+        return Promise.reject(new Error(`${this} can not send ${track} on a new media section`));
+    }
+    if (this.localTracks.has(track.rtcId)) {
+        return Promise.reject(new Error(`${track} is already in ${this}`));
+    }
+
+    logger.info(`add ${track} on a new media section to: ${this}`);
+    this.localTracks.set(track.rtcId, track);
+    this._pendingLocalSources.set(mid, track);
+    if (!this._localSourceMLines.has(mid)) {
+        this._localSourceMLines.set(mid, -1);
+    }
+
+    return Promise.resolve();
+};
+
+/**
+ * Returns the mid of the media section a local track is sent on, if it is
+ * an additional video source, see {@link addTrackToNewMLine}.
+ * @param {JitsiLocalTrack} track the local track.
+ * @return {string|undefined}
+ */
+TraceablePeerConnection.prototype.getLocalSourceMid = function(track) {
+    const mid = track.getSourceName();
+
+    return this._localSourceMLines.has(mid) ? mid : undefined;
+};
+
+/**
+ * Adds the media sections of the additional local video sources to a remote
+ * description converted from plan B, which describes a single video media
+ * section. The media sections are kept at their index once added and the
+ * remote endpoint is expected to receive on them.
+ * @param {RTCSessionDescription} description the remote description.
+ * @return {RTCSessionDescription}
+ * @private
+ */
+TraceablePeerConnection.prototype._injectLocalSourceMLines = function(description) {
+    if (!this._localSourceMLines.size) {
+        return description;
+    }
+
+    const parsedSdp = transform.parse(description.sdp);
+    const videoMLine = parsedSdp.media.find(mLine => mLine.type === MediaType.VIDEO);
+
+    if (!videoMLine) {
+        return description;
+    }
+
+    const bundle = parsedSdp.groups?.find(group => group.type === 'BUNDLE');
+
+    for (const [ mid, index ] of this._localSourceMLines) {
+        let mLine = parsedSdp.media.find(media => String(media.mid) === mid);
+
+        if (!mLine) {
+            mLine = {
+                ...videoMLine,
+                mid
+            };
+            [ 'msid', 'rids', 'simulcast', 'simulcast_03', 'ssrcGroups', 'ssrcs' ].forEach(key => delete mLine[key]);
+
+            const position = index < 0 ? parsedSdp.media.length : Math.min(index, parsedSdp.media.length);
+
+            parsedSdp.media.splice(position, 0, mLine);
+            this._localSourceMLines.set(mid, position);
+        }
+        mLine.direction = 'recvonly';
+        mLine.port = videoMLine.port;
+
+        if (bundle && !bundle.mids.split(' ').includes(mid)) {
+            bundle.mids = `${bundle.mids} ${mid}`;
+        }
+    }
+
+    return new RTCSessionDescription({
+        type: description.type,
+        sdp: transform.write(parsedSdp)
+    });
+};
+
+/**
+ * Sends the new MediaStream of a local track which was replaced, e.g. when an effect was started or stopped on it,
+ * with the RTCRtpSender the track is already added with. Only supported in unified plan.
+ * @param {JitsiLocalTrack} localTrack the local track whose stream was replaced.
+ * @param {MediaStream} oldStream the stream the track was sending before.
+ * @return {Promise<void>} resolved when the new stream is sent.
+ */
+TraceablePeerConnection.prototype.replaceTrackStream = function(localTrack, oldStream) {
+    this.trace('replaceTrackStream', localTrack.rtcId, localTrack.getStreamId());
+
+    if (!this._assertTrackBelongs('replaceTrackStream', localTrack)) {
+        return Promise.reject('Track not found in the peerconnection');
+    }
+
+    return this.tpcUtils.replaceTrackStream(localTrack, oldStream);
+};
+
 /**
  * Removes local track as part of the mute operation.
  * @param {JitsiLocalTrack} localTrack the local track to be remove as part of
@@ -2216,6 +2440,64 @@ TraceablePeerConnection.prototype._mungeOpus = function(description) {
     });
 };
 
+/**
+ * Munges the audio formats of the SDP passed so that Opus is negotiated with
+ * RED redundancy, by preferring the RED format, or without it, by removing
+ * the RED format, depending on {@link TraceablePeerConnection#setOpusRedEnabled}.
+ * @param {RTCSessionDescription} description that needs to be munged.
+ * @returns {RTCSessionDescription} the munged description.
+ */
+TraceablePeerConnection.prototype._mungeOpusRed = function(description) {
+    if (typeof this._opusRedEnabled === 'undefined') {
+        return description;
+    }
+
+    const parsedSdp = transform.parse(description.sdp);
+
+    for (const mLine of parsedSdp.media) {
+        if (mLine.type === MediaType.AUDIO) {
+            const mLineWrap = new MLineWrap(mLine);
+
+            if (!this._opusRedEnabled) {
+                mLineWrap.removeOpusRed();
+            } else if (!mLineWrap.preferOpusRed()) {
+                logger.debug(`${this} RED for Opus is not in the ${description.type}, it can't be enabled`);
+            }
+        }
+    }
+
+    return new RTCSessionDescription({
+        type: description.type,
+        sdp: transform.write(parsedSdp)
+    });
+};
+
+/**
+ * Enables or disables the RED redundancy of Opus. It goes into effect with the
+ * next renegotiation and it's kept for the renegotiations which follow.
+ *
+ * @param {boolean} enabled - Whether Opus is negotiated with RED.
+ * @returns {void}
+ */
+TraceablePeerConnection.prototype.setOpusRedEnabled = function(enabled) {
+    if (enabled && !browser.supportsAudioRed()) {
+        logger.warn(`${this} The browser does not support RED for Opus`);
+
+        return;
+    }
+
+    this._opusRedEnabled = enabled;
+};
+
+/**
+ * Checks whether Opus is negotiated with RED redundancy.
+ *
+ * @returns {boolean}
+ */
+TraceablePeerConnection.prototype.isOpusRedEnabled = function() {
+    return this._opusRedEnabled === true;
+};
+
 TraceablePeerConnection.prototype.setLocalDescription = function(description) {
     let localSdp = description;
 
@@ -2227,6 +2509,9 @@ TraceablePeerConnection.prototype.setLocalDescription = function(description) {
     // Munge stereo flag and opusMaxAverageBitrate based on config.js
     localSdp = this._mungeOpus(localSdp);
 
+    // Munge the RED format for Opus
+    localSdp = this._mungeOpusRed(localSdp);
+
     if (browser.usesPlanB()) {
         localSdp = this._adjustLocalMediaDirection(localSdp);
         localSdp = this._ensureSimulcastGroupIsLast(localSdp);
@@ -2294,7 +2579,9 @@ TraceablePeerConnection.prototype.setAudioTransferActive = function(active) {
  * Sets the degradation preference on the video sender. This setting determines if
  * resolution or framerate will be preferred when bandwidth or cpu is constrained.
  * Sets it to 'maintain-framerate' when a camera track is added to the pc, sets it
- * to 'maintain-resolution' when a desktop track is being shared instead.
+ * to 'maintain-resolution' when a desktop track is being shared instead, unless
+ * the screen share is optimized for motion, see
+ * {@link JitsiLocalTrack#setScreenshareMode}.
  * @returns {Promise<void>}
  */
 TraceablePeerConnection.prototype.setSenderVideoDegradationPreference = function() {
@@ -2310,9 +2597,10 @@ TraceablePeerConnection.prototype.setSenderVideoDegradationPreference = function
         return Promise.resolve();
     }
     const parameters = videoSender.getParameters();
-    const preference = localVideoTrack.videoType === VideoType.CAMERA
+    const screenshareMode = localVideoTrack.getScreenshareMode();
+    const preference = localVideoTrack.videoType === VideoType.CAMERA || screenshareMode === ScreenshareMode.MOTION
         ? DEGRADATION_PREFERENCE_CAMERA
-        : this.options.capScreenshareBitrate && browser.usesPlanB()
+        : screenshareMode === ScreenshareMode.DETAIL || (this.options.capScreenshareBitrate && browser.usesPlanB())
 
             // Prefer resolution for low fps share.
             ? DEGRADATION_PREFERENCE_DESKTOP
@@ -2323,6 +2611,7 @@ TraceablePeerConnection.prototype.setSenderVideoDegradationPreference = function
     logger.info(`Setting a degradation preference of ${preference} on local video track`);
     parameters.degradationPreference = preference;
     this.tpcUtils.updateEncodingsResolution(parameters);
+    this.tpcUtils.updateEncodingsScalabilityMode(parameters);
 
     return videoSender.setParameters(parameters);
 };
@@ -2339,7 +2628,8 @@ TraceablePeerConnection.prototype.setSenderVideoDegradationPreference = function
 TraceablePeerConnection.prototype.setMaxBitRate = function() {
     // For VP9, max bitrate is configured by setting b=AS value in SDP. Browsers do
     // not yet support setting max bitrates for individual VP9 SVC layers.
-    if (this.getConfiguredVideoCodec() === CodecMimeType.VP9 || !window.RTCRtpSender) {
+    // The bitrate cap is applied on the whole SVC stream though.
+    if ((this.getConfiguredVideoCodec() === CodecMimeType.VP9 && !this._senderBitrateCap) || !window.RTCRtpSender) {
         return Promise.resolve();
     }
     const localVideoTrack = this.getLocalVideoTrack();
@@ -2355,9 +2645,11 @@ TraceablePeerConnection.prototype.setMaxBitRate = function() {
     // 1. Max. bitrates for video are specified through videoQuality settings in config.js
     // 2. Track is a desktop track and bitrate is capped using capScreenshareBitrate option in plan-b mode.
     // 3. The client is running in Unified plan mode.
+    // 4. The bitrate of the video sender is capped.
     if (!((this.options.videoQuality && this.options.videoQuality.maxBitratesVideo)
         || (planBScreenSharing && this.options.capScreenshareBitrate)
-        || browser.usesUnifiedPlan())) {
+        || browser.usesUnifiedPlan()
+        || this._senderBitrateCap)) {
         return Promise.resolve();
     }
 
@@ -2375,6 +2667,8 @@ TraceablePeerConnection.prototype.setMaxBitRate = function() {
     }
 
     if (this.isSimulcastOn()) {
+        const encodingsActiveState = this._getEncodingsActiveState();
+
         for (const encoding in parameters.encodings) {
             if (parameters.encodings.hasOwnProperty(encoding)) {
                 let bitrate;
@@ -2394,6 +2688,11 @@ TraceablePeerConnection.prototype.setMaxBitRate = function() {
                         : undefined;
                 } else {
                     bitrate = this.tpcUtils.localStreamEncodingsConfig[encoding].maxBitrate;
+
+                    // The layers which don't fit in the bitrate cap are turned off, the lowest one which always
+                    // stays on is capped instead.
+                    bitrate = this._senderBitrateCap ? Math.min(bitrate, this._senderBitrateCap) : bitrate;
+                    parameters.encodings[encoding].active = encodingsActiveState[encoding];
                 }
 
                 logger.info(`${this} Setting a max bitrate of ${bitrate} bps on layer `
@@ -2418,9 +2717,13 @@ TraceablePeerConnection.prototype.setMaxBitRate = function() {
                 bitrate = encoding.maxBitrate;
             }
         }
+        if (this._senderBitrateCap) {
+            bitrate = bitrate ? Math.min(bitrate, this._senderBitrateCap) : this._senderBitrateCap;
+        }
         parameters.encodings[0].maxBitrate = bitrate;
     }
     this.tpcUtils.updateEncodingsResolution(parameters);
+    this.tpcUtils.updateEncodingsScalabilityMode(parameters);
 
     return videoSender.setParameters(parameters);
 };
@@ -2436,6 +2739,9 @@ TraceablePeerConnection.prototype.setRemoteDescription = function(description) {
     // Munge stereo flag and opusMaxAverageBitrate based on config.js
     description = this._mungeOpus(description);
 
+    // Munge the RED format for Opus
+    description = this._mungeOpusRed(description);
+
     /* eslint-enable no-param-reassign */
 
     if (browser.usesPlanB()) {
@@ -2472,10 +2778,14 @@ TraceablePeerConnection.prototype.setRemoteDescription = function(description) {
             // eslint-disable-next-line no-param-reassign
             description = this.tpcUtils.ensureCorrectOrderOfSsrcs(description);
         }
+
+        // eslint-disable-next-line no-param-reassign
+        description = this._injectLocalSourceMLines(description);
     }
 
     return new Promise((resolve, reject) => {
         this.peerconnection.setRemoteDescription(description)
+            .then(() => this._attachPendingLocalSources())
             .then(() => {
                 this.trace('setRemoteDescriptionOnSuccess');
                 const remoteUfrag = SDPUtil.getUfrag(description.sdp);
@@ -2497,6 +2807,23 @@ TraceablePeerConnection.prototype.setRemoteDescription = function(description) {
     });
 };
 
+/**
+ * Attaches the local tracks added with {@link addTrackToNewMLine} to the
+ * transceivers created for their media sections by the remote description.
+ * @return {Promise<void>} resolved when done.
+ * @private
+ */
+TraceablePeerConnection.prototype._attachPendingLocalSources = function() {
+    const promises = [];
+
+    for (const [ mid, track ] of this._pendingLocalSources) {
+        promises.push(this.tpcUtils.attachTrackToMLine(track, mid));
+    }
+    this._pendingLocalSources.clear();
+
+    return Promise.all(promises);
+};
+
 /**
  * Changes the resolution of the video stream that is sent to the peer based on
  * the user preferred value. If simulcast is enabled on the peerconection, all the
@@ -2562,9 +2889,11 @@ TraceablePeerConnection.prototype.setSenderVideoConstraint = function(frameHeigh
         if (newHeight > 0 && ldStreamIndex !== -1) {
             this.encodingsEnabledState[ldStreamIndex] = true;
         }
+        const encodingsActiveState = this._getEncodingsActiveState();
+
         for (const encoding in parameters.encodings) {
             if (parameters.encodings.hasOwnProperty(encoding)) {
-                parameters.encodings[encoding].active = this.encodingsEnabledState[encoding];
+                parameters.encodings[encoding].active = encodingsActiveState[encoding];
             }
         }
         this.tpcUtils.updateEncodingsResolution(parameters);
@@ -2581,6 +2910,7 @@ TraceablePeerConnection.prototype.setSenderVideoConstraint = function(frameHeigh
         parameters.encodings[0].scaleResolutionDownBy = undefined;
         parameters.encodings[0].active = false;
     }
+    this.tpcUtils.updateEncodingsScalabilityMode(parameters);
 
     logger.info(`${this} setting max height of ${newHeight}, encodings: ${JSON.stringify(parameters.encodings)}`);
 
@@ -2596,6 +2926,45 @@ TraceablePeerConnection.prototype.setSenderVideoConstraint = function(frameHeigh
     });
 };
 
+/**
+ * Caps the bitrate of the video sender, on top of the max bitrates configured
+ * for the simulcast layers. The simulcast layers which don't fit in the cap are
+ * turned off.
+ * @param {number|undefined} bitrate - The cap in bps or <tt>undefined</tt> to
+ * remove it.
+ * @returns {Promise} promise that will be resolved when the operation is
+ * successful and rejected otherwise.
+ */
+TraceablePeerConnection.prototype.setSenderBitrateCap = function(bitrate) {
+    if (this._senderBitrateCap === bitrate) {
+        return Promise.resolve();
+    }
+    logger.info(`${this} Setting a bitrate cap of ${bitrate} bps on the video sender`);
+    this._senderBitrateCap = bitrate;
+
+    return this.setMaxBitRate();
+};
+
+/**
+ * Returns whether each of the simulcast streams should be sent, according to
+ * the sender video constraint, the bitrate cap and the screen share mode.
+ * @returns {Array<boolean>}
+ * @private
+ */
+TraceablePeerConnection.prototype._getEncodingsActiveState = function() {
+    const activeState = this.tpcUtils.getEncodingsWithinBitrateCap(this._senderBitrateCap)
+        .map((withinCap, index) => withinCap
+            && (this.encodingsEnabledState ? this.encodingsEnabledState[index] : true));
+
+    // The downscaled streams of a screen share optimized for detail are not
+    // readable, only the highest resolution one of those allowed is sent.
+    if (this.getLocalVideoTrack()?.getScreenshareMode() === ScreenshareMode.DETAIL) {
+        return this.tpcUtils.getHighestActiveEncoding(activeState);
+    }
+
+    return activeState;
+};
+
 /**
  * Enables/disables video media transmission on this peer connection. When
  * disabled the SDP video media direction in the local SDP will be adjusted to
@@ -2724,6 +3093,8 @@ TraceablePeerConnection.prototype.close = function() {
     // Off SignalingEvents
     this.signalingLayer.off(SignalingEvents.PEER_MUTED_CHANGED, this._peerMutedChanged);
     this.signalingLayer.off(SignalingEvents.PEER_VIDEO_TYPE_CHANGED, this._peerVideoTypeChanged);
+    this.signalingLayer.off(SignalingEvents.SOURCE_MUTED_CHANGED, this._sourceMutedChanged);
+    this.signalingLayer.off(SignalingEvents.SOURCE_VIDEO_TYPE_CHANGED, this._sourceVideoTypeChanged);
     browser.usesUnifiedPlan() && this.peerconnection.removeEventListener('track', this.onTrack);
 
     for (const peerTracks of this.remoteTracks.values()) {
@@ -2931,8 +3302,8 @@ TraceablePeerConnection.prototype.addIceCandidate = function(candidate) {
 TraceablePeerConnection.prototype.getActiveSimulcastStreams = function() {
     let activeStreams = 1;
 
-    if (this.isSimulcastOn() && this.encodingsEnabledState) {
-        activeStreams = this.encodingsEnabledState.filter(stream => Boolean(stream))?.length;
+    if (this.isSimulcastOn() && (this.encodingsEnabledState || this._senderBitrateCap)) {
+        activeStreams = this._getEncodingsActiveState().filter(stream => Boolean(stream)).length;
     } else if (this.isSimulcastOn()) {
         activeStreams = SIM_LAYER_RIDS.length;
     }
@@ -281,6 +281,33 @@ export default class BrowserCapabilities extends BrowserDetection {
         }
     }
 
+    /**
+     * Checks if the browser supports AudioWorklet, which the audio effects use to process the audio of a track.
+     * @returns {boolean} {@code true} if the browser supports AudioWorkletNode.
+     */
+    supportsAudioWorklet() {
+        return typeof window.AudioWorkletNode !== 'undefined';
+    }
+
+    /**
+     * Checks if the browser supports WebAudio, which is used to mix the desktop audio into the microphone track.
+     * @returns {boolean} {@code true} if the browser supports AudioContext.
+     */
+    supportsWebAudio() {
+        return typeof (window.AudioContext || window.webkitAudioContext) !== 'undefined';
+    }
+
+    /**
+     * Checks if the browser supports insertable streams for raw media, which the video effects use to process the
+     * frames of a track.
+     * @returns {boolean} {@code true} if the browser supports MediaStreamTrackProcessor and
+     * MediaStreamTrackGenerator.
+     */
+    supportsRawMediaInsertableStreams() {
+        return typeof window.MediaStreamTrackProcessor !== 'undefined'
+            && typeof window.MediaStreamTrackGenerator !== 'undefined';
+    }
+
     /**
      * Whether the browser supports the RED format for audio.
      */
@@ -293,6 +320,29 @@ export default class BrowserCapabilities extends BrowserDetection {
             && window.RTCRtpReceiver.getCapabilities('audio').codecs.some(codec => codec.mimeType === 'audio/red'));
     }
 
+    /**
+     * Checks if the browser can both encode and decode AV1 video.
+     *
+     * @returns {boolean}
+     */
+    supportsAV1() {
+        const hasAV1 = rtp => Boolean(rtp
+            && rtp.getCapabilities
+            && rtp.getCapabilities('video').codecs.some(codec => codec.mimeType.toLowerCase() === 'video/av1'));
+
+        return hasAV1(window.RTCRtpSender) && hasAV1(window.RTCRtpReceiver);
+    }
+
+    /**
+     * Checks if the browser supports configuring the scalability mode of the video encodings, i.e. the number
+     * of spatial and temporal layers the encoder produces.
+     *
+     * @returns {boolean}
+     */
+    supportsScalabilityModeAPI() {
+        return this.isChromiumBased() && this._getChromiumBasedVersion() >= 111;
+    }
+
     /**
      * Checks if the browser supports the "sdpSemantics" configuration option.
      * https://webrtc.org/web-apis/chrome/unified-plan/
@@ -66,7 +66,7 @@ let startBitrate = 800;
 /**
  * Gets the expected bitrate (in kbps) in perfect network conditions.
  * @param simulcast {boolean} whether simulcast is enabled or not.
- * @param resolution {Resolution} the resolution.
+ * @param resolution {Object} the resolution, <tt>{ width, height }</tt>.
  * @param millisSinceStart {number} the number of milliseconds since sending video started.
  * @param videoQualitySettings {Object} the bitrate and codec settings for the local video source.
  */
@@ -84,9 +84,10 @@ function getTarget(simulcast, resolution, millisSinceStart, videoQualitySettings
     // Find the first format with height no bigger than ours.
     let simulcastFormat = kSimulcastFormats.find(f => f.height <= height);
 
-    if (simulcastFormat && simulcast && videoQualitySettings.codec === CodecMimeType.VP8) {
+    if (simulcastFormat && simulcast
+            && (videoQualitySettings.codec === CodecMimeType.VP8 || videoQualitySettings.codec === CodecMimeType.AV1)) {
         // Sum the target fields from all simulcast layers for the given
-        // resolution (e.g. 720p + 360p + 180p) for VP8 simulcast.
+        // resolution (e.g. 720p + 360p + 180p) for VP8 and AV1 simulcast.
         for (height = simulcastFormat.height; height >= 180; height /= 2) {
             const targetHeight = height;
 
@@ -100,7 +101,7 @@ function getTarget(simulcast, resolution, millisSinceStart, videoQualitySettings
             }
         }
     } else if (simulcastFormat) {
-        // For VP9 SVC, H.264 (simulcast automatically disabled) and p2p, target bitrate will be
+        // For VP9 and AV1 SVC, H.264 (simulcast automatically disabled) and p2p, target bitrate will be
         // same as that of the individual stream bitrate.
         target = browser.isReactNative()
             ? simulcastFormat.targetRN
@@ -282,7 +283,7 @@ export default class ConnectionQuality {
      * Calculates a new "connection quality" value.
      * @param videoType {VideoType} the type of the video source (camera or a screen capture).
      * @param isMuted {boolean} whether the local video is muted.
-     * @param resolutionName {Resolution} the input resolution used by the camera.
+     * @param resolutionName {string} the input resolution used by the camera.
      * @returns {*} the newly calculated connection quality.
      */
     _calculateConnectionQuality(videoType, isMuted, resolutionName) {
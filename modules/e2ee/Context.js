@@ -49,6 +49,26 @@ export class Context {
         this._sendCounts = new Map();
 
         this._id = id;
+
+        // Counters of the frames processed, see getStats.
+        this._stats = {
+            decryptedFrames: 0,
+            decryptionFailures: 0,
+            encryptedFrames: 0,
+            encryptionFailures: 0,
+            unknownKeyIndexFrames: 0
+        };
+    }
+
+    /**
+     * Returns the counters of the frames processed since the context was created.
+     *
+     * @returns {Object} The numbers of frames encrypted, of frames which failed to be encrypted, of frames decrypted,
+     * of frames which failed to be decrypted even after ratcheting the key and of frames passed through undecrypted
+     * because there is no key for their key index.
+     */
+    getStats() {
+        return { ...this._stats };
     }
 
     /**
@@ -153,11 +173,12 @@ export class Context {
                         frameHeader.byteLength + cipherText.byteLength + iv.byteLength); // append frame trailer.
 
                 encodedFrame.data = newData;
+                this._stats.encryptedFrames++;
 
                 return controller.enqueue(encodedFrame);
             }, e => {
-                // TODO: surface this to the app.
                 console.error(e);
+                this._stats.encryptionFailures++;
 
                 // We are not enqueuing the frame here on purpose.
             });
@@ -191,6 +212,7 @@ export class Context {
 
         // TODO: this just passes through to the decoder. Is that ok? If we don't know the key yet
         // we might want to buffer a bit but it is still unclear how to do that (and for how long etc).
+        this._stats.unknownKeyIndexFrames++;
         controller.enqueue(encodedFrame);
     }
 
@@ -249,6 +271,7 @@ export class Context {
             newUint8.set(new Uint8Array(plainText), frameHeader.byteLength);
 
             encodedFrame.data = newData;
+            this._stats.decryptedFrames++;
         } catch (error) {
             if (ratchetCount < RATCHET_WINDOW_SIZE) {
                 material = await importKey(await ratchet(material));
@@ -263,7 +286,7 @@ export class Context {
                     ratchetCount + 1);
             }
 
-            // TODO: notify the application about error status.
+            this._stats.decryptionFailures++;
         }
 
         return encodedFrame;
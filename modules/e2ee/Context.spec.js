@@ -169,4 +169,41 @@ describe('E2EE Context', () => {
             await sender.encodeFunction(makeAudioFrame(), sendController);
         });
     });
+
+    describe('stats', () => {
+        let encryptedFrame;
+
+        beforeEach(async () => {
+            await sender.setKey(key, 0);
+            await sender.encodeFunction(makeAudioFrame(), {
+                enqueue: encodedFrame => {
+                    encryptedFrame = encodedFrame;
+                }
+            });
+            receiveController = { enqueue: () => undefined };
+        });
+
+        it('counts the frames encrypted and decrypted', async () => {
+            await receiver.setKey(key, 0);
+            await receiver.decodeFunction(encryptedFrame, receiveController);
+
+            expect(sender.getStats().encryptedFrames).toBe(1);
+            expect(receiver.getStats().decryptedFrames).toBe(1);
+            expect(receiver.getStats().decryptionFailures).toBe(0);
+        });
+
+        it('counts the frames which fail to be decrypted', async () => {
+            await receiver.setKey(new Uint8Array(32), 0);
+            await receiver.decodeFunction(encryptedFrame, receiveController);
+
+            expect(receiver.getStats().decryptedFrames).toBe(0);
+            expect(receiver.getStats().decryptionFailures).toBe(1);
+        });
+
+        it('counts the frames with an unknown key index', async () => {
+            await receiver.decodeFunction(encryptedFrame, receiveController);
+
+            expect(receiver.getStats().unknownKeyIndexFrames).toBe(1);
+        });
+    });
 });
@@ -2,8 +2,14 @@
 
 import { getLogger } from 'jitsi-meet-logger';
 
+import Listenable from '../util/Listenable';
+
 const logger = getLogger(__filename);
 
+const E2EEContextEvents = {
+    STATS_RECEIVED: 'e2ee.stats_received'
+};
+
 // Flag to set on senders / receivers to avoid setting up the encryption transform
 // more than once.
 const kJitsiE2EE = Symbol('kJitsiE2EE');
@@ -19,12 +25,17 @@ const kJitsiE2EE = Symbol('kJitsiE2EE');
  * - do not require changes to existing SFUs and retain (VP8) metadata.
  * - allow the SFU to rewrite SSRCs, timestamp, pictureId.
  * - allow for the key to be rotated frequently.
+ *
+ * The worker periodically posts the counters of the frames it processed for each participant, they are emitted with
+ * {@link E2EEContextEvents.STATS_RECEIVED}.
  */
-export default class E2EEcontext {
+export default class E2EEcontext extends Listenable {
     /**
      * Build a new E2EE context instance, which will be used in a given conference.
      */
     constructor() {
+        super();
+
         // Determine the URL for the worker script. Relative URLs are relative to
         // the entry point, not the script that launches the worker.
         let baseUrl = '';
@@ -45,6 +56,13 @@ export default class E2EEcontext {
 
         this._worker = new Worker(blobUrl, { name: 'E2EE Worker' });
         this._worker.onerror = e => logger.onerror(e);
+        this._worker.onmessage = event => {
+            const { operation, stats } = event.data;
+
+            if (operation === 'stats') {
+                this.eventEmitter.emit(E2EEContextEvents.STATS_RECEIVED, stats);
+            }
+        };
     }
 
     /**
@@ -140,3 +158,5 @@ export default class E2EEcontext {
         });
     }
 }
+
+E2EEcontext.events = E2EEContextEvents;
@@ -2,6 +2,7 @@
 
 import { getLogger } from 'jitsi-meet-logger';
 import debounce from 'lodash.debounce';
+import { v4 as uuidv4 } from 'uuid';
 
 import * as JitsiConferenceEvents from '../../JitsiConferenceEvents';
 import RTCEvents from '../../service/RTC/RTCEvents';
@@ -18,8 +19,28 @@ const logger = getLogger(__filename);
 // joins or leaves.
 const DEBOUNCE_PERIOD = 5000;
 
+// The number of consecutive stats reports of the worker, about one per second, in which the frames of a participant
+// failed to be decrypted and none was decrypted, after which the decryption is reported as failing.
+const DECRYPTION_FAILURE_REPORTS = 3;
+
+// The maximum number of encrypted messages kept for a participant until the olm session with them is established, the
+// oldest are dropped beyond.
+const MAX_PENDING_MESSAGES = 50;
+
+// The maximum number of encrypted chat messages whose sender is remembered, for their edits and deletions to be
+// checked. The oldest are forgotten beyond.
+const MAX_MESSAGE_AUTHORS = 1000;
+
 /**
  * This module integrates {@link E2EEContext} with {@link JitsiConference} in order to enable E2E encryption.
+ *
+ * The media keys are generated locally and distributed over Olm, unless {@code config.e2ee.externallyManagedKey} is
+ * set, in which case the application supplies them, e.g. from its own key management service, with
+ * {@link #setEncryptionKey} and drives their rotation. Olm isn't used at all then.
+ *
+ * With {@code config.e2ee.encryptMessages} the chat messages and the endpoint messages are also encrypted, with the
+ * olm session of each recipient, see {@link #sendMessage}, and so are the edits and deletions of the chat messages,
+ * see {@link #editMessage} and {@link #deleteMessage}.
  */
 export class E2EEncryption {
     /**
@@ -33,9 +54,46 @@ export class E2EEncryption {
         this._enabled = false;
         this._key = undefined;
         this._enabling = undefined;
+        this._externallyManagedKey = E2EEncryption.isExternallyManagedKey(conference.options.config);
+
+        // The messages are encrypted with the olm sessions, which are not established with externally managed keys.
+        this._encryptMessages = Boolean(conference.options.config.e2ee?.encryptMessages) && !this._externallyManagedKey;
+
+        /**
+         * The key supplied by the application for all the participants, applied to those joining later.
+         * @type {{ key: Uint8Array|false, index: number }|undefined}
+         */
+        this._sharedKeyInfo = undefined;
 
         this._e2eeCtx = new E2EEContext();
-        this._olmAdapter = new OlmAdapter(conference);
+
+        /**
+         * The last counters of the frames processed for each participant, as reported by the worker.
+         * @type {Map<string, Object>}
+         */
+        this._stats = new Map();
+
+        /**
+         * The number of consecutive reports in which the decryption failed for each participant.
+         * @type {Map<string, number>}
+         */
+        this._decryptionFailureReports = new Map();
+
+        /**
+         * The messages to encrypt for each participant with whom there is no olm session yet, sent once it's
+         * established.
+         * @type {Map<string, Array<{ content: Object, sendThroughVideobridge: boolean }>>}
+         */
+        this._pendingMessages = new Map();
+
+        /**
+         * The id of the sender of each encrypted chat message, keyed by the id of the message.
+         * @type {Map<string, string>}
+         */
+        this._messageAuthors = new Map();
+
+        this._e2eeCtx.on(E2EEContext.events.STATS_RECEIVED, this._onStatsReceived.bind(this));
+        this._olmAdapter = this._externallyManagedKey ? undefined : new OlmAdapter(conference);
 
         // Debounce key rotation / ratcheting to avoid a storm of messages.
         this._ratchetKey = debounce(this._ratchetKeyImpl, DEBOUNCE_PERIOD);
@@ -77,6 +135,10 @@ export class E2EEncryption {
             JitsiConferenceEvents.TRACK_MUTE_CHANGED,
             this._trackMuteChanged.bind(this));
 
+        if (this._externallyManagedKey) {
+            return;
+        }
+
         // Olm signalling events.
         this._olmAdapter.on(
             OlmAdapter.events.OLM_ID_KEY_READY,
@@ -87,6 +149,15 @@ export class E2EEncryption {
         this._olmAdapter.on(
             OlmAdapter.events.PARTICIPANT_KEY_UPDATED,
             this._onParticipantKeyUpdated.bind(this));
+        this._olmAdapter.on(
+            OlmAdapter.events.PARTICIPANT_MESSAGE_DECRYPTED,
+            this._onParticipantMessageDecrypted.bind(this));
+        this._olmAdapter.on(
+            OlmAdapter.events.PARTICIPANT_SAS_READY,
+            this._onParticipantSasReady.bind(this));
+        this._olmAdapter.on(
+            OlmAdapter.events.PARTICIPANT_VERIFICATION_COMPLETED,
+            this._onParticipantVerificationCompleted.bind(this));
     }
 
     /**
@@ -97,10 +168,20 @@ export class E2EEncryption {
      */
     static isSupported(config) {
         return browser.supportsInsertableStreams()
-            && OlmAdapter.isSupported()
+            && (E2EEncryption.isExternallyManagedKey(config) || OlmAdapter.isSupported())
             && !(config.testing && config.testing.disableE2EE);
     }
 
+    /**
+     * Indicates if the media keys are supplied by the application rather than exchanged over Olm.
+     *
+     * @param {object} config - Global configuration.
+     * @returns {boolean}
+     */
+    static isExternallyManagedKey(config) {
+        return Boolean(config.e2ee && config.e2ee.externallyManagedKey);
+    }
+
     /**
      * Indicates whether E2EE is currently enabled or not.
      *
@@ -127,6 +208,13 @@ export class E2EEncryption {
 
         this._enabled = enabled;
 
+        if (this._externallyManagedKey) {
+            await this._setEnabledWithExternallyManagedKey(enabled);
+            this._enabling.resolve();
+
+            return;
+        }
+
         if (enabled) {
             await this._olmAdapter.initSessions();
         } else {
@@ -134,6 +222,7 @@ export class E2EEncryption {
                 this._e2eeCtx.cleanup(participant.getId());
             }
             this._olmAdapter.clearAllParticipantsSessions();
+            this._pendingMessages.clear();
         }
 
         this.conference.setLocalParticipantProperty('e2ee.enabled', enabled);
@@ -152,6 +241,222 @@ export class E2EEncryption {
         this._enabling.resolve();
     }
 
+    /**
+     * Returns the counters of the frames processed by the E2EE worker for each participant, the local one included.
+     *
+     * @returns {Object} The counters keyed by participant id: the numbers of frames encrypted, of frames which
+     * failed to be encrypted, of frames decrypted, of frames which failed to be decrypted and of frames which were
+     * received with a key index for which there is no key.
+     */
+    getStats() {
+        return Object.fromEntries(this._stats);
+    }
+
+    /**
+     * Indicates whether a message sent to the other participants is to be encrypted with {@link #sendMessage}.
+     *
+     * @param {string|Object} message - The message.
+     * @returns {boolean}
+     */
+    shouldEncryptMessage(message) {
+        return this.isEncryptingMessages() && !OlmAdapter.isOlmMessage(message);
+    }
+
+    /**
+     * Indicates whether the chat messages and the endpoint messages are currently encrypted.
+     *
+     * @returns {boolean}
+     */
+    isEncryptingMessages() {
+        return this._enabled && this._encryptMessages;
+    }
+
+    /**
+     * Sends a message encrypted with the olm session of each recipient, the group messages are thus sent to every
+     * participant separately. The message is kept for the participants with whom there is no olm session yet, e.g.
+     * because they just joined, and is sent once the session is established. The message is decrypted and emitted as
+     * if it wasn't encrypted on the receiving side, except for the last argument of the event which tells that it was.
+     *
+     * @param {string|Object} message - A chat message if it's a string, an endpoint message otherwise.
+     * @param {string} to - The id of the participant to send the message to, '' to send it to everyone.
+     * @param {boolean} sendThroughVideobridge - Whether to send the message through the bridge channel rather than
+     * the XMPP MUC.
+     * @returns {string|undefined} The id of the chat message.
+     */
+    sendMessage(message, to, sendThroughVideobridge) {
+        const isChat = typeof message === 'string';
+        const messageId = isChat ? uuidv4() : undefined;
+        const content = isChat ? {
+            isPrivate: Boolean(to),
+            messageId,
+            text: message,
+            type: 'chat'
+        } : {
+            message,
+            type: 'endpoint'
+        };
+
+        isChat && this._setMessageAuthor(messageId, this.conference.myUserId());
+        this._sendToParticipants(content, to, sendThroughVideobridge);
+
+        // The group chat messages are no longer echoed by the MUC.
+        if (isChat && !to) {
+            this.conference.eventEmitter.emit(JitsiConferenceEvents.MESSAGE_RECEIVED,
+                this.conference.myUserId(), message, undefined, messageId, true);
+        }
+
+        return messageId;
+    }
+
+    /**
+     * Edits an encrypted chat message sent by the local participant. The edit is encrypted like the message was,
+     * see {@link #sendMessage}.
+     *
+     * @param {string} messageId - The id of the message, as returned by {@link #sendMessage}.
+     * @param {string} text - The new text of the message.
+     * @param {string} [to] - The id of the participant the message was privately sent to.
+     * @returns {boolean} Whether the edit was sent, it's not when the message wasn't sent encrypted by the local
+     * participant.
+     */
+    editMessage(messageId, text, to) {
+        if (this._messageAuthors.get(messageId) !== this.conference.myUserId()) {
+            logger.warn(`Cannot edit message ${messageId} which was not sent encrypted by us`);
+
+            return false;
+        }
+
+        this._sendToParticipants({
+            isPrivate: Boolean(to),
+            messageId,
+            text,
+            type: 'chat-edit'
+        }, to, false);
+
+        if (!to) {
+            this.conference.eventEmitter.emit(JitsiConferenceEvents.MESSAGE_EDITED,
+                this.conference.myUserId(), messageId, text, false);
+        }
+
+        return true;
+    }
+
+    /**
+     * Deletes an encrypted chat message. The local participant can delete the messages it sent and, if it is a
+     * moderator, the messages which were sent to everyone. The deletion is encrypted like the message was, see
+     * {@link #sendMessage}.
+     *
+     * @param {string} messageId - The id of the message.
+     * @param {string} [to] - The id of the participant the message was privately sent to.
+     * @returns {boolean} Whether the deletion was sent.
+     */
+    deleteMessage(messageId, to) {
+        if (!this._canDeleteMessage(this.conference.myUserId(), messageId, Boolean(to))) {
+            logger.warn(`Cannot delete encrypted message ${messageId}`);
+
+            return false;
+        }
+
+        this._sendToParticipants({
+            isPrivate: Boolean(to),
+            messageId,
+            type: 'chat-delete'
+        }, to, false);
+        this._messageAuthors.delete(messageId);
+
+        if (!to) {
+            this.conference.eventEmitter.emit(JitsiConferenceEvents.MESSAGE_DELETED,
+                this.conference.myUserId(), messageId, false);
+        }
+
+        return true;
+    }
+
+    /**
+     * Sets a media key supplied by the application, when the keys are externally managed. The key is used to
+     * encrypt the local media and to decrypt the media of the participants, unless it's given for one participant
+     * only. A new key index rotates the key while the frames encrypted with the previous keys can still be decrypted.
+     *
+     * @param {Object} keyInfo - The key.
+     * @param {Uint8Array|false} keyInfo.encryptionKey - The key material, false to stop encrypting.
+     * @param {number} keyInfo.index - The index of the key, frames carry it so that the receivers pick the right key.
+     * @param {string} [keyInfo.participantId] - The participant the key is used for, the local one to set the key of
+     * the local media only. When not set, the key is used for all the participants, including those joining later.
+     * @returns {void}
+     */
+    setEncryptionKey({ encryptionKey, index, participantId }) {
+        if (!this._externallyManagedKey) {
+            throw new Error('The media keys are not externally managed');
+        }
+
+        if (participantId) {
+            this._e2eeCtx.setKey(participantId, encryptionKey, index);
+
+            return;
+        }
+
+        this._sharedKeyInfo = {
+            index,
+            key: encryptionKey
+        };
+        this._e2eeCtx.setKey(this.conference.myUserId(), encryptionKey, index);
+        for (const participant of this.conference.getParticipants()) {
+            this._e2eeCtx.setKey(participant.getId(), encryptionKey, index);
+        }
+    }
+
+    /**
+     * Starts the verification of the identity key of a participant with a short authentication string, see
+     * {@link OlmAdapter#startVerification}.
+     *
+     * @param {JitsiParticipant} participant - The participant to verify.
+     * @returns {void}
+     */
+    startVerification(participant) {
+        if (this._externallyManagedKey) {
+            throw new Error('The identity keys cannot be verified when the media keys are externally managed');
+        }
+
+        this._olmAdapter.startVerification(participant);
+    }
+
+    /**
+     * Records whether the short authentication strings shown to both users match, see
+     * {@link OlmAdapter#markParticipantVerified}.
+     *
+     * @param {JitsiParticipant} participant - The participant being verified.
+     * @param {boolean} isVerified - Whether the strings match.
+     * @returns {void}
+     */
+    markParticipantVerified(participant, isVerified) {
+        if (this._externallyManagedKey) {
+            throw new Error('The identity keys cannot be verified when the media keys are externally managed');
+        }
+
+        this._olmAdapter.markParticipantVerified(participant, isVerified);
+    }
+
+    /**
+     * Enables / disables E2EE when the keys are externally managed: there's no key exchange, the media is encrypted
+     * once the application supplies the keys.
+     *
+     * @param {boolean} enabled - whether E2EE should be enabled or not.
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _setEnabledWithExternallyManagedKey(enabled) {
+        if (!enabled) {
+            for (const participant of this.conference.getParticipants()) {
+                this._e2eeCtx.cleanup(participant.getId());
+            }
+            this._sharedKeyInfo = undefined;
+            this._e2eeCtx.setKey(this.conference.myUserId(), false, 0);
+        }
+
+        this.conference.setLocalParticipantProperty('e2ee.enabled', enabled);
+
+        this.conference._restartMediaSessions();
+    }
+
     /**
      * Generates a new 256 bit random key.
      *
@@ -201,8 +506,10 @@ export class E2EEncryption {
      * Advances (using ratcheting) the current key when a new participant joins the conference.
      * @private
      */
-    _onParticipantJoined() {
-        if (this._conferenceJoined && this._enabled) {
+    _onParticipantJoined(id) {
+        if (this._externallyManagedKey) {
+            this._sharedKeyInfo && this._e2eeCtx.setKey(id, this._sharedKeyInfo.key, this._sharedKeyInfo.index);
+        } else if (this._conferenceJoined && this._enabled) {
             this._ratchetKey();
         }
     }
@@ -213,18 +520,35 @@ export class E2EEncryption {
      */
     _onParticipantLeft(id) {
         this._e2eeCtx.cleanup(id);
+        this._stats.delete(id);
+        this._decryptionFailureReports.delete(id);
+        this._pendingMessages.delete(id);
 
-        if (this._enabled) {
+        if (this._enabled && !this._externallyManagedKey) {
             this._rotateKey();
         }
     }
 
     /**
-     * Event posted when the E2EE signalling channel has been established with the given participant.
+     * Event posted when the E2EE signalling channel has been established with the given participant. The messages
+     * which were kept for them are sent.
      * @private
      */
     _onParticipantE2EEChannelReady(id) {
         logger.debug(`E2EE channel with participant ${id} is ready`);
+
+        const pendingMessages = this._pendingMessages.get(id);
+        const participant = this.conference.getParticipantById(id);
+
+        this._pendingMessages.delete(id);
+
+        if (!pendingMessages || !participant) {
+            return;
+        }
+
+        for (const { content, sendThroughVideobridge } of pendingMessages) {
+            this._sendEncryptedMessage(participant, content, sendThroughVideobridge);
+        }
     }
 
     /**
@@ -241,6 +565,244 @@ export class E2EEncryption {
         this._e2eeCtx.setKey(id, key, index);
     }
 
+    /**
+     * Keeps a message for a participant with whom there is no olm session yet.
+     *
+     * @param {string} id - The id of the participant.
+     * @param {{ content: Object, sendThroughVideobridge: boolean }} pendingMessage - The message.
+     * @private
+     * @returns {void}
+     */
+    _addPendingMessage(id, pendingMessage) {
+        const pendingMessages = this._pendingMessages.get(id) || [];
+
+        if (pendingMessages.length === MAX_PENDING_MESSAGES) {
+            logger.warn(`Dropping the oldest message kept for ${id}, there is still no olm session with them`);
+            pendingMessages.shift();
+        }
+
+        pendingMessages.push(pendingMessage);
+        this._pendingMessages.set(id, pendingMessages);
+    }
+
+    /**
+     * Encrypts a message with the olm session of a participant and sends it to them.
+     *
+     * @param {JitsiParticipant} participant - The participant.
+     * @param {Object} content - The message.
+     * @param {boolean} sendThroughVideobridge - Whether to send the message through the bridge channel rather than
+     * the XMPP MUC.
+     * @private
+     * @returns {boolean} Whether the message was sent, it's not when there is no olm session with the participant.
+     */
+    _sendEncryptedMessage(participant, content, sendThroughVideobridge) {
+        const encryptedMessage = this._olmAdapter.encryptMessage(participant, content);
+
+        if (!encryptedMessage) {
+            return false;
+        }
+
+        if (sendThroughVideobridge) {
+            this.conference.rtc.sendChannelMessage(participant.getId(), encryptedMessage);
+        } else {
+            this.conference.sendPrivateTextMessage(
+                participant.getId(), JSON.stringify(encryptedMessage), 'json-message');
+        }
+
+        return true;
+    }
+
+    /**
+     * Sends a message encrypted with the olm session of each recipient, it's kept for the participants with whom
+     * there is no olm session yet.
+     *
+     * @param {Object} content - The message.
+     * @param {string} to - The id of the participant to send the message to, '' to send it to everyone.
+     * @param {boolean} sendThroughVideobridge - Whether to send the message through the bridge channel rather than
+     * the XMPP MUC.
+     * @private
+     * @returns {void}
+     */
+    _sendToParticipants(content, to, sendThroughVideobridge) {
+        const participants = to
+            ? [ this.conference.getParticipantById(to) ].filter(Boolean)
+            : this.conference.getParticipants();
+
+        for (const participant of participants) {
+            if (!this._sendEncryptedMessage(participant, content, sendThroughVideobridge)) {
+                this._addPendingMessage(participant.getId(), {
+                    content,
+                    sendThroughVideobridge
+                });
+            }
+        }
+    }
+
+    /**
+     * Records the sender of an encrypted chat message, forgetting the oldest messages past
+     * {@link MAX_MESSAGE_AUTHORS}.
+     *
+     * @param {string} messageId - The id of the message.
+     * @param {string} id - The id of the sender.
+     * @private
+     * @returns {void}
+     */
+    _setMessageAuthor(messageId, id) {
+        this._messageAuthors.delete(messageId);
+        this._messageAuthors.set(messageId, id);
+
+        if (this._messageAuthors.size > MAX_MESSAGE_AUTHORS) {
+            this._messageAuthors.delete(this._messageAuthors.keys().next().value);
+        }
+    }
+
+    /**
+     * Checks whether a participant may delete an encrypted chat message: its sender can and so can the moderators,
+     * unless the message is private.
+     *
+     * @param {string} id - The id of the participant.
+     * @param {string} messageId - The id of the message.
+     * @param {boolean} isPrivate - Whether the message is private.
+     * @private
+     * @returns {boolean}
+     */
+    _canDeleteMessage(id, messageId, isPrivate) {
+        const author = this._messageAuthors.get(messageId);
+
+        if (author === undefined) {
+            return false;
+        }
+
+        if (author === id) {
+            return true;
+        }
+
+        if (isPrivate) {
+            return false;
+        }
+
+        if (id === this.conference.myUserId()) {
+            return Boolean(this.conference.isModerator());
+        }
+
+        return Boolean(this.conference.getParticipantById(id)?.isModerator());
+    }
+
+    /**
+     * Emits a message a participant sent encrypted, see {@link #sendMessage}.
+     *
+     * @param {JitsiParticipant} participant - The participant who sent the message.
+     * @param {Object} content - The decrypted message.
+     * @private
+     */
+    _onParticipantMessageDecrypted(participant, content) {
+        const id = participant.getId();
+
+        switch (content.type) {
+        case 'chat':
+            this._setMessageAuthor(content.messageId, id);
+            this.conference.eventEmitter.emit(
+                content.isPrivate ? JitsiConferenceEvents.PRIVATE_MESSAGE_RECEIVED
+                    : JitsiConferenceEvents.MESSAGE_RECEIVED,
+                id, content.text, undefined, content.messageId, true);
+            break;
+        case 'chat-edit':
+            if (this._messageAuthors.get(content.messageId) !== id) {
+                logger.warn(`Ignoring the edit of message ${content.messageId} by ${id}`);
+                break;
+            }
+
+            this.conference.eventEmitter.emit(
+                JitsiConferenceEvents.MESSAGE_EDITED, id, content.messageId, content.text, Boolean(content.isPrivate));
+            break;
+        case 'chat-delete':
+            if (!this._canDeleteMessage(id, content.messageId, Boolean(content.isPrivate))) {
+                logger.warn(`Ignoring the deletion of message ${content.messageId} by ${id}`);
+                break;
+            }
+
+            this._messageAuthors.delete(content.messageId);
+            this.conference.eventEmitter.emit(
+                JitsiConferenceEvents.MESSAGE_DELETED, id, content.messageId, Boolean(content.isPrivate));
+            break;
+        case 'endpoint':
+            this.conference.eventEmitter.emit(
+                JitsiConferenceEvents.ENDPOINT_MESSAGE_RECEIVED, participant, content.message, true);
+            break;
+        default:
+            logger.warn(`Ignored an encrypted message of unknown type from ${id}`);
+        }
+    }
+
+    /**
+     * Stores the counters reported by the worker and reports the participants whose frames keep failing to be
+     * decrypted, which usually means that the keys are out of sync.
+     *
+     * @param {Object} stats - The counters keyed by participant id.
+     * @fires JitsiConferenceEvents.E2EE_DECRYPTION_FAILED
+     * @private
+     */
+    _onStatsReceived(stats) {
+        for (const [ id, participantStats ] of Object.entries(stats)) {
+            const previousStats = this._stats.get(id);
+
+            this._stats.set(id, participantStats);
+
+            const participant = this.conference.getParticipantById(id);
+
+            // The media of the participants which don't encrypt isn't expected to be decrypted.
+            if (!previousStats || !participant || String(participant.getProperty('e2ee.enabled')) !== 'true') {
+                // eslint-disable-next-line no-continue
+                continue;
+            }
+
+            const decrypted = participantStats.decryptedFrames - previousStats.decryptedFrames;
+            const failed = participantStats.decryptionFailures - previousStats.decryptionFailures
+                + participantStats.unknownKeyIndexFrames - previousStats.unknownKeyIndexFrames;
+
+            if (failed > 0 && decrypted === 0) {
+                const reports = (this._decryptionFailureReports.get(id) || 0) + 1;
+
+                this._decryptionFailureReports.set(id, reports);
+
+                // Reported once, until the decryption recovers.
+                if (reports === DECRYPTION_FAILURE_REPORTS && this._enabled) {
+                    logger.warn(`The decryption of the media of ${id} keeps failing`, participantStats);
+                    this.conference.eventEmitter.emit(
+                        JitsiConferenceEvents.E2EE_DECRYPTION_FAILED, id, participantStats);
+                }
+            } else if (decrypted > 0) {
+                this._decryptionFailureReports.delete(id);
+            }
+        }
+    }
+
+    /**
+     * Passes the short authentication string computed for a participant to the application.
+     *
+     * @param {string} id - The participant ID.
+     * @param {Object} sas - The short authentication string.
+     * @private
+     */
+    _onParticipantSasReady(id, sas) {
+        this.conference.eventEmitter.emit(JitsiConferenceEvents.E2EE_VERIFICATION_READY, id, sas);
+    }
+
+    /**
+     * Updates the verified state of a participant once their verification completed.
+     *
+     * @param {string} id - The participant ID.
+     * @param {boolean} success - Whether the identity key of the participant was verified.
+     * @param {string} [message] - Why the verification failed.
+     * @private
+     */
+    _onParticipantVerificationCompleted(id, success, message) {
+        const participant = this.conference.getParticipantById(id);
+
+        participant && participant.setE2EEVerified(success);
+        this.conference.eventEmitter.emit(JitsiConferenceEvents.E2EE_VERIFICATION_COMPLETED, id, success, message);
+    }
+
     /**
      * Handles an update in a participant's presence property.
      *
@@ -254,9 +816,17 @@ export class E2EEncryption {
         switch (name) {
         case 'e2ee.idKey':
             logger.debug(`Participant ${participant.getId()} updated their id key: ${newValue}`);
+
+            // The verification was about the previous key, it may now be the one of an impostor.
+            if (participant.isE2EEVerified() && oldValue !== newValue) {
+                logger.warn(`The id key of verified participant ${participant.getId()} changed`);
+                participant.setE2EEVerified(false);
+                this.conference.eventEmitter.emit(
+                    JitsiConferenceEvents.E2EE_IDENTITY_KEY_CHANGED, participant.getId(), oldValue, newValue);
+            }
             break;
         case 'e2ee.enabled':
-            if (!newValue && this._enabled) {
+            if (!newValue && this._enabled && !this._externallyManagedKey) {
                 this._olmAdapter.clearParticipantSession(participant);
 
                 this._rotateKey();
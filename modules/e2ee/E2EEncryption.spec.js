@@ -0,0 +1,475 @@
+import * as JitsiConferenceEvents from '../../JitsiConferenceEvents';
+import Listenable from '../util/Listenable';
+import { FEATURE_E2EE } from '../xmpp/xmpp';
+
+import { E2EEncryption } from './E2EEncryption';
+import { MockOlm } from './MockClasses';
+
+// JSDocs disabled for Mock classes to avoid duplication - check on the original classes for info.
+/* eslint-disable require-jsdoc */
+class MockWorker {
+    constructor() {
+        this.postMessage = jasmine.createSpy('postMessage');
+    }
+}
+
+class MockParticipant {
+    constructor(id) {
+        this.id = id;
+        this.moderator = false;
+        this.properties = {};
+    }
+
+    getId() {
+        return this.id;
+    }
+
+    getFeatures() {
+        return Promise.resolve(new Set([ FEATURE_E2EE ]));
+    }
+
+    getProperty(name) {
+        return this.properties[name];
+    }
+
+    isModerator() {
+        return this.moderator;
+    }
+}
+
+/**
+ * A mock conference with a single remote participant, whose messages, sent through the XMPP MUC or the bridge
+ * channel, are delivered to the conference of that participant.
+ */
+class MockConference extends Listenable {
+    constructor(id, remoteId, config) {
+        super();
+        this.id = id;
+        this.moderator = false;
+        this.options = { config };
+        this.remote = new MockParticipant(remoteId);
+        this.peer = undefined;
+        this.rtc = new Listenable();
+        this.rtc.sendChannelMessage = jasmine.createSpy('sendChannelMessage')
+            .and.callFake((to, payload) => this._deliver(payload));
+        this._restartMediaSessions = jasmine.createSpy('_restartMediaSessions');
+        this.setLocalParticipantProperty = jasmine.createSpy('setLocalParticipantProperty');
+        this.sendPrivateTextMessage = jasmine.createSpy('sendPrivateTextMessage')
+            .and.callFake((to, text) => this._deliver(JSON.parse(text)));
+    }
+
+    myUserId() {
+        return this.id;
+    }
+
+    getParticipants() {
+        return [ this.remote ];
+    }
+
+    getParticipantById(id) {
+        return id === this.remote.getId() ? this.remote : undefined;
+    }
+
+    isE2EEEnabled() {
+        return true;
+    }
+
+    isModerator() {
+        return this.moderator;
+    }
+
+    sendMessage(data) {
+        this._deliver(data);
+    }
+
+    _deliver(data) {
+        const { peer } = this;
+
+        setTimeout(() => peer.eventEmitter.emit(JitsiConferenceEvents.ENDPOINT_MESSAGE_RECEIVED, peer.remote, data));
+    }
+}
+
+/* eslint-enable require-jsdoc */
+
+/**
+ * Matches a message encrypted with an olm session.
+ */
+const ENCRYPTED_MESSAGE = jasmine.objectContaining({
+    olm: jasmine.objectContaining({ type: 'encrypted-message' }),
+    type: 'olm'
+});
+
+/**
+ * Returns the operations the E2EE worker was asked to do.
+ *
+ * @param {E2EEncryption} e2ee - The instance which owns the worker.
+ * @returns {Array<Object>}
+ */
+function getWorkerOperations(e2ee) {
+    return e2ee._e2eeCtx._worker.postMessage.calls.allArgs().map(([ message ]) => message);
+}
+
+/**
+ * Lets the messages in flight be delivered and handled.
+ *
+ * @returns {Promise<void>}
+ */
+async function flush() {
+    for (let i = 0; i < 20; i++) {
+        await new Promise(resolve => setTimeout(resolve));
+    }
+}
+
+describe('E2EEncryption', () => {
+    const { createObjectURL } = window.URL;
+    const { Worker } = window;
+
+    beforeEach(() => {
+        window.Olm = MockOlm;
+        window.URL.createObjectURL = () => 'blob:e2ee-worker';
+        window.Worker = MockWorker;
+    });
+
+    afterEach(() => {
+        delete window.Olm;
+        window.URL.createObjectURL = createObjectURL;
+        window.Worker = Worker;
+    });
+
+    describe('encrypted messages', () => {
+        let conferenceA, conferenceB, e2eeA, e2eeB;
+
+        beforeEach(async () => {
+            const config = { e2ee: { encryptMessages: true } };
+
+            conferenceA = new MockConference('a', 'b', config);
+            conferenceB = new MockConference('b', 'a', config);
+            conferenceA.peer = conferenceB;
+            conferenceB.peer = conferenceA;
+
+            e2eeA = new E2EEncryption(conferenceA);
+            e2eeB = new E2EEncryption(conferenceB);
+            await Promise.all([ e2eeA._olmAdapter._init, e2eeB._olmAdapter._init ]);
+
+            // What each side learnt from presence.
+            conferenceA.remote.properties['e2ee.idKey'] = e2eeB._olmAdapter._idKey;
+            conferenceB.remote.properties['e2ee.idKey'] = e2eeA._olmAdapter._idKey;
+        });
+
+        it('encrypts the messages only when E2EE is enabled', async () => {
+            expect(e2eeA.shouldEncryptMessage('hello')).toBe(false);
+
+            await e2eeA.setEnabled(true);
+
+            expect(e2eeA.shouldEncryptMessage('hello')).toBe(true);
+            expect(e2eeA.shouldEncryptMessage({ type: 'reaction' })).toBe(true);
+            expect(e2eeA.shouldEncryptMessage({
+                olm: {},
+                type: 'olm'
+            })).toBe(false);
+        });
+
+        it('delivers a group chat message decrypted and flagged as encrypted', async () => {
+            const messageReceivedA = jasmine.createSpy('messageReceivedA');
+            const messageReceivedB = jasmine.createSpy('messageReceivedB');
+
+            conferenceA.on(JitsiConferenceEvents.MESSAGE_RECEIVED, messageReceivedA);
+            conferenceB.on(JitsiConferenceEvents.MESSAGE_RECEIVED, messageReceivedB);
+            await e2eeA.setEnabled(true);
+            await e2eeB.setEnabled(true);
+
+            const messageId = e2eeA.sendMessage('hello', '', false);
+
+            await flush();
+
+            const [ to, text ] = conferenceA.sendPrivateTextMessage.calls.mostRecent().args;
+
+            expect(to).toBe('b');
+            expect(JSON.parse(text)).toEqual(ENCRYPTED_MESSAGE);
+            expect(messageReceivedA).toHaveBeenCalledOnceWith('a', 'hello', undefined, messageId, true);
+            expect(messageReceivedB).toHaveBeenCalledOnceWith('a', 'hello', undefined, messageId, true);
+        });
+
+        it('delivers a private chat message decrypted', async () => {
+            const messageReceivedA = jasmine.createSpy('messageReceivedA');
+            const privateMessageReceivedB = jasmine.createSpy('privateMessageReceivedB');
+
+            conferenceA.on(JitsiConferenceEvents.MESSAGE_RECEIVED, messageReceivedA);
+            conferenceB.on(JitsiConferenceEvents.PRIVATE_MESSAGE_RECEIVED, privateMessageReceivedB);
+            await e2eeA.setEnabled(true);
+
+            const messageId = e2eeA.sendMessage('hello', 'b', false);
+
+            await flush();
+
+            expect(messageReceivedA).not.toHaveBeenCalled();
+            expect(privateMessageReceivedB).toHaveBeenCalledOnceWith('a', 'hello', undefined, messageId, true);
+        });
+
+        it('delivers an endpoint message sent through the bridge decrypted', async () => {
+            const endpointMessageReceived = jasmine.createSpy('endpointMessageReceived');
+
+            conferenceB.on(JitsiConferenceEvents.ENDPOINT_MESSAGE_RECEIVED, endpointMessageReceived);
+            await e2eeA.setEnabled(true);
+            endpointMessageReceived.calls.reset();
+
+            expect(e2eeA.sendMessage({ type: 'reaction' }, '', true)).toBeUndefined();
+            await flush();
+
+            expect(conferenceA.sendPrivateTextMessage).not.toHaveBeenCalled();
+            expect(conferenceA.rtc.sendChannelMessage).toHaveBeenCalledWith('b', ENCRYPTED_MESSAGE);
+            expect(endpointMessageReceived).toHaveBeenCalledWith(conferenceB.remote, { type: 'reaction' }, true);
+        });
+
+        it('sends the messages once the olm session is established', async () => {
+            const privateMessageReceivedB = jasmine.createSpy('privateMessageReceivedB');
+
+            conferenceB.on(JitsiConferenceEvents.PRIVATE_MESSAGE_RECEIVED, privateMessageReceivedB);
+
+            e2eeA.sendMessage('first', 'b', false);
+            e2eeA.sendMessage('second', 'b', false);
+            await flush();
+
+            expect(conferenceA.sendPrivateTextMessage).not.toHaveBeenCalled();
+
+            await e2eeA.setEnabled(true);
+            await flush();
+
+            expect(privateMessageReceivedB.calls.allArgs().map(args => args[1])).toEqual([ 'first', 'second' ]);
+        });
+
+        it('drops the messages kept for a participant who left', async () => {
+            e2eeA.sendMessage('hello', 'b', false);
+            conferenceA.eventEmitter.emit(JitsiConferenceEvents.USER_LEFT, 'b', conferenceA.remote);
+
+            await e2eeA.setEnabled(true);
+            await flush();
+
+            expect(conferenceA.sendPrivateTextMessage).not.toHaveBeenCalled();
+        });
+
+        describe('edits and deletions', () => {
+            let messageDeletedA, messageDeletedB, messageEditedA, messageEditedB;
+
+            beforeEach(async () => {
+                messageDeletedA = jasmine.createSpy('messageDeletedA');
+                messageDeletedB = jasmine.createSpy('messageDeletedB');
+                messageEditedA = jasmine.createSpy('messageEditedA');
+                messageEditedB = jasmine.createSpy('messageEditedB');
+                conferenceA.on(JitsiConferenceEvents.MESSAGE_DELETED, messageDeletedA);
+                conferenceB.on(JitsiConferenceEvents.MESSAGE_DELETED, messageDeletedB);
+                conferenceA.on(JitsiConferenceEvents.MESSAGE_EDITED, messageEditedA);
+                conferenceB.on(JitsiConferenceEvents.MESSAGE_EDITED, messageEditedB);
+                await e2eeA.setEnabled(true);
+                await e2eeB.setEnabled(true);
+            });
+
+            it('edits a chat message encrypted', async () => {
+                const messageId = e2eeA.sendMessage('hello', '', false);
+
+                await flush();
+                conferenceA.sendPrivateTextMessage.calls.reset();
+
+                expect(e2eeA.editMessage(messageId, 'hello world')).toBe(true);
+                await flush();
+
+                expect(JSON.parse(conferenceA.sendPrivateTextMessage.calls.mostRecent().args[1]))
+                    .toEqual(ENCRYPTED_MESSAGE);
+                expect(messageEditedA).toHaveBeenCalledOnceWith('a', messageId, 'hello world', false);
+                expect(messageEditedB).toHaveBeenCalledOnceWith('a', messageId, 'hello world', false);
+            });
+
+            it('doesn\'t edit a message which was not sent encrypted by the local participant', async () => {
+                const messageId = e2eeA.sendMessage('hello', '', false);
+
+                await flush();
+                conferenceB.sendPrivateTextMessage.calls.reset();
+
+                expect(e2eeB.editMessage(messageId, 'hello world')).toBe(false);
+                expect(e2eeA.editMessage('unknown', 'hello world')).toBe(false);
+                expect(conferenceB.sendPrivateTextMessage).not.toHaveBeenCalled();
+            });
+
+            it('ignores the edit of a message by someone else than its sender', async () => {
+                const messageId = e2eeA.sendMessage('hello', '', false);
+
+                await flush();
+                e2eeB._sendToParticipants({
+                    messageId,
+                    text: 'hello world',
+                    type: 'chat-edit'
+                }, '', false);
+                await flush();
+
+                expect(messageEditedA).not.toHaveBeenCalled();
+            });
+
+            it('deletes a private chat message encrypted', async () => {
+                const messageId = e2eeA.sendMessage('hello', 'b', false);
+
+                await flush();
+
+                expect(e2eeA.deleteMessage(messageId, 'b')).toBe(true);
+                await flush();
+
+                expect(messageDeletedA).not.toHaveBeenCalled();
+                expect(messageDeletedB).toHaveBeenCalledOnceWith('a', messageId, true);
+                expect(e2eeA.editMessage(messageId, 'hello world', 'b')).toBe(false);
+            });
+
+            it('lets only the moderators delete the group messages of the others', async () => {
+                const messageId = e2eeA.sendMessage('hello', '', false);
+
+                await flush();
+
+                expect(e2eeB.deleteMessage(messageId)).toBe(false);
+
+                conferenceB.moderator = true;
+                conferenceA.remote.moderator = true;
+
+                expect(e2eeB.deleteMessage(messageId)).toBe(true);
+                await flush();
+
+                expect(messageDeletedA).toHaveBeenCalledOnceWith('b', messageId, false);
+                expect(messageDeletedB).toHaveBeenCalledOnceWith('b', messageId, false);
+            });
+
+            it('ignores the deletion of a private message by someone else than its sender', async () => {
+                const messageId = e2eeA.sendMessage('hello', 'b', false);
+
+                await flush();
+                conferenceA.remote.moderator = true;
+                e2eeB._sendToParticipants({
+                    isPrivate: true,
+                    messageId,
+                    type: 'chat-delete'
+                }, 'a', false);
+                await flush();
+
+                expect(messageDeletedA).not.toHaveBeenCalled();
+            });
+        });
+    });
+
+    describe('externally managed keys', () => {
+        const key = new Uint8Array([ 1, 2, 3 ]);
+        let conference, e2ee;
+
+        /**
+         * Returns the keys the worker was given, in order.
+         *
+         * @returns {Array<Object>}
+         */
+        function getSetKeys() {
+            return getWorkerOperations(e2ee).filter(message => message.operation === 'setKey');
+        }
+
+        beforeEach(() => {
+            conference = new MockConference('a', 'b', { e2ee: { externallyManagedKey: true } });
+            e2ee = new E2EEncryption(conference);
+        });
+
+        it('doesn\'t use Olm', async () => {
+            expect(e2ee._olmAdapter).toBeUndefined();
+            expect(E2EEncryption.isExternallyManagedKey(conference.options.config)).toBe(true);
+
+            await e2ee.setEnabled(true);
+
+            expect(e2ee.isEnabled()).toBe(true);
+            expect(conference.setLocalParticipantProperty).toHaveBeenCalledWith('e2ee.enabled', true);
+            expect(conference._restartMediaSessions).toHaveBeenCalled();
+            expect(getSetKeys()).toEqual([]);
+            expect(() => e2ee.startVerification(conference.remote)).toThrowError(/externally managed/);
+        });
+
+        it('uses a shared key for all the participants', () => {
+            e2ee.setEncryptionKey({
+                encryptionKey: key,
+                index: 1
+            });
+
+            expect(getSetKeys()).toEqual([
+                jasmine.objectContaining({
+                    participantId: 'a',
+                    key,
+                    keyIndex: 1
+                }),
+                jasmine.objectContaining({
+                    participantId: 'b',
+                    key,
+                    keyIndex: 1
+                })
+            ]);
+        });
+
+        it('uses a per participant key for that participant only', () => {
+            e2ee.setEncryptionKey({
+                encryptionKey: key,
+                index: 2,
+                participantId: 'b'
+            });
+            conference.eventEmitter.emit(JitsiConferenceEvents.USER_JOINED, 'c');
+
+            expect(getSetKeys()).toEqual([
+                jasmine.objectContaining({
+                    participantId: 'b',
+                    key,
+                    keyIndex: 2
+                })
+            ]);
+        });
+
+        it('gives the shared key to the participants who join later', () => {
+            e2ee.setEncryptionKey({
+                encryptionKey: key,
+                index: 1
+            });
+            e2ee.setEncryptionKey({
+                encryptionKey: key,
+                index: 2
+            });
+            conference.eventEmitter.emit(JitsiConferenceEvents.USER_JOINED, 'c');
+
+            expect(getSetKeys().pop()).toEqual(jasmine.objectContaining({
+                participantId: 'c',
+                key,
+                keyIndex: 2
+            }));
+        });
+
+        it('forgets the keys once disabled', async () => {
+            await e2ee.setEnabled(true);
+            e2ee.setEncryptionKey({
+                encryptionKey: key,
+                index: 1
+            });
+            e2ee._e2eeCtx._worker.postMessage.calls.reset();
+
+            await e2ee.setEnabled(false);
+            conference.eventEmitter.emit(JitsiConferenceEvents.USER_JOINED, 'c');
+
+            expect(getWorkerOperations(e2ee)).toEqual([
+                jasmine.objectContaining({
+                    operation: 'cleanup',
+                    participantId: 'b'
+                }),
+                jasmine.objectContaining({
+                    operation: 'setKey',
+                    participantId: 'a',
+                    key: false
+                })
+            ]);
+            expect(conference.setLocalParticipantProperty).toHaveBeenCalledWith('e2ee.enabled', false);
+        });
+
+        it('can\'t be given keys when the keys are exchanged over Olm', async () => {
+            e2ee = new E2EEncryption(new MockConference('a', 'b', {}));
+            await e2ee._olmAdapter._init;
+
+            expect(() => e2ee.setEncryptionKey({
+                encryptionKey: key,
+                index: 1
+            })).toThrowError('The media keys are not externally managed');
+        });
+    });
+});
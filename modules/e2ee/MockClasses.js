@@ -0,0 +1,122 @@
+/* eslint-disable camelcase, no-empty-function */
+
+// JSDocs disabled for Mock classes to avoid duplication - check on the original classes for info.
+/* eslint-disable require-jsdoc */
+
+let keyCounter = 0;
+
+/**
+ * A mock Olm account, the keys are plain strings.
+ */
+export class MockAccount {
+    create() {
+        this.idKey = `idKey${++keyCounter}`;
+    }
+
+    identity_keys() {
+        return JSON.stringify({ curve25519: this.idKey });
+    }
+
+    generate_one_time_keys() {
+        this.otKey = `otKey${++keyCounter}`;
+    }
+
+    one_time_keys() {
+        return JSON.stringify({ curve25519: { AAAAAQ: this.otKey } });
+    }
+
+    mark_keys_as_published() {}
+
+    remove_one_time_keys() {}
+
+    free() {}
+}
+
+/**
+ * A mock Olm session, the messages are not encrypted but carry the identity key of their sender so that
+ * {@code create_inbound_from} can be checked.
+ */
+export class MockSession {
+    create_outbound(account, theirIdKey) {
+        this.ourIdKey = account.idKey;
+        this.theirIdKey = theirIdKey;
+    }
+
+    create_inbound_from(account, theirIdKey, body) {
+        if (JSON.parse(body).sender !== theirIdKey) {
+            throw new Error('BAD_MESSAGE_KEY_ID');
+        }
+        this.ourIdKey = account.idKey;
+        this.theirIdKey = theirIdKey;
+    }
+
+    encrypt(plaintext) {
+        return {
+            body: JSON.stringify({
+                plaintext,
+                sender: this.ourIdKey
+            }),
+            type: 0
+        };
+    }
+
+    decrypt(type, body) {
+        return JSON.parse(body).plaintext;
+    }
+
+    free() {}
+}
+
+/**
+ * A mock Olm SAS, both sides derive the same bytes and MACs from the two public keys.
+ */
+export class MockSAS {
+    constructor() {
+        this.pubKey = `sasKey${++keyCounter}`;
+    }
+
+    get_pubkey() {
+        return this.pubKey;
+    }
+
+    set_their_key(key) {
+        this.theirKey = key;
+    }
+
+    generate_bytes(info, length) {
+        const input = `${[ this.pubKey, this.theirKey ].sort().join('|')}|${info}`;
+        const bytes = new Uint8Array(length);
+
+        for (let i = 0; i < input.length; i++) {
+            bytes[i % length] = (bytes[i % length] * 31) + input.charCodeAt(i);
+        }
+
+        return bytes;
+    }
+
+    calculate_mac(input, info) {
+        return `${[ this.pubKey, this.theirKey ].sort().join('|')}|${input}|${info}`;
+    }
+
+    free() {}
+}
+
+export class MockUtility {
+    sha256(input) {
+        return `sha256(${input})`;
+    }
+
+    free() {}
+}
+
+/**
+ * A mock of the Olm library, to be set as {@code window.Olm}.
+ */
+export const MockOlm = {
+    Account: MockAccount,
+    SAS: MockSAS,
+    Session: MockSession,
+    Utility: MockUtility,
+    get_library_version: () => [ 3, 2, 15 ],
+    init: () => Promise.resolve()
+};
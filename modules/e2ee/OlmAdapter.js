@@ -10,24 +10,37 @@ import Deferred from '../util/Deferred';
 import Listenable from '../util/Listenable';
 import { FEATURE_E2EE, JITSI_MEET_MUC_TYPE } from '../xmpp/xmpp';
 
+import { SAS_BYTES_LENGTH, generateSas } from './SAS';
+
 const logger = getLogger(__filename);
 
 const REQ_TIMEOUT = 5 * 1000;
 const OLM_MESSAGE_TYPE = 'olm';
 const OLM_MESSAGE_TYPES = {
+    ENCRYPTED_MESSAGE: 'encrypted-message',
     ERROR: 'error',
     KEY_INFO: 'key-info',
     KEY_INFO_ACK: 'key-info-ack',
+    SAS_ACCEPT: 'sas-accept',
+    SAS_KEY: 'sas-key',
+    SAS_MAC: 'sas-mac',
+    SAS_START: 'sas-start',
     SESSION_ACK: 'session-ack',
     SESSION_INIT: 'session-init'
 };
 
+const SAS_INFO_PREFIX = 'JITSI_SAS|';
+const SAS_MAC_INFO_PREFIX = 'JITSI_SAS_MAC|';
+
 const kOlmData = Symbol('OlmData');
 
 const OlmAdapterEvents = {
     OLM_ID_KEY_READY: 'olm.id_key_ready',
     PARTICIPANT_E2EE_CHANNEL_READY: 'olm.participant_e2ee_channel_ready',
-    PARTICIPANT_KEY_UPDATED: 'olm.partitipant_key_updated'
+    PARTICIPANT_KEY_UPDATED: 'olm.partitipant_key_updated',
+    PARTICIPANT_MESSAGE_DECRYPTED: 'olm.participant_message_decrypted',
+    PARTICIPANT_SAS_READY: 'olm.participant_sas_ready',
+    PARTICIPANT_VERIFICATION_COMPLETED: 'olm.participant_verification_completed'
 };
 
 /**
@@ -46,6 +59,20 @@ const OlmAdapterEvents = {
  * - key-info-ack: Acknowledges the reception of a key-info request. In addition, it may contain
  *                 the sender's key information, if available.
  * - error: Indicates a request processing error has occurred.
+ * - encrypted-message: A message of the application, e.g. a chat message, encrypted with the session.
+ *
+ * Once a session is established the identity keys can be verified by the users with a short authentication string
+ * (SAS), derived from an Olm SAS key agreement:
+ * - sas-start: Starts a verification, sent by the participant whose user asked for it.
+ * - sas-accept: Accepts the verification with a commitment to the SAS public key of the sender, so that it can't be
+ *               chosen after seeing the one of the initiator.
+ * - sas-key: The SAS public key of the sender. The initiator sends theirs first, both can then show the SAS.
+ * - sas-mac: Sent once the user confirmed that the SAS match, it authenticates the identity key of the sender
+ *            with the agreed SAS key.
+ *
+ * The sessions are only established with the identity key a participant published in presence, and the SAS is bound
+ * to the identity key the session was established with, so that verifying a participant also verifies the channel
+ * their media keys are received on.
  *
  * These requessts and responses are transport independent. Currently they are sent using XMPP
  * MUC private messages.
@@ -108,6 +135,16 @@ export class OlmAdapter extends Listenable {
         }
     }
 
+    /**
+     * Indicates if a message is one of the messages of the protocol implemented by this class.
+     *
+     * @param {Object} message - The message.
+     * @returns {boolean}
+     */
+    static isOlmMessage(message) {
+        return Boolean(message) && message[JITSI_MEET_MUC_TYPE] === OLM_MESSAGE_TYPE;
+    }
+
     /**
      * Indicates if olm is supported on the current platform.
      *
@@ -195,7 +232,115 @@ export class OlmAdapter extends Listenable {
         if (olmData.session) {
             olmData.session.free();
             olmData.session = undefined;
+            olmData.sessionIdKey = undefined;
         }
+
+        this._clearSasVerification(olmData);
+    }
+
+    /**
+     * Encrypts a message for a participant with their olm session. The result is to be sent to the participant, by
+     * any transport, and is decrypted on their side into a {@link OlmAdapterEvents.PARTICIPANT_MESSAGE_DECRYPTED}
+     * event.
+     *
+     * @param {JitsiParticipant} participant - The participant the message is for.
+     * @param {Object} content - The message, anything which can be serialized to JSON.
+     * @returns {Object|undefined} The encrypted message or undefined if there is no session with the participant.
+     */
+    encryptMessage(participant, content) {
+        const olmData = this._getParticipantOlmData(participant);
+
+        if (!olmData.session) {
+            logger.debug(`Tried to encrypt a message for participant ${participant.getId()} but we have no session`);
+
+            return undefined;
+        }
+
+        return {
+            [JITSI_MEET_MUC_TYPE]: OLM_MESSAGE_TYPE,
+            olm: {
+                type: OLM_MESSAGE_TYPES.ENCRYPTED_MESSAGE,
+                data: {
+                    ciphertext: olmData.session.encrypt(JSON.stringify(content))
+                }
+            }
+        };
+    }
+
+    /**
+     * Starts the verification of the identity key of a participant with a short authentication string. The string is
+     * emitted with {@link OlmAdapterEvents.PARTICIPANT_SAS_READY} on both sides once the SAS keys were exchanged.
+     *
+     * @param {JitsiParticipant} participant - The participant to verify.
+     * @returns {void}
+     */
+    startVerification(participant) {
+        const pId = participant.getId();
+        const olmData = this._getParticipantOlmData(participant);
+
+        if (!olmData.session) {
+            throw new Error(`Cannot verify participant ${pId}: no session established`);
+        }
+
+        this._clearSasVerification(olmData);
+
+        const transactionId = uuidv4();
+
+        olmData.sasVerification = {
+            isInitiator: true,
+            sas: new Olm.SAS(),
+            startContent: { transactionId },
+            transactionId
+        };
+
+        this._sendMessage({
+            [JITSI_MEET_MUC_TYPE]: OLM_MESSAGE_TYPE,
+            olm: {
+                type: OLM_MESSAGE_TYPES.SAS_START,
+                data: olmData.sasVerification.startContent
+            }
+        }, pId);
+    }
+
+    /**
+     * Records whether the user confirmed that the short authentication string shown for a participant matches the one
+     * shown to the participant. When it does, the identity key of the local participant is authenticated for the
+     * participant and the verification completes once the participant did the same.
+     *
+     * @param {JitsiParticipant} participant - The participant being verified.
+     * @param {boolean} isVerified - Whether the strings match.
+     * @returns {void}
+     */
+    markParticipantVerified(participant, isVerified) {
+        const pId = participant.getId();
+        const olmData = this._getParticipantOlmData(participant);
+        const verification = olmData.sasVerification;
+
+        if (!verification?.sasReady) {
+            throw new Error(`Cannot mark participant ${pId} as verified: no SAS available`);
+        }
+
+        if (!isVerified) {
+            this._completeVerification(participant, false, 'The short authentication strings don\'t match');
+
+            return;
+        }
+
+        const info = this._getSasMacInfo(this._conf.myUserId(), pId, verification.transactionId);
+
+        verification.localConfirmed = true;
+        this._sendMessage({
+            [JITSI_MEET_MUC_TYPE]: OLM_MESSAGE_TYPE,
+            olm: {
+                type: OLM_MESSAGE_TYPES.SAS_MAC,
+                data: {
+                    mac: verification.sas.calculate_mac(this._idKey, info),
+                    transactionId: verification.transactionId
+                }
+            }
+        }, pId);
+
+        verification.remoteMac && this._verifySasMac(participant);
     }
 
 
@@ -238,6 +383,230 @@ export class OlmAdapter extends Listenable {
 
     }
 
+    /**
+     * Frees the SAS verification with a participant, if any.
+     *
+     * @param {Object} olmData - The olm related data of the participant.
+     * @returns {void}
+     * @private
+     */
+    _clearSasVerification(olmData) {
+        if (olmData.sasVerification) {
+            olmData.sasVerification.sas.free();
+            olmData.sasVerification = undefined;
+        }
+    }
+
+    /**
+     * Ends the SAS verification with a participant.
+     *
+     * @param {JitsiParticipant} participant - The participant being verified.
+     * @param {boolean} success - Whether the identity key of the participant was verified.
+     * @param {string} [message] - Why the verification failed.
+     * @returns {void}
+     * @private
+     */
+    _completeVerification(participant, success, message) {
+        const pId = participant.getId();
+
+        this._clearSasVerification(this._getParticipantOlmData(participant));
+
+        if (success) {
+            logger.info(`Participant ${pId} verified`);
+        } else {
+            logger.warn(`Verification of participant ${pId} failed: ${message}`);
+        }
+
+        this.eventEmitter.emit(OlmAdapterEvents.PARTICIPANT_VERIFICATION_COMPLETED, pId, success, message);
+    }
+
+    /**
+     * Computes the commitment sent in a sas-accept message.
+     *
+     * @param {string} pubKey - The SAS public key of the participant accepting the verification.
+     * @param {Object} startContent - The data of the sas-start message.
+     * @returns {string}
+     * @private
+     */
+    _computeSasCommitment(pubKey, startContent) {
+        const olmUtil = new Olm.Utility();
+        const commitment = olmUtil.sha256(pubKey + JSON.stringify(startContent));
+
+        olmUtil.free();
+
+        return commitment;
+    }
+
+    /**
+     * Returns the info the SAS bytes are generated with. It binds the SAS to the identity keys of both participants,
+     * the remote one being the key the session was established with, and to the transaction.
+     *
+     * @param {JitsiParticipant} participant - The participant being verified.
+     * @param {Object} verification - The verification.
+     * @returns {string}
+     * @private
+     */
+    _getSasInfo(participant, verification) {
+        const local = `${this._conf.myUserId()}|${this._idKey}`;
+        const remote = `${participant.getId()}|${this._getParticipantOlmData(participant).sessionIdKey}`;
+        const [ initiator, responder ] = verification.isInitiator ? [ local, remote ] : [ remote, local ];
+
+        return `${SAS_INFO_PREFIX}${initiator}|${responder}|${verification.transactionId}`;
+    }
+
+    /**
+     * Returns the info the MAC of the identity key sent in a sas-mac message is calculated with.
+     *
+     * @param {string} senderId - The id of the participant sending the MAC.
+     * @param {string} receiverId - The id of the participant receiving it.
+     * @param {string} transactionId - The id of the verification.
+     * @returns {string}
+     * @private
+     */
+    _getSasMacInfo(senderId, receiverId, transactionId) {
+        return `${SAS_MAC_INFO_PREFIX}${senderId}|${receiverId}|${transactionId}`;
+    }
+
+    /**
+     * Handles the SAS messages of a verification.
+     *
+     * @param {JitsiParticipant} participant - The participant who sent the message.
+     * @param {Object} msg - The message.
+     * @returns {void}
+     * @private
+     */
+    _handleSasMessage(participant, msg) {
+        const pId = participant.getId();
+        const olmData = this._getParticipantOlmData(participant);
+
+        if (!olmData.session) {
+            logger.debug(`Received ${msg.type} message from ${pId} but we have no session for them!`);
+            this._sendError(participant, `No session found while processing ${msg.type}`);
+
+            return;
+        }
+
+        if (msg.type === OLM_MESSAGE_TYPES.SAS_START) {
+            this._clearSasVerification(olmData);
+
+            const sas = new Olm.SAS();
+
+            olmData.sasVerification = {
+                isInitiator: false,
+                sas,
+                transactionId: msg.data.transactionId
+            };
+
+            this._sendMessage({
+                [JITSI_MEET_MUC_TYPE]: OLM_MESSAGE_TYPE,
+                olm: {
+                    type: OLM_MESSAGE_TYPES.SAS_ACCEPT,
+                    data: {
+                        commitment: this._computeSasCommitment(sas.get_pubkey(), msg.data),
+                        transactionId: msg.data.transactionId
+                    }
+                }
+            }, pId);
+
+            return;
+        }
+
+        const verification = olmData.sasVerification;
+
+        if (!verification || verification.transactionId !== msg.data.transactionId) {
+            logger.warn(`Received ${msg.type} message from ${pId} for an unknown verification`);
+
+            return;
+        }
+
+        switch (msg.type) {
+        case OLM_MESSAGE_TYPES.SAS_ACCEPT:
+            if (!verification.isInitiator || verification.commitment) {
+                logger.warn(`Unexpected sas-accept from ${pId}`);
+                break;
+            }
+            verification.commitment = msg.data.commitment;
+            this._sendSasKey(participant, verification);
+            break;
+        case OLM_MESSAGE_TYPES.SAS_KEY: {
+            if (verification.theirKey) {
+                logger.warn(`Unexpected sas-key from ${pId}`);
+                break;
+            }
+
+            const { key } = msg.data;
+
+            if (verification.isInitiator) {
+                if (this._computeSasCommitment(key, verification.startContent) !== verification.commitment) {
+                    this._completeVerification(participant, false, 'The SAS commitment doesn\'t match');
+                    break;
+                }
+            } else {
+                this._sendSasKey(participant, verification);
+            }
+
+            verification.theirKey = key;
+            verification.sas.set_their_key(key);
+            verification.sasReady = true;
+
+            const sasBytes = verification.sas.generate_bytes(
+                this._getSasInfo(participant, verification), SAS_BYTES_LENGTH);
+
+            this.eventEmitter.emit(OlmAdapterEvents.PARTICIPANT_SAS_READY, pId, generateSas(sasBytes));
+            break;
+        }
+        case OLM_MESSAGE_TYPES.SAS_MAC:
+            if (!verification.sasReady) {
+                logger.warn(`Unexpected sas-mac from ${pId}`);
+                break;
+            }
+            verification.remoteMac = msg.data.mac;
+            verification.localConfirmed && this._verifySasMac(participant);
+            break;
+        }
+    }
+
+    /**
+     * Sends the SAS public key to a participant being verified.
+     *
+     * @param {JitsiParticipant} participant - The participant being verified.
+     * @param {Object} verification - The verification.
+     * @returns {void}
+     * @private
+     */
+    _sendSasKey(participant, verification) {
+        this._sendMessage({
+            [JITSI_MEET_MUC_TYPE]: OLM_MESSAGE_TYPE,
+            olm: {
+                type: OLM_MESSAGE_TYPES.SAS_KEY,
+                data: {
+                    key: verification.sas.get_pubkey(),
+                    transactionId: verification.transactionId
+                }
+            }
+        }, participant.getId());
+    }
+
+    /**
+     * Checks the MAC a participant sent of their identity key against the one the session with them was established
+     * with, once both users confirmed that the short authentication strings match.
+     *
+     * @param {JitsiParticipant} participant - The participant being verified.
+     * @returns {void}
+     * @private
+     */
+    _verifySasMac(participant) {
+        const pId = participant.getId();
+        const { sasVerification: verification, sessionIdKey: idKey } = this._getParticipantOlmData(participant);
+        const info = this._getSasMacInfo(pId, this._conf.myUserId(), verification.transactionId);
+
+        if (idKey && verification.sas.calculate_mac(idKey, info) === verification.remoteMac) {
+            this._completeVerification(participant, true);
+        } else {
+            this._completeVerification(participant, false, 'The identity key doesn\'t match');
+        }
+    }
+
     /**
      * Internal helper for encrypting the current key information for a given participant.
      *
@@ -318,13 +687,14 @@ export class OlmAdapter extends Listenable {
                 logger.warn(`Participant ${pId} already has a session`);
 
                 this._sendError(participant, 'Session already established');
-            } else {
+            } else if (msg.data.idKey && msg.data.idKey === participant.getProperty('e2ee.idKey')) {
                 // Create a session for communicating with this participant.
 
                 const session = new Olm.Session();
 
                 session.create_outbound(this._olmAccount, msg.data.idKey, msg.data.otKey);
                 olmData.session = session;
+                olmData.sessionIdKey = msg.data.idKey;
 
                 // Send ACK
                 const ack = {
@@ -340,6 +710,10 @@ export class OlmAdapter extends Listenable {
 
                 this._sendMessage(ack, pId);
                 this.eventEmitter.emit(OlmAdapterEvents.PARTICIPANT_E2EE_CHANNEL_READY, pId);
+            } else {
+                logger.warn(`Refused session-init from ${pId}: the identity key differs from the one in presence`);
+
+                this._sendError(participant, 'Identity key mismatch');
             }
             break;
         }
@@ -351,9 +725,24 @@ export class OlmAdapter extends Listenable {
             } else if (msg.data.uuid === olmData.pendingSessionUuid) {
                 const { ciphertext } = msg.data;
                 const d = this._reqs.get(msg.data.uuid);
+                const idKey = participant.getProperty('e2ee.idKey');
                 const session = new Olm.Session();
 
-                session.create_inbound(this._olmAccount, ciphertext.body);
+                // Only accept the session from the identity key published in presence.
+                try {
+                    if (!idKey) {
+                        throw new Error('No identity key in presence');
+                    }
+                    session.create_inbound_from(this._olmAccount, idKey, ciphertext.body);
+                } catch (error) {
+                    logger.warn(`Refused session-ack from ${pId}`, error);
+                    session.free();
+                    this._reqs.delete(msg.data.uuid);
+                    olmData.pendingSessionUuid = undefined;
+                    d.reject(error);
+                    this._sendError(participant, 'Identity key mismatch');
+                    break;
+                }
 
                 // Remove OT keys that have been used to setup this session.
                 this._olmAccount.remove_one_time_keys(session);
@@ -362,6 +751,7 @@ export class OlmAdapter extends Listenable {
                 const data = session.decrypt(ciphertext.type, ciphertext.body);
 
                 olmData.session = session;
+                olmData.sessionIdKey = idKey;
                 olmData.pendingSessionUuid = undefined;
 
                 this.eventEmitter.emit(OlmAdapterEvents.PARTICIPANT_E2EE_CHANNEL_READY, pId);
@@ -426,6 +816,27 @@ export class OlmAdapter extends Listenable {
             }
             break;
         }
+        case OLM_MESSAGE_TYPES.ENCRYPTED_MESSAGE: {
+            if (olmData.session) {
+                const { ciphertext } = msg.data;
+                const data = olmData.session.decrypt(ciphertext.type, ciphertext.body);
+
+                this.eventEmitter.emit(
+                    OlmAdapterEvents.PARTICIPANT_MESSAGE_DECRYPTED, participant, safeJsonParse(data));
+            } else {
+                logger.debug(`Received encrypted message from ${pId} but we have no session for them!`);
+
+                this._sendError(participant, 'No session found while processing encrypted-message');
+            }
+            break;
+        }
+        case OLM_MESSAGE_TYPES.SAS_START:
+        case OLM_MESSAGE_TYPES.SAS_ACCEPT:
+        case OLM_MESSAGE_TYPES.SAS_KEY:
+        case OLM_MESSAGE_TYPES.SAS_MAC: {
+            this._handleSasMessage(participant, msg);
+            break;
+        }
         case OLM_MESSAGE_TYPES.KEY_INFO_ACK: {
             if (olmData.session) {
                 const { ciphertext } = msg.data;
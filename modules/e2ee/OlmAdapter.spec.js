@@ -0,0 +1,170 @@
+import * as JitsiConferenceEvents from '../../JitsiConferenceEvents';
+import Listenable from '../util/Listenable';
+import { FEATURE_E2EE } from '../xmpp/xmpp';
+
+import { MockOlm } from './MockClasses';
+import { OlmAdapter } from './OlmAdapter';
+
+// JSDocs disabled for Mock classes to avoid duplication - check on the original classes for info.
+/* eslint-disable require-jsdoc */
+class MockParticipant {
+    constructor(id) {
+        this.id = id;
+        this.properties = {};
+    }
+
+    getId() {
+        return this.id;
+    }
+
+    getFeatures() {
+        return Promise.resolve(new Set([ FEATURE_E2EE ]));
+    }
+
+    getProperty(name) {
+        return this.properties[name];
+    }
+}
+
+/**
+ * A mock conference with a single remote participant, whose private messages are delivered to the conference of
+ * that participant.
+ */
+class MockConference extends Listenable {
+    constructor(id, remoteId) {
+        super();
+        this.id = id;
+        this.remote = new MockParticipant(remoteId);
+        this.peer = undefined;
+    }
+
+    myUserId() {
+        return this.id;
+    }
+
+    getParticipants() {
+        return [ this.remote ];
+    }
+
+    isE2EEEnabled() {
+        return true;
+    }
+
+    sendMessage(data) {
+        const { peer } = this;
+
+        setTimeout(() => peer.eventEmitter.emit(JitsiConferenceEvents.ENDPOINT_MESSAGE_RECEIVED, peer.remote, data));
+    }
+}
+
+/* eslint-enable require-jsdoc */
+
+/**
+ * Lets the messages in flight be delivered and handled.
+ *
+ * @returns {Promise<void>}
+ */
+async function flush() {
+    for (let i = 0; i < 20; i++) {
+        await new Promise(resolve => setTimeout(resolve));
+    }
+}
+
+describe('OlmAdapter', () => {
+    let adapterA, adapterB;
+    let conferenceA, conferenceB;
+
+    beforeEach(async () => {
+        window.Olm = MockOlm;
+
+        conferenceA = new MockConference('a', 'b');
+        conferenceB = new MockConference('b', 'a');
+        conferenceA.peer = conferenceB;
+        conferenceB.peer = conferenceA;
+
+        adapterA = new OlmAdapter(conferenceA);
+        adapterB = new OlmAdapter(conferenceB);
+        await Promise.all([ adapterA._init, adapterB._init ]);
+
+        // What each side learnt from presence.
+        conferenceA.remote.properties['e2ee.idKey'] = adapterB._idKey;
+        conferenceB.remote.properties['e2ee.idKey'] = adapterA._idKey;
+    });
+
+    afterEach(() => {
+        delete window.Olm;
+    });
+
+    it('verifies a participant with the SAS exchange', async () => {
+        const sasA = jasmine.createSpy('sasA');
+        const sasB = jasmine.createSpy('sasB');
+        const completedA = jasmine.createSpy('completedA');
+        const completedB = jasmine.createSpy('completedB');
+
+        adapterA.on(OlmAdapter.events.PARTICIPANT_SAS_READY, sasA);
+        adapterB.on(OlmAdapter.events.PARTICIPANT_SAS_READY, sasB);
+        adapterA.on(OlmAdapter.events.PARTICIPANT_VERIFICATION_COMPLETED, completedA);
+        adapterB.on(OlmAdapter.events.PARTICIPANT_VERIFICATION_COMPLETED, completedB);
+
+        await adapterA.initSessions();
+        expect(adapterA._getParticipantOlmData(conferenceA.remote).sessionIdKey).toBe(adapterB._idKey);
+        expect(adapterB._getParticipantOlmData(conferenceB.remote).sessionIdKey).toBe(adapterA._idKey);
+
+        adapterA.startVerification(conferenceA.remote);
+        await flush();
+
+        expect(sasA).toHaveBeenCalledTimes(1);
+        expect(sasB).toHaveBeenCalledTimes(1);
+        expect(sasA.calls.argsFor(0)).toEqual([ 'b', sasB.calls.argsFor(0)[1] ]);
+        expect(sasB.calls.argsFor(0)[0]).toBe('a');
+
+        adapterA.markParticipantVerified(conferenceA.remote, true);
+        await flush();
+        expect(completedA).not.toHaveBeenCalled();
+
+        adapterB.markParticipantVerified(conferenceB.remote, true);
+        await flush();
+        expect(completedA).toHaveBeenCalledWith('b', true, undefined);
+        expect(completedB).toHaveBeenCalledWith('a', true, undefined);
+    });
+
+    it('fails the verification when the user tells the SAS don\'t match', async () => {
+        const completedB = jasmine.createSpy('completedB');
+
+        adapterB.on(OlmAdapter.events.PARTICIPANT_VERIFICATION_COMPLETED, completedB);
+
+        await adapterA.initSessions();
+        adapterA.startVerification(conferenceA.remote);
+        await flush();
+
+        adapterB.markParticipantVerified(conferenceB.remote, false);
+        expect(completedB).toHaveBeenCalledWith('a', false, jasmine.any(String));
+    });
+
+    it('refuses a session-init with an identity key other than the one in presence', async () => {
+        const channelReadyB = jasmine.createSpy('channelReadyB');
+
+        adapterB.on(OlmAdapter.events.PARTICIPANT_E2EE_CHANNEL_READY, channelReadyB);
+        conferenceB.remote.properties['e2ee.idKey'] = 'idKeyOfSomeoneElse';
+
+        adapterA._sendSessionInit(conferenceA.remote).catch(() => undefined);
+        await flush();
+
+        expect(channelReadyB).not.toHaveBeenCalled();
+        expect(adapterB._getParticipantOlmData(conferenceB.remote).session).toBeUndefined();
+        adapterA._reqs.forEach(d => d.reject(new Error('done')));
+    });
+
+    it('refuses a session-ack from an identity key other than the one in presence', async () => {
+        const channelReadyA = jasmine.createSpy('channelReadyA');
+
+        adapterA.on(OlmAdapter.events.PARTICIPANT_E2EE_CHANNEL_READY, channelReadyA);
+        conferenceA.remote.properties['e2ee.idKey'] = 'idKeyOfSomeoneElse';
+
+        // B accepts the session, but it was established with a key A doesn't know B by.
+        await expectAsync(adapterA._sendSessionInit(conferenceA.remote)).toBeRejected();
+
+        expect(channelReadyA).not.toHaveBeenCalled();
+        expect(adapterA._getParticipantOlmData(conferenceA.remote).session).toBeUndefined();
+    });
+});
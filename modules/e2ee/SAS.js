@@ -0,0 +1,79 @@
+/* eslint-disable no-bitwise */
+
+/**
+ * The emojis a short authentication string is made of, with their descriptions, as specified for the Matrix SAS
+ * verification so that the strings are easy to compare and to read aloud.
+ * See https://spec.matrix.org/v1.1/client-server-api/#sas-method-emoji
+ */
+const EMOJI_SAS = [
+    [ '🐶', 'Dog' ], [ '🐱', 'Cat' ], [ '🦁', 'Lion' ], [ '🐎', 'Horse' ],
+    [ '🦄', 'Unicorn' ], [ '🐷', 'Pig' ], [ '🐘', 'Elephant' ], [ '🐰', 'Rabbit' ],
+    [ '🐼', 'Panda' ], [ '🐓', 'Rooster' ], [ '🐧', 'Penguin' ], [ '🐢', 'Turtle' ],
+    [ '🐟', 'Fish' ], [ '🐙', 'Octopus' ], [ '🦋', 'Butterfly' ], [ '🌷', 'Flower' ],
+    [ '🌳', 'Tree' ], [ '🌵', 'Cactus' ], [ '🍄', 'Mushroom' ], [ '🌏', 'Globe' ],
+    [ '🌙', 'Moon' ], [ '☁️', 'Cloud' ], [ '🔥', 'Fire' ], [ '🍌', 'Banana' ],
+    [ '🍎', 'Apple' ], [ '🍓', 'Strawberry' ], [ '🌽', 'Corn' ], [ '🍕', 'Pizza' ],
+    [ '🎂', 'Cake' ], [ '❤️', 'Heart' ], [ '😀', 'Smiley' ], [ '🤖', 'Robot' ],
+    [ '🎩', 'Hat' ], [ '👓', 'Glasses' ], [ '🔧', 'Spanner' ], [ '🎅', 'Santa' ],
+    [ '👍', 'Thumbs Up' ], [ '☂️', 'Umbrella' ], [ '⌛', 'Hourglass' ], [ '⏰', 'Clock' ],
+    [ '🎁', 'Gift' ], [ '💡', 'Light Bulb' ], [ '📕', 'Book' ], [ '✏️', 'Pencil' ],
+    [ '📎', 'Paperclip' ], [ '✂️', 'Scissors' ], [ '🔒', 'Lock' ], [ '🔑', 'Key' ],
+    [ '🔨', 'Hammer' ], [ '☎️', 'Telephone' ], [ '🏁', 'Flag' ], [ '🚂', 'Train' ],
+    [ '🚲', 'Bicycle' ], [ '✈️', 'Aeroplane' ], [ '🚀', 'Rocket' ], [ '🏆', 'Trophy' ],
+    [ '⚽', 'Ball' ], [ '🎸', 'Guitar' ], [ '🎺', 'Trumpet' ], [ '🔔', 'Bell' ],
+    [ '⚓', 'Anchor' ], [ '🎧', 'Headphones' ], [ '📁', 'Folder' ], [ '📌', 'Pin' ]
+];
+
+/**
+ * The number of bytes a short authentication string is generated from.
+ */
+export const SAS_BYTES_LENGTH = 6;
+
+/**
+ * Generates the decimal form of a short authentication string: three numbers between 1000 and 9191 made of 13 bits
+ * each of the first 5 bytes.
+ *
+ * @param {Uint8Array} sasBytes - The bytes the string is generated from.
+ * @returns {Array<number>}
+ */
+function generateDecimalSas(sasBytes) {
+    return [
+        ((sasBytes[0] << 5) | (sasBytes[1] >> 3)) + 1000,
+        (((sasBytes[1] & 0x7) << 10) | (sasBytes[2] << 2) | (sasBytes[3] >> 6)) + 1000,
+        (((sasBytes[3] & 0x3f) << 7) | (sasBytes[4] >> 1)) + 1000
+    ];
+}
+
+/**
+ * Generates the emoji form of a short authentication string: seven emojis picked with 6 bits each of the first 6
+ * bytes.
+ *
+ * @param {Uint8Array} sasBytes - The bytes the string is generated from.
+ * @returns {Array<Array<string>>} The emojis with their descriptions.
+ */
+function generateEmojiSas(sasBytes) {
+    const bits = sasBytes.slice(0, SAS_BYTES_LENGTH)
+        .reduce((acc, byte) => (acc * 256) + byte, 0);
+    const emojis = [];
+
+    // The 48 bits don't fit in the 32 bits the bitwise operators work on.
+    for (let i = 0; i < 7; i++) {
+        emojis.push(EMOJI_SAS[Math.floor(bits / (2 ** (48 - (6 * (i + 1))))) % 64]);
+    }
+
+    return emojis;
+}
+
+/**
+ * Generates a short authentication string (SAS), both in the decimal and in the emoji form, from the bytes both
+ * participants derived from their SAS key agreement.
+ *
+ * @param {Uint8Array} sasBytes - The bytes, at least {@link SAS_BYTES_LENGTH}.
+ * @returns {{ decimal: Array<number>, emoji: Array<Array<string>> }}
+ */
+export function generateSas(sasBytes) {
+    return {
+        decimal: generateDecimalSas(sasBytes),
+        emoji: generateEmojiSas(sasBytes)
+    };
+}
@@ -0,0 +1,18 @@
+import { generateSas } from './SAS';
+
+describe('generateSas', () => {
+    it('generates the decimal form from 13 bits per number', () => {
+        expect(generateSas(new Uint8Array(6)).decimal).toEqual([ 1000, 1000, 1000 ]);
+        expect(generateSas(new Uint8Array(6).fill(0xff)).decimal).toEqual([ 9191, 9191, 9191 ]);
+        expect(generateSas(new Uint8Array([ 0x04, 0x10, 0x41, 0x04, 0x10, 0x41 ])).decimal)
+            .toEqual([ 1130, 1260, 1520 ]);
+    });
+
+    it('generates the emoji form from 6 bits per emoji', () => {
+        const { emoji } = generateSas(new Uint8Array([ 0x04, 0x10, 0x41, 0x04, 0x10, 0x41 ]));
+
+        expect(emoji.length).toBe(7);
+        expect(emoji.every(([ , description ]) => description === 'Cat')).toBe(true);
+        expect(generateSas(new Uint8Array(6).fill(0xff)).emoji[6]).toEqual([ '📌', 'Pin' ]);
+    });
+});
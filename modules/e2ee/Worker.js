@@ -8,6 +8,26 @@ import { polyFillEncodedFrameMetadata } from './utils';
 
 const contexts = new Map(); // Map participant id => context
 
+// How often, in ms, the counters of the contexts are posted to the main thread.
+const STATS_INTERVAL = 1000;
+
+setInterval(() => {
+    if (!contexts.size) {
+        return;
+    }
+
+    const stats = {};
+
+    for (const [ participantId, context ] of contexts) {
+        stats[participantId] = context.getStats();
+    }
+
+    postMessage({
+        operation: 'stats',
+        stats
+    });
+}, STATS_INTERVAL);
+
 onmessage = async event => {
     const { operation } = event.data;
 
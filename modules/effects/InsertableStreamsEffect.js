@@ -0,0 +1,93 @@
+/* global __filename, TransformStream */
+
+import { getLogger } from 'jitsi-meet-logger';
+
+import browser from '../browser';
+
+const logger = getLogger(__filename);
+
+/**
+ * A base for the video effects which process the frames of a track with insertable streams for raw media, i.e.
+ * a {@code MediaStreamTrackProcessor} feeding the frames through a {@code TransformStream} into a
+ * {@code MediaStreamTrackGenerator}. Subclasses implement {@link transform}.
+ *
+ * The effect implements the interface expected by {@link JitsiLocalTrack#setEffects}, so several of them can be
+ * chained on the same track, each processing the output of the previous one.
+ */
+export default class InsertableStreamsEffect {
+    /**
+     * Initializes a new effect.
+     *
+     * @param {string} name - The name of the effect, used for logging.
+     */
+    constructor(name) {
+        this.name = name;
+        this._abortController = undefined;
+        this._generator = undefined;
+        this._processor = undefined;
+    }
+
+    /**
+     * Checks whether the effect can be applied on a track.
+     *
+     * @param {JitsiLocalTrack} track - The track.
+     * @returns {boolean}
+     */
+    isEnabled(track) {
+        return track.isVideoTrack() && browser.supportsRawMediaInsertableStreams();
+    }
+
+    /**
+     * Starts processing the video of a stream.
+     *
+     * @param {MediaStream} stream - The stream to process.
+     * @returns {MediaStream} The stream with the processed video.
+     */
+    startEffect(stream) {
+        const [ track ] = stream.getVideoTracks();
+
+        this._abortController = new AbortController();
+        this._processor = new window.MediaStreamTrackProcessor({ track });
+        this._generator = new window.MediaStreamTrackGenerator({ kind: 'video' });
+
+        const transformer = new TransformStream({
+            transform: (frame, controller) => this.transform(frame, controller)
+        });
+
+        this._processor.readable
+            .pipeThrough(transformer, { signal: this._abortController.signal })
+            .pipeTo(this._generator.writable)
+            .catch(error => {
+                if (error?.name !== 'AbortError') {
+                    logger.error(`${this.name} effect stopped processing frames`, error);
+                }
+            });
+
+        return new MediaStream([ this._generator ]);
+    }
+
+    /**
+     * Stops processing the video and stops the processed track.
+     *
+     * @returns {void}
+     */
+    stopEffect() {
+        this._abortController?.abort();
+        this._generator?.stop();
+        this._abortController = undefined;
+        this._generator = undefined;
+        this._processor = undefined;
+    }
+
+    /**
+     * Processes a frame. The default implementation passes it through unchanged. Implementations must either
+     * enqueue the frame or close it, and enqueue a new {@code VideoFrame} in its place.
+     *
+     * @param {Object} frame - The {@code VideoFrame} to process.
+     * @param {TransformStreamDefaultController} controller - The controller to enqueue the processed frame with.
+     * @returns {void|Promise<void>}
+     */
+    transform(frame, controller) {
+        controller.enqueue(frame);
+    }
+}
@@ -0,0 +1,442 @@
+import { getLogger } from 'jitsi-meet-logger';
+import isEqual from 'lodash.isequal';
+import { v4 as uuidv4 } from 'uuid';
+
+import * as JitsiConferenceEvents from '../../JitsiConferenceEvents';
+
+const logger = getLogger(__filename);
+
+/**
+ * The 'type' of a message which announces a new poll.
+ * @type {string}
+ */
+export const POLL_CREATE = 'poll-create';
+
+/**
+ * The 'type' of a message which carries a vote of a participant.
+ * @type {string}
+ */
+export const POLL_VOTE = 'poll-vote';
+
+/**
+ * The 'type' of a message which closes a poll.
+ * @type {string}
+ */
+export const POLL_CLOSE = 'poll-close';
+
+/**
+ * The 'type' of a message which carries the state of all polls, sent to
+ * participants joining after the polls were created.
+ * @type {string}
+ */
+export const POLL_STATE = 'poll-state';
+
+/**
+ * Implements in-call polls on top of the JSON messages sent through the MUC.
+ * The MUC delivers the messages in the same order to everyone, so applying them
+ * in order keeps the polls consistent across participants. Participants joining
+ * later get the current state from the remaining participant with the smallest
+ * id, the state is only accepted once and from that participant.
+ *
+ * A poll is represented as:
+ * {
+ *     id: string,
+ *     senderId: string,
+ *     question: string,
+ *     answers: Array<{ name: string, voters: Array<string> }>,
+ *     closed: boolean
+ * }
+ */
+export default class Polls {
+    /**
+     * Initializes a new Polls instance.
+     *
+     * @param {JitsiConference} conference - The conference.
+     * @param {Function} sendMessage - The function to use to send a message,
+     * receives the message object and optionally the id of the recipient.
+     */
+    constructor(conference, sendMessage) {
+        this.conference = conference;
+        this.eventEmitter = conference.eventEmitter;
+        this.sendMessage = sendMessage;
+
+        /**
+         * The polls known to the local participant, by id.
+         * @type {Object}
+         */
+        this._polls = {};
+
+        /**
+         * The id of the participant expected to send the state of the polls
+         * after the local participant joined, undefined once it was received
+         * or when nobody is expected to send it.
+         * @type {string|undefined}
+         */
+        this._stateSenderId = undefined;
+
+        this._onConferenceJoined = this._onConferenceJoined.bind(this);
+        conference.on(
+            JitsiConferenceEvents.CONFERENCE_JOINED,
+            this._onConferenceJoined);
+
+        this._onMessageReceived = this._onMessageReceived.bind(this);
+        conference.on(
+            JitsiConferenceEvents.ENDPOINT_MESSAGE_RECEIVED,
+            this._onMessageReceived);
+
+        this._onUserJoined = this._onUserJoined.bind(this);
+        conference.on(
+            JitsiConferenceEvents.USER_JOINED,
+            this._onUserJoined);
+    }
+
+    /**
+     * Creates a new poll and announces it to everyone in the conference.
+     *
+     * @param {string} question - The question.
+     * @param {Array<string>} answers - The possible answers.
+     * @returns {string|undefined} The id of the new poll or undefined if the
+     * poll is not valid.
+     */
+    createPoll(question, answers) {
+        if (!question || !Array.isArray(answers) || answers.length < 2) {
+            logger.error('Cannot create a poll without a question and at least two answers.');
+
+            return;
+        }
+
+        const poll = {
+            id: uuidv4(),
+            senderId: this.conference.myUserId(),
+            question,
+            answers: answers.map(name => {
+                return {
+                    name,
+                    voters: []
+                };
+            }),
+            closed: false
+        };
+
+        this._addPoll(poll);
+        this.sendMessage({
+            type: POLL_CREATE,
+            pollId: poll.id,
+            question,
+            answers
+        });
+
+        return poll.id;
+    }
+
+    /**
+     * Casts the vote of the local participant, replacing any previous vote.
+     *
+     * @param {string} pollId - The id of the poll.
+     * @param {Array<number>} answerIndexes - The indexes of the chosen answers.
+     * An empty array retracts the vote.
+     * @returns {void}
+     */
+    vote(pollId, answerIndexes) {
+        const poll = this._polls[pollId];
+
+        if (!poll || poll.closed) {
+            logger.warn(`Cannot vote in poll ${pollId}, it is unknown or closed.`);
+
+            return;
+        }
+
+        const myId = this.conference.myUserId();
+
+        if (this._applyVote(poll, myId, answerIndexes)) {
+            this.sendMessage({
+                type: POLL_VOTE,
+                pollId,
+                answers: answerIndexes
+            });
+        }
+    }
+
+    /**
+     * Closes a poll so no more votes are accepted. Only the author of the poll
+     * or a moderator can close it.
+     *
+     * @param {string} pollId - The id of the poll.
+     * @returns {void}
+     */
+    closePoll(pollId) {
+        const poll = this._polls[pollId];
+
+        if (!poll || poll.closed) {
+            return;
+        }
+
+        if (poll.senderId !== this.conference.myUserId() && !this.conference.isModerator()) {
+            logger.warn(`Cannot close poll ${pollId}, not the author or a moderator.`);
+
+            return;
+        }
+
+        this._closePoll(poll);
+        this.sendMessage({
+            type: POLL_CLOSE,
+            pollId
+        });
+    }
+
+    /**
+     * Returns a poll.
+     *
+     * @param {string} pollId - The id of the poll.
+     * @returns {Object|undefined}
+     */
+    getPoll(pollId) {
+        return this._polls[pollId];
+    }
+
+    /**
+     * Returns all the polls known to the local participant.
+     *
+     * @returns {Array<Object>}
+     */
+    getPolls() {
+        return Object.values(this._polls);
+    }
+
+    /**
+     * Returns the number of votes for each answer of a poll.
+     *
+     * @param {string} pollId - The id of the poll.
+     * @returns {Array<number>|undefined}
+     */
+    getTally(pollId) {
+        const poll = this._polls[pollId];
+
+        return poll && poll.answers.map(answer => answer.voters.length);
+    }
+
+    /**
+     * Stops listening for conference events.
+     *
+     * @returns {void}
+     */
+    dispose() {
+        this.conference.off(
+            JitsiConferenceEvents.CONFERENCE_JOINED,
+            this._onConferenceJoined);
+        this.conference.off(
+            JitsiConferenceEvents.ENDPOINT_MESSAGE_RECEIVED,
+            this._onMessageReceived);
+        this.conference.off(
+            JitsiConferenceEvents.USER_JOINED,
+            this._onUserJoined);
+        this._polls = {};
+    }
+
+    /**
+     * Stores a poll and fires {@link JitsiConferenceEvents.POLL_CREATED}.
+     *
+     * @param {Object} poll - The poll.
+     * @private
+     * @returns {void}
+     */
+    _addPoll(poll) {
+        this._polls[poll.id] = poll;
+        this.eventEmitter.emit(JitsiConferenceEvents.POLL_CREATED, poll);
+    }
+
+    /**
+     * Records a vote in a poll, replacing any previous vote of the same voter.
+     *
+     * @param {Object} poll - The poll.
+     * @param {string} voterId - The id of the participant who voted.
+     * @param {Array<number>} answerIndexes - The indexes of the chosen answers.
+     * @private
+     * @returns {boolean} Whether the vote was valid and was applied.
+     */
+    _applyVote(poll, voterId, answerIndexes) {
+        if (!Array.isArray(answerIndexes)
+                || answerIndexes.some(i => !Number.isInteger(i) || i < 0 || i >= poll.answers.length)) {
+            logger.warn(`Ignoring invalid vote from ${voterId} in poll ${poll.id}`);
+
+            return false;
+        }
+
+        poll.answers.forEach((answer, index) => {
+            answer.voters = answer.voters.filter(id => id !== voterId);
+            answerIndexes.includes(index) && answer.voters.push(voterId);
+        });
+
+        this.eventEmitter.emit(JitsiConferenceEvents.POLL_VOTE_CAST, poll, voterId);
+
+        return true;
+    }
+
+    /**
+     * Marks a poll as closed and fires {@link JitsiConferenceEvents.POLL_CLOSED}.
+     *
+     * @param {Object} poll - The poll.
+     * @private
+     * @returns {void}
+     */
+    _closePoll(poll) {
+        poll.closed = true;
+        this.eventEmitter.emit(JitsiConferenceEvents.POLL_CLOSED, poll);
+    }
+
+    /**
+     * Handles a message that was received.
+     *
+     * @param {JitsiParticipant} participant - The message sender.
+     * @param {Object} payload - The payload of the message.
+     * @private
+     * @returns {void}
+     */
+    _onMessageReceived(participant, payload) {
+        const senderId = participant.getId();
+        const poll = payload.pollId && this._polls[payload.pollId];
+
+        switch (payload.type) {
+        case POLL_CREATE:
+            if (poll || !payload.pollId || !payload.question || !Array.isArray(payload.answers)) {
+                logger.warn(`Ignoring invalid or duplicate poll from ${senderId}`);
+
+                return;
+            }
+            this._addPoll({
+                id: payload.pollId,
+                senderId,
+                question: payload.question,
+                answers: payload.answers.map(name => {
+                    return {
+                        name,
+                        voters: []
+                    };
+                }),
+                closed: false
+            });
+            break;
+        case POLL_VOTE:
+            if (poll && !poll.closed) {
+                this._applyVote(poll, senderId, payload.answers);
+            }
+            break;
+        case POLL_CLOSE:
+            if (poll && !poll.closed && (poll.senderId === senderId || participant.isModerator())) {
+                this._closePoll(poll);
+            }
+            break;
+        case POLL_STATE:
+            if (senderId !== this._stateSenderId) {
+                logger.warn(`Ignoring the state of the polls from ${senderId}`);
+
+                return;
+            }
+            this._stateSenderId = undefined;
+            Array.isArray(payload.polls) && payload.polls.forEach(p => this._onPollState(participant, p));
+            break;
+        }
+    }
+
+    /**
+     * Picks the participant expected to send the state of the polls, the same
+     * way the participants already in the conference pick who sends it.
+     *
+     * @private
+     * @returns {void}
+     */
+    _onConferenceJoined() {
+        this._stateSenderId = this.conference.getParticipants()
+            .filter(p => !p.isHidden())
+            .map(p => p.getId())
+            .sort()[0];
+    }
+
+    /**
+     * Merges a poll received as part of the state sync into the local state.
+     * The state can only close a poll when it is sent by the author of the
+     * poll or by a moderator.
+     *
+     * @param {JitsiParticipant} sender - The participant who sent the state.
+     * @param {Object} state - The poll as sent by the remote participant.
+     * @private
+     * @returns {void}
+     */
+    _onPollState(sender, state) {
+        if (!state || !state.id || !Array.isArray(state.answers)) {
+            return;
+        }
+
+        const poll = this._polls[state.id];
+        const canClose = sender.isModerator() || sender.getId() === (poll ? poll.senderId : state.senderId);
+
+        if (!poll) {
+            this._addPoll({
+                id: state.id,
+                senderId: state.senderId,
+                question: state.question,
+                answers: state.answers.map(answer => {
+                    return {
+                        name: answer.name,
+                        voters: Array.isArray(answer.voters) ? answer.voters.slice() : []
+                    };
+                }),
+                closed: Boolean(state.closed) && canClose
+            });
+
+            return;
+        }
+
+        // We may have already received some of the votes directly, the synced
+        // state is authoritative as it was sent after we joined.
+        let updated = false;
+
+        poll.answers.forEach((answer, index) => {
+            const voters = state.answers[index] && state.answers[index].voters;
+
+            if (Array.isArray(voters) && !isEqual(answer.voters, voters)) {
+                answer.voters = voters.slice();
+                updated = true;
+            }
+        });
+
+        updated && this.eventEmitter.emit(JitsiConferenceEvents.POLL_UPDATED, poll);
+
+        if (state.closed && !poll.closed && canClose) {
+            this._closePoll(poll);
+        }
+    }
+
+    /**
+     * Sends the state of the polls to a participant joining the conference, if
+     * the local participant is the one responsible for it.
+     *
+     * @param {string} id - The id of the participant who joined.
+     * @param {JitsiParticipant} participant - The participant who joined.
+     * @private
+     * @returns {void}
+     */
+    _onUserJoined(id, participant) {
+        const polls = this.getPolls();
+
+        if (!polls.length || participant.isHidden()) {
+            return;
+        }
+
+        // Only one participant should send the state, pick the one with the
+        // smallest id among those who were already in the conference.
+        const candidates = this.conference.getParticipants()
+            .filter(p => p.getId() !== id && !p.isHidden())
+            .map(p => p.getId());
+        const myId = this.conference.myUserId();
+
+        if (candidates.some(candidate => candidate < myId)) {
+            return;
+        }
+
+        this.sendMessage({
+            type: POLL_STATE,
+            polls
+        }, id);
+    }
+}
@@ -0,0 +1,308 @@
+import EventEmitter from 'events';
+
+import JitsiConference from '../../JitsiConference';
+import * as JitsiConferenceEvents from '../../JitsiConferenceEvents';
+import JitsiParticipant from '../../JitsiParticipant';
+
+import Polls, { POLL_CLOSE, POLL_CREATE, POLL_STATE, POLL_VOTE } from './Polls';
+
+/**
+ * Mock object to be used in place of a real conference.
+ *
+ * @constructor
+ */
+function MockConference() {
+    this.eventEmitter = new EventEmitter();
+    this.participants = {};
+}
+MockConference.prototype = Object.create(JitsiConference.prototype);
+MockConference.prototype.constructor = JitsiConference;
+
+/**
+ * Mock object to be used in place of a real JitsiParticipant.
+ *
+ * @constructor
+ * @param {string} id - An id for the mock user.
+ * @param {string} role - The role of the mock user.
+ */
+function MockJitsiParticipant(id, role = 'none') {
+    this._id = id;
+    this._role = role;
+    this._hidden = false;
+}
+MockJitsiParticipant.prototype = Object.create(JitsiParticipant.prototype);
+MockJitsiParticipant.prototype.constructor = JitsiParticipant;
+
+describe('Polls', () => {
+    let conference, polls, sendMessage;
+
+    /**
+     * Simulates a message received from a remote participant.
+     *
+     * @param {JitsiParticipant} participant - The sender.
+     * @param {Object} payload - The message.
+     * @returns {void}
+     */
+    function receive(participant, payload) {
+        conference.eventEmitter.emit(JitsiConferenceEvents.ENDPOINT_MESSAGE_RECEIVED, participant, payload);
+    }
+
+    beforeEach(() => {
+        conference = new MockConference();
+        spyOn(conference, 'myUserId').and.returnValue('bbbb');
+        spyOn(conference, 'isModerator').and.returnValue(false);
+        sendMessage = jasmine.createSpy('sendMessage');
+        polls = new Polls(conference, sendMessage);
+    });
+
+    it('creates a poll and announces it', () => {
+        const created = jasmine.createSpy('created');
+
+        conference.on(JitsiConferenceEvents.POLL_CREATED, created);
+
+        const pollId = polls.createPoll('Lunch?', [ 'Pizza', 'Salad' ]);
+
+        expect(created).toHaveBeenCalledWith(polls.getPoll(pollId));
+        expect(sendMessage).toHaveBeenCalledWith({
+            type: POLL_CREATE,
+            pollId,
+            question: 'Lunch?',
+            answers: [ 'Pizza', 'Salad' ]
+        });
+    });
+
+    it('rejects polls with less than two answers', () => {
+        expect(polls.createPoll('Lunch?', [ 'Pizza' ])).toBeUndefined();
+        expect(sendMessage).not.toHaveBeenCalled();
+    });
+
+    it('replaces the previous vote of a participant', () => {
+        const remote = new MockJitsiParticipant('cccc');
+
+        receive(remote, {
+            type: POLL_CREATE,
+            pollId: 'p1',
+            question: 'Lunch?',
+            answers: [ 'Pizza', 'Salad' ]
+        });
+        receive(remote, {
+            type: POLL_VOTE,
+            pollId: 'p1',
+            answers: [ 0 ]
+        });
+        receive(remote, {
+            type: POLL_VOTE,
+            pollId: 'p1',
+            answers: [ 1 ]
+        });
+        polls.vote('p1', [ 1 ]);
+
+        expect(polls.getTally('p1')).toEqual([ 0, 2 ]);
+    });
+
+    it('ignores invalid votes', () => {
+        const remote = new MockJitsiParticipant('cccc');
+
+        polls.createPoll('Lunch?', [ 'Pizza', 'Salad' ]);
+
+        const pollId = polls.getPolls()[0].id;
+
+        receive(remote, {
+            type: POLL_VOTE,
+            pollId,
+            answers: [ 5 ]
+        });
+
+        expect(polls.getTally(pollId)).toEqual([ 0, 0 ]);
+    });
+
+    it('only lets the author or a moderator close a poll', () => {
+        const author = new MockJitsiParticipant('cccc');
+        const other = new MockJitsiParticipant('dddd');
+        const closed = jasmine.createSpy('closed');
+
+        conference.on(JitsiConferenceEvents.POLL_CLOSED, closed);
+        receive(author, {
+            type: POLL_CREATE,
+            pollId: 'p1',
+            question: 'Lunch?',
+            answers: [ 'Pizza', 'Salad' ]
+        });
+
+        receive(other, {
+            type: POLL_CLOSE,
+            pollId: 'p1'
+        });
+        expect(polls.getPoll('p1').closed).toBe(false);
+
+        polls.closePoll('p1');
+        expect(polls.getPoll('p1').closed).toBe(false);
+
+        receive(author, {
+            type: POLL_CLOSE,
+            pollId: 'p1'
+        });
+        expect(polls.getPoll('p1').closed).toBe(true);
+        expect(closed).toHaveBeenCalledTimes(1);
+
+        receive(author, {
+            type: POLL_VOTE,
+            pollId: 'p1',
+            answers: [ 0 ]
+        });
+        expect(polls.getTally('p1')).toEqual([ 0, 0 ]);
+    });
+
+    it('sends the state to a late joiner when it has the smallest id', () => {
+        const joiner = new MockJitsiParticipant('eeee');
+
+        conference.participants = {
+            cccc: new MockJitsiParticipant('cccc'),
+            eeee: joiner
+        };
+        polls.createPoll('Lunch?', [ 'Pizza', 'Salad' ]);
+        sendMessage.calls.reset();
+
+        conference.eventEmitter.emit(JitsiConferenceEvents.USER_JOINED, 'eeee', joiner);
+
+        expect(sendMessage).toHaveBeenCalledWith({
+            type: POLL_STATE,
+            polls: polls.getPolls()
+        }, 'eeee');
+    });
+
+    it('does not send the state when another participant has a smaller id', () => {
+        const joiner = new MockJitsiParticipant('eeee');
+
+        conference.participants = {
+            aaaa: new MockJitsiParticipant('aaaa'),
+            eeee: joiner
+        };
+        polls.createPoll('Lunch?', [ 'Pizza', 'Salad' ]);
+        sendMessage.calls.reset();
+
+        conference.eventEmitter.emit(JitsiConferenceEvents.USER_JOINED, 'eeee', joiner);
+
+        expect(sendMessage).not.toHaveBeenCalled();
+    });
+
+    /**
+     * Simulates the local participant joining a conference with the given
+     * participants.
+     *
+     * @param {Array<JitsiParticipant>} participants - The participants.
+     * @returns {void}
+     */
+    function join(participants) {
+        participants.forEach(p => {
+            conference.participants[p.getId()] = p;
+        });
+        conference.eventEmitter.emit(JitsiConferenceEvents.CONFERENCE_JOINED);
+    }
+
+    /**
+     * Returns the state of a poll, as sent to a late joiner.
+     *
+     * @param {Object} options - The author, the voters of the first answer
+     * and whether the poll is closed.
+     * @returns {Object}
+     */
+    function pollState({ senderId = 'aaaa', voters = [], closed = false }) {
+        return {
+            id: 'p1',
+            senderId,
+            question: 'Lunch?',
+            answers: [ {
+                name: 'Pizza',
+                voters
+            }, {
+                name: 'Salad',
+                voters: []
+            } ],
+            closed
+        };
+    }
+
+    it('merges the synced state', () => {
+        const remote = new MockJitsiParticipant('aaaa');
+
+        join([ remote, new MockJitsiParticipant('cccc') ]);
+        receive(remote, {
+            type: POLL_STATE,
+            polls: [ {
+                id: 'p1',
+                senderId: 'aaaa',
+                question: 'Lunch?',
+                answers: [ {
+                    name: 'Pizza',
+                    voters: [ 'aaaa', 'cccc' ]
+                }, {
+                    name: 'Salad',
+                    voters: []
+                } ],
+                closed: true
+            } ]
+        });
+
+        expect(polls.getTally('p1')).toEqual([ 2, 0 ]);
+        expect(polls.getPoll('p1').closed).toBe(true);
+    });
+
+    it('only accepts the synced state once and from the elected participant', () => {
+        const elected = new MockJitsiParticipant('aaaa');
+        const other = new MockJitsiParticipant('cccc');
+
+        join([ elected, other ]);
+        receive(other, {
+            type: POLL_STATE,
+            polls: [ pollState({ voters: [ 'cccc' ] }) ]
+        });
+        expect(polls.getPoll('p1')).toBeUndefined();
+
+        receive(elected, {
+            type: POLL_STATE,
+            polls: [ pollState({ voters: [ 'aaaa' ] }) ]
+        });
+        receive(elected, {
+            type: POLL_STATE,
+            polls: [ pollState({ voters: [ 'aaaa', 'cccc' ] }) ]
+        });
+        expect(polls.getTally('p1')).toEqual([ 1, 0 ]);
+    });
+
+    it('only lets the synced state close a poll from its author or a moderator', () => {
+        const remote = new MockJitsiParticipant('aaaa');
+
+        join([ remote ]);
+        receive(remote, {
+            type: POLL_STATE,
+            polls: [ pollState({
+                senderId: 'cccc',
+                closed: true
+            }) ]
+        });
+
+        expect(polls.getPoll('p1').closed).toBe(false);
+    });
+
+    it('fires an update when the synced state replaces the votes', () => {
+        const remote = new MockJitsiParticipant('aaaa');
+        const updated = jasmine.createSpy('updated');
+
+        conference.on(JitsiConferenceEvents.POLL_UPDATED, updated);
+        join([ remote ]);
+        receive(remote, {
+            type: POLL_CREATE,
+            pollId: 'p1',
+            question: 'Lunch?',
+            answers: [ 'Pizza', 'Salad' ]
+        });
+        receive(remote, {
+            type: POLL_STATE,
+            polls: [ pollState({ voters: [ 'aaaa' ] }) ]
+        });
+
+        expect(updated).toHaveBeenCalledWith(polls.getPoll('p1'));
+        expect(polls.getTally('p1')).toEqual([ 1, 0 ]);
+    });
+});
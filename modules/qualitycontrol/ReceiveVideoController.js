@@ -30,6 +30,10 @@ export class ReceiverVideoConstraints {
         // The endpoint IDs of the participants that are currently selected.
         this._selectedEndpoints = [];
 
+        // The names of the sources that are currently selected, they take precedence over the selected endpoints
+        // when the remote participants send more than one video source.
+        this._selectedSources = [];
+
         this._receiverVideoConstraints = {
             constraints: {},
             defaultConstraints: this.defaultConstraints,
@@ -45,6 +49,10 @@ export class ReceiverVideoConstraints {
     get constraints() {
         this._receiverVideoConstraints.lastN = this._lastN;
 
+        if (this._selectedSources.length) {
+            return this._getSourceConstraints();
+        }
+
         if (!this._selectedEndpoints.length) {
             return this._receiverVideoConstraints;
         }
@@ -52,6 +60,8 @@ export class ReceiverVideoConstraints {
         // The client is assumed to be in TileView if it has selected more than one endpoint, otherwise it is
         // assumed to be in StageView.
         this._receiverVideoConstraints.constraints = {};
+        delete this._receiverVideoConstraints.onStageSources;
+        delete this._receiverVideoConstraints.selectedSources;
         if (this._selectedEndpoints.length > 1) {
             /**
              * Tile view.
@@ -89,6 +99,42 @@ export class ReceiverVideoConstraints {
         return this._receiverVideoConstraints;
     }
 
+    /**
+     * Builds the constraints addressing the selected sources by their names instead of by the endpoint IDs, so that
+     * e.g. the screen share of a participant can be on stage while its camera stays a thumbnail.
+     * {
+     *  'colibriClass': 'ReceiverVideoConstraints',
+     *  'onStageSources': ['A-v1'],
+     *  'defaultConstraints': { 'maxHeight':  180 },
+     *  'constraints': {
+     *      'A-v1': { 'maxHeight': 720 }
+     *   }
+     * }
+     *
+     * @private
+     * @returns {Object}
+     */
+    _getSourceConstraints() {
+        const constraints = this._receiverVideoConstraints;
+
+        constraints.constraints = {};
+        constraints.onStageEndpoints = [];
+        constraints.selectedEndpoints = [];
+        constraints.selectedSources = [];
+
+        // Same as for the endpoints, more than one selected source is assumed to be TileView.
+        if (this._selectedSources.length > 1) {
+            constraints.defaultConstraints = { 'maxHeight': this._maxFrameHeight };
+            constraints.onStageSources = [];
+        } else {
+            constraints.constraints[this._selectedSources[0]] = { 'maxHeight': this._maxFrameHeight };
+            constraints.defaultConstraints = this._defaultConstraints;
+            constraints.onStageSources = this._selectedSources;
+        }
+
+        return constraints;
+    }
+
     /**
      * Updates the lastN field of the ReceiverVideoConstraints sent to the bridge.
      *
@@ -151,6 +197,26 @@ export class ReceiverVideoConstraints {
         logger.debug(`Updating selected endpoints: ${JSON.stringify(ids)}`);
         this._selectedEndpoints = ids;
     }
+
+    /**
+     * Updates the list of selected sources.
+     *
+     * @param {Array<string>} sourceNames
+     * @returns {void}
+     */
+    updateSelectedSources(sourceNames) {
+        logger.debug(`Updating selected sources: ${JSON.stringify(sourceNames)}`);
+
+        // Going back to the selected endpoints, the constraints of the sources no longer apply.
+        if (!sourceNames.length && this._selectedSources.length) {
+            this._receiverVideoConstraints.constraints = {};
+            this._receiverVideoConstraints.defaultConstraints = this._defaultConstraints;
+            this._receiverVideoConstraints.onStageEndpoints = [];
+            delete this._receiverVideoConstraints.onStageSources;
+            delete this._receiverVideoConstraints.selectedSources;
+        }
+        this._selectedSources = sourceNames;
+    }
 }
 
 /**
@@ -193,6 +259,9 @@ export class ReceiveVideoController {
         // The endpoint IDs of the participants that are currently selected.
         this._selectedEndpoints = [];
 
+        // The names of the video sources that are currently selected.
+        this._selectedSources = [];
+
         this._conference.on(
             JitsiConferenceEvents._MEDIA_SESSION_STARTED,
             session => this._onMediaSessionStarted(session));
@@ -252,6 +321,37 @@ export class ReceiveVideoController {
         this._rtc.selectEndpoints(ids);
     }
 
+    /**
+     * Elects the video sources with the given names to be the selected sources, the same way as
+     * {@link selectEndpoints} does for all the video sources of the participants. An empty list goes back to the
+     * selected endpoints. Addressing the sources is only possible with the new receiver constraints.
+     *
+     * @param {Array<string>} sourceNames - The names of the sources.
+     * @returns {void}
+     */
+    selectSources(sourceNames) {
+        this._selectedSources = sourceNames;
+
+        if (!this._receiverVideoConstraints) {
+            logger.warn('Cannot select the video sources without the new receiver constraints');
+
+            return;
+        }
+
+        // Filter out the sources of the local endpoint.
+        const localSourcePrefix = `${this._conference.myUserId()}-`;
+        const remoteSources = sourceNames.filter(name => !name.startsWith(localSourcePrefix));
+        const oldConstraints = JSON.parse(JSON.stringify(this._receiverVideoConstraints.constraints));
+
+        this._receiverVideoConstraints.updateSelectedSources(remoteSources);
+        const newConstraints = this._receiverVideoConstraints.constraints;
+
+        // Send bridge message only when the constraints change.
+        if (!isEqual(newConstraints, oldConstraints)) {
+            this._rtc.setNewReceiverVideoConstraints(newConstraints);
+        }
+    }
+
     /**
      * Selects a new value for "lastN". The requested amount of videos are going to be delivered after the value is
      * in effect. Set to -1 for unlimited or all available videos.
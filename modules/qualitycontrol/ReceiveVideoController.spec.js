@@ -0,0 +1,122 @@
+import Listenable from '../util/Listenable';
+
+import { ReceiveVideoController } from './ReceiveVideoController';
+
+// JSDocs disabled for Mock classes to avoid duplication - check on the original classes for info.
+/* eslint-disable require-jsdoc */
+/**
+ * Mock conference for the purpose of this test file.
+ */
+class MockConference extends Listenable {
+    constructor() {
+        super();
+        this.options = {
+            config: {}
+        };
+    }
+
+    myUserId() {
+        return 'local';
+    }
+
+    _getMediaSessions() {
+        return [];
+    }
+}
+
+/**
+ * Mock {@link RTC} - add things as needed, but only things useful for all tests.
+ */
+class MockRTC {
+    constructor() {
+        this.setNewReceiverVideoConstraints = jasmine.createSpy('setNewReceiverVideoConstraints');
+    }
+
+    getLastConstraints() {
+        const { calls } = this.setNewReceiverVideoConstraints;
+
+        return JSON.parse(JSON.stringify(calls.mostRecent().args[0]));
+    }
+}
+
+/* eslint-enable require-jsdoc */
+
+describe('ReceiveVideoController', () => {
+    let conference, receiveVideoController, rtc;
+
+    beforeEach(() => {
+        conference = new MockConference();
+        rtc = new MockRTC();
+        receiveVideoController = new ReceiveVideoController(conference, rtc);
+    });
+
+    describe('selectSources', () => {
+        it('puts a single selected source on stage', () => {
+            receiveVideoController.selectSources([ 'remote-v1' ]);
+
+            expect(rtc.getLastConstraints()).toEqual(jasmine.objectContaining({
+                constraints: { 'remote-v1': { maxHeight: 2160 } },
+                defaultConstraints: { maxHeight: 180 },
+                onStageEndpoints: [],
+                onStageSources: [ 'remote-v1' ]
+            }));
+        });
+
+        it('assumes the tile view when several sources are selected', () => {
+            receiveVideoController.selectSources([ 'remote-v0', 'remote-v1' ]);
+
+            expect(rtc.getLastConstraints()).toEqual(jasmine.objectContaining({
+                constraints: {},
+                defaultConstraints: { maxHeight: 2160 },
+                onStageSources: []
+            }));
+        });
+
+        it('filters out the local sources', () => {
+            receiveVideoController.selectSources([ 'local-v0', 'remote-v0' ]);
+
+            expect(rtc.getLastConstraints().onStageSources).toEqual([ 'remote-v0' ]);
+        });
+
+        it('doesn\'t send the constraints when they don\'t change', () => {
+            receiveVideoController.selectSources([ 'remote-v1' ]);
+            receiveVideoController.selectSources([ 'remote-v1' ]);
+
+            expect(rtc.setNewReceiverVideoConstraints).toHaveBeenCalledTimes(1);
+        });
+
+        it('resets the constraints of the sources when the selection is cleared', () => {
+            receiveVideoController.selectSources([ 'remote-v1' ]);
+            receiveVideoController.selectSources([]);
+
+            const constraints = rtc.getLastConstraints();
+
+            expect(constraints.constraints).toEqual({});
+            expect(constraints.defaultConstraints).toEqual({ maxHeight: 180 });
+            expect(constraints.onStageSources).toBeUndefined();
+            expect(constraints.selectedSources).toBeUndefined();
+        });
+
+        it('goes back to the selected endpoints when the selection is cleared', () => {
+            receiveVideoController.selectEndpoints([ 'remote' ]);
+            receiveVideoController.selectSources([ 'remote-v1' ]);
+            receiveVideoController.selectSources([]);
+
+            expect(rtc.getLastConstraints()).toEqual(jasmine.objectContaining({
+                constraints: { 'remote': { maxHeight: 2160 } },
+                onStageEndpoints: [ 'remote' ]
+            }));
+            expect(rtc.getLastConstraints().onStageSources).toBeUndefined();
+        });
+
+        it('can\'t select the sources without the new receiver constraints', () => {
+            conference.options.config.useNewBandwidthAllocationStrategy = false;
+            rtc.setLastN = jasmine.createSpy('setLastN');
+            receiveVideoController = new ReceiveVideoController(conference, rtc);
+
+            receiveVideoController.selectSources([ 'remote-v1' ]);
+
+            expect(rtc.setNewReceiverVideoConstraints).not.toHaveBeenCalled();
+        });
+    });
+});
@@ -0,0 +1,186 @@
+/* global __filename */
+
+import { getLogger } from 'jitsi-meet-logger';
+
+import * as JitsiConferenceEvents from '../../JitsiConferenceEvents';
+
+const logger = getLogger(__filename);
+
+/**
+ * The upload packet loss, in percent, above which the send bitrate is decreased in proportion to the loss.
+ */
+const HIGH_PACKET_LOSS = 10;
+
+/**
+ * The upload packet loss, in percent, below which the send bitrate is probed upwards.
+ */
+const LOW_PACKET_LOSS = 2;
+
+/**
+ * The round trip time, in ms, above which the network is considered congested even without packet loss.
+ */
+const HIGH_RTT = 400;
+
+/**
+ * The factor by which the send bitrate is decreased when the round trip time is high.
+ */
+const RTT_DECREASE_FACTOR = 0.85;
+
+/**
+ * The factor by which the send bitrate is increased when the network is not congested.
+ */
+const INCREASE_FACTOR = 1.08;
+
+/**
+ * The lowest send bitrate, in bps, the controller goes down to.
+ */
+const MIN_BITRATE = 150000;
+
+/**
+ * The relative change of the send bitrate below which the encoders are not reconfigured, so that they are not
+ * updated on every stats report.
+ */
+const MIN_RELATIVE_CHANGE = 0.1;
+
+/**
+ * The class adapts the bitrate of the video senders of the media sessions({@link JingleSessionPC}) of a
+ * {@link JitsiConference} to the network conditions reported by the local stats: the upload packet loss, the round
+ * trip time and the available outgoing bitrate. The bitrate is decreased when the network is congested and probed
+ * upwards otherwise, and the simulcast layers which don't fit in it are turned off, see
+ * {@link TraceablePeerConnection#setSenderBitrateCap}. The application can also cap the bandwidth used for the video
+ * of the conference, whether the adaptation is enabled or not.
+ */
+export class SendBitrateController {
+    /**
+     * Creates new instance for a given conference.
+     *
+     * @param {JitsiConference} conference - the conference instance for which the new instance will be managing
+     * the send bitrate.
+     */
+    constructor(conference) {
+        this.conference = conference;
+
+        // Enable the adaptation only when it is explicitly enabled through config.js, the browsers adapt the
+        // bitrate on their own otherwise.
+        this.adaptiveBitrateEnabled = Boolean(conference.options?.config?.enableAdaptiveSendBitrate);
+
+        /**
+         * The bandwidth cap set by the application, in bps.
+         * @type {number|undefined}
+         */
+        this._bandwidthCap = undefined;
+
+        /**
+         * The send bitrate estimated for each media session from its stats, in bps.
+         * @type {WeakMap<TraceablePeerConnection, number>}
+         */
+        this._estimates = new WeakMap();
+
+        /**
+         * The bitrate last applied on each media session, in bps.
+         * @type {WeakMap<TraceablePeerConnection, number>}
+         */
+        this._appliedBitrates = new WeakMap();
+
+        this.conference.on(
+            JitsiConferenceEvents._MEDIA_SESSION_STARTED,
+            session => this._applyBitrate(session));
+        if (this.adaptiveBitrateEnabled) {
+            this.conference.statistics.addConnectionStatsListener(
+                (tpc, stats) => this._onConnectionStats(tpc, stats));
+        }
+    }
+
+    /**
+     * Applies the lower of the bandwidth cap and of the bitrate estimated for a media session on its video sender.
+     *
+     * @param {JingleSessionPC} mediaSession - the media session.
+     * @returns {Promise<void>}
+     * @private
+     */
+    _applyBitrate(mediaSession) {
+        const tpc = mediaSession.peerconnection;
+        const bitrates = [ this._bandwidthCap, this._estimates.get(tpc) ].filter(bitrate => bitrate > 0);
+        const bitrate = bitrates.length ? Math.min(...bitrates) : undefined;
+        const appliedBitrate = this._appliedBitrates.get(tpc);
+
+        // The cap is applied as soon as it changes, the estimate only when it changes significantly.
+        if (bitrate === appliedBitrate
+            || (bitrate && appliedBitrate && bitrate !== this._bandwidthCap
+                && Math.abs(bitrate - appliedBitrate) < appliedBitrate * MIN_RELATIVE_CHANGE)) {
+            return Promise.resolve();
+        }
+        this._appliedBitrates.set(tpc, bitrate);
+
+        return mediaSession.setSenderBitrateCap(bitrate)
+            .catch(error => logger.error(`Failed to set a send bitrate of ${bitrate} bps on ${mediaSession}`, error));
+    }
+
+    /**
+     * Estimates the send bitrate of a media session from its local stats, see
+     * {@link StatisticsEvents.CONNECTION_STATS}. The bitrate is decreased in proportion to the packet loss when the
+     * loss is high, by a fixed factor when the round trip time is high, and increased when the loss is low. It never
+     * exceeds the available outgoing bitrate estimated by the browser.
+     *
+     * @param {TraceablePeerConnection} tpc - the peer connection the stats are about.
+     * @param {Object} stats - the stats.
+     * @returns {void}
+     * @private
+     */
+    _onConnectionStats(tpc, stats) {
+        const mediaSession = this.conference._getMediaSessions().find(session => session.peerconnection === tpc);
+
+        if (!mediaSession) {
+            return;
+        }
+
+        const packetLoss = stats.packetLoss?.upload ?? 0;
+        const rtt = Math.max(0, ...(stats.transport || []).map(transport => transport.rtt || 0));
+        const availableBitrate = (stats.bandwidth?.upload || 0) * 1000;
+        const sentBitrate = (stats.bitrate?.video?.upload || 0) * 1000;
+        let estimate = this._estimates.get(tpc) || availableBitrate || sentBitrate;
+
+        if (!estimate) {
+            return;
+        }
+
+        if (packetLoss > HIGH_PACKET_LOSS) {
+            // Decrease from what was actually sent, the estimate may be well above it.
+            estimate = Math.min(estimate, sentBitrate || estimate) * (1 - (packetLoss / 200));
+        } else if (rtt > HIGH_RTT) {
+            estimate *= RTT_DECREASE_FACTOR;
+        } else if (packetLoss < LOW_PACKET_LOSS) {
+            estimate *= INCREASE_FACTOR;
+        }
+        if (availableBitrate) {
+            estimate = Math.min(estimate, availableBitrate);
+        }
+        estimate = Math.round(Math.max(estimate, MIN_BITRATE));
+
+        logger.debug(`${mediaSession} send bitrate estimate: ${estimate} bps, packet loss: ${packetLoss}%, `
+            + `rtt: ${rtt} ms, available bitrate: ${availableBitrate} bps`);
+        this._estimates.set(tpc, estimate);
+        this._applyBitrate(mediaSession);
+    }
+
+    /**
+     * Returns the bandwidth cap set by the application.
+     *
+     * @returns {number|undefined} the cap in bps.
+     */
+    getBandwidthCap() {
+        return this._bandwidthCap;
+    }
+
+    /**
+     * Caps the bandwidth used for sending video in all the media sessions of the conference.
+     *
+     * @param {number|undefined} bitrate - the cap in bps, <tt>undefined</tt> to remove it.
+     * @returns {Promise<void[]>} - resolved when the operation is complete.
+     */
+    setBandwidthCap(bitrate) {
+        this._bandwidthCap = bitrate;
+
+        return Promise.all(this.conference._getMediaSessions().map(session => this._applyBitrate(session)));
+    }
+}
@@ -0,0 +1,129 @@
+import * as JitsiConferenceEvents from '../../JitsiConferenceEvents';
+import Listenable from '../util/Listenable';
+
+import { SendBitrateController } from './SendBitrateController';
+
+// JSDocs disabled for Mock classes to avoid duplication - check on the original classes for info.
+/* eslint-disable require-jsdoc */
+/**
+ * A mock JingleSessionPC impl that fit the needs of the SendBitrateController module.
+ */
+class MockJingleSessionPC {
+    constructor() {
+        this.peerconnection = {};
+        this.senderBitrateCap = undefined;
+    }
+
+    setSenderBitrateCap(bitrate) {
+        this.senderBitrateCap = bitrate;
+
+        return Promise.resolve();
+    }
+}
+
+/**
+ * Mock conference for the purpose of this test file.
+ */
+class MockConference extends Listenable {
+    constructor() {
+        super();
+        this.options = {
+            config: { enableAdaptiveSendBitrate: true }
+        };
+        this.mediaSessions = [];
+        this.statistics = {
+            addConnectionStatsListener: listener => {
+                this.connectionStatsListener = listener;
+            }
+        };
+    }
+
+    addMediaSession(mediaSession) {
+        this.mediaSessions.push(mediaSession);
+
+        this.eventEmitter.emit(JitsiConferenceEvents._MEDIA_SESSION_STARTED, mediaSession);
+    }
+
+    _getMediaSessions() {
+        return this.mediaSessions;
+    }
+
+    emitStats(mediaSession, { availableBitrate, packetLoss = 0, rtt = 50, sentBitrate }) {
+        this.connectionStatsListener(mediaSession.peerconnection, {
+            bandwidth: { upload: availableBitrate },
+            bitrate: { video: { upload: sentBitrate } },
+            packetLoss: { upload: packetLoss },
+            transport: [ { rtt } ]
+        });
+    }
+}
+
+/* eslint-enable require-jsdoc */
+
+describe('SendBitrateController', () => {
+    let conference;
+    let sendBitrateController;
+    let jvbConnection;
+
+    beforeEach(() => {
+        conference = new MockConference();
+        sendBitrateController = new SendBitrateController(conference);
+        jvbConnection = new MockJingleSessionPC();
+
+        conference.addMediaSession(jvbConnection);
+    });
+
+    it('decreases the bitrate in proportion to a high packet loss', () => {
+        conference.emitStats(jvbConnection, {
+            availableBitrate: 2000,
+            sentBitrate: 1000
+        });
+        expect(jvbConnection.senderBitrateCap).toBe(2000000);
+
+        conference.emitStats(jvbConnection, {
+            availableBitrate: 2000,
+            packetLoss: 20,
+            sentBitrate: 1000
+        });
+        expect(jvbConnection.senderBitrateCap).toBe(900000);
+    });
+
+    it('decreases the bitrate when the round trip time is high', () => {
+        conference.emitStats(jvbConnection, { availableBitrate: 1000 });
+        conference.emitStats(jvbConnection, {
+            availableBitrate: 1000,
+            rtt: 600
+        });
+        expect(jvbConnection.senderBitrateCap).toBe(850000);
+    });
+
+    it('probes upwards up to the available bitrate', () => {
+        conference.emitStats(jvbConnection, { availableBitrate: 1000 });
+        conference.emitStats(jvbConnection, {
+            availableBitrate: 1000,
+            rtt: 600
+        });
+        for (let i = 0; i < 5; i++) {
+            conference.emitStats(jvbConnection, { availableBitrate: 1000 });
+        }
+        expect(jvbConnection.senderBitrateCap).toBeGreaterThan(850000);
+        expect(jvbConnection.senderBitrateCap).toBeLessThanOrEqual(1000000);
+    });
+
+    it('applies the bandwidth cap when it is lower than the estimate', () => {
+        conference.emitStats(jvbConnection, { availableBitrate: 2000 });
+        sendBitrateController.setBandwidthCap(500000);
+        expect(jvbConnection.senderBitrateCap).toBe(500000);
+
+        sendBitrateController.setBandwidthCap(undefined);
+        expect(jvbConnection.senderBitrateCap).toBe(2000000);
+    });
+
+    it('applies the bandwidth cap on the media sessions started later', () => {
+        const p2pConnection = new MockJingleSessionPC();
+
+        sendBitrateController.setBandwidthCap(500000);
+        conference.addMediaSession(p2pConnection);
+        expect(p2pConnection.senderBitrateCap).toBe(500000);
+    });
+});
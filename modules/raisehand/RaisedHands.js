@@ -0,0 +1,309 @@
+import { getLogger } from 'jitsi-meet-logger';
+
+import * as JitsiConferenceEvents from '../../JitsiConferenceEvents';
+
+const logger = getLogger(__filename);
+
+/**
+ * The name of the participant property which holds the time at which the hand
+ * was raised. An empty value means the hand is down.
+ * @type {string}
+ */
+export const RAISED_HAND_PROPERTY = 'raisedHand';
+
+/**
+ * The 'type' of a message with which a moderator asks a participant to lower
+ * their hand.
+ * @type {string}
+ */
+export const LOWER_HAND_REQUEST = 'lower-hand-request';
+
+/**
+ * Keeps track of the raised hands in the conference. The state of the hand is
+ * advertised in presence, as a participant property holding the time the hand
+ * was raised, so participants joining later see it too. The clocks of the
+ * participants can't be compared though, the queue is ordered by when the
+ * raised hands were learnt of locally instead.
+ */
+export default class RaisedHands {
+    /**
+     * Initializes a new RaisedHands instance.
+     *
+     * @param {JitsiConference} conference - The conference.
+     * @param {Function} sendMessage - The function to use to send a message,
+     * receives the message object and the id of the recipient.
+     */
+    constructor(conference, sendMessage) {
+        this.conference = conference;
+        this.eventEmitter = conference.eventEmitter;
+        this.sendMessage = sendMessage;
+
+        /**
+         * The position of the raised hands in the queue, by participant id.
+         * @type {Map<string, number>}
+         */
+        this._queuePositions = new Map();
+        this._nextQueuePosition = 0;
+
+        this._onPropertyChanged = (participant, name, oldValue, newValue) => {
+            if (name === RAISED_HAND_PROPERTY) {
+                this._onRaisedHandChanged(participant, {
+                    newValue,
+                    oldValue
+                });
+            }
+        };
+        conference.on(
+            JitsiConferenceEvents.PARTICIPANT_PROPERTY_CHANGED,
+            this._onPropertyChanged);
+
+        this._onMessageReceived = this._onMessageReceived.bind(this);
+        conference.on(
+            JitsiConferenceEvents.ENDPOINT_MESSAGE_RECEIVED,
+            this._onMessageReceived);
+
+        this._onUserLeft = this._onUserLeft.bind(this);
+        conference.on(
+            JitsiConferenceEvents.USER_LEFT,
+            this._onUserLeft);
+    }
+
+    /**
+     * Raises the hand of the local participant.
+     *
+     * @returns {void}
+     */
+    raiseHand() {
+        if (this.getLocalTimestamp()) {
+            return;
+        }
+
+        const timestamp = Date.now();
+
+        this.conference.setLocalParticipantProperty(RAISED_HAND_PROPERTY, String(timestamp));
+        this._enqueue(this.conference.myUserId());
+        this.eventEmitter.emit(
+            JitsiConferenceEvents.PARTICIPANT_HAND_RAISED,
+            this.conference.myUserId(),
+            timestamp);
+    }
+
+    /**
+     * Lowers the hand of the local participant.
+     *
+     * @param {JitsiParticipant} [actor] - The moderator who asked for the hand
+     * to be lowered, if any.
+     * @returns {void}
+     */
+    lowerHand(actor) {
+        if (!this.getLocalTimestamp()) {
+            return;
+        }
+
+        // Removing the property from presence would not notify the others, an
+        // empty value does.
+        this.conference.setLocalParticipantProperty(RAISED_HAND_PROPERTY, '');
+        this._queuePositions.delete(this.conference.myUserId());
+        this.eventEmitter.emit(
+            JitsiConferenceEvents.PARTICIPANT_HAND_LOWERED,
+            this.conference.myUserId(),
+            actor);
+    }
+
+    /**
+     * Asks a remote participant to lower their hand. Only moderators can do
+     * that.
+     *
+     * @param {string} id - The id of the participant.
+     * @returns {void}
+     */
+    lowerRemoteHand(id) {
+        if (!this.conference.isModerator()) {
+            logger.warn(`Cannot lower the hand of ${id}, not a moderator.`);
+
+            return;
+        }
+
+        const participant = this.conference.getParticipantById(id);
+
+        if (!participant || !participant.isHandRaised()) {
+            return;
+        }
+
+        this.sendMessage({ type: LOWER_HAND_REQUEST }, id);
+    }
+
+    /**
+     * Lowers all the raised hands, including the one of the local participant.
+     * Only moderators can do that.
+     *
+     * @returns {Array<string>} The ids of the remote participants who were
+     * asked to lower their hand.
+     */
+    lowerAllHands() {
+        if (!this.conference.isModerator()) {
+            logger.warn('Cannot lower all the hands, not a moderator.');
+
+            return [];
+        }
+
+        this.lowerHand();
+
+        return this.conference.getParticipants()
+            .filter(p => p.isHandRaised())
+            .map(p => {
+                const id = p.getId();
+
+                this.sendMessage({ type: LOWER_HAND_REQUEST }, id);
+
+                return id;
+            });
+    }
+
+    /**
+     * Returns the time at which the local participant raised their hand.
+     *
+     * @returns {number|undefined}
+     */
+    getLocalTimestamp() {
+        return parseTimestamp(this.conference.getLocalParticipantProperty(RAISED_HAND_PROPERTY));
+    }
+
+    /**
+     * Returns the participants with their hand raised, in the order in which
+     * they raised it, as seen by the local participant.
+     *
+     * @returns {Array<{participantId: string, timestamp: number}>}
+     */
+    getQueue() {
+        const queue = this.conference.getParticipants()
+            .filter(p => p.isHandRaised())
+            .map(p => {
+                return {
+                    participantId: p.getId(),
+                    timestamp: p.getRaisedHandTimestamp()
+                };
+            });
+        const localTimestamp = this.getLocalTimestamp();
+
+        if (localTimestamp) {
+            queue.push({
+                participantId: this.conference.myUserId(),
+                timestamp: localTimestamp
+            });
+        }
+
+        return queue.sort((a, b) => this._getQueuePosition(a.participantId) - this._getQueuePosition(b.participantId));
+    }
+
+    /**
+     * Stops listening for conference events.
+     *
+     * @returns {void}
+     */
+    dispose() {
+        this.conference.off(
+            JitsiConferenceEvents.PARTICIPANT_PROPERTY_CHANGED,
+            this._onPropertyChanged);
+        this.conference.off(
+            JitsiConferenceEvents.ENDPOINT_MESSAGE_RECEIVED,
+            this._onMessageReceived);
+        this.conference.off(
+            JitsiConferenceEvents.USER_LEFT,
+            this._onUserLeft);
+        this._queuePositions.clear();
+    }
+
+    /**
+     * Puts a participant at the end of the queue, unless they're already in it.
+     *
+     * @param {string} id - The id of the participant.
+     * @private
+     * @returns {void}
+     */
+    _enqueue(id) {
+        if (!this._queuePositions.has(id)) {
+            this._queuePositions.set(id, this._nextQueuePosition++);
+        }
+    }
+
+    /**
+     * Returns the position of a raised hand in the queue.
+     *
+     * @param {string} id - The id of the participant.
+     * @private
+     * @returns {number}
+     */
+    _getQueuePosition(id) {
+        return this._queuePositions.has(id) ? this._queuePositions.get(id) : Infinity;
+    }
+
+    /**
+     * Updates the queue and fires the raised hand events when the raised hand
+     * property of a remote participant changes.
+     *
+     * @param {JitsiParticipant} participant - The participant.
+     * @param {Object} values - The values of the property.
+     * @param {string} values.oldValue - The previous value.
+     * @param {string} values.newValue - The new value.
+     * @private
+     * @returns {void}
+     */
+    _onRaisedHandChanged(participant, { oldValue, newValue }) {
+        const id = participant.getId();
+        const timestamp = parseTimestamp(newValue);
+
+        if (timestamp) {
+            this._enqueue(id);
+            this.eventEmitter.emit(JitsiConferenceEvents.PARTICIPANT_HAND_RAISED, id, timestamp);
+        } else if (parseTimestamp(oldValue)) {
+            this._queuePositions.delete(id);
+            this.eventEmitter.emit(JitsiConferenceEvents.PARTICIPANT_HAND_LOWERED, id);
+        }
+    }
+
+    /**
+     * Handles a message that was received.
+     *
+     * @param {JitsiParticipant} participant - The message sender.
+     * @param {Object} payload - The payload of the message.
+     * @private
+     * @returns {void}
+     */
+    _onMessageReceived(participant, payload) {
+        if (payload.type !== LOWER_HAND_REQUEST) {
+            return;
+        }
+
+        if (!participant.isModerator()) {
+            logger.warn(`Ignoring request to lower the hand from non moderator ${participant.getId()}`);
+
+            return;
+        }
+
+        this.lowerHand(participant);
+    }
+
+    /**
+     * Removes a participant who left from the queue.
+     *
+     * @param {string} id - The id of the participant.
+     * @private
+     * @returns {void}
+     */
+    _onUserLeft(id) {
+        this._queuePositions.delete(id);
+    }
+}
+
+/**
+ * Parses the value of the raised hand property.
+ *
+ * @param {string|undefined} value - The value of the property.
+ * @returns {number|undefined} The timestamp or undefined if the hand is down.
+ */
+export function parseTimestamp(value) {
+    const timestamp = parseInt(value, 10);
+
+    return isNaN(timestamp) || timestamp <= 0 ? undefined : timestamp;
+}
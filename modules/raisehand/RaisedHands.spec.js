@@ -0,0 +1,190 @@
+import EventEmitter from 'events';
+
+import JitsiConference from '../../JitsiConference';
+import * as JitsiConferenceEvents from '../../JitsiConferenceEvents';
+import JitsiParticipant from '../../JitsiParticipant';
+
+import RaisedHands, { LOWER_HAND_REQUEST, RAISED_HAND_PROPERTY, parseTimestamp } from './RaisedHands';
+
+/**
+ * Mock object to be used in place of a real conference.
+ *
+ * @constructor
+ */
+function MockConference() {
+    this.eventEmitter = new EventEmitter();
+    this.participants = {};
+    this.localProperties = {};
+}
+MockConference.prototype = Object.create(JitsiConference.prototype);
+MockConference.prototype.constructor = JitsiConference;
+
+/**
+ * Mock object to be used in place of a real JitsiParticipant.
+ *
+ * @constructor
+ * @param {JitsiConference} conference - The conference of the mock user.
+ * @param {string} id - An id for the mock user.
+ * @param {string} role - The role of the mock user.
+ */
+function MockJitsiParticipant(conference, id, role = 'none') {
+    this._conference = conference;
+    this._id = id;
+    this._role = role;
+    this._properties = {};
+}
+MockJitsiParticipant.prototype = Object.create(JitsiParticipant.prototype);
+MockJitsiParticipant.prototype.constructor = JitsiParticipant;
+
+describe('RaisedHands', () => {
+    let conference, raisedHands, sendMessage;
+
+    /**
+     * Adds a remote participant to the conference.
+     *
+     * @param {string} id - The id of the participant.
+     * @param {string} [role] - The role of the participant.
+     * @returns {JitsiParticipant}
+     */
+    function join(id, role) {
+        const participant = new MockJitsiParticipant(conference, id, role);
+
+        conference.participants[id] = participant;
+
+        return participant;
+    }
+
+    beforeEach(() => {
+        conference = new MockConference();
+        spyOn(conference, 'myUserId').and.returnValue('local');
+        spyOn(conference, 'isModerator').and.returnValue(false);
+        spyOn(conference, 'getLocalParticipantProperty').and.callFake(name => conference.localProperties[name]);
+        spyOn(conference, 'setLocalParticipantProperty').and.callFake((name, value) => {
+            conference.localProperties[name] = value;
+        });
+        sendMessage = jasmine.createSpy('sendMessage');
+        raisedHands = new RaisedHands(conference, sendMessage);
+    });
+
+    it('raises and lowers the local hand', () => {
+        const raised = jasmine.createSpy('raised');
+        const lowered = jasmine.createSpy('lowered');
+
+        conference.on(JitsiConferenceEvents.PARTICIPANT_HAND_RAISED, raised);
+        conference.on(JitsiConferenceEvents.PARTICIPANT_HAND_LOWERED, lowered);
+
+        raisedHands.raiseHand();
+        raisedHands.raiseHand();
+
+        const timestamp = raisedHands.getLocalTimestamp();
+
+        expect(raised).toHaveBeenCalledOnceWith('local', timestamp);
+        expect(conference.localProperties[RAISED_HAND_PROPERTY]).toBe(String(timestamp));
+
+        raisedHands.lowerHand();
+
+        expect(lowered).toHaveBeenCalledOnceWith('local', undefined);
+        expect(conference.localProperties[RAISED_HAND_PROPERTY]).toBe('');
+        expect(raisedHands.getLocalTimestamp()).toBeUndefined();
+    });
+
+    it('fires the events when a remote participant raises or lowers their hand', () => {
+        const raised = jasmine.createSpy('raised');
+        const lowered = jasmine.createSpy('lowered');
+        const remote = join('remote');
+
+        conference.on(JitsiConferenceEvents.PARTICIPANT_HAND_RAISED, raised);
+        conference.on(JitsiConferenceEvents.PARTICIPANT_HAND_LOWERED, lowered);
+
+        remote.setProperty(RAISED_HAND_PROPERTY, '1000');
+        remote.setProperty('region', 'eu');
+        remote.setProperty(RAISED_HAND_PROPERTY, '');
+
+        expect(raised).toHaveBeenCalledOnceWith('remote', 1000);
+        expect(lowered).toHaveBeenCalledOnceWith('remote');
+    });
+
+    it('queues the hands in the order in which they were raised, regardless of the clocks of the senders', () => {
+        const early = join('early');
+        const late = join('late');
+
+        // The clock of the participant who raised their hand last is behind.
+        early.setProperty(RAISED_HAND_PROPERTY, '5000');
+        raisedHands.raiseHand();
+        late.setProperty(RAISED_HAND_PROPERTY, '1000');
+
+        expect(raisedHands.getQueue().map(hand => hand.participantId)).toEqual([ 'early', 'local', 'late' ]);
+        expect(raisedHands.getQueue()[2].timestamp).toBe(1000);
+    });
+
+    it('moves a hand raised again to the end of the queue', () => {
+        const first = join('first');
+        const second = join('second');
+
+        first.setProperty(RAISED_HAND_PROPERTY, '1000');
+        second.setProperty(RAISED_HAND_PROPERTY, '2000');
+        first.setProperty(RAISED_HAND_PROPERTY, '');
+        first.setProperty(RAISED_HAND_PROPERTY, '3000');
+
+        expect(raisedHands.getQueue().map(hand => hand.participantId)).toEqual([ 'second', 'first' ]);
+    });
+
+    it('removes the participants who left from the queue', () => {
+        join('remote').setProperty(RAISED_HAND_PROPERTY, '1000');
+        delete conference.participants.remote;
+        conference.eventEmitter.emit(JitsiConferenceEvents.USER_LEFT, 'remote');
+
+        expect(raisedHands.getQueue()).toEqual([]);
+        expect(raisedHands._queuePositions.size).toBe(0);
+    });
+
+    it('asks a remote participant to lower their hand only when moderator', () => {
+        join('remote').setProperty(RAISED_HAND_PROPERTY, '1000');
+        join('other');
+
+        raisedHands.lowerRemoteHand('remote');
+        expect(sendMessage).not.toHaveBeenCalled();
+
+        conference.isModerator.and.returnValue(true);
+        raisedHands.lowerRemoteHand('other');
+        raisedHands.lowerRemoteHand('remote');
+
+        expect(sendMessage).toHaveBeenCalledOnceWith({ type: LOWER_HAND_REQUEST }, 'remote');
+    });
+
+    it('lowers the local hand when a moderator asks to', () => {
+        const moderator = join('moderator', 'moderator');
+        const other = join('other');
+        const lowered = jasmine.createSpy('lowered');
+
+        conference.on(JitsiConferenceEvents.PARTICIPANT_HAND_LOWERED, lowered);
+        raisedHands.raiseHand();
+
+        conference.eventEmitter.emit(JitsiConferenceEvents.ENDPOINT_MESSAGE_RECEIVED, other,
+            { type: LOWER_HAND_REQUEST });
+        expect(raisedHands.getLocalTimestamp()).toBeDefined();
+
+        conference.eventEmitter.emit(JitsiConferenceEvents.ENDPOINT_MESSAGE_RECEIVED, moderator,
+            { type: LOWER_HAND_REQUEST });
+        expect(raisedHands.getLocalTimestamp()).toBeUndefined();
+        expect(lowered).toHaveBeenCalledOnceWith('local', moderator);
+    });
+
+    it('stops listening for conference events once disposed', () => {
+        const remote = join('remote');
+        const raised = jasmine.createSpy('raised');
+
+        conference.on(JitsiConferenceEvents.PARTICIPANT_HAND_RAISED, raised);
+        raisedHands.dispose();
+        remote.setProperty(RAISED_HAND_PROPERTY, '1000');
+
+        expect(raised).not.toHaveBeenCalled();
+    });
+
+    it('parses the value of the property', () => {
+        expect(parseTimestamp('1000')).toBe(1000);
+        expect(parseTimestamp('')).toBeUndefined();
+        expect(parseTimestamp('0')).toBeUndefined();
+        expect(parseTimestamp(undefined)).toBeUndefined();
+    });
+});
@@ -0,0 +1,184 @@
+import { getLogger } from 'jitsi-meet-logger';
+
+import * as JitsiConferenceEvents from '../../JitsiConferenceEvents';
+
+const logger = getLogger(__filename);
+
+/**
+ * The 'type' of a message which carries a reaction.
+ * @type {string}
+ */
+export const REACTION_MESSAGE = 'reaction';
+
+/**
+ * The default maximum number of reactions a participant can send per interval.
+ * @type {number}
+ */
+const DEFAULT_MAX_REACTIONS = 10;
+
+/**
+ * The default length of the rate limiting interval, in ms.
+ * @type {number}
+ */
+const DEFAULT_INTERVAL = 5000;
+
+/**
+ * Sliding window rate limiter.
+ */
+class RateLimiter {
+    /**
+     * Creates a RateLimiter.
+     *
+     * @param {number} max - How many events are allowed per interval.
+     * @param {number} interval - The length of the interval, in ms.
+     */
+    constructor(max, interval) {
+        this.max = max;
+        this.interval = interval;
+        this.timestamps = [];
+    }
+
+    /**
+     * Records an event if it is within the limit.
+     *
+     * @param {number} now - The current time, in ms.
+     * @returns {boolean} Whether the event is allowed.
+     */
+    tryAcquire(now) {
+        this.timestamps = this.timestamps.filter(t => now - t < this.interval);
+
+        if (this.timestamps.length >= this.max) {
+            return false;
+        }
+
+        this.timestamps.push(now);
+
+        return true;
+    }
+}
+
+/**
+ * Implements a rate limited channel for reactions (e.g. emojis) over the JSON
+ * messages sent through the MUC. The limit applies both to the reactions sent by
+ * the local participant and to those received from each remote participant.
+ */
+export default class Reactions {
+    /**
+     * Initializes a new Reactions instance.
+     *
+     * @param {JitsiConference} conference - The conference.
+     * @param {Function} sendMessage - The function to use to broadcast a
+     * message.
+     * @param {Object} [options] - The rate limiting options.
+     * @param {number} [options.max] - How many reactions can be sent per
+     * interval.
+     * @param {number} [options.interval] - The length of the interval, in ms.
+     */
+    constructor(conference, sendMessage, options = {}) {
+        this.conference = conference;
+        this.eventEmitter = conference.eventEmitter;
+        this.sendMessage = sendMessage;
+
+        this.max = typeof options.max === 'number' ? options.max : DEFAULT_MAX_REACTIONS;
+        this.interval = typeof options.interval === 'number' ? options.interval : DEFAULT_INTERVAL;
+
+        this._localLimiter = new RateLimiter(this.max, this.interval);
+
+        // Maps a participant ID to its RateLimiter.
+        this._remoteLimiters = {};
+
+        this._onMessageReceived = this._onMessageReceived.bind(this);
+        conference.on(
+            JitsiConferenceEvents.ENDPOINT_MESSAGE_RECEIVED,
+            this._onMessageReceived);
+
+        this._onUserLeft = this._onUserLeft.bind(this);
+        conference.on(
+            JitsiConferenceEvents.USER_LEFT,
+            this._onUserLeft);
+    }
+
+    /**
+     * Sends a reaction to everyone in the conference.
+     *
+     * @param {string} reaction - The reaction, e.g. an emoji or a name the
+     * application understands.
+     * @returns {boolean} Whether the reaction was sent, <tt>false</tt> if the
+     * rate limit was exceeded.
+     */
+    sendReaction(reaction) {
+        if (typeof reaction !== 'string' || !reaction) {
+            logger.error('Cannot send an empty reaction.');
+
+            return false;
+        }
+
+        if (!this._localLimiter.tryAcquire(Date.now())) {
+            logger.warn('Reaction not sent, rate limit exceeded.');
+
+            return false;
+        }
+
+        this.sendMessage({
+            type: REACTION_MESSAGE,
+            reaction
+        });
+
+        return true;
+    }
+
+    /**
+     * Stops listening for conference events.
+     *
+     * @returns {void}
+     */
+    dispose() {
+        this.conference.off(
+            JitsiConferenceEvents.ENDPOINT_MESSAGE_RECEIVED,
+            this._onMessageReceived);
+        this.conference.off(
+            JitsiConferenceEvents.USER_LEFT,
+            this._onUserLeft);
+        this._remoteLimiters = {};
+    }
+
+    /**
+     * Handles a message that was received.
+     *
+     * @param {JitsiParticipant} participant - The message sender.
+     * @param {Object} payload - The payload of the message.
+     * @private
+     * @returns {void}
+     */
+    _onMessageReceived(participant, payload) {
+        if (payload.type !== REACTION_MESSAGE || typeof payload.reaction !== 'string') {
+            return;
+        }
+
+        const id = participant.getId();
+        let limiter = this._remoteLimiters[id];
+
+        if (!limiter) {
+            limiter = this._remoteLimiters[id] = new RateLimiter(this.max, this.interval);
+        }
+
+        if (!limiter.tryAcquire(Date.now())) {
+            logger.debug(`Dropping reaction from ${id}, rate limit exceeded.`);
+
+            return;
+        }
+
+        this.eventEmitter.emit(JitsiConferenceEvents.REACTION_RECEIVED, participant, payload.reaction);
+    }
+
+    /**
+     * Forgets the rate limiting state of a participant who left.
+     *
+     * @param {string} id - The ID of the participant.
+     * @private
+     * @returns {void}
+     */
+    _onUserLeft(id) {
+        delete this._remoteLimiters[id];
+    }
+}
@@ -0,0 +1,148 @@
+import EventEmitter from 'events';
+
+import JitsiConference from '../../JitsiConference';
+import * as JitsiConferenceEvents from '../../JitsiConferenceEvents';
+import JitsiParticipant from '../../JitsiParticipant';
+
+import Reactions, { REACTION_MESSAGE } from './Reactions';
+
+/**
+ * Mock object to be used in place of a real conference.
+ *
+ * @constructor
+ */
+function MockConference() {
+    this.eventEmitter = new EventEmitter();
+    this.participants = {};
+}
+MockConference.prototype = Object.create(JitsiConference.prototype);
+MockConference.prototype.constructor = JitsiConference;
+
+/**
+ * Mock object to be used in place of a real JitsiParticipant.
+ *
+ * @constructor
+ * @param {string} id - An id for the mock user.
+ */
+function MockJitsiParticipant(id) {
+    this._id = id;
+}
+MockJitsiParticipant.prototype = Object.create(JitsiParticipant.prototype);
+MockJitsiParticipant.prototype.constructor = JitsiParticipant;
+
+describe('Reactions', () => {
+    let conference, reactionReceived, reactions, sendMessage;
+
+    /**
+     * Simulates a message received from a remote participant.
+     *
+     * @param {JitsiParticipant} participant - The sender.
+     * @param {Object} payload - The message.
+     * @returns {void}
+     */
+    function receive(participant, payload) {
+        conference.eventEmitter.emit(JitsiConferenceEvents.ENDPOINT_MESSAGE_RECEIVED, participant, payload);
+    }
+
+    beforeEach(() => {
+        jasmine.clock().install();
+        jasmine.clock().mockDate(new Date(0));
+        conference = new MockConference();
+        sendMessage = jasmine.createSpy('sendMessage');
+        reactions = new Reactions(conference, sendMessage, {
+            interval: 1000,
+            max: 2
+        });
+        reactionReceived = jasmine.createSpy('reactionReceived');
+        conference.on(JitsiConferenceEvents.REACTION_RECEIVED, reactionReceived);
+    });
+
+    afterEach(() => {
+        jasmine.clock().uninstall();
+    });
+
+    it('sends a reaction to everyone', () => {
+        expect(reactions.sendReaction('👍')).toBe(true);
+        expect(sendMessage).toHaveBeenCalledOnceWith({
+            type: REACTION_MESSAGE,
+            reaction: '👍'
+        });
+    });
+
+    it('doesn\'t send an empty reaction', () => {
+        expect(reactions.sendReaction('')).toBe(false);
+        expect(reactions.sendReaction(undefined)).toBe(false);
+        expect(sendMessage).not.toHaveBeenCalled();
+    });
+
+    it('limits the rate of the reactions sent', () => {
+        expect(reactions.sendReaction('👍')).toBe(true);
+        expect(reactions.sendReaction('👍')).toBe(true);
+        expect(reactions.sendReaction('👍')).toBe(false);
+
+        jasmine.clock().tick(1000);
+
+        expect(reactions.sendReaction('👍')).toBe(true);
+        expect(sendMessage).toHaveBeenCalledTimes(3);
+    });
+
+    it('fires the reactions received', () => {
+        const remote = new MockJitsiParticipant('remote');
+
+        receive(remote, {
+            type: REACTION_MESSAGE,
+            reaction: '👏'
+        });
+        receive(remote, { type: 'other' });
+        receive(remote, {
+            type: REACTION_MESSAGE,
+            reaction: 42
+        });
+
+        expect(reactionReceived).toHaveBeenCalledOnceWith(remote, '👏');
+    });
+
+    it('limits the rate of the reactions received per participant', () => {
+        const flooder = new MockJitsiParticipant('flooder');
+        const other = new MockJitsiParticipant('other');
+        const reaction = {
+            type: REACTION_MESSAGE,
+            reaction: '🎉'
+        };
+
+        receive(flooder, reaction);
+        receive(flooder, reaction);
+        receive(flooder, reaction);
+        receive(other, reaction);
+
+        expect(reactionReceived.calls.allArgs().map(([ participant ]) => participant.getId()))
+            .toEqual([ 'flooder', 'flooder', 'other' ]);
+
+        jasmine.clock().tick(1000);
+        receive(flooder, reaction);
+
+        expect(reactionReceived).toHaveBeenCalledTimes(4);
+    });
+
+    it('forgets the rate limit of a participant who left', () => {
+        const remote = new MockJitsiParticipant('remote');
+
+        receive(remote, {
+            type: REACTION_MESSAGE,
+            reaction: '🎉'
+        });
+        conference.eventEmitter.emit(JitsiConferenceEvents.USER_LEFT, 'remote');
+
+        expect(reactions._remoteLimiters.remote).toBeUndefined();
+    });
+
+    it('stops listening for conference events once disposed', () => {
+        reactions.dispose();
+        receive(new MockJitsiParticipant('remote'), {
+            type: REACTION_MESSAGE,
+            reaction: '🎉'
+        });
+
+        expect(reactionReceived).not.toHaveBeenCalled();
+    });
+});
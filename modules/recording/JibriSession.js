@@ -143,7 +143,7 @@ export default class JibriSession {
      * can be viewed.
      * @param {string} options.focusMucJid - The JID of the focus participant
      * that controls recording.
-     * @param {streamId} options.streamId - Necessary for live streaming, this
+     * @param {string} options.streamId - Necessary for live streaming, this
      * is the stream key needed to start a live streaming session with the
      * streaming service provider.
      * @returns Promise
@@ -201,8 +201,8 @@ export default class JibriSession {
     /**
      * Generates the message to change the status of the recording session.
      *
-     * @param {string} status - The new status to which the recording session
-     * should transition.
+     * @param {Object} options - The details of the IQ.
+     * @param {string} options.action - The action of the IQ, 'start' or 'stop'.
      * @param {string} [options.appData] - Data specific to the app/service that
      * the result file will be uploaded.
      * @param {string} [options.broadcastId] - The broadcast ID of an
@@ -210,7 +210,7 @@ export default class JibriSession {
      * can be viewed.
      * @param {string} options.focusMucJid - The JID of the focus participant
      * that controls recording.
-     * @param {streamId} options.streamId - Necessary for live streaming, this
+     * @param {string} options.streamId - Necessary for live streaming, this
      * is the stream key needed to start a live streaming session with the
      * streaming service provider.
      * @returns Object - The XMPP IQ message.
@@ -0,0 +1,409 @@
+/* global Blob, MediaRecorder, MediaStream */
+
+import { getLogger } from 'jitsi-meet-logger';
+
+import * as JitsiConferenceEvents from '../../JitsiConferenceEvents';
+import AudioMixer from '../webaudio/AudioMixer';
+
+import VideoCompositor from './VideoCompositor';
+import recordingConstants from './recordingConstants';
+
+const logger = getLogger(__filename);
+
+/**
+ * The container formats to try, in order of preference, when recording video.
+ * @type {Array<string>}
+ */
+const VIDEO_MIME_TYPES = [
+    'video/webm;codecs=vp9,opus',
+    'video/webm;codecs=vp8,opus',
+    'video/webm'
+];
+
+/**
+ * The container format used when there is no video to record.
+ * @type {string}
+ */
+const AUDIO_MIME_TYPE = 'audio/webm';
+
+/**
+ * How often, in ms, the MediaRecorder hands over the recorded data. This is what the size limit is checked
+ * against.
+ * @type {number}
+ */
+const DEFAULT_TIMESLICE = 1000;
+
+/**
+ * Records the conference locally, in the browser, without Jibri. The audio of the remote participants, and
+ * optionally of the local participant, is mixed with an {@link AudioMixer}. The video is either a track chosen by
+ * the application or a grid of all the video tracks in the conference. The result is a WebM file.
+ */
+export default class LocalRecorder {
+    /**
+     * Creates a LocalRecorder.
+     *
+     * @param {JitsiConference} conference - The conference to record.
+     */
+    constructor(conference) {
+        this.conference = conference;
+        this.eventEmitter = conference.eventEmitter;
+
+        this._status = recordingConstants.localStatus.OFF;
+        this._chunks = [];
+        this._size = 0;
+        this._options = {};
+        this._mediaRecorder = undefined;
+        this._audioMixer = undefined;
+        this._compositor = undefined;
+        this._stopPromise = undefined;
+
+        /**
+         * The audio tracks added to the mixer, mapped to the stream they were added with.
+         * @type {Map<JitsiTrack, MediaStream>}
+         */
+        this._mixedTracks = new Map();
+
+        this._onTrackAdded = this._onTrackAdded.bind(this);
+        this._onTrackRemoved = this._onTrackRemoved.bind(this);
+    }
+
+    /**
+     * Checks whether local recording is supported by the browser.
+     *
+     * @returns {boolean}
+     */
+    static isSupported() {
+        return typeof MediaRecorder !== 'undefined';
+    }
+
+    /**
+     * Starts recording.
+     *
+     * @param {Object} [options] - The options.
+     * @param {JitsiTrack} [options.videoTrack] - The video track to record. When not set, all the video tracks in
+     * the conference are composited in a grid.
+     * @param {boolean} [options.audioOnly] - Whether to record audio only.
+     * @param {boolean} [options.includeLocalAudio] - Whether to mix the local audio in, defaults to true.
+     * @param {number} [options.maxSize] - The maximum size of the recording, in bytes. The recording stops when it is
+     * reached.
+     * @param {number} [options.timeslice] - How often, in ms, the recorded data is collected.
+     * @param {number} [options.videoBitsPerSecond] - The bitrate of the recorded video.
+     * @param {number} [options.width] - The width of the composited video, in pixels.
+     * @param {number} [options.height] - The height of the composited video, in pixels.
+     * @param {number} [options.frameRate] - The frame rate of the composited video.
+     * @returns {void}
+     */
+    start(options = {}) {
+        if (!LocalRecorder.isSupported()) {
+            throw new Error('Local recording is not supported by the browser');
+        }
+
+        if (this._status !== recordingConstants.localStatus.OFF) {
+            throw new Error('Local recording is already in progress');
+        }
+
+        this._options = {
+            includeLocalAudio: true,
+            timeslice: DEFAULT_TIMESLICE,
+            ...options
+        };
+        this._chunks = [];
+        this._size = 0;
+
+        const stream = new MediaStream([ this._startAudio() ]);
+        const videoTrack = this._options.audioOnly ? undefined : this._startVideo();
+
+        videoTrack && stream.addTrack(videoTrack);
+
+        const mimeType = videoTrack
+            ? VIDEO_MIME_TYPES.find(type => MediaRecorder.isTypeSupported(type))
+            : AUDIO_MIME_TYPE;
+
+        try {
+            this._mediaRecorder = new MediaRecorder(stream, {
+                mimeType,
+                videoBitsPerSecond: this._options.videoBitsPerSecond
+            });
+        } catch (error) {
+            this._cleanup();
+            throw error;
+        }
+
+        this._mediaRecorder.ondataavailable = event => this._onDataAvailable(event);
+        this._mediaRecorder.onerror = event => {
+            logger.error('Local recording failed', event.error);
+            this.stop(recordingConstants.localStopReason.ERROR);
+        };
+
+        this.conference.on(JitsiConferenceEvents.TRACK_ADDED, this._onTrackAdded);
+        this.conference.on(JitsiConferenceEvents.TRACK_REMOVED, this._onTrackRemoved);
+
+        this._mediaRecorder.start(this._options.timeslice);
+        logger.info(`Local recording started, mimeType: ${mimeType}`);
+        this._setStatus(recordingConstants.localStatus.ON);
+    }
+
+    /**
+     * Pauses the recording.
+     *
+     * @returns {void}
+     */
+    pause() {
+        if (this._status !== recordingConstants.localStatus.ON) {
+            return;
+        }
+
+        this._mediaRecorder.pause();
+        this._setStatus(recordingConstants.localStatus.PAUSED);
+    }
+
+    /**
+     * Resumes a paused recording.
+     *
+     * @returns {void}
+     */
+    resume() {
+        if (this._status !== recordingConstants.localStatus.PAUSED) {
+            return;
+        }
+
+        this._mediaRecorder.resume();
+        this._setStatus(recordingConstants.localStatus.ON);
+    }
+
+    /**
+     * Stops the recording.
+     *
+     * @param {string} [reason] - Why the recording is stopped, one of
+     * {@link recordingConstants.localStopReason}, unset when requested by the application.
+     * @returns {Promise<Blob>} Resolved with the recording once all the data has been collected.
+     */
+    stop(reason) {
+        if (this._stopPromise) {
+            return this._stopPromise;
+        }
+
+        if (this._status === recordingConstants.localStatus.OFF) {
+            return Promise.resolve(this.getBlob());
+        }
+
+        this._stopPromise = new Promise(resolve => {
+            this._mediaRecorder.onstop = () => {
+                const blob = this.getBlob();
+
+                logger.info(`Local recording stopped, size: ${this._size}`);
+                this._cleanup();
+                this._setStatus(recordingConstants.localStatus.OFF, reason);
+                resolve(blob);
+            };
+            this._mediaRecorder.stop();
+        });
+
+        return this._stopPromise;
+    }
+
+    /**
+     * Returns the data recorded so far.
+     *
+     * @returns {Blob|undefined}
+     */
+    getBlob() {
+        if (!this._chunks.length) {
+            return undefined;
+        }
+
+        return new Blob(this._chunks, { type: this._chunks[0].type });
+    }
+
+    /**
+     * Returns the size of the data recorded so far, in bytes.
+     *
+     * @returns {number}
+     */
+    getSize() {
+        return this._size;
+    }
+
+    /**
+     * Returns the status of the recording, one of {@link recordingConstants.localStatus}.
+     *
+     * @returns {string}
+     */
+    getStatus() {
+        return this._status;
+    }
+
+    /**
+     * Mixes the audio tracks to be recorded. The mixer is started even if there is no audio yet: MediaRecorder
+     * doesn't support adding tracks once started, the audio of the participants is mixed in as their tracks are
+     * added.
+     *
+     * @private
+     * @returns {MediaStreamTrack} The mixed audio track.
+     */
+    _startAudio() {
+        this._audioMixer = new AudioMixer();
+
+        const tracks = this._getParticipantsTracks().filter(track => track.isAudioTrack());
+
+        if (this._options.includeLocalAudio) {
+            const localAudio = this.conference.getLocalAudioTrack();
+
+            localAudio && tracks.push(localAudio);
+        }
+
+        tracks.forEach(track => this._addAudioTrack(track));
+
+        return this._audioMixer.start({ allowEmpty: true }).getAudioTracks()[0];
+    }
+
+    /**
+     * Sets up the video track to be recorded.
+     *
+     * @private
+     * @returns {MediaStreamTrack|undefined}
+     */
+    _startVideo() {
+        const { videoTrack } = this._options;
+
+        if (videoTrack) {
+            return videoTrack.getTrack();
+        }
+
+        this._compositor = new VideoCompositor(this._options);
+
+        this._getParticipantsTracks()
+            .concat(this.conference.getLocalTracks())
+            .filter(track => track.isVideoTrack())
+            .forEach(track => this._compositor.addTrack(track));
+
+        return this._compositor.start();
+    }
+
+    /**
+     * Adds an audio track to the mixer.
+     *
+     * @param {JitsiTrack} track - The audio track.
+     * @private
+     * @returns {void}
+     */
+    _addAudioTrack(track) {
+        if (this._mixedTracks.has(track) || !track.getTrack()) {
+            return;
+        }
+
+        // Mix a stream with only the audio track, the original stream can contain other tracks.
+        const stream = new MediaStream([ track.getTrack() ]);
+
+        this._mixedTracks.set(track, stream);
+        this._audioMixer.addMediaStream(stream);
+    }
+
+    /**
+     * Returns the tracks of the remote participants.
+     *
+     * @private
+     * @returns {Array<JitsiRemoteTrack>}
+     */
+    _getParticipantsTracks() {
+        return this.conference.getParticipants().reduce((tracks, participant) => tracks.concat(participant.getTracks()),
+            []);
+    }
+
+    /**
+     * Collects the recorded data and stops the recording if the size limit is reached.
+     *
+     * @param {BlobEvent} event - The event.
+     * @private
+     * @returns {void}
+     */
+    _onDataAvailable(event) {
+        if (!event.data || !event.data.size) {
+            return;
+        }
+
+        this._chunks.push(event.data);
+        this._size += event.data.size;
+
+        const { maxSize } = this._options;
+
+        if (maxSize && this._size >= maxSize && this._status !== recordingConstants.localStatus.OFF) {
+            logger.warn(`Local recording reached the size limit of ${maxSize} bytes`);
+            this.stop(recordingConstants.localStopReason.SIZE_LIMIT);
+        }
+    }
+
+    /**
+     * Adds the new tracks to the recording.
+     *
+     * @param {JitsiTrack} track - The track which was added to the conference.
+     * @private
+     * @returns {void}
+     */
+    _onTrackAdded(track) {
+        if (track.isAudioTrack()) {
+            if (track.isLocal() && !this._options.includeLocalAudio) {
+                return;
+            }
+            this._addAudioTrack(track);
+        } else if (this._compositor) {
+            this._compositor.addTrack(track);
+        }
+    }
+
+    /**
+     * Removes the tracks which left the conference from the recording.
+     *
+     * @param {JitsiTrack} track - The track which was removed from the conference.
+     * @private
+     * @returns {void}
+     */
+    _onTrackRemoved(track) {
+        const stream = this._mixedTracks.get(track);
+
+        if (stream) {
+            this._audioMixer.removeMediaStream(stream);
+            this._mixedTracks.delete(track);
+        }
+
+        this._compositor && this._compositor.removeTrack(track);
+    }
+
+    /**
+     * Releases everything which was set up for the recording. The recorded data is kept.
+     *
+     * @private
+     * @returns {void}
+     */
+    _cleanup() {
+        this.conference.off(JitsiConferenceEvents.TRACK_ADDED, this._onTrackAdded);
+        this.conference.off(JitsiConferenceEvents.TRACK_REMOVED, this._onTrackRemoved);
+
+        if (this._audioMixer) {
+            this._audioMixer.reset();
+            this._audioMixer = undefined;
+        }
+
+        if (this._compositor) {
+            this._compositor.stop();
+            this._compositor = undefined;
+        }
+
+        this._mixedTracks.clear();
+        this._mediaRecorder = undefined;
+        this._stopPromise = undefined;
+    }
+
+    /**
+     * Updates the status and fires {@link JitsiConferenceEvents.LOCAL_RECORDING_STATUS_CHANGED}.
+     *
+     * @param {string} status - The new status.
+     * @param {string} [reason] - Why the recording stopped.
+     * @private
+     * @returns {void}
+     */
+    _setStatus(status, reason) {
+        this._status = status;
+        this.eventEmitter.emit(JitsiConferenceEvents.LOCAL_RECORDING_STATUS_CHANGED, status, reason);
+    }
+}
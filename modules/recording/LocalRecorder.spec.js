@@ -0,0 +1,273 @@
+import * as JitsiConferenceEvents from '../../JitsiConferenceEvents';
+import Listenable from '../util/Listenable';
+import { MockAudioContext, MockMediaStreamTrack } from '../webaudio/MockClasses';
+
+import LocalRecorder from './LocalRecorder';
+import recordingConstants from './recordingConstants';
+
+const { localStatus, localStopReason } = recordingConstants;
+
+// JSDocs disabled for Mock classes to avoid duplication - check on the original classes for info.
+/* eslint-disable require-jsdoc */
+/**
+ * A mock MediaRecorder, which collects a chunk of data each time it's asked to and stops asynchronously like the
+ * real one.
+ */
+class MockMediaRecorder {
+    static isTypeSupported(type) {
+        return type === 'video/webm;codecs=vp8,opus';
+    }
+
+    constructor(stream, options) {
+        this.stream = stream;
+        this.options = options;
+        this.state = 'inactive';
+        MockMediaRecorder.last = this;
+    }
+
+    start(timeslice) {
+        this.timeslice = timeslice;
+        this.state = 'recording';
+    }
+
+    pause() {
+        this.state = 'paused';
+    }
+
+    resume() {
+        this.state = 'recording';
+    }
+
+    stop() {
+        this.state = 'inactive';
+        setTimeout(() => {
+            this.ondataavailable({ data: new Blob([ 'last' ]) });
+            this.onstop();
+        });
+    }
+
+    collect(data) {
+        this.ondataavailable({ data: new Blob([ data ]) });
+    }
+}
+
+class MockMediaStream {
+    constructor(tracks = []) {
+        this.tracks = [ ...tracks ];
+    }
+
+    addTrack(track) {
+        this.tracks.push(track);
+    }
+
+    getAudioTracks() {
+        return this.tracks.filter(track => track.kind === 'audio');
+    }
+
+    getTracks() {
+        return this.tracks;
+    }
+}
+
+class MockTrack {
+    constructor(type, local = false) {
+        this.type = type;
+        this.local = local;
+        this.track = new MockMediaStreamTrack(type);
+    }
+
+    getTrack() {
+        return this.track;
+    }
+
+    isAudioTrack() {
+        return this.type === 'audio';
+    }
+
+    isVideoTrack() {
+        return this.type === 'video';
+    }
+
+    isLocal() {
+        return this.local;
+    }
+}
+
+class MockConference extends Listenable {
+    constructor() {
+        super();
+        this.localTracks = [];
+        this.participants = [];
+    }
+
+    getParticipants() {
+        return this.participants.map(tracks => {
+            return { getTracks: () => tracks };
+        });
+    }
+
+    getLocalAudioTrack() {
+        return this.localTracks.find(track => track.isAudioTrack());
+    }
+
+    getLocalTracks() {
+        return this.localTracks;
+    }
+}
+
+/* eslint-enable require-jsdoc */
+
+/**
+ * Returns the streams mixed in the recorded audio.
+ *
+ * @returns {Array<MockMediaStream>}
+ */
+function getMixedStreams() {
+    return MockAudioContext.instances[0].sources.map(node => node.mediaStream);
+}
+
+/**
+ * Returns the tracks of the streams mixed in the recorded audio.
+ *
+ * @returns {Array<MockMediaStreamTrack>}
+ */
+function getMixedTracks() {
+    return getMixedStreams().map(stream => stream.getTracks()[0]);
+}
+
+describe('LocalRecorder', () => {
+    let AudioContext, MediaRecorder, MediaStream, conference, recorder, statusChanged;
+
+    beforeEach(() => {
+        ({ AudioContext, MediaRecorder, MediaStream } = window);
+        window.AudioContext = MockAudioContext;
+        window.MediaRecorder = MockMediaRecorder;
+        window.MediaStream = MockMediaStream;
+        MockAudioContext.instances = [];
+        conference = new MockConference();
+        recorder = new LocalRecorder(conference);
+        statusChanged = jasmine.createSpy('statusChanged');
+        conference.on(JitsiConferenceEvents.LOCAL_RECORDING_STATUS_CHANGED, statusChanged);
+    });
+
+    afterEach(() => {
+        window.AudioContext = AudioContext;
+        window.MediaRecorder = MediaRecorder;
+        window.MediaStream = MediaStream;
+    });
+
+    describe('audio', () => {
+        it('mixes the audio of the participants and the local audio', () => {
+            const remoteAudio = new MockTrack('audio');
+            const localAudio = new MockTrack('audio', true);
+
+            conference.participants.push([ remoteAudio, new MockTrack('video') ]);
+            conference.localTracks.push(localAudio);
+            recorder.start({ audioOnly: true });
+
+            expect(getMixedTracks()).toEqual([ remoteAudio.getTrack(), localAudio.getTrack() ]);
+            expect(MockMediaRecorder.last.stream.getTracks())
+                .toEqual([ MockAudioContext.instances[0].destinations[0].stream.getAudioTracks()[0] ]);
+            expect(MockMediaRecorder.last.options.mimeType).toBe('audio/webm');
+        });
+
+        it('leaves the local audio out when asked to', () => {
+            const localAudio = new MockTrack('audio', true);
+
+            conference.localTracks.push(localAudio);
+            recorder.start({
+                audioOnly: true,
+                includeLocalAudio: false
+            });
+            conference.eventEmitter.emit(JitsiConferenceEvents.TRACK_ADDED, localAudio);
+
+            expect(getMixedStreams()).toEqual([]);
+        });
+
+        it('records the audio of the participants who join after the recording started without audio', () => {
+            const remoteAudio = new MockTrack('audio');
+
+            recorder.start({ audioOnly: true });
+
+            expect(MockMediaRecorder.last.stream.getTracks().length).toBe(1);
+
+            conference.eventEmitter.emit(JitsiConferenceEvents.TRACK_ADDED, remoteAudio);
+
+            expect(getMixedTracks()).toEqual([ remoteAudio.getTrack() ]);
+        });
+
+        it('stops mixing the audio of the tracks which were removed', () => {
+            const remoteAudio = new MockTrack('audio');
+
+            conference.participants.push([ remoteAudio ]);
+            recorder.start({ audioOnly: true });
+
+            const [ source ] = MockAudioContext.instances[0].sources;
+
+            conference.eventEmitter.emit(JitsiConferenceEvents.TRACK_REMOVED, remoteAudio);
+
+            expect(source.disconnect).toHaveBeenCalled();
+        });
+    });
+
+    it('records the video track chosen by the application', () => {
+        const videoTrack = new MockTrack('video');
+
+        recorder.start({ videoTrack });
+
+        expect(MockMediaRecorder.last.stream.getTracks()[1]).toBe(videoTrack.getTrack());
+        expect(MockMediaRecorder.last.options.mimeType).toBe('video/webm;codecs=vp8,opus');
+    });
+
+    it('pauses, resumes and stops the recording', async () => {
+        recorder.start({ audioOnly: true });
+
+        expect(() => recorder.start()).toThrowError('Local recording is already in progress');
+
+        recorder.pause();
+        expect(recorder.getStatus()).toBe(localStatus.PAUSED);
+        expect(MockMediaRecorder.last.state).toBe('paused');
+
+        recorder.resume();
+        expect(recorder.getStatus()).toBe(localStatus.ON);
+
+        MockMediaRecorder.last.collect('first');
+
+        const blob = await recorder.stop();
+
+        expect(await blob.text()).toBe('firstlast');
+        expect(recorder.getStatus()).toBe(localStatus.OFF);
+        expect(MockAudioContext.instances[0].close).toHaveBeenCalled();
+        expect(statusChanged.calls.allArgs()).toEqual([
+            [ localStatus.ON, undefined ],
+            [ localStatus.PAUSED, undefined ],
+            [ localStatus.ON, undefined ],
+            [ localStatus.OFF, undefined ]
+        ]);
+    });
+
+    it('stops when the size limit is reached', async () => {
+        recorder.start({
+            audioOnly: true,
+            maxSize: 8
+        });
+
+        MockMediaRecorder.last.collect('1234');
+        expect(recorder.getStatus()).toBe(localStatus.ON);
+
+        MockMediaRecorder.last.collect('5678');
+        await new Promise(resolve => setTimeout(resolve));
+
+        expect(recorder.getStatus()).toBe(localStatus.OFF);
+        expect(recorder.getSize()).toBe(12);
+        expect(statusChanged).toHaveBeenCalledWith(localStatus.OFF, localStopReason.SIZE_LIMIT);
+    });
+
+    it('stops listening to the conference once stopped', async () => {
+        recorder.start({ audioOnly: true });
+        await recorder.stop();
+
+        expect(conference.eventEmitter.listenerCount(JitsiConferenceEvents.TRACK_ADDED)).toBe(0);
+        expect(conference.eventEmitter.listenerCount(JitsiConferenceEvents.TRACK_REMOVED)).toBe(0);
+    });
+});
@@ -0,0 +1,214 @@
+/* global __filename, Blob, MediaRecorder, MediaStream */
+
+import { getLogger } from 'jitsi-meet-logger';
+
+import * as JitsiTrackEvents from '../../JitsiTrackEvents';
+
+const logger = getLogger(__filename);
+
+/**
+ * The container formats to try, in order of preference, when recording an audio track. Chrome supports WebM and
+ * Firefox Ogg.
+ * @type {Array<string>}
+ */
+const AUDIO_MIME_TYPES = [
+    'audio/webm;codecs=opus',
+    'audio/webm',
+    'audio/ogg'
+];
+
+/**
+ * The container formats to try, in order of preference, when recording a video track.
+ * @type {Array<string>}
+ */
+const VIDEO_MIME_TYPES = [
+    'video/webm;codecs=vp9',
+    'video/webm;codecs=vp8',
+    'video/webm',
+    'video/mp4'
+];
+
+/**
+ * @typedef {Object} TrackRecordingResult
+ * @property {Blob|undefined} blob - The recorded data, undefined if nothing was recorded.
+ * @property {string} mimeType - The mime type of the recorded data.
+ * @property {Date} startTime - When the recording started.
+ * @property {Date} endTime - When the recording stopped.
+ * @property {string} participantId - The id of the participant owning the track.
+ */
+
+/**
+ * Records a single {@link JitsiTrack}, local or remote, audio or video, with a MediaRecorder. It takes the same
+ * approach as the {@code AudioRecorder} used for transcription, but it isn't bound to a conference. The recorded
+ * data is kept in memory until the recording stops, and is also handed over as it is collected through the
+ * {@link JitsiTrackEvents.TRACK_RECORDING_DATA} event of the track.
+ *
+ * The recording stops on its own when the underlying MediaStreamTrack ends, e.g. when the remote participant leaves
+ * or when the track is disposed.
+ */
+export default class TrackRecorder {
+    /**
+     * Creates a recorder for a track.
+     *
+     * @param {JitsiTrack} track - The track to record.
+     * @param {Object} [options] - The options.
+     * @param {string} [options.mimeType] - The mime type of the recorded data. When not set, the first type supported
+     * by the browser for the kind of the track is used.
+     * @param {number} [options.timeslice] - How often, in ms, the recorded data is collected. When not set, the data
+     * is collected only once the recording stops.
+     * @param {number} [options.bitsPerSecond] - The bitrate of the recorded data.
+     */
+    constructor(track, options = {}) {
+        this.track = track;
+        this._options = options;
+        this._chunks = [];
+        this._mediaRecorder = undefined;
+        this._mimeType = undefined;
+        this._startTime = undefined;
+        this._stopPromise = undefined;
+        this._resolveStop = undefined;
+    }
+
+    /**
+     * Checks whether track recording is supported by the browser.
+     *
+     * @returns {boolean}
+     */
+    static isSupported() {
+        return typeof MediaRecorder !== 'undefined';
+    }
+
+    /**
+     * Determines the mime type to record a track with.
+     *
+     * @param {JitsiTrack} track - The track.
+     * @returns {string|undefined} The first mime type supported by the browser for the kind of the track, undefined
+     * if there is none.
+     */
+    static getSupportedMimeType(track) {
+        const mimeTypes = track.isVideoTrack() ? VIDEO_MIME_TYPES : AUDIO_MIME_TYPES;
+
+        return mimeTypes.find(type => MediaRecorder.isTypeSupported(type));
+    }
+
+    /**
+     * Returns whether the track is being recorded.
+     *
+     * @returns {boolean}
+     */
+    isRecording() {
+        return Boolean(this._mediaRecorder) && this._mediaRecorder.state !== 'inactive';
+    }
+
+    /**
+     * Starts recording.
+     *
+     * @fires JitsiTrackEvents.TRACK_RECORDING_STARTED
+     * @returns {void}
+     */
+    start() {
+        if (!TrackRecorder.isSupported()) {
+            throw new Error('Track recording is not supported by the browser');
+        }
+
+        if (this.isRecording()) {
+            throw new Error('The track is already being recorded');
+        }
+
+        const mediaStreamTrack = this.track.getTrack();
+
+        if (!mediaStreamTrack || mediaStreamTrack.readyState === 'ended') {
+            throw new Error('Nothing to record');
+        }
+
+        const mimeType = this._options.mimeType || TrackRecorder.getSupportedMimeType(this.track);
+
+        if (!mimeType) {
+            throw new Error(`No supported mime type to record a ${this.track.getType()} track`);
+        }
+
+        // Record a stream with only the track, the original stream can contain other tracks.
+        this._mediaRecorder = new MediaRecorder(new MediaStream([ mediaStreamTrack ]), {
+            bitsPerSecond: this._options.bitsPerSecond,
+            mimeType
+        });
+        this._mimeType = mimeType;
+        this._chunks = [];
+
+        this._mediaRecorder.ondataavailable = event => this._onDataAvailable(event);
+        this._mediaRecorder.onerror = event => {
+            logger.error(`Recording of ${this.track} failed`, event.error);
+            this.stop();
+        };
+        this._mediaRecorder.onstop = () => this._onStop();
+
+        this._stopPromise = new Promise(resolve => {
+            this._resolveStop = resolve;
+        });
+        this._mediaRecorder.start(this._options.timeslice);
+        this._startTime = new Date();
+        logger.info(`Started recording ${this.track}, mimeType: ${mimeType}`);
+        this.track.emit(JitsiTrackEvents.TRACK_RECORDING_STARTED, this._startTime);
+    }
+
+    /**
+     * Stops recording. When the recording already stopped on its own, because the track ended, but the recorded data
+     * is still being collected, the result is still returned.
+     *
+     * @returns {Promise<TrackRecordingResult|undefined>} Resolved once all the recorded data has been collected,
+     * with undefined if the track wasn't being recorded.
+     */
+    stop() {
+        if (!this._mediaRecorder) {
+            return Promise.resolve();
+        }
+
+        if (this._mediaRecorder.state !== 'inactive') {
+            this._mediaRecorder.stop();
+        }
+
+        return this._stopPromise;
+    }
+
+    /**
+     * Collects the recorded data.
+     *
+     * @param {BlobEvent} event - The event with the data.
+     * @fires JitsiTrackEvents.TRACK_RECORDING_DATA
+     * @private
+     * @returns {void}
+     */
+    _onDataAvailable(event) {
+        if (event.data.size > 0) {
+            this._chunks.push(event.data);
+            this.track.emit(JitsiTrackEvents.TRACK_RECORDING_DATA, event.data, new Date());
+        }
+    }
+
+    /**
+     * Assembles the result once the MediaRecorder stopped, whether it was stopped by {@link #stop} or because the
+     * track ended.
+     *
+     * @fires JitsiTrackEvents.TRACK_RECORDING_STOPPED
+     * @private
+     * @returns {void}
+     */
+    _onStop() {
+        const result = {
+            blob: this._chunks.length ? new Blob(this._chunks, { type: this._mimeType }) : undefined,
+            endTime: new Date(),
+            mimeType: this._mimeType,
+            participantId: this.track.getParticipantId(),
+            startTime: this._startTime
+        };
+
+        logger.info(`Stopped recording ${this.track}, size: ${result.blob?.size ?? 0}`);
+        this._chunks = [];
+        this._mediaRecorder = undefined;
+        this._stopPromise = undefined;
+
+        this._resolveStop?.(result);
+        this._resolveStop = undefined;
+        this.track.emit(JitsiTrackEvents.TRACK_RECORDING_STOPPED, result);
+    }
+}
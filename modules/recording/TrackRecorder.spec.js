@@ -0,0 +1,143 @@
+import * as JitsiTrackEvents from '../../JitsiTrackEvents';
+import JitsiTrack from '../RTC/JitsiTrack';
+
+import TrackRecorder from './TrackRecorder';
+
+// JSDocs disabled for Mock classes to avoid duplication - check on the original classes for info.
+/* eslint-disable require-jsdoc */
+/**
+ * A mock MediaRecorder, which collects a chunk of data each time it's asked to and stops asynchronously like the
+ * real one.
+ */
+class MockMediaRecorder {
+    static isTypeSupported(type) {
+        return type.startsWith('audio/webm');
+    }
+
+    constructor(stream, options) {
+        this.stream = stream;
+        this.options = options;
+        this.state = 'inactive';
+        MockMediaRecorder.last = this;
+    }
+
+    start(timeslice) {
+        this.timeslice = timeslice;
+        this.state = 'recording';
+    }
+
+    stop() {
+        this.state = 'inactive';
+        setTimeout(() => {
+            this.ondataavailable({ data: new Blob([ 'last' ]) });
+            this.onstop();
+        });
+    }
+
+    collect(data) {
+        this.ondataavailable({ data: new Blob([ data ]) });
+    }
+
+    // The track ended, the recorder stops on its own.
+    end() {
+        this.stop();
+    }
+}
+
+class MockMediaStream {
+    constructor(tracks) {
+        this.tracks = tracks;
+    }
+}
+
+/* eslint-enable require-jsdoc */
+
+/**
+ * Creates a track to record.
+ *
+ * @returns {JitsiTrack}
+ */
+function createTrack() {
+    const track = new JitsiTrack(null, {}, { readyState: 'live' }, () => undefined, 'audio');
+
+    track.getParticipantId = () => 'participant1';
+
+    return track;
+}
+
+describe('TrackRecorder', () => {
+    let MediaRecorder, MediaStream, track;
+
+    beforeEach(() => {
+        ({ MediaRecorder, MediaStream } = window);
+        window.MediaRecorder = MockMediaRecorder;
+        window.MediaStream = MockMediaStream;
+        track = createTrack();
+    });
+
+    afterEach(() => {
+        window.MediaRecorder = MediaRecorder;
+        window.MediaStream = MediaStream;
+    });
+
+    it('records a track until it is stopped', async () => {
+        const started = jasmine.createSpy('started');
+        const data = jasmine.createSpy('data');
+        const stopped = jasmine.createSpy('stopped');
+        const recorder = new TrackRecorder(track, { timeslice: 1000 });
+
+        track.on(JitsiTrackEvents.TRACK_RECORDING_STARTED, started);
+        track.on(JitsiTrackEvents.TRACK_RECORDING_DATA, data);
+        track.on(JitsiTrackEvents.TRACK_RECORDING_STOPPED, stopped);
+
+        recorder.start();
+        expect(recorder.isRecording()).toBe(true);
+        expect(started).toHaveBeenCalled();
+        expect(MockMediaRecorder.last.options.mimeType).toBe('audio/webm;codecs=opus');
+        expect(MockMediaRecorder.last.stream.tracks).toEqual([ track.getTrack() ]);
+        expect(MockMediaRecorder.last.timeslice).toBe(1000);
+
+        MockMediaRecorder.last.collect('first');
+        expect(data).toHaveBeenCalledTimes(1);
+
+        const result = await recorder.stop();
+
+        expect(recorder.isRecording()).toBe(false);
+        expect(await result.blob.text()).toBe('firstlast');
+        expect(result.mimeType).toBe('audio/webm;codecs=opus');
+        expect(result.participantId).toBe('participant1');
+        expect(result.endTime >= result.startTime).toBe(true);
+        expect(stopped).toHaveBeenCalledWith(result);
+    });
+
+    it('returns the result when the track ended before it was stopped', async () => {
+        const recorder = new TrackRecorder(track);
+
+        recorder.start();
+        MockMediaRecorder.last.end();
+
+        const result = await recorder.stop();
+
+        expect(await result.blob.text()).toBe('last');
+        expect(await recorder.stop()).toBeUndefined();
+    });
+
+    it('refuses to record when there is nothing to record', () => {
+        track.getTrack().readyState = 'ended';
+
+        expect(() => new TrackRecorder(track).start()).toThrowError('Nothing to record');
+    });
+
+    it('emits the recording before the disposed track removes its listeners', async () => {
+        const stopped = jasmine.createSpy('stopped');
+
+        track.on(JitsiTrackEvents.TRACK_RECORDING_STOPPED, stopped);
+        track.startRecording();
+
+        await track.dispose();
+
+        expect(stopped).toHaveBeenCalledTimes(1);
+        expect(await stopped.calls.argsFor(0)[0].blob.text()).toBe('last');
+        expect(track.listenerCount(JitsiTrackEvents.TRACK_RECORDING_STOPPED)).toBe(0);
+    });
+});
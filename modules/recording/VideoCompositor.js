@@ -0,0 +1,166 @@
+/**
+ * The default width of the composited video, in pixels.
+ * @type {number}
+ */
+const DEFAULT_WIDTH = 1280;
+
+/**
+ * The default height of the composited video, in pixels.
+ * @type {number}
+ */
+const DEFAULT_HEIGHT = 720;
+
+/**
+ * The default frame rate of the composited video.
+ * @type {number}
+ */
+const DEFAULT_FRAME_RATE = 15;
+
+/**
+ * Draws a set of video tracks as a grid of tiles on a canvas and exposes the result as a single video
+ * MediaStreamTrack, captured from the canvas.
+ */
+export default class VideoCompositor {
+    /**
+     * Creates a VideoCompositor.
+     *
+     * @param {Object} [options] - The options.
+     * @param {number} [options.width] - The width of the output, in pixels.
+     * @param {number} [options.height] - The height of the output, in pixels.
+     * @param {number} [options.frameRate] - The frame rate of the output.
+     */
+    constructor(options = {}) {
+        this._width = options.width || DEFAULT_WIDTH;
+        this._height = options.height || DEFAULT_HEIGHT;
+        this._frameRate = options.frameRate || DEFAULT_FRAME_RATE;
+
+        /**
+         * The video elements which play the composited tracks, by track.
+         * @type {Map<JitsiTrack, HTMLVideoElement>}
+         */
+        this._tiles = new Map();
+
+        this._canvas = document.createElement('canvas');
+        this._canvas.width = this._width;
+        this._canvas.height = this._height;
+        this._context = this._canvas.getContext('2d');
+        this._interval = undefined;
+        this._stream = undefined;
+    }
+
+    /**
+     * Adds a video track to the grid.
+     *
+     * @param {JitsiTrack} track - The video track.
+     * @returns {void}
+     */
+    addTrack(track) {
+        if (this._tiles.has(track)) {
+            return;
+        }
+
+        const video = document.createElement('video');
+
+        video.autoplay = true;
+        video.muted = true;
+        video.playsInline = true;
+        video.srcObject = new MediaStream([ track.getTrack() ]);
+
+        const playPromise = video.play();
+
+        // The element is never attached to the DOM, play() can be rejected and that's fine as long as
+        // frames are decoded.
+        playPromise && playPromise.catch(() => { /* ignore */ });
+
+        this._tiles.set(track, video);
+    }
+
+    /**
+     * Removes a video track from the grid.
+     *
+     * @param {JitsiTrack} track - The video track.
+     * @returns {void}
+     */
+    removeTrack(track) {
+        const video = this._tiles.get(track);
+
+        if (video) {
+            video.srcObject = null;
+            this._tiles.delete(track);
+        }
+    }
+
+    /**
+     * Starts drawing the tiles.
+     *
+     * @returns {MediaStreamTrack} The composited video track.
+     */
+    start() {
+        if (!this._stream) {
+            this._stream = this._canvas.captureStream(this._frameRate);
+
+            // Timers keep running, at a lower rate, when the page is in the background, unlike
+            // requestAnimationFrame which would freeze the recording.
+            this._interval = setInterval(() => this._draw(), 1000 / this._frameRate);
+        }
+
+        return this._stream.getVideoTracks()[0];
+    }
+
+    /**
+     * Stops drawing and releases the tiles.
+     *
+     * @returns {void}
+     */
+    stop() {
+        clearInterval(this._interval);
+        this._interval = undefined;
+
+        for (const track of Array.from(this._tiles.keys())) {
+            this.removeTrack(track);
+        }
+
+        if (this._stream) {
+            this._stream.getTracks().forEach(track => track.stop());
+            this._stream = undefined;
+        }
+    }
+
+    /**
+     * Draws a frame, laying out the tiles in the smallest square-ish grid which fits them all.
+     *
+     * @private
+     * @returns {void}
+     */
+    _draw() {
+        const videos = Array.from(this._tiles.values());
+        const context = this._context;
+
+        context.fillStyle = '#000';
+        context.fillRect(0, 0, this._width, this._height);
+
+        if (!videos.length) {
+            return;
+        }
+
+        const columns = Math.ceil(Math.sqrt(videos.length));
+        const rows = Math.ceil(videos.length / columns);
+        const tileWidth = this._width / columns;
+        const tileHeight = this._height / rows;
+
+        videos.forEach((video, index) => {
+            if (!video.videoWidth || !video.videoHeight) {
+                return;
+            }
+
+            // Fit the video in the tile, keeping its aspect ratio.
+            const scale = Math.min(tileWidth / video.videoWidth, tileHeight / video.videoHeight);
+            const width = video.videoWidth * scale;
+            const height = video.videoHeight * scale;
+            const x = (index % columns * tileWidth) + ((tileWidth - width) / 2);
+            const y = (Math.floor(index / columns) * tileHeight) + ((tileHeight - height) / 2);
+
+            context.drawImage(video, x, y, width, height);
+        });
+    }
+}
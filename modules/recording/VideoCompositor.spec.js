@@ -0,0 +1,129 @@
+import { MockMediaStream, MockMediaStreamTrack } from '../webaudio/MockClasses';
+
+import VideoCompositor from './VideoCompositor';
+
+// JSDocs disabled for Mock classes to avoid duplication - check on the original classes for info.
+/* eslint-disable require-jsdoc */
+class MockCanvas {
+    constructor() {
+        this.context = jasmine.createSpyObj('context', [ 'drawImage', 'fillRect' ]);
+        this.captureStream = jasmine.createSpy('captureStream')
+            .and.callFake(() => new MockMediaStream([ new MockMediaStreamTrack('video') ]));
+    }
+
+    getContext() {
+        return this.context;
+    }
+}
+
+class MockVideo {
+    constructor() {
+        this.videoWidth = 0;
+        this.videoHeight = 0;
+        this.play = jasmine.createSpy('play').and.returnValue(Promise.reject(new Error('not allowed')));
+    }
+}
+
+class MockTrack {
+    constructor() {
+        this.track = new MockMediaStreamTrack('video');
+    }
+
+    getTrack() {
+        return this.track;
+    }
+}
+
+/* eslint-enable require-jsdoc */
+
+describe('VideoCompositor', () => {
+    const { MediaStream } = window;
+    let canvas, compositor, videos;
+
+    beforeEach(() => {
+        canvas = new MockCanvas();
+        videos = [];
+        window.MediaStream = MockMediaStream;
+        spyOn(document, 'createElement').and.callFake(tagName => {
+            if (tagName === 'canvas') {
+                return canvas;
+            }
+
+            const video = new MockVideo();
+
+            videos.push(video);
+
+            return video;
+        });
+        jasmine.clock().install();
+        compositor = new VideoCompositor({
+            frameRate: 10,
+            height: 720,
+            width: 1280
+        });
+    });
+
+    afterEach(() => {
+        compositor.stop();
+        jasmine.clock().uninstall();
+        window.MediaStream = MediaStream;
+    });
+
+    it('plays each track once', () => {
+        const track = new MockTrack();
+
+        compositor.addTrack(track);
+        compositor.addTrack(track);
+
+        expect(videos.length).toBe(1);
+        expect(videos[0].srcObject.getTracks()).toEqual([ track.getTrack() ]);
+        expect(videos[0].play).toHaveBeenCalled();
+    });
+
+    it('captures the canvas at the frame rate', () => {
+        const videoTrack = compositor.start();
+
+        expect(canvas.width).toBe(1280);
+        expect(canvas.height).toBe(720);
+        expect(canvas.captureStream).toHaveBeenCalledOnceWith(10);
+        expect(compositor.start()).toBe(videoTrack);
+
+        jasmine.clock().tick(100);
+        expect(canvas.context.fillRect).toHaveBeenCalledOnceWith(0, 0, 1280, 720);
+
+        compositor.stop();
+        jasmine.clock().tick(100);
+
+        expect(canvas.context.fillRect).toHaveBeenCalledTimes(1);
+        expect(videoTrack.stop).toHaveBeenCalled();
+    });
+
+    it('lays the tiles out in a grid, keeping the aspect ratio of the videos', () => {
+        [ new MockTrack(), new MockTrack(), new MockTrack() ].forEach(track => compositor.addTrack(track));
+        videos[0].videoWidth = 640;
+        videos[0].videoHeight = 360;
+        videos[1].videoWidth = 360;
+        videos[1].videoHeight = 360;
+
+        compositor._draw();
+
+        // Two columns and two rows of 640x360 tiles, the third video has no frame yet.
+        expect(canvas.context.drawImage.calls.allArgs()).toEqual([
+            [ videos[0], 0, 0, 640, 360 ],
+            [ videos[1], 780, 0, 360, 360 ]
+        ]);
+    });
+
+    it('stops drawing the tracks which were removed', () => {
+        const track = new MockTrack();
+
+        compositor.addTrack(track);
+        videos[0].videoWidth = 640;
+        videos[0].videoHeight = 360;
+        compositor.removeTrack(track);
+        compositor._draw();
+
+        expect(videos[0].srcObject).toBeNull();
+        expect(canvas.context.drawImage).not.toHaveBeenCalled();
+    });
+});
@@ -5,6 +5,15 @@ export default {
         RESOURCE_CONSTRAINT: 'resource-constraint',
         SERVICE_UNAVAILABLE: 'service-unavailable'
     },
+    localStatus: {
+        OFF: 'off',
+        ON: 'on',
+        PAUSED: 'paused'
+    },
+    localStopReason: {
+        ERROR: 'error',
+        SIZE_LIMIT: 'size-limit'
+    },
     mode: {
         FILE: 'file',
         STREAM: 'stream'
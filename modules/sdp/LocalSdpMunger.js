@@ -253,6 +253,39 @@ export default class LocalSdpMunger {
         }
     }
 
+    /**
+     * Adds the names of the sources of the local tracks, which identify them when several video streams are sent,
+     * as a 'name' attribute of their SSRCs. The tracks are found by the id of their MediaStreamTrack in the MSID.
+     *
+     * @param {MLineWrap} mediaSection - The media part (audio or video) of the session description which will be
+     * modified in place.
+     * @returns {void}
+     * @private
+     */
+    _injectSourceNames(mediaSection) {
+        const sourceNames = new Map();
+        const localTracks = this.tpc.getLocalTracks();
+
+        for (const ssrcLine of mediaSection.ssrcs) {
+            if (ssrcLine.attribute === 'msid' && ssrcLine.value) {
+                const trackId = ssrcLine.value.split(' ')[1];
+                const localTrack = trackId && localTracks.find(track => track.getTrackId() === trackId);
+
+                localTrack?.getSourceName() && sourceNames.set(ssrcLine.id, localTrack.getSourceName());
+            }
+        }
+
+        for (const [ ssrc, sourceName ] of sourceNames) {
+            if (!mediaSection.getSSRCAttrValue(ssrc, 'name')) {
+                mediaSection.addSSRCAttribute({
+                    id: ssrc,
+                    attribute: 'name',
+                    value: sourceName
+                });
+            }
+        }
+    }
+
     /**
      * Maybe modifies local description to fake local video tracks SDP when
      * those are muted.
@@ -301,14 +334,17 @@ export default class LocalSdpMunger {
 
         const transformer = new SdpTransformWrap(sessionDesc.sdp);
         const audioMLine = transformer.selectMedia('audio');
+        const sendMultipleVideoStreams = this.tpc.options?.sendMultipleVideoStreams;
 
         if (audioMLine) {
+            sendMultipleVideoStreams && this._injectSourceNames(audioMLine);
             this._transformMediaIdentifiers(audioMLine);
         }
 
         const videoMLine = transformer.selectMedia('video');
 
         if (videoMLine) {
+            sendMultipleVideoStreams && this._injectSourceNames(videoMLine);
             this._transformMediaIdentifiers(videoMLine);
         }
 
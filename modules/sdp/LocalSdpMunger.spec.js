@@ -94,4 +94,49 @@ describe('TransformRecvOnly', () => {
             expect(msidExists).toBeDefined();
         });
     });
+
+    describe('source names', () => {
+        const sourceNamesTpc = {
+            id: '1',
+            getLocalTracks: () => [ {
+                getSourceName: () => 'sRdpsdg-v0',
+                getTrackId: () => 'bdbd2c0a-7959-4578-8db5-9a6a1aec4ecf'
+            } ],
+            options: { sendMultipleVideoStreams: true }
+        };
+
+        it('should add the source name to the ssrcs of the track', () => {
+            const munger = new LocalSdpMunger(sourceNamesTpc, localEndpointId);
+            const sdpStr = transform.write(SampleSdpStrings.simulcastSdp);
+            const desc = new RTCSessionDescription({
+                type: 'offer',
+                sdp: sdpStr
+            });
+            const transformedDesc = munger.transformStreamIdentifiers(desc);
+            const newSdp = transform.parse(transformedDesc.sdp);
+            const videoSsrcs = getSsrcLines(newSdp, 'video');
+            const audioSsrcs = getSsrcLines(newSdp, 'audio');
+            const nameLines = videoSsrcs.filter(s => s.attribute === 'name');
+
+            expect(nameLines.length).toEqual(3);
+            nameLines.forEach(s => expect(s.value).toBe('sRdpsdg-v0'));
+            expect(audioSsrcs.find(s => s.attribute === 'name')).toBeUndefined();
+        });
+
+        it('should not add the source names when several video streams are not sent', () => {
+            const munger = new LocalSdpMunger({
+                ...sourceNamesTpc,
+                options: {}
+            }, localEndpointId);
+            const sdpStr = transform.write(SampleSdpStrings.simulcastSdp);
+            const desc = new RTCSessionDescription({
+                type: 'offer',
+                sdp: sdpStr
+            });
+            const transformedDesc = munger.transformStreamIdentifiers(desc);
+            const newSdp = transform.parse(transformedDesc.sdp);
+
+            expect(getSsrcLines(newSdp, 'video').find(s => s.attribute === 'name')).toBeUndefined();
+        });
+    });
 });
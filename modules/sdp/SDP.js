@@ -212,6 +212,13 @@ SDP.prototype.toJingle = function(elem, thecreator) {
                         const idx = ssrcSdpLine.indexOf(' ');
                         const kv = ssrcSdpLine.substr(idx + 1);
 
+                        // The name of the source is an attribute of the source element.
+                        if (kv.startsWith('name:')) {
+                            elem.attrs({ name: kv.substr(5) });
+
+                            return;
+                        }
+
                         elem.c('parameter');
                         if (kv.indexOf(':') === -1) {
                             elem.attrs({ name: kv });
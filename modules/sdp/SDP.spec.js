@@ -101,6 +101,39 @@ describe('SDP', () => {
 
             expect(count).toBe(2);
         });
+
+        it('signals the source names as attributes of the sources', () => {
+            const sdp = new SDP(testSdp.replace(
+                'a=ssrc-group:FID 4004 4005\r\n',
+                'a=ssrc:4004 name:abcd1234-v1\r\na=ssrc:4005 name:abcd1234-v1\r\na=ssrc-group:FID 4004 4005\r\n'));
+            const accept = $iq({
+                to: 'peerjid',
+                type: 'set'
+            })
+            .c('jingle', {
+                xmlns: 'urn:xmpp:jingle:1',
+                action: 'session-accept',
+                initiator: false,
+                responder: true,
+                sid: 'temp-sid'
+            });
+
+            sdp.toJingle(accept, false);
+
+            const sources = Array.from(accept.nodeTree.getElementsByTagName('source'))
+                .filter(source => source.getAttribute('ssrc') === '4004' || source.getAttribute('ssrc') === '4005')
+                .filter(source => source.parentNode.nodeName === 'description');
+            const audioSource = Array.from(accept.nodeTree.getElementsByTagName('source'))
+                .find(source => source.getAttribute('ssrc') === '2002');
+
+            expect(sources.length).toBe(2);
+            sources.forEach(source => {
+                expect(source.getAttribute('name')).toBe('abcd1234-v1');
+                expect(Array.from(source.childNodes).find(child => child.getAttribute('name') === 'name'))
+                    .toBeUndefined();
+            });
+            expect(audioSource.getAttribute('name')).toBeNull();
+        });
     });
 
     describe('fromJingle', () => {
@@ -176,6 +176,13 @@ SDPDiffer.prototype.toJingle = function(modify) {
                 const idx = line.indexOf(' ');
                 const kv = line.substr(idx + 1);
 
+                // The name of the source is an attribute of the source element.
+                if (kv.startsWith('name:')) {
+                    modify.attrs({ name: kv.substr(5) });
+
+                    return;
+                }
+
                 modify.c('parameter');
                 if (kv.indexOf(':') === -1) {
                     modify.attrs({ name: kv });
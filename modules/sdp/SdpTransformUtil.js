@@ -1,5 +1,17 @@
 import * as transform from 'sdp-transform';
 
+/**
+ * The name of the RED (RFC 2198) redundant audio format.
+ * @type {string}
+ */
+const RED = 'red';
+
+/**
+ * The name of the Opus audio format.
+ * @type {string}
+ */
+const OPUS = 'opus';
+
 /**
  * Parses the primary SSRC of given SSRC group.
  * @param {object} group the SSRC group object as defined by the 'sdp-transform'
@@ -38,7 +50,7 @@ function _getSSRCCount(mLine) {
  * A wrapper around 'sdp-transform' media description object which provides
  * utility methods for common SDP/SSRC related operations.
  */
-class MLineWrap {
+export class MLineWrap {
 
     /**
      * Creates new <tt>MLineWrap</t>>
@@ -115,6 +127,92 @@ class MLineWrap {
         this.mLine.ssrcGroups = ssrcGroups;
     }
 
+    /**
+     * Returns the payload types of the media description, in the order of
+     * preference.
+     * @return {Array<number>}
+     */
+    get payloadTypes() {
+        // Call toString() on payloads to get around an issue within
+        // SDPTransform that sets payloads as a number, instead of a string,
+        // when there is only one payload.
+        return this.mLine.payloads.toString()
+            .split(' ')
+            .map(pt => parseInt(pt, 10));
+    }
+
+    /**
+     * Sets the payload types of the media description.
+     * @param {Array<number>} payloadTypes the payload types in the order of
+     * preference.
+     */
+    set payloadTypes(payloadTypes) {
+        this.mLine.payloads = payloadTypes.join(' ');
+    }
+
+    /**
+     * Finds the payload type of the RED format which carries Opus with
+     * redundancy, i.e. the one which has Opus as all of its encodings, e.g.
+     * <tt>a=fmtp:63 111/111</tt>.
+     * @return {number|undefined} the payload type or <tt>undefined</tt> if
+     * there is no RED format for Opus.
+     */
+    getOpusRedPayloadType() {
+        const opus = this.mLine.rtp.find(rtp => rtp.codec.toLowerCase() === OPUS);
+        const red = this.mLine.rtp.find(rtp => rtp.codec.toLowerCase() === RED);
+
+        if (!opus || !red) {
+            return undefined;
+        }
+
+        const fmtp = (this.mLine.fmtp || []).find(item => item.payload === red.payload);
+
+        if (fmtp && fmtp.config.split('/').some(pt => parseInt(pt, 10) !== opus.payload)) {
+            return undefined;
+        }
+
+        return red.payload;
+    }
+
+    /**
+     * Makes Opus with RED redundancy the preferred audio format by moving the
+     * RED payload type in front of the others. The format is not added, it has
+     * to be in the media description already.
+     * @return {boolean} <tt>true</tt> if RED for Opus is preferred,
+     * <tt>false</tt> if the media description doesn't have it.
+     */
+    preferOpusRed() {
+        const redPayloadType = this.getOpusRedPayloadType();
+
+        if (redPayloadType === undefined) {
+            return false;
+        }
+
+        this.payloadTypes = [
+            redPayloadType,
+            ...this.payloadTypes.filter(pt => pt !== redPayloadType)
+        ];
+
+        return true;
+    }
+
+    /**
+     * Removes the RED format for Opus from the media description, so that
+     * Opus is negotiated without redundancy.
+     * @return {void}
+     */
+    removeOpusRed() {
+        const redPayloadType = this.getOpusRedPayloadType();
+
+        if (redPayloadType === undefined) {
+            return;
+        }
+
+        this.payloadTypes = this.payloadTypes.filter(pt => pt !== redPayloadType);
+        this.mLine.rtp = this.mLine.rtp.filter(rtp => rtp.payload !== redPayloadType);
+        this.mLine.fmtp = (this.mLine.fmtp || []).filter(fmtp => fmtp.payload !== redPayloadType);
+    }
+
     /**
      * Obtains value from SSRC attribute.
      * @param {number} ssrcNumber the SSRC number for which attribute is to be
@@ -0,0 +1,58 @@
+import * as transform from 'sdp-transform';
+
+import { MLineWrap } from './SdpTransformUtil';
+
+describe('MLineWrap', () => {
+    /**
+     * Parses the audio media description of an SDP with the given formats.
+     *
+     * @param {string} payloads - The payload types of the m-line.
+     * @param {string} formats - The rtpmap and fmtp lines.
+     * @returns {MLineWrap}
+     */
+    function createAudioMLine(payloads, formats) {
+        const sdp = 'v=0\r\n'
+            + 'o=- 814997227879783433 5 IN IP4 127.0.0.1\r\n'
+            + 's=-\r\n'
+            + 't=0 0\r\n'
+            + `m=audio 9 UDP/TLS/RTP/SAVPF ${payloads}\r\n`
+            + 'c=IN IP4 0.0.0.0\r\n'
+            + `${formats}`;
+
+        return new MLineWrap(transform.parse(sdp).media[0]);
+    }
+
+    const opusAndRed = 'a=rtpmap:111 opus/48000/2\r\n'
+        + 'a=fmtp:111 minptime=10;useinbandfec=1\r\n'
+        + 'a=rtpmap:63 red/48000/2\r\n'
+        + 'a=fmtp:63 111/111\r\n'
+        + 'a=rtpmap:103 ISAC/16000\r\n';
+
+    describe('preferOpusRed', () => {
+        it('moves the RED payload type to the front', () => {
+            const mLine = createAudioMLine('111 63 103', opusAndRed);
+
+            expect(mLine.preferOpusRed()).toBe(true);
+            expect(mLine.payloadTypes).toEqual([ 63, 111, 103 ]);
+        });
+
+        it('does not prefer RED which does not carry Opus', () => {
+            const mLine = createAudioMLine('111 63 103', opusAndRed.replace('111/111', '103/103'));
+
+            expect(mLine.preferOpusRed()).toBe(false);
+            expect(mLine.payloadTypes).toEqual([ 111, 63, 103 ]);
+        });
+    });
+
+    describe('removeOpusRed', () => {
+        it('removes the RED format', () => {
+            const mLine = createAudioMLine('63 111 103', opusAndRed);
+
+            mLine.removeOpusRed();
+
+            expect(mLine.payloadTypes).toEqual([ 111, 103 ]);
+            expect(mLine.mLine.rtp.map(rtp => rtp.codec)).toEqual([ 'opus', 'ISAC' ]);
+            expect(mLine.mLine.fmtp.map(fmtp => fmtp.payload)).toEqual([ 111 ]);
+        });
+    });
+});
@@ -0,0 +1,1686 @@
+import { getLogger } from 'jitsi-meet-logger';
+import { $build, $iq, $msg, $pres, Strophe } from 'strophe.js';
+import { v4 as uuidv4 } from 'uuid';
+
+import * as MediaType from '../../service/RTC/MediaType';
+import { JITSI_MEET_MUC_TYPE } from '../xmpp/xmpp';
+
+import SimulatedBridge from './SimulatedBridge';
+import SimulatedRoom, { FOCUS_NICK } from './SimulatedRoom';
+import SimulatedSocket from './SimulatedSocket';
+
+const logger = getLogger(__filename);
+
+const NS_DATA_FORMS = 'jabber:x:data';
+const NS_DISCO_INFO = 'http://jabber.org/protocol/disco#info';
+const NS_FOCUS = 'http://jitsi.org/protocol/focus';
+const NS_FRAMING = 'urn:ietf:params:xml:ns:xmpp-framing';
+const NS_JIBRI = 'http://jitsi.org/protocol/jibri';
+const NS_JINGLE = 'urn:xmpp:jingle:1';
+const NS_JITMEET = 'http://jitsi.org/jitmeet';
+const NS_MUC = 'http://jabber.org/protocol/muc';
+const NS_MUC_ADMIN = 'http://jabber.org/protocol/muc#admin';
+const NS_MUC_OWNER = 'http://jabber.org/protocol/muc#owner';
+const NS_MUC_USER = 'http://jabber.org/protocol/muc#user';
+const NS_NICK = 'http://jabber.org/protocol/nick';
+const NS_PING = 'urn:xmpp:ping';
+const NS_SASL = 'urn:ietf:params:xml:ns:xmpp-sasl';
+const NS_STANZAS = 'urn:ietf:params:xml:ns:xmpp-stanzas';
+const NS_STREAM = 'http://etherx.jabber.org/streams';
+
+/**
+ * The DTLS fingerprint the simulated bridge advertises. Nothing is ever sent
+ * over the peer connection, so it only has to be well formed.
+ */
+const BRIDGE_FINGERPRINT = '09:B1:51:0F:85:4C:80:19:A1:AF:81:73:47:EE:ED:3D:'
+    + '00:3A:84:C7:76:C1:4E:34:BE:56:F6:42:AD:15:D5:D7';
+
+/**
+ * Returns the first child element of a stanza with the given name and
+ * namespace.
+ *
+ * @param {Element} element - The parent element.
+ * @param {string} name - The name of the child.
+ * @param {string} [xmlns] - The namespace of the child, any if missing.
+ * @returns {Element|undefined}
+ */
+function findChild(element, name, xmlns) {
+    return Array.from(element.childNodes).find(
+        child => child.nodeName === name && (!xmlns || child.getAttribute('xmlns') === xmlns));
+}
+
+/**
+ * Returns the text of the first child element of a stanza with the given
+ * name.
+ *
+ * @param {Element} element - The parent element.
+ * @param {string} name - The name of the child.
+ * @returns {string|undefined}
+ */
+function findChildText(element, name) {
+    const child = element && findChild(element, name);
+
+    return child ? child.textContent : undefined;
+}
+
+/**
+ * Returns the elements of a presence which the other occupants of a room
+ * receive, i.e. all but the MUC ones.
+ *
+ * @param {Element} pres - The presence.
+ * @returns {Array<Element>}
+ */
+function getPresenceExtensions(pres) {
+    return Array.from(pres.childNodes).filter(child => child.nodeType === 1 && child.nodeName !== 'x');
+}
+
+/**
+ * Generates the id of a participant, the same way the library generates its
+ * MUC nicknames.
+ *
+ * @returns {string}
+ */
+function generateId() {
+    return uuidv4().replace(/-/g, '')
+        .substring(0, 8);
+}
+
+/**
+ * An in-process replacement for the signalling backend of a deployment: the
+ * XMPP server with its MUC and lobby components, the focus and the
+ * videobridge's colibri web sockets. It lets a {@link JitsiConnection} join
+ * conferences without a network, so that applications can exercise the
+ * joining, participants, moderation, lobby and recording flows in their tests.
+ *
+ * The connection is pointed to the simulator through the options returned by
+ * {@link ConferenceSimulator#getConnectionOptions}. The test drives the other
+ * side of the conference through the simulated participants, which are added,
+ * updated and removed with the methods of this class, or by connecting more
+ * {@link JitsiConnection}s to the same simulator.
+ *
+ * Media is not simulated. When the media option is enabled the focus offers a
+ * Jingle session, which needs a WebRTC capable environment such as karma, and
+ * the participants open their bridge channel to the simulated bridge.
+ *
+ * The simulator needs the DOM and WebSocket globals the library needs, e.g.
+ * from jsdom when running in Node. It is not part of the library bundle, the
+ * tests import it from this module.
+ */
+export default class ConferenceSimulator {
+    /**
+     * Initializes a new simulator.
+     *
+     * @param {Object} [options]
+     * @param {string} [options.domain] - The XMPP domain.
+     * @param {boolean} [options.allModerators] - Whether every participant
+     * is made a moderator, otherwise only the first one is.
+     * @param {boolean} [options.lobby] - Whether the lobby is supported.
+     * @param {boolean} [options.media] - Whether the focus offers a Jingle
+     * session to the participants.
+     */
+    constructor({
+        domain = 'simulator.jitsi.test',
+        allModerators = false,
+        lobby = true,
+        media = false
+    } = {}) {
+        this.domain = domain;
+        this.mucDomain = `conference.${domain}`;
+        this.lobbyDomain = `lobby.${domain}`;
+        this.focusDomain = `focus.${domain}`;
+        this.focusJid = `focus@auth.${domain}`;
+        this.serviceUrl = `wss://${domain}/xmpp-websocket`;
+
+        this._allModerators = allModerators;
+        this._lobby = lobby;
+        this._media = media;
+
+        this.bridge = new SimulatedBridge(`wss://${domain}`);
+
+        /**
+         * The rooms, by bare JID.
+         * @type {Map<string, SimulatedRoom>}
+         */
+        this._rooms = new Map();
+
+        /**
+         * The XMPP client sessions, by socket.
+         * @type {Map<SimulatedSocket, Object>}
+         */
+        this._sessions = new Map();
+
+        this._xmppServer = {
+            onClose: this._onXmppClose.bind(this),
+            onMessage: this._onXmppMessage.bind(this),
+            onOpen: this._onXmppOpen.bind(this)
+        };
+
+        this.createWebSocket = this.createWebSocket.bind(this);
+    }
+
+    /**
+     * Returns the options a {@link JitsiConnection} has to be created with to
+     * connect to this simulator.
+     *
+     * @returns {Object}
+     */
+    getConnectionOptions() {
+        return {
+            // The simulated server doesn't implement stream management.
+            enableWebsocketResume: false,
+            hosts: {
+                domain: this.domain,
+                focus: this.focusDomain,
+                muc: this.mucDomain
+            },
+            serviceUrl: this.serviceUrl,
+            websocketFactory: this.createWebSocket,
+            websocketKeepAlive: -1
+        };
+    }
+
+    /**
+     * Creates a web socket connected to the simulator, which is used in place
+     * of the browser's WebSocket.
+     *
+     * @param {string} url - The URL to connect to.
+     * @param {string} [protocol] - The sub-protocol.
+     * @returns {SimulatedSocket}
+     */
+    createWebSocket(url, protocol) {
+        return new SimulatedSocket(url, protocol, this.bridge.handles(url) ? this.bridge : this._xmppServer);
+    }
+
+    /**
+     * Adds a simulated participant to a conference. The participant waits in
+     * the lobby if the room is members only.
+     *
+     * @param {string} roomName - The name of the conference.
+     * @param {Object} [options]
+     * @param {string} [options.displayName] - The display name.
+     * @param {boolean} [options.audioMuted] - Whether the audio is muted.
+     * @param {boolean} [options.videoMuted] - Whether the video is muted.
+     * @returns {string} The id of the participant.
+     */
+    addParticipant(roomName, { displayName, audioMuted = false, videoMuted = false } = {}) {
+        const room = this._getOrCreateRoom(this._getRoomJid(roomName));
+        const nick = generateId();
+        const occupant = {
+            nick,
+            jid: `${nick}@${this.domain}/simulator`,
+            simulated: {
+                audioMuted,
+                displayName,
+                videoMuted
+            }
+        };
+
+        occupant.extensions = this._createSimulatedExtensions(occupant);
+
+        if (room.membersOnly && !room.isMember(occupant.jid)) {
+            this._addOccupant(this._getOrCreateRoom(room.lobbyJid), occupant);
+        } else {
+            this._addOccupant(room, occupant);
+        }
+
+        return nick;
+    }
+
+    /**
+     * Updates the presence of a simulated participant.
+     *
+     * @param {string} roomName - The name of the conference.
+     * @param {string} id - The id of the participant.
+     * @param {Object} changes - The display name, audioMuted or videoMuted
+     * values to change.
+     * @returns {void}
+     */
+    updateParticipant(roomName, id, changes) {
+        const { occupant, room } = this._getSimulatedParticipant(roomName, id);
+
+        Object.assign(occupant.simulated, changes);
+        occupant.extensions = this._createSimulatedExtensions(occupant);
+        this._broadcastPresence(room, occupant);
+    }
+
+    /**
+     * Removes a simulated participant from a conference.
+     *
+     * @param {string} roomName - The name of the conference.
+     * @param {string} id - The id of the participant.
+     * @returns {void}
+     */
+    removeParticipant(roomName, id) {
+        const { room } = this._getSimulatedParticipant(roomName, id);
+
+        this._removeOccupant(room, id);
+    }
+
+    /**
+     * Makes a simulated participant send a chat message.
+     *
+     * @param {string} roomName - The name of the conference.
+     * @param {string} id - The id of the sender.
+     * @param {string} text - The text of the message.
+     * @param {string} [to] - The id of the recipient of a private message,
+     * everyone if missing.
+     * @returns {void}
+     */
+    sendMessage(roomName, id, text, to) {
+        this._sendFromParticipant(roomName, id, $build('body').t(text), to);
+    }
+
+    /**
+     * Makes a simulated participant send an endpoint message, which the
+     * participants receive as {@link JitsiConferenceEvents.ENDPOINT_MESSAGE_RECEIVED}.
+     *
+     * @param {string} roomName - The name of the conference.
+     * @param {string} id - The id of the sender.
+     * @param {Object} payload - The payload of the message.
+     * @param {string} [to] - The id of the recipient, everyone if missing.
+     * @returns {void}
+     */
+    sendEndpointMessage(roomName, id, payload, to) {
+        const json = {
+            [JITSI_MEET_MUC_TYPE]: '',
+            ...payload
+        };
+
+        this._sendFromParticipant(
+            roomName, id, $build('json-message', { xmlns: NS_JITMEET }).t(JSON.stringify(json)), to);
+    }
+
+    /**
+     * Makes the focus mute a participant, as it does on behalf of a
+     * moderator.
+     *
+     * @param {string} roomName - The name of the conference.
+     * @param {string} id - The id of the participant to mute.
+     * @param {'audio'|'video'} [mediaType] - The type of the media to mute.
+     * @param {string} [actorId] - The id of the moderator who muted.
+     * @returns {void}
+     */
+    muteParticipant(roomName, id, mediaType = MediaType.AUDIO, actorId) {
+        const room = this._getRoom(this._getRoomJid(roomName));
+        const occupant = room.getOccupant(id);
+
+        if (!occupant) {
+            throw new Error(`No participant ${id} in ${roomName}`);
+        }
+
+        this._mute(room, occupant, mediaType, actorId && `${room.jid}/${actorId}`);
+    }
+
+    /**
+     * Makes the focus kick a participant out of a conference.
+     *
+     * @param {string} roomName - The name of the conference.
+     * @param {string} id - The id of the participant to kick.
+     * @param {string} [reason] - The reason.
+     * @returns {void}
+     */
+    kickParticipant(roomName, id, reason) {
+        const room = this._getRoom(this._getRoomJid(roomName));
+
+        this._removeOccupant(room, id, {
+            actor: FOCUS_NICK,
+            kicked: true,
+            reason
+        });
+    }
+
+    /**
+     * Makes the bridge announce a new dominant speaker.
+     *
+     * @param {string} roomName - The name of the conference.
+     * @param {string} id - The id of the dominant speaker.
+     * @returns {void}
+     */
+    setDominantSpeaker(roomName, id) {
+        const room = this._getRoom(this._getRoomJid(roomName));
+        const previousSpeakers = room.dominantSpeaker ? [ room.dominantSpeaker ] : [];
+
+        room.dominantSpeaker = id;
+        this.bridge.sendMessage(room.meetingId, {
+            colibriClass: 'DominantSpeakerEndpointChangeEvent',
+            dominantSpeakerEndpoint: id,
+            previousSpeakers
+        });
+    }
+
+    /**
+     * Makes the recorder stop the recording of a conference, e.g. to simulate
+     * a failure.
+     *
+     * @param {string} roomName - The name of the conference.
+     * @param {string} [error] - The failure reason.
+     * @returns {void}
+     */
+    stopRecording(roomName, error) {
+        const room = this._getRoom(this._getRoomJid(roomName));
+
+        if (room.recording && room.recording.status !== 'off') {
+            this._setRecordingStatus(room, 'off', error);
+        }
+    }
+
+    /**
+     * Returns the participants of a conference.
+     *
+     * @param {string} roomName - The name of the conference.
+     * @returns {Array<Object>} The id, jid, display name, affiliation and role
+     * of every participant, whether it is simulated and, for the simulated
+     * ones, whether their audio and video are muted.
+     */
+    getParticipants(roomName) {
+        const room = this._rooms.get(this._getRoomJid(roomName));
+
+        return room ? room.getParticipants().map(occupant => {
+            return {
+                affiliation: occupant.affiliation,
+                audioMuted: occupant.simulated?.audioMuted,
+                displayName: findChildText({ childNodes: occupant.extensions }, 'nick'),
+                id: occupant.nick,
+                jid: occupant.jid,
+                role: occupant.role,
+                simulated: Boolean(occupant.simulated),
+                videoMuted: occupant.simulated?.videoMuted
+            };
+        }) : [];
+    }
+
+    /**
+     * Closes all the connections and removes all the conferences.
+     *
+     * @returns {void}
+     */
+    stop() {
+        this._sessions.forEach((session, socket) => socket.disconnect(1001, 'stopped'));
+        this._rooms.forEach(room => this.bridge.expire(room.meetingId));
+        this._rooms.clear();
+    }
+
+    /**
+     * Returns the JID of a conference room.
+     *
+     * @param {string} roomName - The name of the conference.
+     * @private
+     * @returns {string}
+     */
+    _getRoomJid(roomName) {
+        return `${roomName}@${this.mucDomain}`;
+    }
+
+    /**
+     * Returns a room, throwing if it doesn't exist.
+     *
+     * @param {string} jid - The JID of the room.
+     * @private
+     * @returns {SimulatedRoom}
+     */
+    _getRoom(jid) {
+        const room = this._rooms.get(jid);
+
+        if (!room) {
+            throw new Error(`No room ${jid}`);
+        }
+
+        return room;
+    }
+
+    /**
+     * Returns a room, creating it if needed.
+     *
+     * @param {string} jid - The JID of the room.
+     * @private
+     * @returns {SimulatedRoom}
+     */
+    _getOrCreateRoom(jid) {
+        let room = this._rooms.get(jid);
+
+        if (!room) {
+            const isLobby = Strophe.getDomainFromJid(jid) === this.lobbyDomain;
+
+            room = new SimulatedRoom(jid, {
+                isLobby,
+                lobbyJid: this._lobby && !isLobby
+                    ? `${Strophe.getNodeFromJid(jid)}@${this.lobbyDomain}` : undefined
+            });
+            this._rooms.set(jid, room);
+            logger.info(`Created room ${jid}`);
+        }
+
+        return room;
+    }
+
+    /**
+     * Returns a simulated participant of a conference, waiting in the lobby
+     * or not.
+     *
+     * @param {string} roomName - The name of the conference.
+     * @param {string} id - The id of the participant.
+     * @private
+     * @returns {Object} The occupant and the room it is in.
+     */
+    _getSimulatedParticipant(roomName, id) {
+        const mainRoom = this._rooms.get(this._getRoomJid(roomName));
+        const rooms = mainRoom ? [ mainRoom, this._rooms.get(mainRoom.lobbyJid) ] : [];
+
+        for (const room of rooms) {
+            const occupant = room && room.getOccupant(id);
+
+            if (occupant && occupant.simulated) {
+                return {
+                    occupant,
+                    room
+                };
+            }
+        }
+
+        throw new Error(`No simulated participant ${id} in ${roomName}`);
+    }
+
+    /**
+     * Creates the presence extensions of a simulated participant.
+     *
+     * @param {Object} occupant - The occupant.
+     * @private
+     * @returns {Array<Element>}
+     */
+    _createSimulatedExtensions({ simulated }) {
+        const extensions = [
+            $build('audiomuted').t(String(simulated.audioMuted))
+                .tree(),
+            $build('videomuted').t(String(simulated.videoMuted))
+                .tree()
+        ];
+
+        if (simulated.displayName) {
+            extensions.push($build('nick', { xmlns: NS_NICK }).t(simulated.displayName)
+                .tree());
+        }
+
+        return extensions;
+    }
+
+    /**
+     * Creates the presence extensions of the focus.
+     *
+     * @param {SimulatedRoom} room - The room.
+     * @private
+     * @returns {Array<Element>}
+     */
+    _createFocusExtensions(room) {
+        const properties = $build('conference-properties', { xmlns: NS_FOCUS })
+            .c('property', {
+                key: 'support-terminate-restart',
+                value: 'true'
+            });
+        const extensions = [ properties.tree() ];
+        const { recording } = room;
+
+        if (recording) {
+            extensions.push($build('jibri-recording-status', {
+                xmlns: NS_JIBRI,
+                'failure_reason': recording.error,
+                initiator: recording.initiator,
+                'recording_mode': recording.mode,
+                'session_id': recording.sessionId,
+                status: recording.status
+            }).tree());
+        }
+
+        return extensions;
+    }
+
+    /**
+     * Called when a client opens an XMPP socket.
+     *
+     * @param {SimulatedSocket} socket - The socket.
+     * @private
+     * @returns {void}
+     */
+    _onXmppOpen(socket) {
+        this._sessions.set(socket, {
+            authenticated: false,
+            domain: this.domain,
+            jid: undefined,
+            socket
+        });
+    }
+
+    /**
+     * Called when a client closes its XMPP socket, which makes it leave all
+     * the rooms.
+     *
+     * @param {SimulatedSocket} socket - The socket.
+     * @private
+     * @returns {void}
+     */
+    _onXmppClose(socket) {
+        const session = this._sessions.get(socket);
+
+        this._sessions.delete(socket);
+        if (!session || !session.jid) {
+            return;
+        }
+
+        for (const room of Array.from(this._rooms.values())) {
+            const occupant = room.getOccupantByJid(session.jid);
+
+            occupant && this._removeOccupant(room, occupant.nick);
+        }
+    }
+
+    /**
+     * Called when a client sends data over its XMPP socket.
+     *
+     * @param {SimulatedSocket} socket - The socket.
+     * @param {string} data - The data, a framed stanza (RFC 7395).
+     * @private
+     * @returns {void}
+     */
+    _onXmppMessage(socket, data) {
+        const session = this._sessions.get(socket);
+        const stanza = new DOMParser().parseFromString(data, 'text/xml').documentElement;
+
+        switch (stanza.nodeName) {
+        case 'open':
+            this._openStream(session, stanza);
+            break;
+        case 'close':
+            this._send(session, $build('close', { xmlns: NS_FRAMING }));
+            socket.disconnect();
+            break;
+        case 'auth':
+            this._authenticate(session, stanza);
+            break;
+        case 'iq':
+            session.authenticated && this._onIq(session, stanza);
+            break;
+        case 'message':
+            session.jid && this._onMessage(session, stanza);
+            break;
+        case 'presence':
+            session.jid && this._onPresence(session, stanza);
+            break;
+        default:
+            logger.warn(`Ignoring ${stanza.nodeName} from ${session.jid}`);
+        }
+    }
+
+    /**
+     * Opens, or restarts, the stream of a client.
+     *
+     * @param {Object} session - The session of the client.
+     * @param {Element} open - The open element the client sent.
+     * @private
+     * @returns {void}
+     */
+    _openStream(session, open) {
+        session.domain = open.getAttribute('to') || this.domain;
+
+        this._send(session, $build('open', {
+            xmlns: NS_FRAMING,
+            from: session.domain,
+            id: uuidv4(),
+            version: '1.0',
+            'xml:lang': 'en'
+        }));
+
+        const features = $build('stream:features', { 'xmlns:stream': NS_STREAM });
+
+        if (session.authenticated) {
+            features.c('bind', { xmlns: Strophe.NS.BIND });
+        } else {
+            features.c('mechanisms', { xmlns: NS_SASL })
+                .c('mechanism')
+                .t('ANONYMOUS')
+                .up()
+                .c('mechanism')
+                .t('PLAIN');
+        }
+
+        this._send(session, features);
+    }
+
+    /**
+     * Authenticates a client, any credentials are accepted.
+     *
+     * @param {Object} session - The session of the client.
+     * @param {Element} auth - The auth element.
+     * @private
+     * @returns {void}
+     */
+    _authenticate(session, auth) {
+        let node;
+
+        if (auth.getAttribute('mechanism') === 'PLAIN') {
+            // authzid NUL authcid NUL password
+            node = atob(auth.textContent).split('\0')[1];
+        } else {
+            node = uuidv4();
+        }
+
+        session.authenticated = true;
+        session.bareJid = `${node}@${session.domain}`;
+        this._send(session, $build('success', { xmlns: NS_SASL }));
+    }
+
+    /**
+     * Handles an IQ from a client.
+     *
+     * @param {Object} session - The session of the client.
+     * @param {Element} iq - The IQ.
+     * @private
+     * @returns {void}
+     */
+    _onIq(session, iq) {
+        const to = iq.getAttribute('to');
+        const type = iq.getAttribute('type');
+        const bareTo = to && Strophe.getBareJidFromJid(to);
+        const room = bareTo && this._rooms.get(bareTo);
+
+        if (type === 'result' || type === 'error') {
+            // Responses to IQs which were forwarded between participants.
+            room && this._forwardToOccupant(session, room, iq);
+
+            return;
+        }
+
+        if (!to || to === session.domain || to === this.domain || bareTo === session.bareJid) {
+            this._onServerIq(session, iq);
+        } else if (to === this.focusDomain) {
+            this._onConferenceIq(session, iq);
+        } else if (room && Strophe.getResourceFromJid(to) === FOCUS_NICK) {
+            this._onFocusIq(session, room, iq);
+        } else if (room && Strophe.getResourceFromJid(to)) {
+            this._forwardToOccupant(session, room, iq);
+        } else if (room) {
+            this._onRoomIq(session, room, iq);
+        } else if (!Strophe.getNodeFromJid(to) && findChild(iq, 'query', NS_DISCO_INFO)) {
+            // The other components have no features to advertise.
+            this._sendResult(session, iq, $build('query', { xmlns: NS_DISCO_INFO }));
+        } else {
+            this._sendError(session, iq, 'cancel', 'service-unavailable');
+        }
+    }
+
+    /**
+     * Handles an IQ addressed to the server.
+     *
+     * @param {Object} session - The session of the client.
+     * @param {Element} iq - The IQ.
+     * @private
+     * @returns {void}
+     */
+    _onServerIq(session, iq) {
+        const bind = findChild(iq, 'bind', Strophe.NS.BIND);
+
+        if (bind) {
+            session.jid = `${session.bareJid}/${findChildText(bind, 'resource') || generateId()}`;
+            this._sendResult(session, iq, $build('bind', { xmlns: Strophe.NS.BIND })
+                .c('jid')
+                .t(session.jid));
+        } else if (!session.jid) {
+            this._sendError(session, iq, 'auth', 'not-authorized');
+        } else if (findChild(iq, 'ping', NS_PING) || findChild(iq, 'session')) {
+            this._sendResult(session, iq);
+        } else if (findChild(iq, 'query', NS_DISCO_INFO)) {
+            const query = $build('query', { xmlns: NS_DISCO_INFO })
+                .c('identity', {
+                    category: 'server',
+                    name: 'ConferenceSimulator',
+                    type: 'im'
+                })
+                .up();
+
+            if (this._lobby) {
+                query.c('identity', {
+                    category: 'component',
+                    name: this.lobbyDomain,
+                    type: 'lobbyrooms'
+                }).up();
+            }
+            [ NS_DISCO_INFO, NS_PING ].forEach(feature => query.c('feature', { 'var': feature }).up());
+
+            this._sendResult(session, iq, query);
+        } else {
+            this._sendError(session, iq, 'cancel', 'service-unavailable');
+        }
+    }
+
+    /**
+     * Handles the request of a client for the focus to join a conference.
+     *
+     * @param {Object} session - The session of the client.
+     * @param {Element} iq - The IQ.
+     * @private
+     * @returns {void}
+     */
+    _onConferenceIq(session, iq) {
+        const conference = findChild(iq, 'conference', NS_FOCUS);
+        const roomJid = conference && conference.getAttribute('room');
+
+        if (!roomJid || Strophe.getDomainFromJid(roomJid) !== this.mucDomain) {
+            this._sendError(session, iq, 'modify', 'bad-request');
+
+            return;
+        }
+
+        const room = this._getOrCreateRoom(roomJid);
+
+        if (!room.focus) {
+            const focus = {
+                affiliation: 'owner',
+                jid: `${this.focusJid}/${FOCUS_NICK}`,
+                nick: FOCUS_NICK,
+                role: 'moderator'
+            };
+
+            focus.extensions = this._createFocusExtensions(room);
+            this._addOccupant(room, focus);
+        }
+
+        this._sendResult(session, iq, $build('conference', {
+            xmlns: NS_FOCUS,
+            focusjid: this.focusJid,
+            ready: 'true',
+            room: roomJid
+        }).c('property', {
+            name: 'authentication',
+            value: 'false'
+        }));
+    }
+
+    /**
+     * Handles an IQ addressed to the focus.
+     *
+     * @param {Object} session - The session of the client.
+     * @param {SimulatedRoom} room - The room of the focus.
+     * @param {Element} iq - The IQ.
+     * @private
+     * @returns {void}
+     */
+    _onFocusIq(session, room, iq) {
+        const sender = room.getOccupantByJid(session.jid);
+        const mute = findChild(iq, 'mute');
+        const jibri = findChild(iq, 'jibri', NS_JIBRI);
+
+        if (!sender) {
+            this._sendError(session, iq, 'cancel', 'not-acceptable');
+        } else if (findChild(iq, 'jingle', NS_JINGLE)) {
+            this._sendResult(session, iq);
+        } else if (mute) {
+            this._onMuteRequest(session, room, iq, mute);
+        } else if (jibri) {
+            this._onJibriRequest(session, room, iq, jibri);
+        } else {
+            this._sendError(session, iq, 'cancel', 'feature-not-implemented');
+        }
+    }
+
+    /**
+     * Handles the request of a moderator to mute a participant.
+     *
+     * @param {Object} session - The session of the moderator.
+     * @param {SimulatedRoom} room - The room.
+     * @param {Element} iq - The IQ.
+     * @param {Element} mute - The mute element.
+     * @private
+     * @returns {void}
+     */
+    _onMuteRequest(session, room, iq, mute) {
+        const sender = room.getOccupantByJid(session.jid);
+        const mediaType = mute.getAttribute('xmlns') === `${NS_JITMEET}/video` ? MediaType.VIDEO : MediaType.AUDIO;
+        const target = room.getOccupant(Strophe.getResourceFromJid(mute.getAttribute('jid') || ''));
+
+        if (sender.role !== 'moderator') {
+            this._sendError(session, iq, 'auth', 'forbidden');
+        } else if (!target || mute.textContent !== 'true') {
+            this._sendError(session, iq, 'modify', 'bad-request');
+        } else {
+            this._sendResult(session, iq);
+            this._mute(room, target, mediaType, room.getOccupantJid(sender));
+        }
+    }
+
+    /**
+     * Mutes a participant, simulated participants mute right away while the
+     * others are asked to.
+     *
+     * @param {SimulatedRoom} room - The room.
+     * @param {Object} occupant - The occupant to mute.
+     * @param {'audio'|'video'} mediaType - The type of the media to mute.
+     * @param {string} [actor] - The MUC JID of the moderator who muted.
+     * @private
+     * @returns {void}
+     */
+    _mute(room, occupant, mediaType, actor) {
+        if (occupant.simulated) {
+            occupant.simulated[mediaType === MediaType.VIDEO ? 'videoMuted' : 'audioMuted'] = true;
+            occupant.extensions = this._createSimulatedExtensions(occupant);
+            this._broadcastPresence(room, occupant);
+        } else if (occupant.session) {
+            this._send(occupant.session, $iq({
+                from: `${room.jid}/${FOCUS_NICK}`,
+                to: occupant.jid,
+                type: 'set'
+            }).c('mute', {
+                xmlns: `${NS_JITMEET}/${mediaType}`,
+                actor
+            })
+                .t('true'));
+        }
+    }
+
+    /**
+     * Handles the request of a moderator to start or stop recording.
+     *
+     * @param {Object} session - The session of the moderator.
+     * @param {SimulatedRoom} room - The room.
+     * @param {Element} iq - The IQ.
+     * @param {Element} jibri - The jibri element.
+     * @private
+     * @returns {void}
+     */
+    _onJibriRequest(session, room, iq, jibri) {
+        const sender = room.getOccupantByJid(session.jid);
+        const action = jibri.getAttribute('action');
+        const active = room.recording && room.recording.status !== 'off';
+
+        if (sender.role !== 'moderator') {
+            this._sendError(session, iq, 'auth', 'forbidden');
+        } else if (action === 'start' && !active) {
+            room.recording = {
+                initiator: room.getOccupantJid(sender),
+                mode: jibri.getAttribute('recording_mode') || 'file',
+                sessionId: uuidv4(),
+                status: 'pending'
+            };
+            this._sendResult(session, iq, $build('jibri', {
+                xmlns: NS_JIBRI,
+                'session_id': room.recording.sessionId
+            }));
+            this._setRecordingStatus(room, 'pending');
+
+            // The recorder takes a little while to start.
+            setTimeout(() => {
+                room.recording && room.recording.status === 'pending' && this._setRecordingStatus(room, 'on');
+            });
+        } else if (action === 'stop' && active) {
+            this._sendResult(session, iq);
+            room.recording.initiator = room.getOccupantJid(sender);
+            this._setRecordingStatus(room, 'off');
+        } else {
+            this._sendError(session, iq, 'cancel', action === 'start' ? 'conflict' : 'item-not-found');
+        }
+    }
+
+    /**
+     * Changes the status of the recording, which the focus advertises in its
+     * presence.
+     *
+     * @param {SimulatedRoom} room - The room.
+     * @param {string} status - The new status.
+     * @param {string} [error] - The failure reason.
+     * @private
+     * @returns {void}
+     */
+    _setRecordingStatus(room, status, error) {
+        room.recording.status = status;
+        room.recording.error = error;
+
+        const { focus } = room;
+
+        if (focus) {
+            focus.extensions = this._createFocusExtensions(room);
+            this._broadcastPresence(room, focus);
+        }
+    }
+
+    /**
+     * Handles an IQ addressed to a room.
+     *
+     * @param {Object} session - The session of the client.
+     * @param {SimulatedRoom} room - The room.
+     * @param {Element} iq - The IQ.
+     * @private
+     * @returns {void}
+     */
+    _onRoomIq(session, room, iq) {
+        const sender = room.getOccupantByJid(session.jid);
+        const isOwner = sender && sender.affiliation === 'owner';
+        const type = iq.getAttribute('type');
+
+        if (findChild(iq, 'query', NS_DISCO_INFO)) {
+            this._sendResult(session, iq, this._createRoomInfo(room));
+        } else if (!isOwner) {
+            this._sendError(session, iq, 'auth', 'forbidden');
+        } else if (findChild(iq, 'query', NS_MUC_OWNER) && type === 'get') {
+            this._sendResult(session, iq, this._createRoomConfigForm(room));
+        } else if (findChild(iq, 'query', NS_MUC_OWNER)) {
+            this._configureRoom(room, findChild(findChild(iq, 'query'), 'x', NS_DATA_FORMS));
+            this._sendResult(session, iq);
+        } else if (findChild(iq, 'query', NS_MUC_ADMIN)) {
+            this._sendResult(session, iq);
+            Array.from(findChild(iq, 'query').childNodes)
+                .filter(item => item.nodeName === 'item')
+                .forEach(item => this._applyAdminItem(room, sender, item));
+        } else {
+            this._sendError(session, iq, 'cancel', 'service-unavailable');
+        }
+    }
+
+    /**
+     * Creates the disco info of a room.
+     *
+     * @param {SimulatedRoom} room - The room.
+     * @private
+     * @returns {Strophe.Builder}
+     */
+    _createRoomInfo(room) {
+        const query = $build('query', { xmlns: NS_DISCO_INFO })
+            .c('identity', {
+                category: 'conference',
+                name: room.name,
+                type: 'text'
+            })
+            .up();
+        const features = [ NS_MUC, room.password ? 'muc_passwordprotected' : 'muc_unsecured' ];
+
+        room.membersOnly && features.push('muc_membersonly');
+        features.forEach(feature => query.c('feature', { 'var': feature }).up());
+
+        const fields = {
+            'FORM_TYPE': 'http://jabber.org/protocol/muc#roominfo',
+            'muc#roominfo_meetingId': room.meetingId
+        };
+
+        if (room.membersOnly && room.lobbyJid) {
+            fields['muc#roominfo_lobbyroom'] = room.lobbyJid;
+        }
+
+        return this._addDataForm(query, 'result', fields);
+    }
+
+    /**
+     * Creates the configuration form of a room.
+     *
+     * @param {SimulatedRoom} room - The room.
+     * @private
+     * @returns {Strophe.Builder}
+     */
+    _createRoomConfigForm(room) {
+        const fields = {
+            'FORM_TYPE': 'http://jabber.org/protocol/muc#roomconfig',
+            'muc#roomconfig_passwordprotectedroom': room.password ? '1' : '0',
+            'muc#roomconfig_roomsecret': room.password || '',
+            'muc#roomconfig_whois': 'anyone'
+        };
+
+        if (room.lobbyJid) {
+            fields['muc#roomconfig_membersonly'] = room.membersOnly ? 'true' : 'false';
+        }
+
+        return this._addDataForm($build('query', { xmlns: NS_MUC_OWNER }), 'form', fields);
+    }
+
+    /**
+     * Adds a data form to an element.
+     *
+     * @param {Strophe.Builder} builder - The builder of the element.
+     * @param {string} type - The type of the form.
+     * @param {Object} fields - The values of the fields, by name.
+     * @private
+     * @returns {Strophe.Builder}
+     */
+    _addDataForm(builder, type, fields) {
+        builder.c('x', {
+            xmlns: NS_DATA_FORMS,
+            type
+        });
+        Object.keys(fields).forEach(name => {
+            builder.c('field', { 'var': name })
+                .c('value')
+                .t(fields[name])
+                .up()
+                .up();
+        });
+
+        return builder.up();
+    }
+
+    /**
+     * Applies a submitted room configuration form.
+     *
+     * @param {SimulatedRoom} room - The room.
+     * @param {Element} [form] - The form.
+     * @private
+     * @returns {void}
+     */
+    _configureRoom(room, form) {
+        const values = {};
+
+        form && Array.from(form.childNodes)
+            .filter(field => field.nodeName === 'field')
+            .forEach(field => {
+                values[field.getAttribute('var')] = findChildText(field, 'value');
+            });
+
+        const secret = values['muc#roomconfig_roomsecret'];
+        const passwordProtected = values['muc#roomconfig_passwordprotectedroom'];
+        const membersOnly = values['muc#roomconfig_membersonly'];
+
+        if (typeof secret !== 'undefined') {
+            room.password = secret || undefined;
+        }
+        if (passwordProtected === '0' || passwordProtected === 'false') {
+            room.password = undefined;
+        }
+        if (typeof membersOnly !== 'undefined' && room.lobbyJid) {
+            const enabled = membersOnly === 'true' || membersOnly === '1';
+
+            if (room.membersOnly && !enabled) {
+                // The participants waiting in the lobby are let in.
+                this._destroyRoom(this._rooms.get(room.lobbyJid), room.jid);
+            }
+            if (enabled) {
+                room.getParticipants().forEach(occupant => room.members.add(Strophe.getBareJidFromJid(occupant.jid)));
+            }
+            room.membersOnly = enabled;
+        }
+
+        // Status code 104 tells the occupants to fetch the new configuration.
+        this._broadcast(room, occupant => $msg({
+            from: room.jid,
+            to: occupant.jid,
+            type: 'groupchat'
+        }).c('x', { xmlns: NS_MUC_USER })
+            .c('status', { code: '104' }));
+    }
+
+    /**
+     * Applies an item of a MUC admin request: changes the affiliation of a
+     * user or kicks an occupant.
+     *
+     * @param {SimulatedRoom} room - The room.
+     * @param {Object} sender - The occupant which sent the request.
+     * @param {Element} item - The item.
+     * @private
+     * @returns {void}
+     */
+    _applyAdminItem(room, sender, item) {
+        const affiliation = item.getAttribute('affiliation');
+        const jid = item.getAttribute('jid');
+        const nick = item.getAttribute('nick');
+        const occupant = nick ? room.getOccupant(nick) : jid && room.getOccupantByJid(jid);
+
+        if (item.getAttribute('role') === 'none' && occupant) {
+            this._removeOccupant(room, occupant.nick, {
+                actor: sender.nick,
+                kicked: true,
+                reason: findChildText(item, 'reason')
+            });
+        } else if (affiliation && occupant) {
+            room.setAffiliation(occupant, affiliation);
+            this._broadcastPresence(room, occupant);
+        } else if (affiliation === 'member' && jid) {
+            room.members.add(Strophe.getBareJidFromJid(jid));
+        }
+    }
+
+    /**
+     * Handles a presence from a client, which joins, updates its presence in or
+     * leaves a room.
+     *
+     * @param {Object} session - The session of the client.
+     * @param {Element} pres - The presence.
+     * @private
+     * @returns {void}
+     */
+    _onPresence(session, pres) {
+        const to = pres.getAttribute('to');
+        const nick = to && Strophe.getResourceFromJid(to);
+        const roomJid = to && Strophe.getBareJidFromJid(to);
+
+        if (!nick || ![ this.mucDomain, this.lobbyDomain ].includes(Strophe.getDomainFromJid(roomJid))) {
+            return;
+        }
+
+        const room = pres.getAttribute('type') === 'unavailable'
+            ? this._rooms.get(roomJid) : this._getOrCreateRoom(roomJid);
+        const occupant = room && room.getOccupantByJid(session.jid);
+
+        if (pres.getAttribute('type') === 'unavailable') {
+            occupant && this._removeOccupant(room, occupant.nick);
+        } else if (occupant) {
+            occupant.extensions = getPresenceExtensions(pres);
+            this._broadcastPresence(room, occupant);
+        } else {
+            this._join(session, room, nick, pres);
+        }
+    }
+
+    /**
+     * Handles the request of a client to join a room.
+     *
+     * @param {Object} session - The session of the client.
+     * @param {SimulatedRoom} room - The room.
+     * @param {string} nick - The requested nickname.
+     * @param {Element} pres - The presence.
+     * @private
+     * @returns {void}
+     */
+    _join(session, room, nick, pres) {
+        const x = findChild(pres, 'x', NS_MUC);
+        const password = x && findChildText(x, 'password');
+        let error;
+
+        if (room.getOccupant(nick)) {
+            error = $build('error', { type: 'cancel' }).c('conflict', { xmlns: NS_STANZAS });
+        } else if (room.password && password !== room.password) {
+            error = $build('error', { type: 'auth' }).c('not-authorized', { xmlns: NS_STANZAS });
+        } else if (room.membersOnly && !room.isMember(session.jid)) {
+            error = $build('error', { type: 'auth' }).c('registration-required', { xmlns: NS_STANZAS });
+        }
+
+        if (error) {
+            const reply = $pres({
+                from: `${room.jid}/${nick}`,
+                to: session.jid,
+                type: 'error'
+            }).c('x', { xmlns: NS_MUC })
+                .up()
+                .cnode(error.tree())
+                .up();
+
+            room.membersOnly && room.lobbyJid && reply.c('lobbyroom', { xmlns: NS_JITMEET }).t(room.lobbyJid);
+            this._send(session, reply);
+
+            return;
+        }
+
+        this._addOccupant(room, {
+            extensions: getPresenceExtensions(pres),
+            jid: session.jid,
+            nick,
+            session
+        });
+    }
+
+    /**
+     * Adds an occupant to a room and lets everyone know.
+     *
+     * @param {SimulatedRoom} room - The room.
+     * @param {Object} occupant - The occupant.
+     * @private
+     * @returns {void}
+     */
+    _addOccupant(room, occupant) {
+        if (!occupant.affiliation) {
+            room.setAffiliation(occupant, room.getJoinAffiliation(occupant.jid, this._allModerators));
+        }
+
+        // The new occupant gets the presence of everyone, then everyone gets
+        // its presence, itself last.
+        if (occupant.session) {
+            room.occupants.forEach(other => this._send(occupant.session, this._createPresence(room, other, occupant)));
+        }
+        room.occupants.set(occupant.nick, occupant);
+        this._broadcastPresence(room, occupant);
+
+        if (occupant.session && room.subject) {
+            this._send(occupant.session, $msg({
+                from: room.jid,
+                to: occupant.jid,
+                type: 'groupchat'
+            }).c('subject')
+                .t(room.subject));
+        }
+
+        if (occupant.session && this._media && room.focus && !room.isLobby) {
+            this._sendSessionInitiate(room, occupant);
+        }
+
+        logger.info(`${occupant.nick} joined ${room.jid}`);
+    }
+
+    /**
+     * Removes an occupant from a room and lets everyone know.
+     *
+     * @param {SimulatedRoom} room - The room.
+     * @param {string} nick - The nickname of the occupant.
+     * @param {Object} [options]
+     * @param {string} [options.actor] - The nickname of who kicked the
+     * occupant.
+     * @param {boolean} [options.kicked] - Whether the occupant was kicked.
+     * @param {string} [options.reason] - The reason of the kick.
+     * @private
+     * @returns {void}
+     */
+    _removeOccupant(room, nick, options = {}) {
+        const occupant = room.getOccupant(nick);
+
+        if (!occupant) {
+            return;
+        }
+
+        this._broadcastPresence(room, occupant, {
+            ...options,
+            type: 'unavailable'
+        });
+        room.occupants.delete(nick);
+
+        logger.info(`${nick} left ${room.jid}`);
+
+        if (room.isEmpty()) {
+            this._destroyRoom(room);
+
+            return;
+        }
+
+        // Like the focus does, make sure there is always a moderator.
+        if (!room.isLobby && !room.hasOwner()) {
+            const [ next ] = room.getParticipants();
+
+            room.setAffiliation(next, 'owner');
+            this._broadcastPresence(room, next);
+        }
+    }
+
+    /**
+     * Destroys a room, making its occupants leave.
+     *
+     * @param {SimulatedRoom} [room] - The room.
+     * @param {string} [alternateJid] - The JID of the room the occupants
+     * should join instead.
+     * @private
+     * @returns {void}
+     */
+    _destroyRoom(room, alternateJid) {
+        if (!room || this._rooms.get(room.jid) !== room) {
+            return;
+        }
+
+        this._rooms.delete(room.jid);
+        this.bridge.expire(room.meetingId);
+
+        room.getParticipants().forEach(occupant => {
+            if (occupant.session) {
+                this._send(occupant.session, $pres({
+                    from: room.getOccupantJid(occupant),
+                    to: occupant.jid,
+                    type: 'unavailable'
+                }).c('x', { xmlns: NS_MUC_USER })
+                    .c('destroy', alternateJid ? { jid: alternateJid } : {}));
+            } else if (alternateJid) {
+                this._addOccupant(this._getOrCreateRoom(alternateJid), {
+                    extensions: occupant.extensions,
+                    jid: occupant.jid,
+                    nick: occupant.nick,
+                    simulated: occupant.simulated
+                });
+            }
+        });
+
+        if (room.lobbyJid) {
+            this._destroyRoom(this._rooms.get(room.lobbyJid));
+        }
+
+        logger.info(`Destroyed room ${room.jid}`);
+    }
+
+    /**
+     * Sends the presence of an occupant to every occupant of a room.
+     *
+     * @param {SimulatedRoom} room - The room.
+     * @param {Object} occupant - The occupant whose presence is sent.
+     * @param {Object} [options] - See {@link ConferenceSimulator#_createPresence}.
+     * @private
+     * @returns {void}
+     */
+    _broadcastPresence(room, occupant, options) {
+        this._broadcast(room, to => this._createPresence(room, occupant, to, options));
+    }
+
+    /**
+     * Creates the presence of an occupant, as sent to another occupant.
+     *
+     * @param {SimulatedRoom} room - The room.
+     * @param {Object} occupant - The occupant whose presence is sent.
+     * @param {Object} to - The occupant which receives the presence.
+     * @param {Object} [options]
+     * @param {string} [options.type] - The type of the presence.
+     * @param {string} [options.actor] - The nickname of who kicked the
+     * occupant.
+     * @param {boolean} [options.kicked] - Whether the occupant was kicked.
+     * @param {string} [options.reason] - The reason of the kick.
+     * @private
+     * @returns {Strophe.Builder}
+     */
+    _createPresence(room, occupant, to, { type, actor, kicked, reason } = {}) {
+        const pres = $pres({
+            from: room.getOccupantJid(occupant),
+            to: to.jid,
+            type
+        });
+
+        type || occupant.extensions.forEach(extension => pres.cnode(extension).up());
+
+        pres.c('x', { xmlns: NS_MUC_USER })
+            .c('item', {
+                affiliation: occupant.affiliation,
+                jid: occupant.jid,
+                role: type === 'unavailable' ? 'none' : occupant.role
+            });
+        actor && pres.c('actor', { nick: actor }).up();
+        reason && pres.c('reason').t(reason)
+            .up();
+        pres.up();
+
+        kicked && pres.c('status', { code: '307' }).up();
+        to === occupant && pres.c('status', { code: '110' }).up();
+
+        return pres;
+    }
+
+    /**
+     * Handles a message from a client.
+     *
+     * @param {Object} session - The session of the client.
+     * @param {Element} message - The message.
+     * @private
+     * @returns {void}
+     */
+    _onMessage(session, message) {
+        const to = message.getAttribute('to');
+        const room = to && this._rooms.get(Strophe.getBareJidFromJid(to));
+        const sender = room && room.getOccupantByJid(session.jid);
+        const x = findChild(message, 'x', NS_MUC_USER);
+        const invite = x && findChild(x, 'invite');
+
+        if (!room) {
+            logger.debug(`Ignoring message to ${to}`);
+        } else if (invite) {
+            sender && sender.role === 'moderator' && this._invite(room, sender, invite.getAttribute('to'));
+        } else if (!sender) {
+            logger.warn(`Ignoring message from ${session.jid} which is not in ${room.jid}`);
+        } else if (Strophe.getResourceFromJid(to)) {
+            this._forwardToOccupant(session, room, message);
+        } else if (message.getAttribute('type') === 'groupchat') {
+            const subject = findChild(message, 'subject');
+
+            if (subject) {
+                room.subject = subject.textContent;
+            }
+            this._broadcast(room, occupant => this._copyStanza(message, room.getOccupantJid(sender), occupant.jid));
+        }
+    }
+
+    /**
+     * Lets a user waiting in the lobby join a members only room.
+     *
+     * @param {SimulatedRoom} room - The room.
+     * @param {Object} sender - The moderator who invited.
+     * @param {string} jid - The JID of the invited user.
+     * @private
+     * @returns {void}
+     */
+    _invite(room, sender, jid) {
+        room.members.add(Strophe.getBareJidFromJid(jid));
+
+        const lobby = this._rooms.get(room.lobbyJid);
+        const waiting = lobby && lobby.getOccupantByJid(jid);
+
+        if (waiting && waiting.simulated) {
+            this._removeOccupant(lobby, waiting.nick);
+            this._addOccupant(room, {
+                extensions: waiting.extensions,
+                jid: waiting.jid,
+                nick: waiting.nick,
+                simulated: waiting.simulated
+            });
+
+            return;
+        }
+
+        const session = Array.from(this._sessions.values()).find(s => s.jid === jid);
+
+        session && this._send(session, $msg({
+            from: room.jid,
+            to: jid
+        }).c('x', { xmlns: NS_MUC_USER })
+            .c('invite', { from: room.getOccupantJid(sender) }));
+    }
+
+    /**
+     * Forwards a stanza sent by an occupant to another occupant of a room.
+     *
+     * @param {Object} session - The session of the sender.
+     * @param {SimulatedRoom} room - The room.
+     * @param {Element} stanza - The stanza.
+     * @private
+     * @returns {void}
+     */
+    _forwardToOccupant(session, room, stanza) {
+        const sender = room.getOccupantByJid(session.jid);
+        const recipient = room.getOccupant(Strophe.getResourceFromJid(stanza.getAttribute('to')));
+        const isRequest = stanza.nodeName === 'iq' && [ 'get', 'set' ].includes(stanza.getAttribute('type'));
+
+        if (!sender || !recipient) {
+            isRequest && this._sendError(session, stanza, 'cancel', 'item-not-found');
+        } else if (recipient.session) {
+            this._send(recipient.session, this._copyStanza(stanza, room.getOccupantJid(sender), recipient.jid));
+        } else if (isRequest) {
+            // The simulated participants accept everything.
+            this._sendResult(session, stanza);
+        }
+    }
+
+    /**
+     * Makes a simulated participant send a message.
+     *
+     * @param {string} roomName - The name of the conference.
+     * @param {string} id - The id of the sender.
+     * @param {Strophe.Builder} payload - The payload of the message.
+     * @param {string} [to] - The id of the recipient, everyone if missing.
+     * @private
+     * @returns {void}
+     */
+    _sendFromParticipant(roomName, id, payload, to) {
+        const { occupant, room } = this._getSimulatedParticipant(roomName, id);
+        const from = room.getOccupantJid(occupant);
+        const create = recipient => $msg({
+            from,
+            to: recipient.jid,
+            type: to ? 'chat' : 'groupchat'
+        }).cnode(payload.tree());
+
+        if (to) {
+            const recipient = room.getOccupant(to);
+
+            recipient && recipient.session && this._send(recipient.session, create(recipient));
+        } else {
+            this._broadcast(room, create);
+        }
+    }
+
+    /**
+     * Sends the session-initiate of the focus to an occupant, offering a
+     * session with the simulated bridge.
+     *
+     * @param {SimulatedRoom} room - The room.
+     * @param {Object} occupant - The occupant.
+     * @private
+     * @returns {void}
+     */
+    _sendSessionInitiate(room, occupant) {
+        const focusJid = `${room.jid}/${FOCUS_NICK}`;
+        const iq = $iq({
+            from: focusJid,
+            to: occupant.jid,
+            type: 'set'
+        }).c('jingle', {
+            xmlns: NS_JINGLE,
+            action: 'session-initiate',
+            initiator: focusJid,
+            sid: generateId()
+        });
+
+        [ MediaType.AUDIO, MediaType.VIDEO ].forEach(media => {
+            iq.c('content', {
+                creator: 'initiator',
+                name: media,
+                senders: 'both'
+            }).c('description', {
+                xmlns: 'urn:xmpp:jingle:apps:rtp:1',
+                media
+            });
+
+            if (media === MediaType.AUDIO) {
+                iq.c('payload-type', {
+                    channels: '2',
+                    clockrate: '48000',
+                    id: '111',
+                    name: 'opus'
+                }).up();
+            } else {
+                iq.c('payload-type', {
+                    clockrate: '90000',
+                    id: '100',
+                    name: 'VP8'
+                }).c('rtcp-fb', {
+                    xmlns: 'urn:xmpp:jingle:apps:rtp:rtcp-fb:0',
+                    type: 'nack'
+                })
+                    .up()
+                    .up();
+            }
+
+            iq.c('rtcp-mux')
+                .up()
+                .up()
+                .c('transport', {
+                    xmlns: 'urn:xmpp:jingle:transports:ice-udp:1',
+                    pwd: 'simulatorsimulatorsimula',
+                    ufrag: 'simu'
+                })
+                .c('fingerprint', {
+                    xmlns: 'urn:xmpp:jingle:apps:dtls:0',
+                    hash: 'sha-256',
+                    setup: 'actpass'
+                })
+                .t(BRIDGE_FINGERPRINT)
+                .up()
+                .c('web-socket', {
+                    xmlns: 'http://jitsi.org/protocol/colibri',
+                    url: this.bridge.getUrl(room.meetingId, occupant.nick)
+                })
+                .up()
+                .up()
+                .up();
+        });
+
+        iq.c('group', {
+            xmlns: 'urn:xmpp:jingle:apps:grouping:0',
+            semantics: 'BUNDLE'
+        })
+            .c('content', { name: MediaType.AUDIO })
+            .up()
+            .c('content', { name: MediaType.VIDEO });
+
+        this._send(occupant.session, iq);
+    }
+
+    /**
+     * Copies a stanza, changing its addresses.
+     *
+     * @param {Element} stanza - The stanza.
+     * @param {string} from - The new sender.
+     * @param {string} to - The new recipient.
+     * @private
+     * @returns {Strophe.Builder}
+     */
+    _copyStanza(stanza, from, to) {
+        const attrs = {
+            from,
+            id: stanza.getAttribute('id') || undefined,
+            to,
+            type: stanza.getAttribute('type') || undefined
+        };
+        const copy = stanza.nodeName === 'iq' ? $iq(attrs) : $msg(attrs);
+
+        Array.from(stanza.childNodes)
+            .filter(child => child.nodeType === 1)
+            .forEach(child => copy.cnode(child).up());
+
+        return copy;
+    }
+
+    /**
+     * Sends a stanza to every occupant of a room which is connected through a
+     * socket.
+     *
+     * @param {SimulatedRoom} room - The room.
+     * @param {Function} createStanza - Creates the stanza for an occupant.
+     * @private
+     * @returns {void}
+     */
+    _broadcast(room, createStanza) {
+        room.occupants.forEach(occupant => occupant.session && this._send(occupant.session, createStanza(occupant)));
+    }
+
+    /**
+     * Sends the result of an IQ.
+     *
+     * @param {Object} session - The session of the client.
+     * @param {Element} iq - The IQ.
+     * @param {Strophe.Builder} [payload] - The payload of the result.
+     * @private
+     * @returns {void}
+     */
+    _sendResult(session, iq, payload) {
+        const result = $iq({
+            from: iq.getAttribute('to') || session.domain,
+            id: iq.getAttribute('id'),
+            to: session.jid,
+            type: 'result'
+        });
+
+        payload && result.cnode(payload.tree());
+        this._send(session, result);
+    }
+
+    /**
+     * Sends an error in response to a stanza.
+     *
+     * @param {Object} session - The session of the client.
+     * @param {Element} stanza - The stanza.
+     * @param {string} type - The type of the error.
+     * @param {string} condition - The defined condition of the error.
+     * @private
+     * @returns {void}
+     */
+    _sendError(session, stanza, type, condition) {
+        this._send(session, $iq({
+            from: stanza.getAttribute('to') || session.domain,
+            id: stanza.getAttribute('id'),
+            to: session.jid,
+            type: 'error'
+        }).c('error', { type })
+            .c(condition, { xmlns: NS_STANZAS }));
+    }
+
+    /**
+     * Sends a stanza to a client.
+     *
+     * @param {Object} session - The session of the client.
+     * @param {Strophe.Builder} stanza - The stanza.
+     * @private
+     * @returns {void}
+     */
+    _send(session, stanza) {
+        session.socket.deliver(Strophe.serialize(stanza.tree()));
+    }
+}
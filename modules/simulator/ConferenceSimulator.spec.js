@@ -0,0 +1,330 @@
+import * as JitsiConferenceErrors from '../../JitsiConferenceErrors';
+import * as JitsiConferenceEvents from '../../JitsiConferenceEvents';
+import JitsiConnection from '../../JitsiConnection';
+import * as JitsiConnectionEvents from '../../JitsiConnectionEvents';
+
+import ConferenceSimulator from './ConferenceSimulator';
+
+/**
+ * Waits for the sockets to deliver what is queued, and what the simulator
+ * sends in response.
+ *
+ * @returns {Promise}
+ */
+async function flush() {
+    for (let i = 0; i < 10; i++) {
+        await new Promise(resolve => setTimeout(resolve));
+    }
+}
+
+/**
+ * Waits for an event.
+ *
+ * @param {Object} emitter - The object emitting the event.
+ * @param {string} event - The name of the event.
+ * @param {Function} [predicate] - Tells whether the event, given its arguments, is the awaited one.
+ * @returns {Promise<Array>} The arguments of the event.
+ */
+function waitFor(emitter, event, predicate = () => true) {
+    return new Promise(resolve => {
+        const listener = (...args) => {
+            if (predicate(...args)) {
+                emitter.removeEventListener(event, listener);
+                resolve(args);
+            }
+        };
+
+        emitter.addEventListener(event, listener);
+    });
+}
+
+/**
+ * Connects a {@link JitsiConnection} to a simulator.
+ *
+ * @param {ConferenceSimulator} simulator - The simulator.
+ * @returns {Promise<JitsiConnection>}
+ */
+async function connect(simulator) {
+    const connection = new JitsiConnection(null, null, simulator.getConnectionOptions());
+    const established = waitFor(connection, JitsiConnectionEvents.CONNECTION_ESTABLISHED);
+
+    connection.connect();
+    await established;
+
+    return connection;
+}
+
+/**
+ * Creates a conference. No peer to peer session is started between the participants, media is not simulated.
+ *
+ * @param {JitsiConnection} connection - The connection.
+ * @param {string} roomName - The name of the conference.
+ * @returns {JitsiConference}
+ */
+function createConference(connection, roomName) {
+    return connection.initJitsiConference(roomName, { p2p: { enabled: false } });
+}
+
+/**
+ * Joins a conference.
+ *
+ * @param {JitsiConnection} connection - The connection.
+ * @param {string} roomName - The name of the conference.
+ * @returns {Promise<JitsiConference>}
+ */
+async function join(connection, roomName) {
+    const conference = createConference(connection, roomName);
+    const joined = waitFor(conference, JitsiConferenceEvents.CONFERENCE_JOINED);
+
+    conference.join();
+    await joined;
+
+    return conference;
+}
+
+/**
+ * A minimal XMPP client of a simulator, sending raw stanzas.
+ */
+class TestClient {
+    /**
+     * Opens the socket of the client.
+     *
+     * @param {ConferenceSimulator} simulator - The simulator.
+     */
+    constructor(simulator) {
+        this.received = [];
+        this.socket = simulator.createWebSocket(simulator.serviceUrl, 'xmpp');
+        this.socket.onmessage = ({ data }) => this.received.push(
+            new DOMParser().parseFromString(data, 'text/xml').documentElement);
+    }
+
+    /**
+     * Authenticates and binds a resource.
+     *
+     * @returns {Promise<string>} The JID of the client.
+     */
+    async connect() {
+        await flush();
+        this.send('<open xmlns="urn:ietf:params:xml:ns:xmpp-framing" to="simulator.jitsi.test" version="1.0"/>');
+        this.send('<auth xmlns="urn:ietf:params:xml:ns:xmpp-sasl" mechanism="ANONYMOUS"/>');
+        this.send('<open xmlns="urn:ietf:params:xml:ns:xmpp-framing" to="simulator.jitsi.test" version="1.0"/>');
+        this.send('<iq xmlns="jabber:client" type="set" id="bind">'
+            + '<bind xmlns="urn:ietf:params:xml:ns:xmpp-bind"><resource>test</resource></bind></iq>');
+        await flush();
+
+        return this.take('iq').querySelector('jid').textContent;
+    }
+
+    /**
+     * Sends a frame.
+     *
+     * @param {string} data - The frame.
+     * @returns {void}
+     */
+    send(data) {
+        this.socket.send(data);
+    }
+
+    /**
+     * Returns the received stanzas with a given name and forgets all the
+     * received ones.
+     *
+     * @param {string} name - The name of the stanzas.
+     * @returns {Array<Element>}
+     */
+    takeAll(name) {
+        const stanzas = this.received.filter(stanza => stanza.nodeName === name);
+
+        this.received = [];
+
+        return stanzas;
+    }
+
+    /**
+     * Returns the last received stanza with a given name.
+     *
+     * @param {string} name - The name of the stanza.
+     * @returns {Element|undefined}
+     */
+    take(name) {
+        return this.takeAll(name).pop();
+    }
+}
+
+describe('ConferenceSimulator', () => {
+    const roomJid = 'room@conference.simulator.jitsi.test';
+    let client, simulator;
+
+    beforeEach(async () => {
+        simulator = new ConferenceSimulator();
+        client = new TestClient(simulator);
+        await client.connect();
+    });
+
+    afterEach(() => simulator.stop());
+
+    it('makes the first participant a moderator', async () => {
+        client.send(`<presence xmlns="jabber:client" to="${roomJid}/me">`
+            + '<x xmlns="http://jabber.org/protocol/muc"/><nick xmlns="http://jabber.org/protocol/nick">Me</nick>'
+            + '</presence>');
+        await flush();
+
+        const own = client.take('presence');
+
+        expect(own.getAttribute('from')).toBe(`${roomJid}/me`);
+        expect(own.querySelector('status[code="110"]')).not.toBeNull();
+        expect(own.querySelector('item').getAttribute('role')).toBe('moderator');
+
+        const id = simulator.addParticipant('room', { displayName: 'Simulated' });
+
+        await flush();
+
+        const other = client.take('presence');
+
+        expect(other.getAttribute('from')).toBe(`${roomJid}/${id}`);
+        expect(other.querySelector('nick').textContent).toBe('Simulated');
+        expect(other.querySelector('item').getAttribute('role')).toBe('participant');
+        expect(simulator.getParticipants('room').map(p => p.id)).toEqual([ 'me', id ]);
+    });
+
+    it('refuses to let non members in a members only room', async () => {
+        client.send(`<presence xmlns="jabber:client" to="${roomJid}/owner">`
+            + '<x xmlns="http://jabber.org/protocol/muc"/></presence>');
+        client.send(`<iq xmlns="jabber:client" type="set" to="${roomJid}" id="config">`
+            + '<query xmlns="http://jabber.org/protocol/muc#owner"><x xmlns="jabber:x:data" type="submit">'
+            + '<field var="muc#roomconfig_membersonly"><value>true</value></field></x></query></iq>');
+        await flush();
+
+        expect(client.take('iq').getAttribute('type')).toBe('result');
+
+        const other = new TestClient(simulator);
+
+        await other.connect();
+        other.send(`<presence xmlns="jabber:client" to="${roomJid}/other">`
+            + '<x xmlns="http://jabber.org/protocol/muc"/></presence>');
+        await flush();
+
+        const error = other.take('presence');
+
+        expect(error.getAttribute('type')).toBe('error');
+        expect(error.querySelector('registration-required')).not.toBeNull();
+        expect(error.querySelector('lobbyroom').textContent).toBe('room@lobby.simulator.jitsi.test');
+        expect(simulator.getParticipants('room').map(p => p.id)).toEqual([ 'owner' ]);
+    });
+
+    describe('with a JitsiConnection', () => {
+        let conference, connections;
+
+        beforeEach(async () => {
+            connections = [ await connect(simulator) ];
+            conference = await join(connections[0], 'room');
+        });
+
+        afterEach(() => connections.forEach(connection => connection.disconnect()));
+
+        it('joins a conference as its first moderator', async () => {
+            expect(conference.isModerator()).toBe(true);
+            expect(simulator.getParticipants('room').map(p => p.id)).toEqual([ conference.myUserId() ]);
+
+            const joined = waitFor(conference, JitsiConferenceEvents.USER_JOINED);
+            const id = simulator.addParticipant('room', { displayName: 'Simulated' });
+            const [ joinedId, participant ] = await joined;
+
+            expect(joinedId).toBe(id);
+            expect(participant.getDisplayName()).toBe('Simulated');
+            expect(participant.isModerator()).toBe(false);
+
+            const left = waitFor(conference, JitsiConferenceEvents.USER_LEFT);
+
+            simulator.removeParticipant('room', id);
+            expect((await left)[0]).toBe(id);
+            expect(conference.getParticipantById(id)).toBeUndefined();
+        });
+
+        it('lets the participants of several connections see each other', async () => {
+            const joined = waitFor(conference, JitsiConferenceEvents.USER_JOINED);
+
+            connections.push(await connect(simulator));
+
+            const other = await join(connections[1], 'room');
+
+            expect((await joined)[0]).toBe(other.myUserId());
+            expect(other.isModerator()).toBe(false);
+            expect(other.getParticipantById(conference.myUserId()).isModerator()).toBe(true);
+        });
+
+        it('mutes the local participant on behalf of a moderator', async () => {
+            const id = simulator.addParticipant('room');
+
+            await waitFor(conference, JitsiConferenceEvents.USER_JOINED);
+
+            const muted = waitFor(conference, JitsiConferenceEvents.MUTED_BY_MODERATOR);
+
+            simulator.muteParticipant('room', conference.myUserId(), 'audio', id);
+
+            const [ mediaType, actor ] = await muted;
+
+            expect(mediaType).toBe('audio');
+            expect(actor.getId()).toBe(id);
+            expect(conference.isMutedByFocus).toBe(true);
+        });
+
+        it('mutes a simulated participant when a moderator asks to', async () => {
+            const id = simulator.addParticipant('room');
+
+            await waitFor(conference, JitsiConferenceEvents.USER_JOINED);
+            conference.muteParticipant(id, 'video');
+            await flush();
+
+            const [ participant ] = simulator.getParticipants('room').filter(p => p.simulated);
+
+            expect(participant.videoMuted).toBe(true);
+            expect(participant.audioMuted).toBe(false);
+        });
+
+        it('keeps the participants in the lobby until a moderator lets them in', async () => {
+            const membersOnly = waitFor(conference, JitsiConferenceEvents.MEMBERS_ONLY_CHANGED, enabled => enabled);
+
+            await conference.enableLobby();
+            await membersOnly;
+
+            const knocked = waitFor(conference, JitsiConferenceEvents.LOBBY_USER_JOINED);
+            const id = simulator.addParticipant('room', { displayName: 'Waiting' });
+
+            expect((await knocked).slice(0, 2)).toEqual([ id, 'Waiting' ]);
+            expect(conference.getParticipantById(id)).toBeUndefined();
+
+            const joined = waitFor(conference, JitsiConferenceEvents.USER_JOINED);
+
+            conference.lobbyApproveAccess(id);
+            expect((await joined)[0]).toBe(id);
+        });
+
+        it('refuses to let the other connections join a conference with a lobby', async () => {
+            await conference.enableLobby();
+            connections.push(await connect(simulator));
+
+            const other = createConference(connections[1], 'room');
+            const failed = waitFor(other, JitsiConferenceEvents.CONFERENCE_FAILED);
+
+            other.join();
+            expect((await failed)[0]).toBe(JitsiConferenceErrors.MEMBERS_ONLY_ERROR);
+        });
+
+        it('records a conference', async () => {
+            const on = waitFor(conference, JitsiConferenceEvents.RECORDER_STATE_CHANGED,
+                session => session.getStatus() === 'on');
+            const session = await conference.startRecording({ mode: 'file' });
+
+            expect(session.getID()).toBeDefined();
+            expect((await on)[0]).toBe(session);
+
+            const off = waitFor(conference, JitsiConferenceEvents.RECORDER_STATE_CHANGED,
+                s => s.getStatus() === 'off');
+
+            simulator.stopRecording('room', 'error');
+            await off;
+            expect(session.getError()).toBe('error');
+        });
+    });
+});
@@ -0,0 +1,194 @@
+import { getLogger } from 'jitsi-meet-logger';
+
+const logger = getLogger(__filename);
+
+/**
+ * The path of the colibri web sockets, the URL of a socket being
+ * <base>/colibri-ws/<bridge>/<conference>/<endpoint>.
+ */
+const COLIBRI_WS_PATH = /\/colibri-ws\/[^/]+\/([^/]+)\/([^/?]+)/;
+
+/**
+ * Simulates the colibri web sockets of a videobridge, which the
+ * {@link BridgeChannel} of every participant connects to. Endpoint messages
+ * are relayed between the participants of a conference, and the bridge events
+ * (e.g. dominant speaker changes) can be triggered by the test.
+ */
+export default class SimulatedBridge {
+    /**
+     * Initializes a new bridge.
+     *
+     * @param {string} baseUrl - The URL the web sockets are served from.
+     */
+    constructor(baseUrl) {
+        this.baseUrl = baseUrl;
+
+        /**
+         * The sockets of the connected endpoints, by endpoint id, by
+         * conference id.
+         * @type {Map<string, Map<string, SimulatedSocket>>}
+         */
+        this._conferences = new Map();
+    }
+
+    /**
+     * Returns the URL of the web socket an endpoint should connect to.
+     *
+     * @param {string} conferenceId - The id of the conference.
+     * @param {string} endpointId - The id of the endpoint.
+     * @returns {string}
+     */
+    getUrl(conferenceId, endpointId) {
+        return `${this.baseUrl}/colibri-ws/simulator/${encodeURIComponent(conferenceId)}/${
+            encodeURIComponent(endpointId)}?pwd=simulator`;
+    }
+
+    /**
+     * Checks whether a URL is the one of a socket of this bridge.
+     *
+     * @param {string} url - The URL.
+     * @returns {boolean}
+     */
+    handles(url) {
+        return url.startsWith(this.baseUrl) && COLIBRI_WS_PATH.test(url);
+    }
+
+    /**
+     * Called when a socket of this bridge is open.
+     *
+     * @param {SimulatedSocket} socket - The socket.
+     * @returns {void}
+     */
+    onOpen(socket) {
+        const [ , conferenceId, endpointId ] = COLIBRI_WS_PATH.exec(socket.url).map(decodeURIComponent);
+        let endpoints = this._conferences.get(conferenceId);
+
+        if (!endpoints) {
+            endpoints = new Map();
+            this._conferences.set(conferenceId, endpoints);
+        }
+
+        socket.conferenceId = conferenceId;
+        socket.endpointId = endpointId;
+        endpoints.set(endpointId, socket);
+
+        this._send(socket, {
+            colibriClass: 'ServerHello',
+            version: 'simulator'
+        });
+    }
+
+    /**
+     * Called when an endpoint sends a message.
+     *
+     * @param {SimulatedSocket} socket - The socket of the endpoint.
+     * @param {string} data - The message.
+     * @returns {void}
+     */
+    onMessage(socket, data) {
+        let message;
+
+        try {
+            message = JSON.parse(data);
+        } catch (error) {
+            logger.warn(`Ignoring invalid message from ${socket.endpointId}`, error);
+
+            return;
+        }
+
+        switch (message.colibriClass) {
+        case 'EndpointMessage':
+        case 'EndpointStats':
+            this._relay(socket, message);
+            break;
+        default:
+            logger.debug(`Bridge received ${message.colibriClass} from ${socket.endpointId}`);
+        }
+    }
+
+    /**
+     * Called when a socket of this bridge is closed.
+     *
+     * @param {SimulatedSocket} socket - The socket.
+     * @returns {void}
+     */
+    onClose(socket) {
+        const endpoints = this._conferences.get(socket.conferenceId);
+
+        if (endpoints && endpoints.get(socket.endpointId) === socket) {
+            endpoints.delete(socket.endpointId);
+            endpoints.size || this._conferences.delete(socket.conferenceId);
+        }
+    }
+
+    /**
+     * Sends a bridge message to the endpoints of a conference.
+     *
+     * @param {string} conferenceId - The id of the conference.
+     * @param {Object} message - The message, with its colibriClass.
+     * @param {string} [endpointId] - The endpoint to send the message to, all
+     * of them if missing.
+     * @returns {void}
+     */
+    sendMessage(conferenceId, message, endpointId) {
+        const endpoints = this._conferences.get(conferenceId);
+
+        if (!endpoints) {
+            return;
+        }
+
+        for (const [ id, socket ] of endpoints) {
+            if (!endpointId || id === endpointId) {
+                this._send(socket, message);
+            }
+        }
+    }
+
+    /**
+     * Closes the sockets of a conference.
+     *
+     * @param {string} conferenceId - The id of the conference.
+     * @returns {void}
+     */
+    expire(conferenceId) {
+        const endpoints = this._conferences.get(conferenceId);
+
+        if (endpoints) {
+            endpoints.forEach(socket => socket.disconnect(1001, 'expired'));
+        }
+    }
+
+    /**
+     * Relays a message of an endpoint to the endpoint(s) it is addressed to.
+     *
+     * @param {SimulatedSocket} socket - The socket of the sender.
+     * @param {Object} message - The message.
+     * @private
+     * @returns {void}
+     */
+    _relay(socket, message) {
+        const { to, ...rest } = message;
+        const relayed = {
+            ...rest,
+            from: socket.endpointId
+        };
+
+        for (const [ id, other ] of this._conferences.get(socket.conferenceId)) {
+            if (other !== socket && (!to || to === id)) {
+                this._send(other, relayed);
+            }
+        }
+    }
+
+    /**
+     * Sends a message to an endpoint.
+     *
+     * @param {SimulatedSocket} socket - The socket of the endpoint.
+     * @param {Object} message - The message.
+     * @private
+     * @returns {void}
+     */
+    _send(socket, message) {
+        socket.deliver(JSON.stringify(message));
+    }
+}
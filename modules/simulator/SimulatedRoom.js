@@ -0,0 +1,183 @@
+import { Strophe } from 'strophe.js';
+import { v4 as uuidv4 } from 'uuid';
+
+/**
+ * The nickname the focus joins the rooms with.
+ * @type {string}
+ */
+export const FOCUS_NICK = 'focus';
+
+/**
+ * The affiliations which give access to a members only room.
+ * @type {Array<string>}
+ */
+const MEMBER_AFFILIATIONS = [ 'owner', 'admin', 'member' ];
+
+/**
+ * The state of a multi user chat room of a {@link ConferenceSimulator}.
+ *
+ * An occupant is represented as:
+ * {
+ *     nick: string,
+ *     jid: string,
+ *     affiliation: string,
+ *     role: string,
+ *     extensions: Array<Element>,
+ *     session: Object|undefined,
+ *     simulated: Object|undefined
+ * }
+ * where the extensions are the elements of its presence, the session is set
+ * for the occupants which are connected through a socket and simulated holds
+ * the state of the participants which are driven by the test.
+ */
+export default class SimulatedRoom {
+    /**
+     * Initializes a new room.
+     *
+     * @param {string} jid - The JID of the room.
+     * @param {Object} [options]
+     * @param {boolean} [options.isLobby] - Whether this is the lobby of
+     * another room.
+     * @param {string} [options.lobbyJid] - The JID of the lobby room, if lobby
+     * is supported.
+     */
+    constructor(jid, { isLobby = false, lobbyJid } = {}) {
+        this.jid = jid;
+        this.name = Strophe.getNodeFromJid(jid);
+        this.isLobby = isLobby;
+        this.lobbyJid = lobbyJid;
+        this.meetingId = uuidv4();
+
+        /**
+         * The bare JIDs which were granted membership.
+         * @type {Set<string>}
+         */
+        this.members = new Set();
+        this.membersOnly = false;
+        this.password = undefined;
+        this.subject = undefined;
+
+        /**
+         * The recording session, if one was started.
+         * @type {Object|undefined}
+         */
+        this.recording = undefined;
+
+        /**
+         * The occupants, by nickname, in the order they joined.
+         * @type {Map<string, Object>}
+         */
+        this.occupants = new Map();
+    }
+
+    /**
+     * The focus occupant, if the focus joined.
+     *
+     * @returns {Object|undefined}
+     */
+    get focus() {
+        return this.occupants.get(FOCUS_NICK);
+    }
+
+    /**
+     * Returns the MUC JID of an occupant.
+     *
+     * @param {Object} occupant - The occupant.
+     * @returns {string}
+     */
+    getOccupantJid(occupant) {
+        return `${this.jid}/${occupant.nick}`;
+    }
+
+    /**
+     * Returns an occupant by nickname.
+     *
+     * @param {string} nick - The nickname.
+     * @returns {Object|undefined}
+     */
+    getOccupant(nick) {
+        return this.occupants.get(nick);
+    }
+
+    /**
+     * Returns the occupant which joined with a given real JID.
+     *
+     * @param {string} jid - The real (full) JID.
+     * @returns {Object|undefined}
+     */
+    getOccupantByJid(jid) {
+        return Array.from(this.occupants.values()).find(occupant => occupant.jid === jid);
+    }
+
+    /**
+     * Returns the occupants, without the focus.
+     *
+     * @returns {Array<Object>}
+     */
+    getParticipants() {
+        return Array.from(this.occupants.values()).filter(occupant => occupant.nick !== FOCUS_NICK);
+    }
+
+    /**
+     * Checks whether one of the participants is an owner of the room.
+     *
+     * @returns {boolean}
+     */
+    hasOwner() {
+        return this.getParticipants().some(occupant => occupant.affiliation === 'owner');
+    }
+
+    /**
+     * Checks whether a user can join the room when it is members only.
+     *
+     * @param {string} jid - The JID of the user.
+     * @returns {boolean}
+     */
+    isMember(jid) {
+        return this.members.has(Strophe.getBareJidFromJid(jid));
+    }
+
+    /**
+     * Returns the affiliation a user gets when joining.
+     *
+     * @param {string} jid - The JID of the user.
+     * @param {boolean} allModerators - Whether every participant is made an
+     * owner.
+     * @returns {string}
+     */
+    getJoinAffiliation(jid, allModerators) {
+        if (this.isLobby) {
+            return 'none';
+        }
+        if (allModerators || !this.hasOwner()) {
+            return 'owner';
+        }
+
+        return this.isMember(jid) ? 'member' : 'none';
+    }
+
+    /**
+     * Changes the affiliation of an occupant, granting it the matching role.
+     *
+     * @param {Object} occupant - The occupant.
+     * @param {string} affiliation - The new affiliation.
+     * @returns {void}
+     */
+    setAffiliation(occupant, affiliation) {
+        occupant.affiliation = affiliation;
+        occupant.role = affiliation === 'owner' || affiliation === 'admin' ? 'moderator' : 'participant';
+
+        if (MEMBER_AFFILIATIONS.includes(affiliation)) {
+            this.members.add(Strophe.getBareJidFromJid(occupant.jid));
+        }
+    }
+
+    /**
+     * Checks whether the room is left with no participants.
+     *
+     * @returns {boolean}
+     */
+    isEmpty() {
+        return this.getParticipants().length === 0;
+    }
+}
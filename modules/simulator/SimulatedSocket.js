@@ -0,0 +1,144 @@
+/**
+ * The ready states of a {@link SimulatedSocket}, same as the WebSocket ones.
+ */
+const CONNECTING = 0;
+const OPEN = 1;
+const CLOSING = 2;
+const CLOSED = 3;
+
+/**
+ * An in-process replacement for a WebSocket, connecting the library to a
+ * {@link ConferenceSimulator} instead of a server. It implements the subset of
+ * the WebSocket interface which Strophe and the {@link BridgeChannel} use.
+ *
+ * Everything is delivered asynchronously and in order, like it would be on a
+ * real socket, so that the library never re-enters itself through the
+ * simulator.
+ */
+export default class SimulatedSocket {
+    /**
+     * Initializes a new socket.
+     *
+     * @param {string} url - The URL the socket was created for.
+     * @param {string|undefined} protocol - The sub-protocol.
+     * @param {Object} server - The server side of the socket.
+     * @param {Function} server.onOpen - Called once the socket is open.
+     * @param {Function} server.onMessage - Called with the data sent by the
+     * client.
+     * @param {Function} server.onClose - Called once the socket is closed.
+     */
+    constructor(url, protocol, server) {
+        this.url = url;
+        this.protocol = protocol || '';
+        this.readyState = CONNECTING;
+
+        this.onclose = null;
+        this.onerror = null;
+        this.onmessage = null;
+        this.onopen = null;
+
+        this._server = server;
+
+        this._dispatch(() => {
+            if (this.readyState !== CONNECTING) {
+                return;
+            }
+            this.readyState = OPEN;
+            this.onopen && this.onopen({ type: 'open' });
+            this._server.onOpen(this);
+        });
+    }
+
+    /**
+     * Sends data to the simulator.
+     *
+     * @param {string} data - The data.
+     * @returns {void}
+     */
+    send(data) {
+        if (this.readyState !== OPEN) {
+            throw new Error(`Cannot send on a socket in state ${this.readyState}`);
+        }
+
+        this._dispatch(() => this.readyState === OPEN && this._server.onMessage(this, data));
+    }
+
+    /**
+     * Closes the socket from the client side.
+     *
+     * @param {number} [code] - The close code.
+     * @param {string} [reason] - The close reason.
+     * @returns {void}
+     */
+    close(code = 1000, reason = '') {
+        this._close(code, reason);
+    }
+
+    /**
+     * Delivers data to the client, called by the simulator.
+     *
+     * @param {string} data - The data.
+     * @returns {void}
+     */
+    deliver(data) {
+        this._dispatch(() => this.readyState === OPEN && this.onmessage && this.onmessage({
+            data,
+            type: 'message'
+        }));
+    }
+
+    /**
+     * Closes the socket from the server side, called by the simulator.
+     *
+     * @param {number} [code] - The close code.
+     * @param {string} [reason] - The close reason.
+     * @returns {void}
+     */
+    disconnect(code = 1000, reason = '') {
+        this._dispatch(() => this._close(code, reason));
+    }
+
+    /**
+     * Closes the socket and notifies both sides.
+     *
+     * @param {number} code - The close code.
+     * @param {string} reason - The close reason.
+     * @private
+     * @returns {void}
+     */
+    _close(code, reason) {
+        if (this.readyState === CLOSING || this.readyState === CLOSED) {
+            return;
+        }
+
+        const wasOpen = this.readyState === OPEN;
+
+        this.readyState = CLOSING;
+        this._dispatch(() => {
+            this.readyState = CLOSED;
+            wasOpen && this._server.onClose(this);
+            this.onclose && this.onclose({
+                code,
+                reason,
+                type: 'close',
+                wasClean: code === 1000
+            });
+        });
+    }
+
+    /**
+     * Runs a task after the ones which are already queued.
+     *
+     * @param {Function} task - The task.
+     * @private
+     * @returns {void}
+     */
+    _dispatch(task) {
+        setTimeout(task);
+    }
+}
+
+SimulatedSocket.CONNECTING = CONNECTING;
+SimulatedSocket.OPEN = OPEN;
+SimulatedSocket.CLOSING = CLOSING;
+SimulatedSocket.CLOSED = CLOSED;
@@ -55,7 +55,7 @@ const logger = getLogger(__filename);
  * action, actionSubject, source, containerType, containerId, objectType,
  * objectId
  */
-class AnalyticsAdapter {
+export class AnalyticsAdapter {
     /**
      * Creates new AnalyticsAdapter instance.
      */
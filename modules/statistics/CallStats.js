@@ -246,7 +246,7 @@ export default class CallStats {
      * arguments on the debug logging level. Also wraps some of the backend
      * methods execution into try catch blocks to not crash the app in case
      * there is a problem with the backend itself.
-     * @param {callstats} theBackend
+     * @param {Object} theBackend
      * @private
      */
     static _traceAndCatchBackendCalls(theBackend) {
@@ -765,7 +765,7 @@ export default class CallStats {
 
 /**
  * The CallStats API backend instance
- * @type {callstats}
+ * @type {Object}
  */
 CallStats.backend = null;
 
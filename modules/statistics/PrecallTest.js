@@ -93,7 +93,7 @@ export async function init(options) {
 }
 
 /**
- * Executes a pre call test.
+ * The results of a pre call test.
  *
  * @typedef PrecallTestResults
  * @type {Object}
@@ -102,8 +102,12 @@ export async function init(options) {
  * @property {number} fractionalLoss - The packet loss.
  * @property {number} rtt - The round trip time.
  * @property {string} provider - It is usually 'callstats'.
+ */
+
+/**
+ * Executes a pre call test.
  *
- * @returns {Promise<{PrecallTestResults}>}
+ * @returns {Promise<PrecallTestResults>}
  */
 export function execute() {
     if (!_initialized) {
@@ -0,0 +1,256 @@
+import { getLogger } from 'jitsi-meet-logger';
+import { v4 as uuidv4 } from 'uuid';
+
+import * as JitsiConferenceEvents from '../../JitsiConferenceEvents';
+
+const logger = getLogger(__filename);
+
+/**
+ * The 'type' of a message which carries a caption, broadcast by a participant
+ * running a streaming transcriber.
+ * @type {string}
+ */
+export const CAPTION_MESSAGE = 'caption';
+
+/**
+ * Turns the results of a streaming {@link Transcriber} into
+ * {@link JitsiConferenceEvents.CAPTION_RECEIVED} events, and optionally
+ * broadcasts them so that participants who don't run a transcriber can show
+ * subtitles too.
+ *
+ * A caption is represented as:
+ * {
+ *     id: string,
+ *     participant: JitsiParticipant|undefined,
+ *     participantId: string,
+ *     transcriberId: string,
+ *     text: string,
+ *     isFinal: boolean,
+ *     begin: number,
+ *     end: number
+ * }
+ * The interim captions of a segment share the id of the final one, so they can
+ * be replaced as the segment is being recognised. The participant is undefined
+ * when the local participant spoke. Begin and end are in ms relative to the
+ * start of the conference.
+ */
+export default class LiveCaptions {
+    /**
+     * Initializes a new LiveCaptions instance.
+     *
+     * @param {JitsiConference} conference - The conference.
+     * @param {Function} sendMessage - The function to use to broadcast a
+     * message.
+     */
+    constructor(conference, sendMessage) {
+        this.conference = conference;
+        this.eventEmitter = conference.eventEmitter;
+        this.sendMessage = sendMessage;
+
+        /**
+         * The UTC time the conference was created, reported by the server.
+         * @type {number|undefined}
+         */
+        this._conferenceStartTime = undefined;
+
+        /**
+         * The transcriber the captions are coming from and whether they are
+         * broadcast.
+         */
+        this._transcriber = undefined;
+        this._broadcast = false;
+
+        /**
+         * The id of the segment being recognised, by participant id.
+         * @type {Object}
+         */
+        this._segments = {};
+
+        this._onCaption = this._onCaption.bind(this);
+
+        this._onMessageReceived = this._onMessageReceived.bind(this);
+        conference.on(
+            JitsiConferenceEvents.ENDPOINT_MESSAGE_RECEIVED,
+            this._onMessageReceived);
+
+        this._onConferenceCreated = this._onConferenceCreated.bind(this);
+        conference.on(
+            JitsiConferenceEvents.CONFERENCE_CREATED_TIMESTAMP,
+            this._onConferenceCreated);
+    }
+
+    /**
+     * Starts emitting the captions produced by a transcriber. Only streaming
+     * transcribers produce captions.
+     *
+     * @param {Transcriber} transcriber - The transcriber.
+     * @param {boolean} [broadcast] - Whether to send the captions to the other
+     * participants.
+     * @returns {void}
+     */
+    attach(transcriber, broadcast = false) {
+        this.detach();
+
+        if (!transcriber.streaming) {
+            logger.info('Not attaching captions to a non streaming transcriber');
+
+            return;
+        }
+
+        this._transcriber = transcriber;
+        this._broadcast = broadcast;
+        transcriber.addCaptionListener(this._onCaption);
+    }
+
+    /**
+     * Stops emitting the captions of the attached transcriber.
+     *
+     * @returns {void}
+     */
+    detach() {
+        if (this._transcriber) {
+            this._transcriber.removeCaptionListener(this._onCaption);
+            this._transcriber = undefined;
+        }
+        this._segments = {};
+    }
+
+    /**
+     * Changes whether the captions of the attached transcriber are sent to the
+     * other participants.
+     *
+     * @param {boolean} broadcast - Whether to send the captions.
+     * @returns {void}
+     */
+    setBroadcast(broadcast) {
+        this._broadcast = broadcast;
+    }
+
+    /**
+     * Stops listening for conference and transcriber events.
+     *
+     * @returns {void}
+     */
+    dispose() {
+        this.detach();
+        this.conference.off(
+            JitsiConferenceEvents.ENDPOINT_MESSAGE_RECEIVED,
+            this._onMessageReceived);
+        this.conference.off(
+            JitsiConferenceEvents.CONFERENCE_CREATED_TIMESTAMP,
+            this._onConferenceCreated);
+    }
+
+    /**
+     * Handles a result of the attached transcriber.
+     *
+     * @param {Object} result - The result, see
+     * {@link Transcriber#addCaptionListener}.
+     * @private
+     * @returns {void}
+     */
+    _onCaption(result) {
+        const { participantId } = result;
+        let id = this._segments[participantId];
+
+        if (!id) {
+            id = this._segments[participantId] = uuidv4();
+        }
+
+        if (result.isFinal) {
+            delete this._segments[participantId];
+        }
+
+        // The words are timed relative to the start of the transcription.
+        const transcriptionStart = this._transcriber.startTime.getTime();
+        const offset = transcriptionStart - this._getConferenceStartTime(transcriptionStart);
+        const now = Date.now() - transcriptionStart;
+        const { words } = result;
+        const caption = {
+            id,
+            participantId,
+            transcriberId: this.conference.myUserId(),
+            text: result.text,
+            isFinal: result.isFinal,
+            begin: offset + (words.length ? words[0].getBeginTime() : now),
+            end: offset + (words.length ? words[words.length - 1].getEndTime() : now)
+        };
+
+        this._emit(caption);
+
+        if (this._broadcast) {
+            this.sendMessage({
+                type: CAPTION_MESSAGE,
+                ...caption
+            });
+        }
+    }
+
+    /**
+     * Handles a message that was received.
+     *
+     * @param {JitsiParticipant} participant - The message sender.
+     * @param {Object} payload - The payload of the message.
+     * @private
+     * @returns {void}
+     */
+    _onMessageReceived(participant, payload) {
+        if (payload.type !== CAPTION_MESSAGE) {
+            return;
+        }
+
+        if (typeof payload.id !== 'string' || typeof payload.text !== 'string') {
+            logger.warn(`Ignoring invalid caption from ${participant.getId()}`);
+
+            return;
+        }
+
+        this._emit({
+            id: payload.id,
+            participantId: payload.participantId,
+            transcriberId: participant.getId(),
+            text: payload.text,
+            isFinal: Boolean(payload.isFinal),
+            begin: payload.begin,
+            end: payload.end
+        });
+    }
+
+    /**
+     * Stores the time the conference was created.
+     *
+     * @param {number} timestamp - The UTC time.
+     * @private
+     * @returns {void}
+     */
+    _onConferenceCreated(timestamp) {
+        this._conferenceStartTime = timestamp;
+    }
+
+    /**
+     * Returns the time the conference was created, or the given fallback if the
+     * server didn't report it.
+     *
+     * @param {number} fallback - The time to use if unknown.
+     * @private
+     * @returns {number}
+     */
+    _getConferenceStartTime(fallback) {
+        return this._conferenceStartTime || fallback;
+    }
+
+    /**
+     * Attributes a caption to the participant who spoke and fires
+     * {@link JitsiConferenceEvents.CAPTION_RECEIVED}.
+     *
+     * @param {Object} caption - The caption.
+     * @private
+     * @returns {void}
+     */
+    _emit(caption) {
+        this.eventEmitter.emit(JitsiConferenceEvents.CAPTION_RECEIVED, {
+            ...caption,
+            participant: this.conference.getParticipantById(caption.participantId)
+        });
+    }
+}
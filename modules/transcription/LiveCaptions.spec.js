@@ -0,0 +1,163 @@
+import EventEmitter from 'events';
+
+import JitsiConference from '../../JitsiConference';
+import * as JitsiConferenceEvents from '../../JitsiConferenceEvents';
+import JitsiParticipant from '../../JitsiParticipant';
+
+import LiveCaptions, { CAPTION_MESSAGE } from './LiveCaptions';
+import Word from './word';
+
+/**
+ * Mock object to be used in place of a real conference.
+ *
+ * @constructor
+ */
+function MockConference() {
+    this.eventEmitter = new EventEmitter();
+    this.participants = {};
+}
+MockConference.prototype = Object.create(JitsiConference.prototype);
+MockConference.prototype.constructor = JitsiConference;
+
+/**
+ * Mock object to be used in place of a real JitsiParticipant.
+ *
+ * @constructor
+ * @param {string} id - An id for the mock user.
+ */
+function MockJitsiParticipant(id) {
+    this._id = id;
+}
+MockJitsiParticipant.prototype = Object.create(JitsiParticipant.prototype);
+MockJitsiParticipant.prototype.constructor = JitsiParticipant;
+
+/**
+ * Mock object to be used in place of a real streaming Transcriber.
+ *
+ * @constructor
+ * @param {number} startTime - The time the transcription started.
+ */
+function MockTranscriber(startTime) {
+    this.streaming = true;
+    this.startTime = new Date(startTime);
+    this.listeners = [];
+}
+MockTranscriber.prototype.addCaptionListener = function(listener) {
+    this.listeners.push(listener);
+};
+MockTranscriber.prototype.removeCaptionListener = function(listener) {
+    this.listeners = this.listeners.filter(l => l !== listener);
+};
+MockTranscriber.prototype.emit = function(caption) {
+    this.listeners.forEach(listener => listener(caption));
+};
+
+describe('LiveCaptions', () => {
+    let conference, liveCaptions, onCaption, remote, sendMessage, transcriber;
+
+    /**
+     * Creates a result of the transcriber for the remote participant.
+     *
+     * @param {string} text - The recognised text.
+     * @param {boolean} isFinal - Whether the result is final.
+     * @param {Array<Word>} [words] - The recognised words.
+     * @returns {Object}
+     */
+    function result(text, isFinal, words = [ new Word(text, 0, 100) ]) {
+        return {
+            participantId: 'cccc',
+            text,
+            words,
+            isFinal
+        };
+    }
+
+    beforeEach(() => {
+        conference = new MockConference();
+        remote = new MockJitsiParticipant('cccc');
+        conference.participants = { cccc: remote };
+        spyOn(conference, 'myUserId').and.returnValue('bbbb');
+        sendMessage = jasmine.createSpy('sendMessage');
+        onCaption = jasmine.createSpy('onCaption');
+        conference.on(JitsiConferenceEvents.CAPTION_RECEIVED, onCaption);
+        liveCaptions = new LiveCaptions(conference, sendMessage);
+        transcriber = new MockTranscriber(10000);
+    });
+
+    it('attributes captions and times them from the conference start', () => {
+        conference.eventEmitter.emit(JitsiConferenceEvents.CONFERENCE_CREATED_TIMESTAMP, 4000);
+        liveCaptions.attach(transcriber);
+
+        transcriber.emit(result('hello world', true, [ new Word('hello', 100, 300), new Word('world', 400, 700) ]));
+
+        expect(onCaption).toHaveBeenCalledWith(jasmine.objectContaining({
+            participant: remote,
+            participantId: 'cccc',
+            transcriberId: 'bbbb',
+            text: 'hello world',
+            isFinal: true,
+            begin: 6100,
+            end: 6700
+        }));
+        expect(sendMessage).not.toHaveBeenCalled();
+    });
+
+    it('keeps the segment id until the result is final', () => {
+        liveCaptions.attach(transcriber);
+
+        transcriber.emit(result('hel', false));
+        transcriber.emit(result('hello', true));
+        transcriber.emit(result('again', false));
+
+        const ids = onCaption.calls.allArgs().map(args => args[0].id);
+
+        expect(ids[0]).toBe(ids[1]);
+        expect(ids[2]).not.toBe(ids[1]);
+    });
+
+    it('broadcasts the captions when enabled', () => {
+        liveCaptions.attach(transcriber, true);
+
+        transcriber.emit(result('hello', true));
+
+        expect(sendMessage).toHaveBeenCalledWith(jasmine.objectContaining({
+            type: CAPTION_MESSAGE,
+            participantId: 'cccc',
+            text: 'hello'
+        }));
+    });
+
+    it('emits the captions broadcast by other participants', () => {
+        const sender = new MockJitsiParticipant('dddd');
+
+        conference.eventEmitter.emit(JitsiConferenceEvents.ENDPOINT_MESSAGE_RECEIVED, sender, {
+            type: CAPTION_MESSAGE,
+            id: 's1',
+            participantId: 'cccc',
+            text: 'hello',
+            isFinal: true,
+            begin: 10,
+            end: 20
+        });
+
+        expect(onCaption).toHaveBeenCalledWith({
+            id: 's1',
+            participant: remote,
+            participantId: 'cccc',
+            transcriberId: 'dddd',
+            text: 'hello',
+            isFinal: true,
+            begin: 10,
+            end: 20
+        });
+    });
+
+    it('stops emitting once detached', () => {
+        liveCaptions.attach(transcriber);
+        liveCaptions.detach();
+
+        transcriber.emit(result('hello', true, []));
+
+        expect(onCaption).not.toHaveBeenCalled();
+    });
+});
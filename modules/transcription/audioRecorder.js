@@ -13,7 +13,7 @@ const AUDIO_OGG = 'audio/ogg'; // Supported in firefox
  * single JitsiTrack (either remote or local)
  * @param track The JitsiTrack the object is going to hold
  */
-const TrackRecorder = function(track) {
+function TrackRecorder(track) {
     // The JitsiTrack holding the stream
     this.track = track;
 
@@ -30,19 +30,21 @@ const TrackRecorder = function(track) {
 
     // the time of the start of the recording
     this.startTime = null;
-};
+}
 
 /**
  * Starts the recording of a JitsiTrack in a TrackRecorder object.
  * This will also define the timestamp and try to update the name
  * @param trackRecorder the TrackRecorder to start
+ * @param timeslice the number of milliseconds to record into each chunk, or
+ * undefined to record into a single chunk
  */
-function startRecorder(trackRecorder) {
+function startRecorder(trackRecorder, timeslice) {
     if (trackRecorder.recorder === undefined) {
         throw new Error('Passed an object to startRecorder which is not a '
             + 'TrackRecorder object');
     }
-    trackRecorder.recorder.start();
+    trackRecorder.recorder.start(timeslice);
     trackRecorder.startTime = new Date();
 }
 
@@ -50,13 +52,22 @@ function startRecorder(trackRecorder) {
  * Stops the recording of a JitsiTrack in a TrackRecorder object.
  * This will also try to update the name
  * @param trackRecorder the TrackRecorder to stop
+ * @returns {Promise} resolved once the last recorded data was delivered
  */
 function stopRecorder(trackRecorder) {
     if (trackRecorder.recorder === undefined) {
         throw new Error('Passed an object to stopRecorder which is not a '
             + 'TrackRecorder object');
     }
-    trackRecorder.recorder.stop();
+
+    if (trackRecorder.recorder.state === 'inactive') {
+        return Promise.resolve();
+    }
+
+    return new Promise(resolve => {
+        trackRecorder.recorder.onstop = resolve;
+        trackRecorder.recorder.stop();
+    });
 }
 
 /**
@@ -78,8 +89,13 @@ function determineCorrectFileType() {
  * relevant functions and variables for the outside world
  * @param jitsiConference the jitsiConference which this object
  * is going to record
+ * @param {Object} [options] the options of the recorder
+ * @param {number} [options.timeslice] the number of milliseconds to record
+ * into each chunk. Needed to get the audio while it is being recorded
+ * @param {Function} [options.onData] called with the TrackRecorder and the
+ * chunk every time a chunk of audio was recorded
  */
-function AudioRecorder(jitsiConference) {
+function AudioRecorder(jitsiConference, options = {}) {
     // array of TrackRecorders, where each trackRecorder
     // holds the JitsiTrack, MediaRecorder and recorder data
     this.recorders = [];
@@ -92,6 +108,10 @@ function AudioRecorder(jitsiConference) {
 
     // the jitsiconference the object is recording
     this.jitsiConference = jitsiConference;
+
+    // the length of each recorded chunk and the function receiving them
+    this.timeslice = options.timeslice;
+    this.onData = options.onData;
 }
 
 /**
@@ -119,7 +139,7 @@ AudioRecorder.prototype.addTrack = function(track) {
         // If we're already recording, immediately start recording this new
         // track.
         if (this.isRecording) {
-            startRecorder(trackRecorder);
+            startRecorder(trackRecorder, this.timeslice);
         }
     }
 };
@@ -147,9 +167,10 @@ AudioRecorder.prototype.instantiateTrackRecorder = function(track) {
     trackRecorder.data = [];
 
     // function handling a dataEvent, e.g the stream gets new data
-    trackRecorder.recorder.ondataavailable = function(dataEvent) {
+    trackRecorder.recorder.ondataavailable = dataEvent => {
         if (dataEvent.data.size > 0) {
             trackRecorder.data.push(dataEvent.data);
+            this.onData && this.onData(trackRecorder, dataEvent.data);
         }
     };
 
@@ -205,9 +226,9 @@ AudioRecorder.prototype.updateNames = function() {
         } else {
             const id = trackRecorder.track.getParticipantId();
             const participant = conference.getParticipantById(id);
-            const newName = participant.getDisplayName();
+            const newName = participant && participant.getDisplayName();
 
-            if (newName !== 'undefined') {
+            if (newName !== undefined) {
                 trackRecorder.name = newName;
             }
         }
@@ -227,7 +248,8 @@ AudioRecorder.prototype.start = function() {
     this.isRecording = true;
 
     // start all the mediaRecorders
-    this.recorders.forEach(trackRecorder => startRecorder(trackRecorder));
+    this.recorders.forEach(
+        trackRecorder => startRecorder(trackRecorder, this.timeslice));
 
     // log that recording has started
     console.log(
@@ -237,14 +259,20 @@ AudioRecorder.prototype.start = function() {
 
 /**
  * Stops the audio recording of every local and remote track
+ * @returns {Promise} resolved once the last recorded data of every track was
+ * delivered
  */
 AudioRecorder.prototype.stop = function() {
     // set the boolean flag to false
     this.isRecording = false;
 
     // stop all recorders
-    this.recorders.forEach(trackRecorder => stopRecorder(trackRecorder));
+    const stopped = this.recorders.map(
+        trackRecorder => stopRecorder(trackRecorder));
+
     console.log('stopped recording');
+
+    return Promise.all(stopped);
 };
 
 /**
@@ -287,7 +315,9 @@ AudioRecorder.prototype.getRecordingResults = function() {
                 new RecordingResult(
                     new Blob(recorder.data, { type: this.fileType }),
                     recorder.name,
-                    recorder.startTime)));
+                    recorder.startTime,
+                    undefined,
+                    recorder.track.getParticipantId())));
 
     return array;
 };
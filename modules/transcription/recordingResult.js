@@ -9,13 +9,16 @@
  * @param startTime the time in UTC when recording of the audiostream started
  * @param wordArray the recorder audio stream transcribed as an array of Word
  *                  objects
+ * @param participantId the id of the participant of the audio stream
  */
-const RecordingResult = function(blob, name, startTime, wordArray) {
+function RecordingResult(
+        blob, name, startTime, wordArray, participantId) {
     this.blob = blob;
     this.name = name;
     this.startTime = startTime;
     this.wordArray = wordArray;
-};
+    this.participantId = participantId;
+}
 
 /* eslint-enable max-params */
 
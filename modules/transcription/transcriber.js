@@ -1,6 +1,12 @@
+/* global __filename */
+
+const logger = require('jitsi-meet-logger').getLogger(__filename);
+
 const AudioRecorder = require('./audioRecorder');
-const SphinxService = require(
-    './transcriptionServices/SphinxTranscriptionService');
+const { createSegments, exportSegments } = require('./transcriptExport');
+const transcriptionServiceRegistry = require(
+    './transcriptionServices/transcriptionServiceRegistry');
+const Word = require('./word');
 
 const BEFORE_STATE = 'before';
 const RECORDING_STATE = 'recording';
@@ -10,19 +16,60 @@ const FINISHED_STATE = 'finished';
 // the amount of characters each line in the transcription will have
 const MAXIMUM_SENTENCE_LENGTH = 80;
 
+// the amount of milliseconds of audio sent at once to a streaming
+// transcription service
+const STREAMING_TIMESLICE = 250;
+
 /**
  * This is the main object for handing the Transcription. It interacts with
  * the audioRecorder to record every person in a conference and sends the
  * recorder audio to a transcriptionService. The returned speech-to-text result
- * will be merged to create a transcript
- * @param {AudioRecorder} audioRecorder An audioRecorder recording a conference
+ * will be merged to create a transcript.
+ *
+ * With a streaming transcription service the audio is sent while it is being
+ * recorded and the results are reported to the caption listeners as soon as
+ * they are recognised.
+ * @param {JitsiConference} jitsiConference the conference to transcribe
+ * @param {Object} [options] the options of the transcriber
+ * @param {string} [options.service] the name of the transcription service to
+ * use, as registered in the transcriptionServiceRegistry
+ * @param {Object} [options.serviceOptions] the options passed to the
+ * transcription service
+ * @param {string} [options.language] the language spoken in the conference
  */
-function Transcriber() {
+function Transcriber(jitsiConference, options = {}) {
+    // the name and options of the speech-to-text service
+    this.serviceName = options.service
+        || transcriptionServiceRegistry.DEFAULT_SERVICE;
+    this.serviceOptions = options.serviceOptions;
+    this.language = options.language;
+
+    // whether the audio is sent while it is being recorded
+    this.streaming = transcriptionServiceRegistry.isStreaming(this.serviceName);
+
     // the object which can record all audio in the conference
-    this.audioRecorder = new AudioRecorder();
+    this.audioRecorder = new AudioRecorder(
+        jitsiConference,
+        this.streaming
+            ? {
+                timeslice: STREAMING_TIMESLICE,
+                onData: this.onAudioChunk.bind(this)
+            }
+            : {});
+
+    // this object can send the recorder audio to a speech-to-text service,
+    // a streaming service instead gets an instance per recorded track
+    this.transcriptionService = this.streaming
+        ? null
+        : transcriptionServiceRegistry.create(
+            this.serviceName, this.serviceOptions);
+
+    // maps every TrackRecorder to the streaming service transcribing it and
+    // the final words it recognised so far
+    this.streams = new Map();
 
-    // this object can send the recorder audio to a speech-to-text service
-    this.transcriptionService = new SphinxService();
+    // the functions receiving the results of the streaming service
+    this.captionListeners = [];
 
     // holds a counter to keep track if merging can start
     this.counter = null;
@@ -34,6 +81,10 @@ function Transcriber() {
     // will hold the transcription once it is completed
     this.transcription = null;
 
+    // will hold the transcription split in timed segments per speaker once it
+    // is completed, used for exporting it
+    this.segments = null;
+
     // this will be a method which will be called once the transcription is done
     // with the transcription as parameter
     this.callback = null;
@@ -81,6 +132,18 @@ Transcriber.prototype.stop = function stop(callback) {
                 this.state}" state`);
     }
 
+    // set the state to "transcribing" so that maybeMerge() functions correctly
+    this.state = TRANSCRIBING_STATE;
+
+    // and store the callback for later
+    this.callback = callback;
+
+    if (this.streaming) {
+        this.stopStreams();
+
+        return;
+    }
+
     // stop the recording
     console.log('stopping recording and sending audio files');
     this.audioRecorder.stop();
@@ -92,12 +155,126 @@ Transcriber.prototype.stop = function stop(callback) {
         this.transcriptionService.send(recordingResult, callBack);
         this.counter++;
     });
+};
 
-    // set the state to "transcribing" so that maybeMerge() functions correctly
-    this.state = TRANSCRIBING_STATE;
+/**
+ * Stops the recording and ends the stream of every track on the streaming
+ * transcription service. Once every service reported its last results, the
+ * final words are merged into the transcription.
+ */
+Transcriber.prototype.stopStreams = function() {
+    logger.info('Stopping the recording and ending the transcription streams');
+
+    this.audioRecorder.stop()
+        .then(() => Promise.all(
+            Array.from(this.streams.values()).map(
+                stream => stream.service.stop().catch(error => {
+                    logger.error('Failed to end a transcription stream', error);
+                }))))
+        .then(() => {
+            this.streams.forEach((stream, trackRecorder) => {
+                if (stream.words.length > 0) {
+                    stream.words.name = trackRecorder.name;
+                    stream.words.participantId
+                        = trackRecorder.track.getParticipantId();
+                    this.results.push(stream.words);
+                }
+            });
+            this.streams.clear();
+            this.counter = 0;
+            this.maybeMerge();
+        });
+};
 
-    // and store the callback for later
-    this.callback = callback;
+/**
+ * Sends a chunk of recorded audio to the streaming transcription service,
+ * starting a stream for the track if it's the first chunk.
+ *
+ * @param {Object} trackRecorder the TrackRecorder which recorded the
+ * chunk
+ * @param {Blob} chunk the recorded audio
+ */
+Transcriber.prototype.onAudioChunk = function(trackRecorder, chunk) {
+    let stream = this.streams.get(trackRecorder);
+
+    if (!stream) {
+        // the last chunks are delivered after stop() was called
+        if (this.state !== RECORDING_STATE
+                && this.state !== TRANSCRIBING_STATE) {
+            return;
+        }
+
+        stream = {
+            service: transcriptionServiceRegistry.create(
+                this.serviceName, this.serviceOptions),
+            words: []
+        };
+        stream.service.setResultListener(
+            result => this.onStreamingResult(trackRecorder, stream, result));
+        stream.service.start({
+            mimeType: this.audioRecorder.getFileType(),
+            language: this.language
+        });
+        this.streams.set(trackRecorder, stream);
+    }
+
+    stream.service.sendAudio(chunk);
+};
+
+/**
+ * Handles a result of the streaming transcription service: the begin and end
+ * times of the words are made relative to the start of the transcription,
+ * the final words are stored to be merged and the result is reported to the
+ * caption listeners.
+ *
+ * @param {Object} trackRecorder the TrackRecorder of the transcribed
+ * track
+ * @param {Object} stream the stream the result belongs to
+ * @param {Object} result the result, see
+ * {@link StreamingTranscriptionService#emitResult}
+ */
+Transcriber.prototype.onStreamingResult = function(
+        trackRecorder, stream, result) {
+    const offset = Math.max(
+        0, trackRecorder.startTime.getTime() - this.startTime.getTime());
+    const words = result.words.map(
+        word => new Word(word.word, word.begin + offset, word.end + offset));
+
+    if (result.isFinal) {
+        stream.words.push(...words);
+    }
+
+    const caption = {
+        participantId: trackRecorder.track.getParticipantId(),
+        name: trackRecorder.name,
+        text: result.text,
+        words,
+        isFinal: result.isFinal
+    };
+
+    this.captionListeners.forEach(listener => listener(caption));
+};
+
+/**
+ * Adds a function which will be called with every result of the streaming
+ * transcription service. It receives an object with the id and the name of
+ * the participant who spoke, the recognised text and words and whether the
+ * result is final or interim. The begin and end times of the words are in
+ * milliseconds relative to the start of the transcription.
+ *
+ * @param {Function} listener the function to add
+ */
+Transcriber.prototype.addCaptionListener = function(listener) {
+    this.captionListeners.push(listener);
+};
+
+/**
+ * Removes a function added with addCaptionListener.
+ *
+ * @param {Function} listener the function to remove
+ */
+Transcriber.prototype.removeCaptionListener = function(listener) {
+    this.captionListeners = this.captionListeners.filter(l => l !== listener);
 };
 
 /**
@@ -118,14 +295,10 @@ function blobCallBack(transcriber, answer) {
     // first add the offset between the start of the transcription and
     // the start of the recording to all start and end times
     if (answer.wordArray.length > 0) {
-        let offset = answer.startTime.getUTCMilliseconds()
-            - transcriber.startTime.getUTCMilliseconds();
-
-        // transcriber time will always be earlier
-
-        if (offset < 0) {
-            offset = 0; // presume 0 if it somehow not earlier
-        }
+        // transcriber time will always be earlier, presume 0 if it somehow
+        // is not
+        const offset = Math.max(
+            0, answer.startTime.getTime() - transcriber.startTime.getTime());
 
         let array = '[';
 
@@ -141,6 +314,7 @@ function blobCallBack(transcriber, answer) {
         // the name value without having to use the whole recordingResult object
         // in the algorithm
         answer.wordArray.name = answer.name;
+        answer.wordArray.participantId = answer.participantId;
     }
 
     // then store the array and decrease the counter
@@ -174,6 +348,9 @@ Transcriber.prototype.merge = function() {
             this.results.length}`);
     this.transcription = '';
 
+    // the segments have to be created before the merging empties the arrays
+    this.segments = createSegments(this.results);
+
     // the merging algorithm will look over all Word objects who are at pos 0 in
     // every array. It will then select the one closest in time to the
     // previously placed word, while removing the selected word from its array
@@ -336,6 +513,27 @@ Transcriber.prototype.getTranscription = function() {
     return this.transcription;
 };
 
+/**
+ * Will return the created transcription in the given format if it's available
+ * or throw an error when it's not done yet. The cues of the WebVTT and SRT
+ * formats and the segments of the JSON format are timed from the begin and
+ * end times of the words, in milliseconds relative to the start of the
+ * transcription
+ * @param {string} format one of the TranscriptFormat values: "webvtt", "srt"
+ * or "json"
+ * @returns {String} the transcription in the given format
+ */
+Transcriber.prototype.exportTranscription = function(format) {
+    if (this.state !== FINISHED_STATE) {
+        throw new Error(
+            `The transcription can only be exported when it's in the "${
+                FINISHED_STATE}" state. It's currently in the "${
+                this.state}" state`);
+    }
+
+    return exportSegments(this.segments, format);
+};
+
 /**
  * Returns the current state of the transcription process
  */
@@ -351,9 +549,11 @@ Transcriber.prototype.reset = function() {
     this.state = BEFORE_STATE;
     this.counter = null;
     this.transcription = null;
+    this.segments = null;
     this.startTime = null;
     this.callback = null;
     this.results = [];
+    this.streams.clear();
     this.lineLength = 0;
 };
 
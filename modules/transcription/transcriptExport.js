@@ -0,0 +1,206 @@
+/**
+ * The formats a transcript can be exported to.
+ */
+const TranscriptFormat = {
+    JSON: 'json',
+    SRT: 'srt',
+    WEBVTT: 'webvtt'
+};
+
+// a cue is split when the speaker pauses for longer than this many
+// milliseconds
+const MAXIMUM_PAUSE = 1500;
+
+// a cue is split when it would last longer than this many milliseconds
+const MAXIMUM_CUE_DURATION = 5000;
+
+// a cue is split when its text would be longer than this many characters
+const MAXIMUM_CUE_LENGTH = 80;
+
+/**
+ * Groups the words of every speaker into segments, ordered by time, which can
+ * be shown as a single caption cue. A new segment starts when the speaker
+ * changes, pauses, or when the current segment gets too long.
+ *
+ * @param {Array<Array<Word>>} wordArrays an array of Word objects for every
+ * speaker, each array having a name and a participantId value. The begin and
+ * end times of the words are in milliseconds. The arrays are not modified
+ * @returns {Array<Object>} the segments, each with the participantId and the
+ * name of the speaker, the begin and end times, the text and the words
+ */
+function createSegments(wordArrays) {
+    const words = [];
+
+    wordArrays.forEach(array => array.forEach(word => words.push({
+        word,
+        participantId: array.participantId,
+        name: array.name
+    })));
+    words.sort((a, b) => a.word.begin - b.word.begin);
+
+    const segments = [];
+    let segment = null;
+
+    words.forEach(({ word, participantId, name }) => {
+        const text = word.word;
+
+        if (!segment
+                || segment.participantId !== participantId
+                || word.begin - segment.end > MAXIMUM_PAUSE
+                || word.end - segment.begin > MAXIMUM_CUE_DURATION
+                || segment.text.length + text.length + 1
+                    > MAXIMUM_CUE_LENGTH) {
+            segment = {
+                participantId,
+                name,
+                begin: word.begin,
+                end: word.end,
+                text,
+                words: [ word ]
+            };
+            segments.push(segment);
+
+            return;
+        }
+
+        segment.end = Math.max(segment.end, word.end);
+        segment.text += ` ${text}`;
+        segment.words.push(word);
+    });
+
+    return segments;
+}
+
+/**
+ * Formats a time as hours, minutes, seconds and milliseconds.
+ *
+ * @param {number} time the time in milliseconds
+ * @param {string} separator the separator between the seconds and the
+ * milliseconds
+ * @returns {string} the formatted time, e.g. 00:01:02.345
+ */
+function formatTime(time, separator) {
+    const ms = Math.max(0, Math.round(time));
+    const pad = (value, length) => String(value).padStart(length, '0');
+
+    return `${pad(Math.floor(ms / 3600000), 2)}:${
+        pad(Math.floor(ms / 60000) % 60, 2)}:${
+        pad(Math.floor(ms / 1000) % 60, 2)}${separator}${pad(ms % 1000, 3)}`;
+}
+
+/**
+ * Escapes the characters which have a special meaning in WebVTT cue text.
+ *
+ * @param {string} text the text to escape
+ * @returns {string}
+ */
+function escapeWebVTT(text) {
+    return text
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;');
+}
+
+/**
+ * Exports segments as a WebVTT file, the speaker of every cue is set with a
+ * voice span.
+ *
+ * @param {Array<Object>} segments the segments, see createSegments
+ * @returns {string}
+ */
+function toWebVTT(segments) {
+    const cues = segments.map((segment, index) => {
+        const voice = segment.name
+            ? `<v ${escapeWebVTT(segment.name)}>`
+            : '';
+
+        return `${index + 1}\n${formatTime(segment.begin, '.')} --> ${
+            formatTime(segment.end, '.')}\n${voice}${
+            escapeWebVTT(segment.text)}\n`;
+    });
+
+    return [ 'WEBVTT\n' ].concat(cues).join('\n');
+}
+
+/**
+ * Exports segments as a SubRip file, the text of every cue is prefixed with
+ * the name of the speaker.
+ *
+ * @param {Array<Object>} segments the segments, see createSegments
+ * @returns {string}
+ */
+function toSRT(segments) {
+    return segments.map((segment, index) => {
+        const speaker = segment.name ? `${segment.name}: ` : '';
+
+        return `${index + 1}\n${formatTime(segment.begin, ',')} --> ${
+            formatTime(segment.end, ',')}\n${speaker}${segment.text}\n`;
+    }).join('\n');
+}
+
+/**
+ * Exports segments as JSON, with the list of the participants who spoke and
+ * the timing of every word.
+ *
+ * @param {Array<Object>} segments the segments, see createSegments
+ * @returns {string}
+ */
+function toJSON(segments) {
+    const participants = {};
+
+    segments.forEach(segment => {
+        participants[segment.participantId] = {
+            id: segment.participantId,
+            name: segment.name
+        };
+    });
+
+    return JSON.stringify({
+        participants: Object.values(participants),
+        segments: segments.map(segment => {
+            return {
+                participantId: segment.participantId,
+                begin: segment.begin,
+                end: segment.end,
+                text: segment.text,
+                words: segment.words.map(word => {
+                    return {
+                        word: word.word,
+                        begin: word.begin,
+                        end: word.end
+                    };
+                })
+            };
+        })
+    });
+}
+
+/**
+ * Exports segments in the given format.
+ *
+ * @param {Array<Object>} segments the segments, see createSegments
+ * @param {string} format one of the TranscriptFormat values
+ * @returns {string}
+ */
+function exportSegments(segments, format) {
+    switch (format) {
+    case TranscriptFormat.JSON:
+        return toJSON(segments);
+    case TranscriptFormat.SRT:
+        return toSRT(segments);
+    case TranscriptFormat.WEBVTT:
+        return toWebVTT(segments);
+    }
+
+    throw new Error(`Unknown transcript format: ${format}`);
+}
+
+module.exports = {
+    TranscriptFormat,
+    createSegments,
+    exportSegments,
+    formatTime,
+    toJSON,
+    toSRT,
+    toWebVTT
+};
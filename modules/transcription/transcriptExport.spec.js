@@ -0,0 +1,82 @@
+import {
+    TranscriptFormat,
+    createSegments,
+    exportSegments
+} from './transcriptExport';
+import Word from './word';
+
+/**
+ * Creates the array of words of a speaker, as the Transcriber merges them.
+ *
+ * @param {string} participantId - The id of the speaker.
+ * @param {string} name - The name of the speaker.
+ * @param {Array<Word>} words - The words.
+ * @returns {Array<Word>}
+ */
+function speaker(participantId, name, words) {
+    words.participantId = participantId;
+    words.name = name;
+
+    return words;
+}
+
+describe('transcriptExport', () => {
+    let segments;
+
+    beforeEach(() => {
+        segments = createSegments([
+            speaker('aaaa', 'Alice', [
+                new Word('hello', 0, 300),
+                new Word('there', 400, 800),
+                new Word('again', 5000, 5400)
+            ]),
+            speaker('bbbb', 'Bob & co', [ new Word('hi', 900, 1100) ])
+        ]);
+    });
+
+    it('splits the segments on speaker changes and pauses', () => {
+        expect(segments.map(s => [ s.participantId, s.text, s.begin, s.end ])).toEqual([
+            [ 'aaaa', 'hello there', 0, 800 ],
+            [ 'bbbb', 'hi', 900, 1100 ],
+            [ 'aaaa', 'again', 5000, 5400 ]
+        ]);
+    });
+
+    it('exports WebVTT', () => {
+        expect(exportSegments(segments, TranscriptFormat.WEBVTT)).toBe(
+            'WEBVTT\n\n'
+            + '1\n00:00:00.000 --> 00:00:00.800\n<v Alice>hello there\n\n'
+            + '2\n00:00:00.900 --> 00:00:01.100\n<v Bob &amp; co>hi\n\n'
+            + '3\n00:00:05.000 --> 00:00:05.400\n<v Alice>again\n');
+    });
+
+    it('exports SRT', () => {
+        expect(exportSegments(segments, TranscriptFormat.SRT)).toBe(
+            '1\n00:00:00,000 --> 00:00:00,800\nAlice: hello there\n\n'
+            + '2\n00:00:00,900 --> 00:00:01,100\nBob & co: hi\n\n'
+            + '3\n00:00:05,000 --> 00:00:05,400\nAlice: again\n');
+    });
+
+    it('exports JSON', () => {
+        const json = JSON.parse(exportSegments(segments, TranscriptFormat.JSON));
+
+        expect(json.participants).toEqual([ {
+            id: 'aaaa',
+            name: 'Alice'
+        }, {
+            id: 'bbbb',
+            name: 'Bob & co'
+        } ]);
+        expect(json.segments[1]).toEqual({
+            participantId: 'bbbb',
+            begin: 900,
+            end: 1100,
+            text: 'hi',
+            words: [ {
+                word: 'hi',
+                begin: 900,
+                end: 1100
+            } ]
+        });
+    });
+});
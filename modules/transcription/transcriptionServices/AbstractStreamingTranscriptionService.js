@@ -0,0 +1,79 @@
+/**
+ * Abstract class representing an interface to implement a streaming
+ * speech-to-text service on. Unlike a TranscriptionService, which gets the
+ * whole recording at once, the audio is sent in chunks while it is being
+ * recorded and the service reports the results as soon as they are
+ * recognised. Interim results can still change, final results can't.
+ *
+ * An instance of the service transcribes a single audio stream, the
+ * Transcriber creates one for every track.
+ */
+const StreamingTranscriptionService = function() {
+    throw new Error('StreamingTranscriptionService is abstract and cannot be'
+        + ' created');
+};
+
+/**
+ * Abstract method which will start a new stream on the implemented
+ * transcription service. Audio can be sent right after, implementations have
+ * to buffer it if they are not ready to accept it yet.
+ *
+ * @param {Object} options the options of the stream
+ * @param {string} options.mimeType the mime type of the audio chunks
+ * @param {string} [options.language] the language spoken, if known
+ */
+// eslint-disable-next-line no-unused-vars
+StreamingTranscriptionService.prototype.start = function(options) {
+    throw new Error('StreamingTranscriptionService.start is abstract');
+};
+
+/**
+ * Abstract method which will send a chunk of recorded audio to the
+ * implemented transcription service.
+ *
+ * @param {Blob} chunk the next chunk of the recorded audio stream
+ */
+// eslint-disable-next-line no-unused-vars
+StreamingTranscriptionService.prototype.sendAudio = function(chunk) {
+    throw new Error('StreamingTranscriptionService.sendAudio is abstract');
+};
+
+/**
+ * Abstract method which will end the stream on the implemented transcription
+ * service.
+ *
+ * @return {Promise} resolved once the service reported its last results
+ */
+StreamingTranscriptionService.prototype.stop = function() {
+    throw new Error('StreamingTranscriptionService.stop is abstract');
+};
+
+/**
+ * Sets the function which will receive the results of the stream.
+ *
+ * @param {Function} listener the function which will be called with every
+ * result, see {@link StreamingTranscriptionService#emitResult}
+ */
+StreamingTranscriptionService.prototype.setResultListener = function(
+        listener) {
+    this.resultListener = listener;
+};
+
+/**
+ * Reports a result to the listener. This is to be called by the
+ * implementations when the service recognised speech.
+ *
+ * @param {Object} result the result
+ * @param {string} result.text the recognised text
+ * @param {Array<Word>} result.words the recognised words, with their begin
+ * and end times in ms relative to the start of the stream. Can be empty if
+ * the service doesn't report timing information
+ * @param {boolean} result.isFinal whether the result is final or interim
+ */
+StreamingTranscriptionService.prototype.emitResult = function(result) {
+    if (this.resultListener) {
+        this.resultListener(result);
+    }
+};
+
+module.exports = StreamingTranscriptionService;
@@ -0,0 +1,185 @@
+/* global __filename, WebSocket */
+
+const logger = require('jitsi-meet-logger').getLogger(__filename);
+
+const Word = require('../word');
+
+const StreamingTranscriptionService
+    = require('./AbstractStreamingTranscriptionService');
+
+/**
+ * How long to wait, in ms, for the server to send the last results and close
+ * the connection once the end of the stream was signaled.
+ */
+const STOP_TIMEOUT = 5000;
+
+/**
+ * Implements a StreamingTranscriptionService for a generic WebSocket speech
+ * recognition server. The protocol is:
+ *
+ * - the client opens a connection to the server per audio stream and sends a
+ * JSON text message: { "type": "start", "mimeType": string,
+ * "language": string }
+ * - the client then sends the recorded audio chunks as binary messages
+ * - the server sends JSON text messages with the results: { "type":
+ * "interim" | "final", "text": string, "words": [ { "word": string,
+ * "start": number, "end": number } ] } where the times are in ms relative to
+ * the start of the stream
+ * - the client sends { "type": "stop" } at the end of the stream, the server
+ * sends the remaining results and closes the connection
+ *
+ * @param {Object} options the options of the service
+ * @param {string} options.url the URL of the server
+ * @param {string} [options.language] the language spoken, used when the
+ * stream is started without one
+ */
+function WebSocketTranscriptionService(options = {}) {
+    if (!options.url) {
+        throw new Error('WebSocketTranscriptionService requires an url');
+    }
+
+    this.url = options.url;
+    this.language = options.language;
+
+    // the WebSocket connection to the server
+    this.socket = null;
+
+    // the messages sent before the connection was open
+    this.pendingMessages = [];
+
+    // resolves the promise returned by stop()
+    this.stopResolve = null;
+}
+
+/**
+ * Subclass of AbstractStreamingTranscriptionService
+ */
+WebSocketTranscriptionService.prototype
+    = Object.create(StreamingTranscriptionService.prototype);
+
+/**
+ * Set the right constructor
+ */
+WebSocketTranscriptionService.prototype.constructor
+    = WebSocketTranscriptionService;
+
+/**
+ * Overrides the start method from AbstractStreamingTranscriptionService.
+ * It opens the connection to the server.
+ *
+ * @param {Object} options the options of the stream
+ */
+WebSocketTranscriptionService.prototype.start = function(options) {
+    this.socket = new WebSocket(this.url);
+    this.socket.binaryType = 'arraybuffer';
+
+    this.socket.onopen = () => {
+        this.pendingMessages.forEach(message => this.socket.send(message));
+        this.pendingMessages = [];
+    };
+    this.socket.onmessage = event => this.onMessage(event.data);
+    this.socket.onerror = error => {
+        logger.error(`Error on the connection to ${this.url}`, error);
+    };
+    this.socket.onclose = () => {
+        this.socket = null;
+        this.pendingMessages = [];
+        this.stopResolve && this.stopResolve();
+    };
+
+    this.send(JSON.stringify({
+        type: 'start',
+        mimeType: options.mimeType,
+        language: options.language || this.language
+    }));
+};
+
+/**
+ * Overrides the sendAudio method from AbstractStreamingTranscriptionService.
+ *
+ * @param {Blob} chunk the next chunk of the recorded audio stream
+ */
+WebSocketTranscriptionService.prototype.sendAudio = function(chunk) {
+    this.send(chunk);
+};
+
+/**
+ * Overrides the stop method from AbstractStreamingTranscriptionService.
+ * It tells the server the stream ended and waits for the server to close
+ * the connection.
+ *
+ * @return {Promise}
+ */
+WebSocketTranscriptionService.prototype.stop = function() {
+    if (!this.socket) {
+        return Promise.resolve();
+    }
+
+    return new Promise(resolve => {
+        const timeout = setTimeout(() => {
+            logger.warn(`${this.url} did not close the connection in time`);
+            this.socket && this.socket.close();
+        }, STOP_TIMEOUT);
+
+        this.stopResolve = () => {
+            clearTimeout(timeout);
+            this.stopResolve = null;
+            resolve();
+        };
+
+        this.send(JSON.stringify({ type: 'stop' }));
+    });
+};
+
+/**
+ * Sends a message to the server, or queues it if the connection is not open
+ * yet.
+ *
+ * @param {string|Blob} message the message
+ */
+WebSocketTranscriptionService.prototype.send = function(message) {
+    if (!this.socket) {
+        return;
+    }
+
+    if (this.socket.readyState === WebSocket.OPEN) {
+        this.socket.send(message);
+    } else {
+        this.pendingMessages.push(message);
+    }
+};
+
+/**
+ * Parses a message from the server and reports the result it holds.
+ *
+ * @param {string} data the message
+ */
+WebSocketTranscriptionService.prototype.onMessage = function(data) {
+    let message;
+
+    try {
+        message = JSON.parse(data);
+    } catch (error) {
+        logger.warn(`Ignoring invalid message from ${this.url}`, error);
+
+        return;
+    }
+
+    if (message.type !== 'interim' && message.type !== 'final') {
+        return;
+    }
+
+    const words = Array.isArray(message.words)
+        ? message.words.map(w => new Word(w.word, w.start, w.end))
+        : [];
+
+    this.emitResult({
+        text: typeof message.text === 'string'
+            ? message.text
+            : words.map(w => w.getWord()).join(' '),
+        words,
+        isFinal: message.type === 'final'
+    });
+};
+
+module.exports = WebSocketTranscriptionService;
@@ -0,0 +1,193 @@
+import WebSocketTranscriptionService from './WebSocketTranscriptionService';
+
+// JSDocs disabled for Mock classes to avoid duplication - check on the original classes for info.
+/* eslint-disable require-jsdoc */
+/**
+ * A mock WebSocket which the tests open, feed with messages and close as the server would.
+ */
+class MockWebSocket {
+    constructor(url) {
+        this.url = url;
+        this.readyState = MockWebSocket.CONNECTING;
+        this.sent = [];
+        this.close = jasmine.createSpy('close').and.callFake(() => this.serverClose());
+        MockWebSocket.last = this;
+    }
+
+    send(message) {
+        this.sent.push(message);
+    }
+
+    serverOpen() {
+        this.readyState = MockWebSocket.OPEN;
+        this.onopen();
+    }
+
+    serverSend(message) {
+        this.onmessage({ data: typeof message === 'string' ? message : JSON.stringify(message) });
+    }
+
+    serverClose() {
+        this.readyState = MockWebSocket.CLOSED;
+        this.onclose();
+    }
+}
+
+MockWebSocket.CONNECTING = 0;
+MockWebSocket.OPEN = 1;
+MockWebSocket.CLOSED = 3;
+
+/* eslint-enable require-jsdoc */
+
+describe('WebSocketTranscriptionService', () => {
+    const { WebSocket } = window;
+    let results, service;
+
+    beforeEach(() => {
+        window.WebSocket = MockWebSocket;
+        results = [];
+        service = new WebSocketTranscriptionService({
+            language: 'en-US',
+            url: 'wss://stt.example.com'
+        });
+        service.setResultListener(result => results.push(result));
+    });
+
+    afterEach(() => {
+        window.WebSocket = WebSocket;
+    });
+
+    it('requires an url', () => {
+        expect(() => new WebSocketTranscriptionService()).toThrowError(/requires an url/);
+    });
+
+    it('sends the messages queued while connecting once the connection is open', () => {
+        service.start({ mimeType: 'audio/webm' });
+        service.sendAudio('chunk1');
+
+        const socket = MockWebSocket.last;
+
+        expect(socket.url).toBe('wss://stt.example.com');
+        expect(socket.binaryType).toBe('arraybuffer');
+        expect(socket.sent).toEqual([]);
+
+        socket.serverOpen();
+        service.sendAudio('chunk2');
+
+        expect(socket.sent.length).toBe(3);
+        expect(JSON.parse(socket.sent[0])).toEqual({
+            type: 'start',
+            mimeType: 'audio/webm',
+            language: 'en-US'
+        });
+        expect(socket.sent.slice(1)).toEqual([ 'chunk1', 'chunk2' ]);
+    });
+
+    it('starts the stream in the language of the stream when there is one', () => {
+        service.start({
+            language: 'fr-FR',
+            mimeType: 'audio/webm'
+        });
+        MockWebSocket.last.serverOpen();
+
+        expect(JSON.parse(MockWebSocket.last.sent[0]).language).toBe('fr-FR');
+    });
+
+    it('reports the interim and final results', () => {
+        service.start({ mimeType: 'audio/webm' });
+
+        const socket = MockWebSocket.last;
+
+        socket.serverOpen();
+        socket.serverSend({
+            type: 'interim',
+            text: 'hello wor'
+        });
+        socket.serverSend({
+            type: 'final',
+            words: [
+                {
+                    word: 'hello',
+                    start: 0,
+                    end: 400
+                },
+                {
+                    word: 'world',
+                    start: 500,
+                    end: 900
+                }
+            ]
+        });
+
+        expect(results.length).toBe(2);
+        expect(results[0]).toEqual({
+            text: 'hello wor',
+            words: [],
+            isFinal: false
+        });
+        expect(results[1].text).toBe('hello world');
+        expect(results[1].isFinal).toBe(true);
+        expect(results[1].words.map(w => [ w.getWord(), w.getBeginTime(), w.getEndTime() ]))
+            .toEqual([ [ 'hello', 0, 400 ], [ 'world', 500, 900 ] ]);
+    });
+
+    it('ignores the invalid and unknown messages', () => {
+        service.start({ mimeType: 'audio/webm' });
+
+        const socket = MockWebSocket.last;
+
+        socket.serverOpen();
+        socket.serverSend('not json');
+        socket.serverSend({ type: 'ping' });
+
+        expect(results).toEqual([]);
+    });
+
+    it('signals the end of the stream and waits for the server to close the connection', async () => {
+        const stopped = jasmine.createSpy('stopped');
+
+        service.start({ mimeType: 'audio/webm' });
+
+        const socket = MockWebSocket.last;
+
+        socket.serverOpen();
+        service.stop().then(stopped);
+        await Promise.resolve();
+
+        expect(JSON.parse(socket.sent[socket.sent.length - 1])).toEqual({ type: 'stop' });
+        expect(stopped).not.toHaveBeenCalled();
+
+        socket.serverSend({
+            type: 'final',
+            text: 'bye'
+        });
+        socket.serverClose();
+        await Promise.resolve();
+
+        expect(results.map(result => result.text)).toEqual([ 'bye' ]);
+        expect(stopped).toHaveBeenCalled();
+        expect(socket.close).not.toHaveBeenCalled();
+    });
+
+    it('closes the connection when the server doesn\'t close it in time', async () => {
+        jasmine.clock().install();
+
+        try {
+            service.start({ mimeType: 'audio/webm' });
+            MockWebSocket.last.serverOpen();
+
+            const stopPromise = service.stop();
+
+            jasmine.clock().tick(5000);
+            await stopPromise;
+
+            expect(MockWebSocket.last.close).toHaveBeenCalled();
+        } finally {
+            jasmine.clock().uninstall();
+        }
+    });
+
+    it('resolves right away when stopped without a connection', async () => {
+        await expectAsync(service.stop()).toBeResolved();
+    });
+});
@@ -0,0 +1,101 @@
+const StreamingTranscriptionService
+    = require('./AbstractStreamingTranscriptionService');
+const SphinxService = require('./SphinxTranscriptionService');
+const WebSocketTranscriptionService
+    = require('./WebSocketTranscriptionService');
+
+/**
+ * The name of the service the Transcriber uses when none is specified.
+ */
+const DEFAULT_SERVICE = 'sphinx';
+
+/**
+ * The registered services, by name. A service is a constructor which takes
+ * the options of the service and creates either a TranscriptionService or a
+ * StreamingTranscriptionService.
+ */
+const services = {
+    sphinx: SphinxService,
+    websocket: WebSocketTranscriptionService
+};
+
+/**
+ * This object holds the transcription services the Transcriber can use, so
+ * that applications can plug in their own backend through the JitsiMeetJS
+ * object.
+ */
+const transcriptionServiceRegistry = {
+    DEFAULT_SERVICE,
+
+    /**
+     * Registers a service, replacing any service with the same name.
+     *
+     * @param {string} name the name of the service
+     * @param {Function} Service the constructor of the service, which has to
+     * extend either AbstractTranscriptionService or
+     * AbstractStreamingTranscriptionService
+     */
+    register(name, Service) {
+        if (typeof Service !== 'function') {
+            throw new Error(`Cannot register ${name}, not a constructor`);
+        }
+        services[name] = Service;
+    },
+
+    /**
+     * Removes a registered service.
+     *
+     * @param {string} name the name of the service
+     */
+    unregister(name) {
+        delete services[name];
+    },
+
+    /**
+     * Checks whether a service is registered.
+     *
+     * @param {string} name the name of the service
+     * @returns {boolean}
+     */
+    has(name) {
+        return services.hasOwnProperty(name);
+    },
+
+    /**
+     * Returns the names of all the registered services.
+     *
+     * @returns {Array<string>}
+     */
+    getNames() {
+        return Object.keys(services);
+    },
+
+    /**
+     * Checks whether a registered service is a streaming one.
+     *
+     * @param {string} name the name of the service
+     * @returns {boolean}
+     */
+    isStreaming(name) {
+        return transcriptionServiceRegistry.has(name)
+            && services[name].prototype
+                instanceof StreamingTranscriptionService;
+    },
+
+    /**
+     * Creates an instance of a registered service.
+     *
+     * @param {string} name the name of the service
+     * @param {Object} [options] the options passed to the service
+     * @returns {TranscriptionService|StreamingTranscriptionService}
+     */
+    create(name, options) {
+        if (!transcriptionServiceRegistry.has(name)) {
+            throw new Error(`Unknown transcription service: ${name}`);
+        }
+
+        return new services[name](options);
+    }
+};
+
+module.exports = transcriptionServiceRegistry;
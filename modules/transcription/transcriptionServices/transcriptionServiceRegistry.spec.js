@@ -0,0 +1,77 @@
+import StreamingTranscriptionService from './AbstractStreamingTranscriptionService';
+import TranscriptionService from './AbstractTranscriptionService';
+import WebSocketTranscriptionService from './WebSocketTranscriptionService';
+import transcriptionServiceRegistry from './transcriptionServiceRegistry';
+
+/**
+ * A streaming service, as an application would plug in.
+ *
+ * @constructor
+ * @param {Object} options - The options of the service.
+ */
+function MockStreamingService(options) {
+    this.options = options;
+}
+MockStreamingService.prototype = Object.create(StreamingTranscriptionService.prototype);
+
+/**
+ * A service transcribing whole recordings, as an application would plug in.
+ *
+ * @constructor
+ */
+function MockService() {} // eslint-disable-line no-empty-function
+MockService.prototype = Object.create(TranscriptionService.prototype);
+
+describe('transcriptionServiceRegistry', () => {
+    afterEach(() => {
+        transcriptionServiceRegistry.unregister('mock');
+        transcriptionServiceRegistry.unregister('mock-streaming');
+    });
+
+    it('has the built in services', () => {
+        expect(transcriptionServiceRegistry.getNames()).toEqual([ 'sphinx', 'websocket' ]);
+        expect(transcriptionServiceRegistry.has(transcriptionServiceRegistry.DEFAULT_SERVICE)).toBe(true);
+        expect(transcriptionServiceRegistry.isStreaming('sphinx')).toBe(false);
+        expect(transcriptionServiceRegistry.isStreaming('websocket')).toBe(true);
+    });
+
+    it('creates a registered service with its options', () => {
+        transcriptionServiceRegistry.register('mock-streaming', MockStreamingService);
+
+        const service = transcriptionServiceRegistry.create('mock-streaming', { url: 'wss://stt.example.com' });
+
+        expect(service).toEqual(jasmine.any(MockStreamingService));
+        expect(service.options).toEqual({ url: 'wss://stt.example.com' });
+        expect(transcriptionServiceRegistry.create('websocket', { url: 'wss://stt.example.com' }))
+            .toEqual(jasmine.any(WebSocketTranscriptionService));
+    });
+
+    it('tells the streaming services apart', () => {
+        transcriptionServiceRegistry.register('mock', MockService);
+        transcriptionServiceRegistry.register('mock-streaming', MockStreamingService);
+
+        expect(transcriptionServiceRegistry.isStreaming('mock')).toBe(false);
+        expect(transcriptionServiceRegistry.isStreaming('mock-streaming')).toBe(true);
+        expect(transcriptionServiceRegistry.isStreaming('unknown')).toBe(false);
+    });
+
+    it('replaces a service registered with the same name', () => {
+        transcriptionServiceRegistry.register('mock', MockService);
+        transcriptionServiceRegistry.register('mock', MockStreamingService);
+
+        expect(transcriptionServiceRegistry.create('mock')).toEqual(jasmine.any(MockStreamingService));
+    });
+
+    it('refuses to register something which is not a constructor', () => {
+        expect(() => transcriptionServiceRegistry.register('mock', {})).toThrowError(/not a constructor/);
+        expect(transcriptionServiceRegistry.has('mock')).toBe(false);
+    });
+
+    it('can\'t create a service which is not registered', () => {
+        transcriptionServiceRegistry.register('mock', MockService);
+        transcriptionServiceRegistry.unregister('mock');
+
+        expect(transcriptionServiceRegistry.has('mock')).toBe(false);
+        expect(() => transcriptionServiceRegistry.create('mock')).toThrowError('Unknown transcription service: mock');
+    });
+});
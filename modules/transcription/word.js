@@ -4,11 +4,11 @@
  * @param begin the time the word was started being uttered
  * @param end the time the word stopped being uttered
  */
-const Word = function(word, begin, end) {
+function Word(word, begin, end) {
     this.word = word;
     this.begin = begin;
     this.end = end;
-};
+}
 
 /**
  * Get the string representation of the word
@@ -106,7 +106,7 @@ export default class VideoSIPGW {
      * Listener for session state changed. When a session goes to off or failed
      * we delete its reference.
      *
-     * @param {options} event - { address, oldState, newState, displayName }
+     * @param {Object} event - { address, oldState, newState, displayName }
      */
     sessionStateChanged(event) {
         const address = event.address;
@@ -0,0 +1,95 @@
+/* global __filename */
+
+import { getLogger } from 'jitsi-meet-logger';
+
+import browser from '../browser';
+
+import { createAudioContext } from './WebAudioUtils';
+
+const logger = getLogger(__filename);
+
+/**
+ * An effect for the local audio tracks which runs the audio through a chain of {@link AudioProcessor}s, e.g. a
+ * noise gate followed by a compressor, and can be set with {@link JitsiLocalTrack#setEffect}.
+ *
+ * The worklet modules of the processors are loaded asynchronously, so the audio goes through unprocessed until the
+ * whole chain is ready.
+ */
+export default class AudioEffect {
+    /**
+     * Initializes a new effect.
+     *
+     * @param {Array<AudioProcessor>} processors - The processors, in the order the audio goes through them.
+     */
+    constructor(processors) {
+        this._processors = processors;
+        this._audioContext = undefined;
+        this._destination = undefined;
+        this._source = undefined;
+    }
+
+    /**
+     * Returns the processors of the effect, e.g. in order to change their parameters.
+     *
+     * @returns {Array<AudioProcessor>}
+     */
+    getProcessors() {
+        return this._processors;
+    }
+
+    /**
+     * Checks whether the effect can be applied on a track.
+     *
+     * @param {JitsiLocalTrack} track - The track.
+     * @returns {boolean}
+     */
+    isEnabled(track) {
+        return track.isAudioTrack() && browser.supportsAudioWorklet();
+    }
+
+    /**
+     * Starts processing the audio of a stream.
+     *
+     * @param {MediaStream} stream - The stream to process.
+     * @returns {MediaStream} The stream with the processed audio.
+     */
+    startEffect(stream) {
+        const audioContext = createAudioContext();
+
+        this._audioContext = audioContext;
+        this._source = audioContext.createMediaStreamSource(stream);
+        this._destination = audioContext.createMediaStreamDestination();
+        this._source.connect(this._destination);
+
+        Promise.all(this._processors.map(processor => processor.createNode(audioContext)))
+            .then(nodes => {
+                // The effect was stopped in the meantime.
+                if (this._audioContext !== audioContext) {
+                    return;
+                }
+
+                this._source.disconnect();
+                [ this._source, ...nodes ].reduce((previous, node) => previous.connect(node))
+                    .connect(this._destination);
+            })
+            .catch(error => logger.error('Failed to load the audio processors, the audio is not processed', error));
+
+        return this._destination.stream;
+    }
+
+    /**
+     * Stops processing the audio.
+     *
+     * @returns {void}
+     */
+    stopEffect() {
+        this._source?.disconnect();
+        this._processors.forEach(processor => processor.destroyNode());
+        this._destination?.stream.getTracks().forEach(track => track.stop());
+        this._audioContext?.close();
+
+        this._audioContext = undefined;
+        this._destination = undefined;
+        this._source = undefined;
+    }
+}
@@ -0,0 +1,122 @@
+import AudioEffect from './AudioEffect';
+
+// JSDocs disabled for Mock classes to avoid duplication - check on the original classes for info.
+/* eslint-disable require-jsdoc */
+class MockNode {
+    constructor(name) {
+        this.name = name;
+        this.connect = jasmine.createSpy(`${name}.connect`).and.callFake(node => node);
+        this.disconnect = jasmine.createSpy(`${name}.disconnect`);
+    }
+}
+
+class MockAudioContext {
+    constructor() {
+        this.close = jasmine.createSpy('close');
+    }
+
+    createMediaStreamSource(stream) {
+        this.source = new MockNode('source');
+        this.source.stream = stream;
+
+        return this.source;
+    }
+
+    createMediaStreamDestination() {
+        this.destination = new MockNode('destination');
+        this.destination.stream = { getTracks: () => [] };
+
+        return this.destination;
+    }
+}
+
+/**
+ * A processor whose node is created when the test resolves it.
+ */
+class MockProcessor {
+    constructor(name) {
+        this.node = new MockNode(name);
+        this.destroyNode = jasmine.createSpy(`${name}.destroyNode`);
+        this.createNode = jasmine.createSpy(`${name}.createNode`).and.returnValue(new Promise((resolve, reject) => {
+            this.resolve = () => resolve(this.node);
+            this.reject = reject;
+        }));
+    }
+}
+
+/* eslint-enable require-jsdoc */
+
+/**
+ * Lets the pending promises settle.
+ *
+ * @returns {Promise<void>}
+ */
+function flush() {
+    return new Promise(resolve => setTimeout(resolve));
+}
+
+describe('AudioEffect', () => {
+    const { AudioContext } = window;
+    let compressor, effect, gate, stream;
+
+    beforeEach(() => {
+        window.AudioContext = MockAudioContext;
+        gate = new MockProcessor('gate');
+        compressor = new MockProcessor('compressor');
+        effect = new AudioEffect([ gate, compressor ]);
+        stream = {};
+    });
+
+    afterEach(() => {
+        window.AudioContext = AudioContext;
+    });
+
+    it('lets the audio through unprocessed until the chain is ready', async () => {
+        const processedStream = effect.startEffect(stream);
+        const { source, destination } = effect._audioContext;
+
+        expect(processedStream).toBe(destination.stream);
+        expect(source.stream).toBe(stream);
+        expect(source.connect).toHaveBeenCalledOnceWith(destination);
+
+        gate.resolve();
+        await flush();
+
+        expect(source.disconnect).not.toHaveBeenCalled();
+
+        compressor.resolve();
+        await flush();
+
+        expect(source.disconnect).toHaveBeenCalled();
+        expect(source.connect).toHaveBeenCalledWith(gate.node);
+        expect(gate.node.connect).toHaveBeenCalledOnceWith(compressor.node);
+        expect(compressor.node.connect).toHaveBeenCalledOnceWith(destination);
+    });
+
+    it('keeps the audio unprocessed when a processor fails to load', async () => {
+        effect.startEffect(stream);
+        const { source } = effect._audioContext;
+
+        gate.resolve();
+        compressor.reject(new Error('Failed to load'));
+        await flush();
+
+        expect(source.disconnect).not.toHaveBeenCalled();
+        expect(gate.node.connect).not.toHaveBeenCalled();
+    });
+
+    it('doesn\'t connect the chain when the effect was stopped in the meantime', async () => {
+        effect.startEffect(stream);
+        const audioContext = effect._audioContext;
+
+        effect.stopEffect();
+        gate.resolve();
+        compressor.resolve();
+        await flush();
+
+        expect(audioContext.close).toHaveBeenCalled();
+        expect(audioContext.source.connect).not.toHaveBeenCalledWith(gate.node);
+        expect(gate.destroyNode).toHaveBeenCalled();
+        expect(compressor.destroyNode).toHaveBeenCalled();
+    });
+});
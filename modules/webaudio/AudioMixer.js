@@ -20,58 +20,140 @@ export default class AudioMixer {
         this._started = false;
         this._streamsToMix = [];
         this._streamMSSArray = [];
+
+        // The volume of each of the streams, and the GainNode applying it once the mixer is started.
+        this._volumes = new Map();
+        this._gainNodes = new Map();
     }
 
     /**
-     * Add audio MediaStream to be mixed, if the stream doesn't contain any audio tracks it will be ignored.
+     * Add audio MediaStream to be mixed, if the stream doesn't contain any audio tracks it will be ignored. If the
+     * mixer was already started the stream is connected to the mixed output right away.
      *
      * @param {MediaStream} stream - MediaStream to be mixed.
+     * @param {number} [volume] - The volume of the stream in the mix, from 0 (silent) to 1 (unchanged).
      */
-    addMediaStream(stream) {
+    addMediaStream(stream, volume = 1) {
         if (!stream.getAudioTracks()) {
             logger.warn('Added MediaStream doesn\'t contain audio tracks.');
         }
 
         this._streamsToMix.push(stream);
+        this._volumes.set(stream, volume);
+
+        if (this._started) {
+            this._connectStream(stream);
+        }
+    }
+
+    /**
+     * Removes a previously added MediaStream, disconnecting it from the mixed output if the mixer was started.
+     *
+     * @param {MediaStream} stream - MediaStream to be removed.
+     * @returns {void}
+     */
+    removeMediaStream(stream) {
+        this._streamsToMix = this._streamsToMix.filter(s => s !== stream);
+
+        const streamMSS = this._streamMSSArray.find(mss => mss.mediaStream === stream);
+
+        if (streamMSS) {
+            streamMSS.disconnect();
+            this._streamMSSArray = this._streamMSSArray.filter(mss => mss !== streamMSS);
+        }
+
+        this._gainNodes.get(stream)?.disconnect();
+        this._gainNodes.delete(stream);
+        this._volumes.delete(stream);
+    }
+
+    /**
+     * Changes the volume of a previously added MediaStream in the mix, also while the mixer is running.
+     *
+     * @param {MediaStream} stream - The MediaStream.
+     * @param {number} volume - The volume, from 0 (silent) to 1 (unchanged).
+     * @returns {void}
+     */
+    setVolume(stream, volume) {
+        if (!this._volumes.has(stream)) {
+            logger.warn('Cannot set the volume of a MediaStream which is not mixed.');
+
+            return;
+        }
+
+        this._volumes.set(stream, volume);
+
+        const gainNode = this._gainNodes.get(stream);
+
+        if (gainNode) {
+            gainNode.gain.value = volume;
+        }
+    }
+
+    /**
+     * Returns the volume of a previously added MediaStream in the mix.
+     *
+     * @param {MediaStream} stream - The MediaStream.
+     * @returns {number|undefined}
+     */
+    getVolume(stream) {
+        return this._volumes.get(stream);
     }
 
     /**
      * At this point a WebAudio ChannelMergerNode is created and and the two associated MediaStreams are connected to
      * it; the resulting mixed MediaStream is returned.
      *
+     * @param {Object} [options] - The options.
+     * @param {boolean} [options.allowEmpty] - Whether to start even though no MediaStream was added yet, the mixed
+     * MediaStream is silent until one is.
      * @returns {MediaStream} - MediaStream containing added streams mixed together, or null if no MediaStream
      * is added.
      */
-    start() {
+    start({ allowEmpty = false } = {}) {
         // If the mixer was already started just return the existing mixed stream.
         if (this._started) {
             return this._mixedMSD.stream;
         }
 
-        this._audioContext = createAudioContext();
-
-        if (!this._streamsToMix.length) {
+        if (!this._streamsToMix.length && !allowEmpty) {
             logger.warn('No MediaStream\'s added to AudioMixer, nothing will happen.');
 
             return null;
         }
 
+        this._audioContext = createAudioContext();
         this._started = true;
 
         this._mixedMSD = this._audioContext.createMediaStreamDestination();
 
         for (const stream of this._streamsToMix) {
-            const streamMSS = this._audioContext.createMediaStreamSource(stream);
-
-            streamMSS.connect(this._mixedMSD);
-
-            // Maintain a list of MediaStreamAudioSourceNode so we can disconnect them on reset.
-            this._streamMSSArray.push(streamMSS);
+            this._connectStream(stream);
         }
 
         return this._mixedMSD.stream;
     }
 
+    /**
+     * Connects a MediaStream to the mixed output.
+     *
+     * @param {MediaStream} stream - The MediaStream to connect.
+     * @private
+     * @returns {void}
+     */
+    _connectStream(stream) {
+        const streamMSS = this._audioContext.createMediaStreamSource(stream);
+        const gainNode = this._audioContext.createGain();
+
+        gainNode.gain.value = this._volumes.get(stream) ?? 1;
+        streamMSS.connect(gainNode);
+        gainNode.connect(this._mixedMSD);
+        this._gainNodes.set(stream, gainNode);
+
+        // Maintain a list of MediaStreamAudioSourceNode so we can disconnect them on reset.
+        this._streamMSSArray.push(streamMSS);
+    }
+
     /**
      * Disconnect MediaStreamAudioSourceNode and clear references.
      *
@@ -88,7 +170,14 @@ export default class AudioMixer {
 
         this._streamMSSArray = [];
 
+        for (const gainNode of this._gainNodes.values()) {
+            gainNode.disconnect();
+        }
+        this._gainNodes.clear();
+        this._volumes.clear();
+
         if (this._audioContext) {
+            this._audioContext.close();
             this._audioContext = undefined;
         }
     }
@@ -0,0 +1,96 @@
+import AudioMixer from './AudioMixer';
+import { MockAudioContext, MockMediaStream } from './MockClasses';
+
+describe('AudioMixer', () => {
+    const { AudioContext } = window;
+    let desktopAudio, microphone, mixer;
+
+    beforeEach(() => {
+        window.AudioContext = MockAudioContext;
+        MockAudioContext.instances = [];
+        desktopAudio = new MockMediaStream();
+        microphone = new MockMediaStream();
+        mixer = new AudioMixer();
+    });
+
+    afterEach(() => {
+        window.AudioContext = AudioContext;
+    });
+
+    describe('start', () => {
+        it('doesn\'t create an audio context when there is nothing to mix', () => {
+            expect(mixer.start()).toBeNull();
+            expect(MockAudioContext.instances.length).toBe(0);
+        });
+
+        it('mixes the streams added once started without any', () => {
+            const mixedStream = mixer.start({ allowEmpty: true });
+
+            mixer.addMediaStream(microphone);
+
+            const [ audioContext ] = MockAudioContext.instances;
+
+            expect(mixedStream).toBe(audioContext.destinations[0].stream);
+            expect(audioContext.getGainNode(microphone).connect).toHaveBeenCalledWith(audioContext.destinations[0]);
+        });
+    });
+
+    describe('setVolume', () => {
+        it('applies the volume of a stream once the mixer is started', () => {
+            mixer.addMediaStream(microphone);
+            mixer.addMediaStream(desktopAudio, 0.5);
+            mixer.setVolume(microphone, 0.25);
+
+            expect(mixer.getVolume(microphone)).toBe(0.25);
+
+            mixer.start();
+            const [ audioContext ] = MockAudioContext.instances;
+
+            expect(audioContext.getGainNode(microphone).gain.value).toBe(0.25);
+            expect(audioContext.getGainNode(desktopAudio).gain.value).toBe(0.5);
+        });
+
+        it('changes the volume of a stream while the mixer is running', () => {
+            mixer.addMediaStream(microphone);
+            mixer.start();
+            mixer.setVolume(microphone, 0);
+
+            expect(MockAudioContext.instances[0].getGainNode(microphone).gain.value).toBe(0);
+        });
+
+        it('ignores a stream which is not mixed', () => {
+            mixer.addMediaStream(microphone);
+            mixer.setVolume(desktopAudio, 0.5);
+
+            expect(mixer.getVolume(desktopAudio)).toBeUndefined();
+        });
+    });
+
+    describe('removeMediaStream', () => {
+        it('disconnects the stream from the running mixer', () => {
+            mixer.addMediaStream(microphone);
+            mixer.addMediaStream(desktopAudio);
+            mixer.start();
+
+            const [ audioContext ] = MockAudioContext.instances;
+            const gainNode = audioContext.getGainNode(desktopAudio);
+            const source = audioContext.sources.find(node => node.mediaStream === desktopAudio);
+
+            mixer.removeMediaStream(desktopAudio);
+
+            expect(source.disconnect).toHaveBeenCalled();
+            expect(gainNode.disconnect).toHaveBeenCalled();
+            expect(mixer.getVolume(desktopAudio)).toBeUndefined();
+            expect(audioContext.getGainNode(microphone).disconnect).not.toHaveBeenCalled();
+        });
+
+        it('doesn\'t mix a stream removed before the mixer is started', () => {
+            mixer.addMediaStream(microphone);
+            mixer.addMediaStream(desktopAudio);
+            mixer.removeMediaStream(desktopAudio);
+            mixer.start();
+
+            expect(MockAudioContext.instances[0].sources.map(node => node.mediaStream)).toEqual([ microphone ]);
+        });
+    });
+});
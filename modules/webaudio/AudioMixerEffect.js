@@ -0,0 +1,187 @@
+/* global __filename */
+
+import { getLogger } from 'jitsi-meet-logger';
+
+import browser from '../browser';
+import Listenable from '../util/Listenable';
+
+import AudioMixer from './AudioMixer';
+
+const logger = getLogger(__filename);
+
+const AudioMixerEffectEvents = {
+    /**
+     * The desktop audio stopped, e.g. because the screen share stopped. The microphone track removes the effect
+     * then.
+     */
+    DESKTOP_AUDIO_STOPPED: 'audio_mixer_effect.desktop_audio_stopped'
+};
+
+/**
+ * An effect for the microphone track which mixes in the audio captured along with a screen share, i.e. the system or
+ * tab audio, so that a single audio track is sent. It is set up by {@code JitsiMeetJS.createLocalTracks} with the
+ * {@code mixDesktopAudio} option and can be found among the effects of the microphone track in order to change the
+ * volumes.
+ *
+ * The effect has its own muted state: muting the microphone track silences only the microphone while the shared
+ * audio still goes through. Once the screen share stops, the microphone track removes the effect and keeps its muted
+ * state.
+ */
+export default class AudioMixerEffect extends Listenable {
+    /**
+     * Initializes a new effect.
+     *
+     * @param {MediaStream} desktopAudioStream - The stream with the audio captured along with the screen share. The
+     * effect owns it and stops it along with the screen share.
+     */
+    constructor(desktopAudioStream) {
+        super();
+        this._desktopAudioStream = desktopAudioStream;
+        this._desktopAudioVolume = 1;
+        this._microphoneStream = undefined;
+        this._microphoneVolume = 1;
+        this._mixer = undefined;
+        this._muted = false;
+
+        this._onDesktopAudioEnded = () => {
+            logger.info('The desktop audio ended');
+            this.stopDesktopAudio();
+        };
+        desktopAudioStream.getAudioTracks()
+            .forEach(track => track.addEventListener('ended', this._onDesktopAudioEnded));
+    }
+
+    /**
+     * Checks whether the effect can be applied on a track.
+     *
+     * @param {JitsiLocalTrack} track - The track.
+     * @returns {boolean}
+     */
+    isEnabled(track) {
+        return track.isAudioTrack() && browser.supportsWebAudio();
+    }
+
+    /**
+     * Starts mixing the microphone with the desktop audio.
+     *
+     * @param {MediaStream} stream - The stream of the microphone.
+     * @returns {MediaStream} The mixed stream.
+     */
+    startEffect(stream) {
+        this._microphoneStream = stream;
+        this._mixer = new AudioMixer();
+        this._mixer.addMediaStream(stream, this._muted ? 0 : this._microphoneVolume);
+        if (this._desktopAudioStream) {
+            this._mixer.addMediaStream(this._desktopAudioStream, this._desktopAudioVolume);
+        }
+
+        return this._mixer.start();
+    }
+
+    /**
+     * Stops mixing. The desktop audio is not stopped, the effect may be started again.
+     *
+     * @returns {void}
+     */
+    stopEffect() {
+        this._mixer?.reset();
+        this._mixer = undefined;
+        this._microphoneStream = undefined;
+    }
+
+    /**
+     * Stops the desktop audio and removes it from the mix, e.g. when the screen share stops.
+     *
+     * @fires AudioMixerEffectEvents.DESKTOP_AUDIO_STOPPED
+     * @returns {void}
+     */
+    stopDesktopAudio() {
+        const stream = this._desktopAudioStream;
+
+        if (!stream) {
+            return;
+        }
+
+        this._desktopAudioStream = undefined;
+        this._mixer?.removeMediaStream(stream);
+        stream.getAudioTracks().forEach(track => {
+            track.removeEventListener('ended', this._onDesktopAudioEnded);
+            track.stop();
+        });
+        this.eventEmitter.emit(AudioMixerEffectEvents.DESKTOP_AUDIO_STOPPED);
+    }
+
+    /**
+     * Returns whether the microphone is muted, see {@link JitsiLocalTrack#isMuted}.
+     *
+     * @returns {boolean}
+     */
+    isMuted() {
+        return this._muted;
+    }
+
+    /**
+     * Mutes or unmutes the microphone, the desktop audio still goes through.
+     *
+     * @param {boolean} muted - Whether the microphone is to be muted.
+     * @returns {void}
+     */
+    setMuted(muted) {
+        this._muted = muted;
+        this._applyMicrophoneVolume();
+    }
+
+    /**
+     * Returns the volume of the microphone in the mix.
+     *
+     * @returns {number}
+     */
+    getMicrophoneVolume() {
+        return this._microphoneVolume;
+    }
+
+    /**
+     * Changes the volume of the microphone in the mix.
+     *
+     * @param {number} volume - The volume, from 0 (silent) to 1 (unchanged).
+     * @returns {void}
+     */
+    setMicrophoneVolume(volume) {
+        this._microphoneVolume = volume;
+        this._applyMicrophoneVolume();
+    }
+
+    /**
+     * Returns the volume of the desktop audio in the mix.
+     *
+     * @returns {number}
+     */
+    getDesktopAudioVolume() {
+        return this._desktopAudioVolume;
+    }
+
+    /**
+     * Changes the volume of the desktop audio in the mix.
+     *
+     * @param {number} volume - The volume, from 0 (silent) to 1 (unchanged).
+     * @returns {void}
+     */
+    setDesktopAudioVolume(volume) {
+        this._desktopAudioVolume = volume;
+        this._desktopAudioStream && this._mixer?.setVolume(this._desktopAudioStream, volume);
+    }
+
+    /**
+     * Applies the volume of the microphone, or silences it if it's muted, on the running mixer.
+     *
+     * @private
+     * @returns {void}
+     */
+    _applyMicrophoneVolume() {
+        const volume = this._muted ? 0 : this._microphoneVolume;
+
+        this._microphoneStream && this._mixer?.setVolume(this._microphoneStream, volume);
+    }
+}
+
+AudioMixerEffect.events = AudioMixerEffectEvents;
@@ -0,0 +1,92 @@
+import AudioMixerEffect from './AudioMixerEffect';
+import { MockAudioContext, MockMediaStream } from './MockClasses';
+
+describe('AudioMixerEffect', () => {
+    const { AudioContext } = window;
+    let desktopAudio, effect, microphone;
+
+    beforeEach(() => {
+        window.AudioContext = MockAudioContext;
+        MockAudioContext.instances = [];
+        desktopAudio = new MockMediaStream();
+        microphone = new MockMediaStream();
+        effect = new AudioMixerEffect(desktopAudio);
+    });
+
+    afterEach(() => {
+        window.AudioContext = AudioContext;
+    });
+
+    /**
+     * Returns the gain node through which a stream is mixed by the running effect.
+     *
+     * @param {MediaStream} stream - The stream.
+     * @returns {Object}
+     */
+    function getGainNode(stream) {
+        return MockAudioContext.instances[MockAudioContext.instances.length - 1].getGainNode(stream);
+    }
+
+    describe('mute', () => {
+        it('silences only the microphone', () => {
+            effect.startEffect(microphone);
+            effect.setMuted(true);
+
+            expect(effect.isMuted()).toBe(true);
+            expect(getGainNode(microphone).gain.value).toBe(0);
+            expect(getGainNode(desktopAudio).gain.value).toBe(1);
+
+            effect.setMuted(false);
+
+            expect(getGainNode(microphone).gain.value).toBe(1);
+        });
+
+        it('keeps the volume of the microphone while muted', () => {
+            effect.startEffect(microphone);
+            effect.setMuted(true);
+            effect.setMicrophoneVolume(0.5);
+
+            expect(getGainNode(microphone).gain.value).toBe(0);
+
+            effect.setMuted(false);
+
+            expect(getGainNode(microphone).gain.value).toBe(0.5);
+        });
+
+        it('starts muted when it was muted before', () => {
+            effect.setMuted(true);
+            effect.startEffect(microphone);
+
+            expect(getGainNode(microphone).gain.value).toBe(0);
+        });
+    });
+
+    describe('desktop audio', () => {
+        it('changes the volume of the desktop audio', () => {
+            effect.startEffect(microphone);
+            effect.setDesktopAudioVolume(0.25);
+
+            expect(effect.getDesktopAudioVolume()).toBe(0.25);
+            expect(getGainNode(desktopAudio).gain.value).toBe(0.25);
+        });
+
+        it('stops and removes the desktop audio when it ends', () => {
+            const desktopAudioStopped = jasmine.createSpy('desktopAudioStopped');
+            const [ desktopAudioTrack ] = desktopAudio.getAudioTracks();
+
+            effect.on(AudioMixerEffect.events.DESKTOP_AUDIO_STOPPED, desktopAudioStopped);
+            effect.startEffect(microphone);
+            const gainNode = getGainNode(desktopAudio);
+
+            desktopAudioTrack.end();
+
+            expect(gainNode.disconnect).toHaveBeenCalled();
+            expect(desktopAudioTrack.stop).toHaveBeenCalled();
+            expect(desktopAudioStopped).toHaveBeenCalledTimes(1);
+
+            effect.stopDesktopAudio();
+
+            expect(desktopAudioStopped).toHaveBeenCalledTimes(1);
+        });
+    });
+});
@@ -0,0 +1,201 @@
+/**
+ * The URL of the bundle of the built-in processors, see AudioWorkletProcessors.js. It's relative to the document
+ * unless the application sets it with {@link AudioProcessor.init}, e.g. when the library is deployed elsewhere.
+ * @type {string}
+ */
+let builtInModuleUrl = 'lib-jitsi-meet.audio-worklet.js';
+
+/**
+ * A stage of the processing chain of an {@link AudioEffect}, i.e. an {@code AudioWorkletNode} running a processor
+ * registered by a worklet module. The built-in processors are the {@link NoiseGate}, the
+ * {@link AutomaticGainControl} and the {@link Compressor}; applications can plug in their own by pointing to the
+ * worklet module which registers them.
+ */
+export default class AudioProcessor {
+    /**
+     * Sets the URL of the bundle of the built-in processors, see {@code JitsiMeetJS.init}.
+     *
+     * @param {Object} options - The options of the library.
+     * @param {string} [options.audioWorkletUrl] - The URL of lib-jitsi-meet.audio-worklet.js.
+     * @returns {void}
+     */
+    static init({ audioWorkletUrl }) {
+        if (audioWorkletUrl) {
+            builtInModuleUrl = audioWorkletUrl;
+        }
+    }
+
+    /**
+     * Initializes a new processor.
+     *
+     * @param {string} processorName - The name the {@code AudioWorkletProcessor} is registered with.
+     * @param {Object} [options]
+     * @param {string} [options.moduleUrl] - The URL of the worklet module registering the processor, by default
+     * the bundle of the built-in processors, see {@link AudioProcessor.init}.
+     * @param {Object} [options.parameters] - The initial values of the {@code AudioParam}s of the processor, by
+     * name.
+     * @param {Object} [options.processorOptions] - The options passed to the constructor of the processor.
+     */
+    constructor(processorName, { moduleUrl, parameters = {}, processorOptions = {} } = {}) {
+        this.processorName = processorName;
+        this.moduleUrl = moduleUrl;
+        this.processorOptions = processorOptions;
+        this._parameters = { ...parameters };
+        this._node = undefined;
+    }
+
+    /**
+     * Loads the worklet module in an audio context and creates the node of the processor.
+     *
+     * @param {AudioContext} audioContext - The audio context of the effect.
+     * @returns {Promise<AudioNode>}
+     */
+    createNode(audioContext) {
+        return audioContext.audioWorklet.addModule(this.moduleUrl || builtInModuleUrl)
+            .then(() => {
+                this._node = new window.AudioWorkletNode(audioContext, this.processorName, {
+                    parameterData: this._parameters,
+                    processorOptions: this.processorOptions
+                });
+
+                return this._node;
+            });
+    }
+
+    /**
+     * Disconnects the node of the processor, if it was created.
+     *
+     * @returns {void}
+     */
+    destroyNode() {
+        this._node?.disconnect();
+        this._node = undefined;
+    }
+
+    /**
+     * Returns the value of a parameter of the processor.
+     *
+     * @param {string} name - The name of the parameter.
+     * @returns {number|undefined}
+     */
+    getParameter(name) {
+        const param = this._node?.parameters.get(name);
+
+        return param ? param.value : this._parameters[name];
+    }
+
+    /**
+     * Changes a parameter of the processor, also while the effect is running.
+     *
+     * @param {string} name - The name of the parameter.
+     * @param {number} value - The new value.
+     * @returns {void}
+     */
+    setParameter(name, value) {
+        this._parameters[name] = value;
+
+        const param = this._node?.parameters.get(name);
+
+        if (param) {
+            param.value = value;
+        }
+    }
+}
+
+/**
+ * Silences the audio below a threshold, e.g. the background noise between the words. The parameters are the
+ * threshold (dBFS), attack, release and hold (seconds).
+ */
+export class NoiseGate extends AudioProcessor {
+    /**
+     * Initializes a new noise gate.
+     *
+     * @param {Object} [parameters] - The initial values of the parameters.
+     */
+    constructor(parameters) {
+        super('jitsi-noise-gate', { parameters });
+    }
+}
+
+/**
+ * Brings the level of the speech to a target. The parameters are the targetLevel and noiseFloor (dBFS), maxGain
+ * and minGain (dB), attack and release (seconds).
+ */
+export class AutomaticGainControl extends AudioProcessor {
+    /**
+     * Initializes a new automatic gain control.
+     *
+     * @param {Object} [parameters] - The initial values of the parameters.
+     */
+    constructor(parameters) {
+        super('jitsi-automatic-gain-control', { parameters });
+    }
+}
+
+/**
+ * Reduces the dynamic range of the audio. The parameters are the threshold (dBFS), ratio, knee and makeupGain (dB),
+ * attack and release (seconds).
+ */
+export class Compressor extends AudioProcessor {
+    /**
+     * Initializes a new compressor.
+     *
+     * @param {Object} [parameters] - The initial values of the parameters.
+     */
+    constructor(parameters) {
+        super('jitsi-compressor', { parameters });
+    }
+}
+
+/**
+ * The plug-in point for the processors running a WebAssembly module, e.g. a denoiser. The module is compiled once
+ * in the main thread and passed to the processor as {@code processorOptions.wasmModule}; the worklet module at
+ * {@code moduleUrl} registers the processor, which instantiates it synchronously in the audio thread.
+ */
+export class WasmAudioProcessor extends AudioProcessor {
+    /**
+     * Initializes a new processor.
+     *
+     * @param {string} processorName - The name the {@code AudioWorkletProcessor} is registered with.
+     * @param {Object} options
+     * @param {string} options.moduleUrl - The URL of the worklet module registering the processor.
+     * @param {string} options.wasmUrl - The URL of the WebAssembly module.
+     * @param {Object} [options.parameters] - The initial values of the {@code AudioParam}s of the processor.
+     * @param {Object} [options.processorOptions] - Additional options passed to the constructor of the processor.
+     */
+    constructor(processorName, options) {
+        super(processorName, options);
+        this.wasmUrl = options.wasmUrl;
+        this._wasmModule = undefined;
+    }
+
+    /**
+     * Compiles the WebAssembly module, the first time, and creates the node of the processor.
+     *
+     * @param {AudioContext} audioContext - The audio context of the effect.
+     * @returns {Promise<AudioNode>}
+     */
+    createNode(audioContext) {
+        const compile = this._wasmModule
+            ? Promise.resolve(this._wasmModule)
+            : fetch(this.wasmUrl)
+                .then(response => {
+                    if (!response.ok) {
+                        throw new Error(`Failed to fetch ${this.wasmUrl}: ${response.status} ${response.statusText}`);
+                    }
+
+                    return response.arrayBuffer();
+                })
+                .then(buffer => WebAssembly.compile(buffer));
+
+        return compile.then(wasmModule => {
+            this._wasmModule = wasmModule;
+            this.processorOptions = {
+                ...this.processorOptions,
+                wasmModule
+            };
+
+            return super.createNode(audioContext);
+        });
+    }
+}
@@ -0,0 +1,70 @@
+import AudioProcessor, { WasmAudioProcessor } from './AudioProcessor';
+
+// JSDocs disabled for Mock classes to avoid duplication - check on the original classes for info.
+/* eslint-disable require-jsdoc */
+class MockAudioContext {
+    constructor() {
+        this.audioWorklet = { addModule: jasmine.createSpy('addModule').and.resolveTo() };
+    }
+}
+
+class MockAudioWorkletNode {
+    constructor(audioContext, processorName, options) {
+        this.name = processorName;
+        this.options = options;
+    }
+}
+
+/* eslint-enable require-jsdoc */
+
+describe('AudioProcessor', () => {
+    const { AudioWorkletNode } = window;
+    let audioContext;
+
+    beforeEach(() => {
+        window.AudioWorkletNode = MockAudioWorkletNode;
+        audioContext = new MockAudioContext();
+    });
+
+    afterEach(() => {
+        window.AudioWorkletNode = AudioWorkletNode;
+        AudioProcessor.init({ audioWorkletUrl: 'lib-jitsi-meet.audio-worklet.js' });
+    });
+
+    it('loads the built-in processors from the configured URL', async () => {
+        AudioProcessor.init({ audioWorkletUrl: 'https://example.com/libs/lib-jitsi-meet.audio-worklet.js' });
+
+        const processor = new AudioProcessor('jitsi-noise-gate', { parameters: { threshold: -40 } });
+        const node = await processor.createNode(audioContext);
+
+        expect(audioContext.audioWorklet.addModule)
+            .toHaveBeenCalledOnceWith('https://example.com/libs/lib-jitsi-meet.audio-worklet.js');
+        expect(node.name).toBe('jitsi-noise-gate');
+        expect(node.options.parameterData).toEqual({ threshold: -40 });
+    });
+
+    it('loads an application provided processor from its own module', async () => {
+        const processor = new AudioProcessor('denoiser', { moduleUrl: 'denoiser.js' });
+
+        await processor.createNode(audioContext);
+
+        expect(audioContext.audioWorklet.addModule).toHaveBeenCalledOnceWith('denoiser.js');
+    });
+
+    it('fails to create the node of a WebAssembly processor which can\'t be fetched', async () => {
+        const processor = new WasmAudioProcessor('denoiser', {
+            moduleUrl: 'denoiser.js',
+            wasmUrl: 'denoiser.wasm'
+        });
+
+        spyOn(window, 'fetch').and.resolveTo({
+            ok: false,
+            status: 404,
+            statusText: 'Not Found'
+        });
+
+        await expectAsync(processor.createNode(audioContext))
+            .toBeRejectedWithError('Failed to fetch denoiser.wasm: 404 Not Found');
+        expect(audioContext.audioWorklet.addModule).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,244 @@
+/* global AudioWorkletProcessor, registerProcessor, sampleRate */
+
+// The processors of the built-in audio effects. This module runs in the AudioWorkletGlobalScope and is bundled
+// separately as lib-jitsi-meet.audio-worklet.js, see AudioProcessor.
+
+import {
+    applyGain,
+    dbToGain,
+    gainToDb,
+    getCompressorReduction,
+    peak,
+    smoothingCoefficient
+} from './AudioWorkletUtils';
+
+/**
+ * The time constant of the level detectors, in seconds.
+ */
+const DETECTOR_TIME = 0.01;
+
+/**
+ * Returns the descriptor of a parameter of a processor. The parameters are read once per render quantum.
+ *
+ * @param {string} name - The name of the parameter.
+ * @param {number} defaultValue - The default value.
+ * @param {Array<number>} range - The minimum and maximum values.
+ * @returns {Object}
+ */
+function parameter(name, defaultValue, [ minValue, maxValue ]) {
+    return {
+        automationRate: 'k-rate',
+        defaultValue,
+        maxValue,
+        minValue,
+        name
+    };
+}
+
+/**
+ * Silences the audio which stays below a threshold, e.g. the background noise between the words.
+ */
+class NoiseGateProcessor extends AudioWorkletProcessor {
+    /**
+     * The parameters of the gate: the threshold in dBFS, the attack (opening) and release (closing) times, and the
+     * time the gate is held open after the level fell below the threshold, in seconds.
+     *
+     * @returns {Array<Object>}
+     */
+    static get parameterDescriptors() {
+        return [
+            parameter('threshold', -50, [ -100, 0 ]),
+            parameter('attack', 0.005, [ 0, 1 ]),
+            parameter('release', 0.1, [ 0, 2 ]),
+            parameter('hold', 0.2, [ 0, 2 ])
+        ];
+    }
+
+    /**
+     * Initializes a new processor, with the gate closed.
+     */
+    constructor() {
+        super();
+        this._detector = smoothingCoefficient(DETECTOR_TIME, sampleRate);
+        this._envelope = 0;
+        this._gain = 0;
+        this._holdSamples = 0;
+    }
+
+    /**
+     * Processes a render quantum.
+     *
+     * @param {Array<Array<Float32Array>>} inputs - The inputs.
+     * @param {Array<Array<Float32Array>>} outputs - The outputs.
+     * @param {Object} parameters - The values of the parameters.
+     * @returns {boolean} True to keep the processor alive.
+     */
+    process([ input ], [ output ], parameters) {
+        if (!input.length) {
+            return true;
+        }
+
+        const threshold = dbToGain(parameters.threshold[0]);
+        const attack = smoothingCoefficient(parameters.attack[0], sampleRate);
+        const release = smoothingCoefficient(parameters.release[0], sampleRate);
+        const hold = parameters.hold[0] * sampleRate;
+
+        for (let i = 0; i < input[0].length; i++) {
+            this._envelope = Math.max(peak(input, i), this._envelope * this._detector);
+
+            if (this._envelope >= threshold) {
+                this._holdSamples = hold;
+            } else if (this._holdSamples > 0) {
+                this._holdSamples--;
+            }
+
+            const target = this._holdSamples > 0 ? 1 : 0;
+            const coefficient = target > this._gain ? attack : release;
+
+            this._gain = target + (coefficient * (this._gain - target));
+            applyGain(input, output, i, this._gain);
+        }
+
+        return true;
+    }
+}
+
+/**
+ * Brings the level of the speech to a target, boosting quiet speakers and attenuating loud ones. The audio below
+ * the noise floor is not boosted.
+ */
+class AutomaticGainControlProcessor extends AudioWorkletProcessor {
+    /**
+     * The parameters of the gain control: the target level and the noise floor in dBFS, the limits of the gain in
+     * dB, and the times it takes to decrease (attack) and increase (release) the gain, in seconds.
+     *
+     * @returns {Array<Object>}
+     */
+    static get parameterDescriptors() {
+        return [
+            parameter('targetLevel', -20, [ -60, 0 ]),
+            parameter('noiseFloor', -60, [ -100, 0 ]),
+            parameter('maxGain', 30, [ 0, 60 ]),
+            parameter('minGain', -20, [ -60, 0 ]),
+            parameter('attack', 0.05, [ 0, 5 ]),
+            parameter('release', 1, [ 0, 10 ])
+        ];
+    }
+
+    /**
+     * Initializes a new processor, with a unity gain.
+     */
+    constructor() {
+        super();
+
+        // The level is measured over a longer window than by the other processors, so that the gain follows the
+        // loudness of the speech rather than the one of the syllables.
+        this._detector = smoothingCoefficient(0.3, sampleRate);
+        this._gain = 1;
+        this._power = 0;
+    }
+
+    /**
+     * Processes a render quantum.
+     *
+     * @param {Array<Array<Float32Array>>} inputs - The inputs.
+     * @param {Array<Array<Float32Array>>} outputs - The outputs.
+     * @param {Object} parameters - The values of the parameters.
+     * @returns {boolean} True to keep the processor alive.
+     */
+    process([ input ], [ output ], parameters) {
+        if (!input.length) {
+            return true;
+        }
+
+        const targetLevel = dbToGain(parameters.targetLevel[0]);
+        const noiseFloor = dbToGain(parameters.noiseFloor[0]);
+        const maxGain = dbToGain(parameters.maxGain[0]);
+        const minGain = dbToGain(parameters.minGain[0]);
+        const attack = smoothingCoefficient(parameters.attack[0], sampleRate);
+        const release = smoothingCoefficient(parameters.release[0], sampleRate);
+
+        for (let i = 0; i < input[0].length; i++) {
+            const level = peak(input, i);
+
+            this._power = (this._detector * this._power) + ((1 - this._detector) * level * level);
+
+            const rms = Math.sqrt(this._power);
+
+            if (rms > noiseFloor) {
+                const desired = Math.max(minGain, Math.min(maxGain, targetLevel / rms));
+                const coefficient = desired < this._gain ? attack : release;
+
+                this._gain = desired + (coefficient * (this._gain - desired));
+            }
+            applyGain(input, output, i, this._gain);
+        }
+
+        return true;
+    }
+}
+
+/**
+ * Reduces the dynamic range of the audio by attenuating the level above a threshold.
+ */
+class CompressorProcessor extends AudioWorkletProcessor {
+    /**
+     * The parameters of the compressor: the threshold in dBFS, the ratio, the width of the soft knee and the
+     * makeup gain in dB, and the attack and release times in seconds.
+     *
+     * @returns {Array<Object>}
+     */
+    static get parameterDescriptors() {
+        return [
+            parameter('threshold', -24, [ -100, 0 ]),
+            parameter('ratio', 4, [ 1, 20 ]),
+            parameter('knee', 6, [ 0, 40 ]),
+            parameter('makeupGain', 0, [ 0, 40 ]),
+            parameter('attack', 0.003, [ 0, 1 ]),
+            parameter('release', 0.25, [ 0, 2 ])
+        ];
+    }
+
+    /**
+     * Initializes a new processor, with no gain reduction.
+     */
+    constructor() {
+        super();
+        this._reduction = 0;
+    }
+
+    /**
+     * Processes a render quantum.
+     *
+     * @param {Array<Array<Float32Array>>} inputs - The inputs.
+     * @param {Array<Array<Float32Array>>} outputs - The outputs.
+     * @param {Object} parameters - The values of the parameters.
+     * @returns {boolean} True to keep the processor alive.
+     */
+    process([ input ], [ output ], parameters) {
+        if (!input.length) {
+            return true;
+        }
+
+        const threshold = parameters.threshold[0];
+        const ratio = parameters.ratio[0];
+        const knee = parameters.knee[0];
+        const makeupGain = parameters.makeupGain[0];
+        const attack = smoothingCoefficient(parameters.attack[0], sampleRate);
+        const release = smoothingCoefficient(parameters.release[0], sampleRate);
+
+        for (let i = 0; i < input[0].length; i++) {
+            const reduction = getCompressorReduction(gainToDb(peak(input, i)), threshold, ratio, knee);
+            const coefficient = reduction > this._reduction ? attack : release;
+
+            this._reduction = reduction + (coefficient * (this._reduction - reduction));
+            applyGain(input, output, i, dbToGain(makeupGain - this._reduction));
+        }
+
+        return true;
+    }
+}
+
+registerProcessor('jitsi-noise-gate', NoiseGateProcessor);
+registerProcessor('jitsi-automatic-gain-control', AutomaticGainControlProcessor);
+registerProcessor('jitsi-compressor', CompressorProcessor);
@@ -0,0 +1,89 @@
+// The DSP helpers of the processors of the built-in audio effects, see AudioWorkletProcessors.js.
+
+/**
+ * Converts a level in decibels to a linear gain.
+ *
+ * @param {number} db - The level in decibels.
+ * @returns {number}
+ */
+export function dbToGain(db) {
+    return 10 ** (db / 20);
+}
+
+/**
+ * Converts a linear gain to a level in decibels.
+ *
+ * @param {number} gain - The linear gain.
+ * @returns {number}
+ */
+export function gainToDb(gain) {
+    return 20 * Math.log10(Math.max(gain, 1e-9));
+}
+
+/**
+ * Returns the coefficient of a one pole smoothing filter reaching ~63% of a step in the given time.
+ *
+ * @param {number} seconds - The time constant.
+ * @param {number} sampleRate - The sample rate of the audio.
+ * @returns {number}
+ */
+export function smoothingCoefficient(seconds, sampleRate) {
+    return seconds > 0 ? Math.exp(-1 / (seconds * sampleRate)) : 0;
+}
+
+/**
+ * Returns the highest absolute value of a sample over all the channels.
+ *
+ * @param {Array<Float32Array>} channels - The channels.
+ * @param {number} index - The index of the sample.
+ * @returns {number}
+ */
+export function peak(channels, index) {
+    let level = 0;
+
+    for (const channel of channels) {
+        level = Math.max(level, Math.abs(channel[index]));
+    }
+
+    return level;
+}
+
+/**
+ * Applies a gain on a sample of all the channels.
+ *
+ * @param {Array<Float32Array>} input - The input channels.
+ * @param {Array<Float32Array>} output - The output channels.
+ * @param {number} index - The index of the sample.
+ * @param {number} gain - The gain.
+ * @returns {void}
+ */
+export function applyGain(input, output, index, gain) {
+    for (let channel = 0; channel < output.length; channel++) {
+        const sample = input[Math.min(channel, input.length - 1)][index] * gain;
+
+        output[channel][index] = Math.max(-1, Math.min(1, sample));
+    }
+}
+
+/**
+ * Returns the gain reduction of a compressor for a level, according to its static curve.
+ *
+ * @param {number} levelDb - The level in dBFS.
+ * @param {number} threshold - The threshold in dBFS.
+ * @param {number} ratio - The ratio.
+ * @param {number} knee - The width of the knee in dB.
+ * @returns {number} The reduction in dB.
+ */
+export function getCompressorReduction(levelDb, threshold, ratio, knee) {
+    const overshoot = levelDb - threshold;
+    const slope = 1 - (1 / ratio);
+
+    if (2 * overshoot < -knee) {
+        return 0;
+    }
+    if (2 * Math.abs(overshoot) <= knee) {
+        return slope * ((overshoot + (knee / 2)) ** 2) / (2 * knee);
+    }
+
+    return slope * overshoot;
+}
@@ -0,0 +1,92 @@
+import {
+    applyGain,
+    dbToGain,
+    gainToDb,
+    getCompressorReduction,
+    peak,
+    smoothingCoefficient
+} from './AudioWorkletUtils';
+
+describe('AudioWorkletUtils', () => {
+    describe('dbToGain and gainToDb', () => {
+        it('convert between decibels and linear gains', () => {
+            expect(dbToGain(0)).toBe(1);
+            expect(dbToGain(-20)).toBeCloseTo(0.1, 6);
+            expect(gainToDb(0.1)).toBeCloseTo(-20, 6);
+            expect(gainToDb(dbToGain(-37))).toBeCloseTo(-37, 6);
+        });
+
+        it('don\'t return an infinite level for silence', () => {
+            expect(gainToDb(0)).toBeCloseTo(-180, 6);
+        });
+    });
+
+    describe('smoothingCoefficient', () => {
+        it('reaches ~63% of a step in the given time', () => {
+            const coefficient = smoothingCoefficient(0.01, 48000);
+            let value = 0;
+
+            for (let i = 0; i < 480; i++) {
+                value = 1 + (coefficient * (value - 1));
+            }
+
+            expect(value).toBeCloseTo(1 - Math.exp(-1), 6);
+        });
+
+        it('follows the input immediately when the time is 0', () => {
+            expect(smoothingCoefficient(0, 48000)).toBe(0);
+        });
+    });
+
+    describe('peak', () => {
+        it('returns the highest absolute value of a sample over the channels', () => {
+            const channels = [ new Float32Array([ 0.25, -0.5 ]), new Float32Array([ -0.75, 0.125 ]) ];
+
+            expect(peak(channels, 0)).toBe(0.75);
+            expect(peak(channels, 1)).toBe(0.5);
+        });
+    });
+
+    describe('applyGain', () => {
+        it('applies the gain on all the channels and clips the result', () => {
+            const input = [ new Float32Array([ 0.25, -0.75 ]), new Float32Array([ 0.5, 0.125 ]) ];
+            const output = [ new Float32Array(2), new Float32Array(2) ];
+
+            applyGain(input, output, 0, 2);
+            applyGain(input, output, 1, 2);
+
+            expect(Array.from(output[0])).toEqual([ 0.5, -1 ]);
+            expect(Array.from(output[1])).toEqual([ 1, 0.25 ]);
+        });
+
+        it('copies a mono input to all the output channels', () => {
+            const input = [ new Float32Array([ 0.25 ]) ];
+            const output = [ new Float32Array(1), new Float32Array(1) ];
+
+            applyGain(input, output, 0, 1);
+
+            expect(Array.from(output[1])).toEqual([ 0.25 ]);
+        });
+    });
+
+    describe('getCompressorReduction', () => {
+        it('doesn\'t reduce the level below the knee', () => {
+            expect(getCompressorReduction(-40, -24, 4, 6)).toBe(0);
+        });
+
+        it('reduces the level above the knee according to the ratio', () => {
+            // 12 dB above the threshold come out as 3 dB above.
+            expect(getCompressorReduction(-12, -24, 4, 6)).toBeCloseTo(9, 6);
+        });
+
+        it('is continuous at the edges of the knee', () => {
+            expect(getCompressorReduction(-27, -24, 4, 6)).toBeCloseTo(0, 6);
+            expect(getCompressorReduction(-21, -24, 4, 6)).toBeCloseTo(0.75 * 3, 6);
+        });
+
+        it('reduces with a hard knee', () => {
+            expect(getCompressorReduction(-25, -24, 2, 0)).toBe(0);
+            expect(getCompressorReduction(-14, -24, 2, 0)).toBeCloseTo(5, 6);
+        });
+    });
+});
@@ -0,0 +1,125 @@
+/* eslint-disable no-empty-function */
+
+// JSDocs disabled for Mock classes to avoid duplication - check on the original classes for info.
+/* eslint-disable require-jsdoc */
+
+/**
+ * A mock MediaStreamTrack which can be ended as if the capture stopped.
+ */
+export class MockMediaStreamTrack {
+    constructor(kind = 'audio') {
+        this.kind = kind;
+        this.enabled = true;
+        this.readyState = 'live';
+        this._listeners = new Map();
+        this.stop = jasmine.createSpy('stop').and.callFake(() => {
+            this.readyState = 'ended';
+        });
+    }
+
+    addEventListener(type, listener) {
+        this._listeners.set(type, [ ...this._listeners.get(type) || [], listener ]);
+    }
+
+    removeEventListener(type, listener) {
+        this._listeners.set(type, (this._listeners.get(type) || []).filter(l => l !== listener));
+    }
+
+    end() {
+        this.readyState = 'ended';
+        (this._listeners.get('ended') || []).forEach(listener => listener());
+    }
+
+    getSettings() {
+        return {};
+    }
+
+    getConstraints() {
+        return {};
+    }
+}
+
+export class MockMediaStream {
+    constructor(tracks = [ new MockMediaStreamTrack() ]) {
+        this.id = 'stream';
+        this._tracks = tracks;
+    }
+
+    getTracks() {
+        return this._tracks;
+    }
+
+    getAudioTracks() {
+        return this._tracks.filter(track => track.kind === 'audio');
+    }
+
+    getVideoTracks() {
+        return this._tracks.filter(track => track.kind === 'video');
+    }
+}
+
+export class MockAudioNode {
+    constructor() {
+        this.connect = jasmine.createSpy('connect').and.callFake(node => node);
+        this.disconnect = jasmine.createSpy('disconnect');
+    }
+}
+
+/**
+ * A mock AudioContext which keeps the nodes it created so that the tests can check how they are connected.
+ */
+export class MockAudioContext {
+    constructor() {
+        this.close = jasmine.createSpy('close');
+        this.destinations = [];
+        this.gainNodes = [];
+        this.sources = [];
+        MockAudioContext.instances.push(this);
+    }
+
+    createGain() {
+        const node = new MockAudioNode();
+
+        node.gain = { value: 1 };
+        this.gainNodes.push(node);
+
+        return node;
+    }
+
+    createMediaStreamDestination() {
+        const node = new MockAudioNode();
+
+        node.stream = new MockMediaStream();
+        this.destinations.push(node);
+
+        return node;
+    }
+
+    createMediaStreamSource(mediaStream) {
+        const node = new MockAudioNode();
+
+        node.mediaStream = mediaStream;
+        this.sources.push(node);
+
+        return node;
+    }
+
+    /**
+     * Returns the gain node through which a stream is mixed.
+     *
+     * @param {MediaStream} stream - The stream.
+     * @returns {MockAudioNode|undefined}
+     */
+    getGainNode(stream) {
+        const source = this.sources.find(node => node.mediaStream === stream);
+
+        return this.gainNodes.find(node => source && source.connect.calls.allArgs().some(([ n ]) => n === node));
+    }
+}
+
+/**
+ * The contexts which were created, the last one being the most recent.
+ *
+ * @type {Array<MockAudioContext>}
+ */
+MockAudioContext.instances = [];
@@ -0,0 +1,323 @@
+/* global __filename */
+
+import { getLogger } from 'jitsi-meet-logger';
+
+import * as JitsiConferenceEvents from '../../JitsiConferenceEvents';
+import RTCEvents from '../../service/RTC/RTCEvents';
+import RTCUtils from '../RTC/RTCUtils';
+
+import { createAudioContext } from './WebAudioUtils';
+
+const logger = getLogger(__filename);
+
+/**
+ * Renders the remote audio tracks of a {@link JitsiConference} through WebAudio instead of leaving it to the
+ * application to attach them to audio elements. Each participant goes through its own gain and stereo panner, and is
+ * played on its own audio output device, so that the participants can be given different volumes, positions (e.g. to
+ * match a grid layout) and devices. The participants whose device isn't set follow the device selected with
+ * {@code JitsiMediaDevices.setAudioOutputDevice}.
+ *
+ * It is enabled by {@code config.enableRemoteAudioRenderer}, the application must not attach the remote audio tracks
+ * then.
+ */
+export default class RemoteAudioRenderer {
+    /**
+     * Creates a renderer for a conference.
+     *
+     * @param {JitsiConference} conference - The conference whose remote audio tracks are rendered.
+     */
+    constructor(conference) {
+        this.conference = conference;
+        this._audioContext = undefined;
+
+        /**
+         * The settings of each participant, kept also while the participant doesn't have an audio track.
+         * @type {Map<string, { volume: number, pan: number, deviceId: string|undefined }>}
+         */
+        this._settings = new Map();
+
+        /**
+         * The WebAudio graph and the audio elements of each rendered track.
+         * @type {Map<JitsiRemoteTrack, Object>}
+         */
+        this._renderers = new Map();
+
+        this._onTrackAdded = this._onTrackAdded.bind(this);
+        this._onTrackRemoved = this._onTrackRemoved.bind(this);
+        this._onAudioOutputDeviceChanged = this._onAudioOutputDeviceChanged.bind(this);
+
+        this.conference.on(JitsiConferenceEvents.TRACK_ADDED, this._onTrackAdded);
+        this.conference.on(JitsiConferenceEvents.TRACK_REMOVED, this._onTrackRemoved);
+        RTCUtils.addListener(RTCEvents.AUDIO_OUTPUT_DEVICE_CHANGED, this._onAudioOutputDeviceChanged);
+    }
+
+    /**
+     * Returns the volume of a participant.
+     *
+     * @param {string} participantId - The id of the participant.
+     * @returns {number}
+     */
+    getVolume(participantId) {
+        return this._getSettings(participantId).volume;
+    }
+
+    /**
+     * Changes the volume of a participant.
+     *
+     * @param {string} participantId - The id of the participant.
+     * @param {number} volume - The volume, from 0 (silent) to 1 (unchanged). Values above 1 amplify the audio.
+     * @returns {void}
+     */
+    setVolume(participantId, volume) {
+        this._getSettings(participantId).volume = volume;
+        this._forEachRenderer(participantId, renderer => {
+            renderer.gainNode.gain.value = volume;
+        });
+    }
+
+    /**
+     * Returns the stereo position of a participant.
+     *
+     * @param {string} participantId - The id of the participant.
+     * @returns {number}
+     */
+    getPan(participantId) {
+        return this._getSettings(participantId).pan;
+    }
+
+    /**
+     * Changes the stereo position of a participant.
+     *
+     * @param {string} participantId - The id of the participant.
+     * @param {number} pan - The position, from -1 (left) to 1 (right).
+     * @returns {void}
+     */
+    setPan(participantId, pan) {
+        this._getSettings(participantId).pan = pan;
+        this._forEachRenderer(participantId, renderer => {
+            renderer.pannerNode.pan.value = pan;
+        });
+    }
+
+    /**
+     * Returns the audio output device a participant is played on.
+     *
+     * @param {string} participantId - The id of the participant.
+     * @returns {string} The id of the device.
+     */
+    getAudioOutput(participantId) {
+        return this._getSettings(participantId).deviceId ?? RTCUtils.getAudioOutputDevice();
+    }
+
+    /**
+     * Changes the audio output device a participant is played on.
+     *
+     * @param {string} participantId - The id of the participant.
+     * @param {string|undefined} deviceId - The id of an 'audiooutput' device, undefined for the participant to follow
+     * the device selected for the conference.
+     * @returns {Promise} Resolved once the device is used for all the audio tracks of the participant.
+     */
+    setAudioOutput(participantId, deviceId) {
+        if (!RTCUtils.isDeviceChangeAvailable('output')) {
+            return Promise.reject(new Error('Audio output device change is not supported'));
+        }
+
+        this._getSettings(participantId).deviceId = deviceId;
+
+        const sinkId = this.getAudioOutput(participantId);
+        const promises = [];
+
+        this._forEachRenderer(participantId, renderer => promises.push(renderer.outputElement.setSinkId(sinkId)));
+
+        return Promise.all(promises);
+    }
+
+    /**
+     * Stops rendering and releases the resources.
+     *
+     * @returns {void}
+     */
+    dispose() {
+        this.conference.off(JitsiConferenceEvents.TRACK_ADDED, this._onTrackAdded);
+        this.conference.off(JitsiConferenceEvents.TRACK_REMOVED, this._onTrackRemoved);
+        RTCUtils.removeListener(RTCEvents.AUDIO_OUTPUT_DEVICE_CHANGED, this._onAudioOutputDeviceChanged);
+
+        for (const track of this._renderers.keys()) {
+            this._removeTrack(track);
+        }
+        this._settings.clear();
+
+        this._audioContext?.close();
+        this._audioContext = undefined;
+    }
+
+    /**
+     * Returns the settings of a participant, creating the default ones if needed.
+     *
+     * @param {string} participantId - The id of the participant.
+     * @private
+     * @returns {Object}
+     */
+    _getSettings(participantId) {
+        let settings = this._settings.get(participantId);
+
+        if (!settings) {
+            settings = {
+                deviceId: undefined,
+                pan: 0,
+                volume: 1
+            };
+            this._settings.set(participantId, settings);
+        }
+
+        return settings;
+    }
+
+    /**
+     * Calls a function for the renderer of each audio track of a participant.
+     *
+     * @param {string} participantId - The id of the participant.
+     * @param {Function} callback - The function.
+     * @private
+     * @returns {void}
+     */
+    _forEachRenderer(participantId, callback) {
+        for (const [ track, renderer ] of this._renderers) {
+            track.getParticipantId() === participantId && callback(renderer);
+        }
+    }
+
+    /**
+     * Renders a remote audio track: track -> gain -> stereo panner -> audio element playing on the device of the
+     * participant.
+     *
+     * @param {JitsiRemoteTrack} track - The track.
+     * @private
+     * @returns {void}
+     */
+    _addTrack(track) {
+        if (!this._audioContext) {
+            this._audioContext = createAudioContext();
+            if (!this._audioContext) {
+                logger.error('Cannot render the remote audio, WebAudio is not supported');
+
+                return;
+            }
+        }
+
+        const participantId = track.getParticipantId();
+        const { pan, volume } = this._getSettings(participantId);
+        const stream = track.getOriginalStream();
+
+        // Chrome doesn't pass the audio of a remote stream to WebAudio unless the stream is also played by a media
+        // element, it is muted as the audio is played by the output element.
+        const sourceElement = document.createElement('audio');
+
+        sourceElement.muted = true;
+        sourceElement.srcObject = stream;
+
+        const sourceNode = this._audioContext.createMediaStreamSource(stream);
+        const gainNode = this._audioContext.createGain();
+        const pannerNode = this._audioContext.createStereoPanner();
+        const destinationNode = this._audioContext.createMediaStreamDestination();
+        const outputElement = document.createElement('audio');
+
+        gainNode.gain.value = volume;
+        pannerNode.pan.value = pan;
+        sourceNode.connect(gainNode);
+        gainNode.connect(pannerNode);
+        pannerNode.connect(destinationNode);
+        outputElement.srcObject = destinationNode.stream;
+
+        this._renderers.set(track, {
+            destinationNode,
+            gainNode,
+            outputElement,
+            pannerNode,
+            sourceElement,
+            sourceNode
+        });
+
+        const sinkId = this.getAudioOutput(participantId);
+
+        if (sinkId && RTCUtils.isDeviceChangeAvailable('output')) {
+            outputElement.setSinkId(sinkId)
+                .catch(error => logger.warn(`Failed to set the audio output of ${participantId} to ${sinkId}`, error));
+        }
+
+        // The context may have been created before a user gesture, in which case it starts suspended.
+        this._audioContext.resume?.();
+        [ sourceElement, outputElement ].forEach(element => {
+            Promise.resolve(element.play())
+                .catch(error => logger.error(`Failed to play the audio of ${participantId}`, error));
+        });
+        logger.info(`Rendering ${track}`);
+    }
+
+    /**
+     * Stops rendering a remote audio track.
+     *
+     * @param {JitsiRemoteTrack} track - The track.
+     * @private
+     * @returns {void}
+     */
+    _removeTrack(track) {
+        const renderer = this._renderers.get(track);
+
+        if (!renderer) {
+            return;
+        }
+
+        this._renderers.delete(track);
+        renderer.sourceNode.disconnect();
+        renderer.gainNode.disconnect();
+        renderer.pannerNode.disconnect();
+        [ renderer.sourceElement, renderer.outputElement ].forEach(element => {
+            element.pause();
+            element.srcObject = null;
+        });
+        logger.info(`Stopped rendering ${track}`);
+    }
+
+    /**
+     * Starts rendering the remote audio tracks added to the conference.
+     *
+     * @param {JitsiTrack} track - The track added to the conference.
+     * @private
+     * @returns {void}
+     */
+    _onTrackAdded(track) {
+        if (!track.isLocal() && track.isAudioTrack()) {
+            this._addTrack(track);
+        }
+    }
+
+    /**
+     * Stops rendering the remote audio tracks removed from the conference.
+     *
+     * @param {JitsiTrack} track - The track removed from the conference.
+     * @private
+     * @returns {void}
+     */
+    _onTrackRemoved(track) {
+        this._removeTrack(track);
+    }
+
+    /**
+     * Switches the participants which follow the device selected for the conference to the new device.
+     *
+     * @param {string} deviceId - The id of the new device.
+     * @private
+     * @returns {void}
+     */
+    _onAudioOutputDeviceChanged(deviceId) {
+        for (const [ track, renderer ] of this._renderers) {
+            const participantId = track.getParticipantId();
+
+            if (this._getSettings(participantId).deviceId === undefined) {
+                renderer.outputElement.setSinkId(deviceId)
+                    .catch(error => logger.warn(`Failed to set the audio output of ${participantId}`, error));
+            }
+        }
+    }
+}
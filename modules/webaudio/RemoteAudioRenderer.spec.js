@@ -0,0 +1,146 @@
+import * as JitsiConferenceEvents from '../../JitsiConferenceEvents';
+import Listenable from '../util/Listenable';
+
+import RemoteAudioRenderer from './RemoteAudioRenderer';
+
+// JSDocs disabled for Mock classes to avoid duplication - check on the original classes for info.
+/* eslint-disable require-jsdoc */
+/**
+ * A mock AudioNode recording what it's connected to.
+ */
+class MockAudioNode {
+    constructor(params = {}) {
+        Object.assign(this, params);
+        this.connectedTo = undefined;
+    }
+
+    connect(node) {
+        this.connectedTo = node;
+    }
+
+    disconnect() {
+        this.connectedTo = undefined;
+    }
+}
+
+/**
+ * A mock AudioContext creating {@link MockAudioNode}s.
+ */
+class MockAudioContext {
+    createGain() {
+        return new MockAudioNode({ gain: { value: 1 } });
+    }
+
+    createMediaStreamDestination() {
+        return new MockAudioNode({ stream: {} });
+    }
+
+    createMediaStreamSource(mediaStream) {
+        return new MockAudioNode({ mediaStream });
+    }
+
+    createStereoPanner() {
+        return new MockAudioNode({ pan: { value: 0 } });
+    }
+
+    close() {
+        return Promise.resolve();
+    }
+}
+
+class MockTrack {
+    constructor(participantId, isAudio = true) {
+        this.participantId = participantId;
+        this.isAudio = isAudio;
+    }
+
+    getOriginalStream() {
+        return {};
+    }
+
+    getParticipantId() {
+        return this.participantId;
+    }
+
+    isAudioTrack() {
+        return this.isAudio;
+    }
+
+    isLocal() {
+        return false;
+    }
+}
+
+class MockConference extends Listenable {
+    addTrack(track) {
+        this.eventEmitter.emit(JitsiConferenceEvents.TRACK_ADDED, track);
+    }
+
+    removeTrack(track) {
+        this.eventEmitter.emit(JitsiConferenceEvents.TRACK_REMOVED, track);
+    }
+}
+
+/* eslint-enable require-jsdoc */
+
+describe('RemoteAudioRenderer', () => {
+    let AudioContext;
+    let conference;
+    let renderer;
+
+    beforeEach(() => {
+        ({ AudioContext } = window);
+        window.AudioContext = MockAudioContext;
+        spyOn(document, 'createElement').and.callFake(() => {
+            return {
+                pause: () => undefined,
+                play: () => Promise.resolve()
+            };
+        });
+
+        conference = new MockConference();
+        renderer = new RemoteAudioRenderer(conference);
+    });
+
+    afterEach(() => {
+        renderer.dispose();
+        window.AudioContext = AudioContext;
+    });
+
+    it('renders the remote audio tracks through a gain and a stereo panner', () => {
+        const track = new MockTrack('participant1');
+
+        conference.addTrack(track);
+        conference.addTrack(new MockTrack('participant1', false));
+
+        expect(renderer._renderers.size).toBe(1);
+
+        const { destinationNode, gainNode, outputElement, pannerNode, sourceNode } = renderer._renderers.get(track);
+
+        expect(sourceNode.connectedTo).toBe(gainNode);
+        expect(gainNode.connectedTo).toBe(pannerNode);
+        expect(pannerNode.connectedTo).toBe(destinationNode);
+        expect(outputElement.srcObject).toBe(destinationNode.stream);
+
+        conference.removeTrack(track);
+        expect(renderer._renderers.size).toBe(0);
+        expect(sourceNode.connectedTo).toBeUndefined();
+    });
+
+    it('applies the volume and the stereo position of each participant', () => {
+        const track1 = new MockTrack('participant1');
+        const track2 = new MockTrack('participant2');
+
+        renderer.setVolume('participant1', 0.5);
+        conference.addTrack(track1);
+        conference.addTrack(track2);
+        renderer.setPan('participant2', -1);
+
+        expect(renderer._renderers.get(track1).gainNode.gain.value).toBe(0.5);
+        expect(renderer._renderers.get(track1).pannerNode.pan.value).toBe(0);
+        expect(renderer._renderers.get(track2).gainNode.gain.value).toBe(1);
+        expect(renderer._renderers.get(track2).pannerNode.pan.value).toBe(-1);
+        expect(renderer.getVolume('participant1')).toBe(0.5);
+        expect(renderer.getPan('participant2')).toBe(-1);
+    });
+});
@@ -0,0 +1,249 @@
+import { getLogger } from 'jitsi-meet-logger';
+import { $msg } from 'strophe.js';
+
+import XMPPEvents from '../../service/xmpp/XMPPEvents';
+
+const logger = getLogger(__filename);
+
+const FEATURE_KEY = 'features/breakout-rooms';
+const BREAKOUT_ROOM_ACTIONS = {
+    ADD: `${FEATURE_KEY}/add`,
+    MOVE_TO_ROOM: `${FEATURE_KEY}/move-to-room`,
+    REMOVE: `${FEATURE_KEY}/remove`,
+    RENAME: `${FEATURE_KEY}/rename`
+};
+const BREAKOUT_ROOM_EVENTS = {
+    MOVE_TO_ROOM: `${FEATURE_KEY}/move-to-room`,
+    UPDATE: `${FEATURE_KEY}/update`
+};
+
+/**
+ * Helper class for handling breakout rooms. The rooms themselves are MUCs managed by the breakout rooms
+ * component in the backend, we only send commands to it and receive the room list updates.
+ */
+export default class BreakoutRooms {
+
+    /**
+     * Constructs breakout room.
+     *
+     * @param {ChatRoom} room the room we are in.
+     */
+    constructor(room) {
+        this.room = room;
+
+        this._handleMessages = this._handleMessages.bind(this);
+        this.room.xmpp.addListener(XMPPEvents.BREAKOUT_ROOMS_EVENT, this._handleMessages);
+
+        this._rooms = {};
+    }
+
+    /**
+     * Stops listening for events.
+     */
+    dispose() {
+        this.room.xmpp.removeListener(XMPPEvents.BREAKOUT_ROOMS_EVENT, this._handleMessages);
+    }
+
+    /**
+     * Creates a breakout room with the given subject.
+     *
+     * @param {string} subject - A subject for the breakout room.
+     */
+    createBreakoutRoom(subject) {
+        if (!this._canSend()) {
+            logger.error(`Cannot create breakout room - supported:${this.isSupported()},
+                moderator:${this.room.isModerator()}`);
+
+            return;
+        }
+
+        const message = {
+            type: BREAKOUT_ROOM_ACTIONS.ADD,
+            subject
+        };
+
+        this._sendMessage(message);
+    }
+
+    /**
+     * Removes a breakout room. Participants in it are moved back to the main room by the backend.
+     *
+     * @param {string} breakoutRoomJid - JID of the room to be removed.
+     */
+    removeBreakoutRoom(breakoutRoomJid) {
+        if (!this._canSend()) {
+            logger.error(`Cannot remove breakout room - supported:${this.isSupported()},
+                moderator:${this.room.isModerator()}`);
+
+            return;
+        }
+
+        const message = {
+            type: BREAKOUT_ROOM_ACTIONS.REMOVE,
+            breakoutRoomJid
+        };
+
+        this._sendMessage(message);
+    }
+
+    /**
+     * Changes the subject of a breakout room.
+     *
+     * @param {string} breakoutRoomJid - JID of the room to be renamed.
+     * @param {string} subject - The new subject for the breakout room.
+     */
+    renameBreakoutRoom(breakoutRoomJid, subject) {
+        if (!this._canSend()) {
+            logger.error(`Cannot rename breakout room - supported:${this.isSupported()},
+                moderator:${this.room.isModerator()}`);
+
+            return;
+        }
+
+        const message = {
+            type: BREAKOUT_ROOM_ACTIONS.RENAME,
+            breakoutRoomJid,
+            subject
+        };
+
+        this._sendMessage(message);
+    }
+
+    /**
+     * Sends the given participant to the given room. The main room can be used as a target to move the
+     * participant back from a breakout room.
+     *
+     * @param {string} participantJid - JID of the participant to be sent to a room.
+     * @param {string} roomJid - JID of the target room.
+     */
+    sendParticipantToRoom(participantJid, roomJid) {
+        if (!this._canSend()) {
+            logger.error(`Cannot send participant to room - supported:${this.isSupported()},
+                moderator:${this.room.isModerator()}`);
+
+            return;
+        }
+
+        const message = {
+            type: BREAKOUT_ROOM_ACTIONS.MOVE_TO_ROOM,
+            participantJid,
+            roomJid
+        };
+
+        this._sendMessage(message);
+    }
+
+    /**
+     * Retrieves the address of the breakout room component.
+     *
+     * @returns {string} - The address of the component.
+     */
+    getComponentAddress() {
+        return this.room.xmpp.breakoutRoomsComponentAddress;
+    }
+
+    /**
+     * Whether breakout rooms are supported on backend.
+     *
+     * @returns {boolean} whether breakout rooms are supported on backend.
+     */
+    isSupported() {
+        return Boolean(this.getComponentAddress());
+    }
+
+    /**
+     * Stores if the current room is a breakout room.
+     *
+     * @param {boolean} isBreakoutRoom - Whether this room is a breakout room.
+     */
+    _setIsBreakoutRoom(isBreakoutRoom) {
+        this._isBreakoutRoom = isBreakoutRoom;
+    }
+
+    /**
+     * Checks whether this room is a breakout room.
+     *
+     * @returns {boolean}
+     */
+    isBreakoutRoom() {
+        return Boolean(this._isBreakoutRoom);
+    }
+
+    /**
+     * Sets the main room JID associated with this breakout room. Only applies when
+     * in a breakout room.
+     *
+     * @param {string} jid - The main room JID.
+     */
+    _setMainRoomJid(jid) {
+        this._mainRoomJid = jid;
+    }
+
+    /**
+     * Gets the main room's JID associated with this breakout room.
+     *
+     * @returns {string} - The main room JID.
+     */
+    getMainRoomJid() {
+        return this.isBreakoutRoom() ? this._mainRoomJid : this.room.roomjid;
+    }
+
+    /**
+     * Returns the last known list of rooms, keyed by room id.
+     *
+     * @returns {Object} - The rooms, including the main one.
+     */
+    getRooms() {
+        return this._rooms;
+    }
+
+    /**
+     * Checks whether we are allowed to send commands to the component.
+     *
+     * @returns {boolean}
+     * @private
+     */
+    _canSend() {
+        return this.isSupported() && this.room.isModerator();
+    }
+
+    /**
+     * Handles a message for managing breakout rooms.
+     *
+     * @param {object} payload - Arbitrary data.
+     * @private
+     */
+    _handleMessages(payload) {
+        switch (payload.event) {
+        case BREAKOUT_ROOM_EVENTS.MOVE_TO_ROOM:
+            this.room.eventEmitter.emit(XMPPEvents.BREAKOUT_ROOMS_MOVE_TO_ROOM, payload.roomJid);
+            break;
+        case BREAKOUT_ROOM_EVENTS.UPDATE: {
+            // Only the rooms which are related to the one we are in are of interest.
+            if (payload.roomJid !== this.getMainRoomJid() && payload.roomJid !== this.room.roomjid) {
+                break;
+            }
+
+            this._rooms = payload.rooms || {};
+            this.room.eventEmitter.emit(XMPPEvents.BREAKOUT_ROOMS_UPDATED, this._rooms);
+            break;
+        }
+        default:
+            logger.warn(`Unknown breakout rooms event: ${payload.event}`);
+        }
+    }
+
+    /**
+     * Helper to send a breakout rooms message to the component.
+     *
+     * @param {Object} message - Command that needs to be sent.
+     * @private
+     */
+    _sendMessage(message) {
+        const msg = $msg({ to: this.getComponentAddress() });
+
+        msg.c('breakout_rooms', message).up();
+
+        this.room.xmpp.connection.send(msg);
+    }
+}
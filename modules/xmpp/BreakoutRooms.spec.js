@@ -0,0 +1,228 @@
+import EventEmitter from 'events';
+
+import JitsiConference from '../../JitsiConference';
+import JitsiConferenceEventManager from '../../JitsiConferenceEventManager';
+import * as JitsiConferenceEvents from '../../JitsiConferenceEvents';
+import XMPPEvents from '../../service/xmpp/XMPPEvents';
+import Listenable from '../util/Listenable';
+
+import BreakoutRooms from './BreakoutRooms';
+
+const COMPONENT = 'breakout.example.com';
+const MAIN_ROOM = 'main@conference.example.com';
+const BREAKOUT_ROOM = 'breakout-1@breakout.example.com';
+
+// JSDocs disabled for Mock classes to avoid duplication - check on the original classes for info.
+/* eslint-disable require-jsdoc, no-empty-function */
+class MockXmpp extends Listenable {
+    constructor() {
+        super();
+        this.breakoutRoomsComponentAddress = COMPONENT;
+        this.connection = { send: jasmine.createSpy('send') };
+    }
+}
+
+class MockChatRoom extends Listenable {
+    constructor() {
+        super();
+        this.roomjid = MAIN_ROOM;
+        this.xmpp = new MockXmpp();
+        this.moderator = true;
+        this.breakoutRooms = new BreakoutRooms(this);
+    }
+
+    isModerator() {
+        return this.moderator;
+    }
+
+    getBreakoutRooms() {
+        return this.breakoutRooms;
+    }
+
+    addPresenceListener() {}
+
+    setParticipantPropertyListener() {}
+}
+
+/**
+ * Mock object to be used in place of a real conference.
+ *
+ * @constructor
+ * @param {MockChatRoom} room - The room of the conference.
+ */
+function MockConference(room) {
+    this.eventEmitter = new EventEmitter();
+    this.room = room;
+}
+MockConference.prototype = Object.create(JitsiConference.prototype);
+MockConference.prototype.constructor = JitsiConference;
+
+/* eslint-enable require-jsdoc, no-empty-function */
+
+describe('BreakoutRooms', () => {
+    let breakoutRooms, room;
+
+    /**
+     * Returns the attributes of the commands sent to the breakout rooms component.
+     *
+     * @returns {Array<Object>}
+     */
+    function getSentCommands() {
+        return room.xmpp.connection.send.calls.allArgs().map(([ msg ]) => {
+            const stanza = msg.tree();
+            const command = stanza.getElementsByTagName('breakout_rooms')[0];
+
+            expect(stanza.getAttribute('to')).toBe(COMPONENT);
+
+            return Object.fromEntries([ ...command.attributes ].map(({ name, value }) => [ name, value ]));
+        });
+    }
+
+    /**
+     * Simulates a message received from the breakout rooms component.
+     *
+     * @param {Object} payload - The message.
+     * @returns {void}
+     */
+    function receive(payload) {
+        room.xmpp.eventEmitter.emit(XMPPEvents.BREAKOUT_ROOMS_EVENT, payload);
+    }
+
+    beforeEach(() => {
+        room = new MockChatRoom();
+        breakoutRooms = room.getBreakoutRooms();
+    });
+
+    describe('commands', () => {
+        it('are sent to the component', () => {
+            breakoutRooms.createBreakoutRoom('Room 1');
+            breakoutRooms.renameBreakoutRoom(BREAKOUT_ROOM, 'Room 2');
+            breakoutRooms.sendParticipantToRoom('main@conference.example.com/abcd', BREAKOUT_ROOM);
+            breakoutRooms.removeBreakoutRoom(BREAKOUT_ROOM);
+
+            expect(getSentCommands()).toEqual([ {
+                type: 'features/breakout-rooms/add',
+                subject: 'Room 1'
+            }, {
+                type: 'features/breakout-rooms/rename',
+                breakoutRoomJid: BREAKOUT_ROOM,
+                subject: 'Room 2'
+            }, {
+                type: 'features/breakout-rooms/move-to-room',
+                participantJid: 'main@conference.example.com/abcd',
+                roomJid: BREAKOUT_ROOM
+            }, {
+                type: 'features/breakout-rooms/remove',
+                breakoutRoomJid: BREAKOUT_ROOM
+            } ]);
+        });
+
+        it('are not sent when not moderator', () => {
+            room.moderator = false;
+
+            breakoutRooms.createBreakoutRoom('Room 1');
+            breakoutRooms.renameBreakoutRoom(BREAKOUT_ROOM, 'Room 2');
+            breakoutRooms.sendParticipantToRoom('main@conference.example.com/abcd', BREAKOUT_ROOM);
+            breakoutRooms.removeBreakoutRoom(BREAKOUT_ROOM);
+
+            expect(room.xmpp.connection.send).not.toHaveBeenCalled();
+        });
+
+        it('are not sent when the backend doesn\'t support breakout rooms', () => {
+            room.xmpp.breakoutRoomsComponentAddress = undefined;
+
+            breakoutRooms.createBreakoutRoom('Room 1');
+            breakoutRooms.renameBreakoutRoom(BREAKOUT_ROOM, 'Room 2');
+            breakoutRooms.sendParticipantToRoom('main@conference.example.com/abcd', BREAKOUT_ROOM);
+            breakoutRooms.removeBreakoutRoom(BREAKOUT_ROOM);
+
+            expect(breakoutRooms.isSupported()).toBe(false);
+            expect(room.xmpp.connection.send).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('updates', () => {
+        const rooms = {
+            main: { jid: MAIN_ROOM },
+            breakout: { jid: BREAKOUT_ROOM }
+        };
+        let updated;
+
+        beforeEach(() => {
+            updated = jasmine.createSpy('updated');
+            room.addListener(XMPPEvents.BREAKOUT_ROOMS_UPDATED, updated);
+        });
+
+        it('are stored for the main room', () => {
+            receive({
+                event: 'features/breakout-rooms/update',
+                roomJid: MAIN_ROOM,
+                rooms
+            });
+
+            expect(breakoutRooms.getRooms()).toBe(rooms);
+            expect(updated).toHaveBeenCalledOnceWith(rooms);
+        });
+
+        it('are stored for the main room of the breakout room we are in', () => {
+            room.roomjid = BREAKOUT_ROOM;
+            breakoutRooms._setIsBreakoutRoom(true);
+            breakoutRooms._setMainRoomJid(MAIN_ROOM);
+
+            receive({
+                event: 'features/breakout-rooms/update',
+                roomJid: MAIN_ROOM,
+                rooms
+            });
+
+            expect(breakoutRooms.getMainRoomJid()).toBe(MAIN_ROOM);
+            expect(updated).toHaveBeenCalledOnceWith(rooms);
+        });
+
+        it('of other rooms are ignored', () => {
+            receive({
+                event: 'features/breakout-rooms/update',
+                roomJid: 'other@conference.example.com',
+                rooms
+            });
+
+            expect(breakoutRooms.getRooms()).toEqual({});
+            expect(updated).not.toHaveBeenCalled();
+        });
+
+        it('are no longer received once disposed', () => {
+            breakoutRooms.dispose();
+            receive({
+                event: 'features/breakout-rooms/update',
+                roomJid: MAIN_ROOM,
+                rooms
+            });
+
+            expect(updated).not.toHaveBeenCalled();
+        });
+    });
+
+    it('fires the conference events', () => {
+        const conference = new MockConference(room);
+        const moveToRoom = jasmine.createSpy('moveToRoom');
+        const updated = jasmine.createSpy('updated');
+        const rooms = { main: { jid: MAIN_ROOM } };
+
+        new JitsiConferenceEventManager(conference).setupChatRoomListeners();
+        conference.on(JitsiConferenceEvents.BREAKOUT_ROOMS_MOVE_TO_ROOM, moveToRoom);
+        conference.on(JitsiConferenceEvents.BREAKOUT_ROOMS_UPDATED, updated);
+
+        receive({
+            event: 'features/breakout-rooms/move-to-room',
+            roomJid: BREAKOUT_ROOM
+        });
+        receive({
+            event: 'features/breakout-rooms/update',
+            roomJid: MAIN_ROOM,
+            rooms
+        });
+
+        expect(moveToRoom).toHaveBeenCalledOnceWith(BREAKOUT_ROOM);
+        expect(updated).toHaveBeenCalledOnceWith(rooms);
+    });
+});
@@ -193,8 +193,9 @@ export default class Caps extends Listenable {
     /**
      * Returns a set with the features for a host.
      * @param {String} jid the jid of the host
-     * @param {int} timeout the timeout in ms for reply from the host.
-     * @returns {Promise<Set<String>, Error>}
+     * @param {string} [node] the node to query, if any.
+     * @param {number} [timeout] the timeout in ms for reply from the host.
+     * @returns {Promise<Object>} the features and identities of the host.
      */
     getFeaturesAndIdentities(jid, node, timeout = 5000) {
         return this._getDiscoInfo(jid, node, timeout);
@@ -3,6 +3,7 @@
 import { getLogger } from 'jitsi-meet-logger';
 import isEqual from 'lodash.isequal';
 import { $iq, $msg, $pres, Strophe } from 'strophe.js';
+import { v4 as uuidv4 } from 'uuid';
 
 import * as JitsiTranscriptionStatus from '../../JitsiTranscriptionStatus';
 import * as MediaType from '../../service/RTC/MediaType';
@@ -11,12 +12,36 @@ import GlobalOnErrorHandler from '../util/GlobalOnErrorHandler';
 import Listenable from '../util/Listenable';
 
 import AVModeration from './AVModeration';
+import BreakoutRooms from './BreakoutRooms';
 import Lobby from './Lobby';
 import XmppConnection from './XmppConnection';
 import Moderator from './moderator';
 
 const logger = getLogger(__filename);
 
+/**
+ * The namespace of the XEP-0359 origin id, the id the sender gives to a chat
+ * message.
+ */
+const ORIGIN_ID_NS = 'urn:xmpp:sid:0';
+
+/**
+ * The namespace of the XEP-0308 correction of a chat message.
+ */
+const MESSAGE_CORRECT_NS = 'urn:xmpp:message-correct:0';
+
+/**
+ * The namespaces of the XEP-0424 retraction of a chat message.
+ */
+const FASTEN_NS = 'urn:xmpp:fasten:0';
+const MESSAGE_RETRACT_NS = 'urn:xmpp:message-retract:0';
+
+/**
+ * The number of chat messages whose sender is remembered to check their
+ * corrections and retractions, the older ones can no longer be changed.
+ */
+const MAX_MESSAGE_AUTHORS = 1000;
+
 export const parser = {
     packet2JSON(xmlElement, nodes) {
         for (const child of Array.from(xmlElement.children)) {
@@ -108,6 +133,11 @@ export default class ChatRoom extends Listenable {
      * @param {boolean} options.disableDiscoInfo - when set to {@code false} will skip disco info.
      * This is intended to be used only for lobby rooms.
      * @param {boolean} options.enableLobby - when set to {@code false} will skip creating lobby room.
+     * @param {boolean} options.batchChatHistory - whether the chat messages of
+     * the history of the room are emitted at once, once the history ended,
+     * instead of one by one.
+     * @param {number} options.chatHistoryMaxStanzas - the number of chat
+     * messages of the history of the room the server is asked to send on join.
      */
     constructor(connection, jid, password, XMPP, options) {
         super();
@@ -135,6 +165,7 @@ export default class ChatRoom extends Listenable {
             this.lobby = new Lobby(this);
         }
         this.avModeration = new AVModeration(this);
+        this.breakoutRooms = new BreakoutRooms(this);
         this.initPresenceMap(options);
         this.lastPresences = {};
         this.phoneNumber = null;
@@ -144,6 +175,22 @@ export default class ChatRoom extends Listenable {
 
         this.locked = false;
         this.transcriptionStatus = JitsiTranscriptionStatus.OFF;
+
+        /**
+         * The MUC JIDs of the senders of the chat messages, by message id. A
+         * message may only be corrected by its sender and retracted by its
+         * sender or a moderator.
+         * @type {Map<string, string>}
+         */
+        this._messageAuthors = new Map();
+
+        /**
+         * The chat messages of the history of the room which the server sends
+         * on join, up to the subject which ends the history. Only collected
+         * with the batchChatHistory option.
+         * @type {Array<Object>|undefined}
+         */
+        this._history = this.options.batchChatHistory ? [] : undefined;
     }
 
     /* eslint-enable max-params */
@@ -234,6 +281,9 @@ export default class ChatRoom extends Listenable {
             if (this.options.billingId) {
                 pres.c('billingid').t(this.options.billingId).up();
             }
+            if (typeof this.options.chatHistoryMaxStanzas === 'number') {
+                pres.c('history', { maxstanzas: this.options.chatHistoryMaxStanzas }).up();
+            }
 
             pres.up();
         }
@@ -324,6 +374,18 @@ export default class ChatRoom extends Listenable {
                 this.lobby.setLobbyRoomJid(lobbyRoomField && lobbyRoomField.length ? lobbyRoomField.text() : undefined);
             }
 
+            const isBreakoutField
+                = $(result).find('>query>x[type="result"]>field[var="muc#roominfo_isbreakout"]>value');
+
+            this.breakoutRooms._setIsBreakoutRoom(isBreakoutField.length > 0 && isBreakoutField.text() === 'true');
+
+            const breakoutMainRoomField
+                = $(result).find('>query>x[type="result"]>field[var="muc#roominfo_breakout_main_room"]>value');
+
+            if (breakoutMainRoomField.length) {
+                this.breakoutRooms._setMainRoomJid(breakoutMainRoomField.text());
+            }
+
             if (membersOnly !== this.membersOnlyEnabled) {
                 this.membersOnlyEnabled = membersOnly;
                 this.eventEmitter.emit(XMPPEvents.MUC_MEMBERS_ONLY_CHANGED, membersOnly);
@@ -834,14 +896,37 @@ export default class ChatRoom extends Listenable {
         }
     }
 
+    /**
+     * Creates a chat message with a new id, as XEP-0359 origin id too so that
+     * the id survives the MUC.
+     *
+     * @param {string} id - The id of the message.
+     * @param {string} [to] - The id/muc resource of the receiver, if the
+     * message is private.
+     * @returns {Strophe.Builder}
+     * @private
+     */
+    _createChatMessage(id, to) {
+        return $msg({
+            id,
+            to: to ? `${this.roomjid}/${to}` : this.roomjid,
+            type: to ? 'chat' : 'groupchat'
+        }).c('origin-id', {
+            id,
+            xmlns: ORIGIN_ID_NS
+        })
+            .up();
+    }
+
     /**
      * Send text message to the other participants in the conference
      * @param message
      * @param elementName
+     * @returns {string} the id of the message.
      */
     sendMessage(message, elementName) {
-        const msg = $msg({ to: this.roomjid,
-            type: 'groupchat' });
+        const id = uuidv4();
+        const msg = this._createChatMessage(id);
 
         // We are adding the message in a packet extension. If this element
         // is different from 'body', we add a custom namespace.
@@ -852,8 +937,13 @@ export default class ChatRoom extends Listenable {
             msg.c(elementName, { xmlns: 'http://jitsi.org/jitmeet' }, message);
         }
 
+        // Only the chat messages can be corrected or retracted, the others (e.g.
+        // the live captions) would only fill the map.
+        elementName === 'body' && this._setMessageAuthor(id, this.myroomjid);
         this.connection.send(msg);
         this.eventEmitter.emit(XMPPEvents.SENDING_CHAT_MESSAGE, message);
+
+        return id;
     }
 
     /* eslint-disable max-params */
@@ -862,10 +952,11 @@ export default class ChatRoom extends Listenable {
      * @param id id/muc resource of the receiver
      * @param message
      * @param elementName
+     * @returns {string} the id of the message.
      */
     sendPrivateMessage(id, message, elementName) {
-        const msg = $msg({ to: `${this.roomjid}/${id}`,
-            type: 'chat' });
+        const messageId = uuidv4();
+        const msg = this._createChatMessage(messageId, id);
 
         // We are adding the message in packet. If this element is different
         // from 'body', we add our custom namespace for the same.
@@ -877,12 +968,127 @@ export default class ChatRoom extends Listenable {
                 .up();
         }
 
+        elementName === 'body' && this._setMessageAuthor(messageId, this.myroomjid);
         this.connection.send(msg);
         this.eventEmitter.emit(
             XMPPEvents.SENDING_PRIVATE_CHAT_MESSAGE, message);
+
+        return messageId;
     }
     /* eslint-enable max-params */
 
+    /**
+     * Replaces the text of a chat message we sent, see XEP-0308.
+     *
+     * @param {string} id - The id of the message to correct.
+     * @param {string} message - The new text of the message.
+     * @param {string} [to] - The id/muc resource of the receiver, if the
+     * message was private.
+     * @returns {boolean} Whether the correction was sent.
+     */
+    sendMessageCorrection(id, message, to) {
+        if (this._messageAuthors.get(id) !== this.myroomjid) {
+            logger.warn(`Cannot correct message ${id} which was not sent by us`);
+
+            return false;
+        }
+
+        const msg = this._createChatMessage(uuidv4(), to);
+
+        msg.c('body', message).up();
+        msg.c('replace', {
+            id,
+            xmlns: MESSAGE_CORRECT_NS
+        }).up();
+
+        this.connection.send(msg);
+
+        return true;
+    }
+
+    /**
+     * Retracts a chat message, see XEP-0424. We can retract the messages we
+     * sent and, as moderators, any message sent to everyone.
+     *
+     * @param {string} id - The id of the message to retract.
+     * @param {string} [to] - The id/muc resource of the receiver, if the
+     * message was private.
+     * @returns {boolean} Whether the retraction was sent.
+     */
+    sendMessageRetraction(id, to) {
+        if (!this._canRetractMessage(this.myroomjid, id, Boolean(to))) {
+            logger.warn(`Cannot retract message ${id}`);
+
+            return false;
+        }
+
+        const msg = this._createChatMessage(uuidv4(), to);
+
+        msg.c('apply-to', {
+            id,
+            xmlns: FASTEN_NS
+        })
+            .c('retract', { xmlns: MESSAGE_RETRACT_NS })
+            .up()
+            .up();
+
+        // The retraction has no body, it has to be stored explicitly for it
+        // to be part of the history of the room.
+        msg.c('store', { xmlns: 'urn:xmpp:hints' }).up();
+
+        this.connection.send(msg);
+
+        return true;
+    }
+
+    /**
+     * Records the sender of a chat message, forgetting the oldest messages
+     * past {@link MAX_MESSAGE_AUTHORS}.
+     *
+     * @param {string} id - The id of the message.
+     * @param {string} from - The MUC JID of the sender.
+     * @returns {void}
+     * @private
+     */
+    _setMessageAuthor(id, from) {
+        this._messageAuthors.delete(id);
+        this._messageAuthors.set(id, from);
+
+        if (this._messageAuthors.size > MAX_MESSAGE_AUTHORS) {
+            this._messageAuthors.delete(this._messageAuthors.keys().next().value);
+        }
+    }
+
+    /**
+     * Checks whether a participant may retract a chat message.
+     *
+     * @param {string} from - The MUC JID of the participant.
+     * @param {string} id - The id of the message.
+     * @param {boolean} isPrivate - Whether the message is private.
+     * @param {boolean} [isHistory] - Whether the retraction is part of the
+     * history of the room.
+     * @returns {boolean}
+     * @private
+     */
+    _canRetractMessage(from, id, isPrivate, isHistory = false) {
+        if (this._messageAuthors.get(id) === from) {
+            return true;
+        }
+
+        if (isPrivate) {
+            return false;
+        }
+
+        if (from === this.myroomjid) {
+            return this.role === 'moderator';
+        }
+
+        // The role of those who left before we joined is not known, their
+        // retractions are trusted like the rest of the history the server
+        // sends.
+        return this.members[from] ? this.members[from].role === 'moderator' : isHistory;
+    }
+
     /**
      *
      * @param subject
@@ -1040,6 +1246,12 @@ export default class ChatRoom extends Listenable {
                 this.eventEmitter.emit(XMPPEvents.SUBJECT_CHANGED, subjectText);
                 logger.log(`Subject is changed to ${subjectText}`);
             }
+
+            // The subject ends the history the server sends on join.
+            if (this._history) {
+                this.eventEmitter.emit(XMPPEvents.MESSAGE_HISTORY_RECEIVED, this._history);
+                this._history = undefined;
+            }
         }
 
         // xep-0203 delay
@@ -1093,14 +1305,124 @@ export default class ChatRoom extends Listenable {
             }
         }
 
-        if (txt) {
-            if (type === 'chat') {
-                this.eventEmitter.emit(XMPPEvents.PRIVATE_MESSAGE_RECEIVED,
-                        from, txt, this.myroomjid, stamp);
-            } else if (type === 'groupchat') {
-                this.eventEmitter.emit(XMPPEvents.MESSAGE_RECEIVED,
-                        from, txt, this.myroomjid, stamp);
+        if (type !== 'chat' && type !== 'groupchat') {
+            return;
+        }
+
+        const chatMessage = {
+            from,
+            isPrivate: type === 'chat',
+            messageId: $(msg).find(`>origin-id[xmlns="${ORIGIN_ID_NS}"]`).attr('id')
+                || msg.getAttribute('id') || undefined,
+            stamp,
+            text: txt
+        };
+        const replacedId = $(msg).find(`>replace[xmlns="${MESSAGE_CORRECT_NS}"]`).attr('id');
+        const retractedId = $(msg).find(`>apply-to[xmlns="${FASTEN_NS}"]>retract[xmlns="${MESSAGE_RETRACT_NS}"]`)
+            .parent()
+            .attr('id');
+
+        if (retractedId) {
+            this._onMessageRetraction(chatMessage, retractedId);
+        } else if (txt && replacedId) {
+            this._onMessageCorrection(chatMessage, replacedId);
+        } else if (txt) {
+            this._onChatMessage(chatMessage);
+        }
+    }
+
+    /**
+     * Checks whether a chat message is part of the history the server sends
+     * on join, i.e. it was delayed and the history did not end yet.
+     *
+     * @param {Object} chatMessage - The message.
+     * @returns {boolean}
+     * @private
+     */
+    _isHistoryMessage(chatMessage) {
+        return Boolean(this._history) && !chatMessage.isPrivate && chatMessage.stamp !== undefined;
+    }
+
+    /**
+     * Handles a chat message which is not a correction nor a retraction.
+     *
+     * @param {Object} chatMessage - The message.
+     * @returns {void}
+     * @private
+     */
+    _onChatMessage(chatMessage) {
+        const { from, isPrivate, messageId, stamp, text } = chatMessage;
+
+        messageId && this._setMessageAuthor(messageId, from);
+
+        if (this._isHistoryMessage(chatMessage)) {
+            this._history.push({
+                from,
+                messageId,
+                text,
+                timestamp: stamp
+            });
+        } else if (isPrivate) {
+            this.eventEmitter.emit(XMPPEvents.PRIVATE_MESSAGE_RECEIVED,
+                    from, text, this.myroomjid, stamp, messageId);
+        } else {
+            this.eventEmitter.emit(XMPPEvents.MESSAGE_RECEIVED,
+                    from, text, this.myroomjid, stamp, messageId);
+        }
+    }
+
+    /**
+     * Handles a XEP-0308 correction of a chat message, which is ignored unless
+     * it comes from the sender of the message.
+     *
+     * @param {Object} chatMessage - The correction.
+     * @param {string} id - The id of the corrected message.
+     * @returns {void}
+     * @private
+     */
+    _onMessageCorrection(chatMessage, id) {
+        const { from, isPrivate, text } = chatMessage;
+
+        if (this._messageAuthors.get(id) !== from) {
+            logger.warn(`Ignoring the correction of message ${id} by ${from}`);
+
+            return;
+        }
+
+        if (this._isHistoryMessage(chatMessage)) {
+            const corrected = this._history.find(message => message.messageId === id);
+
+            if (corrected) {
+                corrected.text = text;
+                corrected.edited = true;
             }
+        } else {
+            this.eventEmitter.emit(XMPPEvents.MESSAGE_CORRECTED, from, id, text, isPrivate);
+        }
+    }
+
+    /**
+     * Handles a XEP-0424 retraction of a chat message, which is ignored unless
+     * it comes from the sender of the message or a moderator.
+     *
+     * @param {Object} chatMessage - The retraction.
+     * @param {string} id - The id of the retracted message.
+     * @returns {void}
+     * @private
+     */
+    _onMessageRetraction(chatMessage, id) {
+        const { from, isPrivate } = chatMessage;
+
+        if (!this._canRetractMessage(from, id, isPrivate, chatMessage.stamp !== undefined)) {
+            logger.warn(`Ignoring the retraction of message ${id} by ${from}`);
+
+            return;
+        }
+
+        if (this._isHistoryMessage(chatMessage)) {
+            this._history = this._history.filter(message => message.messageId !== id);
+        } else {
+            this.eventEmitter.emit(XMPPEvents.MESSAGE_RETRACTED, from, id, isPrivate);
         }
     }
 
@@ -1599,7 +1921,7 @@ export default class ChatRoom extends Listenable {
      * the participant identified by the given endpoint JID.
      * @param {string} endpointId the endpoint ID mapped to the participant
      * which corresponds to MUC nickname.
-     * @param {MediaType} mediaType the type of the media for which presence
+     * @param {'audio'|'video'} mediaType the type of the media for which presence
      * info will be obtained.
      * @return {PeerMediaInfo} presenceInfo an object with media presence
      * info or <tt>null</tt> either if there is no presence available or if
@@ -1688,6 +2010,13 @@ export default class ChatRoom extends Listenable {
         return this.avModeration;
     }
 
+    /**
+     * @returns {BreakoutRooms}
+     */
+    getBreakoutRooms() {
+        return this.breakoutRooms;
+    }
+
 
     /**
      * Returns the phone number for joining the conference.
@@ -1717,6 +2046,8 @@ export default class ChatRoom extends Listenable {
      * @param jid of the participant
      * @param mute
      * @param mediaType
+     * @returns {Promise} which is resolved when the focus accepted the request and rejected with the error when it
+     * didn't.
      */
     muteParticipant(jid, mute, mediaType) {
         logger.info('set mute', mute);
@@ -1730,10 +2061,18 @@ export default class ChatRoom extends Listenable {
             .t(mute.toString())
             .up();
 
-        this.connection.sendIQ(
-            iqToFocus,
-            result => logger.log('set mute', result),
-            error => logger.log('set mute error', error));
+        return new Promise((resolve, reject) => {
+            this.connection.sendIQ(
+                iqToFocus,
+                result => {
+                    logger.log('set mute', result);
+                    resolve();
+                },
+                error => {
+                    logger.log('set mute error', error);
+                    reject(error);
+                });
+        });
     }
 
     /**
@@ -1793,6 +2132,8 @@ export default class ChatRoom extends Listenable {
         this._removeConnListeners.forEach(remove => remove());
         this._removeConnListeners = [];
 
+        this.breakoutRooms.dispose();
+
         this.joined = false;
     }
 
@@ -313,33 +313,215 @@ describe('ChatRoom', () => {
             connectionSpy = spyOn(room.connection, 'send');
         });
         it('sends a string msg with elementName body correctly', () => {
-            room.sendMessage('string message', 'body', 'receiver');
+            const id = room.sendMessage('string message', 'body', 'receiver');
+
             expect(connectionSpy.calls.argsFor(0).toString()).toBe(
-                '<message to="jid" type="groupchat" xmlns="jabber:client">' +
+                `<message id="${id}" to="jid" type="groupchat" xmlns="jabber:client">` +
+                `<origin-id id="${id}" xmlns="urn:xmpp:sid:0"/>` +
                 '<body>string message</body>' +
                 '</message>');
         });
         it('sends a object msg with elementName body correctly', () => {
-            room.sendMessage({ object: 'message' }, 'body', 'receiver');
+            const id = room.sendMessage({ object: 'message' }, 'body', 'receiver');
+
             expect(connectionSpy.calls.argsFor(0).toString()).toBe(
-                '<message to="jid" type="groupchat" xmlns="jabber:client">' +
+                `<message id="${id}" to="jid" type="groupchat" xmlns="jabber:client">` +
+                `<origin-id id="${id}" xmlns="urn:xmpp:sid:0"/>` +
                 '<body object="message"/>' +
                 '</message>');
         });
         it('sends a string msg with elementName json-message correctly', () => {
-            room.sendMessage('string message', 'json-message', 'receiver');
+            const id = room.sendMessage('string message', 'json-message', 'receiver');
+
             expect(connectionSpy.calls.argsFor(0).toString()).toBe(
-                '<message to="jid" type="groupchat" xmlns="jabber:client">' +
+                `<message id="${id}" to="jid" type="groupchat" xmlns="jabber:client">` +
+                `<origin-id id="${id}" xmlns="urn:xmpp:sid:0"/>` +
                 '<json-message xmlns="http://jitsi.org/jitmeet">string message</json-message>' +
                 '</message>');
         });
         it('sends a object msg with elementName json-message correctly', () => {
-            room.sendMessage({ object: 'message' }, 'json-message', 'receiver');
+            const id = room.sendMessage({ object: 'message' }, 'json-message', 'receiver');
+
             expect(connectionSpy.calls.argsFor(0).toString()).toBe(
-                '<message to="jid" type="groupchat" xmlns="jabber:client">' +
+                `<message id="${id}" to="jid" type="groupchat" xmlns="jabber:client">` +
+                `<origin-id id="${id}" xmlns="urn:xmpp:sid:0"/>` +
                 '<json-message object="message" xmlns="http://jitsi.org/jitmeet"/>' +
                 '</message>');
         });
+        it('sends a correction of an own message', () => {
+            const id = room.sendMessage('string message', 'body');
+
+            expect(room.sendMessageCorrection(id, 'corrected message')).toBe(true);
+
+            const correction = connectionSpy.calls.argsFor(1)[0].tree();
+
+            expect(correction.querySelector('body').textContent).toBe('corrected message');
+            expect(correction.querySelector('replace').getAttribute('id')).toBe(id);
+        });
+        it('does not send a correction of a message of someone else', () => {
+            expect(room.sendMessageCorrection('unknown', 'corrected message')).toBe(false);
+
+            expect(connectionSpy).not.toHaveBeenCalled();
+        });
+        it('sends a retraction of a private message', () => {
+            const id = room.sendPrivateMessage('receiver', 'string message', 'body');
+
+            expect(room.sendMessageRetraction(id, 'receiver')).toBe(true);
+
+            const retraction = connectionSpy.calls.argsFor(1)[0].tree();
+
+            expect(retraction.getAttribute('to')).toBe('jid/receiver');
+            expect(retraction.querySelector('apply-to').getAttribute('id')).toBe(id);
+            expect(retraction.querySelector('apply-to > retract')).not.toBeNull();
+        });
+    });
+
+    describe('onMessage', () => {
+        let room;
+        let emitterSpy;
+
+        /**
+         * Creates a chat message received from a member of the room.
+         *
+         * @param {string} from - The nickname of the sender.
+         * @param {string} payload - The children of the message.
+         * @param {string} [stamp] - The timestamp of a delayed message.
+         * @returns {Element}
+         */
+        function createMessage(from, payload, stamp) {
+            const delay = stamp ? `<delay xmlns="urn:xmpp:delay" stamp="${stamp}"/>` : '';
+            const str = `<message from="room@conference/${from}" type="groupchat">${payload}${delay}</message>`;
+
+            return new DOMParser().parseFromString(str, 'text/xml').documentElement;
+        }
+
+        /**
+         * Creates the room the messages are received in.
+         *
+         * @param {Object} options - The options of the room.
+         * @returns {void}
+         */
+        function createRoom(options) {
+            const xmpp = {
+                options: {},
+                addListener: () => {} // eslint-disable-line no-empty-function
+            };
+
+            room = new ChatRoom(
+                {} /* connection */,
+                'room@conference/me',
+                'password',
+                xmpp,
+                options);
+            room.members['room@conference/moderator'] = { role: 'moderator' };
+            room.members['room@conference/other'] = { role: 'participant' };
+            emitterSpy = spyOn(room.eventEmitter, 'emit');
+        }
+
+        beforeEach(() => {
+            createRoom({});
+        });
+        it('emits the id of a message', () => {
+            room.onMessage(createMessage('other',
+                '<body>hello</body><origin-id xmlns="urn:xmpp:sid:0" id="id1"/>'), 'room@conference/other');
+
+            expect(emitterSpy).toHaveBeenCalledWith(
+                XMPPEvents.MESSAGE_RECEIVED, 'room@conference/other', 'hello', 'room@conference/me', undefined, 'id1');
+        });
+        it('accepts the corrections from the sender only', () => {
+            room.onMessage(createMessage('other',
+                '<body>hello</body><origin-id xmlns="urn:xmpp:sid:0" id="id1"/>'), 'room@conference/other');
+            room.onMessage(createMessage('moderator',
+                '<body>bye</body><replace xmlns="urn:xmpp:message-correct:0" id="id1"/>'),
+                'room@conference/moderator');
+            room.onMessage(createMessage('other',
+                '<body>hi</body><replace xmlns="urn:xmpp:message-correct:0" id="id1"/>'), 'room@conference/other');
+
+            const corrections = emitterSpy.calls.allArgs().filter(([ e ]) => e === XMPPEvents.MESSAGE_CORRECTED);
+
+            expect(corrections).toEqual([
+                [ XMPPEvents.MESSAGE_CORRECTED, 'room@conference/other', 'id1', 'hi', false ]
+            ]);
+        });
+        it('accepts the retractions from the sender and the moderators', () => {
+            const retract = id => `<apply-to xmlns="urn:xmpp:fasten:0" id="${id}">` +
+                '<retract xmlns="urn:xmpp:message-retract:0"/></apply-to>';
+
+            room.onMessage(createMessage('other',
+                '<body>hello</body><origin-id xmlns="urn:xmpp:sid:0" id="id1"/>'), 'room@conference/other');
+            room.onMessage(createMessage('moderator',
+                '<body>hello</body><origin-id xmlns="urn:xmpp:sid:0" id="id2"/>'), 'room@conference/moderator');
+            room.onMessage(createMessage('other', retract('id2')), 'room@conference/other');
+            room.onMessage(createMessage('moderator', retract('id1')), 'room@conference/moderator');
+
+            const retractions = emitterSpy.calls.allArgs().filter(([ e ]) => e === XMPPEvents.MESSAGE_RETRACTED);
+
+            expect(retractions).toEqual([
+                [ XMPPEvents.MESSAGE_RETRACTED, 'room@conference/moderator', 'id1', false ]
+            ]);
+        });
+        it('forgets the senders of the oldest messages', () => {
+            for (let i = 0; i <= 1000; i++) {
+                room.onMessage(createMessage('other',
+                    `<body>${i}</body><origin-id xmlns="urn:xmpp:sid:0" id="id${i}"/>`), 'room@conference/other');
+            }
+
+            expect(room._messageAuthors.size).toBe(1000);
+            expect(room._messageAuthors.has('id0')).toBe(false);
+            expect(room._messageAuthors.get('id1000')).toBe('room@conference/other');
+        });
+        it('emits the messages of the history one by one by default', () => {
+            const stamp = '2021-05-04T10:00:00Z';
+
+            room.onMessage(createMessage('other',
+                '<body>one</body><origin-id xmlns="urn:xmpp:sid:0" id="id1"/>', stamp), 'room@conference/other');
+            room.onMessage(createMessage('', '<subject/>'), 'room@conference');
+
+            expect(emitterSpy).toHaveBeenCalledWith(
+                XMPPEvents.MESSAGE_RECEIVED, 'room@conference/other', 'one', 'room@conference/me', stamp, 'id1');
+            expect(emitterSpy).not.toHaveBeenCalledWith(XMPPEvents.MESSAGE_HISTORY_RECEIVED, jasmine.anything());
+        });
+        it('accepts the retractions in the history from a moderator who left', () => {
+            const stamp = '2021-05-04T10:00:00Z';
+
+            createRoom({ batchChatHistory: true });
+            room.onMessage(createMessage('other',
+                '<body>one</body><origin-id xmlns="urn:xmpp:sid:0" id="id1"/>', stamp), 'room@conference/other');
+            room.onMessage(createMessage('gone',
+                '<apply-to xmlns="urn:xmpp:fasten:0" id="id1"><retract xmlns="urn:xmpp:message-retract:0"/>' +
+                '</apply-to>', stamp), 'room@conference/gone');
+            room.onMessage(createMessage('', '<subject/>'), 'room@conference');
+
+            expect(emitterSpy).toHaveBeenCalledWith(XMPPEvents.MESSAGE_HISTORY_RECEIVED, []);
+        });
+        it('emits the history once the subject is received', () => {
+            const stamp = '2021-05-04T10:00:00Z';
+
+            createRoom({ batchChatHistory: true });
+
+            room.onMessage(createMessage('other',
+                '<body>one</body><origin-id xmlns="urn:xmpp:sid:0" id="id1"/>', stamp), 'room@conference/other');
+            room.onMessage(createMessage('other',
+                '<body>two</body><origin-id xmlns="urn:xmpp:sid:0" id="id2"/>', stamp), 'room@conference/other');
+            room.onMessage(createMessage('other',
+                '<body>uno</body><replace xmlns="urn:xmpp:message-correct:0" id="id1"/>', stamp),
+                'room@conference/other');
+            room.onMessage(createMessage('other',
+                '<apply-to xmlns="urn:xmpp:fasten:0" id="id2"><retract xmlns="urn:xmpp:message-retract:0"/>' +
+                '</apply-to>', stamp), 'room@conference/other');
+
+            expect(emitterSpy).not.toHaveBeenCalled();
+
+            room.onMessage(createMessage('', '<subject/>'), 'room@conference');
+
+            expect(emitterSpy).toHaveBeenCalledWith(XMPPEvents.MESSAGE_HISTORY_RECEIVED, [ {
+                edited: true,
+                from: 'room@conference/other',
+                messageId: 'id1',
+                text: 'uno',
+                timestamp: stamp
+            } ]);
+        });
     });
 });
 
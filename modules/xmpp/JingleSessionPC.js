@@ -57,12 +57,16 @@ const ICE_CAND_GATHERING_TIMEOUT = 150;
  * @property {boolean} enableInsertableStreams - Set to true when the insertable streams constraints is to be enabled
  * on the PeerConnection.
  * @property {boolean} enableLayerSuspension - Described in the config.js[1].
+ * @property {boolean} enableOpusRed - Whether Opus is negotiated with RED
+ * redundancy, see {@link JingleSessionPC#setOpusRedEnabled}.
  * @property {boolean} failICE - it's an option used in the tests. Set to
  * <tt>true</tt> to block any real candidates and make the ICE fail.
  * @property {boolean} gatherStats - Described in the config.js[1].
  * @property {object} p2p - Peer to peer related options (FIXME those could be
  * fetched from config.p2p on the upper level).
  * @property {boolean} preferH264 - Described in the config.js[1].
+ * @property {boolean} sendMultipleVideoStreams - Whether several local video
+ * tracks can be sent, each one signalled with the name of its source.
  * @property {Object} testing - Testing and/or experimental options.
  * @property {boolean} webrtcIceUdpDisable - Described in the config.js[1].
  * @property {boolean} webrtcIceTcpDisable - Described in the config.js[1].
@@ -337,6 +341,8 @@ export default class JingleSessionPC extends JingleSession {
         pcOptions.videoQuality = options.videoQuality;
         pcOptions.forceTurnRelay = options.forceTurnRelay;
         pcOptions.audioQuality = options.audioQuality;
+        pcOptions.enableOpusRed = options.enableOpusRed;
+        pcOptions.sendMultipleVideoStreams = options.sendMultipleVideoStreams;
 
         if (this.isP2P) {
             // simulcast needs to be disabled for P2P (121) calls
@@ -828,6 +834,12 @@ export default class JingleSessionPC extends JingleSession {
 
         ssrcs.each((i, ssrcElement) => {
             const ssrc = Number(ssrcElement.getAttribute('ssrc'));
+            const sourceName = ssrcElement.getAttribute('name');
+
+            // The name of the source identifies it among the sources of the same media type of the owner.
+            if (sourceName && !isNaN(ssrc) && ssrc >= 0) {
+                this.signalingLayer.setTrackSourceName(ssrc, sourceName);
+            }
 
             if (this.isP2P) {
                 // In P2P all SSRCs are owner by the remote peer
@@ -1129,6 +1141,42 @@ export default class JingleSessionPC extends JingleSession {
         }
     }
 
+    /**
+     * Enables or disables the RED redundancy of Opus on this session and
+     * initiates a renegotiation for it to take effect. The setting is kept for
+     * the renegotiations which follow.
+     *
+     * @param {boolean} enabled - Whether Opus is negotiated with RED.
+     * @returns {void}
+     */
+    setOpusRedEnabled(enabled) {
+        if (!this._assertNotEnded()) {
+            return;
+        }
+
+        logger.info(`${this} ${enabled ? 'Enabling' : 'Disabling'} RED for Opus`);
+        this.peerconnection.setOpusRedEnabled(enabled);
+
+        // Initiate a renegotiate for the RED setting to take effect.
+        const workFunction = finishedCallback => {
+            this._renegotiate().then(
+                () => {
+                    logger.debug(`setOpusRedEnabled task on ${this} is done.`);
+
+                    return finishedCallback();
+                }, error => {
+                    logger.error(`setOpusRedEnabled task on ${this} failed: ${error}`);
+
+                    return finishedCallback(error);
+                });
+        };
+
+        logger.debug(`Queued setOpusRedEnabled task on ${this}`);
+
+        // Queue and execute
+        this.modificationQueue.push(workFunction);
+    }
+
     /* eslint-enable max-params */
 
     /**
@@ -1429,6 +1477,20 @@ export default class JingleSessionPC extends JingleSession {
         return Promise.resolve();
     }
 
+    /**
+     * Caps the bitrate of the video sender, see {@link TraceablePeerConnection#setSenderBitrateCap}.
+     * @param {number|undefined} bitrate - The cap in bps or <tt>undefined</tt> to remove it.
+     * @returns {Promise} promise that will be resolved when the operation is
+     * successful and rejected otherwise.
+     */
+    setSenderBitrateCap(bitrate) {
+        if (this._assertNotEnded()) {
+            return this.peerconnection.setSenderBitrateCap(bitrate);
+        }
+
+        return Promise.resolve();
+    }
+
     /**
      * Sets the resolution constraint on the local camera track.
      * @param {number} maxFrameHeight - The user preferred max frame height.
@@ -1567,7 +1629,7 @@ export default class JingleSessionPC extends JingleSession {
      *  element from jingle
      * @param {SDP object} currentRemoteSdp the current remote
      *  sdp (as of this new source-add)
-     * @returns {list} a list of SDP line strings that should
+     * @returns {Array<string>} a list of SDP line strings that should
      *  be added to the remote SDP
      */
     _parseSsrcInfoFromSourceAdd(sourceAddElem, currentRemoteSdp) {
@@ -1787,7 +1849,7 @@ export default class JingleSessionPC extends JingleSession {
 
     /**
      * Remove the given ssrc lines from the current remote sdp
-     * @param {list} removeSsrcInfo a list of SDP line strings that
+     * @param {Array<string>} removeSsrcInfo a list of SDP line strings that
      *  should be removed from the remote SDP
      * @returns type {SDP Object} the new remote SDP (after removing the lines
      *  in removeSsrcInfo
@@ -1826,7 +1888,7 @@ export default class JingleSessionPC extends JingleSession {
 
     /**
      * Add the given ssrc lines to the current remote sdp
-     * @param {list} addSsrcInfo a list of SDP line strings that
+     * @param {Array<string>} addSsrcInfo a list of SDP line strings that
      *  should be added to the remote SDP
      * @returns type {SDP Object} the new remote SDP (after removing the lines
      *  in removeSsrcInfo
@@ -1928,6 +1990,55 @@ export default class JingleSessionPC extends JingleSession {
             });
     }
 
+    /**
+     * Adds local video tracks next to the one already sent, each one on a media
+     * section of its own, and signals their sources with a 'source-add'. Only
+     * supported on the JVB connection in unified plan.
+     *
+     * @param {Array<JitsiLocalTrack>} tracks - The local video tracks, which
+     * must have source names.
+     * @returns {Promise} which resolves once the tracks are sent or is rejected
+     * with an error.
+     */
+    addTracks(tracks) {
+        const workFunction = finishedCallback => {
+            logger.debug(`addTracks worker started. tracks = ${tracks}, ${this}`);
+
+            const oldLocalSdp = this.peerconnection.localDescription.sdp;
+
+            Promise.all(tracks.map(track => this.peerconnection.addTrackToNewMLine(track)))
+                .then(() => {
+                    if (this.state !== JingleSessionState.ACTIVE) {
+                        return;
+                    }
+
+                    // The media sections are added by the remote description, which attaches the tracks.
+                    return this._renegotiate().then(() => {
+                        const newLocalSDP = new SDP(this.peerconnection.localDescription.sdp);
+
+                        this.notifyMySSRCUpdate(new SDP(oldLocalSdp), newLocalSDP);
+                    });
+                })
+                .then(() => finishedCallback(), error => finishedCallback(error));
+        };
+
+        return new Promise((resolve, reject) => {
+            logger.debug(`Queued addTracks task. tracks = ${tracks}, ${this}`);
+
+            this.modificationQueue.push(
+                workFunction,
+                error => {
+                    if (error) {
+                        logger.error(`Add tracks error on ${this}:`, error);
+                        reject(error);
+                    } else {
+                        logger.info(`Add tracks done on ${this}!`);
+                        resolve();
+                    }
+                });
+        });
+    }
+
     /**
      * Replaces <tt>oldTrack</tt> with <tt>newTrack</tt> and performs a single
      * offer/answer cycle after both operations are done. Either
@@ -2041,6 +2152,43 @@ export default class JingleSessionPC extends JingleSession {
         });
     }
 
+    /**
+     * Sends the new MediaStream of a local track which was replaced, e.g. when an effect was started or stopped on
+     * it, with the sender the track is already added with. Unlike {@link replaceTrack} there is no offer/answer
+     * cycle, since the SSRCs of the track don't change.
+     * @param {JitsiLocalTrack} track the local track whose stream was replaced.
+     * @param {MediaStream} oldStream the stream the track was sending before.
+     * @returns {Promise} which resolves once the new stream is sent or rejects with an error {string}.
+     */
+    replaceTrackStream(track, oldStream) {
+        const workFunction = finishedCallback => {
+            if (!this.peerconnection) {
+                finishedCallback('Error: tried to replace the stream of a track with no active peer connection');
+
+                return;
+            }
+
+            this.peerconnection.replaceTrackStream(track, oldStream)
+                .then(() => finishedCallback(), error => finishedCallback(error));
+        };
+
+        return new Promise((resolve, reject) => {
+            logger.debug(`Queued replaceTrackStream task. Track = ${track}, ${this}`);
+
+            this.modificationQueue.push(
+                workFunction,
+                error => {
+                    if (error) {
+                        logger.error(`Replace track stream error on ${this}:`, error);
+                        reject(error);
+                    } else {
+                        logger.info(`Replace track stream done on ${this}!`);
+                        resolve();
+                    }
+                });
+        });
+    }
+
     /**
      * Parse the information from the xml sourceRemoveElem and translate it
      *  into sdp lines
@@ -2048,7 +2196,7 @@ export default class JingleSessionPC extends JingleSession {
      *  element from jingle
      * @param {SDP object} currentRemoteSdp the current remote
      *  sdp (as of this new source-remove)
-     * @returns {list} a list of SDP line strings that should
+     * @returns {Array<string>} a list of SDP line strings that should
      *  be removed from the remote SDP
      */
     _parseSsrcInfoFromSourceRemove(sourceRemoveElem, currentRemoteSdp) {
@@ -1,13 +1,22 @@
 /* global __filename */
 
 import { getLogger } from 'jitsi-meet-logger';
+import { Strophe } from 'strophe.js';
 
 import * as MediaType from '../../service/RTC/MediaType';
 import * as SignalingEvents from '../../service/RTC/SignalingEvents';
 import SignalingLayer from '../../service/RTC/SignalingLayer';
+import XMPPEvents from '../../service/xmpp/XMPPEvents';
 
 const logger = getLogger(__filename);
 
+/**
+ * The name of the presence element which carries the {@link SourceInfo} of the sources of a participant, as JSON
+ * keyed by source name.
+ * @type {string}
+ */
+export const SOURCE_INFO_PRESENCE_ELEMENT = 'SourceInfo';
+
 /**
  * Default XMPP implementation of the {@link SignalingLayer} interface. Obtains
  * the data from the MUC presence.
@@ -29,6 +38,24 @@ export default class SignalingLayerImpl extends SignalingLayer {
          */
         this.ssrcOwners = new Map();
 
+        /**
+         * A map that stores the names of the sources of the remote streams, as signalled in Jingle.
+         * @type {Map<number, string>} maps SSRC number to source name
+         */
+        this._sourceNames = new Map();
+
+        /**
+         * The {@link SourceInfo} of the local sources, keyed by source name, which is advertised in presence.
+         * @type {Object<string, SourceInfo>}
+         */
+        this._localSourceState = { };
+
+        /**
+         * The {@link SourceInfo} of the sources of the remote participants, keyed by endpoint ID and source name.
+         * @type {Object<string, Object<string, SourceInfo>>}
+         */
+        this._remoteSourceState = { };
+
         /**
          *
          * @type {ChatRoom|null}
@@ -36,6 +63,22 @@ export default class SignalingLayerImpl extends SignalingLayer {
         this.chatRoom = null;
     }
 
+    /**
+     * Adds the {@link SourceInfo} of the local sources to the presence of the room.
+     *
+     * @private
+     * @returns {boolean} <tt>true</tt> if the presence changed and has to be sent.
+     */
+    _addLocalSourceInfoToPresence() {
+        if (this.chatRoom) {
+            return this.chatRoom.addOrReplaceInPresence(
+                SOURCE_INFO_PRESENCE_ELEMENT,
+                { value: JSON.stringify(this._localSourceState) });
+        }
+
+        return false;
+    }
+
     /**
      * Sets the <tt>ChatRoom</tt> instance used and binds presence listeners.
      * @param {ChatRoom} room
@@ -51,6 +94,10 @@ export default class SignalingLayerImpl extends SignalingLayer {
                 'videomuted', this._videoMuteHandler);
             oldChatRoom.removePresenceListener(
                 'videoType', this._videoTypeHandler);
+            oldChatRoom.removePresenceListener(
+                SOURCE_INFO_PRESENCE_ELEMENT, this._sourceInfoHandler);
+            oldChatRoom.removeListener(
+                XMPPEvents.MUC_MEMBER_LEFT, this._memberLeftHandler);
         }
         if (room) {
             // SignalingEvents
@@ -74,6 +121,58 @@ export default class SignalingLayerImpl extends SignalingLayer {
                     from, node.value);
             };
             room.addPresenceListener('videoType', this._videoTypeHandler);
+
+            this._sourceInfoHandler = (node, endpointId) => {
+                this._onSourceInfoChanged(endpointId, node.value);
+            };
+            room.addPresenceListener(
+                SOURCE_INFO_PRESENCE_ELEMENT, this._sourceInfoHandler);
+
+            this._memberLeftHandler = jid => {
+                delete this._remoteSourceState[Strophe.getResourceFromJid(jid)];
+            };
+            room.addListener(
+                XMPPEvents.MUC_MEMBER_LEFT, this._memberLeftHandler);
+        }
+    }
+
+    /**
+     * Handles the {@link SourceInfo} advertised in the presence of a participant and emits the events for the
+     * sources which changed.
+     *
+     * @private
+     * @param {string} endpointId - The endpoint ID of the participant (MUC nickname).
+     * @param {string} value - The JSON value of the presence element.
+     * @returns {void}
+     */
+    _onSourceInfoChanged(endpointId, value) {
+        let sourceInfo;
+
+        try {
+            sourceInfo = JSON.parse(value);
+        } catch (error) {
+            logger.error(`Failed to parse the source info of ${endpointId}: ${value}`, error);
+
+            return;
+        }
+
+        const oldSourceInfo = this._remoteSourceState[endpointId] || {};
+
+        this._remoteSourceState[endpointId] = sourceInfo;
+
+        for (const [ sourceName, info ] of Object.entries(sourceInfo)) {
+            const oldInfo = oldSourceInfo[sourceName] || {};
+
+            if (Boolean(oldInfo.muted) !== Boolean(info.muted)) {
+                this.eventEmitter.emit(
+                    SignalingEvents.SOURCE_MUTED_CHANGED,
+                    endpointId, sourceName, Boolean(info.muted));
+            }
+            if (oldInfo.videoType !== info.videoType) {
+                this.eventEmitter.emit(
+                    SignalingEvents.SOURCE_VIDEO_TYPE_CHANGED,
+                    endpointId, sourceName, info.videoType);
+            }
         }
     }
 
@@ -87,6 +186,15 @@ export default class SignalingLayerImpl extends SignalingLayer {
         logger.error('Requested peer media info, before room was set');
     }
 
+    /**
+     * @inheritDoc
+     */
+    getPeerSourceInfo(owner, sourceName) {
+        const sourceInfo = this._remoteSourceState[owner];
+
+        return (sourceInfo && sourceInfo[sourceName]) || null;
+    }
+
     /**
      * @inheritDoc
      */
@@ -106,4 +214,68 @@ export default class SignalingLayerImpl extends SignalingLayer {
         }
         this.ssrcOwners.set(ssrc, endpointId);
     }
+
+    /**
+     * @inheritDoc
+     */
+    getTrackSourceName(ssrc) {
+        return this._sourceNames.get(ssrc);
+    }
+
+    /**
+     * Set the name of the source of an SSRC.
+     * @param {number} ssrc the SSRC of the source
+     * @param {string} sourceName the name of the source
+     * @throws TypeError if <tt>ssrc</tt> is not a number
+     */
+    setTrackSourceName(ssrc, sourceName) {
+        if (typeof ssrc !== 'number') {
+            throw new TypeError(`SSRC(${ssrc}) must be a number`);
+        }
+        this._sourceNames.set(ssrc, sourceName);
+    }
+
+    /**
+     * Advertises the muted state of a local source.
+     * @param {string} sourceName the name of the source
+     * @param {boolean} muted the new muted state
+     * @returns {boolean} <tt>true</tt> if the presence changed and has to be sent.
+     */
+    setTrackMuteStatus(sourceName, muted) {
+        this._localSourceState[sourceName] = {
+            ...this._localSourceState[sourceName],
+            muted
+        };
+
+        return this._addLocalSourceInfoToPresence();
+    }
+
+    /**
+     * Advertises the video type of a local source.
+     * @param {string} sourceName the name of the source
+     * @param {VideoType} videoType the new video type
+     * @returns {boolean} <tt>true</tt> if the presence changed and has to be sent.
+     */
+    setTrackVideoType(sourceName, videoType) {
+        this._localSourceState[sourceName] = {
+            ...this._localSourceState[sourceName],
+            videoType
+        };
+
+        return this._addLocalSourceInfoToPresence();
+    }
+
+    /**
+     * Stops advertising a local source, when its track was removed from the conference.
+     * @param {string} sourceName the name of the source
+     * @returns {boolean} <tt>true</tt> if the presence changed and has to be sent.
+     */
+    removeLocalSourceInfo(sourceName) {
+        if (!this._localSourceState[sourceName]) {
+            return false;
+        }
+        delete this._localSourceState[sourceName];
+
+        return this._addLocalSourceInfoToPresence();
+    }
 }
@@ -0,0 +1,160 @@
+import isEqual from 'lodash.isequal';
+
+import * as SignalingEvents from '../../service/RTC/SignalingEvents';
+import XMPPEvents from '../../service/xmpp/XMPPEvents';
+import Listenable from '../util/Listenable';
+
+import SignalingLayerImpl, { SOURCE_INFO_PRESENCE_ELEMENT } from './SignalingLayerImpl';
+
+// JSDocs disabled for Mock classes to avoid duplication - check on the original classes for info.
+/* eslint-disable require-jsdoc */
+/**
+ * A mock ChatRoom which keeps the presence of the local participant and lets the tests deliver the presence of the
+ * remote participants.
+ */
+class MockChatRoom extends Listenable {
+    constructor() {
+        super();
+        this.presence = {};
+        this.presenceListeners = {};
+    }
+
+    addOrReplaceInPresence(key, values) {
+        if (isEqual(this.presence[key], values)) {
+            return false;
+        }
+        this.presence[key] = values;
+
+        return true;
+    }
+
+    addPresenceListener(name, handler) {
+        this.presenceListeners[name] = handler;
+    }
+
+    removePresenceListener(name) {
+        delete this.presenceListeners[name];
+    }
+
+    receivePresence(endpointId, name, value) {
+        this.presenceListeners[name]({ value }, endpointId);
+    }
+}
+
+/* eslint-enable require-jsdoc */
+
+describe('SignalingLayerImpl', () => {
+    let chatRoom, signalingLayer;
+
+    beforeEach(() => {
+        chatRoom = new MockChatRoom();
+        signalingLayer = new SignalingLayerImpl();
+        signalingLayer.setChatRoom(chatRoom);
+    });
+
+    describe('local source info', () => {
+        it('advertises the state of the local sources in presence', () => {
+            expect(signalingLayer.setTrackMuteStatus('local-v0', false)).toBe(true);
+            expect(signalingLayer.setTrackVideoType('local-v0', 'camera')).toBe(true);
+            expect(signalingLayer.setTrackMuteStatus('local-v1', true)).toBe(true);
+
+            expect(JSON.parse(chatRoom.presence[SOURCE_INFO_PRESENCE_ELEMENT].value)).toEqual({
+                'local-v0': {
+                    muted: false,
+                    videoType: 'camera'
+                },
+                'local-v1': { muted: true }
+            });
+        });
+
+        it('doesn\'t ask for presence to be sent when nothing changed', () => {
+            signalingLayer.setTrackMuteStatus('local-v0', false);
+
+            expect(signalingLayer.setTrackMuteStatus('local-v0', false)).toBe(false);
+        });
+
+        it('stops advertising a removed source', () => {
+            signalingLayer.setTrackMuteStatus('local-v0', false);
+            signalingLayer.setTrackMuteStatus('local-v1', false);
+
+            expect(signalingLayer.removeLocalSourceInfo('local-v1')).toBe(true);
+            expect(signalingLayer.removeLocalSourceInfo('local-v1')).toBe(false);
+            expect(JSON.parse(chatRoom.presence[SOURCE_INFO_PRESENCE_ELEMENT].value))
+                .toEqual({ 'local-v0': { muted: false } });
+        });
+    });
+
+    describe('remote source info', () => {
+        let mutedChanged, videoTypeChanged;
+
+        beforeEach(() => {
+            mutedChanged = jasmine.createSpy('mutedChanged');
+            videoTypeChanged = jasmine.createSpy('videoTypeChanged');
+            signalingLayer.on(SignalingEvents.SOURCE_MUTED_CHANGED, mutedChanged);
+            signalingLayer.on(SignalingEvents.SOURCE_VIDEO_TYPE_CHANGED, videoTypeChanged);
+        });
+
+        it('emits the changes of the sources of a participant', () => {
+            chatRoom.receivePresence('remote', SOURCE_INFO_PRESENCE_ELEMENT, JSON.stringify({
+                'remote-v0': {
+                    muted: false,
+                    videoType: 'camera'
+                },
+                'remote-v1': {
+                    muted: true,
+                    videoType: 'desktop'
+                }
+            }));
+
+            expect(mutedChanged).toHaveBeenCalledOnceWith('remote', 'remote-v1', true);
+            expect(videoTypeChanged.calls.allArgs()).toEqual([
+                [ 'remote', 'remote-v0', 'camera' ],
+                [ 'remote', 'remote-v1', 'desktop' ]
+            ]);
+            expect(signalingLayer.getPeerSourceInfo('remote', 'remote-v1')).toEqual({
+                muted: true,
+                videoType: 'desktop'
+            });
+
+            chatRoom.receivePresence('remote', SOURCE_INFO_PRESENCE_ELEMENT, JSON.stringify({
+                'remote-v0': {
+                    muted: false,
+                    videoType: 'camera'
+                },
+                'remote-v1': {
+                    muted: false,
+                    videoType: 'desktop'
+                }
+            }));
+
+            expect(mutedChanged).toHaveBeenCalledTimes(2);
+            expect(mutedChanged).toHaveBeenCalledWith('remote', 'remote-v1', false);
+            expect(videoTypeChanged).toHaveBeenCalledTimes(2);
+        });
+
+        it('ignores a source info which can\'t be parsed', () => {
+            chatRoom.receivePresence('remote', SOURCE_INFO_PRESENCE_ELEMENT, '{');
+
+            expect(mutedChanged).not.toHaveBeenCalled();
+            expect(signalingLayer.getPeerSourceInfo('remote', 'remote-v0')).toBeNull();
+        });
+
+        it('forgets the sources of a participant who left', () => {
+            chatRoom.receivePresence('remote', SOURCE_INFO_PRESENCE_ELEMENT, JSON.stringify({
+                'remote-v0': { muted: true }
+            }));
+            chatRoom.eventEmitter.emit(XMPPEvents.MUC_MEMBER_LEFT, 'room@conference.example.com/remote');
+
+            expect(signalingLayer.getPeerSourceInfo('remote', 'remote-v0')).toBeNull();
+        });
+    });
+
+    describe('source names', () => {
+        it('maps the SSRCs to the names of the sources', () => {
+            signalingLayer.setTrackSourceName(1234, 'remote-v1');
+
+            expect(signalingLayer.getTrackSourceName(1234)).toBe('remote-v1');
+            expect(() => signalingLayer.setTrackSourceName('1234', 'remote-v1')).toThrowError(TypeError);
+        });
+    });
+});
@@ -10,6 +10,40 @@ import PingConnectionPlugin from './strophe.ping';
 
 const logger = getLogger(__filename);
 
+/**
+ * The Strophe WebSocket protocol, which opens its sockets with the factory it is given instead of the browser's
+ * WebSocket constructor.
+ */
+class StropheWebSocketWithFactory extends Strophe.Websocket {
+    /**
+     * Initializes a new protocol instance.
+     *
+     * @param {Strophe.Connection} connection - The connection which uses the protocol.
+     * @param {Function} websocketFactory - Takes the URL and the protocol and returns the WebSocket to connect with.
+     */
+    constructor(connection, websocketFactory) {
+        super(connection);
+        this._websocketFactory = websocketFactory;
+    }
+
+    /**
+     * Creates the WebSocket of the connection, the same way {@link Strophe.Websocket} does with the browser's
+     * WebSocket.
+     *
+     * @private
+     * @returns {void}
+     */
+    _connect() {
+        this._closeSocket();
+
+        this.socket = this._websocketFactory(this._conn.service, 'xmpp');
+        this.socket.onopen = this._onOpen.bind(this);
+        this.socket.onerror = this._onError.bind(this);
+        this.socket.onclose = this._onClose.bind(this);
+        this.socket.onmessage = this._connect_cb_wrapper.bind(this);
+    }
+}
+
 /**
  * The lib-jitsi-meet layer for {@link Strophe.Connection}.
  */
@@ -49,9 +83,19 @@ export default class XmppConnection extends Listenable {
      * The keep alive is HTTP GET request to {@link options.serviceUrl} or to {@link options.websocketKeepAliveUrl}.
      * @param {Number} [options.websocketKeepAliveUrl] - The websocket keep alive url to use if any,
      * if missing the serviceUrl url will be used.
+     * @param {Function} [options.websocketFactory] - A function which takes the URL and the protocol and returns the
+     * WebSocket to connect with, if missing the browser's WebSocket is used.
      * @param {Object} [options.xmppPing] - The xmpp ping settings.
      */
-    constructor({ enableWebsocketResume, websocketKeepAlive, websocketKeepAliveUrl, serviceUrl, shard, xmppPing }) {
+    constructor({
+        enableWebsocketResume,
+        websocketFactory,
+        websocketKeepAlive,
+        websocketKeepAliveUrl,
+        serviceUrl,
+        shard,
+        xmppPing
+    }) {
         super();
         this._options = {
             enableWebsocketResume: typeof enableWebsocketResume === 'undefined' ? true : enableWebsocketResume,
@@ -64,6 +108,10 @@ export default class XmppConnection extends Listenable {
         this._stropheConn = new Strophe.Connection(serviceUrl);
         this._usesWebsocket = serviceUrl.startsWith('ws:') || serviceUrl.startsWith('wss:');
 
+        if (this._usesWebsocket && websocketFactory) {
+            this._stropheConn._proto = new StropheWebSocketWithFactory(this._stropheConn, websocketFactory);
+        }
+
         // The default maxRetries is 5, which is too long.
         this._stropheConn.maxRetries = 3;
 
@@ -503,8 +551,9 @@ export default class XmppConnection extends Listenable {
      * which would fail immediately if disconnected).
      *
      * @param {Element} iq - The IQ to send.
-     * @param {number} timeout - How long to wait for the response. The time when the connection is reconnecting is
-     * included, which means that the IQ may never be sent and still fail with a timeout.
+     * @param {Object} options - The options.
+     * @param {number} options.timeout - How long to wait for the response. The time when the connection is
+     * reconnecting is included, which means that the IQ may never be sent and still fail with a timeout.
      */
     sendIQ2(iq, { timeout }) {
         return new Promise((resolve, reject) => {
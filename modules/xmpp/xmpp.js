@@ -39,6 +39,7 @@ const FAILURE_REGEX = /<failure.*><not-allowed\/><text>(.*)<\/text><\/failure>/g
  * @param {string} options.enableWebsocketResume - True to enable stream resumption.
  * @param {number} [options.websocketKeepAlive] - See {@link XmppConnection} constructor.
  * @param {number} [options.websocketKeepAliveUrl] - See {@link XmppConnection} constructor.
+ * @param {Function} [options.websocketFactory] - See {@link XmppConnection} constructor.
  * @param {Object} [options.xmppPing] - See {@link XmppConnection} constructor.
  * @returns {XmppConnection}
  */
@@ -47,6 +48,7 @@ function createConnection({
     serviceUrl = '/http-bind',
     shard,
     token,
+    websocketFactory,
     websocketKeepAlive,
     websocketKeepAliveUrl,
     xmppPing }) {
@@ -60,6 +62,7 @@ function createConnection({
     return new XmppConnection({
         enableWebsocketResume,
         serviceUrl,
+        websocketFactory,
         websocketKeepAlive,
         websocketKeepAliveUrl,
         xmppPing,
@@ -123,6 +126,8 @@ export default class XMPP extends Listenable {
      * constructor for more details.
      * @param {number} [options.websocketKeepAliveUrl] - The websocket keep alive url. See {@link XmppConnection}
      * constructor for more details.
+     * @param {Function} [options.websocketFactory] - Creates the WebSockets used instead of the browser's, e.g. the
+     * ones of a {@link ConferenceSimulator}. See {@link XmppConnection} constructor for more details.
      * @param {Object} [options.xmppPing] - The xmpp ping settings.
      * @param {Array<Object>} options.p2pStunServers see {@link JingleConnectionPlugin} for more details.
      * @param token
@@ -149,6 +154,7 @@ export default class XMPP extends Listenable {
             // FIXME remove deprecated bosh option at some point
             serviceUrl: options.serviceUrl || options.bosh,
             token,
+            websocketFactory: options.websocketFactory,
             websocketKeepAlive: options.websocketKeepAlive,
             websocketKeepAliveUrl: options.websocketKeepAliveUrl,
             xmppPing,
@@ -414,6 +420,10 @@ export default class XMPP extends Listenable {
                 this.avModerationComponentAddress = identity.name;
             }
 
+            if (identity.type === 'breakout_rooms') {
+                this.breakoutRoomsComponentAddress = identity.name;
+            }
+
             if (identity.type === 'speakerstats') {
                 this.speakerStatsComponentAddress = identity.name;
             }
@@ -443,6 +453,7 @@ export default class XMPP extends Listenable {
         });
 
         if (this.avModerationComponentAddress
+            || this.breakoutRoomsComponentAddress
             || this.speakerStatsComponentAddress
             || this.conferenceDurationComponentAddress) {
             this.connection.addHandler(this._onPrivateMessage.bind(this), null, 'message', null, null);
@@ -927,7 +938,8 @@ export default class XMPP extends Listenable {
 
         if (!(from === this.speakerStatsComponentAddress
             || from === this.conferenceDurationComponentAddress
-            || from === this.avModerationComponentAddress)) {
+            || from === this.avModerationComponentAddress
+            || from === this.breakoutRoomsComponentAddress)) {
             return true;
         }
 
@@ -945,6 +957,8 @@ export default class XMPP extends Listenable {
             this.eventEmitter.emit(XMPPEvents.CONFERENCE_TIMESTAMP_RECEIVED, parsedJson.created_timestamp);
         } else if (parsedJson[JITSI_MEET_MUC_TYPE] === 'av_moderation') {
             this.eventEmitter.emit(XMPPEvents.AV_MODERATION_RECEIVED, parsedJson);
+        } else if (parsedJson[JITSI_MEET_MUC_TYPE] === 'breakout_rooms') {
+            this.eventEmitter.emit(XMPPEvents.BREAKOUT_ROOMS_EVENT, parsedJson);
         }
 
         return true;
@@ -1,9 +1,14 @@
 /* global module */
 /**
  * Enumeration of the codec mime types
- * @type {{H264: string, OPUS: string, VP8: string, VP9: string}}
+ * @type {{AV1: string, H264: string, OPUS: string, VP8: string, VP9: string}}
  */
 const CodecMimeType = {
+    /**
+     * The AV1 codec mime type.
+     */
+    AV1: 'av1',
+
     /**
      * The h264 codec mime type.
      */
@@ -0,0 +1,10 @@
+/**
+ * The screen share is optimized for the detail of the content, e.g. text and slides: high resolution and a low frame
+ * rate.
+ */
+export const DETAIL = 'detail';
+
+/**
+ * The screen share is optimized for motion, e.g. videos and animations: a higher frame rate and a lower resolution.
+ */
+export const MOTION = 'motion';
@@ -12,3 +12,19 @@ export const PEER_MUTED_CHANGED = 'signaling.peerMuted';
  * @param {VideoType} videoType the new value
  */
 export const PEER_VIDEO_TYPE_CHANGED = 'signaling.peerVideoType';
+
+/**
+ * Event triggered when the muted status of a source changes, for the participants which advertise their sources.
+ * @param {string} endpointId the source owner's identifier (MUC nickname)
+ * @param {string} sourceName the name of the source
+ * @param {boolean} isMuted the new muted state
+ */
+export const SOURCE_MUTED_CHANGED = 'signaling.sourceMuted';
+
+/**
+ * Event triggered when the video type of a source changes, for the participants which advertise their sources.
+ * @param {string} endpointId the source owner's identifier (MUC nickname)
+ * @param {string} sourceName the name of the source
+ * @param {VideoType} videoType the new value
+ */
+export const SOURCE_VIDEO_TYPE_CHANGED = 'signaling.sourceVideoType';
@@ -1,6 +1,23 @@
 
 import Listenable from '../../modules/util/Listenable';
 
+import * as MediaType from './MediaType';
+
+/**
+ * Generates the name of a source of an endpoint. The names are unique in the conference and stay the same while the
+ * endpoint replaces the track of the source, e.g. when switching between cameras.
+ *
+ * @param {string} endpointId - The endpoint ID of the owner of the source (MUC nickname).
+ * @param {'audio'|'video'} mediaType - The media type of the source.
+ * @param {number} trackIdx - The index of the source among the ones of the same media type of the endpoint.
+ * @returns {string}
+ */
+export function getSourceNameForJitsiTrack(endpointId, mediaType, trackIdx) {
+    const firstLetterOfMediaType = mediaType === MediaType.AUDIO ? 'a' : 'v';
+
+    return `${endpointId}-${firstLetterOfMediaType}${trackIdx}`;
+}
+
 /**
  * An object that carries the info about specific media type advertised by
  * participant in the signaling channel.
@@ -9,6 +26,14 @@ import Listenable from '../../modules/util/Listenable';
  * @property {VideoType|undefined} videoType the type of the video if applicable
  */
 
+/**
+ * An object that carries the info about a source advertised by participant in the signaling channel, when the
+ * participant sends more than one source of a media type.
+ * @typedef {Object} SourceInfo
+ * @property {boolean} muted indicates if the source is currently muted
+ * @property {VideoType|undefined} videoType the type of the video if applicable
+ */
+
 /**
  * Interface used to expose the information carried over the signaling channel
  * which is not available to the RTC module in the media SDP.
@@ -31,7 +56,7 @@ export default class SignalingLayer extends Listenable {
      * the participant identified by the given MUC JID.
      * @param {string} owner the MUC jid of the participant for whom
      * {@link PeerMediaInfo} will be obtained.
-     * @param {MediaType} mediaType the type of the media for which presence
+     * @param {'audio'|'video'} mediaType the type of the media for which presence
      * info will be obtained.
      * @return {PeerMediaInfo|null} presenceInfo an object with media presence
      * info or <tt>null</tt> either if there is no presence available for given
@@ -40,4 +65,24 @@ export default class SignalingLayer extends Listenable {
     getPeerMediaInfo(owner, mediaType) { // eslint-disable-line no-unused-vars
         throw new Error('not implemented');
     }
+
+    /**
+     * Obtains the info about a source advertised in the MUC presence of the participant identified by the given
+     * endpoint ID.
+     * @param {string} owner the endpoint ID of the participant (MUC nickname).
+     * @param {string} sourceName the name of the source.
+     * @return {SourceInfo|null} the info about the source or <tt>null</tt> if the participant did not advertise it.
+     */
+    getPeerSourceInfo(owner, sourceName) { // eslint-disable-line no-unused-vars
+        throw new Error('not implemented');
+    }
+
+    /**
+     * Obtains the name of the source for given SSRC.
+     * @param {number} ssrc the SSRC number.
+     * @return {string|undefined} the name of the source signalled for given media SSRC.
+     */
+    getTrackSourceName(ssrc) { // eslint-disable-line no-unused-vars
+        throw new Error('not implemented');
+    }
 }
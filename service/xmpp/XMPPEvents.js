@@ -112,10 +112,22 @@ const XMPPEvents = {
      */
     MEETING_ID_SET: 'xmpp.meeting_id_set',
 
+    // Designates an event indicating that a chat message in the MUC was
+    // corrected by its sender.
+    MESSAGE_CORRECTED: 'xmpp.message_corrected',
+
+    // Designates an event indicating that the chat messages of the history of
+    // the MUC, which the server sends on join, were received.
+    MESSAGE_HISTORY_RECEIVED: 'xmpp.message_history_received',
+
     // Designates an event indicating that an XMPP message in the MUC was
     // received.
     MESSAGE_RECEIVED: 'xmpp.message_received',
 
+    // Designates an event indicating that a chat message in the MUC was
+    // retracted by its sender or a moderator.
+    MESSAGE_RETRACTED: 'xmpp.message_retracted',
+
     // Designates an event indicating that an invite XMPP message in the MUC was
     // received.
     INVITE_MESSAGE_RECEIVED: 'xmpp.invite_message_received',
@@ -268,6 +280,21 @@ const XMPPEvents = {
      */
     AV_MODERATION_PARTICIPANT_APPROVED: 'xmpp.av_moderation.participant.approved',
 
+    /**
+     * Event fired when we receive a message related to breakout rooms.
+     */
+    BREAKOUT_ROOMS_EVENT: 'xmpp.breakout-rooms.event',
+
+    /**
+     * Event fired when we are asked to move to another room (a breakout room or the main room).
+     */
+    BREAKOUT_ROOMS_MOVE_TO_ROOM: 'xmpp.breakout-rooms.move-to-room',
+
+    /**
+     * Event fired when the breakout rooms list or the participants in them change.
+     */
+    BREAKOUT_ROOMS_UPDATED: 'xmpp.breakout-rooms.updated',
+
     // Designates an event indicating that we should join the conference with
     // audio and/or video muted.
     START_MUTED_FROM_FOCUS: 'xmpp.start_muted_from_focus',
@@ -0,0 +1,471 @@
+/**
+ * The events for the conference.
+ */
+/**
+ * Event indicates that the current conference audio input switched between audio
+ * input states,i.e. with or without audio input.
+ */
+export const AUDIO_INPUT_STATE_CHANGE: "conference.audio_input_state_changed";
+/**
+ * Indicates that authentication status changed.
+ */
+export const AUTH_STATUS_CHANGED: "conference.auth_status_changed";
+/**
+ * Fired just before the statistics module is disposed and it's the last chance
+ * to submit some logs to the statistics service (ex. CallStats if enabled),
+ * before it's disconnected.
+ */
+export const BEFORE_STATISTICS_DISPOSED: "conference.beforeStatisticsDisposed";
+/**
+ * Indicates that a live caption was received, either from the local streaming transcriber or broadcast by another
+ * participant. The event provides the caption to its listeners, see {@link LiveCaptions} for its format.
+ */
+export const CAPTION_RECEIVED: "conference.captionReceived";
+/**
+ * Indicates that an error occured.
+ */
+export const CONFERENCE_ERROR: "conference.error";
+/**
+ * Indicates that conference failed.
+ */
+export const CONFERENCE_FAILED: "conference.failed";
+/**
+ * Indicates that conference has been joined. The event does NOT provide any
+ * parameters to its listeners.
+ */
+export const CONFERENCE_JOINED: "conference.joined";
+/**
+ * Indicates that conference has been left.
+ */
+export const CONFERENCE_LEFT: "conference.left";
+/**
+ * Indicates that the conference unique identifier has been set.
+ */
+export const CONFERENCE_UNIQUE_ID_SET: "conference.unique_id_set";
+/**
+ * Indicates that the connection to the conference has been established
+ * XXX This is currently fired whenVthe *ICE* connection enters 'connected'
+ * state for the first time.
+ */
+export const CONNECTION_ESTABLISHED: "conference.connectionEstablished";
+/**
+ * Indicates that the connection to the conference has been interrupted for some
+ * reason.
+ * XXX This is currently fired when the *ICE* connection is interrupted.
+ */
+export const CONNECTION_INTERRUPTED: "conference.connectionInterrupted";
+/**
+ * Indicates that the connection to the conference has been restored.
+ * XXX This is currently fired when the *ICE* connection is restored.
+ */
+export const CONNECTION_RESTORED: "conference.connectionRestored";
+/**
+ * A connection to the video bridge's data channel has been established.
+ */
+export const DATA_CHANNEL_OPENED: "conference.dataChannelOpened";
+/**
+ * A user has changed it display name
+ */
+export const DISPLAY_NAME_CHANGED: "conference.displayNameChanged";
+/**
+ * The dominant speaker was changed.
+ */
+export const DOMINANT_SPEAKER_CHANGED: "conference.dominantSpeaker";
+/**
+ * UTC conference timestamp when first participant joined.
+ */
+export const CONFERENCE_CREATED_TIMESTAMP: "conference.createdTimestamp";
+/**
+ * Indicates that DTMF support changed.
+ */
+export const DTMF_SUPPORT_CHANGED: "conference.dtmfSupportChanged";
+/**
+ * Indicates that a message from another participant is received on data
+ * channel. The arguments are the participant, the payload and whether the
+ * message was end-to-end encrypted.
+ */
+export const ENDPOINT_MESSAGE_RECEIVED: "conference.endpoint_message_received";
+/**
+ * Indicates that a message for the remote endpoint statistics has been received on the bridge channel.
+ */
+export const ENDPOINT_STATS_RECEIVED: "conference.endpoint_stats_received";
+/**
+ * NOTE This is lib-jitsi-meet internal event and can be removed at any time !
+ *
+ * Event emitted when conference transits, between one to one and multiparty JVB
+ * conference. If the conference switches to P2P it's neither one to one nor
+ * a multiparty JVB conference, but P2P (the status argument of this event will
+ * be <tt>false</tt>).
+ *
+ * The first argument is a boolean which carries the previous value and
+ * the seconds argument is a boolean with the new status. The event is emitted
+ * only if the previous and the new values are different.
+ */
+export const JVB121_STATUS: "conference.jvb121Status";
+/**
+ * You are kicked from the conference.
+ * @param {JitsiParticipant} the participant that initiated the kick.
+ */
+export const KICKED: "conference.kicked";
+/**
+ * Participant was kicked from the conference.
+ * @param {JitsiParticipant} the participant that initiated the kick.
+ * @param {JitsiParticipant} the participant that was kicked.
+ */
+export const PARTICIPANT_KICKED: "conference.participant_kicked";
+/**
+ * The Last N set is changed.
+ *
+ * @param {Array<string>|null} leavingEndpointIds the ids of all the endpoints
+ * which are leaving Last N
+ * @param {Array<string>|null} enteringEndpointIds the ids of all the endpoints
+ * which are entering Last N
+ */
+export const LAST_N_ENDPOINTS_CHANGED: "conference.lastNEndpointsChanged";
+/**
+ * Indicates that the status of the local recording changed. The event provides the following parameters to its
+ * listeners:
+ *
+ * @param {string} status - The new status, one of {@link recordingConstants.localStatus}.
+ * @param {string} [reason] - Why the recording stopped, one of {@link recordingConstants.localStopReason}, unset
+ * when it was stopped by the application.
+ */
+export const LOCAL_RECORDING_STATUS_CHANGED: "conference.localRecordingStatusChanged";
+/**
+ * Indicates that the room has been locked or unlocked.
+ */
+export const LOCK_STATE_CHANGED: "conference.lock_state_changed";
+/**
+ * Indicates that the region of the media server (jitsi-videobridge) that we
+ * are connected to changed (or was initially set). The event provides the
+ * region.
+ */
+export const SERVER_REGION_CHANGED: "conference.server_region_changed";
+/**
+ * An event(library-private) fired when a new media session is added to the conference.
+ * @private
+ */
+export const _MEDIA_SESSION_STARTED: "conference.media_session.started";
+/**
+ * An event(library-private) fired when the conference switches the currently active media session.
+ * @private
+ */
+export const _MEDIA_SESSION_ACTIVE_CHANGED: "conference.media_session.active_changed";
+/**
+ * Indicates that the conference had changed to members only enabled/disabled.
+ * The first argument of this event is a <tt>boolean</tt> which when set to
+ * <tt>true</tt> means that the conference is running in members only mode.
+ * You may need to use Lobby if supported to ask for permissions to enter the conference.
+ */
+export const MEMBERS_ONLY_CHANGED: "conference.membersOnlyChanged";
+/**
+ * A chat message was deleted by its sender or a moderator. The first argument
+ * is the id of the participant who deleted the message, the second is the id
+ * of the message and the third is whether the message was private.
+ */
+export const MESSAGE_DELETED: "conference.messageDeleted";
+/**
+ * A chat message was edited by its sender. The first argument is the id of
+ * the sender, the second is the id of the message, the third is the new text
+ * and the fourth is whether the message was private.
+ */
+export const MESSAGE_EDITED: "conference.messageEdited";
+/**
+ * The chat messages sent before we joined the conference were received. The
+ * argument is an array of <tt>{ participantId, messageId, text, timestamp,
+ * edited }</tt>, from the oldest to the newest message, where the edits and
+ * deletions of the messages are already applied. It is only emitted with the
+ * <tt>batchChatHistory</tt> option, the messages are otherwise emitted one by
+ * one as {@link MESSAGE_RECEIVED} with their timestamp.
+ */
+export const MESSAGE_HISTORY_RECEIVED: "conference.messageHistoryReceived";
+/**
+ * New text message was received. The arguments are the id of the sender, the
+ * text, the timestamp if the message was delayed, the id of the message and
+ * whether the message was end-to-end encrypted.
+ */
+export const MESSAGE_RECEIVED: "conference.messageReceived";
+/**
+ * Event indicates that the current selected input device has no signal
+ */
+export const NO_AUDIO_INPUT: "conference.no_audio_input";
+/**
+ * Event indicates that the current microphone used by the conference is noisy.
+ */
+export const NOISY_MIC: "conference.noisy_mic";
+/**
+ * New private text message was received. The arguments are the same as the
+ * ones of {@link MESSAGE_RECEIVED}.
+ */
+export const PRIVATE_MESSAGE_RECEIVED: "conference.privateMessageReceived";
+/**
+ * Event fired when JVB sends notification about interrupted/restored user's
+ * ICE connection status or we detect local problem with the video track.
+ * First argument is the ID of the participant and
+ * the seconds is a string indicating if the connection is currently
+ * - active - the connection is active
+ * - inactive - the connection is inactive, was intentionally interrupted by
+ * the bridge
+ * - interrupted - a network problem occurred
+ * - restoring - the connection was inactive and is restoring now
+ *
+ * The current status value can be obtained by calling
+ * JitsiParticipant.getConnectionStatus().
+ */
+export const PARTICIPANT_CONN_STATUS_CHANGED: "conference.participant_conn_status_changed";
+/**
+ * Indicates that the features of the participant has been changed.
+ */
+export const PARTCIPANT_FEATURES_CHANGED: "conference.partcipant_features_changed";
+/**
+ * Indicates that a poll was closed and no longer accepts votes. The event provides the following parameters to its
+ * listeners:
+ *
+ * @param {Object} poll - The poll that was closed.
+ */
+export const POLL_CLOSED: "conference.poll.closed";
+/**
+ * Indicates that a new poll was created, or that an existing poll was received when joining the conference. The
+ * event provides the following parameters to its listeners:
+ *
+ * @param {Object} poll - The poll, {id, senderId, question, answers: [{name, voters}], closed}.
+ */
+export const POLL_CREATED: "conference.poll.created";
+/**
+ * Indicates that the votes of a poll were replaced by the state received when joining the conference. The event
+ * provides the following parameters to its listeners:
+ *
+ * @param {Object} poll - The poll with the updated votes.
+ */
+export const POLL_UPDATED: "conference.poll.updated";
+/**
+ * Indicates that a participant voted in a poll or changed their vote. The event provides the following parameters to
+ * its listeners:
+ *
+ * @param {Object} poll - The poll with the updated votes.
+ * @param {string} voterId - The id of the participant who voted.
+ */
+export const POLL_VOTE_CAST: "conference.poll.voteCast";
+/**
+ * Indicates that a participant lowered their hand. The event provides the following parameters to its listeners:
+ *
+ * @param {string} participantId - The id of the participant, which may be the local one.
+ * @param {JitsiParticipant|undefined} actor - The moderator who lowered the hand of the local participant, if any.
+ */
+export const PARTICIPANT_HAND_LOWERED: "conference.participant_hand_lowered";
+/**
+ * Indicates that a participant raised their hand. The event provides the following parameters to its listeners:
+ *
+ * @param {string} participantId - The id of the participant, which may be the local one.
+ * @param {number} timestamp - The time at which the hand was raised.
+ */
+export const PARTICIPANT_HAND_RAISED: "conference.participant_hand_raised";
+/**
+ * Indicates that a the value of a specific property of a specific participant
+ * has changed.
+ */
+export const PARTICIPANT_PROPERTY_CHANGED: "conference.participant_property_changed";
+/**
+ * Indicates that the conference has switched between JVB and P2P connections.
+ * The first argument of this event is a <tt>boolean</tt> which when set to
+ * <tt>true</tt> means that the conference is running on the P2P connection.
+ */
+export const P2P_STATUS: "conference.p2pStatus";
+/**
+ * Indicates that phone number changed.
+ */
+export const PHONE_NUMBER_CHANGED: "conference.phoneNumberChanged";
+/**
+ * The conference properties changed.
+ */
+export const PROPERTIES_CHANGED: "conference.propertiesChanged";
+/**
+ * Indicates that a reaction was received from a participant. The event provides the following parameters to its
+ * listeners:
+ *
+ * @param {JitsiParticipant} participant - The participant who sent the reaction.
+ * @param {string} reaction - The reaction.
+ */
+export const REACTION_RECEIVED: "conference.reaction_received";
+/**
+ * Indicates that recording state changed.
+ */
+export const RECORDER_STATE_CHANGED: "conference.recorderStateChanged";
+/**
+ * Indicates that video SIP GW state changed.
+ * @param {VideoSIPGWConstants} status.
+ */
+export const VIDEO_SIP_GW_AVAILABILITY_CHANGED: "conference.videoSIPGWAvailabilityChanged";
+/**
+ * Indicates that video SIP GW Session state changed.
+ * @param {options} event - {
+ *     {string} address,
+ *     {VideoSIPGWConstants} oldState,
+ *     {VideoSIPGWConstants} newState,
+ *     {string} displayName}
+ * }.
+ */
+export const VIDEO_SIP_GW_SESSION_STATE_CHANGED: "conference.videoSIPGWSessionStateChanged";
+/**
+ * Indicates that start muted settings changed.
+ */
+export const START_MUTED_POLICY_CHANGED: "conference.start_muted_policy_changed";
+/**
+ * Indicates that the local user has started muted.
+ */
+export const STARTED_MUTED: "conference.started_muted";
+/**
+ * Indicates that subject of the conference has changed.
+ */
+export const SUBJECT_CHANGED: "conference.subjectChanged";
+/**
+ * Indicates that DTMF support changed.
+ */
+export const SUSPEND_DETECTED: "conference.suspendDetected";
+/**
+ * Event indicates that local user is talking while he muted himself
+ */
+export const TALK_WHILE_MUTED: "conference.talk_while_muted";
+/**
+ * A new media track was added to the conference. The event provides the
+ * following parameters to its listeners:
+ *
+ * @param {JitsiTrack} track the added JitsiTrack
+ */
+export const TRACK_ADDED: "conference.trackAdded";
+/**
+ * Audio levels of a media track ( attached to the conference) was changed.
+ */
+export const TRACK_AUDIO_LEVEL_CHANGED: "conference.audioLevelsChanged";
+/**
+ * A media track ( attached to the conference) mute status was changed.
+ * @param {JitsiParticipant|null} the participant that initiated the mute
+ * if it is a remote mute.
+ */
+export const TRACK_MUTE_CHANGED: "conference.trackMuteChanged";
+/**
+ * The media track was removed from the conference. The event provides the
+ * following parameters to its listeners:
+ *
+ * @param {JitsiTrack} track the removed JitsiTrack
+ */
+export const TRACK_REMOVED: "conference.trackRemoved";
+/**
+ * Notifies for transcription status changes. The event provides the
+ * following parameters to its listeners:
+ *
+ * @param {String} status - The new status.
+ */
+export const TRANSCRIPTION_STATUS_CHANGED: "conference.transcriptionStatusChanged";
+/**
+ * A new user joined the conference.
+ */
+export const USER_JOINED: "conference.userJoined";
+/**
+ * A user has left the conference.
+ */
+export const USER_LEFT: "conference.userLeft";
+/**
+ * User role changed.
+ */
+export const USER_ROLE_CHANGED: "conference.roleChanged";
+/**
+ * User status changed.
+ */
+export const USER_STATUS_CHANGED: "conference.statusChanged";
+/**
+ * Event indicates that the bot participant type changed.
+ */
+export const BOT_TYPE_CHANGED: "conference.bot_type_changed";
+/**
+ * A new user joined the lobby room.
+ */
+export const LOBBY_USER_JOINED: "conference.lobby.userJoined";
+/**
+ * A user from the lobby room has been update.
+ */
+export const LOBBY_USER_UPDATED: "conference.lobby.userUpdated";
+/**
+ * A user left the lobby room.
+ */
+export const LOBBY_USER_LEFT: "conference.lobby.userLeft";
+/**
+ * The local participant was approved to be able to unmute.
+ * @param {options} event - {
+ *     {MediaType} mediaType
+ * }.
+ */
+export const AV_MODERATION_APPROVED: "conference.av_moderation.approved";
+/**
+ * AV Moderation was enabled/disabled. The actor is the participant that is currently in the meeting,
+ * or undefined if that participant has left the meeting.
+ *
+ * @param {options} event - {
+ *     {boolean} enabled,
+ *     {MediaType} mediaType,
+ *     {JitsiParticipant} actor
+ * }.
+ */
+export const AV_MODERATION_CHANGED: "conference.av_moderation.changed";
+/**
+ * AV Moderation, report for user being approved to unmute.
+ * @param {options} event - {
+ *     {JitsiParticipant} participant,
+ *     {MediaType} mediaType
+ * }.
+ */
+export const AV_MODERATION_PARTICIPANT_APPROVED: "conference.av_moderation.participant.approved";
+/**
+ * Event indicating that the local participant was asked to move to another room, a breakout room or back to
+ * the main room. It is up to the application to leave the current conference and join the new one.
+ * @param {string} roomJid - The JID of the room to move to.
+ */
+export const BREAKOUT_ROOMS_MOVE_TO_ROOM: "conference.breakout-rooms.move-to-room";
+/**
+ * Event indicating that the breakout rooms list or the participant assignments changed.
+ * @param {Object} rooms - The rooms keyed by id, each with its jid, name, whether it is the main room and its
+ * participants.
+ */
+export const BREAKOUT_ROOMS_UPDATED: "conference.breakout-rooms.updated";
+/**
+ * The short authentication string to verify the E2EE identity key of a participant is ready, both users should now
+ * compare it and tell the result with {@link JitsiConference#markParticipantVerified}.
+ * @param {string} participantId - The id of the participant being verified.
+ * @param {Object} sas - The short authentication string: <tt>{ decimal, emoji }</tt>, with <tt>decimal</tt> an array
+ * of three numbers and <tt>emoji</tt> an array of seven <tt>[ emoji, description ]</tt> pairs.
+ */
+export const E2EE_VERIFICATION_READY: "conference.e2ee.verification.ready";
+/**
+ * The verification of the E2EE identity key of a participant completed.
+ * @param {string} participantId - The id of the participant being verified.
+ * @param {boolean} success - Whether the identity key was verified.
+ * @param {string} [message] - Why the verification failed.
+ */
+export const E2EE_VERIFICATION_COMPLETED: "conference.e2ee.verification.completed";
+/**
+ * The E2EE identity key of a verified participant changed, the participant is no longer verified.
+ * @param {string} participantId - The id of the participant.
+ * @param {string} oldKey - The identity key which was verified.
+ * @param {string} newKey - The new identity key.
+ */
+export const E2EE_IDENTITY_KEY_CHANGED: "conference.e2ee.identity_key_changed";
+/**
+ * The media of a participant keeps failing to be decrypted, usually because the E2EE keys are out of sync. It is
+ * emitted once until the decryption recovers.
+ * @param {string} participantId - The id of the participant.
+ * @param {Object} stats - The counters of the frames of the participant, see {@link JitsiConference#getE2EEStats}.
+ */
+export const E2EE_DECRYPTION_FAILED: "conference.e2ee.decryption_failed";
+/**
+ * The focus muted participants, as asked by the local participant, a moderator. It is emitted once the focus
+ * answered all the requests, with the participants it muted.
+ * @param {MediaType} mediaType - The type of the media which was muted.
+ * @param {Array<string>} participantIds - The ids of the participants.
+ */
+export const PARTICIPANTS_MUTED: "conference.participants_muted";
+/**
+ * The local participant was muted by a moderator.
+ * @param {MediaType} mediaType - The type of the media which was muted.
+ * @param {JitsiParticipant|undefined} actor - The moderator, undefined when not known.
+ */
+export const MUTED_BY_MODERATOR: "conference.muted_by_moderator";
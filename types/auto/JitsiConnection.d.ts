@@ -0,0 +1,322 @@
+/**
+ * The options of a conference, see {@link JitsiConnection#initJitsiConference}.
+ *
+ * @typedef {Object} ConferenceOptions
+ * @property {number} [avgRtpStatsN=15] - How many samples are collected by the
+ * {@link AvgRTPStatsReporter} before their arithmetic mean is submitted.
+ * @property {boolean} [batchChatHistory] - Whether the chat messages sent
+ * before joining are emitted at once with
+ * {@link JitsiConferenceEvents.MESSAGE_HISTORY_RECEIVED} instead of one by one
+ * with {@link JitsiConferenceEvents.MESSAGE_RECEIVED}.
+ * @property {number} [channelLastN=-1] - The number of videos the bridge
+ * forwards, -1 for all of them.
+ * @property {number} [chatHistoryMaxStanzas] - The number of chat messages
+ * sent before joining the server is asked for, see
+ * <tt>batchChatHistory</tt>.
+ * @property {string} [confID] - The id of the conference for the statistics.
+ * @property {Object} [deploymentInfo] - Deployment specific information
+ * which is logged.
+ * @property {boolean} [enableForcedReload] - Whether the conference can be
+ * reloaded on the request of the focus.
+ * @property {boolean} [enableIceRestart=false] - Enables the ICE restart
+ * logic.
+ * @property {boolean} [enableNoAudioDetection] - Whether the
+ * {@link JitsiConferenceEvents.NO_AUDIO_INPUT} events are fired.
+ * @property {boolean} [enableNoisyMicDetection] - Whether the
+ * {@link JitsiConferenceEvents.NOISY_MIC} events are fired.
+ * @property {boolean} [enableOpusRed] - Whether Opus is negotiated with RED
+ * redundancy, which makes the audio resilient to packet loss, on both the
+ * bridge and the peer to peer sessions. The connection has to be created
+ * with <tt>enableOpusRed</tt> as well for the focus to offer RED. It can be
+ * changed during the conference with {@link JitsiConference#setOpusRedEnabled}.
+ * @property {boolean} [enableTalkWhileMuted] - Whether the
+ * {@link JitsiConferenceEvents.TALK_WHILE_MUTED} events are fired.
+ * @property {number} [forceJVB121Ratio] - The probability of a two people
+ * conference being moved to the bridge instead of going peer to peer.
+ * @property {string} [hiddenDomain] - The domain of the participants which
+ * are not shown, e.g. the recorders.
+ * @property {Object} [p2p] - The peer to peer settings, e.g.
+ * <tt>{ enabled, backToP2PDelay, stunServers }</tt>.
+ * @property {Object} [reactionsRateLimit] - Limits how many reactions can be
+ * sent or received per participant, <tt>{ max, interval }</tt>.
+ * @property {string} [siteID] - The id of the site for the statistics.
+ * @property {string} [statisticsDisplayName] - The display name reported to
+ * the statistics.
+ * @property {string} [statisticsId] - The id reported to the statistics.
+ * @property {Object} [testing] - Settings of the features which are being
+ * tested.
+ * @property {Object} [videoQuality] - The video codec and bitrate settings,
+ * e.g. <tt>{ preferredCodec, disabledCodec, maxBitratesVideo }</tt> where the
+ * codecs are among av1, h264, vp8 and vp9.
+ */
+/**
+ * Creates a new connection object for the Jitsi Meet server side video
+ * conferencing service. Provides access to the JitsiConference interface.
+ * @param appID identification for the provider of Jitsi Meet video conferencing
+ * services.
+ * @param token the JWT token used to authenticate with the server(optional)
+ * @param options Object with properties / settings related to connection with
+ * the server.
+ * @constructor
+ */
+export default function JitsiConnection(appID: any, token: any, options: any): void;
+export default class JitsiConnection {
+    /**
+     * The options of a conference, see {@link JitsiConnection#initJitsiConference}.
+     *
+     * @typedef {Object} ConferenceOptions
+     * @property {number} [avgRtpStatsN=15] - How many samples are collected by the
+     * {@link AvgRTPStatsReporter} before their arithmetic mean is submitted.
+     * @property {boolean} [batchChatHistory] - Whether the chat messages sent
+     * before joining are emitted at once with
+     * {@link JitsiConferenceEvents.MESSAGE_HISTORY_RECEIVED} instead of one by one
+     * with {@link JitsiConferenceEvents.MESSAGE_RECEIVED}.
+     * @property {number} [channelLastN=-1] - The number of videos the bridge
+     * forwards, -1 for all of them.
+     * @property {number} [chatHistoryMaxStanzas] - The number of chat messages
+     * sent before joining the server is asked for, see
+     * <tt>batchChatHistory</tt>.
+     * @property {string} [confID] - The id of the conference for the statistics.
+     * @property {Object} [deploymentInfo] - Deployment specific information
+     * which is logged.
+     * @property {boolean} [enableForcedReload] - Whether the conference can be
+     * reloaded on the request of the focus.
+     * @property {boolean} [enableIceRestart=false] - Enables the ICE restart
+     * logic.
+     * @property {boolean} [enableNoAudioDetection] - Whether the
+     * {@link JitsiConferenceEvents.NO_AUDIO_INPUT} events are fired.
+     * @property {boolean} [enableNoisyMicDetection] - Whether the
+     * {@link JitsiConferenceEvents.NOISY_MIC} events are fired.
+     * @property {boolean} [enableOpusRed] - Whether Opus is negotiated with RED
+     * redundancy, which makes the audio resilient to packet loss, on both the
+     * bridge and the peer to peer sessions. The connection has to be created
+     * with <tt>enableOpusRed</tt> as well for the focus to offer RED. It can be
+     * changed during the conference with {@link JitsiConference#setOpusRedEnabled}.
+     * @property {boolean} [enableTalkWhileMuted] - Whether the
+     * {@link JitsiConferenceEvents.TALK_WHILE_MUTED} events are fired.
+     * @property {number} [forceJVB121Ratio] - The probability of a two people
+     * conference being moved to the bridge instead of going peer to peer.
+     * @property {string} [hiddenDomain] - The domain of the participants which
+     * are not shown, e.g. the recorders.
+     * @property {Object} [p2p] - The peer to peer settings, e.g.
+     * <tt>{ enabled, backToP2PDelay, stunServers }</tt>.
+     * @property {Object} [reactionsRateLimit] - Limits how many reactions can be
+     * sent or received per participant, <tt>{ max, interval }</tt>.
+     * @property {string} [siteID] - The id of the site for the statistics.
+     * @property {string} [statisticsDisplayName] - The display name reported to
+     * the statistics.
+     * @property {string} [statisticsId] - The id reported to the statistics.
+     * @property {Object} [testing] - Settings of the features which are being
+     * tested.
+     * @property {Object} [videoQuality] - The video codec and bitrate settings,
+     * e.g. <tt>{ preferredCodec, disabledCodec, maxBitratesVideo }</tt> where the
+     * codecs are among av1, h264, vp8 and vp9.
+     */
+    /**
+     * Creates a new connection object for the Jitsi Meet server side video
+     * conferencing service. Provides access to the JitsiConference interface.
+     * @param appID identification for the provider of Jitsi Meet video conferencing
+     * services.
+     * @param token the JWT token used to authenticate with the server(optional)
+     * @param options Object with properties / settings related to connection with
+     * the server.
+     * @constructor
+     */
+    constructor(appID: any, token: any, options: any);
+    appID: any;
+    token: any;
+    options: any;
+    xmpp: XMPP;
+    /**
+     * Connect the client with the server.
+     * @param options {object} connecting options
+     * (for example authentications parameters).
+     */
+    connect(options?: object): void;
+    /**
+     * Attach to existing connection. Can be used for optimizations. For example:
+     * if the connection is created on the server we can attach to it and start
+     * using it.
+     *
+     * @param options {object} connecting options - rid, sid and jid.
+     */
+    attach(options: object): void;
+    /**
+     * Disconnect the client from the server.
+     * @returns {Promise} - Resolves when the disconnect process is finished or rejects with an error.
+     */
+    disconnect(...args: any[]): Promise<any>;
+    /**
+     * Returns the jid of the participant associated with the XMPP connection.
+     *
+     * @returns {string} The jid of the participant.
+     */
+    getJid(): string;
+    /**
+     * This method allows renewal of the tokens if they are expiring.
+     * @param token the new token.
+     */
+    setToken(token: any): void;
+    /**
+     * Creates and joins new conference.
+     * @param name the name of the conference; if null - a generated name will be
+     * provided from the api
+     * @param {ConferenceOptions} options Object with properties / settings related
+     * to the conference that will be created.
+     * @returns {JitsiConference} returns the new conference object.
+     */
+    initJitsiConference(name: any, options: ConferenceOptions): JitsiConference;
+    /**
+     * Subscribes the passed listener to the event.
+     * @param event {JitsiConnectionEvents} the connection event.
+     * @param listener {Function} the function that will receive the event
+     */
+    addEventListener(event: typeof JitsiConnectionEvents, listener: Function): void;
+    /**
+     * Unsubscribes the passed handler.
+     * @param event {JitsiConnectionEvents} the connection event.
+     * @param listener {Function} the function that will receive the event
+     */
+    removeEventListener(event: typeof JitsiConnectionEvents, listener: Function): void;
+    /**
+     * Returns measured connectionTimes.
+     */
+    getConnectionTimes(): {};
+    /**
+     * Adds new feature to the list of supported features for the local
+     * participant.
+     * @param {String} feature the name of the feature.
+     * @param {boolean} submit if true - the new list of features will be
+     * immediately submitted to the others.
+     */
+    addFeature(feature: string, submit?: boolean): void;
+    /**
+     * Removes a feature from the list of supported features for the local
+     * participant
+     * @param {String} feature the name of the feature.
+     * @param {boolean} submit if true - the new list of features will be
+     * immediately submitted to the others.
+     */
+    removeFeature(feature: string, submit?: boolean): void;
+    /**
+     * Get object with internal logs.
+     */
+    getLogs(): any;
+}
+/**
+ * The options of a conference, see {@link JitsiConnectioninitJitsiConference }.
+ */
+export type ConferenceOptions = {
+    /**
+     * - How many samples are collected by the
+     * {@link AvgRTPStatsReporter } before their arithmetic mean is submitted.
+     */
+    avgRtpStatsN?: number;
+    /**
+     * - Whether the chat messages sent
+     * before joining are emitted at once with
+     * {@link JitsiConferenceEvents.MESSAGE_HISTORY_RECEIVED } instead of one by one
+     * with {@link JitsiConferenceEvents.MESSAGE_RECEIVED }.
+     */
+    batchChatHistory?: boolean;
+    /**
+     * - The number of videos the bridge
+     * forwards, -1 for all of them.
+     */
+    channelLastN?: number;
+    /**
+     * - The number of chat messages
+     * sent before joining the server is asked for, see
+     * <tt>batchChatHistory</tt>.
+     */
+    chatHistoryMaxStanzas?: number;
+    /**
+     * - The id of the conference for the statistics.
+     */
+    confID?: string;
+    /**
+     * - Deployment specific information
+     * which is logged.
+     */
+    deploymentInfo?: any;
+    /**
+     * - Whether the conference can be
+     * reloaded on the request of the focus.
+     */
+    enableForcedReload?: boolean;
+    /**
+     * - Enables the ICE restart
+     * logic.
+     */
+    enableIceRestart?: boolean;
+    /**
+     * - Whether the
+     * {@link JitsiConferenceEvents.NO_AUDIO_INPUT } events are fired.
+     */
+    enableNoAudioDetection?: boolean;
+    /**
+     * - Whether the
+     * {@link JitsiConferenceEvents.NOISY_MIC } events are fired.
+     */
+    enableNoisyMicDetection?: boolean;
+    /**
+     * - Whether Opus is negotiated with RED
+     * redundancy, which makes the audio resilient to packet loss, on both the
+     * bridge and the peer to peer sessions. The connection has to be created
+     * with <tt>enableOpusRed</tt> as well for the focus to offer RED. It can be
+     * changed during the conference with {@link JitsiConferencesetOpusRedEnabled }.
+     */
+    enableOpusRed?: boolean;
+    /**
+     * - Whether the
+     * {@link JitsiConferenceEvents.TALK_WHILE_MUTED } events are fired.
+     */
+    enableTalkWhileMuted?: boolean;
+    /**
+     * - The probability of a two people
+     * conference being moved to the bridge instead of going peer to peer.
+     */
+    forceJVB121Ratio?: number;
+    /**
+     * - The domain of the participants which
+     * are not shown, e.g. the recorders.
+     */
+    hiddenDomain?: string;
+    /**
+     * - The peer to peer settings, e.g.
+     * <tt>{ enabled, backToP2PDelay, stunServers }</tt>.
+     */
+    p2p?: any;
+    /**
+     * - Limits how many reactions can be
+     * sent or received per participant, <tt>{ max, interval }</tt>.
+     */
+    reactionsRateLimit?: any;
+    /**
+     * - The id of the site for the statistics.
+     */
+    siteID?: string;
+    /**
+     * - The display name reported to
+     * the statistics.
+     */
+    statisticsDisplayName?: string;
+    /**
+     * - The id reported to the statistics.
+     */
+    statisticsId?: string;
+    /**
+     * - Settings of the features which are being
+     * tested.
+     */
+    testing?: any;
+    /**
+     * - The video codec and bitrate settings,
+     * e.g. <tt>{ preferredCodec, disabledCodec, maxBitratesVideo }</tt> where the
+     * codecs are among av1, h264, vp8 and vp9.
+     */
+    videoQuality?: any;
+};
+import XMPP from "./modules/xmpp/xmpp";
+import JitsiConference from "./JitsiConference";
+import * as JitsiConnectionEvents from "./JitsiConnectionEvents";
@@ -0,0 +1,444 @@
+declare namespace _default {
+    export const version: string;
+    export { JitsiConnection };
+    export { ProxyConnectionService };
+    export namespace transcription {
+        export { transcriptionServiceRegistry as services };
+        export { StreamingTranscriptionService };
+        export { TranscriptFormat };
+        export { Word };
+    }
+    export namespace effects {
+        export { AudioEffect };
+        export { AudioMixerEffect };
+        export { AudioProcessor };
+        export { AutomaticGainControl };
+        export { Compressor };
+        export { InsertableStreamsEffect };
+        export { NoiseGate };
+        export { WasmAudioProcessor };
+    }
+    export namespace constants {
+        export { ParticipantConnectionStatus as participantConnectionStatus };
+        export { recordingConstants as recording };
+        export { ScreenshareMode as screenshareMode };
+        export { VideoSIPGWConstants as sipVideoGW };
+        export { JitsiTranscriptionStatus as transcriptionStatus };
+    }
+    export namespace events {
+        export { JitsiConferenceEvents as conference };
+        export { JitsiConnectionEvents as connection };
+        export { DetectionEvents as detection };
+        export { JitsiTrackEvents as track };
+        export { JitsiMediaDevicesEvents as mediaDevices };
+        export { ConnectionQualityEvents as connectionQuality };
+        export { E2ePingEvents as e2eping };
+    }
+    export namespace errors {
+        export { JitsiConferenceErrors as conference };
+        export { JitsiConnectionErrors as connection };
+        export { JitsiTrackErrors as track };
+    }
+    export namespace errorTypes {
+        export { JitsiTrackError };
+    }
+    export const logLevels: any;
+    export { JitsiMediaDevices as mediaDevices };
+    export const analytics: import("./modules/statistics/AnalyticsAdapter").AnalyticsAdapter;
+    /**
+     * Initializes the library.
+     *
+     * @param {InitOptions} [options] - The options.
+     * @returns {void}
+     */
+    export function init(options?: InitOptions): void;
+    /**
+     * Returns whether the desktop sharing is enabled or not.
+     *
+     * @returns {boolean}
+     */
+    export function isDesktopSharingEnabled(): boolean;
+    /**
+     * Returns whether the current execution environment supports WebRTC (for
+     * use within this library).
+     *
+     * @returns {boolean} {@code true} if WebRTC is supported in the current
+     * execution environment (for use within this library); {@code false},
+     * otherwise.
+     */
+    export function isWebRtcSupported(): boolean;
+    export function setLogLevel(level: any): void;
+    /**
+     * Sets the log level to the <tt>Logger</tt> instance with given id.
+     *
+     * @param {string} level the logging level to be set
+     * @param {string} id the logger id to which new logging level will be set.
+     * Usually it's the name of the JavaScript source file including the path
+     * ex. "modules/xmpp/ChatRoom.js"
+     */
+    export function setLogLevelById(level: string, id: string): void;
+    /**
+     * Registers new global logger transport to the library logging framework.
+     *
+     * @param globalTransport
+     * @see Logger.addGlobalTransport
+     */
+    export function addGlobalLogTransport(globalTransport: any): void;
+    /**
+     * Removes global logging transport from the library logging framework.
+     *
+     * @param globalTransport
+     * @see Logger.removeGlobalTransport
+     */
+    export function removeGlobalLogTransport(globalTransport: any): void;
+    /**
+    * Sets global options which will be used by all loggers. Changing these
+    * works even after other loggers are created.
+    *
+    * @param options
+    * @see Logger.setGlobalOptions
+    */
+    export function setGlobalLogOptions(options: any): void;
+    /**
+     * Creates the media tracks and returns them trough the callback.
+     *
+     * @param {CreateLocalTracksOptions} [options] Object with properties /
+     * settings specifying the tracks which should be created or some additional
+     * configurations about resolution for example.
+     * @param {intiger} interval - the interval (in ms) for
+     * checking whether the desktop sharing extension is installed or not
+     * @param {Function} checkAgain - returns boolean. While checkAgain()==true
+     * createLocalTracks will wait and check on every "interval" ms for the
+     * extension. If the desktop extension is not install and checkAgain()==true
+     * createLocalTracks will finish with rejected Promise.
+     * @param {Function} listener - The listener will be called to notify the
+     * user of lib-jitsi-meet that createLocalTracks is starting external
+     * extension installation process.
+     * NOTE: If the inline installation process is not possible and external
+     * installation is enabled the listener property will be called to notify
+     * the start of external installation process. After that createLocalTracks
+     * will start to check for the extension on every interval ms until the
+     * plugin is installed or until checkAgain return false. If the extension
+     * is found createLocalTracks will try to get the desktop sharing track and
+     * will finish the execution. If checkAgain returns false, createLocalTracks
+     * will finish the execution with rejected Promise.
+     * @param {boolean} [oldfirePermissionPromptIsShownEvent] - Deprecated, use
+     * options.firePermissionPromptIsShownEvent instead.
+     *
+     * @deprecated old firePermissionPromptIsShownEvent
+     * @returns {Promise<Array<JitsiLocalTrack>>} A promise
+     * that returns an array of created JitsiTracks if resolved, or a
+     * JitsiConferenceError if rejected.
+     */
+    export function createLocalTracks(options?: CreateLocalTracksOptions, oldfirePermissionPromptIsShownEvent?: boolean): Promise<JitsiLocalTrack[]>;
+    /**
+     * Create a TrackVADEmitter service that connects an audio track to an VAD (voice activity detection) processor in
+     * order to obtain VAD scores for individual PCM audio samples.
+     * @param {string} localAudioDeviceId - The target local audio device.
+     * @param {number} sampleRate - Sample rate at which the emitter will operate. Possible values  256, 512, 1024,
+     * 4096, 8192, 16384. Passing other values will default to closes neighbor.
+     * I.e. Providing a value of 4096 means that the emitter will process 4096 PCM samples at a time, higher values mean
+     * longer calls, lowers values mean more calls but shorter.
+     * @param {Object} vadProcessor - VAD Processors that does the actual compute on a PCM sample.The processor needs
+     * to implement the following functions:
+     * - <tt>getSampleLength()</tt> - Returns the sample size accepted by calculateAudioFrameVAD.
+     * - <tt>getRequiredPCMFrequency()</tt> - Returns the PCM frequency at which the processor operates.
+     * i.e. (16KHz, 44.1 KHz etc.)
+     * - <tt>calculateAudioFrameVAD(pcmSample)</tt> - Process a 32 float pcm sample of getSampleLength size.
+     * @returns {Promise<TrackVADEmitter>}
+     */
+    export function createTrackVADEmitter(localAudioDeviceId: string, sampleRate: number, vadProcessor: any): Promise<TrackVADEmitter>;
+    /**
+     * Create AudioMixer, which is essentially a wrapper over web audio ChannelMergerNode. It essentially allows the
+     * user to mix multiple MediaStreams into a single one.
+     *
+     * @returns {AudioMixer}
+     */
+    export function createAudioMixer(): AudioMixer;
+    /**
+     * Go through all audio devices on the system and return one that is active, i.e. has audio signal.
+     *
+     * @returns Promise<Object> - Object containing information about the found device.
+     */
+    export function getActiveAudioDevice(): Promise<any>;
+    /**
+     * Checks if its possible to enumerate available cameras/microphones.
+     *
+     * @returns {Promise<boolean>} a Promise which will be resolved only once
+     * the WebRTC stack is ready, either with true if the device listing is
+     * available available or with false otherwise.
+     * @deprecated use JitsiMeetJS.mediaDevices.isDeviceListAvailable instead
+     */
+    export function isDeviceListAvailable(): Promise<boolean>;
+    /**
+     * Returns true if changing the input (camera / microphone) or output
+     * (audio) device is supported and false if not.
+     *
+     * @param {string} [deviceType] - type of device to change. Default is
+     * {@code undefined} or 'input', 'output' - for audio output device change.
+     * @returns {boolean} {@code true} if available; {@code false}, otherwise.
+     * @deprecated use JitsiMeetJS.mediaDevices.isDeviceChangeAvailable instead
+     */
+    export function isDeviceChangeAvailable(deviceType?: string): boolean;
+    /**
+     * Checks if the current environment supports having multiple audio
+     * input devices in use simultaneously.
+     *
+     * @returns {boolean} True if multiple audio input devices can be used.
+     */
+    export function isMultipleAudioInputSupported(): boolean;
+    /**
+     * Checks if local tracks can collect stats and collection is enabled.
+     *
+     * @param {boolean} True if stats are being collected for local tracks.
+     */
+    export function isCollectingLocalStats(): boolean;
+    /**
+     * Executes callback with list of media devices connected.
+     *
+     * @param {function} callback
+     * @deprecated use JitsiMeetJS.mediaDevices.enumerateDevices instead
+     */
+    export function enumerateDevices(callback: Function): void;
+    /**
+     * @returns function that can be used to be attached to window.onerror and
+     * if options.enableWindowOnErrorHandler is enabled returns
+     * the function used by the lib.
+     * (function(message, source, lineno, colno, error)).
+     */
+    export function getGlobalOnErrorHandler(message: any, source: any, lineno: any, colno: any, error: any): void;
+    /**
+     * Informs lib-jitsi-meet about the current network status.
+     *
+     * @param {Object} options - The network status.
+     * @param {boolean} options.isOnline - {@code true} if the internet connectivity is online or {@code false}
+     * otherwise.
+     * @returns {void}
+     */
+    export function setNetworkInfo({ isOnline }: {
+        isOnline: boolean;
+    }): void;
+    /**
+     * Set the contentHint on the transmitted stream track to indicate
+     * charaterstics in the video stream, which informs PeerConnection
+     * on how to encode the track (to prefer motion or individual frame detail)
+     * @param {MediaStreamTrack} track - the track that is transmitted
+     * @param {String} hint - contentHint value that needs to be set on the track
+     */
+    export function setVideoTrackContentHints(track: MediaStreamTrack, hint: string): void;
+    export { precallTest };
+    export namespace util {
+        export { AuthUtil };
+        export { ScriptUtil };
+        export { browser };
+    }
+}
+export default _default;
+/**
+ * The options of {@link JitsiMeetJS.init }.
+ */
+export type InitOptions = {
+    /**
+     * - The audio settings, e.g.
+     * <tt>{ stereo }</tt>.
+     */
+    audioQuality?: any;
+    /**
+     * - The interval (in ms) at which the
+     * local audio levels are computed.
+     */
+    audioLevelsInterval?: number;
+    /**
+     * - Deployment specific information
+     * which is logged.
+     */
+    deploymentInfo?: any;
+    /**
+     * - Disables the acoustic echo cancellation.
+     */
+    disableAEC?: boolean;
+    /**
+     * - Disables the automatic gain control.
+     */
+    disableAGC?: boolean;
+    /**
+     * - Disables all the audio processing.
+     */
+    disableAP?: boolean;
+    /**
+     * - Disables the audio levels.
+     */
+    disableAudioLevels?: boolean;
+    /**
+     * - Removes H.264 from the offered codecs.
+     */
+    disableH264?: boolean;
+    /**
+     * - Disables the noise suppression.
+     */
+    disableNS?: boolean;
+    /**
+     * - Disables RTX.
+     */
+    disableRtx?: boolean;
+    /**
+     * - Disables simulcast.
+     */
+    disableSimulcast?: boolean;
+    /**
+     * - Prevents loading the
+     * third party services, e.g. callstats.
+     */
+    disableThirdPartyRequests?: boolean;
+    /**
+     * - Enables the analytics.
+     */
+    enableAnalyticsLogging?: boolean;
+    /**
+     * - Enables the insertable
+     * streams, which end-to-end encryption needs.
+     */
+    enableInsertableStreams?: boolean;
+    /**
+     * - Reports the uncaught
+     * errors to the statistics.
+     */
+    enableWindowOnErrorHandler?: boolean;
+    /**
+     * - The storage used instead of the
+     * local storage.
+     */
+    externalStorage?: any;
+    /**
+     * - The interval (in ms) at which
+     * the long tasks are reported.
+     */
+    longTasksStatsInterval?: number;
+    /**
+     * - The interval (in ms) at which the
+     * peer connection statistics are collected.
+     */
+    pcStatsInterval?: number;
+    /**
+     * - Prefers H.264 over the other codecs.
+     */
+    preferH264?: boolean;
+    /**
+     * - Neither sends nor receives audio.
+     */
+    startSilent?: boolean;
+};
+/**
+ * The options of {@link JitsiMeetJS.createLocalTracks }.
+ */
+export type CreateLocalTracksOptions = {
+    /**
+     * - The types of the tracks to create:
+     * 'audio', 'video' and/or 'desktop'.
+     */
+    devices?: Array<string>;
+    /**
+     * - The id of the camera.
+     */
+    cameraDeviceId?: string;
+    /**
+     * - The getUserMedia constraints used as a
+     * base.
+     */
+    constraints?: any;
+    /**
+     * - The frame rate of the
+     * desktop track, <tt>{ min, max }</tt>.
+     */
+    desktopSharingFrameRate?: any;
+    /**
+     * - The id or label of a
+     * video input device to share instead of the screen.
+     */
+    desktopSharingSourceDevice?: string;
+    /**
+     * - The effects to apply to the tracks,
+     * in order; several effects can be chained, each processing the output of
+     * the previous one.
+     */
+    effects?: Array<any>;
+    /**
+     * - Which camera to use, 'user' or
+     * 'environment'.
+     */
+    facingMode?: string;
+    /**
+     * - Whether
+     * {@link JitsiMediaDevicesEvents.PERMISSION_PROMPT_IS_SHOWN } is fired.
+     */
+    firePermissionPromptIsShownEvent?: boolean;
+    /**
+     * - Whether
+     * {@link JitsiMediaDevicesEvents.SLOW_GET_USER_MEDIA } is fired.
+     */
+    fireSlowPromiseEvent?: boolean;
+    /**
+     * - The id of the microphone.
+     */
+    micDeviceId?: string;
+    /**
+     * - Whether the audio captured along
+     * with the screen is mixed into the microphone track, when both 'desktop' and
+     * 'audio' are requested, instead of being returned as a separate track. The
+     * volumes are controlled through the {@code AudioMixerEffect} among the
+     * effects of the microphone track, and the desktop audio stops along with the
+     * desktop track.
+     */
+    mixDesktopAudio?: boolean;
+    /**
+     * - The resolution of the video track, e.g.
+     * '720'.
+     */
+    resolution?: string;
+    /**
+     * - How the desktop track is optimized,
+     * one of {@link ScreenshareMode }, see {@link JitsiLocalTracksetScreenshareMode }.
+     */
+    screenshareMode?: string;
+    /**
+     * - The time (in ms) to wait for getUserMedia.
+     */
+    timeout?: number;
+};
+import JitsiConnection from "./JitsiConnection";
+import ProxyConnectionService from "./modules/proxyconnection/ProxyConnectionService";
+import transcriptionServiceRegistry from "./modules/transcription/transcriptionServices/transcriptionServiceRegistry";
+import StreamingTranscriptionService from "./modules/transcription/transcriptionServices/AbstractStreamingTranscriptionService";
+import { TranscriptFormat } from "./modules/transcription/transcriptExport";
+import Word from "./modules/transcription/word";
+import AudioEffect from "./modules/webaudio/AudioEffect";
+import AudioMixerEffect from "./modules/webaudio/AudioMixerEffect";
+import AudioProcessor from "./modules/webaudio/AudioProcessor";
+import { AutomaticGainControl } from "./modules/webaudio/AudioProcessor";
+import { Compressor } from "./modules/webaudio/AudioProcessor";
+import InsertableStreamsEffect from "./modules/effects/InsertableStreamsEffect";
+import { NoiseGate } from "./modules/webaudio/AudioProcessor";
+import { WasmAudioProcessor } from "./modules/webaudio/AudioProcessor";
+import { ParticipantConnectionStatus } from "./modules/connectivity/ParticipantConnectionStatus";
+import recordingConstants from "./modules/recording/recordingConstants";
+import * as ScreenshareMode from "./service/RTC/ScreenshareMode";
+import * as VideoSIPGWConstants from "./modules/videosipgw/VideoSIPGWConstants";
+import * as JitsiTranscriptionStatus from "./JitsiTranscriptionStatus";
+import * as JitsiConferenceEvents from "./JitsiConferenceEvents";
+import * as JitsiConnectionEvents from "./JitsiConnectionEvents";
+import * as DetectionEvents from "./modules/detection/DetectionEvents";
+import * as JitsiTrackEvents from "./JitsiTrackEvents";
+import * as JitsiMediaDevicesEvents from "./JitsiMediaDevicesEvents";
+import * as ConnectionQualityEvents from "./service/connectivity/ConnectionQualityEvents";
+import * as E2ePingEvents from "./service/e2eping/E2ePingEvents";
+import * as JitsiConferenceErrors from "./JitsiConferenceErrors";
+import * as JitsiConnectionErrors from "./JitsiConnectionErrors";
+import * as JitsiTrackErrors from "./JitsiTrackErrors";
+import JitsiTrackError from "./JitsiTrackError";
+import JitsiMediaDevices from "./JitsiMediaDevices";
+import TrackVADEmitter from "./modules/detection/TrackVADEmitter";
+import AudioMixer from "./modules/webaudio/AudioMixer";
+import precallTest from "./modules/statistics/PrecallTest";
+import AuthUtil from "./modules/util/AuthUtil";
+import ScriptUtil from "./modules/util/ScriptUtil";
+import browser from "./modules/browser";
@@ -0,0 +1,12 @@
+/**
+ * The transciption is on.
+ *
+ * @type {String}
+ */
+export const ON: string;
+/**
+ * The transciption is off.
+ *
+ * @type {String}
+ */
+export const OFF: string;
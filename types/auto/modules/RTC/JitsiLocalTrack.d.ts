@@ -0,0 +1,379 @@
+/**
+ * Represents a single media track(either audio or video).
+ * One <tt>JitsiLocalTrack</tt> corresponds to one WebRTC MediaStreamTrack.
+ */
+export default class JitsiLocalTrack extends JitsiTrack {
+    /**
+     * Constructs new JitsiLocalTrack instance.
+     *
+     * @constructor
+     * @param {Object} trackInfo
+     * @param {number} trackInfo.rtcId the ID assigned by the RTC module
+     * @param trackInfo.stream WebRTC MediaStream, parent of the track
+     * @param trackInfo.track underlying WebRTC MediaStreamTrack for new
+     * JitsiRemoteTrack
+     * @param trackInfo.mediaType the MediaType of the JitsiRemoteTrack
+     * @param trackInfo.videoType the VideoType of the JitsiRemoteTrack
+     * @param trackInfo.effects the effects to apply, in order, on the track. The ones which are not enabled for
+     * the track are ignored.
+     * @param trackInfo.resolution the video resolution if it's a video track
+     * @param trackInfo.deviceId the ID of the local device for this track
+     * @param trackInfo.facingMode the camera facing mode used in getUserMedia
+     * call
+     * @param {string} trackInfo.sourceId - The id of the desktop sharing
+     * source. NOTE: defined for desktop sharing tracks only.
+     * @param {string} trackInfo.sourceType - The type of the desktop sharing
+     * source, e.g. 'screen' or 'window'. NOTE: defined for desktop sharing
+     * tracks only.
+     * @param {AudioMixerEffect} trackInfo.desktopAudioMixer - The effect which
+     * mixes the audio captured along with the screen into the microphone
+     * track. NOTE: defined for desktop sharing tracks only.
+     */
+    constructor({ desktopAudioMixer, deviceId, facingMode, mediaType, resolution, rtcId, sourceId, sourceType, stream, track, videoType, effects }: {
+        rtcId: number;
+        stream: any;
+        track: any;
+        mediaType: any;
+        videoType: any;
+        effects: any;
+        resolution: any;
+        deviceId: any;
+        facingMode: any;
+        sourceId: string;
+        sourceType: string;
+        desktopAudioMixer: AudioMixerEffect;
+    });
+    _setEffectInProgress: boolean;
+    /**
+     * The effects applied on the track, in the order in which they process the stream.
+     *
+     * @type {Array<Object>}
+     */
+    _streamEffects: Array<any>;
+    /**
+     * The ID assigned by the RTC module on instance creation.
+     *
+     * @type {number}
+     */
+    rtcId: number;
+    sourceId: string;
+    sourceType: string;
+    /**
+     * The name of the source of the track in the conference, see {@link JitsiLocalTrack#getSourceName}.
+     *
+     * @type {string|undefined}
+     */
+    _sourceName: string | undefined;
+    resolution: any;
+    maxEnabledResolution: any;
+    _constraints: any;
+    deviceId: any;
+    /**
+     * The <tt>Promise</tt> which represents the progress of a previously
+     * queued/scheduled {@link _setMuted} (from the point of view of
+     * {@link _queueSetMuted}).
+     *
+     * @private
+     * @type {Promise}
+     */
+    private _prevSetMuted;
+    /**
+     * The facing mode of the camera from which this JitsiLocalTrack
+     * instance was obtained.
+     *
+     * @private
+     * @type {CameraFacingMode|undefined}
+     */
+    private _facingMode;
+    /**
+     * How the screen share is optimized, see {@link setScreenshareMode}. NOTE: defined for desktop sharing
+     * tracks only, once a mode is set.
+     *
+     * @private
+     * @type {string|undefined}
+     */
+    private _screenshareMode;
+    /**
+     * The effect which mixes the audio captured along with the screen into the microphone track, the desktop
+     * audio is stopped along with this track.
+     *
+     * @private
+     * @type {AudioMixerEffect|undefined}
+     */
+    private _desktopAudioMixer;
+    _trackEnded: boolean;
+    /**
+     * Indicates whether data has been sent or not.
+     */
+    _hasSentData: boolean;
+    /**
+     * Used only for detection of audio problems. We want to check only once
+     * whether the track is sending data ot not. This flag is set to false
+     * after the check.
+     */
+    _testDataSent: boolean;
+    _realDeviceId: any;
+    _trackMutedTS: number;
+    _onDeviceListWillChange: (devices: any) => void;
+    _onAudioOutputDeviceChanged: any;
+    /**
+     * Returns if associated MediaStreamTrack is in the 'ended' state
+     *
+     * @returns {boolean}
+     */
+    isEnded(): boolean;
+    /**
+     * Sets handlers to the MediaStreamTrack object that will detect camera
+     * issues.
+     */
+    _initNoDataFromSourceHandlers(): void;
+    /**
+     * Returns true if no data from source events are enabled for this JitsiLocalTrack and false otherwise.
+     *
+     * @returns {boolean} - True if no data from source events are enabled for this JitsiLocalTrack and false otherwise.
+     */
+    _isNoDataFromSourceEventsEnabled(): boolean;
+    /**
+     * Fires NO_DATA_FROM_SOURCE event and logs it to analytics and callstats.
+     */
+    _fireNoDataFromSourceEvent(): void;
+    /**
+     * Sets real device ID by comparing track information with device
+     * information. This is temporary solution until getConstraints() method
+     * will be implemented in browsers.
+     *
+     * @param {MediaDeviceInfo[]} devices - list of devices obtained from
+     * enumerateDevices() call
+     */
+    _setRealDeviceIdFromDeviceList(devices: MediaDeviceInfo[]): void;
+    storedMSID: string;
+    /**
+     * Starts the effects, each one processing the stream produced by the previous one, and sets the stream of the
+     * last one as the stream of the track. If an effect fails to start, the ones started before it are stopped and
+     * the original stream is restored.
+     *
+     * @private
+     * @param {Array<Object>} effects - The effect instances.
+     * @returns {void}
+     */
+    private _startStreamEffects;
+    _originalStream: any;
+    /**
+     * Stops the effects, in the reverse order they were started in, and restores the original stream. The effects
+     * are kept so that they can be started again, e.g. when the video is unmuted.
+     *
+     * @private
+     * @returns {void}
+     */
+    private _stopStreamEffects;
+    /**
+     * Stops the currently used effects (if there are any) and starts the passed ones (if there are any).
+     *
+     * @param {Array<Object>} effects - The new effects to be set.
+     * @returns {void}
+     */
+    _switchStreamEffects(effects: Array<any>): void;
+    /**
+     * Removes an effect, the other effects keep processing the stream.
+     *
+     * @param {Object} effect - The effect to remove.
+     * @private
+     * @returns {void}
+     */
+    private _removeEffect;
+    /**
+     * Returns the effects applied on the track, in the order in which they process the stream.
+     *
+     * @returns {Array<Object>}
+     */
+    getEffects(): Array<any>;
+    /**
+     * Sets the effect and switches between the modified stream and original one.
+     *
+     * @param {Object} [effect] - Represents the effect instance to be used, or undefined to remove the current
+     * effects.
+     * @returns {Promise}
+     */
+    setEffect(effect?: any): Promise<any>;
+    /**
+     * Sets a chain of effects, e.g. a background blur followed by a watermark. Each effect processes the stream
+     * produced by the previous one and the stream of the last one is sent. When the track is in a conference the
+     * processed track is swapped on the existing senders, so that no renegotiation is needed, where the browser
+     * supports it.
+     *
+     * @param {Array<Object>} effects - The effect instances, an empty array removes the current effects.
+     * @returns {Promise}
+     */
+    setEffects(effects?: Array<any>): Promise<any>;
+    /**
+     * Asynchronously mutes this track.
+     *
+     * @returns {Promise}
+     */
+    mute(): Promise<any>;
+    /**
+     * Asynchronously unmutes this track.
+     *
+     * @returns {Promise}
+     */
+    unmute(): Promise<any>;
+    /**
+     * Initializes a new Promise to execute {@link #_setMuted}. May be called
+     * multiple times in a row and the invocations of {@link #_setMuted} and,
+     * consequently, {@link #mute} and/or {@link #unmute} will be resolved in a
+     * serialized fashion.
+     *
+     * @param {boolean} muted - The value to invoke <tt>_setMuted</tt> with.
+     * @returns {Promise}
+     */
+    _queueSetMuted(muted: boolean): Promise<any>;
+    /**
+     * Mutes / unmutes this track.
+     *
+     * @param {boolean} muted - If <tt>true</tt>, this track will be muted;
+     * otherwise, this track will be unmuted.
+     * @private
+     * @returns {Promise}
+     */
+    private _setMuted;
+    /**
+     * Adds stream to conference and marks it as "unmute" operation.
+     *
+     * @private
+     * @returns {Promise}
+     */
+    private _addStreamToConferenceAsUnmute;
+    /**
+     * Removes stream from conference and marks it as "mute" operation.
+     *
+     * @param {Function} successCallback will be called on success
+     * @param {Function} errorCallback will be called on error
+     * @private
+     */
+    private _removeStreamFromConferenceAsMute;
+    /**
+     * Sends mute status for a track to conference if any.
+     *
+     * @param {boolean} mute - If track is muted.
+     * @private
+     * @returns {Promise}
+     */
+    private _sendMuteStatus;
+    /**
+     * Returns <tt>true</tt> - if the stream is muted and <tt>false</tt>
+     * otherwise.
+     *
+     * @returns {boolean} <tt>true</tt> - if the stream is muted and
+     * <tt>false</tt> otherwise.
+     */
+    isMuted(): boolean;
+    /**
+     * Sets the JitsiConference object associated with the track. This is temp
+     * solution.
+     *
+     * @param conference the JitsiConference object
+     */
+    _setConference(conference: any): void;
+    /**
+     * Returns device id associated with track.
+     *
+     * @returns {string}
+     */
+    getDeviceId(): string;
+    /**
+     * Returns the name of the source of the track, which identifies it among the local tracks of the same media type
+     * when several video streams are sent in the conference. The name is kept when the track is replaced.
+     *
+     * @returns {string|undefined}
+     */
+    getSourceName(): string | undefined;
+    /**
+     * Sets the name of the source of the track, when the track is added to the conference.
+     *
+     * @param {string} name - The name of the source.
+     * @returns {void}
+     */
+    setSourceName(name: string): void;
+    /**
+     * Returns the participant id which owns the track.
+     *
+     * @returns {string} the id of the participants. It corresponds to the
+     * Colibri endpoint id/MUC nickname in case of Jitsi-meet.
+     */
+    getParticipantId(): string;
+    /**
+     * Handles bytes sent statistics.
+     *
+     * @param {TraceablePeerConnection} tpc the source of the "bytes sent" stat
+     * @param {number} bytesSent the new value
+     * NOTE: used only for audio tracks to detect audio issues.
+     */
+    _onByteSentStatsReceived(tpc: TraceablePeerConnection, bytesSent: number): void;
+    /**
+     * Returns facing mode for video track from camera. For other cases (e.g.
+     * audio track or 'desktop' video track) returns undefined.
+     *
+     * @returns {CameraFacingMode|undefined}
+     */
+    getCameraFacingMode(): CameraFacingMode | undefined;
+    /**
+     * Returns how the screen share is optimized, one of {@link ScreenshareMode}, or undefined for the tracks which
+     * are not desktop tracks or whose mode was not set.
+     *
+     * @returns {string|undefined}
+     */
+    getScreenshareMode(): string | undefined;
+    /**
+     * Optimizes a desktop track for the detail of the content, i.e. high resolution at a low frame rate and only the
+     * full resolution simulcast stream, or for motion, i.e. a higher frame rate at a lower resolution and all the
+     * simulcast streams. The content hint, the capture constraints and, when the track is in a conference, the
+     * degradation preference and the simulcast streams of the video senders are updated together. The mode can be
+     * switched while sharing.
+     *
+     * @param {string} mode - One of {@link ScreenshareMode}.
+     * @returns {Promise} Resolved once the mode is applied.
+     */
+    setScreenshareMode(mode: string): Promise<any>;
+    /**
+     * Stops the associated MediaStream.
+     */
+    stopStream(): void;
+    /**
+     * Indicates that we are executing {@link #stopStream} i.e.
+     * {@link RTCUtils#stopMediaStream} for the <tt>MediaStream</tt>
+     * associated with this <tt>JitsiTrack</tt> instance.
+     *
+     * @private
+     * @type {boolean}
+     */
+    private _stopStreamInProgress;
+    /**
+     * Switches the camera facing mode if the WebRTC implementation supports the
+     * custom MediaStreamTrack._switchCamera method. Currently, the method in
+     * question is implemented in react-native-webrtc only. When such a WebRTC
+     * implementation is executing, the method is the preferred way to switch
+     * between the front/user-facing and the back/environment-facing cameras
+     * because it will likely be (as is the case of react-native-webrtc)
+     * noticeably faster that creating a new MediaStreamTrack via a new
+     * getUserMedia call with the switched facingMode constraint value.
+     * Moreover, the approach with a new getUserMedia call may not even work:
+     * WebRTC on Android and iOS is either very slow to open the camera a second
+     * time or plainly freezes attempting to do that.
+     */
+    _switchCamera(): void;
+    /**
+     * Checks whether the attached MediaStream is receiving data from source or
+     * not. If the stream property is null(because of mute or another reason)
+     * this method will return false.
+     * NOTE: This method doesn't indicate problem with the streams directly.
+     * For example in case of video mute the method will return false or if the
+     * user has disposed the track.
+     *
+     * @returns {boolean} true if the stream is receiving data and false
+     * this otherwise.
+     */
+    isReceivingData(): boolean;
+}
+import JitsiTrack from "./JitsiTrack";
+import CameraFacingMode from "../../service/RTC/CameraFacingMode";
+import AudioMixerEffect from "../webaudio/AudioMixerEffect";
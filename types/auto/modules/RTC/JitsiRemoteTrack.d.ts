@@ -0,0 +1,120 @@
+/**
+ * Represents a single media track (either audio or video).
+ */
+export default class JitsiRemoteTrack extends JitsiTrack {
+    /**
+     * Creates new JitsiRemoteTrack instance.
+     * @param {RTC} rtc the RTC service instance.
+     * @param {JitsiConference} conference the conference to which this track
+     *        belongs to
+     * @param {string} ownerEndpointId the endpoint ID of the track owner
+     * @param {MediaStream} stream WebRTC MediaStream, parent of the track
+     * @param {MediaStreamTrack} track underlying WebRTC MediaStreamTrack for
+     *        the new JitsiRemoteTrack
+     * @param {MediaType} mediaType the type of the media
+     * @param {VideoType} videoType the type of the video if applicable
+     * @param {number} ssrc the SSRC number of the Media Stream
+     * @param {boolean} muted the initial muted state
+     * @param {boolean} isP2P indicates whether or not this track belongs to a
+     * P2P session
+     * @param {string} [sourceName] the name of the source of the track, if it
+     * was signalled by the owner
+     * @throws {TypeError} if <tt>ssrc</tt> is not a number.
+     * @constructor
+     */
+    constructor(rtc: RTC, conference: JitsiConference, ownerEndpointId: string, stream: MediaStream, track: MediaStreamTrack, mediaType: MediaType, videoType: VideoType, ssrc: number, muted: boolean, isP2P: boolean, sourceName?: string);
+    rtc: RTC;
+    ssrc: number;
+    ownerEndpointId: string;
+    muted: boolean;
+    isP2P: boolean;
+    _sourceName: string;
+    hasBeenMuted: boolean;
+    _containerHandlers: {};
+    /**
+     * Attaches the track handlers.
+     *
+     * @returns {void}
+     */
+    _bindTrackHandlers(): void;
+    /**
+     * Callback invoked when the track is muted. Emits an event notifying
+     * listeners of the mute event.
+     *
+     * @private
+     * @returns {void}
+     */
+    private _onTrackMute;
+    /**
+     * Callback invoked when the track is unmuted. Emits an event notifying
+     * listeners of the mute event.
+     *
+     * @private
+     * @returns {void}
+     */
+    private _onTrackUnmute;
+    /**
+     * Sets current muted status and fires an events for the change.
+     * @param value the muted status.
+     */
+    setMute(value: any): void;
+    /**
+     * Returns the current muted status of the track.
+     * @returns {boolean} <tt>true</tt> if the track is
+     * muted and <tt>false</tt> otherwise.
+     */
+    isMuted(): boolean;
+    /**
+     * Returns the participant id which owns the track.
+     *
+     * @returns {string} the id of the participants. It corresponds to the
+     * Colibri endpoint id/MUC nickname in case of Jitsi-meet.
+     */
+    getParticipantId(): string;
+    /**
+     * Returns the synchronization source identifier (SSRC) of this remote
+     * track.
+     *
+     * @returns {number} the SSRC of this remote track.
+     */
+    getSSRC(): number;
+    /**
+     * Returns the name of the source of this remote track, which identifies it
+     * among the tracks of the same media type of its owner.
+     *
+     * @returns {string|undefined} the name of the source or <tt>undefined</tt>
+     * if the owner did not signal it.
+     */
+    getSourceName(): string | undefined;
+    /**
+     * Changes the video type of the track.
+     *
+     * @param {string} type - The new video type("camera", "desktop").
+     */
+    _setVideoType(type: string): void;
+    /**
+     * Handles track play events.
+     */
+    _playCallback(): void;
+    /**
+     * Attach time to first media tracker only if there is conference and only
+     * for the first element.
+     * @param container the HTML container which can be 'video' or 'audio'
+     * element.
+     * @protected
+     */
+    protected _attachTTFMTracker(container: any): void;
+    /**
+     * An event handler for events triggered by the attached container.
+     *
+     * @param {string} type - The type of the event.
+     */
+    _containerEventHandler(type: string): void;
+    /**
+     * Returns a string with a description of the current status of the track.
+     *
+     * @returns {string}
+     */
+    _getStatus(): string;
+}
+import JitsiTrack from "./JitsiTrack";
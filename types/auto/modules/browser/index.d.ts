@@ -0,0 +1,3 @@
+declare const _default: BrowserCapabilities;
+export default _default;
+import BrowserCapabilities from "./BrowserCapabilities";
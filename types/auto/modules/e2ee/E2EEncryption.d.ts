@@ -0,0 +1,368 @@
+/**
+ * This module integrates {@link E2EEContext} with {@link JitsiConference} in order to enable E2E encryption.
+ *
+ * The media keys are generated locally and distributed over Olm, unless {@code config.e2ee.externallyManagedKey} is
+ * set, in which case the application supplies them, e.g. from its own key management service, with
+ * {@link #setEncryptionKey} and drives their rotation. Olm isn't used at all then.
+ *
+ * With {@code config.e2ee.encryptMessages} the chat messages and the endpoint messages are also encrypted, with the
+ * olm session of each recipient, see {@link #sendMessage}, and so are the edits and deletions of the chat messages,
+ * see {@link #editMessage} and {@link #deleteMessage}.
+ */
+export class E2EEncryption {
+    /**
+     * Indicates if E2EE is supported in the current platform.
+     *
+     * @param {object} config - Global configuration.
+     * @returns {boolean}
+     */
+    static isSupported(config: object): boolean;
+    /**
+     * Indicates if the media keys are supplied by the application rather than exchanged over Olm.
+     *
+     * @param {object} config - Global configuration.
+     * @returns {boolean}
+     */
+    static isExternallyManagedKey(config: object): boolean;
+    /**
+     * A constructor.
+     * @param {JitsiConference} conference - The conference instance for which E2E encryption is to be enabled.
+     */
+    constructor(conference: JitsiConference);
+    conference: JitsiConference;
+    _conferenceJoined: boolean;
+    _enabled: boolean;
+    _key: any;
+    _enabling: Deferred;
+    _externallyManagedKey: boolean;
+    _encryptMessages: boolean;
+    /**
+     * The key supplied by the application for all the participants, applied to those joining later.
+     * @type {{ key: Uint8Array|false, index: number }|undefined}
+     */
+    _sharedKeyInfo: {
+        key: Uint8Array | false;
+        index: number;
+    };
+    _e2eeCtx: E2EEContext;
+    /**
+     * The last counters of the frames processed for each participant, as reported by the worker.
+     * @type {Map<string, Object>}
+     */
+    _stats: Map<string, any>;
+    /**
+     * The number of consecutive reports in which the decryption failed for each participant.
+     * @type {Map<string, number>}
+     */
+    _decryptionFailureReports: Map<string, number>;
+    /**
+     * The messages to encrypt for each participant with whom there is no olm session yet, sent once it's
+     * established.
+     * @type {Map<string, Array<{ content: Object, sendThroughVideobridge: boolean }>>}
+     */
+    _pendingMessages: Map<string, {
+        content: any;
+        sendThroughVideobridge: boolean;
+    }[]>;
+    /**
+     * The id of the sender of each encrypted chat message, keyed by the id of the message.
+     * @type {Map<string, string>}
+     */
+    _messageAuthors: Map<string, string>;
+    _olmAdapter: OlmAdapter;
+    _ratchetKey: any;
+    _rotateKey: any;
+    /**
+     * Indicates whether E2EE is currently enabled or not.
+     *
+     * @returns {boolean}
+     */
+    isEnabled(): boolean;
+    /**
+     * Enables / disables End-To-End encryption.
+     *
+     * @param {boolean} enabled - whether E2EE should be enabled or not.
+     * @returns {void}
+     */
+    setEnabled(enabled: boolean): void;
+    /**
+     * Returns the counters of the frames processed by the E2EE worker for each participant, the local one included.
+     *
+     * @returns {Object} The counters keyed by participant id: the numbers of frames encrypted, of frames which
+     * failed to be encrypted, of frames decrypted, of frames which failed to be decrypted and of frames which were
+     * received with a key index for which there is no key.
+     */
+    getStats(): any;
+    /**
+     * Indicates whether a message sent to the other participants is to be encrypted with {@link #sendMessage}.
+     *
+     * @param {string|Object} message - The message.
+     * @returns {boolean}
+     */
+    shouldEncryptMessage(message: string | any): boolean;
+    /**
+     * Indicates whether the chat messages and the endpoint messages are currently encrypted.
+     *
+     * @returns {boolean}
+     */
+    isEncryptingMessages(): boolean;
+    /**
+     * Sends a message encrypted with the olm session of each recipient, the group messages are thus sent to every
+     * participant separately. The message is kept for the participants with whom there is no olm session yet, e.g.
+     * because they just joined, and is sent once the session is established. The message is decrypted and emitted as
+     * if it wasn't encrypted on the receiving side, except for the last argument of the event which tells that it was.
+     *
+     * @param {string|Object} message - A chat message if it's a string, an endpoint message otherwise.
+     * @param {string} to - The id of the participant to send the message to, '' to send it to everyone.
+     * @param {boolean} sendThroughVideobridge - Whether to send the message through the bridge channel rather than
+     * the XMPP MUC.
+     * @returns {string|undefined} The id of the chat message.
+     */
+    sendMessage(message: string | any, to: string, sendThroughVideobridge: boolean): string | undefined;
+    /**
+     * Edits an encrypted chat message sent by the local participant. The edit is encrypted like the message was,
+     * see {@link #sendMessage}.
+     *
+     * @param {string} messageId - The id of the message, as returned by {@link #sendMessage}.
+     * @param {string} text - The new text of the message.
+     * @param {string} [to] - The id of the participant the message was privately sent to.
+     * @returns {boolean} Whether the edit was sent, it's not when the message wasn't sent encrypted by the local
+     * participant.
+     */
+    editMessage(messageId: string, text: string, to?: string): boolean;
+    /**
+     * Deletes an encrypted chat message. The local participant can delete the messages it sent and, if it is a
+     * moderator, the messages which were sent to everyone. The deletion is encrypted like the message was, see
+     * {@link #sendMessage}.
+     *
+     * @param {string} messageId - The id of the message.
+     * @param {string} [to] - The id of the participant the message was privately sent to.
+     * @returns {boolean} Whether the deletion was sent.
+     */
+    deleteMessage(messageId: string, to?: string): boolean;
+    /**
+     * Sets a media key supplied by the application, when the keys are externally managed. The key is used to
+     * encrypt the local media and to decrypt the media of the participants, unless it's given for one participant
+     * only. A new key index rotates the key while the frames encrypted with the previous keys can still be decrypted.
+     *
+     * @param {Object} keyInfo - The key.
+     * @param {Uint8Array|false} keyInfo.encryptionKey - The key material, false to stop encrypting.
+     * @param {number} keyInfo.index - The index of the key, frames carry it so that the receivers pick the right key.
+     * @param {string} [keyInfo.participantId] - The participant the key is used for, the local one to set the key of
+     * the local media only. When not set, the key is used for all the participants, including those joining later.
+     * @returns {void}
+     */
+    setEncryptionKey({ encryptionKey, index, participantId }: {
+        encryptionKey: Uint8Array | false;
+        index: number;
+        participantId?: string;
+    }): void;
+    /**
+     * Starts the verification of the identity key of a participant with a short authentication string, see
+     * {@link OlmAdapter#startVerification}.
+     *
+     * @param {JitsiParticipant} participant - The participant to verify.
+     * @returns {void}
+     */
+    startVerification(participant: JitsiParticipant): void;
+    /**
+     * Records whether the short authentication strings shown to both users match, see
+     * {@link OlmAdapter#markParticipantVerified}.
+     *
+     * @param {JitsiParticipant} participant - The participant being verified.
+     * @param {boolean} isVerified - Whether the strings match.
+     * @returns {void}
+     */
+    markParticipantVerified(participant: JitsiParticipant, isVerified: boolean): void;
+    /**
+     * Enables / disables E2EE when the keys are externally managed: there's no key exchange, the media is encrypted
+     * once the application supplies the keys.
+     *
+     * @param {boolean} enabled - whether E2EE should be enabled or not.
+     * @returns {Promise<void>}
+     * @private
+     */
+    private _setEnabledWithExternallyManagedKey;
+    /**
+     * Generates a new 256 bit random key.
+     *
+     * @returns {Uint8Array}
+     * @private
+     */
+    private _generateKey;
+    /**
+     * Setup E2EE on the new track that has been added to the conference, apply it on all the open peerconnections.
+     * @param {JitsiLocalTrack} track - the new track that's being added to the conference.
+     * @private
+     */
+    private _onLocalTrackAdded;
+    /**
+     * Setups E2E encryption for the new session.
+     * @param {JingleSessionPC} session - the new media session.
+     * @private
+     */
+    private _onMediaSessionStarted;
+    /**
+     * Publushes our own Olmn id key in presence.
+     * @private
+     */
+    private _onOlmIdKeyReady;
+    /**
+     * Advances (using ratcheting) the current key when a new participant joins the conference.
+     * @private
+     */
+    private _onParticipantJoined;
+    /**
+     * Rotates the current key when a participant leaves the conference.
+     * @private
+     */
+    private _onParticipantLeft;
+    /**
+     * Event posted when the E2EE signalling channel has been established with the given participant. The messages
+     * which were kept for them are sent.
+     * @private
+     */
+    private _onParticipantE2EEChannelReady;
+    /**
+     * Handles an update in a participant's key.
+     *
+     * @param {string} id - The participant ID.
+     * @param {Uint8Array | boolean} key - The new key for the participant.
+     * @param {Number} index - The new key's index.
+     * @private
+     */
+    private _onParticipantKeyUpdated;
+    /**
+     * Keeps a message for a participant with whom there is no olm session yet.
+     *
+     * @param {string} id - The id of the participant.
+     * @param {{ content: Object, sendThroughVideobridge: boolean }} pendingMessage - The message.
+     * @private
+     * @returns {void}
+     */
+    private _addPendingMessage;
+    /**
+     * Encrypts a message with the olm session of a participant and sends it to them.
+     *
+     * @param {JitsiParticipant} participant - The participant.
+     * @param {Object} content - The message.
+     * @param {boolean} sendThroughVideobridge - Whether to send the message through the bridge channel rather than
+     * the XMPP MUC.
+     * @private
+     * @returns {boolean} Whether the message was sent, it's not when there is no olm session with the participant.
+     */
+    private _sendEncryptedMessage;
+    /**
+     * Sends a message encrypted with the olm session of each recipient, it's kept for the participants with whom
+     * there is no olm session yet.
+     *
+     * @param {Object} content - The message.
+     * @param {string} to - The id of the participant to send the message to, '' to send it to everyone.
+     * @param {boolean} sendThroughVideobridge - Whether to send the message through the bridge channel rather than
+     * the XMPP MUC.
+     * @private
+     * @returns {void}
+     */
+    private _sendToParticipants;
+    /**
+     * Records the sender of an encrypted chat message, forgetting the oldest messages past
+     * {@link MAX_MESSAGE_AUTHORS}.
+     *
+     * @param {string} messageId - The id of the message.
+     * @param {string} id - The id of the sender.
+     * @private
+     * @returns {void}
+     */
+    private _setMessageAuthor;
+    /**
+     * Checks whether a participant may delete an encrypted chat message: its sender can and so can the moderators,
+     * unless the message is private.
+     *
+     * @param {string} id - The id of the participant.
+     * @param {string} messageId - The id of the message.
+     * @param {boolean} isPrivate - Whether the message is private.
+     * @private
+     * @returns {boolean}
+     */
+    private _canDeleteMessage;
+    /**
+     * Emits a message a participant sent encrypted, see {@link #sendMessage}.
+     *
+     * @param {JitsiParticipant} participant - The participant who sent the message.
+     * @param {Object} content - The decrypted message.
+     * @private
+     */
+    private _onParticipantMessageDecrypted;
+    /**
+     * Stores the counters reported by the worker and reports the participants whose frames keep failing to be
+     * decrypted, which usually means that the keys are out of sync.
+     *
+     * @param {Object} stats - The counters keyed by participant id.
+     * @fires JitsiConferenceEvents.E2EE_DECRYPTION_FAILED
+     * @private
+     */
+    private _onStatsReceived;
+    /**
+     * Passes the short authentication string computed for a participant to the application.
+     *
+     * @param {string} id - The participant ID.
+     * @param {Object} sas - The short authentication string.
+     * @private
+     */
+    private _onParticipantSasReady;
+    /**
+     * Updates the verified state of a participant once their verification completed.
+     *
+     * @param {string} id - The participant ID.
+     * @param {boolean} success - Whether the identity key of the participant was verified.
+     * @param {string} [message] - Why the verification failed.
+     * @private
+     */
+    private _onParticipantVerificationCompleted;
+    /**
+     * Handles an update in a participant's presence property.
+     *
+     * @param {JitsiParticipant} participant - The participant.
+     * @param {string} name - The name of the property that changed.
+     * @param {*} oldValue - The property's previous value.
+     * @param {*} newValue - The property's new value.
+     * @private
+     */
+    private _onParticipantPropertyChanged;
+    /**
+     * Advances the current key by using ratcheting.
+     *
+     * @private
+     */
+    private _ratchetKeyImpl;
+    /**
+     * Rotates the local key. Rotating the key implies creating a new one, then distributing it
+     * to all participants and once they all received it, start using it.
+     *
+     * @private
+     */
+    private _rotateKeyImpl;
+    /**
+     * Setup E2EE for the receiving side.
+     *
+     * @private
+     */
+    private _setupReceiverE2EEForTrack;
+    /**
+     * Setup E2EE for the sending side.
+     *
+     * @param {JingleSessionPC} session - the session which sends the media produced by the track.
+     * @param {JitsiLocalTrack} track - the local track for which e2e encoder will be configured.
+     * @private
+     */
+    private _setupSenderE2EEForTrack;
+    /**
+     * Setup E2EE on the sender that is created for the unmuted local video track.
+     * @param {JitsiLocalTrack} track - the track for which muted status has changed.
+     * @private
+     */
+    private _trackMuteChanged;
+}
+import Deferred from "../util/Deferred";
+import E2EEContext from "./E2EEContext";
+import { OlmAdapter } from "./OlmAdapter";
@@ -0,0 +1,278 @@
+/**
+ * This class implements an End-to-End Encrypted communication channel between every two peers
+ * in the conference. This channel uses libolm to achieve E2EE.
+ *
+ * The created channel is then used to exchange the secret key that each participant will use
+ * to encrypt the actual media (see {@link E2EEContext}).
+ *
+ * A simple JSON message based protocol is implemented, which follows a request - response model:
+ * - session-init: Initiates an olm session establishment procedure. This message will be sent
+ *                 by the participant who just joined, to everyone else.
+ * - session-ack: Completes the olm session etablishment. This messsage may contain ancilliary
+ *                encrypted data, more specifically the sender's current key.
+ * - key-info: Includes the sender's most up to date key information.
+ * - key-info-ack: Acknowledges the reception of a key-info request. In addition, it may contain
+ *                 the sender's key information, if available.
+ * - error: Indicates a request processing error has occurred.
+ * - encrypted-message: A message of the application, e.g. a chat message, encrypted with the session.
+ *
+ * Once a session is established the identity keys can be verified by the users with a short authentication string
+ * (SAS), derived from an Olm SAS key agreement:
+ * - sas-start: Starts a verification, sent by the participant whose user asked for it.
+ * - sas-accept: Accepts the verification with a commitment to the SAS public key of the sender, so that it can't be
+ *               chosen after seeing the one of the initiator.
+ * - sas-key: The SAS public key of the sender. The initiator sends theirs first, both can then show the SAS.
+ * - sas-mac: Sent once the user confirmed that the SAS match, it authenticates the identity key of the sender
+ *            with the agreed SAS key.
+ *
+ * The sessions are only established with the identity key a participant published in presence, and the SAS is bound
+ * to the identity key the session was established with, so that verifying a participant also verifies the channel
+ * their media keys are received on.
+ *
+ * These requessts and responses are transport independent. Currently they are sent using XMPP
+ * MUC private messages.
+ */
+export class OlmAdapter extends Listenable {
+    /**
+     * Indicates if a message is one of the messages of the protocol implemented by this class.
+     *
+     * @param {Object} message - The message.
+     * @returns {boolean}
+     */
+    static isOlmMessage(message: any): boolean;
+    /**
+     * Indicates if olm is supported on the current platform.
+     *
+     * @returns {boolean}
+     */
+    static isSupported(): boolean;
+    _conf: any;
+    _init: Deferred;
+    _key: boolean | Uint8Array;
+    _keyIndex: number;
+    _reqs: Map<any, any>;
+    _sessionInitialization: Deferred;
+    /**
+     * Starts new olm sessions with every other participant that has the participantId "smaller" the localParticipantId.
+     */
+    initSessions(): Promise<void>;
+    /**
+     * Updates the current participant key and distributes it to all participants in the conference
+     * by sending a key-info message.
+     *
+     * @param {Uint8Array|boolean} key - The new key.
+     * @retrns {Promise<Number>}
+     */
+    updateKey(key: Uint8Array | boolean): Promise<number>;
+    /**
+     * Updates the current participant key.
+     * @param {Uint8Array|boolean} key - The new key.
+     * @returns {number}
+    */
+    updateCurrentKey(key: Uint8Array | boolean): number;
+    /**
+     * Frees the olmData session for the given participant.
+     *
+     */
+    clearParticipantSession(participant: any): void;
+    /**
+     * Encrypts a message for a participant with their olm session. The result is to be sent to the participant, by
+     * any transport, and is decrypted on their side into a {@link OlmAdapterEvents.PARTICIPANT_MESSAGE_DECRYPTED}
+     * event.
+     *
+     * @param {JitsiParticipant} participant - The participant the message is for.
+     * @param {Object} content - The message, anything which can be serialized to JSON.
+     * @returns {Object|undefined} The encrypted message or undefined if there is no session with the participant.
+     */
+    encryptMessage(participant: JitsiParticipant, content: any): any | undefined;
+    /**
+     * Starts the verification of the identity key of a participant with a short authentication string. The string is
+     * emitted with {@link OlmAdapterEvents.PARTICIPANT_SAS_READY} on both sides once the SAS keys were exchanged.
+     *
+     * @param {JitsiParticipant} participant - The participant to verify.
+     * @returns {void}
+     */
+    startVerification(participant: JitsiParticipant): void;
+    /**
+     * Records whether the user confirmed that the short authentication string shown for a participant matches the one
+     * shown to the participant. When it does, the identity key of the local participant is authenticated for the
+     * participant and the verification completes once the participant did the same.
+     *
+     * @param {JitsiParticipant} participant - The participant being verified.
+     * @param {boolean} isVerified - Whether the strings match.
+     * @returns {void}
+     */
+    markParticipantVerified(participant: JitsiParticipant, isVerified: boolean): void;
+    /**
+     * Frees the olmData sessions for all participants.
+     *
+     */
+    clearAllParticipantsSessions(): void;
+    /**
+     * Internal helper to bootstrap the olm library.
+     *
+     * @returns {Promise<void>}
+     * @private
+     */
+    private _bootstrapOlm;
+    _olmAccount: any;
+    _idKey: any;
+    /**
+     * Frees the SAS verification with a participant, if any.
+     *
+     * @param {Object} olmData - The olm related data of the participant.
+     * @returns {void}
+     * @private
+     */
+    private _clearSasVerification;
+    /**
+     * Ends the SAS verification with a participant.
+     *
+     * @param {JitsiParticipant} participant - The participant being verified.
+     * @param {boolean} success - Whether the identity key of the participant was verified.
+     * @param {string} [message] - Why the verification failed.
+     * @returns {void}
+     * @private
+     */
+    private _completeVerification;
+    /**
+     * Computes the commitment sent in a sas-accept message.
+     *
+     * @param {string} pubKey - The SAS public key of the participant accepting the verification.
+     * @param {Object} startContent - The data of the sas-start message.
+     * @returns {string}
+     * @private
+     */
+    private _computeSasCommitment;
+    /**
+     * Returns the info the SAS bytes are generated with. It binds the SAS to the identity keys of both participants,
+     * the remote one being the key the session was established with, and to the transaction.
+     *
+     * @param {JitsiParticipant} participant - The participant being verified.
+     * @param {Object} verification - The verification.
+     * @returns {string}
+     * @private
+     */
+    private _getSasInfo;
+    /**
+     * Returns the info the MAC of the identity key sent in a sas-mac message is calculated with.
+     *
+     * @param {string} senderId - The id of the participant sending the MAC.
+     * @param {string} receiverId - The id of the participant receiving it.
+     * @param {string} transactionId - The id of the verification.
+     * @returns {string}
+     * @private
+     */
+    private _getSasMacInfo;
+    /**
+     * Handles the SAS messages of a verification.
+     *
+     * @param {JitsiParticipant} participant - The participant who sent the message.
+     * @param {Object} msg - The message.
+     * @returns {void}
+     * @private
+     */
+    private _handleSasMessage;
+    /**
+     * Sends the SAS public key to a participant being verified.
+     *
+     * @param {JitsiParticipant} participant - The participant being verified.
+     * @param {Object} verification - The verification.
+     * @returns {void}
+     * @private
+     */
+    private _sendSasKey;
+    /**
+     * Checks the MAC a participant sent of their identity key against the one the session with them was established
+     * with, once both users confirmed that the short authentication strings match.
+     *
+     * @param {JitsiParticipant} participant - The participant being verified.
+     * @returns {void}
+     * @private
+     */
+    private _verifySasMac;
+    /**
+     * Internal helper for encrypting the current key information for a given participant.
+     *
+     * @param {Olm.Session} session - Participant's session.
+     * @returns {string} - The encrypted text with the key information.
+     * @private
+     */
+    private _encryptKeyInfo;
+    /**
+     * Internal helper for getting the olm related data associated with a participant.
+     *
+     * @param {JitsiParticipant} participant - Participant whose data wants to be extracted.
+     * @returns {Object}
+     * @private
+     */
+    private _getParticipantOlmData;
+    /**
+     * Handles leaving the conference, cleaning up olm sessions.
+     *
+     * @private
+     */
+    private _onConferenceLeft;
+    /**
+     * Main message handler. Handles 1-to-1 messages received from other participants
+     * and send the appropriate replies.
+     *
+     * @private
+     */
+    private _onEndpointMessageReceived;
+    /**
+     * Handles a participant leaving. When a participant leaves their olm session is destroyed.
+     *
+     * @private
+     */
+    private _onParticipantLeft;
+    /**
+    * Handles an update in a participant's presence property.
+    *
+    * @param {JitsiParticipant} participant - The participant.
+    * @param {string} name - The name of the property that changed.
+    * @param {*} oldValue - The property's previous value.
+    * @param {*} newValue - The property's new value.
+    * @private
+    */
+    private _onParticipantPropertyChanged;
+    /**
+     * Builds and sends an error message to the target participant.
+     *
+     * @param {JitsiParticipant} participant - The target participant.
+     * @param {string} error - The error message.
+     * @returns {void}
+     */
+    _sendError(participant: JitsiParticipant, error: string): void;
+    /**
+     * Internal helper to send the given object to the given participant ID.
+     * This function merely exists so the transport can be easily swapped.
+     * Currently messages are transmitted via XMPP MUC private messages.
+     *
+     * @param {object} data - The data that will be sent to the target participant.
+     * @param {string} participantId - ID of the target participant.
+     */
+    _sendMessage(data: object, participantId: string): void;
+    /**
+     * Builds and sends the session-init request to the target participant.
+     *
+     * @param {JitsiParticipant} participant - Participant to whom we'll send the request.
+     * @returns {Promise} - The promise will be resolved when the session-ack is received.
+     * @private
+     */
+    private _sendSessionInit;
+}
+export namespace OlmAdapter {
+    export { OlmAdapterEvents as events };
+}
+import Listenable from "../util/Listenable";
+import Deferred from "../util/Deferred";
+declare namespace OlmAdapterEvents {
+    const OLM_ID_KEY_READY: string;
+    const PARTICIPANT_E2EE_CHANNEL_READY: string;
+    const PARTICIPANT_KEY_UPDATED: string;
+    const PARTICIPANT_MESSAGE_DECRYPTED: string;
+    const PARTICIPANT_SAS_READY: string;
+    const PARTICIPANT_VERIFICATION_COMPLETED: string;
+}
+export {};
@@ -0,0 +1,15 @@
+/**
+ * Generates a short authentication string (SAS), both in the decimal and in the emoji form, from the bytes both
+ * participants derived from their SAS key agreement.
+ *
+ * @param {Uint8Array} sasBytes - The bytes, at least {@link SAS_BYTES_LENGTH}.
+ * @returns {{ decimal: Array<number>, emoji: Array<Array<string>> }}
+ */
+export function generateSas(sasBytes: Uint8Array): {
+    decimal: Array<number>;
+    emoji: Array<Array<string>>;
+};
+/**
+ * The number of bytes a short authentication string is generated from.
+ */
+export const SAS_BYTES_LENGTH: 6;
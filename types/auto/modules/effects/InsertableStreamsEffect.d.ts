@@ -0,0 +1,49 @@
+/**
+ * A base for the video effects which process the frames of a track with insertable streams for raw media, i.e.
+ * a {@code MediaStreamTrackProcessor} feeding the frames through a {@code TransformStream} into a
+ * {@code MediaStreamTrackGenerator}. Subclasses implement {@link transform}.
+ *
+ * The effect implements the interface expected by {@link JitsiLocalTrack#setEffects}, so several of them can be
+ * chained on the same track, each processing the output of the previous one.
+ */
+export default class InsertableStreamsEffect {
+    /**
+     * Initializes a new effect.
+     *
+     * @param {string} name - The name of the effect, used for logging.
+     */
+    constructor(name: string);
+    name: string;
+    _abortController: AbortController;
+    _generator: any;
+    _processor: any;
+    /**
+     * Checks whether the effect can be applied on a track.
+     *
+     * @param {JitsiLocalTrack} track - The track.
+     * @returns {boolean}
+     */
+    isEnabled(track: JitsiLocalTrack): boolean;
+    /**
+     * Starts processing the video of a stream.
+     *
+     * @param {MediaStream} stream - The stream to process.
+     * @returns {MediaStream} The stream with the processed video.
+     */
+    startEffect(stream: MediaStream): MediaStream;
+    /**
+     * Stops processing the video and stops the processed track.
+     *
+     * @returns {void}
+     */
+    stopEffect(): void;
+    /**
+     * Processes a frame. The default implementation passes it through unchanged. Implementations must either
+     * enqueue the frame or close it, and enqueue a new {@code VideoFrame} in its place.
+     *
+     * @param {Object} frame - The {@code VideoFrame} to process.
+     * @param {TransformStreamDefaultController} controller - The controller to enqueue the processed frame with.
+     * @returns {void|Promise<void>}
+     */
+    transform(frame: any, controller: TransformStreamDefaultController): void | Promise<void>;
+}
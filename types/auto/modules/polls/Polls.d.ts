@@ -0,0 +1,178 @@
+/**
+ * The 'type' of a message which announces a new poll.
+ * @type {string}
+ */
+export const POLL_CREATE: string;
+/**
+ * The 'type' of a message which carries a vote of a participant.
+ * @type {string}
+ */
+export const POLL_VOTE: string;
+/**
+ * The 'type' of a message which closes a poll.
+ * @type {string}
+ */
+export const POLL_CLOSE: string;
+/**
+ * The 'type' of a message which carries the state of all polls, sent to
+ * participants joining after the polls were created.
+ * @type {string}
+ */
+export const POLL_STATE: string;
+/**
+ * Implements in-call polls on top of the JSON messages sent through the MUC.
+ * The MUC delivers the messages in the same order to everyone, so applying them
+ * in order keeps the polls consistent across participants. Participants joining
+ * later get the current state from the remaining participant with the smallest
+ * id, the state is only accepted once and from that participant.
+ *
+ * A poll is represented as:
+ * {
+ *     id: string,
+ *     senderId: string,
+ *     question: string,
+ *     answers: Array<{ name: string, voters: Array<string> }>,
+ *     closed: boolean
+ * }
+ */
+export default class Polls {
+    /**
+     * Initializes a new Polls instance.
+     *
+     * @param {JitsiConference} conference - The conference.
+     * @param {Function} sendMessage - The function to use to send a message,
+     * receives the message object and optionally the id of the recipient.
+     */
+    constructor(conference: JitsiConference, sendMessage: Function);
+    conference: JitsiConference;
+    eventEmitter: any;
+    sendMessage: Function;
+    /**
+     * The polls known to the local participant, by id.
+     * @type {Object}
+     */
+    _polls: any;
+    /**
+     * The id of the participant expected to send the state of the polls
+     * after the local participant joined, undefined once it was received
+     * or when nobody is expected to send it.
+     * @type {string|undefined}
+     */
+    _stateSenderId: string | undefined;
+    /**
+     * Picks the participant expected to send the state of the polls, the same
+     * way the participants already in the conference pick who sends it.
+     *
+     * @private
+     * @returns {void}
+     */
+    private _onConferenceJoined;
+    /**
+     * Handles a message that was received.
+     *
+     * @param {JitsiParticipant} participant - The message sender.
+     * @param {Object} payload - The payload of the message.
+     * @private
+     * @returns {void}
+     */
+    private _onMessageReceived;
+    /**
+     * Sends the state of the polls to a participant joining the conference, if
+     * the local participant is the one responsible for it.
+     *
+     * @param {string} id - The id of the participant who joined.
+     * @param {JitsiParticipant} participant - The participant who joined.
+     * @private
+     * @returns {void}
+     */
+    private _onUserJoined;
+    /**
+     * Creates a new poll and announces it to everyone in the conference.
+     *
+     * @param {string} question - The question.
+     * @param {Array<string>} answers - The possible answers.
+     * @returns {string|undefined} The id of the new poll or undefined if the
+     * poll is not valid.
+     */
+    createPoll(question: string, answers: Array<string>): string | undefined;
+    /**
+     * Casts the vote of the local participant, replacing any previous vote.
+     *
+     * @param {string} pollId - The id of the poll.
+     * @param {Array<number>} answerIndexes - The indexes of the chosen answers.
+     * An empty array retracts the vote.
+     * @returns {void}
+     */
+    vote(pollId: string, answerIndexes: Array<number>): void;
+    /**
+     * Closes a poll so no more votes are accepted. Only the author of the poll
+     * or a moderator can close it.
+     *
+     * @param {string} pollId - The id of the poll.
+     * @returns {void}
+     */
+    closePoll(pollId: string): void;
+    /**
+     * Returns a poll.
+     *
+     * @param {string} pollId - The id of the poll.
+     * @returns {Object|undefined}
+     */
+    getPoll(pollId: string): any | undefined;
+    /**
+     * Returns all the polls known to the local participant.
+     *
+     * @returns {Array<Object>}
+     */
+    getPolls(): Array<any>;
+    /**
+     * Returns the number of votes for each answer of a poll.
+     *
+     * @param {string} pollId - The id of the poll.
+     * @returns {Array<number>|undefined}
+     */
+    getTally(pollId: string): Array<number> | undefined;
+    /**
+     * Stops listening for conference events.
+     *
+     * @returns {void}
+     */
+    dispose(): void;
+    /**
+     * Stores a poll and fires {@link JitsiConferenceEvents.POLL_CREATED}.
+     *
+     * @param {Object} poll - The poll.
+     * @private
+     * @returns {void}
+     */
+    private _addPoll;
+    /**
+     * Records a vote in a poll, replacing any previous vote of the same voter.
+     *
+     * @param {Object} poll - The poll.
+     * @param {string} voterId - The id of the participant who voted.
+     * @param {Array<number>} answerIndexes - The indexes of the chosen answers.
+     * @private
+     * @returns {boolean} Whether the vote was valid and was applied.
+     */
+    private _applyVote;
+    /**
+     * Marks a poll as closed and fires {@link JitsiConferenceEvents.POLL_CLOSED}.
+     *
+     * @param {Object} poll - The poll.
+     * @private
+     * @returns {void}
+     */
+    private _closePoll;
+    /**
+     * Merges a poll received as part of the state sync into the local state.
+     * The state can only close a poll when it is sent by the author of the
+     * poll or by a moderator.
+     *
+     * @param {JitsiParticipant} sender - The participant who sent the state.
+     * @param {Object} state - The poll as sent by the remote participant.
+     * @private
+     * @returns {void}
+     */
+    private _onPollState;
+}
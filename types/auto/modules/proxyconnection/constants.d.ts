@@ -0,0 +1,8 @@
+export namespace ACTIONS {
+    const ACCEPT: string;
+    const CONNECTION_ERROR: string;
+    const INITIATE: string;
+    const TERMINATE: string;
+    const TRANSPORT_INFO: string;
+    const UNAVAILABLE: string;
+}
@@ -0,0 +1,67 @@
+/**
+ * The class adapts the bitrate of the video senders of the media sessions({@link JingleSessionPC}) of a
+ * {@link JitsiConference} to the network conditions reported by the local stats: the upload packet loss, the round
+ * trip time and the available outgoing bitrate. The bitrate is decreased when the network is congested and probed
+ * upwards otherwise, and the simulcast layers which don't fit in it are turned off, see
+ * {@link TraceablePeerConnection#setSenderBitrateCap}. The application can also cap the bandwidth used for the video
+ * of the conference, whether the adaptation is enabled or not.
+ */
+export class SendBitrateController {
+    /**
+     * Creates new instance for a given conference.
+     *
+     * @param {JitsiConference} conference - the conference instance for which the new instance will be managing
+     * the send bitrate.
+     */
+    constructor(conference: JitsiConference);
+    conference: JitsiConference;
+    adaptiveBitrateEnabled: boolean;
+    /**
+     * The bandwidth cap set by the application, in bps.
+     * @type {number|undefined}
+     */
+    _bandwidthCap: number | undefined;
+    /**
+     * The send bitrate estimated for each media session from its stats, in bps.
+     * @type {WeakMap<TraceablePeerConnection, number>}
+     */
+    _estimates: WeakMap<TraceablePeerConnection, number>;
+    /**
+     * The bitrate last applied on each media session, in bps.
+     * @type {WeakMap<TraceablePeerConnection, number>}
+     */
+    _appliedBitrates: WeakMap<TraceablePeerConnection, number>;
+    /**
+     * Applies the lower of the bandwidth cap and of the bitrate estimated for a media session on its video sender.
+     *
+     * @param {JingleSessionPC} mediaSession - the media session.
+     * @returns {Promise<void>}
+     * @private
+     */
+    private _applyBitrate;
+    /**
+     * Estimates the send bitrate of a media session from its local stats, see
+     * {@link StatisticsEvents.CONNECTION_STATS}. The bitrate is decreased in proportion to the packet loss when the
+     * loss is high, by a fixed factor when the round trip time is high, and increased when the loss is low. It never
+     * exceeds the available outgoing bitrate estimated by the browser.
+     *
+     * @param {TraceablePeerConnection} tpc - the peer connection the stats are about.
+     * @param {Object} stats - the stats.
+     * @returns {void}
+     * @private
+     */
+    private _onConnectionStats;
+    /**
+     * Returns the bandwidth cap set by the application.
+     *
+     * @returns {number|undefined} the cap in bps.
+     */
+    getBandwidthCap(): number | undefined;
+    /**
+     * Caps the bandwidth used for sending video in all the media sessions of the conference.
+     *
+     * @param {number|undefined} bitrate - the cap in bps, <tt>undefined</tt> to remove it.
+     * @returns {Promise<void[]>} - resolved when the operation is complete.
+     */
+    setBandwidthCap(bitrate: number | undefined): Promise<void[]>;
+}
@@ -0,0 +1,143 @@
+/**
+ * Parses the value of the raised hand property.
+ *
+ * @param {string|undefined} value - The value of the property.
+ * @returns {number|undefined} The timestamp or undefined if the hand is down.
+ */
+export function parseTimestamp(value: string | undefined): number | undefined;
+/**
+ * The name of the participant property which holds the time at which the hand
+ * was raised. An empty value means the hand is down.
+ * @type {string}
+ */
+export const RAISED_HAND_PROPERTY: string;
+/**
+ * The 'type' of a message with which a moderator asks a participant to lower
+ * their hand.
+ * @type {string}
+ */
+export const LOWER_HAND_REQUEST: string;
+/**
+ * Keeps track of the raised hands in the conference. The state of the hand is
+ * advertised in presence, as a participant property holding the time the hand
+ * was raised, so participants joining later see it too. The clocks of the
+ * participants can't be compared though, the queue is ordered by when the
+ * raised hands were learnt of locally instead.
+ */
+export default class RaisedHands {
+    /**
+     * Initializes a new RaisedHands instance.
+     *
+     * @param {JitsiConference} conference - The conference.
+     * @param {Function} sendMessage - The function to use to send a message,
+     * receives the message object and the id of the recipient.
+     */
+    constructor(conference: JitsiConference, sendMessage: Function);
+    conference: JitsiConference;
+    eventEmitter: any;
+    sendMessage: Function;
+    /**
+     * The position of the raised hands in the queue, by participant id.
+     * @type {Map<string, number>}
+     */
+    _queuePositions: Map<string, number>;
+    _nextQueuePosition: number;
+    _onPropertyChanged: (participant: any, name: any, oldValue: any, newValue: any) => void;
+    /**
+     * Handles a message that was received.
+     *
+     * @param {JitsiParticipant} participant - The message sender.
+     * @param {Object} payload - The payload of the message.
+     * @private
+     * @returns {void}
+     */
+    private _onMessageReceived;
+    /**
+     * Removes a participant who left from the queue.
+     *
+     * @param {string} id - The id of the participant.
+     * @private
+     * @returns {void}
+     */
+    private _onUserLeft;
+    /**
+     * Raises the hand of the local participant.
+     *
+     * @returns {void}
+     */
+    raiseHand(): void;
+    /**
+     * Lowers the hand of the local participant.
+     *
+     * @param {JitsiParticipant} [actor] - The moderator who asked for the hand
+     * to be lowered, if any.
+     * @returns {void}
+     */
+    lowerHand(actor?: JitsiParticipant): void;
+    /**
+     * Asks a remote participant to lower their hand. Only moderators can do
+     * that.
+     *
+     * @param {string} id - The id of the participant.
+     * @returns {void}
+     */
+    lowerRemoteHand(id: string): void;
+    /**
+     * Lowers all the raised hands, including the one of the local participant.
+     * Only moderators can do that.
+     *
+     * @returns {Array<string>} The ids of the remote participants who were
+     * asked to lower their hand.
+     */
+    lowerAllHands(): Array<string>;
+    /**
+     * Returns the time at which the local participant raised their hand.
+     *
+     * @returns {number|undefined}
+     */
+    getLocalTimestamp(): number | undefined;
+    /**
+     * Returns the participants with their hand raised, in the order in which
+     * they raised it, as seen by the local participant.
+     *
+     * @returns {Array<{participantId: string, timestamp: number}>}
+     */
+    getQueue(): Array<{
+        participantId: string;
+        timestamp: number;
+    }>;
+    /**
+     * Stops listening for conference events.
+     *
+     * @returns {void}
+     */
+    dispose(): void;
+    /**
+     * Puts a participant at the end of the queue, unless they're already in it.
+     *
+     * @param {string} id - The id of the participant.
+     * @private
+     * @returns {void}
+     */
+    private _enqueue;
+    /**
+     * Returns the position of a raised hand in the queue.
+     *
+     * @param {string} id - The id of the participant.
+     * @private
+     * @returns {number}
+     */
+    private _getQueuePosition;
+    /**
+     * Updates the queue and fires the raised hand events when the raised hand
+     * property of a remote participant changes.
+     *
+     * @param {JitsiParticipant} participant - The participant.
+     * @param {Object} values - The values of the property.
+     * @param {string} values.oldValue - The previous value.
+     * @param {string} values.newValue - The new value.
+     * @private
+     * @returns {void}
+     */
+    private _onRaisedHandChanged;
+}
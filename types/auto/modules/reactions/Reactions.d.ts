@@ -0,0 +1,89 @@
+/**
+ * The 'type' of a message which carries a reaction.
+ * @type {string}
+ */
+export const REACTION_MESSAGE: string;
+/**
+ * Implements a rate limited channel for reactions (e.g. emojis) over the JSON
+ * messages sent through the MUC. The limit applies both to the reactions sent by
+ * the local participant and to those received from each remote participant.
+ */
+export default class Reactions {
+    /**
+     * Initializes a new Reactions instance.
+     *
+     * @param {JitsiConference} conference - The conference.
+     * @param {Function} sendMessage - The function to use to broadcast a
+     * message.
+     * @param {Object} [options] - The rate limiting options.
+     * @param {number} [options.max] - How many reactions can be sent per
+     * interval.
+     * @param {number} [options.interval] - The length of the interval, in ms.
+     */
+    constructor(conference: JitsiConference, sendMessage: Function, options?: {
+        max?: number;
+        interval?: number;
+    });
+    conference: JitsiConference;
+    eventEmitter: any;
+    sendMessage: Function;
+    max: number;
+    interval: number;
+    _localLimiter: RateLimiter;
+    _remoteLimiters: {};
+    /**
+     * Handles a message that was received.
+     *
+     * @param {JitsiParticipant} participant - The message sender.
+     * @param {Object} payload - The payload of the message.
+     * @private
+     * @returns {void}
+     */
+    private _onMessageReceived;
+    /**
+     * Forgets the rate limiting state of a participant who left.
+     *
+     * @param {string} id - The ID of the participant.
+     * @private
+     * @returns {void}
+     */
+    private _onUserLeft;
+    /**
+     * Sends a reaction to everyone in the conference.
+     *
+     * @param {string} reaction - The reaction, e.g. an emoji or a name the
+     * application understands.
+     * @returns {boolean} Whether the reaction was sent, <tt>false</tt> if the
+     * rate limit was exceeded.
+     */
+    sendReaction(reaction: string): boolean;
+    /**
+     * Stops listening for conference events.
+     *
+     * @returns {void}
+     */
+    dispose(): void;
+}
+/**
+ * Sliding window rate limiter.
+ */
+declare class RateLimiter {
+    /**
+     * Creates a RateLimiter.
+     *
+     * @param {number} max - How many events are allowed per interval.
+     * @param {number} interval - The length of the interval, in ms.
+     */
+    constructor(max: number, interval: number);
+    max: number;
+    interval: number;
+    timestamps: any[];
+    /**
+     * Records an event if it is within the limit.
+     *
+     * @param {number} now - The current time, in ms.
+     * @returns {boolean} Whether the event is allowed.
+     */
+    tryAcquire(now: number): boolean;
+}
+export {};
@@ -0,0 +1,173 @@
+/**
+ * Records the conference locally, in the browser, without Jibri. The audio of the remote participants, and
+ * optionally of the local participant, is mixed with an {@link AudioMixer}. The video is either a track chosen by
+ * the application or a grid of all the video tracks in the conference. The result is a WebM file.
+ */
+export default class LocalRecorder {
+    /**
+     * Checks whether local recording is supported by the browser.
+     *
+     * @returns {boolean}
+     */
+    static isSupported(): boolean;
+    /**
+     * Creates a LocalRecorder.
+     *
+     * @param {JitsiConference} conference - The conference to record.
+     */
+    constructor(conference: JitsiConference);
+    conference: JitsiConference;
+    eventEmitter: any;
+    _status: string;
+    _chunks: any[];
+    _size: number;
+    _options: {};
+    _mediaRecorder: MediaRecorder;
+    _audioMixer: AudioMixer;
+    _compositor: VideoCompositor;
+    _stopPromise: Promise<any>;
+    /**
+     * The audio tracks added to the mixer, mapped to the stream they were added with.
+     * @type {Map<JitsiTrack, MediaStream>}
+     */
+    _mixedTracks: Map<JitsiTrack, MediaStream>;
+    /**
+     * Adds the new tracks to the recording.
+     *
+     * @param {JitsiTrack} track - The track which was added to the conference.
+     * @private
+     * @returns {void}
+     */
+    private _onTrackAdded;
+    /**
+     * Removes the tracks which left the conference from the recording.
+     *
+     * @param {JitsiTrack} track - The track which was removed from the conference.
+     * @private
+     * @returns {void}
+     */
+    private _onTrackRemoved;
+    /**
+     * Starts recording.
+     *
+     * @param {Object} [options] - The options.
+     * @param {JitsiTrack} [options.videoTrack] - The video track to record. When not set, all the video tracks in
+     * the conference are composited in a grid.
+     * @param {boolean} [options.audioOnly] - Whether to record audio only.
+     * @param {boolean} [options.includeLocalAudio] - Whether to mix the local audio in, defaults to true.
+     * @param {number} [options.maxSize] - The maximum size of the recording, in bytes. The recording stops when it is
+     * reached.
+     * @param {number} [options.timeslice] - How often, in ms, the recorded data is collected.
+     * @param {number} [options.videoBitsPerSecond] - The bitrate of the recorded video.
+     * @param {number} [options.width] - The width of the composited video, in pixels.
+     * @param {number} [options.height] - The height of the composited video, in pixels.
+     * @param {number} [options.frameRate] - The frame rate of the composited video.
+     * @returns {void}
+     */
+    start(options?: {
+        videoTrack?: JitsiTrack;
+        audioOnly?: boolean;
+        includeLocalAudio?: boolean;
+        maxSize?: number;
+        timeslice?: number;
+        videoBitsPerSecond?: number;
+        width?: number;
+        height?: number;
+        frameRate?: number;
+    }): void;
+    /**
+     * Pauses the recording.
+     *
+     * @returns {void}
+     */
+    pause(): void;
+    /**
+     * Resumes a paused recording.
+     *
+     * @returns {void}
+     */
+    resume(): void;
+    /**
+     * Stops the recording.
+     *
+     * @param {string} [reason] - Why the recording is stopped, one of
+     * {@link recordingConstants.localStopReason}, unset when requested by the application.
+     * @returns {Promise<Blob>} Resolved with the recording once all the data has been collected.
+     */
+    stop(reason?: string): Promise<Blob>;
+    /**
+     * Returns the data recorded so far.
+     *
+     * @returns {Blob|undefined}
+     */
+    getBlob(): Blob | undefined;
+    /**
+     * Returns the size of the data recorded so far, in bytes.
+     *
+     * @returns {number}
+     */
+    getSize(): number;
+    /**
+     * Returns the status of the recording, one of {@link recordingConstants.localStatus}.
+     *
+     * @returns {string}
+     */
+    getStatus(): string;
+    /**
+     * Mixes the audio tracks to be recorded. The mixer is started even if there is no audio yet: MediaRecorder
+     * doesn't support adding tracks once started, the audio of the participants is mixed in as their tracks are
+     * added.
+     *
+     * @private
+     * @returns {MediaStreamTrack} The mixed audio track.
+     */
+    private _startAudio;
+    /**
+     * Sets up the video track to be recorded.
+     *
+     * @private
+     * @returns {MediaStreamTrack|undefined}
+     */
+    private _startVideo;
+    /**
+     * Adds an audio track to the mixer.
+     *
+     * @param {JitsiTrack} track - The audio track.
+     * @private
+     * @returns {void}
+     */
+    private _addAudioTrack;
+    /**
+     * Returns the tracks of the remote participants.
+     *
+     * @private
+     * @returns {Array<JitsiRemoteTrack>}
+     */
+    private _getParticipantsTracks;
+    /**
+     * Collects the recorded data and stops the recording if the size limit is reached.
+     *
+     * @param {BlobEvent} event - The event.
+     * @private
+     * @returns {void}
+     */
+    private _onDataAvailable;
+    /**
+     * Releases everything which was set up for the recording. The recorded data is kept.
+     *
+     * @private
+     * @returns {void}
+     */
+    private _cleanup;
+    /**
+     * Updates the status and fires {@link JitsiConferenceEvents.LOCAL_RECORDING_STATUS_CHANGED}.
+     *
+     * @param {string} status - The new status.
+     * @param {string} [reason] - Why the recording stopped.
+     * @private
+     * @returns {void}
+     */
+    private _setStatus;
+}
+import AudioMixer from "../webaudio/AudioMixer";
+import VideoCompositor from "./VideoCompositor";
@@ -0,0 +1,122 @@
+/**
+ * @typedef {Object} TrackRecordingResult
+ * @property {Blob|undefined} blob - The recorded data, undefined if nothing was recorded.
+ * @property {string} mimeType - The mime type of the recorded data.
+ * @property {Date} startTime - When the recording started.
+ * @property {Date} endTime - When the recording stopped.
+ * @property {string} participantId - The id of the participant owning the track.
+ */
+/**
+ * Records a single {@link JitsiTrack}, local or remote, audio or video, with a MediaRecorder. It takes the same
+ * approach as the {@code AudioRecorder} used for transcription, but it isn't bound to a conference. The recorded
+ * data is kept in memory until the recording stops, and is also handed over as it is collected through the
+ * {@link JitsiTrackEvents.TRACK_RECORDING_DATA} event of the track.
+ *
+ * The recording stops on its own when the underlying MediaStreamTrack ends, e.g. when the remote participant leaves
+ * or when the track is disposed.
+ */
+export default class TrackRecorder {
+    /**
+     * Checks whether track recording is supported by the browser.
+     *
+     * @returns {boolean}
+     */
+    static isSupported(): boolean;
+    /**
+     * Determines the mime type to record a track with.
+     *
+     * @param {JitsiTrack} track - The track.
+     * @returns {string|undefined} The first mime type supported by the browser for the kind of the track, undefined
+     * if there is none.
+     */
+    static getSupportedMimeType(track: JitsiTrack): string | undefined;
+    /**
+     * Creates a recorder for a track.
+     *
+     * @param {JitsiTrack} track - The track to record.
+     * @param {Object} [options] - The options.
+     * @param {string} [options.mimeType] - The mime type of the recorded data. When not set, the first type supported
+     * by the browser for the kind of the track is used.
+     * @param {number} [options.timeslice] - How often, in ms, the recorded data is collected. When not set, the data
+     * is collected only once the recording stops.
+     * @param {number} [options.bitsPerSecond] - The bitrate of the recorded data.
+     */
+    constructor(track: JitsiTrack, options?: {
+        mimeType?: string;
+        timeslice?: number;
+        bitsPerSecond?: number;
+    });
+    track: JitsiTrack;
+    _options: {
+        mimeType?: string;
+        timeslice?: number;
+        bitsPerSecond?: number;
+    };
+    _chunks: any[];
+    _mediaRecorder: MediaRecorder;
+    _mimeType: string;
+    _startTime: Date;
+    _stopPromise: Promise<any>;
+    _resolveStop: (value: any) => void;
+    /**
+     * Returns whether the track is being recorded.
+     *
+     * @returns {boolean}
+     */
+    isRecording(): boolean;
+    /**
+     * Starts recording.
+     *
+     * @fires JitsiTrackEvents.TRACK_RECORDING_STARTED
+     * @returns {void}
+     */
+    start(): void;
+    /**
+     * Stops recording. When the recording already stopped on its own, because the track ended, but the recorded data
+     * is still being collected, the result is still returned.
+     *
+     * @returns {Promise<TrackRecordingResult|undefined>} Resolved once all the recorded data has been collected,
+     * with undefined if the track wasn't being recorded.
+     */
+    stop(): Promise<TrackRecordingResult | undefined>;
+    /**
+     * Collects the recorded data.
+     *
+     * @param {BlobEvent} event - The event with the data.
+     * @fires JitsiTrackEvents.TRACK_RECORDING_DATA
+     * @private
+     * @returns {void}
+     */
+    private _onDataAvailable;
+    /**
+     * Assembles the result once the MediaRecorder stopped, whether it was stopped by {@link #stop} or because the
+     * track ended.
+     *
+     * @fires JitsiTrackEvents.TRACK_RECORDING_STOPPED
+     * @private
+     * @returns {void}
+     */
+    private _onStop;
+}
+export type TrackRecordingResult = {
+    /**
+     * - The recorded data, undefined if nothing was recorded.
+     */
+    blob: Blob | undefined;
+    /**
+     * - The mime type of the recorded data.
+     */
+    mimeType: string;
+    /**
+     * - When the recording started.
+     */
+    startTime: Date;
+    /**
+     * - When the recording stopped.
+     */
+    endTime: Date;
+    /**
+     * - The id of the participant owning the track.
+     */
+    participantId: string;
+};
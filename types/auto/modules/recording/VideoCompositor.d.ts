@@ -0,0 +1,64 @@
+/**
+ * Draws a set of video tracks as a grid of tiles on a canvas and exposes the result as a single video
+ * MediaStreamTrack, captured from the canvas.
+ */
+export default class VideoCompositor {
+    /**
+     * Creates a VideoCompositor.
+     *
+     * @param {Object} [options] - The options.
+     * @param {number} [options.width] - The width of the output, in pixels.
+     * @param {number} [options.height] - The height of the output, in pixels.
+     * @param {number} [options.frameRate] - The frame rate of the output.
+     */
+    constructor(options?: {
+        width?: number;
+        height?: number;
+        frameRate?: number;
+    });
+    _width: number;
+    _height: number;
+    _frameRate: number;
+    /**
+     * The video elements which play the composited tracks, by track.
+     * @type {Map<JitsiTrack, HTMLVideoElement>}
+     */
+    _tiles: Map<JitsiTrack, HTMLVideoElement>;
+    _canvas: HTMLCanvasElement;
+    _context: CanvasRenderingContext2D;
+    _interval: number;
+    _stream: MediaStream;
+    /**
+     * Adds a video track to the grid.
+     *
+     * @param {JitsiTrack} track - The video track.
+     * @returns {void}
+     */
+    addTrack(track: JitsiTrack): void;
+    /**
+     * Removes a video track from the grid.
+     *
+     * @param {JitsiTrack} track - The video track.
+     * @returns {void}
+     */
+    removeTrack(track: JitsiTrack): void;
+    /**
+     * Starts drawing the tiles.
+     *
+     * @returns {MediaStreamTrack} The composited video track.
+     */
+    start(): MediaStreamTrack;
+    /**
+     * Stops drawing and releases the tiles.
+     *
+     * @returns {void}
+     */
+    stop(): void;
+    /**
+     * Draws a frame, laying out the tiles in the smallest square-ish grid which fits them all.
+     *
+     * @private
+     * @returns {void}
+     */
+    private _draw;
+}
@@ -0,0 +1,30 @@
+declare namespace _default {
+    namespace error {
+        const BUSY: string;
+        const ERROR: string;
+        const RESOURCE_CONSTRAINT: string;
+        const SERVICE_UNAVAILABLE: string;
+    }
+    namespace localStatus {
+        const OFF: string;
+        const ON: string;
+        const PAUSED: string;
+    }
+    namespace localStopReason {
+        const ERROR_1: string;
+        export { ERROR_1 as ERROR };
+        export const SIZE_LIMIT: string;
+    }
+    namespace mode {
+        const FILE: string;
+        const STREAM: string;
+    }
+    namespace status {
+        const OFF_1: string;
+        export { OFF_1 as OFF };
+        const ON_1: string;
+        export { ON_1 as ON };
+        export const PENDING: string;
+    }
+}
+export default _default;
@@ -0,0 +1,131 @@
+/**
+ * The 'type' of a message which carries a caption, broadcast by a participant
+ * running a streaming transcriber.
+ * @type {string}
+ */
+export const CAPTION_MESSAGE: string;
+/**
+ * Turns the results of a streaming {@link Transcriber} into
+ * {@link JitsiConferenceEvents.CAPTION_RECEIVED} events, and optionally
+ * broadcasts them so that participants who don't run a transcriber can show
+ * subtitles too.
+ *
+ * A caption is represented as:
+ * {
+ *     id: string,
+ *     participant: JitsiParticipant|undefined,
+ *     participantId: string,
+ *     transcriberId: string,
+ *     text: string,
+ *     isFinal: boolean,
+ *     begin: number,
+ *     end: number
+ * }
+ * The interim captions of a segment share the id of the final one, so they can
+ * be replaced as the segment is being recognised. The participant is undefined
+ * when the local participant spoke. Begin and end are in ms relative to the
+ * start of the conference.
+ */
+export default class LiveCaptions {
+    /**
+     * Initializes a new LiveCaptions instance.
+     *
+     * @param {JitsiConference} conference - The conference.
+     * @param {Function} sendMessage - The function to use to broadcast a
+     * message.
+     */
+    constructor(conference: JitsiConference, sendMessage: Function);
+    conference: JitsiConference;
+    eventEmitter: any;
+    sendMessage: Function;
+    /**
+     * The UTC time the conference was created, reported by the server.
+     * @type {number|undefined}
+     */
+    _conferenceStartTime: number | undefined;
+    /**
+     * The transcriber the captions are coming from and whether they are
+     * broadcast.
+     */
+    _transcriber: any;
+    _broadcast: boolean;
+    /**
+     * The id of the segment being recognised, by participant id.
+     * @type {Object}
+     */
+    _segments: any;
+    /**
+     * Handles a result of the attached transcriber.
+     *
+     * @param {Object} result - The result, see
+     * {@link Transcriber#addCaptionListener}.
+     * @private
+     * @returns {void}
+     */
+    private _onCaption;
+    /**
+     * Handles a message that was received.
+     *
+     * @param {JitsiParticipant} participant - The message sender.
+     * @param {Object} payload - The payload of the message.
+     * @private
+     * @returns {void}
+     */
+    private _onMessageReceived;
+    /**
+     * Stores the time the conference was created.
+     *
+     * @param {number} timestamp - The UTC time.
+     * @private
+     * @returns {void}
+     */
+    private _onConferenceCreated;
+    /**
+     * Starts emitting the captions produced by a transcriber. Only streaming
+     * transcribers produce captions.
+     *
+     * @param {Transcriber} transcriber - The transcriber.
+     * @param {boolean} [broadcast] - Whether to send the captions to the other
+     * participants.
+     * @returns {void}
+     */
+    attach(transcriber: Transcriber, broadcast?: boolean): void;
+    /**
+     * Stops emitting the captions of the attached transcriber.
+     *
+     * @returns {void}
+     */
+    detach(): void;
+    /**
+     * Changes whether the captions of the attached transcriber are sent to the
+     * other participants.
+     *
+     * @param {boolean} broadcast - Whether to send the captions.
+     * @returns {void}
+     */
+    setBroadcast(broadcast: boolean): void;
+    /**
+     * Stops listening for conference and transcriber events.
+     *
+     * @returns {void}
+     */
+    dispose(): void;
+    /**
+     * Returns the time the conference was created, or the given fallback if the
+     * server didn't report it.
+     *
+     * @param {number} fallback - The time to use if unknown.
+     * @private
+     * @returns {number}
+     */
+    private _getConferenceStartTime;
+    /**
+     * Attributes a caption to the participant who spoke and fires
+     * {@link JitsiConferenceEvents.CAPTION_RECEIVED}.
+     *
+     * @param {Object} caption - The caption.
+     * @private
+     * @returns {void}
+     */
+    private _emit;
+}
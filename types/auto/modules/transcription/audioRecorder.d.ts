@@ -0,0 +1,120 @@
+export = AudioRecorder;
+/**
+ * main exported object of the file, holding all
+ * relevant functions and variables for the outside world
+ * @param jitsiConference the jitsiConference which this object
+ * is going to record
+ * @param {Object} [options] the options of the recorder
+ * @param {number} [options.timeslice] the number of milliseconds to record
+ * into each chunk. Needed to get the audio while it is being recorded
+ * @param {Function} [options.onData] called with the TrackRecorder and the
+ * chunk every time a chunk of audio was recorded
+ */
+declare function AudioRecorder(jitsiConference: any, options?: {
+    timeslice?: number;
+    onData?: Function;
+}): void;
+declare class AudioRecorder {
+    /**
+     * main exported object of the file, holding all
+     * relevant functions and variables for the outside world
+     * @param jitsiConference the jitsiConference which this object
+     * is going to record
+     * @param {Object} [options] the options of the recorder
+     * @param {number} [options.timeslice] the number of milliseconds to record
+     * into each chunk. Needed to get the audio while it is being recorded
+     * @param {Function} [options.onData] called with the TrackRecorder and the
+     * chunk every time a chunk of audio was recorded
+     */
+    constructor(jitsiConference: any, options?: {
+        timeslice?: number;
+        onData?: Function;
+    });
+    recorders: any[];
+    fileType: string;
+    isRecording: boolean;
+    jitsiConference: any;
+    timeslice: number;
+    onData: Function;
+    /**
+     * Adds a new TrackRecorder object to the array.
+     *
+     * @param track the track potentially holding an audio stream
+     */
+    addTrack(track: any): void;
+    /**
+     * Creates a TrackRecorder object. Also creates the MediaRecorder and
+     * data array for the trackRecorder.
+     * @param track the JitsiTrack holding the audio MediaStream(s)
+     */
+    instantiateTrackRecorder(track: any): TrackRecorder;
+    /**
+     * Notifies the module that a specific track has stopped, e.g participant left
+     * the conference.
+     * if the recording has not started yet, the TrackRecorder will be removed from
+     * the array. If the recording has started, the recorder will stop recording
+     * but not removed from the array so that the recorded stream can still be
+     * accessed
+     *
+     * @param {JitsiTrack} track the JitsiTrack to remove from the recording session
+     */
+    removeTrack(track: JitsiTrack): void;
+    /**
+     * Tries to update the name value of all TrackRecorder in the array.
+     * If it hasn't changed,it will keep the exiting name. If it changes to a
+     * undefined value, the old value will also be kept.
+     */
+    updateNames(): void;
+    /**
+     * Starts the audio recording of every local and remote track
+     */
+    start(): void;
+    /**
+     * Stops the audio recording of every local and remote track
+     * @returns {Promise} resolved once the last recorded data of every track was
+     * delivered
+     */
+    stop(): Promise<any>;
+    /**
+     * link hacking to download all recorded audio streams
+     */
+    download(): void;
+    /**
+     * returns the audio files of all recorders as an array of objects,
+     * which include the name of the owner of the track and the starting time stamp
+     * @returns {Array} an array of RecordingResult objects
+     */
+    getRecordingResults(): any[];
+    /**
+     * Gets the mime type of the recorder audio
+     * @returns {String} the mime type of the recorder audio
+     */
+    getFileType(): string;
+}
+declare namespace AudioRecorder {
+    export { determineCorrectFileType };
+}
+/**
+ * A TrackRecorder object holds all the information needed for recording a
+ * single JitsiTrack (either remote or local)
+ * @param track The JitsiTrack the object is going to hold
+ */
+declare function TrackRecorder(track: any): void;
+declare class TrackRecorder {
+    /**
+     * A TrackRecorder object holds all the information needed for recording a
+     * single JitsiTrack (either remote or local)
+     * @param track The JitsiTrack the object is going to hold
+     */
+    constructor(track: any);
+    track: any;
+    recorder: any;
+    data: any;
+    name: any;
+    startTime: any;
+}
+/**
+ * Determines which kind of audio recording the browser supports
+ * chrome supports "audio/webm" and firefox supports "audio/ogg"
+ */
+declare function determineCorrectFileType(): "audio/webm" | "audio/ogg";
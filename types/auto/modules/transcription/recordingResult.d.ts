@@ -0,0 +1,32 @@
+export = RecordingResult;
+/**
+ * This object stores variables needed around the recording of an audio stream
+ * and passing this recording along with additional information along to
+ * different processes
+ * @param blob the recording audio stream as a single blob
+ * @param name the name of the person of the audio stream
+ * @param startTime the time in UTC when recording of the audiostream started
+ * @param wordArray the recorder audio stream transcribed as an array of Word
+ *                  objects
+ * @param participantId the id of the participant of the audio stream
+ */
+declare function RecordingResult(blob: any, name: any, startTime: any, wordArray: any, participantId: any): void;
+declare class RecordingResult {
+    /**
+     * This object stores variables needed around the recording of an audio stream
+     * and passing this recording along with additional information along to
+     * different processes
+     * @param blob the recording audio stream as a single blob
+     * @param name the name of the person of the audio stream
+     * @param startTime the time in UTC when recording of the audiostream started
+     * @param wordArray the recorder audio stream transcribed as an array of Word
+     *                  objects
+     * @param participantId the id of the participant of the audio stream
+     */
+    constructor(blob: any, name: any, startTime: any, wordArray: any, participantId: any);
+    blob: any;
+    name: any;
+    startTime: any;
+    wordArray: any;
+    participantId: any;
+}
@@ -0,0 +1,177 @@
+export = Transcriber;
+/**
+ * This is the main object for handing the Transcription. It interacts with
+ * the audioRecorder to record every person in a conference and sends the
+ * recorder audio to a transcriptionService. The returned speech-to-text result
+ * will be merged to create a transcript.
+ *
+ * With a streaming transcription service the audio is sent while it is being
+ * recorded and the results are reported to the caption listeners as soon as
+ * they are recognised.
+ * @param {JitsiConference} jitsiConference the conference to transcribe
+ * @param {Object} [options] the options of the transcriber
+ * @param {string} [options.service] the name of the transcription service to
+ * use, as registered in the transcriptionServiceRegistry
+ * @param {Object} [options.serviceOptions] the options passed to the
+ * transcription service
+ * @param {string} [options.language] the language spoken in the conference
+ */
+declare function Transcriber(jitsiConference: JitsiConference, options?: {
+    service?: string;
+    serviceOptions?: any;
+    language?: string;
+}): void;
+declare class Transcriber {
+    /**
+     * This is the main object for handing the Transcription. It interacts with
+     * the audioRecorder to record every person in a conference and sends the
+     * recorder audio to a transcriptionService. The returned speech-to-text result
+     * will be merged to create a transcript.
+     *
+     * With a streaming transcription service the audio is sent while it is being
+     * recorded and the results are reported to the caption listeners as soon as
+     * they are recognised.
+     * @param {JitsiConference} jitsiConference the conference to transcribe
+     * @param {Object} [options] the options of the transcriber
+     * @param {string} [options.service] the name of the transcription service to
+     * use, as registered in the transcriptionServiceRegistry
+     * @param {Object} [options.serviceOptions] the options passed to the
+     * transcription service
+     * @param {string} [options.language] the language spoken in the conference
+     */
+    constructor(jitsiConference: JitsiConference, options?: {
+        service?: string;
+        serviceOptions?: any;
+        language?: string;
+    });
+    serviceName: string;
+    serviceOptions: any;
+    language: string;
+    streaming: boolean;
+    audioRecorder: AudioRecorder;
+    transcriptionService: any;
+    streams: Map<any, any>;
+    captionListeners: any[];
+    counter: number;
+    startTime: Date;
+    transcription: string;
+    segments: any[];
+    callback: any;
+    results: any[];
+    state: string;
+    lineLength: number;
+    /**
+     * Method to start the transcription process. It will tell the audioRecorder
+     * to start storing all audio streams and record the start time for merging
+     * purposes
+     */
+    start(): void;
+    /**
+     * Method to stop the transcription process. It will tell the audioRecorder to
+     * stop, and get all the recorded audio to send it to the transcription service
+    
+     * @param callback a callback which will receive the transcription
+     */
+    stop(callback: any): void;
+    /**
+     * Stops the recording and ends the stream of every track on the streaming
+     * transcription service. Once every service reported its last results, the
+     * final words are merged into the transcription.
+     */
+    stopStreams(): void;
+    /**
+     * Sends a chunk of recorded audio to the streaming transcription service,
+     * starting a stream for the track if it's the first chunk.
+     *
+     * @param {Object} trackRecorder the TrackRecorder which recorded the
+     * chunk
+     * @param {Blob} chunk the recorded audio
+     */
+    onAudioChunk(trackRecorder: any, chunk: Blob): void;
+    /**
+     * Handles a result of the streaming transcription service: the begin and end
+     * times of the words are made relative to the start of the transcription,
+     * the final words are stored to be merged and the result is reported to the
+     * caption listeners.
+     *
+     * @param {Object} trackRecorder the TrackRecorder of the transcribed
+     * track
+     * @param {Object} stream the stream the result belongs to
+     * @param {Object} result the result, see
+     * {@link StreamingTranscriptionService#emitResult}
+     */
+    onStreamingResult(trackRecorder: any, stream: any, result: any): void;
+    /**
+     * Adds a function which will be called with every result of the streaming
+     * transcription service. It receives an object with the id and the name of
+     * the participant who spoke, the recognised text and words and whether the
+     * result is final or interim. The begin and end times of the words are in
+     * milliseconds relative to the start of the transcription.
+     *
+     * @param {Function} listener the function to add
+     */
+    addCaptionListener(listener: Function): void;
+    /**
+     * Removes a function added with addCaptionListener.
+     *
+     * @param {Function} listener the function to remove
+     */
+    removeCaptionListener(listener: Function): void;
+    /**
+     * this method will check if the counter is zero. If it is, it will call
+     * the merging method
+     */
+    maybeMerge(): void;
+    /**
+     * This method will merge all speech-to-text arrays together in one
+     * readable transcription string
+     */
+    merge(): void;
+    /**
+     * Appends a word object to the transcription. It will make a new line with a
+     * name if a name is specified
+     * @param {Word} word the Word object holding the word to append
+     * @param {String|null} name the name of a new speaker. Null if not applicable
+     */
+    updateTranscription(word: Word, name: string | null): void;
+    /**
+     * Gives the transcriber a JitsiTrack holding an audioStream to transcribe.
+     * The JitsiTrack is given to the audioRecorder. If it doesn't hold an
+     * audiostream, it will not be added by the audioRecorder
+     * @param {JitsiTrack} track the track to give to the audioRecorder
+     */
+    addTrack(track: JitsiTrack): void;
+    /**
+     * Remove the given track from the auioRecorder
+     * @param track
+     */
+    removeTrack(track: any): void;
+    /**
+     * Will return the created transcription if it's avialable or throw an error
+     * when it's not done yet
+     * @returns {String} the transcription as a String
+     */
+    getTranscription(): string;
+    /**
+     * Will return the created transcription in the given format if it's available
+     * or throw an error when it's not done yet. The cues of the WebVTT and SRT
+     * formats and the segments of the JSON format are timed from the begin and
+     * end times of the words, in milliseconds relative to the start of the
+     * transcription
+     * @param {string} format one of the TranscriptFormat values: "webvtt", "srt"
+     * or "json"
+     * @returns {String} the transcription in the given format
+     */
+    exportTranscription(format: string): string;
+    /**
+     * Returns the current state of the transcription process
+     */
+    getState(): string;
+    /**
+     * Resets the state to the "before" state, such that it's again possible to
+     * call the start method
+     */
+    reset(): void;
+}
+import AudioRecorder = require("./audioRecorder");
+import Word = require("./word");
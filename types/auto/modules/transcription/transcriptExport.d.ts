@@ -0,0 +1,58 @@
+export namespace TranscriptFormat {
+    const JSON: string;
+    const SRT: string;
+    const WEBVTT: string;
+}
+/**
+ * Groups the words of every speaker into segments, ordered by time, which can
+ * be shown as a single caption cue. A new segment starts when the speaker
+ * changes, pauses, or when the current segment gets too long.
+ *
+ * @param {Array<Array<Word>>} wordArrays an array of Word objects for every
+ * speaker, each array having a name and a participantId value. The begin and
+ * end times of the words are in milliseconds. The arrays are not modified
+ * @returns {Array<Object>} the segments, each with the participantId and the
+ * name of the speaker, the begin and end times, the text and the words
+ */
+export function createSegments(wordArrays: Array<Array<Word>>): Array<any>;
+/**
+ * Exports segments in the given format.
+ *
+ * @param {Array<Object>} segments the segments, see createSegments
+ * @param {string} format one of the TranscriptFormat values
+ * @returns {string}
+ */
+export function exportSegments(segments: Array<any>, format: string): string;
+/**
+ * Formats a time as hours, minutes, seconds and milliseconds.
+ *
+ * @param {number} time the time in milliseconds
+ * @param {string} separator the separator between the seconds and the
+ * milliseconds
+ * @returns {string} the formatted time, e.g. 00:01:02.345
+ */
+export function formatTime(time: number, separator: string): string;
+/**
+ * Exports segments as JSON, with the list of the participants who spoke and
+ * the timing of every word.
+ *
+ * @param {Array<Object>} segments the segments, see createSegments
+ * @returns {string}
+ */
+export function toJSON(segments: Array<any>): string;
+/**
+ * Exports segments as a SubRip file, the text of every cue is prefixed with
+ * the name of the speaker.
+ *
+ * @param {Array<Object>} segments the segments, see createSegments
+ * @returns {string}
+ */
+export function toSRT(segments: Array<any>): string;
+/**
+ * Exports segments as a WebVTT file, the speaker of every cue is set with a
+ * voice span.
+ *
+ * @param {Array<Object>} segments the segments, see createSegments
+ * @returns {string}
+ */
+export function toWebVTT(segments: Array<any>): string;
@@ -0,0 +1,54 @@
+export = StreamingTranscriptionService;
+declare class StreamingTranscriptionService {
+    /**
+     * Abstract method which will start a new stream on the implemented
+     * transcription service. Audio can be sent right after, implementations have
+     * to buffer it if they are not ready to accept it yet.
+     *
+     * @param {Object} options the options of the stream
+     * @param {string} options.mimeType the mime type of the audio chunks
+     * @param {string} [options.language] the language spoken, if known
+     */
+    start(options: {
+        mimeType: string;
+        language?: string;
+    }): never;
+    /**
+     * Abstract method which will send a chunk of recorded audio to the
+     * implemented transcription service.
+     *
+     * @param {Blob} chunk the next chunk of the recorded audio stream
+     */
+    sendAudio(chunk: Blob): never;
+    /**
+     * Abstract method which will end the stream on the implemented transcription
+     * service.
+     *
+     * @return {Promise} resolved once the service reported its last results
+     */
+    stop(): Promise<any>;
+    /**
+     * Sets the function which will receive the results of the stream.
+     *
+     * @param {Function} listener the function which will be called with every
+     * result, see {@link StreamingTranscriptionService#emitResult}
+     */
+    setResultListener(listener: Function): void;
+    resultListener: Function;
+    /**
+     * Reports a result to the listener. This is to be called by the
+     * implementations when the service recognised speech.
+     *
+     * @param {Object} result the result
+     * @param {string} result.text the recognised text
+     * @param {Array<Word>} result.words the recognised words, with their begin
+     * and end times in ms relative to the start of the stream. Can be empty if
+     * the service doesn't report timing information
+     * @param {boolean} result.isFinal whether the result is final or interim
+     */
+    emitResult(result: {
+        text: string;
+        words: Array<Word>;
+        isFinal: boolean;
+    }): void;
+}
@@ -0,0 +1,94 @@
+export = WebSocketTranscriptionService;
+/**
+ * Implements a StreamingTranscriptionService for a generic WebSocket speech
+ * recognition server. The protocol is:
+ *
+ * - the client opens a connection to the server per audio stream and sends a
+ * JSON text message: { "type": "start", "mimeType": string,
+ * "language": string }
+ * - the client then sends the recorded audio chunks as binary messages
+ * - the server sends JSON text messages with the results: { "type":
+ * "interim" | "final", "text": string, "words": [ { "word": string,
+ * "start": number, "end": number } ] } where the times are in ms relative to
+ * the start of the stream
+ * - the client sends { "type": "stop" } at the end of the stream, the server
+ * sends the remaining results and closes the connection
+ *
+ * @param {Object} options the options of the service
+ * @param {string} options.url the URL of the server
+ * @param {string} [options.language] the language spoken, used when the
+ * stream is started without one
+ */
+declare function WebSocketTranscriptionService(options?: {
+    url: string;
+    language?: string;
+}): void;
+declare class WebSocketTranscriptionService {
+    /**
+     * Implements a StreamingTranscriptionService for a generic WebSocket speech
+     * recognition server. The protocol is:
+     *
+     * - the client opens a connection to the server per audio stream and sends a
+     * JSON text message: { "type": "start", "mimeType": string,
+     * "language": string }
+     * - the client then sends the recorded audio chunks as binary messages
+     * - the server sends JSON text messages with the results: { "type":
+     * "interim" | "final", "text": string, "words": [ { "word": string,
+     * "start": number, "end": number } ] } where the times are in ms relative to
+     * the start of the stream
+     * - the client sends { "type": "stop" } at the end of the stream, the server
+     * sends the remaining results and closes the connection
+     *
+     * @param {Object} options the options of the service
+     * @param {string} options.url the URL of the server
+     * @param {string} [options.language] the language spoken, used when the
+     * stream is started without one
+     */
+    constructor(options?: {
+        url: string;
+        language?: string;
+    });
+    url: string;
+    language: string;
+    socket: WebSocket;
+    pendingMessages: any[];
+    stopResolve: any;
+    /**
+     * Set the right constructor
+     */
+    constructor: typeof WebSocketTranscriptionService;
+    /**
+     * Overrides the start method from AbstractStreamingTranscriptionService.
+     * It opens the connection to the server.
+     *
+     * @param {Object} options the options of the stream
+     */
+    start(options: any): void;
+    /**
+     * Overrides the sendAudio method from AbstractStreamingTranscriptionService.
+     *
+     * @param {Blob} chunk the next chunk of the recorded audio stream
+     */
+    sendAudio(chunk: Blob): void;
+    /**
+     * Overrides the stop method from AbstractStreamingTranscriptionService.
+     * It tells the server the stream ended and waits for the server to close
+     * the connection.
+     *
+     * @return {Promise}
+     */
+    stop(): Promise<any>;
+    /**
+     * Sends a message to the server, or queues it if the connection is not open
+     * yet.
+     *
+     * @param {string|Blob} message the message
+     */
+    send(message: string | Blob): void;
+    /**
+     * Parses a message from the server and reports the result it holds.
+     *
+     * @param {string} data the message
+     */
+    onMessage(data: string): void;
+}
@@ -0,0 +1,47 @@
+/**
+ * The name of the service the Transcriber uses when none is specified.
+ */
+export const DEFAULT_SERVICE: "sphinx";
+/**
+ * Registers a service, replacing any service with the same name.
+ *
+ * @param {string} name the name of the service
+ * @param {Function} Service the constructor of the service, which has to
+ * extend either AbstractTranscriptionService or
+ * AbstractStreamingTranscriptionService
+ */
+export declare function register(name: string, Service: Function): void;
+/**
+ * Removes a registered service.
+ *
+ * @param {string} name the name of the service
+ */
+export declare function unregister(name: string): void;
+/**
+ * Checks whether a service is registered.
+ *
+ * @param {string} name the name of the service
+ * @returns {boolean}
+ */
+export declare function has(name: string): boolean;
+/**
+ * Returns the names of all the registered services.
+ *
+ * @returns {Array<string>}
+ */
+export declare function getNames(): string[];
+/**
+ * Checks whether a registered service is a streaming one.
+ *
+ * @param {string} name the name of the service
+ * @returns {boolean}
+ */
+export declare function isStreaming(name: string): boolean;
+/**
+ * Creates an instance of a registered service.
+ *
+ * @param {string} name the name of the service
+ * @param {Object} [options] the options passed to the service
+ * @returns {TranscriptionService|StreamingTranscriptionService}
+ */
+export declare function create(name: string, options?: any): any;
@@ -0,0 +1,15 @@
+/**
+ * Adds new error handlers.
+ * @param handler the new handler.
+ */
+export function addHandler(handler: any): void;
+/**
+ * Calls the global error handler if there is one.
+ * @param error the error to pass to the error handler
+ */
+export function callErrorHandler(error: any): void;
+/**
+ * Calls the global rejection handler if there is one.
+ * @param error the error to pass to the rejection handler.
+ */
+export function callUnhandledRejectionHandler(error: any): void;
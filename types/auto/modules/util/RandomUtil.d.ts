@@ -0,0 +1,29 @@
+/**
+ * Get random element from array or string.
+ * @param {Array|string} arr source
+ * @returns array element or string character
+ */
+export function randomElement(arr: any[] | string): any;
+/**
+ * Generate random alphanumeric string.
+ * @param {number} length expected string length
+ * @returns {string} random string of specified length
+ */
+export function randomAlphanumStr(length: number): string;
+/**
+ * Generates random int within the range [min, max]
+ * @param min the minimum value for the generated number
+ * @param max the maximum value for the generated number
+ * @returns random int number
+ */
+export function randomInt(min: any, max: any): any;
+/**
+ * Returns a random hex digit.
+ * @returns {*}
+ */
+export declare function randomHexDigit(): any;
+/**
+ * Returns a random string of hex digits with length 'len'.
+ * @param len the length.
+ */
+export declare function randomHexString(len: any): string;
@@ -0,0 +1,8 @@
+/**
+ * Implements a simple hash code for a string (see
+ * https://en.wikipedia.org/wiki/Java_hashCode()).
+ *
+ * @param {string} The string to return a hash of.
+ * @return {Number} the integer hash code of the string.
+ */
+export function integerHash(string: any): number;
@@ -0,0 +1,5 @@
+/**
+ * Generate random username.
+ * @returns {string} random username
+ */
+export function generateUsername(): string;
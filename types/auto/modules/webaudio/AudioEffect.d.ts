@@ -0,0 +1,45 @@
+/**
+ * An effect for the local audio tracks which runs the audio through a chain of {@link AudioProcessor}s, e.g. a
+ * noise gate followed by a compressor, and can be set with {@link JitsiLocalTrack#setEffect}.
+ *
+ * The worklet modules of the processors are loaded asynchronously, so the audio goes through unprocessed until the
+ * whole chain is ready.
+ */
+export default class AudioEffect {
+    /**
+     * Initializes a new effect.
+     *
+     * @param {Array<AudioProcessor>} processors - The processors, in the order the audio goes through them.
+     */
+    constructor(processors: Array<AudioProcessor>);
+    _processors: AudioProcessor[];
+    _audioContext: AudioContext;
+    _destination: MediaStreamAudioDestinationNode;
+    _source: MediaStreamAudioSourceNode;
+    /**
+     * Returns the processors of the effect, e.g. in order to change their parameters.
+     *
+     * @returns {Array<AudioProcessor>}
+     */
+    getProcessors(): Array<AudioProcessor>;
+    /**
+     * Checks whether the effect can be applied on a track.
+     *
+     * @param {JitsiLocalTrack} track - The track.
+     * @returns {boolean}
+     */
+    isEnabled(track: JitsiLocalTrack): boolean;
+    /**
+     * Starts processing the audio of a stream.
+     *
+     * @param {MediaStream} stream - The stream to process.
+     * @returns {MediaStream} The stream with the processed audio.
+     */
+    startEffect(stream: MediaStream): MediaStream;
+    /**
+     * Stops processing the audio.
+     *
+     * @returns {void}
+     */
+    stopEffect(): void;
+}
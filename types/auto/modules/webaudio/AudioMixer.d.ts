@@ -0,0 +1,70 @@
+/**
+ * The AudioMixer, as the name implies, mixes a number of MediaStreams containing audio tracks into a single
+ * MediaStream.
+ */
+export default class AudioMixer {
+    _started: boolean;
+    _streamsToMix: any[];
+    _streamMSSArray: any[];
+    _volumes: Map<any, any>;
+    _gainNodes: Map<any, any>;
+    /**
+     * Add audio MediaStream to be mixed, if the stream doesn't contain any audio tracks it will be ignored. If the
+     * mixer was already started the stream is connected to the mixed output right away.
+     *
+     * @param {MediaStream} stream - MediaStream to be mixed.
+     * @param {number} [volume] - The volume of the stream in the mix, from 0 (silent) to 1 (unchanged).
+     */
+    addMediaStream(stream: MediaStream, volume?: number): void;
+    /**
+     * Removes a previously added MediaStream, disconnecting it from the mixed output if the mixer was started.
+     *
+     * @param {MediaStream} stream - MediaStream to be removed.
+     * @returns {void}
+     */
+    removeMediaStream(stream: MediaStream): void;
+    /**
+     * Changes the volume of a previously added MediaStream in the mix, also while the mixer is running.
+     *
+     * @param {MediaStream} stream - The MediaStream.
+     * @param {number} volume - The volume, from 0 (silent) to 1 (unchanged).
+     * @returns {void}
+     */
+    setVolume(stream: MediaStream, volume: number): void;
+    /**
+     * Returns the volume of a previously added MediaStream in the mix.
+     *
+     * @param {MediaStream} stream - The MediaStream.
+     * @returns {number|undefined}
+     */
+    getVolume(stream: MediaStream): number | undefined;
+    /**
+     * At this point a WebAudio ChannelMergerNode is created and and the two associated MediaStreams are connected to
+     * it; the resulting mixed MediaStream is returned.
+     *
+     * @param {Object} [options] - The options.
+     * @param {boolean} [options.allowEmpty] - Whether to start even though no MediaStream was added yet, the mixed
+     * MediaStream is silent until one is.
+     * @returns {MediaStream} - MediaStream containing added streams mixed together, or null if no MediaStream
+     * is added.
+     */
+    start({ allowEmpty }?: {
+        allowEmpty?: boolean;
+    }): MediaStream;
+    _audioContext: AudioContext;
+    _mixedMSD: MediaStreamAudioDestinationNode;
+    /**
+     * Connects a MediaStream to the mixed output.
+     *
+     * @param {MediaStream} stream - The MediaStream to connect.
+     * @private
+     * @returns {void}
+     */
+    private _connectStream;
+    /**
+     * Disconnect MediaStreamAudioSourceNode and clear references.
+     *
+     * @returns {void}
+     */
+    reset(): void;
+}
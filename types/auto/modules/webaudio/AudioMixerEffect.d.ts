@@ -0,0 +1,108 @@
+/**
+ * An effect for the microphone track which mixes in the audio captured along with a screen share, i.e. the system or
+ * tab audio, so that a single audio track is sent. It is set up by {@code JitsiMeetJS.createLocalTracks} with the
+ * {@code mixDesktopAudio} option and can be found among the effects of the microphone track in order to change the
+ * volumes.
+ *
+ * The effect has its own muted state: muting the microphone track silences only the microphone while the shared
+ * audio still goes through. Once the screen share stops, the microphone track removes the effect and keeps its muted
+ * state.
+ */
+declare class AudioMixerEffect extends Listenable {
+    /**
+     * Initializes a new effect.
+     *
+     * @param {MediaStream} desktopAudioStream - The stream with the audio captured along with the screen share. The
+     * effect owns it and stops it along with the screen share.
+     */
+    constructor(desktopAudioStream: MediaStream);
+    _desktopAudioStream: MediaStream;
+    _desktopAudioVolume: number;
+    _microphoneStream: MediaStream;
+    _microphoneVolume: number;
+    _mixer: AudioMixer;
+    _muted: boolean;
+    _onDesktopAudioEnded: () => void;
+    /**
+     * Checks whether the effect can be applied on a track.
+     *
+     * @param {JitsiLocalTrack} track - The track.
+     * @returns {boolean}
+     */
+    isEnabled(track: JitsiLocalTrack): boolean;
+    /**
+     * Starts mixing the microphone with the desktop audio.
+     *
+     * @param {MediaStream} stream - The stream of the microphone.
+     * @returns {MediaStream} The mixed stream.
+     */
+    startEffect(stream: MediaStream): MediaStream;
+    /**
+     * Stops mixing. The desktop audio is not stopped, the effect may be started again.
+     *
+     * @returns {void}
+     */
+    stopEffect(): void;
+    /**
+     * Stops the desktop audio and removes it from the mix, e.g. when the screen share stops.
+     *
+     * @fires AudioMixerEffectEvents.DESKTOP_AUDIO_STOPPED
+     * @returns {void}
+     */
+    stopDesktopAudio(): void;
+    /**
+     * Returns whether the microphone is muted, see {@link JitsiLocalTrack#isMuted}.
+     *
+     * @returns {boolean}
+     */
+    isMuted(): boolean;
+    /**
+     * Mutes or unmutes the microphone, the desktop audio still goes through.
+     *
+     * @param {boolean} muted - Whether the microphone is to be muted.
+     * @returns {void}
+     */
+    setMuted(muted: boolean): void;
+    /**
+     * Returns the volume of the microphone in the mix.
+     *
+     * @returns {number}
+     */
+    getMicrophoneVolume(): number;
+    /**
+     * Changes the volume of the microphone in the mix.
+     *
+     * @param {number} volume - The volume, from 0 (silent) to 1 (unchanged).
+     * @returns {void}
+     */
+    setMicrophoneVolume(volume: number): void;
+    /**
+     * Returns the volume of the desktop audio in the mix.
+     *
+     * @returns {number}
+     */
+    getDesktopAudioVolume(): number;
+    /**
+     * Changes the volume of the desktop audio in the mix.
+     *
+     * @param {number} volume - The volume, from 0 (silent) to 1 (unchanged).
+     * @returns {void}
+     */
+    setDesktopAudioVolume(volume: number): void;
+    /**
+     * Applies the volume of the microphone, or silences it if it's muted, on the running mixer.
+     *
+     * @private
+     * @returns {void}
+     */
+    private _applyMicrophoneVolume;
+}
+declare namespace AudioMixerEffect {
+    export { AudioMixerEffectEvents as events };
+}
+export default AudioMixerEffect;
+import Listenable from "../util/Listenable";
+import AudioMixer from "./AudioMixer";
+declare namespace AudioMixerEffectEvents {
+    const DESKTOP_AUDIO_STOPPED: string;
+}
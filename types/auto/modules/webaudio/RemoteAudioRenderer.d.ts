@@ -0,0 +1,144 @@
+/**
+ * Renders the remote audio tracks of a {@link JitsiConference} through WebAudio instead of leaving it to the
+ * application to attach them to audio elements. Each participant goes through its own gain and stereo panner, and is
+ * played on its own audio output device, so that the participants can be given different volumes, positions (e.g. to
+ * match a grid layout) and devices. The participants whose device isn't set follow the device selected with
+ * {@code JitsiMediaDevices.setAudioOutputDevice}.
+ *
+ * It is enabled by {@code config.enableRemoteAudioRenderer}, the application must not attach the remote audio tracks
+ * then.
+ */
+export default class RemoteAudioRenderer {
+    /**
+     * Creates a renderer for a conference.
+     *
+     * @param {JitsiConference} conference - The conference whose remote audio tracks are rendered.
+     */
+    constructor(conference: JitsiConference);
+    conference: JitsiConference;
+    _audioContext: AudioContext;
+    /**
+     * The settings of each participant, kept also while the participant doesn't have an audio track.
+     * @type {Map<string, { volume: number, pan: number, deviceId: string|undefined }>}
+     */
+    _settings: Map<string, {
+        volume: number;
+        pan: number;
+        deviceId: string | undefined;
+    }>;
+    /**
+     * The WebAudio graph and the audio elements of each rendered track.
+     * @type {Map<JitsiRemoteTrack, Object>}
+     */
+    _renderers: Map<JitsiRemoteTrack, any>;
+    /**
+     * Starts rendering the remote audio tracks added to the conference.
+     *
+     * @param {JitsiTrack} track - The track added to the conference.
+     * @private
+     * @returns {void}
+     */
+    private _onTrackAdded;
+    /**
+     * Stops rendering the remote audio tracks removed from the conference.
+     *
+     * @param {JitsiTrack} track - The track removed from the conference.
+     * @private
+     * @returns {void}
+     */
+    private _onTrackRemoved;
+    /**
+     * Switches the participants which follow the device selected for the conference to the new device.
+     *
+     * @param {string} deviceId - The id of the new device.
+     * @private
+     * @returns {void}
+     */
+    private _onAudioOutputDeviceChanged;
+    /**
+     * Returns the volume of a participant.
+     *
+     * @param {string} participantId - The id of the participant.
+     * @returns {number}
+     */
+    getVolume(participantId: string): number;
+    /**
+     * Changes the volume of a participant.
+     *
+     * @param {string} participantId - The id of the participant.
+     * @param {number} volume - The volume, from 0 (silent) to 1 (unchanged). Values above 1 amplify the audio.
+     * @returns {void}
+     */
+    setVolume(participantId: string, volume: number): void;
+    /**
+     * Returns the stereo position of a participant.
+     *
+     * @param {string} participantId - The id of the participant.
+     * @returns {number}
+     */
+    getPan(participantId: string): number;
+    /**
+     * Changes the stereo position of a participant.
+     *
+     * @param {string} participantId - The id of the participant.
+     * @param {number} pan - The position, from -1 (left) to 1 (right).
+     * @returns {void}
+     */
+    setPan(participantId: string, pan: number): void;
+    /**
+     * Returns the audio output device a participant is played on.
+     *
+     * @param {string} participantId - The id of the participant.
+     * @returns {string} The id of the device.
+     */
+    getAudioOutput(participantId: string): string;
+    /**
+     * Changes the audio output device a participant is played on.
+     *
+     * @param {string} participantId - The id of the participant.
+     * @param {string|undefined} deviceId - The id of an 'audiooutput' device, undefined for the participant to follow
+     * the device selected for the conference.
+     * @returns {Promise} Resolved once the device is used for all the audio tracks of the participant.
+     */
+    setAudioOutput(participantId: string, deviceId: string | undefined): Promise<any>;
+    /**
+     * Stops rendering and releases the resources.
+     *
+     * @returns {void}
+     */
+    dispose(): void;
+    /**
+     * Returns the settings of a participant, creating the default ones if needed.
+     *
+     * @param {string} participantId - The id of the participant.
+     * @private
+     * @returns {Object}
+     */
+    private _getSettings;
+    /**
+     * Calls a function for the renderer of each audio track of a participant.
+     *
+     * @param {string} participantId - The id of the participant.
+     * @param {Function} callback - The function.
+     * @private
+     * @returns {void}
+     */
+    private _forEachRenderer;
+    /**
+     * Renders a remote audio track: track -> gain -> stereo panner -> audio element playing on the device of the
+     * participant.
+     *
+     * @param {JitsiRemoteTrack} track - The track.
+     * @private
+     * @returns {void}
+     */
+    private _addTrack;
+    /**
+     * Stops rendering a remote audio track.
+     *
+     * @param {JitsiRemoteTrack} track - The track.
+     * @private
+     * @returns {void}
+     */
+    private _removeTrack;
+}
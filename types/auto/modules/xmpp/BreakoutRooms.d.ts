@@ -0,0 +1,111 @@
+/**
+ * Helper class for handling breakout rooms. The rooms themselves are MUCs managed by the breakout rooms
+ * component in the backend, we only send commands to it and receive the room list updates.
+ */
+export default class BreakoutRooms {
+    /**
+     * Constructs breakout room.
+     *
+     * @param {ChatRoom} room the room we are in.
+     */
+    constructor(room: ChatRoom);
+    room: ChatRoom;
+    /**
+     * Handles a message for managing breakout rooms.
+     *
+     * @param {object} payload - Arbitrary data.
+     * @private
+     */
+    private _handleMessages;
+    _rooms: {};
+    /**
+     * Stops listening for events.
+     */
+    dispose(): void;
+    /**
+     * Creates a breakout room with the given subject.
+     *
+     * @param {string} subject - A subject for the breakout room.
+     */
+    createBreakoutRoom(subject: string): void;
+    /**
+     * Removes a breakout room. Participants in it are moved back to the main room by the backend.
+     *
+     * @param {string} breakoutRoomJid - JID of the room to be removed.
+     */
+    removeBreakoutRoom(breakoutRoomJid: string): void;
+    /**
+     * Changes the subject of a breakout room.
+     *
+     * @param {string} breakoutRoomJid - JID of the room to be renamed.
+     * @param {string} subject - The new subject for the breakout room.
+     */
+    renameBreakoutRoom(breakoutRoomJid: string, subject: string): void;
+    /**
+     * Sends the given participant to the given room. The main room can be used as a target to move the
+     * participant back from a breakout room.
+     *
+     * @param {string} participantJid - JID of the participant to be sent to a room.
+     * @param {string} roomJid - JID of the target room.
+     */
+    sendParticipantToRoom(participantJid: string, roomJid: string): void;
+    /**
+     * Retrieves the address of the breakout room component.
+     *
+     * @returns {string} - The address of the component.
+     */
+    getComponentAddress(): string;
+    /**
+     * Whether breakout rooms are supported on backend.
+     *
+     * @returns {boolean} whether breakout rooms are supported on backend.
+     */
+    isSupported(): boolean;
+    /**
+     * Stores if the current room is a breakout room.
+     *
+     * @param {boolean} isBreakoutRoom - Whether this room is a breakout room.
+     */
+    _setIsBreakoutRoom(isBreakoutRoom: boolean): void;
+    _isBreakoutRoom: boolean;
+    /**
+     * Checks whether this room is a breakout room.
+     *
+     * @returns {boolean}
+     */
+    isBreakoutRoom(): boolean;
+    /**
+     * Sets the main room JID associated with this breakout room. Only applies when
+     * in a breakout room.
+     *
+     * @param {string} jid - The main room JID.
+     */
+    _setMainRoomJid(jid: string): void;
+    _mainRoomJid: string;
+    /**
+     * Gets the main room's JID associated with this breakout room.
+     *
+     * @returns {string} - The main room JID.
+     */
+    getMainRoomJid(): string;
+    /**
+     * Returns the last known list of rooms, keyed by room id.
+     *
+     * @returns {Object} - The rooms, including the main one.
+     */
+    getRooms(): any;
+    /**
+     * Checks whether we are allowed to send commands to the component.
+     *
+     * @returns {boolean}
+     * @private
+     */
+    private _canSend;
+    /**
+     * Helper to send a breakout rooms message to the component.
+     *
+     * @param {Object} message - Command that needs to be sent.
+     * @private
+     */
+    private _sendMessage;
+}
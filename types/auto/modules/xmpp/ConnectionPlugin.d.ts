@@ -0,0 +1,24 @@
+declare const _default: {
+    new (...args: any[]): {
+        connection: any;
+        /**
+         *
+         * @param connection
+         */
+        init(connection: any): void;
+    };
+};
+export default _default;
+/**
+ * ConnectionPlugin class that extends Listenable.
+ */
+export const ConnectionPluginListenable: {
+    new (...args: any[]): {
+        connection: any;
+        /**
+         *
+         * @param connection
+         */
+        init(connection: any): void;
+    };
+};
@@ -0,0 +1,4 @@
+declare namespace _default {
+    const REMOTE_VIDEO_CONSTRAINTS_CHANGED: string;
+}
+export default _default;
@@ -0,0 +1,129 @@
+/**
+ * The name of the presence element which carries the {@link SourceInfo} of the sources of a participant, as JSON
+ * keyed by source name.
+ * @type {string}
+ */
+export const SOURCE_INFO_PRESENCE_ELEMENT: string;
+/**
+ * Default XMPP implementation of the {@link SignalingLayer} interface. Obtains
+ * the data from the MUC presence.
+ */
+export default class SignalingLayerImpl extends SignalingLayer {
+    /**
+     * Creates new instance.
+     */
+    constructor();
+    /**
+     * A map that stores SSRCs of remote streams. And is used only locally
+     * We store the mapping when jingle is received, and later is used
+     * onaddstream webrtc event where we have only the ssrc
+     * FIXME: This map got filled and never cleaned and can grow during long
+     * conference
+     * @type {Map<number, string>} maps SSRC number to jid
+     */
+    ssrcOwners: Map<number, string>;
+    /**
+     * A map that stores the names of the sources of the remote streams, as signalled in Jingle.
+     * @type {Map<number, string>} maps SSRC number to source name
+     */
+    _sourceNames: Map<number, string>;
+    /**
+     * The {@link SourceInfo} of the local sources, keyed by source name, which is advertised in presence.
+     * @type {Object<string, SourceInfo>}
+     */
+    _localSourceState: {
+        [x: string]: SourceInfo;
+    };
+    /**
+     * The {@link SourceInfo} of the sources of the remote participants, keyed by endpoint ID and source name.
+     * @type {Object<string, Object<string, SourceInfo>>}
+     */
+    _remoteSourceState: {
+        [x: string]: {
+            [x: string]: SourceInfo;
+        };
+    };
+    /**
+     *
+     * @type {ChatRoom|null}
+     */
+    chatRoom: ChatRoom | null;
+    /**
+     * Adds the {@link SourceInfo} of the local sources to the presence of the room.
+     *
+     * @private
+     * @returns {boolean} <tt>true</tt> if the presence changed and has to be sent.
+     */
+    private _addLocalSourceInfoToPresence;
+    /**
+     * Sets the <tt>ChatRoom</tt> instance used and binds presence listeners.
+     * @param {ChatRoom} room
+     */
+    setChatRoom(room: ChatRoom): void;
+    _audioMuteHandler: (node: any, from: any) => void;
+    _videoMuteHandler: (node: any, from: any) => void;
+    _videoTypeHandler: (node: any, from: any) => void;
+    _sourceInfoHandler: (node: any, endpointId: any) => void;
+    _memberLeftHandler: (jid: any) => void;
+    /**
+     * Handles the {@link SourceInfo} advertised in the presence of a participant and emits the events for the
+     * sources which changed.
+     *
+     * @private
+     * @param {string} endpointId - The endpoint ID of the participant (MUC nickname).
+     * @param {string} value - The JSON value of the presence element.
+     * @returns {void}
+     */
+    private _onSourceInfoChanged;
+    /**
+     * @inheritDoc
+     */
+    getPeerMediaInfo(owner: any, mediaType: any): any;
+    /**
+     * @inheritDoc
+     */
+    getPeerSourceInfo(owner: any, sourceName: any): any;
+    /**
+     * @inheritDoc
+     */
+    getSSRCOwner(ssrc: any): string;
+    /**
+     * Set an SSRC owner.
+     * @param {number} ssrc an SSRC to be owned
+     * @param {string} endpointId owner's ID (MUC nickname)
+     * @throws TypeError if <tt>ssrc</tt> is not a number
+     */
+    setSSRCOwner(ssrc: number, endpointId: string): void;
+    /**
+     * @inheritDoc
+     */
+    getTrackSourceName(ssrc: any): string;
+    /**
+     * Set the name of the source of an SSRC.
+     * @param {number} ssrc the SSRC of the source
+     * @param {string} sourceName the name of the source
+     * @throws TypeError if <tt>ssrc</tt> is not a number
+     */
+    setTrackSourceName(ssrc: number, sourceName: string): void;
+    /**
+     * Advertises the muted state of a local source.
+     * @param {string} sourceName the name of the source
+     * @param {boolean} muted the new muted state
+     * @returns {boolean} <tt>true</tt> if the presence changed and has to be sent.
+     */
+    setTrackMuteStatus(sourceName: string, muted: boolean): boolean;
+    /**
+     * Advertises the video type of a local source.
+     * @param {string} sourceName the name of the source
+     * @param {VideoType} videoType the new video type
+     * @returns {boolean} <tt>true</tt> if the presence changed and has to be sent.
+     */
+    setTrackVideoType(sourceName: string, videoType: VideoType): boolean;
+    /**
+     * Stops advertising a local source, when its track was removed from the conference.
+     * @param {string} sourceName the name of the source
+     * @returns {boolean} <tt>true</tt> if the presence changed and has to be sent.
+     */
+    removeLocalSourceInfo(sourceName: string): boolean;
+}
+import SignalingLayer from "../../service/RTC/SignalingLayer";
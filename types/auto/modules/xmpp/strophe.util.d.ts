@@ -0,0 +1,4 @@
+/**
+ *
+ */
+export default function _default(): void;
@@ -0,0 +1,12 @@
+export = CodecMimeType;
+/**
+ * Enumeration of the codec mime types
+ * @type {{AV1: string, H264: string, OPUS: string, VP8: string, VP9: string}}
+ */
+declare const CodecMimeType: {
+    AV1: string;
+    H264: string;
+    OPUS: string;
+    VP8: string;
+    VP9: string;
+};
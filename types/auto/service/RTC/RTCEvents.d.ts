@@ -0,0 +1,26 @@
+export const CREATE_ANSWER_FAILED: string;
+export const CREATE_OFFER_FAILED: string;
+export const DATA_CHANNEL_OPEN: string;
+export const ENDPOINT_CONN_STATUS_CHANGED: string;
+export const DOMINANT_SPEAKER_CHANGED: string;
+export const LASTN_ENDPOINT_CHANGED: string;
+export const PERMISSIONS_CHANGED: string;
+export const SENDER_VIDEO_CONSTRAINTS_CHANGED: string;
+export const LASTN_VALUE_CHANGED: string;
+export const LOCAL_TRACK_SSRC_UPDATED: string;
+export const LOCAL_TRACK_MAX_ENABLED_RESOLUTION_CHANGED: string;
+export const TRACK_ATTACHED: string;
+export const REMOTE_TRACK_ADDED: string;
+export const REMOTE_TRACK_MUTE: string;
+export const REMOTE_TRACK_REMOVED: string;
+export const REMOTE_TRACK_UNMUTE: string;
+export const SET_LOCAL_DESCRIPTION_FAILED: string;
+export const SET_REMOTE_DESCRIPTION_FAILED: string;
+export const AUDIO_OUTPUT_DEVICE_CHANGED: string;
+export const DEVICE_LIST_CHANGED: string;
+export const DEVICE_LIST_WILL_CHANGE: string;
+export const DEVICE_LIST_AVAILABLE: string;
+export const ENDPOINT_MESSAGE_RECEIVED: string;
+export const ENDPOINT_STATS_RECEIVED: string;
+export const LOCAL_UFRAG_CHANGED: string;
+export const REMOTE_UFRAG_CHANGED: string;
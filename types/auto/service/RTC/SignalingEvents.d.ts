@@ -0,0 +1,27 @@
+/**
+ * Event triggered when participant's muted status changes.
+ * @param {string} endpointId the track owner's identifier (MUC nickname)
+ * @param {MediaType} mediaType "audio" or "video"
+ * @param {boolean} isMuted the new muted state
+ */
+export const PEER_MUTED_CHANGED: "signaling.peerMuted";
+/**
+ * Event triggered when participant's video type changes.
+ * @param {string} endpointId the video owner's ID (MUC nickname)
+ * @param {VideoType} videoType the new value
+ */
+export const PEER_VIDEO_TYPE_CHANGED: "signaling.peerVideoType";
+/**
+ * Event triggered when the muted status of a source changes, for the participants which advertise their sources.
+ * @param {string} endpointId the source owner's identifier (MUC nickname)
+ * @param {string} sourceName the name of the source
+ * @param {boolean} isMuted the new muted state
+ */
+export const SOURCE_MUTED_CHANGED: "signaling.sourceMuted";
+/**
+ * Event triggered when the video type of a source changes, for the participants which advertise their sources.
+ * @param {string} endpointId the source owner's identifier (MUC nickname)
+ * @param {string} sourceName the name of the source
+ * @param {VideoType} videoType the new value
+ */
+export const SOURCE_VIDEO_TYPE_CHANGED: "signaling.sourceVideoType";
@@ -0,0 +1,93 @@
+/**
+ * Generates the name of a source of an endpoint. The names are unique in the conference and stay the same while the
+ * endpoint replaces the track of the source, e.g. when switching between cameras.
+ *
+ * @param {string} endpointId - The endpoint ID of the owner of the source (MUC nickname).
+ * @param {'audio'|'video'} mediaType - The media type of the source.
+ * @param {number} trackIdx - The index of the source among the ones of the same media type of the endpoint.
+ * @returns {string}
+ */
+export function getSourceNameForJitsiTrack(endpointId: string, mediaType: 'audio' | 'video', trackIdx: number): string;
+/**
+ * An object that carries the info about specific media type advertised by
+ * participant in the signaling channel.
+ * @typedef {Object} PeerMediaInfo
+ * @property {boolean} muted indicates if the media is currently muted
+ * @property {VideoType|undefined} videoType the type of the video if applicable
+ */
+/**
+ * An object that carries the info about a source advertised by participant in the signaling channel, when the
+ * participant sends more than one source of a media type.
+ * @typedef {Object} SourceInfo
+ * @property {boolean} muted indicates if the source is currently muted
+ * @property {VideoType|undefined} videoType the type of the video if applicable
+ */
+/**
+ * Interface used to expose the information carried over the signaling channel
+ * which is not available to the RTC module in the media SDP.
+ *
+ * @interface SignalingLayer
+ */
+export default class SignalingLayer extends Listenable {
+    /**
+     * Obtains the endpoint ID for given SSRC.
+     * @param {number} ssrc the SSRC number.
+     * @return {string|null} the endpoint ID for given media SSRC.
+     */
+    getSSRCOwner(ssrc: number): string | null;
+    /**
+     * Obtains the info about given media advertised in the MUC presence of
+     * the participant identified by the given MUC JID.
+     * @param {string} owner the MUC jid of the participant for whom
+     * {@link PeerMediaInfo} will be obtained.
+     * @param {'audio'|'video'} mediaType the type of the media for which presence
+     * info will be obtained.
+     * @return {PeerMediaInfo|null} presenceInfo an object with media presence
+     * info or <tt>null</tt> either if there is no presence available for given
+     * JID or if the media type given is invalid.
+     */
+    getPeerMediaInfo(owner: string, mediaType: 'audio' | 'video'): PeerMediaInfo | null;
+    /**
+     * Obtains the info about a source advertised in the MUC presence of the participant identified by the given
+     * endpoint ID.
+     * @param {string} owner the endpoint ID of the participant (MUC nickname).
+     * @param {string} sourceName the name of the source.
+     * @return {SourceInfo|null} the info about the source or <tt>null</tt> if the participant did not advertise it.
+     */
+    getPeerSourceInfo(owner: string, sourceName: string): SourceInfo | null;
+    /**
+     * Obtains the name of the source for given SSRC.
+     * @param {number} ssrc the SSRC number.
+     * @return {string|undefined} the name of the source signalled for given media SSRC.
+     */
+    getTrackSourceName(ssrc: number): string | undefined;
+}
+/**
+ * An object that carries the info about specific media type advertised by
+ * participant in the signaling channel.
+ */
+export type PeerMediaInfo = {
+    /**
+     * indicates if the media is currently muted
+     */
+    muted: boolean;
+    /**
+     * the type of the video if applicable
+     */
+    videoType: VideoType | undefined;
+};
+/**
+ * An object that carries the info about a source advertised by participant in the signaling channel, when the
+ * participant sends more than one source of a media type.
+ */
+export type SourceInfo = {
+    /**
+     * indicates if the source is currently muted
+     */
+    muted: boolean;
+    /**
+     * the type of the video if applicable
+     */
+    videoType: VideoType | undefined;
+};
+import Listenable from "../../modules/util/Listenable";
@@ -0,0 +1,10 @@
+export = VideoType;
+/**
+ * Enumeration of the video types
+ * @type {{CAMERA: string, DESKTOP: string, NONE: string}}
+ */
+declare const VideoType: {
+    CAMERA: string;
+    DESKTOP: string;
+    NONE: string;
+};
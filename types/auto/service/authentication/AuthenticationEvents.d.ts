@@ -0,0 +1 @@
+export const IDENTITY_UPDATED: string;
@@ -0,0 +1 @@
+export const LOCAL_JID: string;
@@ -0,0 +1,88 @@
+export const ADD_ICE_CANDIDATE_FAILED: string;
+export const AUDIO_MUTED_BY_FOCUS: string;
+export const VIDEO_MUTED_BY_FOCUS: string;
+export const AUTHENTICATION_REQUIRED: string;
+export const BRIDGE_DOWN: string;
+export const CALL_ACCEPTED: string;
+export const CALL_INCOMING: string;
+export const CALL_ENDED: string;
+export const CHAT_ERROR_RECEIVED: string;
+export const CONFERENCE_PROPERTIES_CHANGED: string;
+export const CONNECTION_ESTABLISHED: string;
+export const CONNECTION_FAILED: string;
+export const CONNECTION_INTERRUPTED: string;
+export const CONNECTION_RESTORED: string;
+export const CONNECTION_ICE_FAILED: string;
+export const CONNECTION_RESTARTED: string;
+export const CONNECTION_STATUS_CHANGED: string;
+export const DISPLAY_NAME_CHANGED: string;
+export const EMUC_ROOM_ADDED: string;
+export const EMUC_ROOM_REMOVED: string;
+export const ETHERPAD: string;
+export const FOCUS_DISCONNECTED: string;
+export const FOCUS_LEFT: string;
+export const GRACEFUL_SHUTDOWN: string;
+export const ICE_RESTARTING: string;
+export const ICE_RESTART_SUCCESS: string;
+export const KICKED: string;
+export const LOCAL_ROLE_CHANGED: string;
+export const MEETING_ID_SET: string;
+export const MESSAGE_CORRECTED: string;
+export const MESSAGE_HISTORY_RECEIVED: string;
+export const MESSAGE_RECEIVED: string;
+export const MESSAGE_RETRACTED: string;
+export const INVITE_MESSAGE_RECEIVED: string;
+export const PRIVATE_MESSAGE_RECEIVED: string;
+export const MUC_MEMBER_BOT_TYPE_CHANGED: string;
+export const MUC_DESTROYED: string;
+export const MUC_JOINED: string;
+export const MUC_MEMBER_JOINED: string;
+export const MUC_MEMBER_LEFT: string;
+export const MUC_LOBBY_MEMBER_JOINED: string;
+export const MUC_LOBBY_MEMBER_UPDATED: string;
+export const MUC_LOBBY_MEMBER_LEFT: string;
+export const MUC_DENIED_ACCESS: string;
+export const MUC_LEFT: string;
+export const MUC_ROLE_CHANGED: string;
+export const MUC_LOCK_CHANGED: string;
+export const MUC_MEMBERS_ONLY_CHANGED: string;
+export const PARTICIPANT_AUDIO_MUTED: string;
+export const PARTICIPANT_VIDEO_MUTED: string;
+export const PARTICIPANT_VIDEO_TYPE_CHANGED: string;
+export const PARTICIPANT_FEATURES_CHANGED: string;
+export const PASSWORD_REQUIRED: string;
+export const PHONE_NUMBER_CHANGED: string;
+export const PRESENCE_RECEIVED: string;
+export const PRESENCE_STATUS: string;
+export const PROMPT_FOR_LOGIN: string;
+export const READY_TO_JOIN: string;
+export const RECORDER_STATE_CHANGED: string;
+export const REMOTE_STATS: string;
+export const RENEGOTIATION_FAILED: string;
+export const RESERVATION_ERROR: string;
+export const ROOM_CONNECT_ERROR: string;
+export const ROOM_CONNECT_NOT_ALLOWED_ERROR: string;
+export const ROOM_JOIN_ERROR: string;
+export const ROOM_CONNECT_MEMBERS_ONLY_ERROR: string;
+export const ROOM_MAX_USERS_ERROR: string;
+export const SENDING_CHAT_MESSAGE: string;
+export const SENDING_PRIVATE_CHAT_MESSAGE: string;
+export const SESSION_ACCEPT_TIMEOUT: string;
+export const SPEAKER_STATS_RECEIVED: string;
+export const CONFERENCE_TIMESTAMP_RECEIVED: string;
+export const AV_MODERATION_APPROVED: string;
+export const AV_MODERATION_RECEIVED: string;
+export const AV_MODERATION_CHANGED: string;
+export const AV_MODERATION_PARTICIPANT_APPROVED: string;
+export const BREAKOUT_ROOMS_EVENT: string;
+export const BREAKOUT_ROOMS_MOVE_TO_ROOM: string;
+export const BREAKOUT_ROOMS_UPDATED: string;
+export const START_MUTED_FROM_FOCUS: string;
+export const SUBJECT_CHANGED: string;
+export const SUSPEND_DETECTED: string;
+export const TRANSCRIPTION_STATUS_CHANGED: string;
+export const TRANSPORT_INFO: string;
+export const VIDEO_SIP_GW_AVAILABILITY_CHANGED: string;
+export const VIDEO_SIP_GW_SESSION_STATE_CHANGED: string;
+export const ICE_CONNECTION_STATE_CHANGED: string;
+export const JSON_MESSAGE_RECEIVED: string;
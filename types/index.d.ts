@@ -0,0 +1,69 @@
+// The entry point of the typings of lib-jitsi-meet.
+//
+// The declarations in ./auto are generated from the JSDoc of the sources with
+// `npm run gen-types` and must not be edited by hand. This file only adds what
+// cannot be expressed in JSDoc, i.e. the unions of the values of the constants
+// modules and the re-exports of the public classes.
+
+/// <reference path="./jsdoc.d.ts" />
+
+import * as JitsiConferenceErrors from './auto/JitsiConferenceErrors';
+import * as JitsiConferenceEvents from './auto/JitsiConferenceEvents';
+import * as JitsiConnectionErrors from './auto/JitsiConnectionErrors';
+import * as JitsiConnectionEvents from './auto/JitsiConnectionEvents';
+import JitsiMeetJS from './auto/JitsiMeetJS';
+import * as JitsiMediaDevicesEvents from './auto/JitsiMediaDevicesEvents';
+import * as JitsiTrackErrors from './auto/JitsiTrackErrors';
+import * as JitsiTrackEvents from './auto/JitsiTrackEvents';
+import * as MediaType from './auto/service/RTC/MediaType';
+import * as ScreenshareMode from './auto/service/RTC/ScreenshareMode';
+
+/**
+ * The union of the values of a constants module.
+ */
+type ValueOf<T> = T[keyof T];
+
+export type JitsiConferenceErrorType = ValueOf<typeof JitsiConferenceErrors>;
+export type JitsiConferenceEventType = ValueOf<typeof JitsiConferenceEvents>;
+export type JitsiConnectionErrorType = ValueOf<typeof JitsiConnectionErrors>;
+export type JitsiConnectionEventType = ValueOf<typeof JitsiConnectionEvents>;
+export type JitsiMediaDevicesEventType = ValueOf<typeof JitsiMediaDevicesEvents>;
+export type JitsiTrackErrorType = ValueOf<typeof JitsiTrackErrors>;
+export type JitsiTrackEventType = ValueOf<typeof JitsiTrackEvents>;
+export type MediaTypeValue = ValueOf<typeof MediaType>;
+export type ScreenshareModeValue = ValueOf<typeof ScreenshareMode>;
+
+export {
+    JitsiConferenceErrors,
+    JitsiConferenceEvents,
+    JitsiConnectionErrors,
+    JitsiConnectionEvents,
+    JitsiMediaDevicesEvents,
+    JitsiTrackErrors,
+    JitsiTrackEvents,
+    MediaType,
+    ScreenshareMode
+};
+
+export { default as JitsiConference } from './auto/JitsiConference';
+export type { ConferenceOptions } from './auto/JitsiConnection';
+export { default as JitsiConnection } from './auto/JitsiConnection';
+export type { CreateLocalTracksOptions, InitOptions } from './auto/JitsiMeetJS';
+export { default as JitsiParticipant } from './auto/JitsiParticipant';
+export { default as JitsiTrackError } from './auto/JitsiTrackError';
+export { default as JitsiLocalTrack } from './auto/modules/RTC/JitsiLocalTrack';
+export { default as JitsiRemoteTrack } from './auto/modules/RTC/JitsiRemoteTrack';
+export { default as JitsiTrack } from './auto/modules/RTC/JitsiTrack';
+export type { TrackRecordingResult } from './auto/modules/recording/TrackRecorder';
+export { default as InsertableStreamsEffect } from './auto/modules/effects/InsertableStreamsEffect';
+export { default as AudioEffect } from './auto/modules/webaudio/AudioEffect';
+export { default as AudioMixerEffect } from './auto/modules/webaudio/AudioMixerEffect';
+export {
+    default as AudioProcessor,
+    AutomaticGainControl,
+    Compressor,
+    NoiseGate,
+    WasmAudioProcessor
+} from './auto/modules/webaudio/AudioProcessor';
+
+export default JitsiMeetJS;
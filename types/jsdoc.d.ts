@@ -0,0 +1,44 @@
+// The names the JSDoc of the sources refers to without importing them. The
+// generated declarations in ./auto keep them as they are, so they are
+// resolved here to the declarations of the classes and constants they name.
+// The third party libraries which don't ship typings are declared loosely.
+
+type AudioMixerEffect = import('./auto/modules/webaudio/AudioMixerEffect').default;
+type AudioProcessor = import('./auto/modules/webaudio/AudioProcessor').default;
+type ChatRoom = import('./auto/modules/xmpp/ChatRoom').default;
+type ConnectionPluginListenable = InstanceType<typeof import('./auto/modules/xmpp/ConnectionPlugin').ConnectionPluginListenable>;
+type JingleSessionPC = import('./auto/modules/xmpp/JingleSessionPC').default;
+type JitsiConference = import('./auto/JitsiConference').default;
+type JitsiConnection = import('./auto/JitsiConnection').default;
+type JitsiLocalTrack = import('./auto/modules/RTC/JitsiLocalTrack').default;
+type JitsiParticipant = import('./auto/JitsiParticipant').default;
+type JitsiRemoteTrack = import('./auto/modules/RTC/JitsiRemoteTrack').default;
+type JitsiTrack = import('./auto/modules/RTC/JitsiTrack').default;
+type JitsiVideoSIPGWSession = import('./auto/modules/videosipgw/JitsiVideoSIPGWSession').default;
+type MediaType = ValueOfModule<typeof import('./auto/service/RTC/MediaType')>;
+type MLineWrap = import('./auto/modules/sdp/SdpTransformUtil').MLineWrap;
+type PeerMediaInfo = import('./auto/service/RTC/SignalingLayer').PeerMediaInfo;
+type RemoteAudioRenderer = import('./auto/modules/webaudio/RemoteAudioRenderer').default;
+type RTC = import('./auto/modules/RTC/RTC').default;
+type SignalingLayer = import('./auto/service/RTC/SignalingLayer').default;
+type SourceInfo = import('./auto/service/RTC/SignalingLayer').SourceInfo;
+type TraceablePeerConnection = import('./auto/modules/RTC/TraceablePeerConnection').default;
+type TrackRecordingResult = import('./auto/modules/recording/TrackRecorder').TrackRecordingResult;
+type Transcriber = InstanceType<typeof import('./auto/modules/transcription/transcriber')>;
+type VideoType = ValueOfModule<typeof import('./auto/service/RTC/VideoType')>;
+type Word = InstanceType<typeof import('./auto/modules/transcription/word')>;
+type XmppConnection = import('./auto/modules/xmpp/XmppConnection').default;
+
+type ValueOfModule<T> = T[keyof T];
+
+type EventEmitter = any;
+type jQuery = any;
+
+declare namespace Strophe {
+    type Builder = any;
+    type Connection = any;
+    namespace Connection {
+        type disco = any;
+    }
+    type Status = number;
+}
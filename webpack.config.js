@@ -24,5 +24,18 @@ module.exports = [
         optimization: {
             minimize: false
         }
+    },
+    {
+        entry: {
+            'audio-worklet': './modules/webaudio/AudioWorkletProcessors.js'
+        },
+        mode: 'production',
+        output: {
+            filename: 'lib-jitsi-meet.audio-worklet.js',
+            path: process.cwd()
+        },
+        optimization: {
+            minimize: false
+        }
     }
 ];